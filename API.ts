@@ -77,6 +77,10 @@ export const API_ROUTES = {
     UPDATE_GEOFENCE_SETTINGS: `${BASE_URL}/admin/geofence-settings`,
     PINCODE_LOOKUP: (pincode: string) => `${BASE_URL}/admin/pincode-lookup/${pincode}`,
 
+    // Billing Config (GST / invoice)
+    GET_BILLING_CONFIG: `${BASE_URL}/admin/billing-config`,
+    UPDATE_BILLING_CONFIG: `${BASE_URL}/admin/billing-config`,
+
 
     // Assignments
     CREATE_ASSIGNMENT: `${BASE_URL}/admin/assignments`,
@@ -163,6 +167,61 @@ export const API_ROUTES = {
 
     // Payments
     RECEIVE_PAYMENT: (billId: string) => `${BASE_URL}/billing/bills/${billId}/payment`,
+
+    // Payment Ledger (split tenders, refunds, credit notes)
+    GET_BILL_LEDGER: (billId: string) => `${BASE_URL}/billing/bills/${billId}/ledger`,
+    REFUND_BILL: (billId: string) => `${BASE_URL}/billing/bills/${billId}/refunds`,
+    ISSUE_CREDIT_NOTE: (billId: string) => `${BASE_URL}/billing/bills/${billId}/credit-notes`,
+    LIST_TRANSACTIONS: `${BASE_URL}/billing/transactions`,
+    APPROVE_TRANSACTION: (transactionId: string) => `${BASE_URL}/billing/transactions/${transactionId}/approve`,
+    REJECT_TRANSACTION: (transactionId: string) => `${BASE_URL}/billing/transactions/${transactionId}/reject`,
+
+    // Patient Advances
+    RECORD_ADVANCE: (patientId: string) => `${BASE_URL}/billing/patients/${patientId}/advances`,
+    GET_ADVANCE_ACCOUNT: (patientId: string) => `${BASE_URL}/billing/patients/${patientId}/advances`,
+    REFUND_ADVANCE: (patientId: string) => `${BASE_URL}/billing/patients/${patientId}/advances/refunds`,
+
+    // Cash Counter Closing
+    GET_CASH_CLOSING_REPORT: `${BASE_URL}/billing/cash-closing/report`,
+    LIST_CASH_CLOSINGS: `${BASE_URL}/billing/cash-closing`,
+    CLOSE_CASH_COUNTER: `${BASE_URL}/billing/cash-closing`,
+
+    // GST Tax Invoice
+    GET_TAX_INVOICE: (billId: string) => `${BASE_URL}/billing/bills/${billId}/invoice`,
+    DOWNLOAD_TAX_INVOICE_PDF: (billId: string) => `${BASE_URL}/billing/bills/${billId}/invoice/pdf`,
+  },
+
+  // =========================
+  // INSURANCE / TPA
+  // =========================
+  INSURANCE: {
+    // Payers & TPAs
+    LIST_PAYERS: `${BASE_URL}/insurance/payers`,
+    CREATE_PAYER: `${BASE_URL}/insurance/payers`,
+    GET_PAYER: (payerId: string) => `${BASE_URL}/insurance/payers/${payerId}`,
+    UPDATE_PAYER: (payerId: string) => `${BASE_URL}/insurance/payers/${payerId}`,
+
+    // Patient Policies
+    LIST_PATIENT_POLICIES: (patientId: string) => `${BASE_URL}/insurance/patients/${patientId}/policies`,
+    ADD_PATIENT_POLICY: (patientId: string) => `${BASE_URL}/insurance/patients/${patientId}/policies`,
+    GET_POLICY: (policyId: string) => `${BASE_URL}/insurance/policies/${policyId}`,
+    UPDATE_POLICY: (policyId: string) => `${BASE_URL}/insurance/policies/${policyId}`,
+    CHECK_ELIGIBILITY: (policyId: string) => `${BASE_URL}/insurance/policies/${policyId}/eligibility`,
+
+    // Pre-Authorizations
+    LIST_PRE_AUTHS: `${BASE_URL}/insurance/pre-authorizations`,
+    CREATE_PRE_AUTH: `${BASE_URL}/insurance/pre-authorizations`,
+    GET_PRE_AUTH: (preAuthId: string) => `${BASE_URL}/insurance/pre-authorizations/${preAuthId}`,
+    UPDATE_PRE_AUTH_STATUS: (preAuthId: string) => `${BASE_URL}/insurance/pre-authorizations/${preAuthId}/status`,
+
+    // Claims
+    CREATE_CLAIM: (billId: string) => `${BASE_URL}/insurance/bills/${billId}/claims`,
+    LIST_CLAIMS: `${BASE_URL}/insurance/claims`,
+    GET_CLAIM: (claimId: string) => `${BASE_URL}/insurance/claims/${claimId}`,
+    UPDATE_CLAIM_STATUS: (claimId: string) => `${BASE_URL}/insurance/claims/${claimId}/status`,
+
+    // Reports
+    RECEIVABLES_REPORT: `${BASE_URL}/insurance/reports/receivables`,
   },
 
   // =========================
@@ -196,6 +255,7 @@ export const API_ROUTES = {
 
     // Prescriptions
     CREATE_PRESCRIPTION: (visitId: string) => `${BASE_URL}/opd/prescription/${visitId}`,
+    CHECK_PRESCRIPTION_SAFETY: (visitId: string) => `${BASE_URL}/opd/prescription/${visitId}/safety-check`,
     GET_PRESCRIPTIONS_BY_VISIT: (visitId: string) => `${BASE_URL}/opd/prescription/visit/${visitId}`,
     GET_PRESCRIPTION: (prescriptionId: string) => `${BASE_URL}/opd/prescription/${prescriptionId}`,
     UPDATE_PRESCRIPTION_STATUS: (prescriptionId: string) => `${BASE_URL}/opd/prescription/${prescriptionId}/status`,
@@ -225,12 +285,22 @@ export const API_ROUTES = {
     RECORD_VITALS: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/vitals`,
     GET_VITALS: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/vitals`,
     GET_VITALS_TREND: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/vitals/trend`,
+    GET_OBSERVATIONS_DUE: `${BASE_URL}/ipd/vitals/observations-due`,
+    RECORD_FLUID_ENTRY: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/fluids`,
+    GET_FLUID_CHART: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/fluids/chart`,
+    GET_FLUID_BALANCE: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/fluids/balance`,
+    SET_FLUID_LIMITS: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/fluids/limits`,
+    VOID_FLUID_ENTRY: (entryId: string) => `${BASE_URL}/ipd/fluids/${entryId}/void`,
     START_MONITORING: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/monitoring/start`,
 
     // Clinical Orders
     CREATE_ORDER: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/orders`,
     GET_ORDERS: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/orders`,
     RECORD_MEDICATION_ADMINISTRATION: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/medications/administration`,
+    GET_EMAR: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/emar`,
+    GET_WARD_DOSES: `${BASE_URL}/ipd/emar/doses`,
+    CHART_DOSE: (doseId: string) => `${BASE_URL}/ipd/emar/doses/${doseId}/chart`,
+    GIVE_PRN_DOSE: (orderId: string) => `${BASE_URL}/ipd/orders/${orderId}/prn-doses`,
 
     // Clinical Notes
     CREATE_PROGRESS_NOTE: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/notes`,
@@ -258,13 +328,52 @@ export const API_ROUTES = {
     DISCHARGE_PATIENT: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/discharge`,
     GET_PATIENT_LOCATION: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/location`,
 
+    // Operating Theatre
+    GET_OT_ROOMS: `${BASE_URL}/ipd/ot/rooms`,
+    GET_OT_CALENDAR: `${BASE_URL}/ipd/ot/calendar`,
+    CHECK_OT_CONFLICTS: `${BASE_URL}/ipd/ot/conflicts`,
+    GET_OT_UTILISATION: `${BASE_URL}/ipd/ot/reports/utilisation`,
+    CREATE_OT_BOOKING: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/ot-bookings`,
+    GET_OT_BOOKING: (bookingId: string) => `${BASE_URL}/ipd/ot/bookings/${bookingId}`,
+    RESCHEDULE_OT_BOOKING: (bookingId: string) => `${BASE_URL}/ipd/ot/bookings/${bookingId}`,
+    CANCEL_OT_BOOKING: (bookingId: string) => `${BASE_URL}/ipd/ot/bookings/${bookingId}/cancel`,
+    UPDATE_PRE_OP_CHECKLIST: (bookingId: string) => `${BASE_URL}/ipd/ot/bookings/${bookingId}/pre-op-checklist`,
+    START_SURGERY: (bookingId: string) => `${BASE_URL}/ipd/ot/bookings/${bookingId}/start`,
+    COMPLETE_WHO_CHECKLIST_PHASE: (bookingId: string, phase: 'sign_in' | 'time_out' | 'sign_out') => `${BASE_URL}/ipd/ot/bookings/${bookingId}/who-checklist/${phase}`,
+    RECORD_INTRA_OP_NOTE: (bookingId: string) => `${BASE_URL}/ipd/ot/bookings/${bookingId}/intra-op-notes`,
+    COMPLETE_SURGERY: (bookingId: string) => `${BASE_URL}/ipd/ot/bookings/${bookingId}/complete`,
+
+    // Ward Management
+    CREATE_WARD: `${BASE_URL}/ipd/wards`,
+    LIST_WARDS: `${BASE_URL}/ipd/wards`,
+    GET_WARD: (wardId: string) => `${BASE_URL}/ipd/wards/${wardId}`,
+    UPDATE_WARD: (wardId: string) => `${BASE_URL}/ipd/wards/${wardId}`,
+    DELETE_WARD: (wardId: string) => `${BASE_URL}/ipd/wards/${wardId}`,
+    RECOUNT_WARD: (wardId: string) => `${BASE_URL}/ipd/wards/${wardId}/recount`,
+    MIGRATE_LEGACY_WARDS: `${BASE_URL}/ipd/wards/legacy-migration`,
+
     // Bed Management
     GET_BED_STATUS: (wardId: string) => `${BASE_URL}/ipd/wards/${wardId}/beds`,
+    CREATE_BED: `${BASE_URL}/ipd/beds`,
+    LIST_BEDS: `${BASE_URL}/ipd/beds`,
+    GET_BED: (bedId: string) => `${BASE_URL}/ipd/beds/${bedId}`,
+    UPDATE_BED: (bedId: string) => `${BASE_URL}/ipd/beds/${bedId}`,
+    REMOVE_BED: (bedId: string) => `${BASE_URL}/ipd/beds/${bedId}`,
     UPDATE_BED_STATUS: (bedId: string) => `${BASE_URL}/ipd/beds/${bedId}/status`,
+    GET_BED_TURNAROUND: `${BASE_URL}/ipd/beds/turnaround`,
 
     // Census
     GET_WARD_CENSUS: (wardId: string) => `${BASE_URL}/ipd/wards/${wardId}/census`,
 
+    // Billing (running bill)
+    GET_RUNNING_BILL: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/billing`,
+    ACCRUE_CHARGES: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/billing/accrue`,
+    ADD_CHARGE: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/billing/charges`,
+    CANCEL_CHARGE: (admissionId: string, chargeId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/billing/charges/${chargeId}/cancel`,
+    COLLECT_DEPOSIT: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/billing/deposits`,
+    FINALIZE_BILL: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/billing/finalize`,
+    APPROVE_DISCHARGE_OVERRIDE: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/billing/discharge-override`,
+
     // Dashboard
     GET_ADMISSION_DASHBOARD: (admissionId: string) => `${BASE_URL}/ipd/admissions/${admissionId}/dashboard`,
     GET_WARD_DASHBOARD: (wardId: string) => `${BASE_URL}/ipd/wards/${wardId}/dashboard`,
@@ -297,6 +406,12 @@ export const API_ROUTES = {
     COLLECT_SAMPLE: `${BASE_URL}/diagnostics/collection/collect`,
     REJECT_SAMPLE: (orderItemId: string) => `${BASE_URL}/diagnostics/collection/${orderItemId}/reject`,
 
+    // Specimen Tracking
+    GET_ORDER_LABELS: (orderId: string) => `${BASE_URL}/diagnostics/orders/${orderId}/labels`,
+    SCAN_SPECIMEN: `${BASE_URL}/diagnostics/specimens/scan`,
+    GET_SPECIMENS: `${BASE_URL}/diagnostics/specimens`,
+    GET_SPECIMEN: (code: string) => `${BASE_URL}/diagnostics/specimens/${code}`,
+
     // Results Management
     ENTER_RESULT: `${BASE_URL}/diagnostics/results/enter`,
     QC_CHECK_RESULT: `${BASE_URL}/diagnostics/results/qc-check`,
@@ -306,6 +421,21 @@ export const API_ROUTES = {
     GET_PENDING_REVIEW_RESULTS: `${BASE_URL}/diagnostics/results/pending-review`,
     GET_PATIENT_RESULTS: (patientId: string) => `${BASE_URL}/diagnostics/patients/${patientId}/results`,
 
+    // Reflex Testing
+    GET_REFLEX_REQUESTS: `${BASE_URL}/diagnostics/reflex-requests`,
+    APPROVE_REFLEX_REQUEST: (requestId: string) => `${BASE_URL}/diagnostics/reflex-requests/${requestId}/approve`,
+    DECLINE_REFLEX_REQUEST: (requestId: string) => `${BASE_URL}/diagnostics/reflex-requests/${requestId}/decline`,
+
+    // Lab Analyzers
+    GET_ANALYZERS: `${BASE_URL}/diagnostics/analyzers`,
+    CREATE_ANALYZER: `${BASE_URL}/diagnostics/analyzers`,
+    UPDATE_ANALYZER: (analyzerId: string) => `${BASE_URL}/diagnostics/analyzers/${analyzerId}`,
+    UPLOAD_ANALYZER_MESSAGE: (analyzerId: string) => `${BASE_URL}/diagnostics/analyzers/${analyzerId}/messages`,
+    SIMULATE_ANALYZER_RUN: (analyzerId: string) => `${BASE_URL}/diagnostics/analyzers/${analyzerId}/simulate`,
+    GET_ANALYZER_MESSAGES: `${BASE_URL}/diagnostics/analyzer-messages`,
+    REPROCESS_ANALYZER_MESSAGE: (messageId: string) => `${BASE_URL}/diagnostics/analyzer-messages/${messageId}/reprocess`,
+    DISCARD_ANALYZER_MESSAGE: (messageId: string) => `${BASE_URL}/diagnostics/analyzer-messages/${messageId}/discard`,
+
     // External Prescriptions
     UPLOAD_PRESCRIPTION: `${BASE_URL}/diagnostics/prescription/upload`,
     MAP_PRESCRIPTION_TESTS: (prescriptionId: string) => `${BASE_URL}/diagnostics/prescription/${prescriptionId}/map-tests`,
@@ -353,11 +483,38 @@ export const API_ROUTES = {
     DISPENSE_PRESCRIPTION: `${BASE_URL}/pharmacy/dispense`,
     GET_DISPENSES: `${BASE_URL}/pharmacy/dispenses`,
     GET_DISPENSE: (dispenseId: string) => `${BASE_URL}/pharmacy/dispenses/${dispenseId}`,
+    RETURN_DISPENSE: (dispenseId: string) => `${BASE_URL}/pharmacy/dispenses/${dispenseId}/returns`,
+    VOID_DISPENSE: (dispenseId: string) => `${BASE_URL}/pharmacy/dispenses/${dispenseId}/void`,
+    PENDING_PRESCRIPTIONS: `${BASE_URL}/pharmacy/prescriptions/pending`,
+    DISPENSE_FROM_PRESCRIPTION: (prescriptionId: string) => `${BASE_URL}/pharmacy/prescriptions/${prescriptionId}/dispense`,
+
+    // Suppliers
+    GET_SUPPLIERS: `${BASE_URL}/pharmacy/suppliers`,
+    CREATE_SUPPLIER: `${BASE_URL}/pharmacy/suppliers`,
+    GET_SUPPLIER: (supplierId: string) => `${BASE_URL}/pharmacy/suppliers/${supplierId}`,
+    UPDATE_SUPPLIER: (supplierId: string) => `${BASE_URL}/pharmacy/suppliers/${supplierId}`,
+
+    // Purchase Orders
+    GET_PURCHASE_ORDERS: `${BASE_URL}/pharmacy/purchase-orders`,
+    CREATE_PURCHASE_ORDER: `${BASE_URL}/pharmacy/purchase-orders`,
+    GENERATE_PURCHASE_ORDERS_FROM_LOW_STOCK: `${BASE_URL}/pharmacy/purchase-orders/from-low-stock`,
+    GET_PURCHASE_ORDER: (purchaseOrderId: string) => `${BASE_URL}/pharmacy/purchase-orders/${purchaseOrderId}`,
+    UPDATE_PURCHASE_ORDER_STATUS: (purchaseOrderId: string) => `${BASE_URL}/pharmacy/purchase-orders/${purchaseOrderId}/status`,
+
+    // Goods Receipts (GRN)
+    GET_GOODS_RECEIPTS: `${BASE_URL}/pharmacy/goods-receipts`,
+    RECEIVE_GOODS: `${BASE_URL}/pharmacy/goods-receipts`,
+    GET_GOODS_RECEIPT: (goodsReceiptId: string) => `${BASE_URL}/pharmacy/goods-receipts/${goodsReceiptId}`,
+
+    // Purchase Returns
+    GET_PURCHASE_RETURNS: `${BASE_URL}/pharmacy/purchase-returns`,
+    CREATE_PURCHASE_RETURN: `${BASE_URL}/pharmacy/purchase-returns`,
 
     // Reports
     GET_INVENTORY_REPORT: `${BASE_URL}/pharmacy/reports/inventory-status`,
     GET_STOCK_MOVEMENT_REPORT: `${BASE_URL}/pharmacy/reports/stock-movement`,
     GET_EXPIRY_REPORT: `${BASE_URL}/pharmacy/reports/expiry-analysis`,
+    GET_PURCHASE_REGISTER: `${BASE_URL}/pharmacy/reports/purchase-register`,
   },
 
   // =========================
@@ -390,13 +547,74 @@ export const API_ROUTES = {
 
     // Analytics
     GET_ANALYTICS: `${BASE_URL}/queue/analytics`,
+    GET_WAIT_TIME_ACCURACY: `${BASE_URL}/queue/analytics/wait-time-accuracy`,
     RESET_DAILY_QUEUES: `${BASE_URL}/queue/reset-daily`,
 
+    // Settings & policy
+    GET_QUEUE_SETTINGS: `${BASE_URL}/queue/settings`,
+    UPDATE_QUEUE_SETTINGS: `${BASE_URL}/queue/settings`,
+    RUN_AUTO_SKIP: `${BASE_URL}/queue/auto-skip/run`,
+
+    // Live events (Server-Sent Events)
+    QUEUE_STREAM_TOKEN: `${BASE_URL}/queue/stream-token`,
+    QUEUE_EVENT_STREAM: `${BASE_URL}/queue/stream`, // ?streamToken= from QUEUE_STREAM_TOKEN
+
     // Public Routes (No Auth)
     PUBLIC_QUEUE_DISPLAY: (queueCode: string) => `${BASE_URL}/queue/public/display/${queueCode}`,
+    PUBLIC_QUEUE_DISPLAY_STREAM: (queueCode: string) => `${BASE_URL}/queue/public/display/${queueCode}/stream`,
     PUBLIC_QUEUE_STATUS: (queueNumber: string) => `${BASE_URL}/queue/public/status/${queueNumber}`,
   },
 
+  // =========================
+  // APPOINTMENTS
+  // =========================
+  APPOINTMENT: {
+    // Doctor Schedules
+    CREATE_SCHEDULE: `${BASE_URL}/appointments/schedules`,
+    GET_SCHEDULES: `${BASE_URL}/appointments/schedules`,
+    GET_SCHEDULE: (id: string) => `${BASE_URL}/appointments/schedules/${id}`,
+    UPDATE_SCHEDULE: (id: string) => `${BASE_URL}/appointments/schedules/${id}`,
+    DELETE_SCHEDULE: (id: string) => `${BASE_URL}/appointments/schedules/${id}`,
+
+    // Slots
+    GET_DOCTOR_SLOTS: (doctorId: string) => `${BASE_URL}/appointments/doctors/${doctorId}/slots`,
+
+    // Appointments
+    BOOK: `${BASE_URL}/appointments/book`,
+    GET_APPOINTMENTS: `${BASE_URL}/appointments/list`,
+    GET_APPOINTMENT: (id: string) => `${BASE_URL}/appointments/${id}`,
+    RESCHEDULE: (id: string) => `${BASE_URL}/appointments/${id}/reschedule`,
+    CANCEL: (id: string) => `${BASE_URL}/appointments/${id}/cancel`,
+    MARK_NO_SHOW: (id: string) => `${BASE_URL}/appointments/${id}/no-show`,
+    NO_SHOW_SWEEP: `${BASE_URL}/appointments/no-show/sweep`,
+    CHECK_IN: (id: string) => `${BASE_URL}/appointments/${id}/check-in`,
+  },
+
+  // =========================
+  // CONSULTATION ROOMS
+  // =========================
+  ROOM: {
+    // Rooms
+    CREATE: `${BASE_URL}/rooms`,
+    GET_ALL: `${BASE_URL}/rooms`,
+    GET_BY_ID: (id: string) => `${BASE_URL}/rooms/${id}`,
+    UPDATE: (id: string) => `${BASE_URL}/rooms/${id}`,
+    DELETE: (id: string) => `${BASE_URL}/rooms/${id}`,
+    GET_BOARD: `${BASE_URL}/rooms/board`,
+
+    // Maintenance
+    ADD_MAINTENANCE: (id: string) => `${BASE_URL}/rooms/${id}/maintenance`,
+    GET_MAINTENANCE: (id: string) => `${BASE_URL}/rooms/${id}/maintenance`,
+    DELETE_MAINTENANCE: (blockId: string) => `${BASE_URL}/rooms/maintenance/${blockId}`,
+
+    // Session allocations
+    CREATE_ALLOCATION: `${BASE_URL}/rooms/allocations`,
+    GET_ALLOCATIONS: `${BASE_URL}/rooms/allocations`,
+    UPDATE_ALLOCATION: (id: string) => `${BASE_URL}/rooms/allocations/${id}`,
+    DELETE_ALLOCATION: (id: string) => `${BASE_URL}/rooms/allocations/${id}`,
+    GET_DOCTOR_CURRENT_ROOM: (doctorId: string) => `${BASE_URL}/rooms/doctors/${doctorId}/current`,
+  },
+
   // =========================
   // VISITS
   // =========================
@@ -446,6 +664,29 @@ export const API_ROUTES = {
     EXPORT_PDF: `${BASE_URL}/reports/export/pdf`,
   },
 
+  // =========================
+  // NOTIFICATIONS
+  // =========================
+  NOTIFICATION: {
+    GET_EVENTS: `${BASE_URL}/notifications/events`,
+
+    // Templates
+    CREATE_TEMPLATE: `${BASE_URL}/notifications/templates`,
+    GET_TEMPLATES: `${BASE_URL}/notifications/templates`,
+    SEED_DEFAULT_TEMPLATES: `${BASE_URL}/notifications/templates/seed-defaults`,
+    GET_TEMPLATE: (id: string) => `${BASE_URL}/notifications/templates/${id}`,
+    UPDATE_TEMPLATE: (id: string) => `${BASE_URL}/notifications/templates/${id}`,
+    DELETE_TEMPLATE: (id: string) => `${BASE_URL}/notifications/templates/${id}`,
+    PREVIEW_TEMPLATE: (id: string) => `${BASE_URL}/notifications/templates/${id}/preview`,
+
+    // Delivery Logs
+    GET_LOGS: `${BASE_URL}/notifications/logs`,
+    GET_LOG_STATS: `${BASE_URL}/notifications/logs/stats`,
+    GET_LOG: (id: string) => `${BASE_URL}/notifications/logs/${id}`,
+    RETRY_LOG: (id: string) => `${BASE_URL}/notifications/logs/${id}/retry`,
+    PROCESS_RETRIES: `${BASE_URL}/notifications/retries/process`,
+  },
+
   // =========================
   // ATTENDANCE
   // =========================
@@ -588,6 +829,7 @@ export const API_ROUTES = {
   WORKBOARD: {
     GET_WORKLIST: (category: string) => `${BASE_URL}/diagnostics/workboard/worklist/${category}`,
     GET_ENTRY_FORM: (resultId: string) => `${BASE_URL}/diagnostics/workboard/entry-form/${resultId}`,
+    AUTO_VERIFICATION_DASHBOARD: `${BASE_URL}/diagnostics/workboard/auto-verification/dashboard`,
 
     // Result entry
     SAVE_RESULT: (resultId: string) => `${BASE_URL}/diagnostics/workboard/results/${resultId}`,
@@ -599,6 +841,7 @@ export const API_ROUTES = {
 
     // Review & release
     REVIEW_APPROVE: (resultId: string) => `${BASE_URL}/diagnostics/workboard/results/${resultId}/review-approve`,
+    ACKNOWLEDGE_DELTA: (resultId: string) => `${BASE_URL}/diagnostics/workboard/results/${resultId}/delta-acknowledge`,
     RELEASE: (resultId: string) => `${BASE_URL}/diagnostics/workboard/results/${resultId}/release`,
     AMEND: (resultId: string) => `${BASE_URL}/diagnostics/workboard/results/${resultId}/amend`,
   },
@@ -615,6 +858,12 @@ export const API_ROUTES = {
     GET_REQUEST: (requestId: string) => `${BASE_URL}/ipd/queue/request/${requestId}`,
     APPROVE_REQUEST: (requestId: string) => `${BASE_URL}/ipd/queue/request/${requestId}/approve`,
     REJECT_REQUEST: (requestId: string) => `${BASE_URL}/ipd/queue/request/${requestId}/reject`,
+    GET_BED_SUGGESTIONS: (requestId: string) => `${BASE_URL}/ipd/queue/request/${requestId}/bed-suggestions`,
+    WAITLIST_REQUEST: (requestId: string) => `${BASE_URL}/ipd/queue/request/${requestId}/waitlist`,
+    EXTEND_RESERVATION: (requestId: string) => `${BASE_URL}/ipd/queue/request/${requestId}/reservation/extend`,
+    RELEASE_RESERVATION: (requestId: string) => `${BASE_URL}/ipd/queue/request/${requestId}/reservation/release`,
+    GET_WAITLIST: `${BASE_URL}/ipd/queue/waitlist`,
+    ADVANCE_WAITLIST: `${BASE_URL}/ipd/queue/waitlist/advance`,
     GET_STATS: `${BASE_URL}/ipd/queue/stats`,
   },
 
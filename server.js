@@ -8,6 +8,14 @@ import { connectDB, getPrisma } from './src/core/database/tenantDb.js';
 import { tenantContext } from './src/core/context/tenantContext.js';
 import config from './src/core/config/environment.js';
 import createApp from './src/app.js';
+import { registerNotificationListeners } from './src/services/notification.events.js';
+import { startNotificationWorker, stopNotificationWorker } from './src/services/notification.worker.js';
+import { startIPDBillingWorker, stopIPDBillingWorker } from './src/services/ipd-billing.worker.js';
+import { startQueuePolicyWorker, stopQueuePolicyWorker } from './src/services/queue.worker.js';
+import { registerBedAllocationListeners, startBedAllocationWorker, stopBedAllocationWorker } from './src/services/ipd-bed-allocation.worker.js';
+import { startEMARWorker, stopEMARWorker } from './src/services/ipd-emar.worker.js';
+import { startAnalyzerWorker, stopAnalyzerWorker } from './src/services/analyzer.worker.js';
+import { closeQueueStreams } from './src/services/queue.events.js';
 import logger from './src/utils/logger.js';
 
 const PORT = config.PORT;
@@ -39,6 +47,35 @@ async function startServer() {
     // Get Prisma client
     const prisma = getPrisma();
  
+    // Notifications: domain event listeners + retry worker
+    if (!tenantContext.isOfflineMode()) {
+      registerNotificationListeners(prisma);
+      if (config.NOTIFICATION_WORKER_ENABLED) {
+        startNotificationWorker(prisma);
+      }
+      // IPD running bills: daily bed and clinical charge capture
+      if (config.IPD_BILLING_WORKER_ENABLED) {
+        startIPDBillingWorker(prisma);
+      }
+      // Queue policy: auto-skip / auto-cancel no-shows per QueueSettings
+      if (config.QUEUE_POLICY_WORKER_ENABLED) {
+        startQueuePolicyWorker(prisma);
+      }
+      // IPD bed allocation: waitlist advances when beds free up, expired reservations are released
+      registerBedAllocationListeners(prisma);
+      if (config.IPD_BED_ALLOCATION_WORKER_ENABLED) {
+        startBedAllocationWorker(prisma);
+      }
+      // IPD eMAR: rolling dose schedules and missed-dose alerts
+      if (config.IPD_EMAR_WORKER_ENABLED) {
+        startEMARWorker(prisma);
+      }
+      // Lab analyzers: ASTM / HL7 TCP listeners and watch-folder import
+      if (config.ANALYZER_WORKER_ENABLED) {
+        startAnalyzerWorker(prisma);
+      }
+    }
+
     // Create Express app
     const app = createApp(prisma);
 
@@ -58,6 +95,13 @@ ${tenantContext.isOfflineMode() ? '║ Status:     ⚠ Offline (DB unavailable)
     // Graceful shutdown
     process.on('SIGTERM', async () => {
       logger.info('[Server] SIGTERM received, shutting down gracefully...');
+      stopNotificationWorker();
+      stopIPDBillingWorker();
+      stopQueuePolicyWorker();
+      stopBedAllocationWorker();
+      stopEMARWorker();
+      stopAnalyzerWorker();
+      closeQueueStreams();
       server.close(async () => {
         await prisma.$disconnect();
         logger.info('[Server] ✓ Server closed');
@@ -67,6 +111,13 @@ ${tenantContext.isOfflineMode() ? '║ Status:     ⚠ Offline (DB unavailable)
 
     process.on('SIGINT', async () => {
       logger.info('[Server] SIGINT received, shutting down gracefully...');
+      stopNotificationWorker();
+      stopIPDBillingWorker();
+      stopQueuePolicyWorker();
+      stopBedAllocationWorker();
+      stopEMARWorker();
+      stopAnalyzerWorker();
+      closeQueueStreams();
       server.close(async () => {
         await prisma.$disconnect();
         logger.info('[Server] ✓ Server closed');
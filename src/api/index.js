@@ -14,6 +14,7 @@ import { doctorRoutes } from '../routes/doctor.routes.js';
 import { patientRoutes } from '../routes/patient.routes.js';
 import { attendanceRoutes } from '../routes/attendance.routes.js';
 import { billingRoutes } from '../routes/billing.routes.js';
+import { insuranceRoutes } from '../routes/insurance.routes.js';
 import { adminRoutes } from '../routes/admin.routes.js';
 import { onboardingRoutes } from '../routes/onboarding.routes.js';
 import { routes as publicRegistrationRoutes } from '../routes/publicRegistration.routes.js';
@@ -21,10 +22,13 @@ import { setupRoutes } from '../routes/setup.routes.js';
 import { diagnosticsRoutes } from '../routes/diagnostics.routes.js';
 import { departmentRoutes } from '../routes/department.routes.js';
 import { queueRoutes } from '../routes/queue.routes.js';
+import { appointmentRoutes } from '../routes/appointment.routes.js';
+import { roomRoutes } from '../routes/room.routes.js';
 import { visitRouter } from '../routes/visit.routes.js';
 import { opdRoutes } from '../routes/opd.routes.js';
 import { pharmacyRoutes } from '../routes/pharmacy.routes.js';
 import { reportRoutes } from '../routes/reports.routes.js';
+import { notificationRoutes } from '../routes/notification.routes.js';
 
 /**
  * Initialize all API routes
@@ -85,12 +89,21 @@ export function initializeApiRoutes(prisma) {
   // Billing routes (protected internally)
   router.use('/billing', billingRoutes);
 
+  // Insurance routes - payers / TPAs, policies, pre-authorizations, claims (protected internally)
+  router.use('/insurance', insuranceRoutes);
+
   // Diagnostics routes (protected internally)
   router.use('/diagnostics', diagnosticsRoutes);
 
   // Queue management routes (protected internally)
   router.use('/queue', queueRoutes);
 
+  // Appointment booking routes - doctor schedules, slots, check-in (protected internally)
+  router.use('/appointments', appointmentRoutes);
+
+  // Consultation room routes - rooms, session allocations, maintenance (protected internally)
+  router.use('/rooms', roomRoutes);
+
   // Visit management routes (protected internally)
   router.use('/visits', visitRouter);
 
@@ -103,10 +116,13 @@ export function initializeApiRoutes(prisma) {
   // Reports routes - analytics, auditing, clinical/financial reports (protected internally)
   router.use('/reports', reportRoutes);
 
+  // Notification routes - templates, delivery logs, retries (admin only)
+  router.use('/notifications', notificationRoutes);
+
   // Admin routes (protected internally with adminOnly)
   router.use('/admin', adminRoutes);
 
-  logger.info('[API] Routes initialized - 18 modules mounted');
+  logger.info('[API] Routes initialized - 22 modules mounted');
 
   return router;
 }
@@ -128,12 +144,16 @@ export function getApiInfo() {
       'patients',
       'attendance',
       'billing',
+      'insurance',
       'diagnostics',
       'queue',
+      'appointments',
+      'rooms',
       'visits',
       'opd',
       'pharmacy',
       'reports',
+      'notifications',
       'departments',
       'admin',
       'onboarding',
@@ -0,0 +1,112 @@
+/**
+ * Analyzer Interface Constants
+ * Protocols, transports, message statuses and reconciliation reasons for lab
+ * instrument result import
+ *
+ * ASTM E1394 records arrive in E1381 frames (ENQ / STX..ETX / EOT) over TCP;
+ * HL7 v2 ORU^R01 arrives in MLLP blocks (VT .. FS CR). Both can also be dropped
+ * as files into an analyzer's watch folder.
+ */
+
+// ==================== PROTOCOLS & TRANSPORTS ====================
+export const ANALYZER_PROTOCOLS = {
+  ASTM: 'ASTM',
+  HL7: 'HL7'
+};
+
+export const ANALYZER_TRANSPORTS = {
+  TCP: 'TCP',
+  FOLDER: 'FOLDER'
+};
+
+// Where a message came from (TCP / FOLDER from the worker)
+export const ANALYZER_MESSAGE_SOURCES = {
+  TCP: 'TCP',
+  FOLDER: 'FOLDER',
+  SIMULATOR: 'SIMULATOR',
+  API: 'API'
+};
+
+// ==================== MESSAGE STATUS ====================
+export const ANALYZER_MESSAGE_STATUS = {
+  RECEIVED: 'RECEIVED',
+  IMPORTED: 'IMPORTED',       // Every result pre-filled
+  PARTIAL: 'PARTIAL',         // Some results pre-filled, the rest need reconciliation
+  UNMATCHED: 'UNMATCHED',     // Nothing could be matched
+  FAILED: 'FAILED',           // Could not be parsed
+  RESOLVED: 'RESOLVED',       // Reconciled by a user
+  DISCARDED: 'DISCARDED'
+};
+
+// Statuses shown in the reconciliation queue
+export const RECONCILIATION_STATUSES = [
+  ANALYZER_MESSAGE_STATUS.UNMATCHED,
+  ANALYZER_MESSAGE_STATUS.PARTIAL,
+  ANALYZER_MESSAGE_STATUS.FAILED
+];
+
+export const UNMATCHED_REASONS = {
+  NO_SPECIMEN: 'No specimen with this accession number',
+  UNMAPPED_CODE: 'Instrument test code not mapped on the analyzer',
+  TEST_NOT_ORDERED: 'Mapped test is not ordered on this specimen',
+  RESULT_LOCKED: 'Result already submitted or verified',
+  NO_VALUE: 'Instrument reported no value'
+};
+
+// ==================== FLAGS ====================
+// Abnormal flags (ASTM R.7 / HL7 OBX-8) -> result interpretation
+export const ANALYZER_FLAG_INTERPRETATION = {
+  N: 'NORMAL',
+  L: 'LOW',
+  H: 'HIGH',
+  LL: 'CRITICAL_LOW',
+  HH: 'CRITICAL_HIGH',
+  '<': 'LOW',
+  '>': 'HIGH',
+  A: 'ABNORMAL',
+  AA: 'CRITICAL'
+};
+
+// ==================== FRAMING ====================
+export const ASTM_CONTROL = {
+  ENQ: '\x05',
+  ACK: '\x06',
+  NAK: '\x15',
+  EOT: '\x04',
+  STX: '\x02',
+  ETX: '\x03',
+  ETB: '\x17',
+  CR: '\r',
+  LF: '\n'
+};
+
+export const MLLP_CONTROL = {
+  START: '\x0b',
+  END: '\x1c\r'
+};
+
+// ==================== CONFIGURATION ====================
+export const ANALYZER_CONFIG = {
+  FOLDER_POLL_INTERVAL_MS: 10 * 1000,
+  FOLDER_FILE_EXTENSIONS: ['.astm', '.hl7', '.txt', '.msg'],
+  PROCESSED_SUBFOLDER: 'processed',
+  ERROR_SUBFOLDER: 'error',
+  FOLDER_SETTLE_MS: 2000,         // Skip files modified more recently (still being written)
+  TCP_IDLE_TIMEOUT_MS: 5 * 60 * 1000,
+  MAX_MESSAGE_BYTES: 1024 * 1024,
+  ASTM_MAX_FRAME_TEXT: 240,       // E1381: at most 247 characters per frame
+  SIMULATOR_TIMEOUT_MS: 10 * 1000
+};
+
+export default {
+  ANALYZER_PROTOCOLS,
+  ANALYZER_TRANSPORTS,
+  ANALYZER_MESSAGE_SOURCES,
+  ANALYZER_MESSAGE_STATUS,
+  RECONCILIATION_STATUSES,
+  UNMATCHED_REASONS,
+  ANALYZER_FLAG_INTERPRETATION,
+  ASTM_CONTROL,
+  MLLP_CONTROL,
+  ANALYZER_CONFIG
+};
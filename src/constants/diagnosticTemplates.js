@@ -343,6 +343,98 @@ export const CRITICAL_VALUES = {
   POSITIVE_CSF_CULTURE: { type: 'QUALITATIVE', criticalValue: 'POSITIVE' }
 };
 
+// ============================================================================
+// DELTA CHECK LIMITS
+// ============================================================================
+
+export const DELTA_CHECK_TYPES = {
+  ABSOLUTE: 'ABSOLUTE',   // |current - previous| in result units
+  PERCENT: 'PERCENT'      // |current - previous| as % of previous
+};
+
+export const DELTA_CHECK_STATUS = {
+  PASSED: 'PASSED',
+  FAILED: 'FAILED',               // Needs QC/reviewer acknowledgement before release
+  ACKNOWLEDGED: 'ACKNOWLEDGED'
+};
+
+/**
+ * Default delta check limits per analyte, compared with the patient's most
+ * recent released value within windowHours. Templates override these through
+ * deltaCheckRules or a field-level deltaCheck.
+ */
+export const DELTA_CHECK_RULES = {
+  // Hematology
+  HEMOGLOBIN: { type: 'ABSOLUTE', limit: 2.0, windowHours: 72, unit: 'g/dL' },
+  HEMATOCRIT: { type: 'ABSOLUTE', limit: 6, windowHours: 72, unit: '%' },
+  MCV: { type: 'ABSOLUTE', limit: 3, windowHours: 720, unit: 'fL' },
+  WBC_COUNT: { type: 'PERCENT', limit: 50, windowHours: 72 },
+  PLATELET_COUNT: { type: 'PERCENT', limit: 50, windowHours: 72 },
+
+  // Biochemistry
+  SODIUM: { type: 'ABSOLUTE', limit: 8, windowHours: 48, unit: 'mEq/L' },
+  POTASSIUM: { type: 'ABSOLUTE', limit: 1.0, windowHours: 48, unit: 'mEq/L' },
+  CALCIUM: { type: 'ABSOLUTE', limit: 1.0, windowHours: 72, unit: 'mg/dL' },
+  CREATININE: { type: 'PERCENT', limit: 50, windowHours: 72 },
+  UREA: { type: 'PERCENT', limit: 50, windowHours: 72 },
+  BILIRUBIN_TOTAL: { type: 'PERCENT', limit: 50, windowHours: 72 },
+
+  // Coagulation
+  PT_INR: { type: 'ABSOLUTE', limit: 1.0, windowHours: 72, unit: '' }
+};
+
+// ============================================================================
+// AUTO-VERIFICATION
+// ============================================================================
+
+export const RELEASE_MODES = {
+  MANUAL: 'MANUAL',
+  AUTO: 'AUTO'
+};
+
+/**
+ * DiagnosticResult.qcStatus - outcome of the last QC check
+ */
+export const QC_STATUS = {
+  PENDING: 'PENDING',
+  PASSED: 'PASSED',
+  FAILED: 'FAILED'      // Returned to the technician; holds the result from auto-verification
+};
+
+export const AUTO_VERIFICATION_STATUS = {
+  PASSED: 'PASSED',     // Skipped QC and review
+  FAILED: 'FAILED',     // Held for manual QC and review (see reasons)
+  SKIPPED: 'SKIPPED'    // Template has auto-verification switched off
+};
+
+/**
+ * Reasons a result is held for manual verification
+ */
+export const AUTO_VERIFICATION_FAILURES = {
+  NO_DISCRETE_VALUE: 'No numeric or coded value to verify',
+  NO_REFERENCE_RANGE: 'No reference range to judge the value against',
+  OUT_OF_RANGE: 'Value outside the reference range',
+  CRITICAL_VALUE: 'Critical value',
+  DELTA_CHECK_FAILED: 'Delta check failed',
+  INSTRUMENT_FLAGS: 'Instrument flags present',
+  PREVIOUSLY_REJECTED: 'Result was returned by QC'
+};
+
+/**
+ * Defaults merged under DiagnosticReportTemplate.autoVerificationRules.
+ * Auto-verification is opt-in per template.
+ */
+export const DEFAULT_AUTO_VERIFICATION_RULES = {
+  enabled: false,
+  autoRelease: false,               // true: straight to RELEASED, false: stop at APPROVED
+  requireInRange: true,
+  requireNoDeltaFailure: true,
+  requireNoCriticalValues: true,
+  requireNoInstrumentFlags: true,
+  ignoredInstrumentFlags: [],       // Informational analyzer flags that don't hold a result
+  acceptedInterpretations: ['NORMAL', 'NEGATIVE', 'NON_REACTIVE', 'NOT_DETECTED']
+};
+
 // ============================================================================
 // REFERENCE RANGE AGE GROUPS (Indian Population)
 // ============================================================================
@@ -773,6 +865,14 @@ export default {
   INTERPRETATION_CODES,
   QUALITATIVE_RESULTS,
   CRITICAL_VALUES,
+  DELTA_CHECK_TYPES,
+  DELTA_CHECK_STATUS,
+  DELTA_CHECK_RULES,
+  RELEASE_MODES,
+  QC_STATUS,
+  AUTO_VERIFICATION_STATUS,
+  AUTO_VERIFICATION_FAILURES,
+  DEFAULT_AUTO_VERIFICATION_RULES,
   AGE_GROUPS,
   GENDER_TYPES,
   PREGNANCY_STATUS,
@@ -0,0 +1,116 @@
+/**
+ * Drug Interaction & Allergy Knowledge Base
+ *
+ * Built-in rules used by the medication safety check. Drugs are matched by generic
+ * name (Drug.drugName) or by class - the class of a drug is its Drug.therapeuticClass
+ * plus any class listed for its generic name in DRUG_CLASS_MEMBERS.
+ *
+ * A hospital can extend or override these rules with a local JSON file
+ * (DRUG_INTERACTIONS_FILE) of the same shape:
+ *   { "classMembers": { "NSAID": ["etoricoxib"] }, "interactions": [...], "allergyGroups": { ... } }
+ */
+
+export const INTERACTION_SEVERITY = {
+  CONTRAINDICATED: 'CONTRAINDICATED', // Never combine
+  MAJOR: 'MAJOR',                     // Avoid; needs a documented reason to proceed
+  MODERATE: 'MODERATE',               // Monitor / adjust dose
+  MINOR: 'MINOR'                      // Informational
+};
+
+// Most severe first
+export const SEVERITY_RANK = {
+  CONTRAINDICATED: 4,
+  MAJOR: 3,
+  MODERATE: 2,
+  MINOR: 1
+};
+
+// Warnings at these levels block the order until the prescriber overrides with a reason
+export const OVERRIDE_REQUIRED_SEVERITIES = [
+  INTERACTION_SEVERITY.CONTRAINDICATED,
+  INTERACTION_SEVERITY.MAJOR
+];
+
+// IPD alert severity raised for an overridden warning
+export const SEVERITY_TO_ALERT_LEVEL = {
+  CONTRAINDICATED: 'CRITICAL',
+  MAJOR: 'HIGH',
+  MODERATE: 'MEDIUM',
+  MINOR: 'LOW'
+};
+
+// Generic names (lower case) belonging to each class
+export const DRUG_CLASS_MEMBERS = {
+  NSAID: ['ibuprofen', 'diclofenac', 'naproxen', 'aceclofenac', 'ketorolac', 'mefenamic acid', 'indomethacin', 'piroxicam', 'etoricoxib', 'celecoxib'],
+  ACE_INHIBITOR: ['enalapril', 'ramipril', 'lisinopril', 'captopril', 'perindopril'],
+  ARB: ['losartan', 'telmisartan', 'olmesartan', 'valsartan', 'irbesartan'],
+  POTASSIUM_SPARING_DIURETIC: ['spironolactone', 'eplerenone', 'amiloride', 'triamterene'],
+  SSRI: ['fluoxetine', 'sertraline', 'escitalopram', 'citalopram', 'paroxetine', 'fluvoxamine'],
+  MAO_INHIBITOR: ['phenelzine', 'tranylcypromine', 'selegiline', 'moclobemide', 'linezolid'],
+  NITRATE: ['nitroglycerin', 'glyceryl trinitrate', 'isosorbide mononitrate', 'isosorbide dinitrate'],
+  PDE5_INHIBITOR: ['sildenafil', 'tadalafil', 'vardenafil'],
+  BENZODIAZEPINE: ['diazepam', 'lorazepam', 'alprazolam', 'clonazepam', 'midazolam', 'chlordiazepoxide'],
+  OPIOID: ['morphine', 'tramadol', 'codeine', 'fentanyl', 'tapentadol', 'pethidine', 'oxycodone'],
+  MACROLIDE: ['azithromycin', 'clarithromycin', 'erythromycin'],
+  FLUOROQUINOLONE: ['ciprofloxacin', 'levofloxacin', 'ofloxacin', 'moxifloxacin', 'norfloxacin'],
+  AZOLE_ANTIFUNGAL: ['fluconazole', 'itraconazole', 'ketoconazole', 'voriconazole'],
+  PROTON_PUMP_INHIBITOR: ['omeprazole', 'esomeprazole', 'pantoprazole', 'rabeprazole', 'lansoprazole'],
+  ANTACID: ['aluminium hydroxide', 'magnesium hydroxide', 'calcium carbonate', 'sodium bicarbonate'],
+  PENICILLIN: ['amoxicillin', 'ampicillin', 'cloxacillin', 'piperacillin', 'benzylpenicillin', 'phenoxymethylpenicillin', 'benzathine penicillin'],
+  CEPHALOSPORIN: ['cefalexin', 'cephalexin', 'cefadroxil', 'cefuroxime', 'ceftriaxone', 'cefixime', 'cefpodoxime', 'cefotaxime', 'ceftazidime', 'cefepime'],
+  SULFONAMIDE: ['sulfamethoxazole', 'sulfasalazine', 'sulfadiazine', 'dapsone']
+};
+
+// side: { generic } or { class }; pairs match in either order
+export const DRUG_INTERACTIONS = [
+  { a: { generic: 'warfarin' }, b: { class: 'NSAID' }, severity: 'MAJOR', effect: 'Increased bleeding risk', recommendation: 'Avoid; use paracetamol for analgesia or monitor INR closely' },
+  { a: { generic: 'warfarin' }, b: { generic: 'aspirin' }, severity: 'MAJOR', effect: 'Increased bleeding risk', recommendation: 'Combine only with a clear indication; monitor for bleeding' },
+  { a: { generic: 'warfarin' }, b: { generic: 'metronidazole' }, severity: 'MAJOR', effect: 'Raised INR (reduced warfarin metabolism)', recommendation: 'Reduce warfarin dose and check INR within 3-5 days' },
+  { a: { generic: 'warfarin' }, b: { class: 'AZOLE_ANTIFUNGAL' }, severity: 'MAJOR', effect: 'Raised INR (CYP2C9 inhibition)', recommendation: 'Monitor INR; consider warfarin dose reduction' },
+  { a: { generic: 'warfarin' }, b: { class: 'FLUOROQUINOLONE' }, severity: 'MODERATE', effect: 'Raised INR', recommendation: 'Monitor INR during and after the course' },
+  { a: { generic: 'aspirin' }, b: { class: 'NSAID' }, severity: 'MODERATE', effect: 'Increased GI bleeding; ibuprofen may blunt antiplatelet effect', recommendation: 'Avoid regular NSAID use; add gastroprotection if unavoidable' },
+  { a: { generic: 'clopidogrel' }, b: { generic: 'omeprazole' }, severity: 'MODERATE', effect: 'Reduced antiplatelet effect (CYP2C19 inhibition)', recommendation: 'Prefer pantoprazole' },
+  { a: { generic: 'clopidogrel' }, b: { generic: 'esomeprazole' }, severity: 'MODERATE', effect: 'Reduced antiplatelet effect (CYP2C19 inhibition)', recommendation: 'Prefer pantoprazole' },
+  { a: { class: 'ACE_INHIBITOR' }, b: { class: 'POTASSIUM_SPARING_DIURETIC' }, severity: 'MAJOR', effect: 'Hyperkalaemia', recommendation: 'Monitor potassium and renal function' },
+  { a: { class: 'ARB' }, b: { class: 'POTASSIUM_SPARING_DIURETIC' }, severity: 'MAJOR', effect: 'Hyperkalaemia', recommendation: 'Monitor potassium and renal function' },
+  { a: { class: 'ACE_INHIBITOR' }, b: { class: 'ARB' }, severity: 'MAJOR', effect: 'Dual RAS blockade: hyperkalaemia, hypotension, renal impairment', recommendation: 'Avoid combination' },
+  { a: { class: 'ACE_INHIBITOR' }, b: { class: 'NSAID' }, severity: 'MODERATE', effect: 'Reduced antihypertensive effect; risk of acute kidney injury', recommendation: 'Monitor BP and renal function; keep NSAID course short' },
+  { a: { class: 'ARB' }, b: { class: 'NSAID' }, severity: 'MODERATE', effect: 'Reduced antihypertensive effect; risk of acute kidney injury', recommendation: 'Monitor BP and renal function; keep NSAID course short' },
+  { a: { class: 'PDE5_INHIBITOR' }, b: { class: 'NITRATE' }, severity: 'CONTRAINDICATED', effect: 'Severe hypotension', recommendation: 'Do not combine' },
+  { a: { generic: 'simvastatin' }, b: { generic: 'clarithromycin' }, severity: 'CONTRAINDICATED', effect: 'Myopathy / rhabdomyolysis (CYP3A4 inhibition)', recommendation: 'Withhold the statin during the course or use azithromycin' },
+  { a: { generic: 'atorvastatin' }, b: { generic: 'clarithromycin' }, severity: 'MAJOR', effect: 'Myopathy risk (CYP3A4 inhibition)', recommendation: 'Limit atorvastatin dose or withhold during the course' },
+  { a: { class: 'SSRI' }, b: { class: 'MAO_INHIBITOR' }, severity: 'CONTRAINDICATED', effect: 'Serotonin syndrome', recommendation: 'Do not combine; observe washout periods' },
+  { a: { generic: 'tramadol' }, b: { class: 'SSRI' }, severity: 'MAJOR', effect: 'Serotonin syndrome; lowered seizure threshold', recommendation: 'Avoid or use the lowest dose with monitoring' },
+  { a: { class: 'BENZODIAZEPINE' }, b: { class: 'OPIOID' }, severity: 'MAJOR', effect: 'Profound sedation and respiratory depression', recommendation: 'Avoid; if required use lowest doses and monitor respiration' },
+  { a: { generic: 'methotrexate' }, b: { generic: 'trimethoprim' }, severity: 'MAJOR', effect: 'Bone marrow suppression', recommendation: 'Avoid combination' },
+  { a: { generic: 'methotrexate' }, b: { class: 'NSAID' }, severity: 'MAJOR', effect: 'Reduced methotrexate clearance; toxicity', recommendation: 'Avoid with high-dose methotrexate; monitor counts and renal function' },
+  { a: { generic: 'digoxin' }, b: { generic: 'amiodarone' }, severity: 'MAJOR', effect: 'Digoxin toxicity', recommendation: 'Halve the digoxin dose and monitor levels' },
+  { a: { generic: 'theophylline' }, b: { generic: 'ciprofloxacin' }, severity: 'MAJOR', effect: 'Theophylline toxicity (seizures, arrhythmia)', recommendation: 'Avoid or monitor theophylline levels' },
+  { a: { generic: 'lithium' }, b: { class: 'NSAID' }, severity: 'MAJOR', effect: 'Lithium toxicity', recommendation: 'Avoid or monitor lithium levels' },
+  { a: { generic: 'lithium' }, b: { class: 'ACE_INHIBITOR' }, severity: 'MAJOR', effect: 'Lithium toxicity', recommendation: 'Monitor lithium levels' },
+  { a: { class: 'FLUOROQUINOLONE' }, b: { class: 'ANTACID' }, severity: 'MODERATE', effect: 'Reduced quinolone absorption', recommendation: 'Give the quinolone 2 hours before or 6 hours after the antacid' },
+  { a: { generic: 'levothyroxine' }, b: { generic: 'calcium carbonate' }, severity: 'MINOR', effect: 'Reduced levothyroxine absorption', recommendation: 'Separate doses by 4 hours' },
+  { a: { class: 'NSAID' }, b: { class: 'NSAID' }, severity: 'MODERATE', effect: 'Duplicate NSAID therapy: additive GI and renal toxicity', recommendation: 'Use a single NSAID' }
+];
+
+// Allergy groups: a recorded allergy matching any alias covers the whole group.
+// crossReactive groups carry a lower (but non-zero) risk.
+export const ALLERGY_GROUPS = {
+  PENICILLIN: { aliases: ['penicillin', 'penicillins', 'beta lactam', 'beta-lactam'], classes: ['PENICILLIN'], crossReactive: ['CEPHALOSPORIN'] },
+  CEPHALOSPORIN: { aliases: ['cephalosporin', 'cephalosporins'], classes: ['CEPHALOSPORIN'], crossReactive: ['PENICILLIN'] },
+  SULFONAMIDE: { aliases: ['sulfa', 'sulpha', 'sulfonamide', 'sulphonamide', 'sulfa drugs'], classes: ['SULFONAMIDE'], crossReactive: [] },
+  NSAID: { aliases: ['nsaid', 'nsaids', 'aspirin'], classes: ['NSAID'], generics: ['aspirin'], crossReactive: [] },
+  FLUOROQUINOLONE: { aliases: ['quinolone', 'quinolones', 'fluoroquinolone', 'fluoroquinolones'], classes: ['FLUOROQUINOLONE'], crossReactive: [] },
+  MACROLIDE: { aliases: ['macrolide', 'macrolides'], classes: ['MACROLIDE'], crossReactive: [] },
+  OPIOID: { aliases: ['opioid', 'opioids', 'opiate', 'opiates'], classes: ['OPIOID'], crossReactive: [] }
+};
+
+export default {
+  INTERACTION_SEVERITY,
+  SEVERITY_RANK,
+  OVERRIDE_REQUIRED_SEVERITIES,
+  SEVERITY_TO_ALERT_LEVEL,
+  DRUG_CLASS_MEMBERS,
+  DRUG_INTERACTIONS,
+  ALLERGY_GROUPS
+};
@@ -0,0 +1,99 @@
+/**
+ * Specimen Tracking Constants
+ * Accessioned specimens (one per tube), chain-of-custody scan events and label
+ * formats
+ *
+ * Order items sharing a DiagnosticTest tubeType/tubeColor (and sample type) are
+ * drawn into the same tube and share one accession number. Every custody scan
+ * is stored as a SpecimenCustodyEvent; the RECEIVED_IN_LAB scan starts the TAT
+ * clock of the items in the tube.
+ */
+
+// ==================== SPECIMEN STATUS ====================
+export const SPECIMEN_STATUS = {
+  ACCESSIONED: 'ACCESSIONED',   // Accession number and label issued, not yet drawn
+  COLLECTED: 'COLLECTED',
+  DISPATCHED: 'DISPATCHED',     // In transit to the lab
+  RECEIVED: 'RECEIVED',         // Received in lab - TAT clock running
+  ALIQUOTED: 'ALIQUOTED',       // Split into child aliquot tubes
+  STORED: 'STORED',
+  DISCARDED: 'DISCARDED'
+};
+
+// ==================== CUSTODY EVENTS ====================
+export const CUSTODY_EVENT = {
+  COLLECTED: 'COLLECTED',
+  DISPATCHED: 'DISPATCHED',
+  RECEIVED_IN_LAB: 'RECEIVED_IN_LAB',
+  ALIQUOTED: 'ALIQUOTED',
+  STORED: 'STORED',
+  DISCARDED: 'DISCARDED'
+};
+
+// Status a specimen moves to on each scan
+export const CUSTODY_EVENT_STATUS = {
+  COLLECTED: SPECIMEN_STATUS.COLLECTED,
+  DISPATCHED: SPECIMEN_STATUS.DISPATCHED,
+  RECEIVED_IN_LAB: SPECIMEN_STATUS.RECEIVED,
+  ALIQUOTED: SPECIMEN_STATUS.ALIQUOTED,
+  STORED: SPECIMEN_STATUS.STORED,
+  DISCARDED: SPECIMEN_STATUS.DISCARDED
+};
+
+// Scans accepted in each specimen status (STORED -> STORED moves it to another location)
+export const CUSTODY_TRANSITIONS = {
+  ACCESSIONED: [CUSTODY_EVENT.COLLECTED, CUSTODY_EVENT.DISCARDED],
+  COLLECTED: [CUSTODY_EVENT.DISPATCHED, CUSTODY_EVENT.RECEIVED_IN_LAB, CUSTODY_EVENT.DISCARDED],
+  DISPATCHED: [CUSTODY_EVENT.RECEIVED_IN_LAB, CUSTODY_EVENT.DISCARDED],
+  RECEIVED: [CUSTODY_EVENT.ALIQUOTED, CUSTODY_EVENT.STORED, CUSTODY_EVENT.DISCARDED],
+  ALIQUOTED: [CUSTODY_EVENT.STORED, CUSTODY_EVENT.DISCARDED],
+  STORED: [CUSTODY_EVENT.ALIQUOTED, CUSTODY_EVENT.STORED, CUSTODY_EVENT.DISCARDED],
+  DISCARDED: []
+};
+
+// ==================== LABELS ====================
+export const LABEL_FORMATS = {
+  PDF: 'PDF',
+  ZPL: 'ZPL'
+};
+
+export const BARCODE_SYMBOLOGIES = {
+  CODE128: 'CODE128',
+  QR: 'QR'
+};
+
+export const SPECIMEN_CONFIG = {
+  ACCESSION_PREFIX: 'ACC',
+  MAX_ALIQUOTS: 10,
+  LABEL_WIDTH_MM: 50,           // Standard 50 x 25 mm tube label
+  LABEL_HEIGHT_MM: 25,
+  ZPL_DOTS_PER_MM: 8            // 203 dpi thermal printers
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Key grouping order items that are drawn into the same tube
+ */
+export function getTubeKey(test) {
+  return [test?.tubeType || 'NONE', test?.tubeColor || 'NONE', test?.sampleType || 'NONE'].join('|');
+}
+
+/**
+ * Whether a scan is accepted in the specimen's current status
+ */
+export function canRecordCustodyEvent(status, event) {
+  return (CUSTODY_TRANSITIONS[status] || []).includes(event);
+}
+
+export default {
+  SPECIMEN_STATUS,
+  CUSTODY_EVENT,
+  CUSTODY_EVENT_STATUS,
+  CUSTODY_TRANSITIONS,
+  LABEL_FORMATS,
+  BARCODE_SYMBOLOGIES,
+  SPECIMEN_CONFIG,
+  getTubeKey,
+  canRecordCustodyEvent
+};
@@ -828,6 +828,41 @@ export const updateGeofenceSettings = async (req, res, next) => {
   }
 };
 
+/**
+ * Get billing (GST / invoice) configuration
+ * GET /api/v1/admin/billing-config
+ */
+export const getBillingConfig = async (req, res, next) => {
+  try {
+    const service = new AdminService(req.tenantPrisma);
+    const result = await service.getBillingConfig(req.user.hospitalId);
+
+    return res.status(HttpStatus.OK).json(
+      ApiResponse.success(result)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update billing (GST / invoice) configuration
+ * PUT /api/v1/admin/billing-config
+ * Body: { gstRate, cgstRate, sgstRate, igstRate, hsnSacCode, gstNumber, panNumber, invoicePrefix, taxExemption, ... }
+ */
+export const updateBillingConfig = async (req, res, next) => {
+  try {
+    const service = new AdminService(req.tenantPrisma);
+    const result = await service.updateBillingConfig(req.user.hospitalId, req.body);
+
+    return res.status(HttpStatus.OK).json(
+      ApiResponse.success(result, result.message)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Lookup postal PIN code
  * GET /api/v1/admin/pincode-lookup/:pincode
@@ -880,5 +915,7 @@ export default {
   deleteFormField,
   getGeofenceSettings,
   updateGeofenceSettings,
-  lookupPinCode
+  lookupPinCode,
+  getBillingConfig,
+  updateBillingConfig
 };
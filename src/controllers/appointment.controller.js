@@ -0,0 +1,257 @@
+/**
+ * Appointment Controller
+ * HTTP request handlers for doctor schedules and appointment booking
+ */
+
+import { AppointmentService } from '../services/appointment.service.js';
+import { ApiResponse } from '../shared/ApiResponse.js';
+
+/**
+ * Get service instance for request
+ */
+function getAppointmentService(req) {
+  return new AppointmentService(req.prisma);
+}
+
+// ==================== DOCTOR SCHEDULE ENDPOINTS ====================
+
+/**
+ * Create doctor schedule
+ * POST /api/appointments/schedules
+ */
+export async function createSchedule(req, res, next) {
+  try {
+    const appointmentService = getAppointmentService(req);
+    const result = await appointmentService.createSchedule(req.body);
+    res.status(201).json(ApiResponse.success(result, 'Schedule created'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get doctor schedules
+ * GET /api/appointments/schedules
+ */
+export async function getSchedules(req, res, next) {
+  try {
+    const appointmentService = getAppointmentService(req);
+    const { doctorId, departmentId, dayOfWeek, isActive } = req.query;
+
+    const result = await appointmentService.getSchedules({
+      doctorId,
+      departmentId,
+      dayOfWeek: dayOfWeek !== undefined ? parseInt(dayOfWeek) : undefined,
+      isActive: isActive === 'true' ? true : isActive === 'false' ? false : undefined
+    });
+
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get schedule by ID
+ * GET /api/appointments/schedules/:id
+ */
+export async function getScheduleById(req, res, next) {
+  try {
+    const appointmentService = getAppointmentService(req);
+    const result = await appointmentService.getScheduleById(req.params.id);
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update doctor schedule
+ * PUT /api/appointments/schedules/:id
+ */
+export async function updateSchedule(req, res, next) {
+  try {
+    const appointmentService = getAppointmentService(req);
+    const result = await appointmentService.updateSchedule(req.params.id, req.body);
+    res.json(ApiResponse.success(result, 'Schedule updated'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete doctor schedule
+ * DELETE /api/appointments/schedules/:id
+ */
+export async function deleteSchedule(req, res, next) {
+  try {
+    const appointmentService = getAppointmentService(req);
+    const result = await appointmentService.deleteSchedule(req.params.id);
+    res.json(ApiResponse.success(result, 'Schedule deleted'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ==================== SLOT ENDPOINTS ====================
+
+/**
+ * Get available slots for a doctor
+ * GET /api/appointments/doctors/:doctorId/slots
+ */
+export async function getDoctorSlots(req, res, next) {
+  try {
+    const appointmentService = getAppointmentService(req);
+    const { date, fromDate, toDate, departmentId } = req.query;
+
+    const result = await appointmentService.getAvailableSlots(req.params.doctorId, {
+      date,
+      fromDate,
+      toDate,
+      departmentId
+    });
+
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ==================== APPOINTMENT ENDPOINTS ====================
+
+/**
+ * Book appointment
+ * POST /api/appointments/book
+ */
+export async function bookAppointment(req, res, next) {
+  try {
+    const appointmentService = getAppointmentService(req);
+    const result = await appointmentService.bookAppointment(req.body, req.user?.id);
+    res.status(201).json(ApiResponse.success(result, 'Appointment booked'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List appointments
+ * GET /api/appointments/list
+ */
+export async function getAppointments(req, res, next) {
+  try {
+    const appointmentService = getAppointmentService(req);
+    const { doctorId, patientId, departmentId, status, date, fromDate, toDate, limit, offset } = req.query;
+
+    const result = await appointmentService.getAppointments({
+      doctorId,
+      patientId,
+      departmentId,
+      status,
+      date,
+      fromDate,
+      toDate,
+      limit: limit ? parseInt(limit) : 50,
+      offset: offset ? parseInt(offset) : 0
+    });
+
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get appointment by ID
+ * GET /api/appointments/:id
+ */
+export async function getAppointmentById(req, res, next) {
+  try {
+    const appointmentService = getAppointmentService(req);
+    const result = await appointmentService.getAppointmentById(req.params.id);
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Reschedule appointment
+ * POST /api/appointments/:id/reschedule
+ */
+export async function rescheduleAppointment(req, res, next) {
+  try {
+    const appointmentService = getAppointmentService(req);
+    const result = await appointmentService.rescheduleAppointment(
+      req.params.id,
+      req.body,
+      req.user?.id
+    );
+    res.json(ApiResponse.success(result, 'Appointment rescheduled'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Cancel appointment
+ * POST /api/appointments/:id/cancel
+ */
+export async function cancelAppointment(req, res, next) {
+  try {
+    const appointmentService = getAppointmentService(req);
+    const result = await appointmentService.cancelAppointment(
+      req.params.id,
+      req.body.reason,
+      req.user?.id
+    );
+    res.json(ApiResponse.success(result, 'Appointment cancelled'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Mark appointment as no-show
+ * POST /api/appointments/:id/no-show
+ */
+export async function markNoShow(req, res, next) {
+  try {
+    const appointmentService = getAppointmentService(req);
+    const result = await appointmentService.markNoShow(req.params.id, req.user?.id);
+    res.json(ApiResponse.success(result, 'Appointment marked as no-show'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Mark all overdue booked appointments for a day as no-show
+ * POST /api/appointments/no-show/sweep
+ */
+export async function markPastNoShows(req, res, next) {
+  try {
+    const appointmentService = getAppointmentService(req);
+    const result = await appointmentService.markPastNoShows(req.body?.date, req.user?.id);
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Check in appointment (creates visit + queue entry)
+ * POST /api/appointments/:id/check-in
+ */
+export async function checkInAppointment(req, res, next) {
+  try {
+    const appointmentService = getAppointmentService(req);
+    const result = await appointmentService.checkInAppointment(
+      req.params.id,
+      req.body,
+      req.user?.id
+    );
+    res.json(ApiResponse.success(result, 'Appointment checked in'));
+  } catch (error) {
+    next(error);
+  }
+}
@@ -4,8 +4,18 @@
  */
 
 import { BillingService } from '../services/billing.service.js';
+import { PaymentLedgerService } from '../services/billing.ledger.service.js';
 import ApiResponse from '../shared/ApiResponse.js';
 import { HttpStatus } from '../constants/HttpStatus.js';
+import { hasPermission, PERMISSIONS } from '../rbac/rolePermissions.js';
+
+/**
+ * Current user for the ledger - MANAGE_BILLING sees every counter and approves other users' refunds / credit notes
+ */
+const getLedgerUser = (req) => ({
+  id: req.user.id,
+  canApprove: req.user.role === 'SUPER_ADMIN' || hasPermission(req.user.permissions, PERMISSIONS.MANAGE_BILLING)
+});
 
 /**
  * Billing login
@@ -193,8 +203,9 @@ export const getBillByPatientAndBillId = async (req, res, next) => {
 };
 
 /**
- * Receive payment
+ * Receive payment (single tender, or split tenders via payments[])
  * POST /api/v1/billing/bills/:billId/payment
+ * Body: { paymentMode, amount?, paymentDetails? } or { payments: [{ paymentMode, amount, referenceNumber? }] }
  */
 export const receivePayment = async (req, res, next) => {
   try {
@@ -202,7 +213,8 @@ export const receivePayment = async (req, res, next) => {
     const result = await service.receivePayment(
       req.params.billId,
       req.body,
-      req.user.hospitalId
+      req.user.hospitalId,
+      req.user.id
     );
     
     return res.status(HttpStatus.OK).json(
@@ -213,6 +225,282 @@ export const receivePayment = async (req, res, next) => {
   }
 };
 
+/**
+ * Get GST tax invoice for a bill
+ * GET /api/v1/billing/bills/:billId/invoice
+ */
+export const getTaxInvoice = async (req, res, next) => {
+  try {
+    const service = new BillingService(req.tenantPrisma);
+    const result = await service.getTaxInvoice(req.params.billId, req.user.hospitalId);
+    
+    return res.status(HttpStatus.OK).json(
+      ApiResponse.success(result)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download GST tax invoice as PDF
+ * GET /api/v1/billing/bills/:billId/invoice/pdf
+ */
+export const downloadTaxInvoicePdf = async (req, res, next) => {
+  try {
+    const service = new BillingService(req.tenantPrisma);
+    const { invoiceNumber, pdfBuffer } = await service.generateTaxInvoicePdf(
+      req.params.billId,
+      req.user.hospitalId
+    );
+
+    // Invoice numbers contain "/" which is not valid in a filename
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="Invoice_${invoiceNumber.replace(/\//g, '-')}.pdf"`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==================== PAYMENT LEDGER ====================
+
+/**
+ * Get bill payment ledger
+ * GET /api/v1/billing/bills/:billId/ledger
+ */
+export const getBillLedger = async (req, res, next) => {
+  try {
+    const service = new PaymentLedgerService(req.tenantPrisma);
+    const result = await service.getBillLedger(req.params.billId, req.user.hospitalId);
+
+    return res.status(HttpStatus.OK).json(
+      ApiResponse.success(result)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Refund against a bill
+ * POST /api/v1/billing/bills/:billId/refunds
+ * Body: { amount, paymentMode, reason, referenceNumber?, notes? }
+ */
+export const refundBill = async (req, res, next) => {
+  try {
+    const service = new PaymentLedgerService(req.tenantPrisma);
+    const result = await service.refundBill(req.params.billId, req.body, req.user.hospitalId, getLedgerUser(req));
+
+    return res.status(HttpStatus.CREATED).json(
+      ApiResponse.success(result, result.message)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issue credit note against a bill
+ * POST /api/v1/billing/bills/:billId/credit-notes
+ * Body: { amount, reason, notes? }
+ */
+export const issueCreditNote = async (req, res, next) => {
+  try {
+    const service = new PaymentLedgerService(req.tenantPrisma);
+    const result = await service.issueCreditNote(req.params.billId, req.body, req.user.hospitalId, getLedgerUser(req));
+
+    return res.status(HttpStatus.CREATED).json(
+      ApiResponse.success(result, result.message)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Collect advance / deposit from patient
+ * POST /api/v1/billing/patients/:patientId/advances
+ * Body: { amount, paymentMode, referenceNumber?, paymentDetails?, notes? }
+ */
+export const recordAdvance = async (req, res, next) => {
+  try {
+    const service = new PaymentLedgerService(req.tenantPrisma);
+    const result = await service.recordAdvance(req.params.patientId, req.body, req.user.hospitalId, req.user.id);
+
+    return res.status(HttpStatus.CREATED).json(
+      ApiResponse.success(result, result.message)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get patient advance account
+ * GET /api/v1/billing/patients/:patientId/advances
+ */
+export const getAdvanceAccount = async (req, res, next) => {
+  try {
+    const service = new PaymentLedgerService(req.tenantPrisma);
+    const result = await service.getAdvanceAccount(req.params.patientId, req.user.hospitalId);
+
+    return res.status(HttpStatus.OK).json(
+      ApiResponse.success(result)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Refund unused advance
+ * POST /api/v1/billing/patients/:patientId/advances/refunds
+ * Body: { amount, paymentMode, reason, referenceNumber?, notes? }
+ */
+export const refundAdvance = async (req, res, next) => {
+  try {
+    const service = new PaymentLedgerService(req.tenantPrisma);
+    const result = await service.refundAdvance(req.params.patientId, req.body, req.user.hospitalId, getLedgerUser(req));
+
+    return res.status(HttpStatus.CREATED).json(
+      ApiResponse.success(result, result.message)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List ledger transactions
+ * GET /api/v1/billing/transactions?type=&status=&paymentMode=&patientId=&fromDate=&toDate=
+ */
+export const listTransactions = async (req, res, next) => {
+  try {
+    const service = new PaymentLedgerService(req.tenantPrisma);
+    const { type, status, paymentMode, patientId, fromDate, toDate, limit } = req.query;
+    const result = await service.getTransactions(req.user.hospitalId, {
+      type,
+      status,
+      paymentMode,
+      patientId,
+      fromDate: fromDate ? new Date(fromDate) : undefined,
+      toDate: toDate ? new Date(toDate) : undefined,
+      limit: limit ? parseInt(limit) : 200
+    });
+
+    return res.status(HttpStatus.OK).json(
+      ApiResponse.success(result)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve pending refund / credit note
+ * POST /api/v1/billing/transactions/:transactionId/approve
+ */
+export const approveTransaction = async (req, res, next) => {
+  try {
+    const service = new PaymentLedgerService(req.tenantPrisma);
+    const result = await service.approveTransaction(req.params.transactionId, req.user.hospitalId, req.user.id);
+
+    return res.status(HttpStatus.OK).json(
+      ApiResponse.success(result, result.message)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject pending refund / credit note
+ * POST /api/v1/billing/transactions/:transactionId/reject
+ * Body: { reason }
+ */
+export const rejectTransaction = async (req, res, next) => {
+  try {
+    const service = new PaymentLedgerService(req.tenantPrisma);
+    const result = await service.rejectTransaction(
+      req.params.transactionId,
+      req.body.reason,
+      req.user.hospitalId,
+      req.user.id
+    );
+
+    return res.status(HttpStatus.OK).json(
+      ApiResponse.success(result, result.message)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==================== CASH COUNTER CLOSING ====================
+
+/**
+ * Daily cash-counter report by payment mode
+ * GET /api/v1/billing/cash-closing/report?date=YYYY-MM-DD&recordedBy=
+ * Cashiers see their own counter; MANAGE_BILLING can see any counter or all of them.
+ */
+export const getCashClosingReport = async (req, res, next) => {
+  try {
+    const service = new PaymentLedgerService(req.tenantPrisma);
+    const { canApprove } = getLedgerUser(req);
+    const result = await service.getCashClosingReport(req.user.hospitalId, {
+      date: req.query.date,
+      recordedBy: canApprove ? req.query.recordedBy : req.user.id
+    });
+
+    return res.status(HttpStatus.OK).json(
+      ApiResponse.success(result)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Close own cash counter for the day
+ * POST /api/v1/billing/cash-closing
+ * Body: { date?, declared: { Cash, Card, UPI, ... }, notes? }
+ */
+export const closeCashCounter = async (req, res, next) => {
+  try {
+    const service = new PaymentLedgerService(req.tenantPrisma);
+    const result = await service.closeCashCounter(req.user.hospitalId, req.user.id, req.body);
+
+    return res.status(HttpStatus.CREATED).json(
+      ApiResponse.success(result, result.message)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List cash counter closings
+ * GET /api/v1/billing/cash-closing?fromDate=YYYY-MM-DD&toDate=YYYY-MM-DD&closedBy=
+ */
+export const listCashClosings = async (req, res, next) => {
+  try {
+    const service = new PaymentLedgerService(req.tenantPrisma);
+    const { canApprove } = getLedgerUser(req);
+    const result = await service.getCashClosings(req.user.hospitalId, {
+      fromDate: req.query.fromDate,
+      toDate: req.query.toDate,
+      closedBy: canApprove ? req.query.closedBy : req.user.id
+    });
+
+    return res.status(HttpStatus.OK).json(
+      ApiResponse.success(result)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
 export default {
   billingLogin,
   createPatient,
@@ -223,7 +511,21 @@ export default {
   listBills,
   getBill,
   getBillByPatientAndBillId,
-  receivePayment
+  receivePayment,
+  getTaxInvoice,
+  downloadTaxInvoicePdf,
+  getBillLedger,
+  refundBill,
+  issueCreditNote,
+  recordAdvance,
+  getAdvanceAccount,
+  refundAdvance,
+  listTransactions,
+  approveTransaction,
+  rejectTransaction,
+  getCashClosingReport,
+  closeCashCounter,
+  listCashClosings
 };
 
 
@@ -19,9 +19,22 @@ export const formatBill = (bill) => ({
   hospitalId: bill.hospitalId,
   services: bill.services,
   totalAmount: bill.totalAmount,
+  invoiceNumber: bill.invoiceNumber,
+  subtotal: bill.subtotal,
+  cgstAmount: bill.cgstAmount,
+  sgstAmount: bill.sgstAmount,
+  igstAmount: bill.igstAmount,
+  taxAmount: bill.taxAmount,
+  isInterState: bill.isInterState,
+  placeOfSupply: bill.placeOfSupply,
+  customerGstin: bill.customerGstin,
   paymentStatus: bill.paymentStatus,
   paymentMode: bill.paymentMode,
   paymentDetails: bill.paymentDetails,
+  paidAmount: bill.paidAmount,
+  refundedAmount: bill.refundedAmount,
+  creditedAmount: bill.creditedAmount,
+  balanceDue: bill.balanceDue,
   isEmergency: bill.isEmergency || false,
   visitType: bill.visitType,
   departmentCode: bill.departmentCode,
@@ -37,10 +50,12 @@ export const formatBill = (bill) => ({
 export const formatBillListItem = (bill) => ({
   billId: bill.billId,
   billDate: bill.billDate,
+  invoiceNumber: bill.invoiceNumber,
   services: bill.services,
   totalAmount: bill.totalAmount,
   paymentStatus: bill.paymentStatus,
-  paymentMode: bill.paymentMode
+  paymentMode: bill.paymentMode,
+  balanceDue: bill.balanceDue
 });
 
 /**
@@ -5,6 +5,9 @@
 
 import { DiagnosticsService } from '../services/diagnostics.service.js';
 import { DiagnosticsBillingService } from '../services/diagnostics.billing.service.js';
+import { ReflexTestingService } from '../services/reflexTesting.service.js';
+import { SpecimenService } from '../services/specimen.service.js';
+import { AnalyzerService } from '../services/analyzer.service.js';
 import { ApiResponse } from '../shared/ApiResponse.js';
 
 /**
@@ -17,6 +20,21 @@ const getService = (req) => new DiagnosticsService(req.prisma);
  */
 const getBillingService = (req) => new DiagnosticsBillingService(req.prisma);
 
+/**
+ * Get Reflex Testing Service instance
+ */
+const getReflexService = (req) => new ReflexTestingService(req.prisma);
+
+/**
+ * Get Specimen Service instance
+ */
+const getSpecimenService = (req) => new SpecimenService(req.prisma);
+
+/**
+ * Get Analyzer Service instance
+ */
+const getAnalyzerService = (req) => new AnalyzerService(req.prisma);
+
 // ==================== DIAGNOSTIC TESTS ====================
 
 /**
@@ -287,6 +305,68 @@ export async function rejectSample(req, res, next) {
   }
 }
 
+// ==================== SPECIMEN TRACKING ====================
+
+/**
+ * Download tube labels for an order (PDF or ZPL)
+ */
+export async function getOrderLabels(req, res, next) {
+  try {
+    const specimenService = getSpecimenService(req);
+    const { filename, contentType, body } = await specimenService.renderOrderLabels(
+      req.params.orderId,
+      req.hospitalId,
+      req.user.id,
+      req.query
+    );
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Record a specimen custody scan
+ */
+export async function scanSpecimen(req, res, next) {
+  try {
+    const service = getService(req);
+    const result = await service.scanSpecimen(req.body, req.hospitalId, req.user.id);
+    res.json(ApiResponse.success(result.specimen, result.message));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get specimens
+ */
+export async function getSpecimens(req, res, next) {
+  try {
+    const specimenService = getSpecimenService(req);
+    const specimens = await specimenService.getSpecimens(req.hospitalId, req.query);
+    res.json(ApiResponse.success(specimens));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get specimen with custody chain by accession number or sample ID
+ */
+export async function getSpecimen(req, res, next) {
+  try {
+    const specimenService = getSpecimenService(req);
+    const specimen = await specimenService.getSpecimen(req.params.code, req.hospitalId);
+    res.json(ApiResponse.success(specimen));
+  } catch (error) {
+    next(error);
+  }
+}
+
 // ==================== RESULTS MANAGEMENT ====================
 
 /**
@@ -300,7 +380,7 @@ export async function enterResult(req, res, next) {
       req.hospitalId,
       req.user.id
     );
-    res.status(201).json(ApiResponse.success(result.result, result.message));
+    res.status(201).json(ApiResponse.success({ ...result.result, reflexTests: result.reflexTests }, result.message));
   } catch (error) {
     next(error);
   }
@@ -334,7 +414,7 @@ export async function pathologistReview(req, res, next) {
       req.hospitalId,
       req.user.id
     );
-    res.json(ApiResponse.success(result.result, result.message));
+    res.json(ApiResponse.success({ ...result.result, reflexTests: result.reflexTests }, result.message));
   } catch (error) {
     next(error);
   }
@@ -501,6 +581,168 @@ export async function getTATAnalysis(req, res, next) {
   }
 }
 
+// ==================== REFLEX TESTING ====================
+
+/**
+ * Get reflex test requests
+ */
+export async function getReflexRequests(req, res, next) {
+  try {
+    const reflexService = getReflexService(req);
+    const requests = await reflexService.getRequests(req.hospitalId, req.query);
+    res.json(ApiResponse.success(requests));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Approve reflex test request
+ */
+export async function approveReflexRequest(req, res, next) {
+  try {
+    const reflexService = getReflexService(req);
+    const result = await reflexService.approveRequest(req.params.requestId, req.hospitalId, req.user.id);
+    res.json(ApiResponse.success(result.request, result.message));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Decline reflex test request
+ */
+export async function declineReflexRequest(req, res, next) {
+  try {
+    const reflexService = getReflexService(req);
+    const result = await reflexService.declineRequest(
+      req.params.requestId,
+      req.body.reason,
+      req.hospitalId,
+      req.user.id
+    );
+    res.json(ApiResponse.success(result.request, result.message));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ==================== LAB ANALYZERS ====================
+
+/**
+ * Get lab analyzers
+ */
+export async function getAnalyzers(req, res, next) {
+  try {
+    const analyzerService = getAnalyzerService(req);
+    const analyzers = await analyzerService.getAnalyzers(req.hospitalId, req.query);
+    res.json(ApiResponse.success(analyzers));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Register a lab analyzer
+ */
+export async function createAnalyzer(req, res, next) {
+  try {
+    const analyzerService = getAnalyzerService(req);
+    const analyzer = await analyzerService.createAnalyzer(req.body, req.hospitalId, req.user.id);
+    res.status(201).json(ApiResponse.success(analyzer, 'Analyzer registered successfully'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a lab analyzer (connection, test code map, active flag)
+ */
+export async function updateAnalyzer(req, res, next) {
+  try {
+    const analyzerService = getAnalyzerService(req);
+    const analyzer = await analyzerService.updateAnalyzer(req.params.analyzerId, req.body, req.hospitalId);
+    res.json(ApiResponse.success(analyzer, 'Analyzer updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Import an uploaded analyzer message
+ */
+export async function uploadAnalyzerMessage(req, res, next) {
+  try {
+    const analyzerService = getAnalyzerService(req);
+    const result = await analyzerService.uploadMessage(req.params.analyzerId, req.body, req.hospitalId);
+    res.json(ApiResponse.success(result, `Message ${result.message.status.toLowerCase()}`));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Send a simulated analyzer run for a specimen
+ */
+export async function simulateAnalyzerRun(req, res, next) {
+  try {
+    const analyzerService = getAnalyzerService(req);
+    const result = await analyzerService.simulateRun(req.params.analyzerId, req.body, req.hospitalId);
+    res.json(ApiResponse.success(result, `Simulated run sent via ${result.delivery}`));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get analyzer messages (reconciliation queue by default)
+ */
+export async function getAnalyzerMessages(req, res, next) {
+  try {
+    const analyzerService = getAnalyzerService(req);
+    const result = await analyzerService.getMessages(req.hospitalId, req.query);
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Retry the unmatched results of an analyzer message
+ */
+export async function reprocessAnalyzerMessage(req, res, next) {
+  try {
+    const analyzerService = getAnalyzerService(req);
+    const message = await analyzerService.reprocessMessage(
+      req.params.messageId,
+      req.body,
+      req.hospitalId,
+      req.user.id
+    );
+    res.json(ApiResponse.success(message, `Message ${message.status.toLowerCase()}`));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Discard an analyzer message from the reconciliation queue
+ */
+export async function discardAnalyzerMessage(req, res, next) {
+  try {
+    const analyzerService = getAnalyzerService(req);
+    const message = await analyzerService.discardMessage(
+      req.params.messageId,
+      req.body.reason,
+      req.hospitalId,
+      req.user.id
+    );
+    res.json(ApiResponse.success(message, 'Message discarded'));
+  } catch (error) {
+    next(error);
+  }
+}
+
 // ==================== BILLING INTEGRATION ====================
 
 /**
@@ -4,6 +4,8 @@
  */
 
 import { ValidationError } from '../shared/AppError.js';
+import { CUSTODY_EVENT } from '../constants/specimenTracking.js';
+import { ANALYZER_PROTOCOLS, ANALYZER_TRANSPORTS } from '../constants/analyzerInterface.js';
 
 // ============================================================================
 // DTOs (Data Transfer Objects)
@@ -45,6 +47,7 @@ export function formatDiagnosticTest(test) {
     // Reference ranges
     referenceRanges: test.referenceRanges,
     unit: test.unit,
+    reflexRules: test.reflexRules,
     
     // Service config
     homeCollectionAvailable: test.homeCollectionAvailable,
@@ -160,10 +163,20 @@ export function formatOrderItem(item) {
     sampleQuality: item.sampleQuality,
     sampleRejected: item.sampleRejected,
     
+    // Specimen (tube)
+    specimenId: item.specimenId,
+    accessionNumber: item.barcodeData,
+    labReceivedAt: item.labReceivedAt,
+    
     // Status
     status: item.status,
     priority: item.priority,
     
+    // Reflex
+    isReflex: item.isReflex,
+    reflexSourceItemId: item.reflexSourceItemId,
+    reflexRuleCode: item.reflexRuleCode,
+    
     // TAT
     expectedCompletionAt: item.expectedCompletionAt,
     actualCompletionAt: item.actualCompletionAt,
@@ -455,6 +468,26 @@ export const INTERPRETATIONS = [
   'INCONCLUSIVE'
 ];
 
+// Reflex rule triggers: on result save, or on QC/pathologist approval
+export const REFLEX_TRIGGERS = [
+  'SAVE',
+  'APPROVAL'
+];
+
+// Reflex rule condition operators (value is [min, max] for BETWEEN/OUTSIDE, a list for IN/INTERPRETATION_IN)
+export const REFLEX_OPERATORS = [
+  'GT',
+  'GTE',
+  'LT',
+  'LTE',
+  'EQ',
+  'NEQ',
+  'BETWEEN',
+  'OUTSIDE',
+  'IN',
+  'INTERPRETATION_IN'
+];
+
 /**
  * Validate diagnostic test create/update
  */
@@ -492,11 +525,76 @@ export function validateDiagnosticTest(data, isUpdate = false) {
     errors.push('Fasting hours required when fasting is required');
   }
 
+  if (data.reflexRules !== undefined) {
+    errors.push(...getReflexRuleErrors(data.reflexRules));
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors.join('; '));
+  }
+}
+
+/**
+ * Validate reflex rules (DiagnosticTest / template reflexRules)
+ */
+export function validateReflexRules(rules) {
+  const errors = getReflexRuleErrors(rules);
+
   if (errors.length > 0) {
     throw new ValidationError(errors.join('; '));
   }
 }
 
+/**
+ * Reflex rule problems as messages (empty when valid)
+ */
+export function getReflexRuleErrors(rules) {
+  const errors = [];
+
+  if (!Array.isArray(rules)) {
+    return ['Reflex rules must be an array'];
+  }
+
+  const codes = new Set();
+  rules.forEach((rule, index) => {
+    const label = `Reflex rule ${rule?.code || index + 1}`;
+
+    if (!rule?.code?.trim()) {
+      errors.push(`Reflex rule ${index + 1}: code is required`);
+    } else if (codes.has(rule.code)) {
+      errors.push(`${label}: duplicate code`);
+    } else {
+      codes.add(rule.code);
+    }
+
+    const operator = rule?.condition?.operator;
+    const value = rule?.condition?.value;
+    if (!REFLEX_OPERATORS.includes(operator)) {
+      errors.push(`${label}: condition operator must be one of: ${REFLEX_OPERATORS.join(', ')}`);
+    } else if (['BETWEEN', 'OUTSIDE'].includes(operator)) {
+      if (!Array.isArray(value) || value.length !== 2 || value.some(v => !Number.isFinite(Number(v)))) {
+        errors.push(`${label}: ${operator} needs a [min, max] value`);
+      }
+    } else if (['IN', 'INTERPRETATION_IN'].includes(operator)) {
+      if (!Array.isArray(value) || value.length === 0) {
+        errors.push(`${label}: ${operator} needs a list of values`);
+      }
+    } else if (value === undefined || value === null || value === '') {
+      errors.push(`${label}: condition value is required`);
+    }
+
+    if (!Array.isArray(rule?.addTests) || rule.addTests.length === 0) {
+      errors.push(`${label}: addTests must list at least one test code`);
+    }
+
+    if (rule?.trigger && !REFLEX_TRIGGERS.includes(rule.trigger)) {
+      errors.push(`${label}: trigger must be one of: ${REFLEX_TRIGGERS.join(', ')}`);
+    }
+  });
+
+  return errors;
+}
+
 /**
  * Validate diagnostic order create
  */
@@ -555,6 +653,87 @@ export function validateSampleCollection(data) {
   }
 }
 
+/**
+ * Validate specimen custody scan
+ */
+export function validateCustodyScan(data) {
+  const errors = [];
+
+  if (!data.code?.trim()) {
+    errors.push('Scanned code is required');
+  }
+
+  if (!Object.values(CUSTODY_EVENT).includes(data.event)) {
+    errors.push(`Event must be one of: ${Object.values(CUSTODY_EVENT).join(', ')}`);
+  }
+
+  if (data.aliquots !== undefined && !Array.isArray(data.aliquots)) {
+    errors.push('aliquots must be an array');
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors.join('; '));
+  }
+}
+
+/**
+ * Validate lab analyzer create/update
+ */
+export function validateAnalyzer(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate) {
+    if (!data.code?.trim()) {
+      errors.push('Analyzer code is required');
+    }
+    if (!data.name?.trim()) {
+      errors.push('Analyzer name is required');
+    }
+  }
+
+  if ((!isUpdate || data.protocol !== undefined) && !Object.values(ANALYZER_PROTOCOLS).includes(data.protocol)) {
+    errors.push(`Protocol must be one of: ${Object.values(ANALYZER_PROTOCOLS).join(', ')}`);
+  }
+
+  if ((!isUpdate || data.transport !== undefined) && !Object.values(ANALYZER_TRANSPORTS).includes(data.transport)) {
+    errors.push(`Transport must be one of: ${Object.values(ANALYZER_TRANSPORTS).join(', ')}`);
+  }
+
+  if (data.tcpPort !== undefined && data.tcpPort !== null &&
+    !(Number.isInteger(data.tcpPort) && data.tcpPort > 0 && data.tcpPort < 65536)) {
+    errors.push('TCP port must be between 1 and 65535');
+  }
+
+  if (data.testCodeMap !== undefined) {
+    errors.push(...getTestCodeMapErrors(data.testCodeMap));
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors.join('; '));
+  }
+}
+
+/**
+ * Analyzer testCodeMap problems as messages (empty when valid)
+ * { "<instrument code>": { testCode, fieldCode? } }
+ */
+export function getTestCodeMapErrors(map) {
+  if (!map || typeof map !== 'object' || Array.isArray(map)) {
+    return ['Test code map must be an object keyed by instrument code'];
+  }
+
+  const errors = [];
+  for (const [instrumentCode, target] of Object.entries(map)) {
+    if (!target?.testCode?.trim?.()) {
+      errors.push(`Test code map ${instrumentCode}: testCode is required`);
+    }
+    if (target?.fieldCode !== undefined && target.fieldCode !== null && typeof target.fieldCode !== 'string') {
+      errors.push(`Test code map ${instrumentCode}: fieldCode must be a string`);
+    }
+  }
+  return errors;
+}
+
 /**
  * Validate result entry
  */
@@ -19,7 +19,10 @@ export * from './patient.controller.js';
 // Operations Controllers
 export * from './attendance.controller.js';
 export * from './billing.controller.js';
+export * from './insurance.controller.js';
 export * from './queue.controller.js';
+export * from './appointment.controller.js';
+export * from './room.controller.js';
 export * from './visit.controller.js';
 
 // Clinical Controllers
@@ -29,8 +32,12 @@ export * from './opd-consultation.controller.js';
 export * from './opd-dashboard.controller.js';
 export * from './opd-login.controller.js';
 export * from './pharmacy.controller.js';
+export * from './pharmacy-procurement.controller.js';
 export * from './reports.controller.js';
 
+// Notification Controllers
+export * from './notification.controller.js';
+
 // Onboarding Controllers
 export * from './publicRegistration.controller.js';
 export * from './onboarding.controller.js';
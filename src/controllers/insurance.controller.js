@@ -0,0 +1,304 @@
+/**
+ * Insurance Controller
+ * HTTP request handlers for payers, patient policies, pre-authorizations and claims
+ */
+
+import { InsuranceService } from '../services/insurance.service.js';
+import { ApiResponse } from '../shared/ApiResponse.js';
+
+/**
+ * Get service instance for request
+ */
+function getInsuranceService(req) {
+  return new InsuranceService(req.prisma);
+}
+
+// ==================== PAYER ENDPOINTS ====================
+
+/**
+ * Create payer / TPA
+ * POST /api/insurance/payers
+ */
+export async function createPayer(req, res, next) {
+  try {
+    const insuranceService = getInsuranceService(req);
+    const result = await insuranceService.createPayer(req.body);
+    res.status(201).json(ApiResponse.success(result, 'Payer created'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List payers
+ * GET /api/insurance/payers
+ */
+export async function getPayers(req, res, next) {
+  try {
+    const insuranceService = getInsuranceService(req);
+    const { payerType, isActive, search } = req.query;
+
+    const result = await insuranceService.getPayers({
+      payerType,
+      search,
+      isActive: isActive === 'true' ? true : isActive === 'false' ? false : undefined
+    });
+
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get payer by ID
+ * GET /api/insurance/payers/:id
+ */
+export async function getPayerById(req, res, next) {
+  try {
+    const insuranceService = getInsuranceService(req);
+    const result = await insuranceService.getPayer(req.params.id);
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update payer
+ * PUT /api/insurance/payers/:id
+ */
+export async function updatePayer(req, res, next) {
+  try {
+    const insuranceService = getInsuranceService(req);
+    const result = await insuranceService.updatePayer(req.params.id, req.body);
+    res.json(ApiResponse.success(result, 'Payer updated'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ==================== POLICY ENDPOINTS ====================
+
+/**
+ * Add policy for patient
+ * POST /api/insurance/patients/:patientId/policies
+ */
+export async function createPolicy(req, res, next) {
+  try {
+    const insuranceService = getInsuranceService(req);
+    const result = await insuranceService.createPolicy(req.params.patientId, req.body, req.user?.id);
+    res.status(201).json(ApiResponse.success(result, 'Insurance policy added'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get patient's policies
+ * GET /api/insurance/patients/:patientId/policies
+ */
+export async function getPatientPolicies(req, res, next) {
+  try {
+    const insuranceService = getInsuranceService(req);
+    const result = await insuranceService.getPatientPolicies(req.params.patientId);
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get policy by ID
+ * GET /api/insurance/policies/:id
+ */
+export async function getPolicyById(req, res, next) {
+  try {
+    const insuranceService = getInsuranceService(req);
+    const result = await insuranceService.getPolicy(req.params.id);
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update policy
+ * PUT /api/insurance/policies/:id
+ */
+export async function updatePolicy(req, res, next) {
+  try {
+    const insuranceService = getInsuranceService(req);
+    const result = await insuranceService.updatePolicy(req.params.id, req.body);
+    res.json(ApiResponse.success(result, 'Insurance policy updated'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Check policy eligibility
+ * GET /api/insurance/policies/:id/eligibility
+ */
+export async function checkEligibility(req, res, next) {
+  try {
+    const insuranceService = getInsuranceService(req);
+    const result = await insuranceService.checkEligibility(req.params.id, req.query.date);
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ==================== PRE-AUTHORIZATION ENDPOINTS ====================
+
+/**
+ * Submit pre-authorization
+ * POST /api/insurance/pre-authorizations
+ */
+export async function createPreAuth(req, res, next) {
+  try {
+    const insuranceService = getInsuranceService(req);
+    const result = await insuranceService.createPreAuth(req.body, req.user?.id);
+    res.status(201).json(ApiResponse.success(result, 'Pre-authorization submitted'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List pre-authorizations
+ * GET /api/insurance/pre-authorizations
+ */
+export async function getPreAuths(req, res, next) {
+  try {
+    const insuranceService = getInsuranceService(req);
+    const { status, patientId, admissionId, payerId, limit } = req.query;
+
+    const result = await insuranceService.getPreAuths({
+      status,
+      patientId,
+      admissionId,
+      payerId,
+      limit: limit ? parseInt(limit) : undefined
+    });
+
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get pre-authorization by ID
+ * GET /api/insurance/pre-authorizations/:id
+ */
+export async function getPreAuthById(req, res, next) {
+  try {
+    const insuranceService = getInsuranceService(req);
+    const result = await insuranceService.getPreAuth(req.params.id);
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update pre-authorization status
+ * PATCH /api/insurance/pre-authorizations/:id/status
+ */
+export async function updatePreAuthStatus(req, res, next) {
+  try {
+    const insuranceService = getInsuranceService(req);
+    const result = await insuranceService.updatePreAuthStatus(req.params.id, req.body, req.user?.id);
+    res.json(ApiResponse.success(result, result.message));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ==================== CLAIM ENDPOINTS ====================
+
+/**
+ * Create claim from bill
+ * POST /api/insurance/bills/:billId/claims
+ */
+export async function createClaimFromBill(req, res, next) {
+  try {
+    const insuranceService = getInsuranceService(req);
+    const result = await insuranceService.createClaimFromBill(req.params.billId, req.body, req.user?.id);
+    res.status(201).json(ApiResponse.success(result, 'Claim created'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List claims
+ * GET /api/insurance/claims
+ */
+export async function getClaims(req, res, next) {
+  try {
+    const insuranceService = getInsuranceService(req);
+    const { status, payerId, patientId, claimType, fromDate, toDate, limit } = req.query;
+
+    const result = await insuranceService.getClaims({
+      status,
+      payerId,
+      patientId,
+      claimType,
+      fromDate,
+      toDate,
+      limit: limit ? parseInt(limit) : undefined
+    });
+
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get claim by ID
+ * GET /api/insurance/claims/:id
+ */
+export async function getClaimById(req, res, next) {
+  try {
+    const insuranceService = getInsuranceService(req);
+    const result = await insuranceService.getClaim(req.params.id);
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update claim status
+ * PATCH /api/insurance/claims/:id/status
+ */
+export async function updateClaimStatus(req, res, next) {
+  try {
+    const insuranceService = getInsuranceService(req);
+    const result = await insuranceService.updateClaimStatus(req.params.id, req.body, req.user?.id);
+    res.json(ApiResponse.success(result, result.message));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ==================== REPORT ENDPOINTS ====================
+
+/**
+ * Receivables report (payer share vs co-pay, outstanding, ageing)
+ * GET /api/insurance/reports/receivables
+ */
+export async function getReceivablesReport(req, res, next) {
+  try {
+    const insuranceService = getInsuranceService(req);
+    const { payerId, fromDate, toDate } = req.query;
+    const result = await insuranceService.getReceivablesReport({ payerId, fromDate, toDate });
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
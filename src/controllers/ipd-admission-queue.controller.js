@@ -18,7 +18,7 @@ export class IPDAdmissionQueueController {
    */
   async createAdmissionRequest(req, res) {
     try {
-      const { patientId, visitId, admissionReason, initialDiagnosis, estimatedLOS, priority, medicalHistory, allergies, emergencyContact, recommendedDepartment, notes } = req.body;
+      const { patientId, visitId, admissionReason, initialDiagnosis, estimatedLOS, priority, medicalHistory, allergies, emergencyContact, recommendedDepartment, notes, source, requestedBedType, requestedWardId, departmentId, isolationRequired } = req.body;
 
       if (!patientId || !admissionReason) {
         return res.status(400).json({
@@ -39,7 +39,12 @@ export class IPDAdmissionQueueController {
           allergies,
           emergencyContact,
           recommendedDepartment,
-          notes
+          notes,
+          source,
+          requestedBedType,
+          requestedWardId,
+          departmentId,
+          isolationRequired
         },
         req.user
       );
@@ -128,19 +133,14 @@ export class IPDAdmissionQueueController {
   async approveAdmissionRequest(req, res) {
     try {
       const { requestId } = req.params;
-      const { bedId } = req.body;
-
-      if (!bedId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Bed ID is required'
-        });
-      }
+      const { bedId, holdMinutes } = req.body;
 
+      // Without a bedId the allocation engine picks the bed (or waitlists the request)
       const result = await this.queueService.approveAdmissionRequest(
         requestId,
         bedId,
-        req.user
+        req.user,
+        { holdMinutes: holdMinutes !== undefined ? parseInt(holdMinutes) : undefined }
       );
 
       res.json(result);
@@ -178,6 +178,129 @@ export class IPDAdmissionQueueController {
     }
   }
 
+  /**
+   * Ranked bed suggestions for a request
+   * GET /api/ipd/queue/request/:requestId/bed-suggestions
+   */
+  async getBedSuggestions(req, res) {
+    try {
+      const { requestId } = req.params;
+      const { limit } = req.query;
+
+      const result = await this.queueService.getBedSuggestions(
+        requestId,
+        limit ? parseInt(limit) : undefined
+      );
+
+      res.json(result);
+    } catch (error) {
+      logger.error(`Get Bed Suggestions Error: ${error.message}`);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to suggest beds'
+      });
+    }
+  }
+
+  /**
+   * Put a request on the bed waitlist
+   * POST /api/ipd/queue/request/:requestId/waitlist
+   */
+  async waitlistAdmissionRequest(req, res) {
+    try {
+      const { requestId } = req.params;
+      const { reason } = req.body;
+
+      const result = await this.queueService.waitlistAdmissionRequest(requestId, reason, req.user);
+      res.json(result);
+    } catch (error) {
+      logger.error(`Waitlist Request Error: ${error.message}`);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to waitlist request'
+      });
+    }
+  }
+
+  /**
+   * Extend a bed reservation
+   * POST /api/ipd/queue/request/:requestId/reservation/extend
+   */
+  async extendReservation(req, res) {
+    try {
+      const { requestId } = req.params;
+      const { minutes } = req.body;
+
+      const result = await this.queueService.extendReservation(
+        requestId,
+        minutes !== undefined ? parseInt(minutes) : undefined,
+        req.user
+      );
+
+      res.json(result);
+    } catch (error) {
+      logger.error(`Extend Reservation Error: ${error.message}`);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to extend reservation'
+      });
+    }
+  }
+
+  /**
+   * Release a bed reservation
+   * POST /api/ipd/queue/request/:requestId/reservation/release
+   */
+  async releaseReservation(req, res) {
+    try {
+      const { requestId } = req.params;
+      const { reason } = req.body;
+
+      const result = await this.queueService.releaseReservation(requestId, reason, req.user);
+      res.json(result);
+    } catch (error) {
+      logger.error(`Release Reservation Error: ${error.message}`);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to release reservation'
+      });
+    }
+  }
+
+  /**
+   * Get the bed waitlist
+   * GET /api/ipd/queue/waitlist
+   */
+  async getWaitlist(req, res) {
+    try {
+      const result = await this.queueService.getWaitlist(req.user.hospitalId);
+      res.json(result);
+    } catch (error) {
+      logger.error(`Get Waitlist Error: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch waitlist'
+      });
+    }
+  }
+
+  /**
+   * Allocate free beds to the waitlist now
+   * POST /api/ipd/queue/waitlist/advance
+   */
+  async advanceWaitlist(req, res) {
+    try {
+      const result = await this.queueService.advanceWaitlist(req.user.hospitalId);
+      res.json(result);
+    } catch (error) {
+      logger.error(`Advance Waitlist Error: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to advance waitlist'
+      });
+    }
+  }
+
   /**
    * Get admission queue statistics
    * GET /api/ipd/admission-queue/stats
@@ -15,7 +15,12 @@ export class IPDController {
     alertsService,
     consentService,
     movementService,
-    vitalsService
+    vitalsService,
+    billingService,
+    wardService,
+    emarService,
+    fluidBalanceService,
+    otService
   ) {
     this.admissionService = admissionService;
     this.bedService = bedService;
@@ -25,6 +30,11 @@ export class IPDController {
     this.consentService = consentService;
     this.movementService = movementService;
     this.vitalsService = vitalsService;
+    this.billingService = billingService;
+    this.wardService = wardService;
+    this.emarService = emarService;
+    this.fluidBalanceService = fluidBalanceService;
+    this.otService = otService;
   }
 
   /**
@@ -132,6 +142,77 @@ export class IPDController {
     }
   }
 
+  async getOverdueObservations(req, res) {
+    try {
+      const overdue = await this.vitalsService.getOverdueObservations(req.user.hospitalId);
+      sendResponse(res, 200, 'Overdue observations retrieved', overdue);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * ========== INTAKE / OUTPUT ENDPOINTS ==========
+   */
+
+  async recordFluidEntry(req, res) {
+    try {
+      const { admissionId } = req.params;
+
+      const result = await this.fluidBalanceService.recordEntry(admissionId, req.body, req.user);
+      sendResponse(res, 201, 'Fluid entry recorded', result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async voidFluidEntry(req, res) {
+    try {
+      const { entryId } = req.params;
+      const { reason } = req.body;
+
+      const entry = await this.fluidBalanceService.voidEntry(entryId, reason, req.user);
+      sendResponse(res, 200, 'Fluid entry voided', entry);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async getFluidChart(req, res) {
+    try {
+      const { admissionId } = req.params;
+      const { date } = req.query;
+
+      const chart = await this.fluidBalanceService.getHourlyChart(admissionId, date);
+      sendResponse(res, 200, 'Fluid chart retrieved', chart);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async getFluidBalance(req, res) {
+    try {
+      const { admissionId } = req.params;
+      const { days = 3 } = req.query;
+
+      const balance = await this.fluidBalanceService.getBalanceSummary(admissionId, { days: parseInt(days) });
+      sendResponse(res, 200, 'Fluid balance retrieved', balance);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async setFluidBalanceLimits(req, res) {
+    try {
+      const { admissionId } = req.params;
+
+      const limits = await this.fluidBalanceService.setBalanceLimits(admissionId, req.body);
+      sendResponse(res, 200, 'Fluid balance limits updated', limits);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
   async startContinuousMonitoring(req, res) {
     try {
       const { admissionId } = req.params;
@@ -200,6 +281,59 @@ export class IPDController {
     }
   }
 
+  /**
+   * ========== eMAR ENDPOINTS ==========
+   */
+
+  async getWardDoses(req, res) {
+    try {
+      const { wardId, hours } = req.query;
+
+      const doses = await this.emarService.getWardDoses(req.user.hospitalId, {
+        wardId,
+        hours: hours ? parseInt(hours) : 0,
+      });
+
+      sendResponse(res, 200, 'Due medication doses retrieved', doses);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async getAdmissionEMAR(req, res) {
+    try {
+      const { admissionId } = req.params;
+      const { from, to } = req.query;
+
+      const emar = await this.emarService.getAdmissionEMAR(admissionId, { from, to });
+      sendResponse(res, 200, 'Medication administration record retrieved', emar);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async recordDoseOutcome(req, res) {
+    try {
+      const { doseId } = req.params;
+
+      const dose = await this.emarService.recordDoseOutcome(doseId, req.body, req.user);
+      sendResponse(res, 200, `Dose recorded as ${dose.status}`, dose);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async administerPrnDose(req, res) {
+    try {
+      const { orderId } = req.params;
+
+      const dose = await this.emarService.administerPrnDose(orderId, req.body, req.user);
+      sendResponse(res, 201, 'PRN dose recorded', dose);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
   /**
    * ========== CLINICAL NOTES ENDPOINTS ==========
    */
@@ -433,6 +567,158 @@ export class IPDController {
     }
   }
 
+  /**
+   * ========== OPERATING THEATRE ENDPOINTS ==========
+   */
+
+  async getOTRooms(req, res) {
+    try {
+      const rooms = await this.otService.getOTRooms(req.user.hospitalId);
+      sendResponse(res, 200, 'Operating theatres retrieved', rooms);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async getOTCalendar(req, res) {
+    try {
+      const { from, to, roomId, surgeonId, includeCancelled } = req.query;
+
+      const calendar = await this.otService.getCalendar(req.user.hospitalId, {
+        from,
+        to,
+        roomId,
+        surgeonId,
+        includeCancelled: includeCancelled === 'true',
+      });
+      sendResponse(res, 200, 'OT calendar retrieved', calendar);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async checkOTConflicts(req, res) {
+    try {
+      const { excludeBookingId, ...slot } = req.body;
+
+      const result = await this.otService.checkConflicts(req.user.hospitalId, slot, excludeBookingId);
+      sendResponse(res, 200, result.conflicts.length ? 'Slot has conflicts' : 'Slot is free', result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async createOTBooking(req, res) {
+    try {
+      const { admissionId } = req.params;
+
+      const result = await this.otService.createBooking(admissionId, req.body, req.user);
+      sendResponse(res, 201, 'Surgery booked', result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async getOTBooking(req, res) {
+    try {
+      const { bookingId } = req.params;
+
+      const booking = await this.otService.getBooking(bookingId, req.user.hospitalId);
+      sendResponse(res, 200, 'OT booking retrieved', booking);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async rescheduleOTBooking(req, res) {
+    try {
+      const { bookingId } = req.params;
+
+      const result = await this.otService.rescheduleBooking(bookingId, req.body, req.user);
+      sendResponse(res, 200, 'OT booking updated', result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async cancelOTBooking(req, res) {
+    try {
+      const { bookingId } = req.params;
+      const { reason, cancelProcedure } = req.body;
+
+      const booking = await this.otService.cancelBooking(bookingId, { reason, cancelProcedure }, req.user);
+      sendResponse(res, 200, 'OT booking cancelled', booking);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async updatePreOpChecklist(req, res) {
+    try {
+      const { bookingId } = req.params;
+
+      const result = await this.otService.updatePreOpChecklist(bookingId, req.body, req.user);
+      sendResponse(res, 200, result.ready ? 'Pre-op checklist complete' : 'Pre-op checklist updated', result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async startSurgery(req, res) {
+    try {
+      const { bookingId } = req.params;
+
+      const booking = await this.otService.startSurgery(bookingId, req.body, req.user);
+      sendResponse(res, 200, 'Patient in theatre', booking);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async completeWhoChecklistPhase(req, res) {
+    try {
+      const { bookingId, phase } = req.params;
+
+      const booking = await this.otService.completeWhoPhase(bookingId, phase.toUpperCase(), req.body, req.user);
+      sendResponse(res, 200, 'WHO checklist phase completed', booking);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async recordIntraOpEvent(req, res) {
+    try {
+      const { bookingId } = req.params;
+
+      const booking = await this.otService.recordIntraOpEvent(bookingId, req.body, req.user);
+      sendResponse(res, 201, 'Intra-op note recorded', booking);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async completeSurgery(req, res) {
+    try {
+      const { bookingId } = req.params;
+
+      const booking = await this.otService.completeSurgery(bookingId, req.body, req.user);
+      sendResponse(res, 200, 'Surgery completed', booking);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async getOTUtilisation(req, res) {
+    try {
+      const { from, to, roomId } = req.query;
+
+      const report = await this.otService.getUtilisationReport(req.user.hospitalId, { from, to, roomId });
+      sendResponse(res, 200, 'OT utilisation report generated', report);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
   /**
    * ========== BED MANAGEMENT ENDPOINTS ==========
    */
@@ -450,13 +736,14 @@ export class IPDController {
   async updateBedStatus(req, res) {
     try {
       const { bedId } = req.params;
-      const { status, notes } = req.body;
+      const { status, reason, notes, reservedFor, reservedUntil } = req.body;
 
       const bed = await this.bedService.updateBedStatus(
         bedId,
         status,
-        notes,
-        req.user
+        reason || notes,
+        req.user,
+        { reservedFor, reservedUntil }
       );
 
       sendResponse(res, 200, 'Bed status updated', bed);
@@ -465,6 +752,251 @@ export class IPDController {
     }
   }
 
+  async createBed(req, res) {
+    try {
+      const bed = await this.bedService.createBed(req.body, req.user);
+      sendResponse(res, 201, 'Bed created', bed);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async listBeds(req, res) {
+    try {
+      const { status, wardId, bedType, page = 1, limit = 50 } = req.query;
+      const skip = (page - 1) * limit;
+
+      const result = await this.bedService.listBeds(
+        req.user.hospitalId,
+        { status, wardId, bedType },
+        skip,
+        parseInt(limit)
+      );
+
+      sendResponse(res, 200, 'Beds retrieved', result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async getBedDetails(req, res) {
+    try {
+      const { bedId } = req.params;
+      const bed = await this.bedService.getBedDetails(bedId);
+      sendResponse(res, 200, 'Bed details retrieved', bed);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async updateBed(req, res) {
+    try {
+      const { bedId } = req.params;
+      const bed = await this.bedService.updateBed(bedId, req.body, req.user);
+      sendResponse(res, 200, 'Bed updated', bed);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async removeBed(req, res) {
+    try {
+      const { bedId } = req.params;
+      const result = await this.bedService.removeBed(bedId);
+      sendResponse(res, 200, result.retired ? 'Bed retired' : 'Bed deleted', result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * ========== WARD MANAGEMENT ENDPOINTS ==========
+   */
+
+  async createWard(req, res) {
+    try {
+      const ward = await this.wardService.createWard(req.body, req.user);
+      sendResponse(res, 201, 'Ward created', ward);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async listWards(req, res) {
+    try {
+      const { wardType, isActive } = req.query;
+
+      const wards = await this.wardService.listWards(req.user.hospitalId, {
+        wardType,
+        isActive: isActive === undefined ? undefined : isActive === 'true',
+      });
+
+      sendResponse(res, 200, 'Wards retrieved', wards);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async getWard(req, res) {
+    try {
+      const { wardId } = req.params;
+      const ward = await this.wardService.getWard(wardId);
+      sendResponse(res, 200, 'Ward retrieved', ward);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async updateWard(req, res) {
+    try {
+      const { wardId } = req.params;
+      const ward = await this.wardService.updateWard(wardId, req.body);
+      sendResponse(res, 200, 'Ward updated', ward);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async deleteWard(req, res) {
+    try {
+      const { wardId } = req.params;
+      const result = await this.wardService.deleteWard(wardId);
+      sendResponse(res, 200, 'Ward deleted', result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async recountWard(req, res) {
+    try {
+      const { wardId } = req.params;
+      const result = await this.wardService.recountWard(wardId);
+      sendResponse(res, 200, 'Ward bed counts recomputed', result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async migrateLegacyWards(req, res) {
+    try {
+      const result = await this.wardService.migrateLegacyWardNames(req.user);
+      sendResponse(res, 200, 'Legacy ward names migrated', result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async getBedTurnaroundReport(req, res) {
+    try {
+      const { from, to, wardId } = req.query;
+
+      const report = await this.wardService.getTurnaroundReport(req.user.hospitalId, {
+        from,
+        to,
+        wardId,
+      });
+
+      sendResponse(res, 200, 'Bed turnaround report retrieved', report);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * ========== BILLING ENDPOINTS ==========
+   */
+
+  async getRunningBill(req, res) {
+    try {
+      const { admissionId } = req.params;
+      const bill = await this.billingService.getRunningBill(admissionId);
+      sendResponse(res, 200, 'Running bill retrieved', bill);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async accrueCharges(req, res) {
+    try {
+      const { admissionId } = req.params;
+      const result = await this.billingService.accrueCharges(admissionId);
+      sendResponse(res, 200, 'Charges accrued', result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async addCharge(req, res) {
+    try {
+      const { admissionId } = req.params;
+      const charge = await this.billingService.addManualCharge(
+        admissionId,
+        req.body,
+        req.user
+      );
+      sendResponse(res, 201, 'Charge added', charge);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async cancelCharge(req, res) {
+    try {
+      const { admissionId, chargeId } = req.params;
+      const charge = await this.billingService.cancelCharge(
+        admissionId,
+        chargeId,
+        req.body.reason,
+        req.user
+      );
+      sendResponse(res, 200, 'Charge cancelled', charge);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async collectDeposit(req, res) {
+    try {
+      const { admissionId } = req.params;
+      const deposit = await this.billingService.collectDeposit(
+        admissionId,
+        req.body,
+        req.user
+      );
+      sendResponse(res, 201, 'Deposit collected', deposit);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async finalizeBill(req, res) {
+    try {
+      const { admissionId } = req.params;
+      const result = await this.billingService.finalizeBill(
+        admissionId,
+        req.body,
+        req.user
+      );
+      sendResponse(res, 200, 'IPD bill finalized', result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async approveDischargeOverride(req, res) {
+    try {
+      const { admissionId } = req.params;
+      const runningBill = await this.billingService.approveDischargeOverride(
+        admissionId,
+        req.body.reason,
+        req.user
+      );
+      sendResponse(res, 200, 'Discharge override approved', runningBill);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
   /**
    * ========== DASHBOARD ENDPOINTS ==========
    */
@@ -473,12 +1005,14 @@ export class IPDController {
     try {
       const { admissionId } = req.params;
 
-      const [admission, vitals, alerts, orders, notes] = await Promise.all([
+      const [admission, vitals, alerts, orders, notes, billing, fluidBalance] = await Promise.all([
         this.admissionService.getAdmissionDetails(admissionId),
         this.vitalsService.getRecentVitals(admissionId, 5),
         this.alertsService.getAdmissionAlerts(admissionId, { status: 'ACTIVE' }),
         this.ordersService.getAdmissionOrders(admissionId, {}, 0, 10),
         this.clinicalNotesService.getProgressNotes(admissionId, 0, 5),
+        this.billingService.getBillingSummary(admissionId),
+        this.fluidBalanceService.getBalanceSummary(admissionId, { days: 1 }),
       ]);
 
       sendResponse(res, 200, 'Admission dashboard retrieved', {
@@ -487,6 +1021,8 @@ export class IPDController {
         activeAlerts: alerts,
         recentOrders: orders.orders,
         recentNotes: notes.notes,
+        billing,
+        fluidBalance,
       });
     } catch (error) {
       sendError(res, error);
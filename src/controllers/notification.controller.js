@@ -0,0 +1,217 @@
+/**
+ * Notification Controller
+ * HTTP request handlers for notification templates and delivery logs
+ */
+
+import { NotificationService } from '../services/notification.service.js';
+import { ApiResponse } from '../shared/ApiResponse.js';
+
+/**
+ * Get service instance for request
+ */
+function getNotificationService(req) {
+  return new NotificationService(req.prisma);
+}
+
+/**
+ * Get supported events, placeholders, and channels
+ * GET /api/notifications/events
+ */
+export async function getNotificationEvents(req, res, next) {
+  try {
+    const notificationService = getNotificationService(req);
+    res.json(ApiResponse.success(notificationService.getEventCatalog()));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ==================== TEMPLATE ENDPOINTS ====================
+
+/**
+ * Create notification template
+ * POST /api/notifications/templates
+ */
+export async function createNotificationTemplate(req, res, next) {
+  try {
+    const notificationService = getNotificationService(req);
+    const result = await notificationService.createTemplate(req.body);
+    res.status(201).json(ApiResponse.success(result, 'Notification template created'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get notification templates
+ * GET /api/notifications/templates
+ */
+export async function getNotificationTemplates(req, res, next) {
+  try {
+    const notificationService = getNotificationService(req);
+    const { triggerEvent, isActive } = req.query;
+
+    const result = await notificationService.getTemplates({
+      triggerEvent,
+      isActive: isActive === 'true' ? true : isActive === 'false' ? false : undefined
+    });
+
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Seed default templates
+ * POST /api/notifications/templates/seed-defaults
+ */
+export async function seedDefaultNotificationTemplates(req, res, next) {
+  try {
+    const notificationService = getNotificationService(req);
+    const result = await notificationService.seedDefaultTemplates();
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get notification template by ID
+ * GET /api/notifications/templates/:id
+ */
+export async function getNotificationTemplateById(req, res, next) {
+  try {
+    const notificationService = getNotificationService(req);
+    const result = await notificationService.getTemplateById(req.params.id);
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update notification template
+ * PUT /api/notifications/templates/:id
+ */
+export async function updateNotificationTemplate(req, res, next) {
+  try {
+    const notificationService = getNotificationService(req);
+    const result = await notificationService.updateTemplate(req.params.id, req.body);
+    res.json(ApiResponse.success(result, 'Notification template updated'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete notification template
+ * DELETE /api/notifications/templates/:id
+ */
+export async function deleteNotificationTemplate(req, res, next) {
+  try {
+    const notificationService = getNotificationService(req);
+    const result = await notificationService.deleteTemplate(req.params.id);
+    res.json(ApiResponse.success(result, 'Notification template deleted'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Preview notification template with sample data
+ * POST /api/notifications/templates/:id/preview
+ */
+export async function previewNotificationTemplate(req, res, next) {
+  try {
+    const notificationService = getNotificationService(req);
+    const result = await notificationService.previewTemplate(req.params.id, req.body);
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ==================== LOG ENDPOINTS ====================
+
+/**
+ * Get notification logs
+ * GET /api/notifications/logs
+ */
+export async function getNotificationLogs(req, res, next) {
+  try {
+    const notificationService = getNotificationService(req);
+    const { status, type, triggerEvent, recipientId, fromDate, toDate, limit, offset } = req.query;
+
+    const result = await notificationService.getLogs({
+      status,
+      type,
+      triggerEvent,
+      recipientId,
+      fromDate: fromDate ? new Date(fromDate) : undefined,
+      toDate: toDate ? new Date(toDate) : undefined,
+      limit: limit ? parseInt(limit) : 50,
+      offset: offset ? parseInt(offset) : 0
+    });
+
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get delivery counts by status
+ * GET /api/notifications/logs/stats
+ */
+export async function getNotificationLogStats(req, res, next) {
+  try {
+    const notificationService = getNotificationService(req);
+    const result = await notificationService.getLogStats();
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get notification log by ID
+ * GET /api/notifications/logs/:id
+ */
+export async function getNotificationLogById(req, res, next) {
+  try {
+    const notificationService = getNotificationService(req);
+    const result = await notificationService.getLogById(req.params.id);
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Retry a failed notification now
+ * POST /api/notifications/logs/:id/retry
+ */
+export async function retryNotification(req, res, next) {
+  try {
+    const notificationService = getNotificationService(req);
+    const result = await notificationService.retryLog(req.params.id);
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Run a retry pass immediately (same as the background worker)
+ * POST /api/notifications/retries/process
+ */
+export async function processNotificationRetries(req, res, next) {
+  try {
+    const notificationService = getNotificationService(req);
+    const result = await notificationService.processRetries();
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
@@ -9,6 +9,7 @@
  */
 
 import { opdConsultationService } from '../services/opd-consultation.service.js';
+import { PRESCRIPTION_STATUS } from '../services/prescription.constants.js';
 
 /**
  * Add consultation note for a visit
@@ -147,7 +148,40 @@ export const createPrescription = async (req, res) => {
     console.error('Create prescription error:', error);
     res.status(error.statusCode || 500).json({
       success: false,
-      message: error.message || 'Failed to create prescription'
+      message: error.message || 'Failed to create prescription',
+      ...(error.warnings && { errorCode: error.errorCode, warnings: error.warnings })
+    });
+  }
+};
+
+/**
+ * Check medications for interactions and allergies before prescribing
+ */
+export const checkPrescriptionSafety = async (req, res) => {
+  try {
+    const { visitId } = req.params;
+
+    if (!req.body.medications || !Array.isArray(req.body.medications)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Medications array is required'
+      });
+    }
+
+    const result = await opdConsultationService.checkPrescriptionSafety(visitId, req.body.medications);
+
+    res.json({
+      success: true,
+      message: result.warnings.length > 0
+        ? `${result.warnings.length} safety warning(s) found`
+        : 'No interactions or allergy conflicts found',
+      data: result
+    });
+  } catch (error) {
+    console.error('Prescription safety check error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to check prescription safety'
     });
   }
 };
@@ -213,13 +247,12 @@ export const getPrescriptionById = async (req, res) => {
 };
 
 /**
- * Update prescription status (dispense, cancel)
+ * Update prescription status (cancel)
  */
 export const updatePrescriptionStatus = async (req, res) => {
   try {
     const { prescriptionId } = req.params;
     const { status } = req.body;
-    const { id: userId } = req.user;
 
     if (!prescriptionId) {
       return res.status(400).json({
@@ -228,17 +261,16 @@ export const updatePrescriptionStatus = async (req, res) => {
       });
     }
 
-    if (!status || !['ACTIVE', 'DISPENSED', 'CANCELLED'].includes(status)) {
+    if (!status || !Object.values(PRESCRIPTION_STATUS).includes(status)) {
       return res.status(400).json({
         success: false,
-        message: 'Valid status is required (ACTIVE, DISPENSED, CANCELLED)'
+        message: `Valid status is required (${Object.values(PRESCRIPTION_STATUS).join(', ')})`
       });
     }
 
     const result = await opdConsultationService.updatePrescriptionStatus(
       prescriptionId,
-      status,
-      userId
+      status
     );
 
     res.json({
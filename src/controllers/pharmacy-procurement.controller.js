@@ -0,0 +1,363 @@
+/**
+ * Pharmacy Procurement Controller
+ * Request handlers for suppliers, purchase orders, goods receipts and purchase returns
+ */
+
+import { PharmacyProcurementService } from '../services/pharmacy-procurement.service.js';
+import logger from '../utils/logger.js';
+
+let procurementService;
+
+const initializeService = (prisma) => {
+  if (!procurementService) {
+    procurementService = new PharmacyProcurementService(prisma);
+  }
+};
+
+const parseActiveFlag = (value) => (value === 'true' ? true : value === 'false' ? false : undefined);
+
+// ============== SUPPLIERS ==============
+export const getSuppliers = async (req, res) => {
+  try {
+    const { prisma } = req;
+    initializeService(prisma);
+
+    const hospitalId = req.user.hospitalId;
+    const { search, isActive, page = 1, limit = 50 } = req.query;
+
+    const filters = {
+      search: search || undefined,
+      isActive: parseActiveFlag(isActive),
+      skip: (parseInt(page) - 1) * parseInt(limit),
+      take: parseInt(limit),
+    };
+
+    const suppliers = await procurementService.getSuppliers(hospitalId, filters);
+
+    res.json({
+      success: true,
+      data: suppliers,
+      pagination: { page: parseInt(page), limit: parseInt(limit) },
+    });
+  } catch (error) {
+    logger.error(`[Pharmacy] GET /suppliers error`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+export const createSupplier = async (req, res) => {
+  try {
+    const { prisma } = req;
+    initializeService(prisma);
+
+    const hospitalId = req.user.hospitalId;
+    const userId = req.user.id;
+
+    const supplier = await procurementService.createSupplier(hospitalId, req.body, userId);
+
+    res.status(201).json({
+      success: true,
+      data: supplier,
+    });
+  } catch (error) {
+    logger.error(`[Pharmacy] POST /suppliers error`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+export const getSupplierById = async (req, res) => {
+  try {
+    const { prisma } = req;
+    initializeService(prisma);
+
+    const hospitalId = req.user.hospitalId;
+    const supplier = await procurementService.getSupplierById(hospitalId, req.params.supplierId);
+
+    res.json({
+      success: true,
+      data: supplier,
+    });
+  } catch (error) {
+    logger.error(`[Pharmacy] GET /suppliers/:supplierId error`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+export const updateSupplier = async (req, res) => {
+  try {
+    const { prisma } = req;
+    initializeService(prisma);
+
+    const hospitalId = req.user.hospitalId;
+    const userId = req.user.id;
+
+    const supplier = await procurementService.updateSupplier(hospitalId, req.params.supplierId, req.body, userId);
+
+    res.json({
+      success: true,
+      data: supplier,
+    });
+  } catch (error) {
+    logger.error(`[Pharmacy] PUT /suppliers/:supplierId error`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+// ============== PURCHASE ORDERS ==============
+export const getPurchaseOrders = async (req, res) => {
+  try {
+    const { prisma } = req;
+    initializeService(prisma);
+
+    const hospitalId = req.user.hospitalId;
+    const { status, supplierId, fromDate, toDate, page = 1, limit = 50 } = req.query;
+
+    const filters = {
+      status: status || undefined,
+      supplierId: supplierId || undefined,
+      fromDate: fromDate || undefined,
+      toDate: toDate || undefined,
+      skip: (parseInt(page) - 1) * parseInt(limit),
+      take: parseInt(limit),
+    };
+
+    const orders = await procurementService.getPurchaseOrders(hospitalId, filters);
+
+    res.json({
+      success: true,
+      data: orders,
+      pagination: { page: parseInt(page), limit: parseInt(limit) },
+    });
+  } catch (error) {
+    logger.error(`[Pharmacy] GET /purchase-orders error`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+export const createPurchaseOrder = async (req, res) => {
+  try {
+    const { prisma } = req;
+    initializeService(prisma);
+
+    const hospitalId = req.user.hospitalId;
+    const userId = req.user.id;
+
+    const order = await procurementService.createPurchaseOrder(hospitalId, req.body, userId);
+
+    res.status(201).json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    logger.error(`[Pharmacy] POST /purchase-orders error`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+export const generatePurchaseOrdersFromLowStock = async (req, res) => {
+  try {
+    const { prisma } = req;
+    initializeService(prisma);
+
+    const hospitalId = req.user.hospitalId;
+    const userId = req.user.id;
+    const { supplierId, drugIds } = req.body || {};
+
+    const result = await procurementService.generatePurchaseOrdersFromLowStock(hospitalId, { supplierId, drugIds }, userId);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      count: result.purchaseOrders.length,
+    });
+  } catch (error) {
+    logger.error(`[Pharmacy] POST /purchase-orders/from-low-stock error`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+export const getPurchaseOrderById = async (req, res) => {
+  try {
+    const { prisma } = req;
+    initializeService(prisma);
+
+    const hospitalId = req.user.hospitalId;
+    const order = await procurementService.getPurchaseOrderById(hospitalId, req.params.purchaseOrderId);
+
+    res.json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    logger.error(`[Pharmacy] GET /purchase-orders/:purchaseOrderId error`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+export const updatePurchaseOrderStatus = async (req, res) => {
+  try {
+    const { prisma } = req;
+    initializeService(prisma);
+
+    const hospitalId = req.user.hospitalId;
+    const userId = req.user.id;
+    const { status, reason } = req.body;
+
+    const order = await procurementService.updatePurchaseOrderStatus(hospitalId, req.params.purchaseOrderId, { status, reason }, userId);
+
+    res.json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    logger.error(`[Pharmacy] PATCH /purchase-orders/:purchaseOrderId/status error`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+// ============== GOODS RECEIPTS ==============
+export const getGoodsReceipts = async (req, res) => {
+  try {
+    const { prisma } = req;
+    initializeService(prisma);
+
+    const hospitalId = req.user.hospitalId;
+    const { supplierId, purchaseOrderId, fromDate, toDate, page = 1, limit = 50 } = req.query;
+
+    const filters = {
+      supplierId: supplierId || undefined,
+      purchaseOrderId: purchaseOrderId || undefined,
+      fromDate: fromDate || undefined,
+      toDate: toDate || undefined,
+      skip: (parseInt(page) - 1) * parseInt(limit),
+      take: parseInt(limit),
+    };
+
+    const receipts = await procurementService.getGoodsReceipts(hospitalId, filters);
+
+    res.json({
+      success: true,
+      data: receipts,
+      pagination: { page: parseInt(page), limit: parseInt(limit) },
+    });
+  } catch (error) {
+    logger.error(`[Pharmacy] GET /goods-receipts error`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+export const receiveGoods = async (req, res) => {
+  try {
+    const { prisma } = req;
+    initializeService(prisma);
+
+    const hospitalId = req.user.hospitalId;
+    const userId = req.user.id;
+    const { name } = req.user;
+
+    const receipt = await procurementService.receiveGoods(hospitalId, req.body, userId, name);
+
+    res.status(201).json({
+      success: true,
+      data: receipt,
+    });
+  } catch (error) {
+    logger.error(`[Pharmacy] POST /goods-receipts error`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+export const getGoodsReceiptById = async (req, res) => {
+  try {
+    const { prisma } = req;
+    initializeService(prisma);
+
+    const hospitalId = req.user.hospitalId;
+    const receipt = await procurementService.getGoodsReceiptById(hospitalId, req.params.goodsReceiptId);
+
+    res.json({
+      success: true,
+      data: receipt,
+    });
+  } catch (error) {
+    logger.error(`[Pharmacy] GET /goods-receipts/:goodsReceiptId error`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+// ============== PURCHASE RETURNS ==============
+export const getPurchaseReturns = async (req, res) => {
+  try {
+    const { prisma } = req;
+    initializeService(prisma);
+
+    const hospitalId = req.user.hospitalId;
+    const { supplierId, goodsReceiptId, fromDate, toDate, page = 1, limit = 50 } = req.query;
+
+    const filters = {
+      supplierId: supplierId || undefined,
+      goodsReceiptId: goodsReceiptId || undefined,
+      fromDate: fromDate || undefined,
+      toDate: toDate || undefined,
+      skip: (parseInt(page) - 1) * parseInt(limit),
+      take: parseInt(limit),
+    };
+
+    const returns = await procurementService.getPurchaseReturns(hospitalId, filters);
+
+    res.json({
+      success: true,
+      data: returns,
+      pagination: { page: parseInt(page), limit: parseInt(limit) },
+    });
+  } catch (error) {
+    logger.error(`[Pharmacy] GET /purchase-returns error`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+export const createPurchaseReturn = async (req, res) => {
+  try {
+    const { prisma } = req;
+    initializeService(prisma);
+
+    const hospitalId = req.user.hospitalId;
+    const userId = req.user.id;
+    const { name } = req.user;
+
+    const purchaseReturn = await procurementService.createPurchaseReturn(hospitalId, req.body, userId, name);
+
+    res.status(201).json({
+      success: true,
+      data: purchaseReturn,
+    });
+  } catch (error) {
+    logger.error(`[Pharmacy] POST /purchase-returns error`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+// ============== REPORTS ==============
+export const getPurchaseRegister = async (req, res) => {
+  try {
+    const { prisma } = req;
+    initializeService(prisma);
+
+    const hospitalId = req.user.hospitalId;
+    const { fromDate, toDate, supplierId } = req.query;
+
+    if (!fromDate || !toDate) {
+      return res.status(400).json({ success: false, error: 'fromDate and toDate are required' });
+    }
+
+    const report = await procurementService.getPurchaseRegister(hospitalId, fromDate, toDate, supplierId);
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    logger.error(`[Pharmacy] GET /reports/purchase-register error`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
@@ -308,7 +308,112 @@ export const dispensePrescription = async (req, res) => {
     });
   } catch (error) {
     logger.error(`[Pharmacy] POST /dispense error`, error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+export const returnDispense = async (req, res) => {
+  try {
+    const { prisma } = req;
+    initializeService(prisma);
+
+    const hospitalId = req.user.hospitalId;
+    const userId = req.user.id;
+    const { name } = req.user;
+    const { dispenseId } = req.params;
+
+    const { dispense, refundAmount } = await pharmacyService.returnDispense(hospitalId, dispenseId, req.body, userId, name);
+
+    res.json({
+      success: true,
+      data: { ...dto.formatDispense(dispense), refundAmount },
+    });
+  } catch (error) {
+    logger.error(`[Pharmacy] POST /dispenses/:dispenseId/returns error`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+export const voidDispense = async (req, res) => {
+  try {
+    const { prisma } = req;
+    initializeService(prisma);
+
+    const hospitalId = req.user.hospitalId;
+    const userId = req.user.id;
+    const { name } = req.user;
+    const { dispenseId } = req.params;
+
+    const dispense = await pharmacyService.voidDispense(hospitalId, dispenseId, req.body, userId, name);
+
+    res.json({
+      success: true,
+      data: dto.formatDispense(dispense),
+    });
+  } catch (error) {
+    logger.error(`[Pharmacy] POST /dispenses/:dispenseId/void error`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+// ============== OPD PRESCRIPTION WORKLIST ==============
+export const getPrescriptionWorklist = async (req, res) => {
+  try {
+    const { prisma } = req;
+    initializeService(prisma);
+
+    const hospitalId = req.user.hospitalId;
+    const { patientId, doctorId, fromDate, toDate, page = 1, limit = 50 } = req.query;
+
+    const filters = {
+      patientId: patientId || undefined,
+      doctorId: doctorId || undefined,
+      fromDate: fromDate || undefined,
+      toDate: toDate || undefined,
+      skip: (parseInt(page) - 1) * parseInt(limit),
+      take: parseInt(limit),
+    };
+
+    const worklist = await pharmacyService.getPrescriptionWorklist(hospitalId, filters);
+
+    res.json({
+      success: true,
+      data: worklist,
+      pagination: { page: parseInt(page), limit: parseInt(limit) },
+    });
+  } catch (error) {
+    logger.error(`[Pharmacy] GET /prescriptions/pending error`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+export const dispenseFromPrescription = async (req, res) => {
+  try {
+    const { prisma } = req;
+    initializeService(prisma);
+
+    const hospitalId = req.user.hospitalId;
+    const userId = req.user.id;
+    const { name } = req.user;
+    const { prescriptionId } = req.params;
+
+    const { dispense, prescription } = await pharmacyService.dispenseFromPrescription(hospitalId, prescriptionId, req.body, userId, name);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...dto.formatDispense(dispense),
+        prescription: {
+          id: prescription.id,
+          prescriptionId: prescription.prescriptionId,
+          status: prescription.status,
+          items: prescription.items,
+        },
+      },
+    });
+  } catch (error) {
+    logger.error(`[Pharmacy] POST /prescriptions/:prescriptionId/dispense error`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
   }
 };
 
@@ -86,6 +86,10 @@ export const formatDispense = (dispense) => {
     discountAmount: dispense.discountAmount,
     totalAmount: dispense.totalAmount,
     paymentStatus: dispense.paymentStatus,
+    prescriptionId: dispense.prescriptionId,
+    status: dispense.status,
+    returnedAmount: dispense.returnedAmount,
+    voidReason: dispense.voidReason,
     dispensedBy: dispense.dispensedByName,
     dispensedAt: dispense.dispensedAt,
   };
@@ -220,8 +224,8 @@ export const validatePrescriptionDispense = (req, res, next) => {
     if (!item.drugId) {
       errors.push(`Item ${idx + 1}: Drug ID is required`);
     }
-    if (typeof item.quantity !== 'number' || item.quantity <= 0) {
-      errors.push(`Item ${idx + 1}: Quantity must be positive`);
+    if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+      errors.push(`Item ${idx + 1}: Quantity must be a positive whole number`);
     }
     if (typeof item.sellingPrice !== 'number' || item.sellingPrice < 0) {
       errors.push(`Item ${idx + 1}: Selling price must be non-negative`);
@@ -251,3 +255,193 @@ export const validatePrescriptionDispense = (req, res, next) => {
 
 
 
+
+export const validateDispenseReturn = (req, res, next) => {
+  const { items, reason } = req.body;
+
+  const errors = [];
+
+  if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
+    errors.push('Return reason is required');
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    errors.push('At least one item is required');
+  }
+
+  items?.forEach((item, idx) => {
+    if (!item.lineNo && !item.drugId) {
+      errors.push(`Item ${idx + 1}: Line number or drug ID is required`);
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+      errors.push(`Item ${idx + 1}: Quantity must be a positive whole number`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return res.status(400).json({ errors });
+  }
+
+  next();
+};
+
+export const validateDispenseVoid = (req, res, next) => {
+  const { reason } = req.body;
+
+  if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
+    return res.status(400).json({ errors: ['Void reason is required'] });
+  }
+
+  next();
+};
+
+export const validatePrescriptionWorklistDispense = (req, res, next) => {
+  const { items, discountAmount } = req.body;
+
+  const errors = [];
+
+  if (items !== undefined && !Array.isArray(items)) {
+    errors.push('Items must be an array');
+  }
+
+  if (discountAmount !== undefined && (typeof discountAmount !== 'number' || discountAmount < 0)) {
+    errors.push('Discount amount must be non-negative');
+  }
+
+  if (Array.isArray(items)) {
+    items.forEach((item, idx) => {
+      if (!item.itemId && !item.lineNo) {
+        errors.push(`Item ${idx + 1}: Prescription item ID or line number is required`);
+      }
+      if (item.quantity !== undefined && (!Number.isInteger(item.quantity) || item.quantity <= 0)) {
+        errors.push(`Item ${idx + 1}: Quantity must be a positive whole number`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({ errors });
+  }
+
+  next();
+};
+
+// ============================================================================
+// Procurement Validators
+// ============================================================================
+export const validateSupplierInput = (req, res, next) => {
+  const { supplierCode, name } = req.body;
+
+  const errors = [];
+
+  if (!supplierCode || typeof supplierCode !== 'string' || supplierCode.trim().length === 0) {
+    errors.push('Supplier code is required');
+  }
+
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    errors.push('Supplier name is required');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({ errors });
+  }
+
+  next();
+};
+
+export const validatePurchaseOrderInput = (req, res, next) => {
+  const { supplierId, items } = req.body;
+
+  const errors = [];
+
+  if (!supplierId || typeof supplierId !== 'string') {
+    errors.push('Supplier ID is required');
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    errors.push('At least one item is required');
+  }
+
+  items?.forEach((item, idx) => {
+    if (!item.drugId) {
+      errors.push(`Item ${idx + 1}: Drug ID is required`);
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+      errors.push(`Item ${idx + 1}: Quantity must be a positive whole number`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return res.status(400).json({ errors });
+  }
+
+  next();
+};
+
+export const validateGoodsReceiptInput = (req, res, next) => {
+  const { purchaseOrderId, supplierId, items } = req.body;
+
+  const errors = [];
+
+  if (!purchaseOrderId && !supplierId) {
+    errors.push('Either purchase order ID or supplier ID is required');
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    errors.push('At least one item is required');
+  }
+
+  items?.forEach((item, idx) => {
+    if (!item.drugId && !item.purchaseOrderItemId) {
+      errors.push(`Item ${idx + 1}: Drug ID or purchase order item ID is required`);
+    }
+    if (!item.batchNumber || typeof item.batchNumber !== 'string') {
+      errors.push(`Item ${idx + 1}: Batch number is required`);
+    }
+    if (!item.manufacturingDate || !item.expiryDate) {
+      errors.push(`Item ${idx + 1}: Manufacturing and expiry dates are required`);
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+      errors.push(`Item ${idx + 1}: Quantity must be a positive whole number`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return res.status(400).json({ errors });
+  }
+
+  next();
+};
+
+export const validatePurchaseReturnInput = (req, res, next) => {
+  const { goodsReceiptId, reason, items } = req.body;
+
+  const errors = [];
+
+  if (!goodsReceiptId || typeof goodsReceiptId !== 'string') {
+    errors.push('Goods receipt ID is required');
+  }
+
+  if (!reason || typeof reason !== 'string') {
+    errors.push('Reason is required (EXPIRED, NEAR_EXPIRY, DAMAGED, WRONG_ITEM, EXCESS, RECALLED, OTHER)');
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    errors.push('At least one item is required');
+  }
+
+  items?.forEach((item, idx) => {
+    if (!item.goodsReceiptItemId) {
+      errors.push(`Item ${idx + 1}: Goods receipt item ID is required`);
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+      errors.push(`Item ${idx + 1}: Quantity must be a positive whole number`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return res.status(400).json({ errors });
+  }
+
+  next();
+};
@@ -4,6 +4,9 @@
  */
 
 import { QueueService } from '../services/queue.service.js';
+import { openQueueStream, parseLastEventId } from '../services/queue.events.js';
+import { QUEUE_STREAM_TOKEN } from '../services/queue.constants.js';
+import { signStreamToken } from '../middlewares/auth.middleware.js';
 import { ApiResponse } from '../shared/ApiResponse.js';
 
 /**
@@ -102,7 +105,8 @@ export async function toggleServiceQueue(req, res, next) {
     const result = await queueService.toggleQueueStatus(
       req.params.id,
       isPaused,
-      reason
+      reason,
+      req.user?.id
     );
     res.json(ApiResponse.success(result));
   } catch (error) {
@@ -396,6 +400,26 @@ export async function getQueueAnalytics(req, res, next) {
   }
 }
 
+/**
+ * Compare predicted waits with actual waits
+ * GET /api/queue/analytics/wait-time-accuracy
+ */
+export async function getWaitTimeAccuracy(req, res, next) {
+  try {
+    const queueService = getQueueService(req);
+    const { startDate, endDate, serviceQueueId } = req.query;
+
+    const result = await queueService.getWaitTimeAccuracy({
+      startDate: startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(),
+      endDate: endDate || new Date().toISOString(),
+      serviceQueueId
+    });
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Reset daily queues
  * POST /api/queue/reset-daily
@@ -434,7 +458,7 @@ export async function getPublicQueueDisplay(req, res, next) {
       }
     });
     
-    if (!serviceQueue) {
+    if (!serviceQueue || !serviceQueue.displayEnabled) {
       return res.status(404).json(ApiResponse.error('Queue not found'));
     }
     
@@ -484,6 +508,9 @@ export async function getPublicQueueStatus(req, res, next) {
       status: result.queueEntry.status,
       estimatedWaitTime: result.queueEntry.estimatedWaitTime,
       estimatedWaitTimeFormatted: result.queueEntry.estimatedWaitTimeFormatted,
+      expectedCallAt: result.queueEntry.expectedCallAt,
+      estimateBasis: result.queueEntry.estimateBasis,
+      queuePaused: result.queueEntry.queuePaused,
       serviceName: result.queueEntry.serviceQueue?.queueName,
       counterNumber: result.queueEntry.serviceQueue?.counterNumber
     };
@@ -494,6 +521,139 @@ export async function getPublicQueueStatus(req, res, next) {
   }
 }
 
+// ==================== QUEUE SETTINGS ENDPOINTS ====================
+
+/**
+ * Get hospital queue settings
+ * GET /api/queue/settings
+ */
+export async function getQueueSettings(req, res, next) {
+  try {
+    const queueService = getQueueService(req);
+    const result = await queueService.getQueueSettings();
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update hospital queue settings
+ * PUT /api/queue/settings
+ */
+export async function updateQueueSettings(req, res, next) {
+  try {
+    const queueService = getQueueService(req);
+    const result = await queueService.updateQueueSettings(req.body);
+    res.json(ApiResponse.success(result, result.message));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Run the auto-skip sweep now
+ * POST /api/queue/auto-skip/run
+ */
+export async function runAutoSkip(req, res, next) {
+  try {
+    const queueService = getQueueService(req);
+    const result = await queueService.autoSkipOverdueCalls();
+    res.json(ApiResponse.success(result, `${result.skipped} skipped, ${result.cancelled} cancelled`));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ==================== LIVE EVENT STREAMS ====================
+
+/**
+ * Issue a short-lived token for opening the staff event stream
+ * POST /api/queue/stream-token
+ */
+export async function issueStreamToken(req, res, next) {
+  try {
+    const streamToken = signStreamToken(
+      { id: req.user.id, hospitalId: req.hospitalId },
+      QUEUE_STREAM_TOKEN.SCOPE,
+      QUEUE_STREAM_TOKEN.EXPIRES_IN_SECONDS
+    );
+    res.json(ApiResponse.success({ streamToken, expiresIn: QUEUE_STREAM_TOKEN.EXPIRES_IN_SECONDS }));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Stream queue events to a staff console (Server-Sent Events)
+ * GET /api/queue/stream?streamToken=&serviceQueueIds=a,b | ?doctorId=
+ */
+export async function streamQueueEvents(req, res, next) {
+  try {
+    const queueService = getQueueService(req);
+    const serviceQueueIds = req.query.serviceQueueIds
+      ? String(req.query.serviceQueueIds).split(',').map(id => id.trim()).filter(Boolean)
+      : [];
+
+    const queueIds = await queueService.getStreamQueueIds({
+      serviceQueueIds,
+      doctorId: req.query.doctorId
+    });
+
+    await openQueueStream(req, res, {
+      prisma: req.prisma,
+      serviceQueueIds: queueIds,
+      lastEventId: parseLastEventId(req),
+      snapshot: async () => ({
+        queues: await Promise.all(queueIds.map(async id => ({
+          serviceQueueId: id,
+          ...(await queueService.getQueueDisplay(id, req.hospitalId))
+        })))
+      })
+    });
+  } catch (error) {
+    if (res.headersSent) return res.end();
+    next(error);
+  }
+}
+
+/**
+ * Stream display board events (public - Server-Sent Events)
+ * GET /api/queue/public/display/:queueCode/stream
+ */
+export async function streamPublicQueueDisplay(req, res, next) {
+  try {
+    const { queueCode } = req.params;
+    const { hospitalId } = req.query;
+    
+    if (!hospitalId) {
+      return res.status(400).json(ApiResponse.error('hospitalId is required'));
+    }
+    
+    const serviceQueue = await req.prisma.serviceQueue.findUnique({
+      where: {
+        hospitalId_queueCode: { hospitalId, queueCode }
+      }
+    });
+    
+    if (!serviceQueue || !serviceQueue.displayEnabled) {
+      return res.status(404).json(ApiResponse.error('Queue not found'));
+    }
+    
+    const queueService = new QueueService(req.prisma);
+    
+    await openQueueStream(req, res, {
+      prisma: req.prisma,
+      serviceQueueIds: [serviceQueue.id],
+      lastEventId: parseLastEventId(req),
+      snapshot: () => queueService.getQueueDisplay(serviceQueue.id, hospitalId)
+    });
+  } catch (error) {
+    if (res.headersSent) return res.end();
+    next(error);
+  }
+}
+
 export default {
   // Service Queue
   createServiceQueue,
@@ -521,8 +681,19 @@ export default {
   
   // Analytics
   getQueueAnalytics,
+  getWaitTimeAccuracy,
   resetDailyQueues,
   
+  // Settings & policy
+  getQueueSettings,
+  updateQueueSettings,
+  runAutoSkip,
+  
+  // Live events
+  issueStreamToken,
+  streamQueueEvents,
+  streamPublicQueueDisplay,
+  
   // Public
   getPublicQueueDisplay,
   getPublicQueueStatus
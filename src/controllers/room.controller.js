@@ -0,0 +1,257 @@
+/**
+ * Room Controller
+ * HTTP request handlers for consultation rooms, room allocations and maintenance
+ */
+
+import { RoomService } from '../services/room.service.js';
+import { ApiResponse } from '../shared/ApiResponse.js';
+
+/**
+ * Get service instance for request
+ */
+function getRoomService(req) {
+  return new RoomService(req.prisma);
+}
+
+const parseBoolean = (value) => (value === 'true' ? true : value === 'false' ? false : undefined);
+
+// ==================== ROOM ENDPOINTS ====================
+
+/**
+ * Create consultation room
+ * POST /api/rooms
+ */
+export async function createRoom(req, res, next) {
+  try {
+    const roomService = getRoomService(req);
+    const result = await roomService.createRoom(req.body);
+    res.status(201).json(ApiResponse.success(result, 'Room created'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get consultation rooms
+ * GET /api/rooms
+ */
+export async function getRooms(req, res, next) {
+  try {
+    const roomService = getRoomService(req);
+    const { departmentId, roomType, isAvailable, isUnderMaintenance } = req.query;
+
+    const result = await roomService.getRooms({
+      departmentId,
+      roomType,
+      isAvailable: parseBoolean(isAvailable),
+      isUnderMaintenance: parseBoolean(isUnderMaintenance)
+    });
+
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get room by ID
+ * GET /api/rooms/:id
+ */
+export async function getRoomById(req, res, next) {
+  try {
+    const roomService = getRoomService(req);
+    const result = await roomService.getRoomById(req.params.id);
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update room
+ * PUT /api/rooms/:id
+ */
+export async function updateRoom(req, res, next) {
+  try {
+    const roomService = getRoomService(req);
+    const result = await roomService.updateRoom(req.params.id, req.body);
+    res.json(ApiResponse.success(result, 'Room updated'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete room
+ * DELETE /api/rooms/:id
+ */
+export async function deleteRoom(req, res, next) {
+  try {
+    const roomService = getRoomService(req);
+    const result = await roomService.deleteRoom(req.params.id);
+    res.json(ApiResponse.success(result, 'Room deleted'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Room board for a date
+ * GET /api/rooms/board
+ */
+export async function getRoomBoard(req, res, next) {
+  try {
+    const roomService = getRoomService(req);
+    const { date, departmentId } = req.query;
+
+    const result = await roomService.getRoomBoard({ date, departmentId });
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ==================== MAINTENANCE ENDPOINTS ====================
+
+/**
+ * Add maintenance block
+ * POST /api/rooms/:id/maintenance
+ */
+export async function addMaintenanceBlock(req, res, next) {
+  try {
+    const roomService = getRoomService(req);
+    const result = await roomService.addMaintenanceBlock(req.params.id, req.body, req.user?.id);
+    res.status(201).json(ApiResponse.success(result, 'Maintenance block added'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get maintenance blocks of a room
+ * GET /api/rooms/:id/maintenance
+ */
+export async function getMaintenanceBlocks(req, res, next) {
+  try {
+    const roomService = getRoomService(req);
+    const { from, to } = req.query;
+
+    const result = await roomService.getMaintenanceBlocks(req.params.id, { from, to });
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove maintenance block
+ * DELETE /api/rooms/maintenance/:blockId
+ */
+export async function deleteMaintenanceBlock(req, res, next) {
+  try {
+    const roomService = getRoomService(req);
+    const result = await roomService.deleteMaintenanceBlock(req.params.blockId);
+    res.json(ApiResponse.success(result, 'Maintenance block removed'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ==================== ALLOCATION ENDPOINTS ====================
+
+/**
+ * Allocate room to a doctor session
+ * POST /api/rooms/allocations
+ */
+export async function createAllocation(req, res, next) {
+  try {
+    const roomService = getRoomService(req);
+    const result = await roomService.createAllocation(req.body, req.user?.id);
+    res.status(201).json(ApiResponse.success(result, 'Room allocated'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get room allocations
+ * GET /api/rooms/allocations
+ */
+export async function getAllocations(req, res, next) {
+  try {
+    const roomService = getRoomService(req);
+    const { roomId, doctorId, scheduleId, departmentId, dayOfWeek, isActive } = req.query;
+
+    const result = await roomService.getAllocations({
+      roomId,
+      doctorId,
+      scheduleId,
+      departmentId,
+      dayOfWeek: dayOfWeek !== undefined ? parseInt(dayOfWeek) : undefined,
+      isActive: parseBoolean(isActive)
+    });
+
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update room allocation
+ * PUT /api/rooms/allocations/:id
+ */
+export async function updateAllocation(req, res, next) {
+  try {
+    const roomService = getRoomService(req);
+    const result = await roomService.updateAllocation(req.params.id, req.body);
+    res.json(ApiResponse.success(result, 'Room allocation updated'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove room allocation
+ * DELETE /api/rooms/allocations/:id
+ */
+export async function deleteAllocation(req, res, next) {
+  try {
+    const roomService = getRoomService(req);
+    const result = await roomService.deleteAllocation(req.params.id);
+    res.json(ApiResponse.success(result, 'Room allocation removed'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Current room of a doctor
+ * GET /api/rooms/doctors/:doctorId/current
+ */
+export async function getDoctorCurrentRoom(req, res, next) {
+  try {
+    const roomService = getRoomService(req);
+    const result = await roomService.getDoctorCurrentRoom(req.params.doctorId, req.query.at);
+    res.json(ApiResponse.success(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+export default {
+  createRoom,
+  getRooms,
+  getRoomById,
+  updateRoom,
+  deleteRoom,
+  getRoomBoard,
+  addMaintenanceBlock,
+  getMaintenanceBlocks,
+  deleteMaintenanceBlock,
+  createAllocation,
+  getAllocations,
+  updateAllocation,
+  deleteAllocation,
+  getDoctorCurrentRoom
+};
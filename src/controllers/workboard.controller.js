@@ -54,6 +54,23 @@ export async function getResultEntryForm(req, res, next) {
   }
 }
 
+/**
+ * Get auto-verification dashboard
+ * @route GET /api/diagnostics/workboard/auto-verification/dashboard
+ */
+export async function getAutoVerificationDashboard(req, res, next) {
+  try {
+    const service = getService(req);
+    const { hospitalId } = req.user;
+
+    const result = await service.getAutoVerificationDashboard(hospitalId, req.query);
+
+    res.json(ApiResponse.success(result, 'Auto-verification dashboard retrieved'));
+  } catch (error) {
+    next(error);
+  }
+}
+
 // ==================== RESULT ENTRY ====================
 
 /**
@@ -153,6 +170,25 @@ export async function reviewAndApprove(req, res, next) {
   }
 }
 
+/**
+ * Acknowledge failed delta checks
+ * @route POST /api/diagnostics/workboard/results/:resultId/delta-acknowledge
+ */
+export async function acknowledgeDeltaCheck(req, res, next) {
+  try {
+    const service = getService(req);
+    const { id: userId, hospitalId, role } = req.user;
+    const { resultId } = req.params;
+    const { notes } = req.body;
+
+    const result = await service.acknowledgeDeltaCheck(resultId, userId, hospitalId, role, notes);
+
+    res.json(ApiResponse.success(result, 'Delta check acknowledged'));
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Release result to patient
  * @route POST /api/diagnostics/workboard/results/:resultId/release
@@ -192,11 +228,13 @@ export async function amendResult(req, res, next) {
 export default {
   getWorklistByCategory,
   getResultEntryForm,
+  getAutoVerificationDashboard,
   saveResultEntry,
   submitResultForReview,
   approveQC,
   rejectQC,
   reviewAndApprove,
+  acknowledgeDeltaCheck,
   releaseResult,
   amendResult
 };
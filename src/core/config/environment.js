@@ -21,7 +21,29 @@ const config = {
   EMAIL_PORT: process.env.EMAIL_PORT || 587,
   EMAIL_USER: process.env.EMAIL_USER,
   EMAIL_PASSWORD: process.env.EMAIL_PASSWORD,
-  
+
+  // Notifications
+  NOTIFICATION_EMAIL_PROVIDER: process.env.NOTIFICATION_EMAIL_PROVIDER || (process.env.BREVO_API_KEY ? 'brevo' : 'console'), // brevo, smtp, console
+  NOTIFICATION_WORKER_ENABLED: process.env.NOTIFICATION_WORKER_ENABLED !== 'false',
+
+  // IPD billing - hourly charge accrual (bed days are priced at the bed occupied when accrued)
+  IPD_BILLING_WORKER_ENABLED: process.env.IPD_BILLING_WORKER_ENABLED !== 'false',
+
+  // Queue policy - auto-skip of called patients who do not show up
+  QUEUE_POLICY_WORKER_ENABLED: process.env.QUEUE_POLICY_WORKER_ENABLED !== 'false',
+
+  // IPD bed allocation - reservation expiry and bed waitlist sweep
+  IPD_BED_ALLOCATION_WORKER_ENABLED: process.env.IPD_BED_ALLOCATION_WORKER_ENABLED !== 'false',
+
+  // IPD eMAR - dose schedule top-up and missed-dose alerts
+  IPD_EMAR_WORKER_ENABLED: process.env.IPD_EMAR_WORKER_ENABLED !== 'false',
+
+  // Lab analyzers - instrument TCP listeners and watch-folder polling
+  ANALYZER_WORKER_ENABLED: process.env.ANALYZER_WORKER_ENABLED !== 'false',
+
+  // Medication safety - optional local interaction/allergy rules (JSON), merged with the built-in set
+  DRUG_INTERACTIONS_FILE: process.env.DRUG_INTERACTIONS_FILE,
+
   // Cloudinary
   CLOUDINARY_NAME: process.env.CLOUDINARY_NAME,
   CLOUDINARY_API_KEY: process.env.CLOUDINARY_API_KEY,
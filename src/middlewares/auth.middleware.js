@@ -84,6 +84,49 @@ export const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Sign a short-lived token that only opens one kind of event stream
+ * The token carries no role, so protect() refuses it on every other route.
+ */
+export const signStreamToken = (user, scope, expiresInSeconds) => jwt.sign(
+  { sub: user.id, hospitalId: user.hospitalId, scope },
+  process.env.JWT_SECRET,
+  { expiresIn: expiresInSeconds }
+);
+
+/**
+ * Stream middleware (Server-Sent Events)
+ * EventSource cannot set an Authorization header, so the stream token from
+ * signStreamToken() is read from ?streamToken= instead. Login tokens are never
+ * accepted in the URL.
+ */
+export const protectStream = (scope) => (req, res, next) => {
+  try {
+    const token = req.query.streamToken;
+
+    if (!token) {
+      throw new AuthenticationError('No stream token provided');
+    }
+
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+
+    if (decoded.scope !== scope || !decoded.sub || !decoded.hospitalId) {
+      throw new AuthenticationError('Invalid stream token');
+    }
+
+    req.user = { id: decoded.sub, hospitalId: decoded.hospitalId, scope };
+    req.tenantId = decoded.hospitalId;
+    req.hospitalId = decoded.hospitalId;
+
+    next();
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    return res.status(401).json(new AuthenticationError('Invalid stream token').toJSON());
+  }
+};
+
 /**
  * Optional: Debug endpoint to inspect user context (staging/dev only)
  * Returns req.user data for RBAC debugging without exposing sensitive data
@@ -118,6 +161,8 @@ export const debugUserContext = (req, res) => {
 
 export default {
   protect,
+  signStreamToken,
+  protectStream,
   debugUserContext,
 };
 
@@ -0,0 +1,65 @@
+/**
+ * Auth Middleware - stream tokens: what opens an event stream and what does not
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+
+process.env.JWT_SECRET ??= 'test-secret';
+const { protect, protectStream, signStreamToken } = await import('./auth.middleware.js');
+
+const SCOPE = 'queue-stream';
+
+function run(middleware, req) {
+  const outcome = { next: false, status: null };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    },
+  };
+  const request = Object.assign(req, { headers: req.headers || {}, query: req.query || {} });
+  return Promise.resolve(middleware(request, res, () => { outcome.next = true; }))
+    .then(() => outcome);
+}
+
+const staff = { id: 'user-1', hospitalId: 'h1' };
+
+test('a stream token opens the stream as its user and hospital', async () => {
+  const req = { query: { streamToken: signStreamToken(staff, SCOPE, 60) } };
+
+  const outcome = await run(protectStream(SCOPE), req);
+
+  assert.equal(outcome.next, true);
+  assert.deepEqual(req.user, { id: 'user-1', hospitalId: 'h1', scope: SCOPE });
+  assert.equal(req.hospitalId, 'h1');
+});
+
+test('login tokens, other scopes and expired stream tokens do not open the stream', async () => {
+  const login = jwt.sign({ id: 'user-1', role: 'DOCTOR', hospitalId: 'h1' }, process.env.JWT_SECRET);
+  const expired = jwt.sign(
+    { sub: 'user-1', hospitalId: 'h1', scope: SCOPE, exp: Math.floor(Date.now() / 1000) - 1 },
+    process.env.JWT_SECRET
+  );
+
+  for (const streamToken of [undefined, login, signStreamToken(staff, 'other-stream', 60), expired]) {
+    const outcome = await run(protectStream(SCOPE), { query: { streamToken } });
+    assert.deepEqual([outcome.next, outcome.status], [false, 401]);
+  }
+
+  // Nor does a login token sent as a header
+  const outcome = await run(protectStream(SCOPE), { headers: { authorization: `Bearer ${login}` } });
+  assert.deepEqual([outcome.next, outcome.status], [false, 401]);
+});
+
+test('a stream token is refused as a login on every other route', async () => {
+  const token = signStreamToken(staff, SCOPE, 60);
+
+  const outcome = await run(protect, { headers: { authorization: `Bearer ${token}` } });
+
+  assert.deepEqual([outcome.next, outcome.status], [false, 401]);
+});
@@ -60,6 +60,10 @@ export const PERMISSIONS = {
   MANAGE_BILLING: 'MANAGE_BILLING',
   MANAGE_SUBSCRIPTIONS: 'MANAGE_SUBSCRIPTIONS',
   
+  // === INSURANCE ===
+  VIEW_INSURANCE: 'VIEW_INSURANCE',       // Payers, policies, pre-auths, claims, receivables
+  MANAGE_INSURANCE: 'MANAGE_INSURANCE',   // Add policies, submit pre-auths, raise and track claims
+  
   // === REPORTS ===
   PRINT_REPORT: 'PRINT_REPORT',
   DISPATCH_REPORT: 'DISPATCH_REPORT',
@@ -143,6 +147,8 @@ export const ROLE_PERMISSIONS = {
     PERMISSIONS.VIEW_EMPLOYEES,
     PERMISSIONS.MANAGE_SUBSCRIPTIONS,
     PERMISSIONS.MANAGE_BILLING,
+    PERMISSIONS.VIEW_INSURANCE,
+    PERMISSIONS.MANAGE_INSURANCE,
     PERMISSIONS.VIEW_REPORTS,
     PERMISSIONS.PRINT_REPORT,
     PERMISSIONS.DISPATCH_REPORT,
@@ -244,6 +250,7 @@ export const ROLE_PERMISSIONS = {
   RECEPTIONIST: [
     PERMISSIONS.MANAGE_QUEUE,
     PERMISSIONS.VIEW_PATIENTS,
+    PERMISSIONS.VIEW_INSURANCE,
     PERMISSIONS.VIEW_DASHBOARD,
     PERMISSIONS.MARK_ATTENDANCE,
   ],
@@ -328,6 +335,8 @@ export const ROLE_PERMISSIONS = {
   // Billing
   BILLING_ENTRY: [
     PERMISSIONS.BILLING_ACCESS,
+    PERMISSIONS.VIEW_INSURANCE,
+    PERMISSIONS.MANAGE_INSURANCE,
     PERMISSIONS.VIEW_PATIENTS,
     PERMISSIONS.VIEW_PROFILE,
     PERMISSIONS.VIEW_DASHBOARD,
@@ -336,6 +345,8 @@ export const ROLE_PERMISSIONS = {
   
   BILLING_EXIT: [
     PERMISSIONS.BILLING_ACCESS,
+    PERMISSIONS.VIEW_INSURANCE,
+    PERMISSIONS.MANAGE_INSURANCE,
     PERMISSIONS.VIEW_PATIENTS,
     PERMISSIONS.VIEW_PROFILE,
     PERMISSIONS.VIEW_DASHBOARD,
@@ -824,6 +835,7 @@ export const RESULT_ENTRY_STATUS = {
   PENDING_SAMPLE: 'PENDING_SAMPLE',        // Sample not yet collected
   SAMPLE_COLLECTED: 'SAMPLE_COLLECTED',    // Sample collected, awaiting processing
   IN_PROGRESS: 'IN_PROGRESS',              // Result entry in progress
+  ENTERED: 'ENTERED',                      // Pre-filled by an analyzer, awaiting technician check
   PENDING_QC: 'PENDING_QC',                // Awaiting quality check
   QC_APPROVED: 'QC_APPROVED',              // QC passed, ready for review
   PENDING_REVIEW: 'PENDING_REVIEW',        // Awaiting pathologist/radiologist review
@@ -98,6 +98,10 @@ router.get('/geofence-settings', adminController.getGeofenceSettings);
 router.put('/geofence-settings', adminController.updateGeofenceSettings);
 router.get('/pincode-lookup/:pincode', adminController.lookupPinCode);
 
+// ==================== BILLING CONFIG ====================
+router.get('/billing-config', adminController.getBillingConfig);
+router.put('/billing-config', adminController.updateBillingConfig);
+
 // ==================== ASSIGNMENTS ====================
 router.post('/assignments', adminController.createAssignment);
 router.get('/assignments', adminController.getAssignmentsForUser);
@@ -0,0 +1,136 @@
+/**
+ * Appointment Routes
+ * REST API endpoints for doctor schedules and appointment booking
+ */
+
+import { Router } from 'express';
+import * as controller from '../controllers/appointment.controller.js';
+import { protect } from '../middlewares/auth.middleware.js';
+import { authorize } from '../middlewares/rbac.middleware.js';
+
+const router = Router();
+
+// Root endpoint - no auth required for module info
+router.get('/', (req, res) => {
+  res.json({ module: 'appointments', status: 'active', endpoints: ['GET /schedules', 'POST /schedules', 'GET /doctors/:doctorId/slots', 'POST /book', 'GET /list', 'POST /:id/check-in'] });
+});
+
+// Apply authentication to all appointment routes
+router.use(protect);
+
+// ==================== DOCTOR SCHEDULE ROUTES ====================
+// Weekly schedule rows (DoctorSchedule) that slots are generated from
+
+/**
+ * @route   POST /api/appointments/schedules
+ * @desc    Create a doctor schedule
+ * @body    { doctorId, departmentId, dayOfWeek, startTime, endTime, breakStart?, breakEnd?, consultationDuration?, maxPatientsPerDay?, fromDate?, toDate? }
+ * @access  Admin
+ */
+router.post('/schedules', authorize('ADMIN'), controller.createSchedule);
+
+/**
+ * @route   GET /api/appointments/schedules
+ * @desc    Get doctor schedules
+ * @query   doctorId, departmentId, dayOfWeek, isActive
+ * @access  Authenticated
+ */
+router.get('/schedules', controller.getSchedules);
+
+/**
+ * @route   GET /api/appointments/schedules/:id
+ * @desc    Get schedule details
+ * @access  Authenticated
+ */
+router.get('/schedules/:id', controller.getScheduleById);
+
+/**
+ * @route   PUT /api/appointments/schedules/:id
+ * @desc    Update a doctor schedule
+ * @access  Admin
+ */
+router.put('/schedules/:id', authorize('ADMIN'), controller.updateSchedule);
+
+/**
+ * @route   DELETE /api/appointments/schedules/:id
+ * @desc    Delete a doctor schedule (blocked while upcoming appointments exist)
+ * @access  Admin
+ */
+router.delete('/schedules/:id', authorize('ADMIN'), controller.deleteSchedule);
+
+// ==================== SLOT ROUTES ====================
+
+/**
+ * @route   GET /api/appointments/doctors/:doctorId/slots
+ * @desc    Get generated slots with availability for a date or date range
+ * @query   date | fromDate, toDate; departmentId
+ * @access  Authenticated
+ */
+router.get('/doctors/:doctorId/slots', controller.getDoctorSlots);
+
+// ==================== APPOINTMENT ROUTES ====================
+
+/**
+ * @route   POST /api/appointments/book
+ * @desc    Book an appointment slot
+ * @body    { patientId, doctorId, date, startTime, departmentId?, visitType?, reason?, notes?, bookingSource? }
+ * @access  Authenticated
+ */
+router.post('/book', controller.bookAppointment);
+
+/**
+ * @route   GET /api/appointments/list
+ * @desc    List appointments
+ * @query   doctorId, patientId, departmentId, status, date | fromDate, toDate, limit, offset
+ * @access  Authenticated
+ */
+router.get('/list', controller.getAppointments);
+
+/**
+ * @route   POST /api/appointments/no-show/sweep
+ * @desc    Mark all booked appointments past the grace period as no-show
+ * @body    { date? }
+ * @access  Admin
+ */
+router.post('/no-show/sweep', authorize('ADMIN'), controller.markPastNoShows);
+
+/**
+ * @route   GET /api/appointments/:id
+ * @desc    Get appointment details
+ * @access  Authenticated
+ */
+router.get('/:id', controller.getAppointmentById);
+
+/**
+ * @route   POST /api/appointments/:id/reschedule
+ * @desc    Move appointment to a new slot
+ * @body    { date, startTime, doctorId?, departmentId?, reason? }
+ * @access  Authenticated
+ */
+router.post('/:id/reschedule', controller.rescheduleAppointment);
+
+/**
+ * @route   POST /api/appointments/:id/cancel
+ * @desc    Cancel a booked appointment
+ * @body    { reason }
+ * @access  Authenticated
+ */
+router.post('/:id/cancel', controller.cancelAppointment);
+
+/**
+ * @route   POST /api/appointments/:id/no-show
+ * @desc    Mark appointment as no-show
+ * @access  Authenticated
+ */
+router.post('/:id/no-show', controller.markNoShow);
+
+/**
+ * @route   POST /api/appointments/:id/check-in
+ * @desc    Check in appointment - creates PatientVisit and queue entry
+ * @body    { chiefComplaint?, urgency?, specialNeeds? }
+ * @access  Authenticated
+ */
+router.post('/:id/check-in', controller.checkInAppointment);
+
+export { router as appointmentRoutes };
+export default router;
@@ -6,12 +6,13 @@
 import { Router } from 'express';
 import * as billingController from '../controllers/billing.controller.js';
 import { protect } from '../middlewares/auth.middleware.js';
+import { authorizePermission } from '../middlewares/rbac.middleware.js';
 
 const router = Router();
 
 // Root endpoint - returns billing module info
 router.get('/', (req, res) => {
-  res.json({ module: 'billing', status: 'active', endpoints: ['POST /login', 'GET /catalog', 'POST /patients', 'GET /patients/search', 'POST /patients/:patientId/bills'] });
+  res.json({ module: 'billing', status: 'active', endpoints: ['POST /login', 'GET /catalog', 'POST /patients', 'GET /patients/search', 'POST /patients/:patientId/bills', 'GET /bills/:billId/invoice', 'GET /bills/:billId/invoice/pdf', 'GET /bills/:billId/ledger', 'GET /cash-closing/report'] });
 });
 
 // Public route - billing login
@@ -28,6 +29,11 @@ router.post('/patients', billingController.createPatient);
 router.get('/patients/search', billingController.searchPatients);
 router.get('/patients/:patientId', billingController.getPatient);
 
+// Patient advance account
+router.post('/patients/:patientId/advances', billingController.recordAdvance);
+router.get('/patients/:patientId/advances', billingController.getAdvanceAccount);
+router.post('/patients/:patientId/advances/refunds', billingController.refundAdvance);
+
 // Bill routes for patient
 router.post('/patients/:patientId/bills', billingController.createBill);
 router.get('/patients/:patientId/bills', billingController.listBills);
@@ -37,5 +43,22 @@ router.get('/patients/:patientId/bills/:billId', billingController.getBillByPati
 router.get('/bills/:billId', billingController.getBill);
 router.post('/bills/:billId/payment', billingController.receivePayment);
 
+// GST tax invoice
+router.get('/bills/:billId/invoice', billingController.getTaxInvoice);
+router.get('/bills/:billId/invoice/pdf', billingController.downloadTaxInvoicePdf);
+
+// Payment ledger - refunds and credit notes need MANAGE_BILLING approval when raised by other staff
+router.get('/bills/:billId/ledger', billingController.getBillLedger);
+router.post('/bills/:billId/refunds', billingController.refundBill);
+router.post('/bills/:billId/credit-notes', billingController.issueCreditNote);
+router.get('/transactions', billingController.listTransactions);
+router.post('/transactions/:transactionId/approve', authorizePermission('MANAGE_BILLING'), billingController.approveTransaction);
+router.post('/transactions/:transactionId/reject', authorizePermission('MANAGE_BILLING'), billingController.rejectTransaction);
+
+// Daily cash-counter closing
+router.get('/cash-closing/report', billingController.getCashClosingReport);
+router.get('/cash-closing', billingController.listCashClosings);
+router.post('/cash-closing', billingController.closeCashCounter);
+
 export { router as billingRoutes };
 export default router;
@@ -159,6 +159,39 @@ router.post('/collection/collect', diagnosticsController.collectSample);
  */
 router.post('/collection/:orderItemId/reject', diagnosticsController.rejectSample);
 
+// ==================== SPECIMEN TRACKING ====================
+
+/**
+ * @route   GET /api/diagnostics/orders/:orderId/labels
+ * @desc    Tube labels for an order, one per accessioned specimen (grouped by tube type/colour)
+ * @query   format (PDF, ZPL), symbology (CODE128, QR)
+ * @access  Protected (Lab Staff)
+ */
+router.get('/orders/:orderId/labels', diagnosticsController.getOrderLabels);
+
+/**
+ * @route   POST /api/diagnostics/specimens/scan
+ * @desc    Record a custody scan; RECEIVED_IN_LAB starts the TAT clock
+ * @body    { code, event (COLLECTED, DISPATCHED, RECEIVED_IN_LAB, ALIQUOTED, STORED, DISCARDED), location, notes, storageLocation, reason, aliquots[] | aliquotCount }
+ * @access  Protected (Lab Staff)
+ */
+router.post('/specimens/scan', diagnosticsController.scanSpecimen);
+
+/**
+ * @route   GET /api/diagnostics/specimens
+ * @desc    Get specimens
+ * @query   orderId, status
+ * @access  Protected (Lab Staff)
+ */
+router.get('/specimens', diagnosticsController.getSpecimens);
+
+/**
+ * @route   GET /api/diagnostics/specimens/:code
+ * @desc    Get specimen with tests, aliquots and custody chain (accession number or sample ID)
+ * @access  Protected (Lab Staff)
+ */
+router.get('/specimens/:code', diagnosticsController.getSpecimen);
+
 // ==================== RESULTS MANAGEMENT ====================
 
 /**
@@ -275,6 +308,96 @@ router.get('/reports/daily-summary', diagnosticsController.getDailySummary);
  */
 router.get('/reports/tat-analysis', diagnosticsController.getTATAnalysis);
 
+// ==================== REFLEX TESTING ====================
+
+/**
+ * @route   GET /api/diagnostics/reflex-requests
+ * @desc    Get reflex/add-on test requests fired by result rules
+ * @query   status (PENDING_APPROVAL, ADDED, DECLINED, SKIPPED), orderId
+ * @access  Protected (Lab Staff, Pathologist, Doctor)
+ */
+router.get('/reflex-requests', diagnosticsController.getReflexRequests);
+
+/**
+ * @route   POST /api/diagnostics/reflex-requests/:requestId/approve
+ * @desc    Approve a reflex test; adds it to the order on the same specimen and bills it
+ * @access  Protected (Pathologist, Doctor)
+ */
+router.post('/reflex-requests/:requestId/approve', diagnosticsController.approveReflexRequest);
+
+/**
+ * @route   POST /api/diagnostics/reflex-requests/:requestId/decline
+ * @desc    Decline a reflex test
+ * @body    { reason }
+ * @access  Protected (Pathologist, Doctor)
+ */
+router.post('/reflex-requests/:requestId/decline', diagnosticsController.declineReflexRequest);
+
+// ==================== LAB ANALYZERS ====================
+
+/**
+ * @route   GET /api/diagnostics/analyzers
+ * @desc    Get lab analyzers
+ * @query   isActive
+ * @access  Protected (Lab Staff)
+ */
+router.get('/analyzers', diagnosticsController.getAnalyzers);
+
+/**
+ * @route   POST /api/diagnostics/analyzers
+ * @desc    Register a lab analyzer
+ * @body    { code (ASTM H.5 / HL7 MSH-3 sender), name, manufacturer, model, protocol (ASTM, HL7), transport (TCP, FOLDER), tcpPort, watchFolder, testCodeMap: { "<instrument code>": { testCode, fieldCode } } }
+ * @access  Protected (Admin, Lab Manager)
+ */
+router.post('/analyzers', diagnosticsController.createAnalyzer);
+
+/**
+ * @route   PUT /api/diagnostics/analyzers/:analyzerId
+ * @desc    Update a lab analyzer; listeners are re-synced on the worker's next pass
+ * @access  Protected (Admin, Lab Manager)
+ */
+router.put('/analyzers/:analyzerId', diagnosticsController.updateAnalyzer);
+
+/**
+ * @route   POST /api/diagnostics/analyzers/:analyzerId/messages
+ * @desc    Import a message exported from the instrument (pre-fills matched results as ENTERED)
+ * @body    { rawMessage, fileName }
+ * @access  Protected (Lab Staff)
+ */
+router.post('/analyzers/:analyzerId/messages', diagnosticsController.uploadAnalyzerMessage);
+
+/**
+ * @route   POST /api/diagnostics/analyzers/:analyzerId/simulate
+ * @desc    Send a simulated run for a specimen through the analyzer's transport
+ * @body    { accessionNumber, values: { "<instrument code>": value | { value, flags, units } }, delivery (TCP, FOLDER, DIRECT) }
+ * @access  Protected (Admin, Lab Manager)
+ */
+router.post('/analyzers/:analyzerId/simulate', diagnosticsController.simulateAnalyzerRun);
+
+/**
+ * @route   GET /api/diagnostics/analyzer-messages
+ * @desc    Get analyzer messages; defaults to the reconciliation queue (UNMATCHED, PARTIAL, FAILED)
+ * @query   status, analyzerId, page, limit
+ * @access  Protected (Lab Staff)
+ */
+router.get('/analyzer-messages', diagnosticsController.getAnalyzerMessages);
+
+/**
+ * @route   POST /api/diagnostics/analyzer-messages/:messageId/reprocess
+ * @desc    Retry unmatched results (after fixing the test code map or accession numbers)
+ * @body    { accessionOverrides: { "<received>": "<accession number>" }, notes }
+ * @access  Protected (Lab Staff)
+ */
+router.post('/analyzer-messages/:messageId/reprocess', diagnosticsController.reprocessAnalyzerMessage);
+
+/**
+ * @route   POST /api/diagnostics/analyzer-messages/:messageId/discard
+ * @desc    Discard a message from the reconciliation queue
+ * @body    { reason }
+ * @access  Protected (Lab Staff)
+ */
+router.post('/analyzer-messages/:messageId/discard', diagnosticsController.discardAnalyzerMessage);
+
 // ==================== BILLING INTEGRATION ====================
 
 /**
@@ -21,7 +21,10 @@ export { patientRoutes } from './patient.routes.js';
 // Hospital Operations Routes
 export { attendanceRoutes } from './attendance.routes.js';
 export { billingRoutes } from './billing.routes.js';
+export { insuranceRoutes } from './insurance.routes.js';
 export { queueRoutes } from './queue.routes.js';
+export { appointmentRoutes } from './appointment.routes.js';
+export { roomRoutes } from './room.routes.js';
 export { visitRouter } from './visit.routes.js';
 
 // Clinical Services Routes
@@ -29,6 +32,7 @@ export { diagnosticsRoutes } from './diagnostics.routes.js';
 export { opdRoutes } from './opd.routes.js';
 export { pharmacyRoutes } from './pharmacy.routes.js';
 export { reportRoutes } from './reports.routes.js';
+export { notificationRoutes } from './notification.routes.js';
 
 // Onboarding & Setup Routes
 export { routes as publicRegistrationRoutes } from './publicRegistration.routes.js';
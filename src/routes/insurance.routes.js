@@ -0,0 +1,169 @@
+/**
+ * Insurance Routes
+ * REST API endpoints for payers / TPAs, patient policies, pre-authorizations and claims
+ */
+
+import { Router } from 'express';
+import * as controller from '../controllers/insurance.controller.js';
+import { protect } from '../middlewares/auth.middleware.js';
+import { authorizePermission } from '../middlewares/rbac.middleware.js';
+
+const router = Router();
+
+// Root endpoint - no auth required for module info
+router.get('/', (req, res) => {
+  res.json({ module: 'insurance', status: 'active', endpoints: ['GET /payers', 'POST /patients/:patientId/policies', 'POST /pre-authorizations', 'POST /bills/:billId/claims', 'PATCH /claims/:id/status', 'GET /reports/receivables'] });
+});
+
+// Apply authentication to all insurance routes
+router.use(protect);
+
+// ==================== PAYER ROUTES ====================
+// Insurers, TPAs, government schemes and corporates
+
+/**
+ * @route   GET /api/insurance/payers
+ * @desc    List payers
+ * @query   payerType, isActive, search
+ * @access  VIEW_INSURANCE
+ */
+router.get('/payers', authorizePermission('VIEW_INSURANCE'), controller.getPayers);
+
+/**
+ * @route   POST /api/insurance/payers
+ * @desc    Create a payer / TPA
+ * @body    { payerCode, name, payerType, contactPerson?, phone?, email?, address?, gstNumber?, settlementDays?, defaultCoPayPercent?, notes? }
+ * @access  MANAGE_BILLING
+ */
+router.post('/payers', authorizePermission('MANAGE_BILLING'), controller.createPayer);
+
+/**
+ * @route   GET /api/insurance/payers/:id
+ * @desc    Get payer details
+ * @access  VIEW_INSURANCE
+ */
+router.get('/payers/:id', authorizePermission('VIEW_INSURANCE'), controller.getPayerById);
+
+/**
+ * @route   PUT /api/insurance/payers/:id
+ * @desc    Update payer (payer code is fixed)
+ * @access  MANAGE_BILLING
+ */
+router.put('/payers/:id', authorizePermission('MANAGE_BILLING'), controller.updatePayer);
+
+// ==================== POLICY ROUTES ====================
+
+/**
+ * @route   GET /api/insurance/patients/:patientId/policies
+ * @desc    Patient's policies with validity and sum insured utilisation
+ * @access  VIEW_INSURANCE
+ */
+router.get('/patients/:patientId/policies', authorizePermission('VIEW_INSURANCE'), controller.getPatientPolicies);
+
+/**
+ * @route   POST /api/insurance/patients/:patientId/policies
+ * @desc    Add an insurance policy for a patient
+ * @body    { payerId, tpaId?, policyNumber, memberId?, policyHolderName?, relationToHolder?, corporateName?, sumInsured, coPayPercent?, deductible?, validFrom, validTo, isPrimary?, notes? }
+ * @access  MANAGE_INSURANCE
+ */
+router.post('/patients/:patientId/policies', authorizePermission('MANAGE_INSURANCE'), controller.createPolicy);
+
+/**
+ * @route   GET /api/insurance/policies/:id
+ * @desc    Get policy details
+ * @access  VIEW_INSURANCE
+ */
+router.get('/policies/:id', authorizePermission('VIEW_INSURANCE'), controller.getPolicyById);
+
+/**
+ * @route   PUT /api/insurance/policies/:id
+ * @desc    Update policy terms, validity, primary flag or status
+ * @access  MANAGE_INSURANCE
+ */
+router.put('/policies/:id', authorizePermission('MANAGE_INSURANCE'), controller.updatePolicy);
+
+/**
+ * @route   GET /api/insurance/policies/:id/eligibility
+ * @desc    Eligibility on a date (validity, status, remaining sum insured)
+ * @query   date (defaults to now)
+ * @access  VIEW_INSURANCE
+ */
+router.get('/policies/:id/eligibility', authorizePermission('VIEW_INSURANCE'), controller.checkEligibility);
+
+// ==================== PRE-AUTHORIZATION ROUTES ====================
+
+/**
+ * @route   GET /api/insurance/pre-authorizations
+ * @desc    List pre-authorizations
+ * @query   status, patientId, admissionId, payerId, limit
+ * @access  VIEW_INSURANCE
+ */
+router.get('/pre-authorizations', authorizePermission('VIEW_INSURANCE'), controller.getPreAuths);
+
+/**
+ * @route   POST /api/insurance/pre-authorizations
+ * @desc    Submit a cashless pre-authorization request
+ * @body    { policyId, admissionId?, diagnosis, proposedTreatment?, expectedStayDays?, estimatedAmount, requestedAmount?, remarks? }
+ * @access  MANAGE_INSURANCE
+ */
+router.post('/pre-authorizations', authorizePermission('MANAGE_INSURANCE'), controller.createPreAuth);
+
+/**
+ * @route   GET /api/insurance/pre-authorizations/:id
+ * @desc    Get pre-authorization with its queries, history and claims
+ * @access  VIEW_INSURANCE
+ */
+router.get('/pre-authorizations/:id', authorizePermission('VIEW_INSURANCE'), controller.getPreAuthById);
+
+/**
+ * @route   PATCH /api/insurance/pre-authorizations/:id/status
+ * @desc    Record payer response or follow-up (query, answer, approval, enhancement, rejection, cancellation)
+ * @body    { status, query?, response?, approvedAmount?, additionalAmount?, payerReference?, validUntil?, remarks? }
+ * @access  MANAGE_INSURANCE
+ */
+router.patch('/pre-authorizations/:id/status', authorizePermission('MANAGE_INSURANCE'), controller.updatePreAuthStatus);
+
+// ==================== CLAIM ROUTES ====================
+
+/**
+ * @route   POST /api/insurance/bills/:billId/claims
+ * @desc    Create a claim from a bill with itemised payer / patient split
+ * @body    { policyId, preAuthId?, claimType?, nonPayableItems?: [{ lineNo, amount? }] }
+ * @access  MANAGE_INSURANCE
+ */
+router.post('/bills/:billId/claims', authorizePermission('MANAGE_INSURANCE'), controller.createClaimFromBill);
+
+/**
+ * @route   GET /api/insurance/claims
+ * @desc    List claims
+ * @query   status, payerId, patientId, claimType, fromDate, toDate, limit
+ * @access  VIEW_INSURANCE
+ */
+router.get('/claims', authorizePermission('VIEW_INSURANCE'), controller.getClaims);
+
+/**
+ * @route   GET /api/insurance/claims/:id
+ * @desc    Get claim with items, queries and history
+ * @access  VIEW_INSURANCE
+ */
+router.get('/claims/:id', authorizePermission('VIEW_INSURANCE'), controller.getClaimById);
+
+/**
+ * @route   PATCH /api/insurance/claims/:id/status
+ * @desc    Move claim through submitted / query / approved / settled / rejected
+ * @body    { status, query?, response?, approvedAmount?, settledAmount?, tdsAmount?, settlementReference?, payerClaimReference?, reason?, remarks? }
+ * @access  MANAGE_INSURANCE
+ */
+router.patch('/claims/:id/status', authorizePermission('MANAGE_INSURANCE'), controller.updateClaimStatus);
+
+// ==================== REPORT ROUTES ====================
+
+/**
+ * @route   GET /api/insurance/reports/receivables
+ * @desc    Payer receivables: co-pay vs payer share, outstanding, ageing and overdue by payer
+ * @query   payerId, fromDate, toDate
+ * @access  VIEW_INSURANCE
+ */
+router.get('/reports/receivables', authorizePermission('VIEW_INSURANCE'), controller.getReceivablesReport);
+
+export { router as insuranceRoutes };
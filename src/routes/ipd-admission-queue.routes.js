@@ -58,9 +58,46 @@ export function createAdmissionQueueRouter(prisma, authenticate, authorize) {
     (req, res) => controller.getAdmissionRequest(req, res)
   );
 
+  /**
+   * GET /api/ipd/queue/waitlist
+   * Bed waitlist in serving order (priority, then waiting time)
+   * Requires: IPD_VIEW_ADMISSION_QUEUE permission
+   */
+  router.get(
+    '/queue/waitlist',
+    authenticate,
+    authorize('IPD_VIEW_ADMISSION_QUEUE'),
+    (req, res) => controller.getWaitlist(req, res)
+  );
+
+  /**
+   * POST /api/ipd/queue/waitlist/advance
+   * Allocate free beds to waitlisted requests now
+   * Requires: IPD_APPROVE_ADMISSION_REQUEST permission
+   */
+  router.post(
+    '/queue/waitlist/advance',
+    authenticate,
+    authorize('IPD_APPROVE_ADMISSION_REQUEST'),
+    (req, res) => controller.advanceWaitlist(req, res)
+  );
+
+  /**
+   * GET /api/ipd/queue/request/:requestId/bed-suggestions
+   * Ranked beds matching the request (bed type, gender, isolation, department)
+   * Requires: IPD_VIEW_ADMISSION_QUEUE permission
+   */
+  router.get(
+    '/queue/request/:requestId/bed-suggestions',
+    authenticate,
+    authorize('IPD_VIEW_ADMISSION_QUEUE'),
+    (req, res) => controller.getBedSuggestions(req, res)
+  );
+
   /**
    * POST /api/ipd/queue/request/:requestId/approve
-   * Approve admission request and allocate bed
+   * Approve admission request and reserve a bed: body { bedId?, holdMinutes? }
+   * Without bedId the best matching bed is picked, or the request is waitlisted
    * Requires: IPD_APPROVE_ADMISSION_REQUEST permission
    */
   router.post(
@@ -70,6 +107,42 @@ export function createAdmissionQueueRouter(prisma, authenticate, authorize) {
     (req, res) => controller.approveAdmissionRequest(req, res)
   );
 
+  /**
+   * POST /api/ipd/queue/request/:requestId/waitlist
+   * Put a pending request on the bed waitlist
+   * Requires: IPD_APPROVE_ADMISSION_REQUEST permission
+   */
+  router.post(
+    '/queue/request/:requestId/waitlist',
+    authenticate,
+    authorize('IPD_APPROVE_ADMISSION_REQUEST'),
+    (req, res) => controller.waitlistAdmissionRequest(req, res)
+  );
+
+  /**
+   * POST /api/ipd/queue/request/:requestId/reservation/extend
+   * Hold the reserved bed longer: body { minutes? }
+   * Requires: IPD_APPROVE_ADMISSION_REQUEST permission
+   */
+  router.post(
+    '/queue/request/:requestId/reservation/extend',
+    authenticate,
+    authorize('IPD_APPROVE_ADMISSION_REQUEST'),
+    (req, res) => controller.extendReservation(req, res)
+  );
+
+  /**
+   * POST /api/ipd/queue/request/:requestId/reservation/release
+   * Give up the reserved bed; the request returns to PENDING
+   * Requires: IPD_APPROVE_ADMISSION_REQUEST permission
+   */
+  router.post(
+    '/queue/request/:requestId/reservation/release',
+    authenticate,
+    authorize('IPD_APPROVE_ADMISSION_REQUEST'),
+    (req, res) => controller.releaseReservation(req, res)
+  );
+
   /**
    * POST /api/ipd/queue/request/:requestId/reject
    * Reject admission request
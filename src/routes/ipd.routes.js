@@ -69,6 +69,58 @@ export function createIPDRoutes(
     (req, res) => ipdController.getVitalsTrend(req, res)
   );
 
+  /**
+   * ========== INTAKE / OUTPUT ROUTES ==========
+   */
+
+  // Record intake or output: { direction, category, fluidType?, volumeMl, recordedFor?, notes? }
+  router.post(
+    '/admissions/:admissionId/fluids',
+    authenticate,
+    authorize(rolePermissions, ['IPD_RECORD_VITALS']),
+    (req, res) => ipdController.recordFluidEntry(req, res)
+  );
+
+  // Hourly intake/output chart for a chart day (?date=)
+  router.get(
+    '/admissions/:admissionId/fluids/chart',
+    authenticate,
+    authorize(rolePermissions, ['IPD_VIEW_VITALS']),
+    (req, res) => ipdController.getFluidChart(req, res)
+  );
+
+  // Rolling 24h and per chart day balance (?days=)
+  router.get(
+    '/admissions/:admissionId/fluids/balance',
+    authenticate,
+    authorize(rolePermissions, ['IPD_VIEW_VITALS']),
+    (req, res) => ipdController.getFluidBalance(req, res)
+  );
+
+  // Balance alert limits: { positiveLimitMl?, negativeLimitMl? }
+  router.put(
+    '/admissions/:admissionId/fluids/limits',
+    authenticate,
+    authorize(rolePermissions, ['IPD_CREATE_ORDER']),
+    (req, res) => ipdController.setFluidBalanceLimits(req, res)
+  );
+
+  // Void a charted entry: { reason }
+  router.post(
+    '/fluids/:entryId/void',
+    authenticate,
+    authorize(rolePermissions, ['IPD_RECORD_VITALS']),
+    (req, res) => ipdController.voidFluidEntry(req, res)
+  );
+
+  // Admitted patients overdue for their NEWS2-mandated observations
+  router.get(
+    '/vitals/observations-due',
+    authenticate,
+    authorize(rolePermissions, ['IPD_VIEW_VITALS']),
+    (req, res) => ipdController.getOverdueObservations(req, res)
+  );
+
   // Start continuous monitoring
   router.post(
     '/admissions/:admissionId/monitoring/start',
@@ -105,6 +157,42 @@ export function createIPDRoutes(
     (req, res) => ipdController.recordMedicationAdministration(req, res)
   );
 
+  /**
+   * ========== eMAR ROUTES ==========
+   */
+
+  // Due / overdue / missed doses per ward (?wardId=&hours=)
+  router.get(
+    '/emar/doses',
+    authenticate,
+    authorize(rolePermissions, ['IPD_VIEW_ORDER']),
+    (req, res) => ipdController.getWardDoses(req, res)
+  );
+
+  // Chart a scheduled dose: { status: GIVEN|HELD|REFUSED, reason?, administeredTime?, notes? }
+  router.post(
+    '/emar/doses/:doseId/chart',
+    authenticate,
+    authorize(rolePermissions, ['IPD_ADMINISTER_MEDICATION']),
+    (req, res) => ipdController.recordDoseOutcome(req, res)
+  );
+
+  // Give a PRN dose: { lineIndex, indication, administeredTime?, notes? }
+  router.post(
+    '/orders/:orderId/prn-doses',
+    authenticate,
+    authorize(rolePermissions, ['IPD_ADMINISTER_MEDICATION']),
+    (req, res) => ipdController.administerPrnDose(req, res)
+  );
+
+  // Medication chart for an admission (?from=&to=)
+  router.get(
+    '/admissions/:admissionId/emar',
+    authenticate,
+    authorize(rolePermissions, ['IPD_VIEW_ORDER']),
+    (req, res) => ipdController.getAdmissionEMAR(req, res)
+  );
+
   /**
    * ========== CLINICAL NOTES ROUTES ==========
    */
@@ -233,6 +321,174 @@ export function createIPDRoutes(
     (req, res) => ipdController.getPatientCurrentLocation(req, res)
   );
 
+  /**
+   * ========== OPERATING THEATRE ROUTES ==========
+   */
+
+  // Operating theatres (rooms with roomType OT)
+  router.get(
+    '/ot/rooms',
+    authenticate,
+    authorize(rolePermissions, ['IPD_VIEW_OT']),
+    (req, res) => ipdController.getOTRooms(req, res)
+  );
+
+  // OT calendar per theatre (?from=&to=&roomId=&surgeonId=&includeCancelled=)
+  router.get(
+    '/ot/calendar',
+    authenticate,
+    authorize(rolePermissions, ['IPD_VIEW_OT']),
+    (req, res) => ipdController.getOTCalendar(req, res)
+  );
+
+  // Check a proposed slot: { roomId, startDateTime, endDateTime, surgeonId, anaesthetistId?, admissionId?, team?, excludeBookingId? }
+  router.post(
+    '/ot/conflicts',
+    authenticate,
+    authorize(rolePermissions, ['IPD_VIEW_OT']),
+    (req, res) => ipdController.checkOTConflicts(req, res)
+  );
+
+  // OT utilisation per theatre and surgeon (?from=&to=&roomId=)
+  router.get(
+    '/ot/reports/utilisation',
+    authenticate,
+    authorize(rolePermissions, ['IPD_VIEW_OT']),
+    (req, res) => ipdController.getOTUtilisation(req, res)
+  );
+
+  // Book surgery: { procedureId | procedureName, roomId, startDateTime, endDateTime | durationMinutes, surgeonId, anaesthetistId?, anaesthesiaType?, team?, priority? }
+  router.post(
+    '/admissions/:admissionId/ot-bookings',
+    authenticate,
+    authorize(rolePermissions, ['IPD_SCHEDULE_OT']),
+    (req, res) => ipdController.createOTBooking(req, res)
+  );
+
+  // Get booking with checklists and intra-op record
+  router.get(
+    '/ot/bookings/:bookingId',
+    authenticate,
+    authorize(rolePermissions, ['IPD_VIEW_OT']),
+    (req, res) => ipdController.getOTBooking(req, res)
+  );
+
+  // Reschedule or change team (conflicts re-checked)
+  router.put(
+    '/ot/bookings/:bookingId',
+    authenticate,
+    authorize(rolePermissions, ['IPD_SCHEDULE_OT']),
+    (req, res) => ipdController.rescheduleOTBooking(req, res)
+  );
+
+  // Cancel booking: { reason, cancelProcedure? }
+  router.post(
+    '/ot/bookings/:bookingId/cancel',
+    authenticate,
+    authorize(rolePermissions, ['IPD_SCHEDULE_OT']),
+    (req, res) => ipdController.cancelOTBooking(req, res)
+  );
+
+  // Pre-op checklist responses: { items: [{ code, response, notes? }] }
+  router.put(
+    '/ot/bookings/:bookingId/pre-op-checklist',
+    authenticate,
+    authorize(rolePermissions, ['IPD_RECORD_SURGERY']),
+    (req, res) => ipdController.updatePreOpChecklist(req, res)
+  );
+
+  // Patient into theatre: { patientInAt? }
+  router.post(
+    '/ot/bookings/:bookingId/start',
+    authenticate,
+    authorize(rolePermissions, ['IPD_RECORD_SURGERY']),
+    (req, res) => ipdController.startSurgery(req, res)
+  );
+
+  // WHO checklist phase (sign_in, time_out, sign_out): { items: [{ code, response, notes? }] }
+  router.post(
+    '/ot/bookings/:bookingId/who-checklist/:phase',
+    authenticate,
+    authorize(rolePermissions, ['IPD_RECORD_SURGERY']),
+    (req, res) => ipdController.completeWhoChecklistPhase(req, res)
+  );
+
+  // Intra-op note or milestone: { event, note?, value?, at? }
+  router.post(
+    '/ot/bookings/:bookingId/intra-op-notes',
+    authenticate,
+    authorize(rolePermissions, ['IPD_RECORD_SURGERY']),
+    (req, res) => ipdController.recordIntraOpEvent(req, res)
+  );
+
+  // Patient out of theatre: { patientOutAt?, postOpDiagnosis?, complications?, recoveryWardId?, recoveryBedId? }
+  router.post(
+    '/ot/bookings/:bookingId/complete',
+    authenticate,
+    authorize(rolePermissions, ['IPD_RECORD_SURGERY']),
+    (req, res) => ipdController.completeSurgery(req, res)
+  );
+
+  /**
+   * ========== WARD MANAGEMENT ROUTES ==========
+   */
+
+  // Create ward
+  router.post(
+    '/wards',
+    authenticate,
+    authorize(rolePermissions, ['IPD_MANAGE_BEDS']),
+    (req, res) => ipdController.createWard(req, res)
+  );
+
+  // List wards with bed counts
+  router.get(
+    '/wards',
+    authenticate,
+    authorize(rolePermissions, ['IPD_VIEW_BEDS']),
+    (req, res) => ipdController.listWards(req, res)
+  );
+
+  // Link beds carrying only a free-text ward name to ward records
+  router.post(
+    '/wards/legacy-migration',
+    authenticate,
+    authorize(rolePermissions, ['IPD_MANAGE_BEDS']),
+    (req, res) => ipdController.migrateLegacyWards(req, res)
+  );
+
+  // Get ward
+  router.get(
+    '/wards/:wardId',
+    authenticate,
+    authorize(rolePermissions, ['IPD_VIEW_BEDS']),
+    (req, res) => ipdController.getWard(req, res)
+  );
+
+  // Update ward
+  router.put(
+    '/wards/:wardId',
+    authenticate,
+    authorize(rolePermissions, ['IPD_MANAGE_BEDS']),
+    (req, res) => ipdController.updateWard(req, res)
+  );
+
+  // Delete ward (wards without beds only)
+  router.delete(
+    '/wards/:wardId',
+    authenticate,
+    authorize(rolePermissions, ['IPD_MANAGE_BEDS']),
+    (req, res) => ipdController.deleteWard(req, res)
+  );
+
+  // Recompute ward bed counts from its beds
+  router.post(
+    '/wards/:wardId/recount',
+    authenticate,
+    authorize(rolePermissions, ['IPD_MANAGE_BEDS']),
+    (req, res) => ipdController.recountWard(req, res)
+  );
+
   /**
    * ========== BED MANAGEMENT ROUTES ==========
    */
@@ -241,15 +497,63 @@ export function createIPDRoutes(
   router.get(
     '/wards/:wardId/beds',
     authenticate,
-    authorize(rolePermissions, ['IPD_VIEW_BED_STATUS']),
+    authorize(rolePermissions, ['IPD_VIEW_BEDS']),
     (req, res) => ipdController.getBedStatus(req, res)
   );
 
-  // Update bed status
+  // Create bed
+  router.post(
+    '/beds',
+    authenticate,
+    authorize(rolePermissions, ['IPD_MANAGE_BEDS']),
+    (req, res) => ipdController.createBed(req, res)
+  );
+
+  // List beds
+  router.get(
+    '/beds',
+    authenticate,
+    authorize(rolePermissions, ['IPD_VIEW_BEDS']),
+    (req, res) => ipdController.listBeds(req, res)
+  );
+
+  // Bed turnaround (vacated -> ready) report
+  router.get(
+    '/beds/turnaround',
+    authenticate,
+    authorize(rolePermissions, ['IPD_VIEW_BEDS']),
+    (req, res) => ipdController.getBedTurnaroundReport(req, res)
+  );
+
+  // Get bed details
+  router.get(
+    '/beds/:bedId',
+    authenticate,
+    authorize(rolePermissions, ['IPD_VIEW_BEDS']),
+    (req, res) => ipdController.getBedDetails(req, res)
+  );
+
+  // Update bed (number, room, type, ward)
+  router.put(
+    '/beds/:bedId',
+    authenticate,
+    authorize(rolePermissions, ['IPD_MANAGE_BEDS']),
+    (req, res) => ipdController.updateBed(req, res)
+  );
+
+  // Remove bed (retired when it has admission history)
+  router.delete(
+    '/beds/:bedId',
+    authenticate,
+    authorize(rolePermissions, ['IPD_MANAGE_BEDS']),
+    (req, res) => ipdController.removeBed(req, res)
+  );
+
+  // Update bed housekeeping status (cleaning, blocked, reserved, maintenance, available)
   router.put(
     '/beds/:bedId/status',
     authenticate,
-    authorize(rolePermissions, ['IPD_MANAGE_BED']),
+    authorize(rolePermissions, ['IPD_MANAGE_BEDS']),
     (req, res) => ipdController.updateBedStatus(req, res)
   );
 
@@ -265,6 +569,66 @@ export function createIPDRoutes(
     (req, res) => ipdController.getWardCensus(req, res)
   );
 
+  /**
+   * ========== BILLING ROUTES ==========
+   */
+
+  // Get running bill (charges, deposits, balance)
+  router.get(
+    '/admissions/:admissionId/billing',
+    authenticate,
+    authorize(rolePermissions, ['IPD_VIEW_BILLING']),
+    (req, res) => ipdController.getRunningBill(req, res)
+  );
+
+  // Capture outstanding charges now
+  router.post(
+    '/admissions/:admissionId/billing/accrue',
+    authenticate,
+    authorize(rolePermissions, ['IPD_MANAGE_CHARGES']),
+    (req, res) => ipdController.accrueCharges(req, res)
+  );
+
+  // Add manual charge
+  router.post(
+    '/admissions/:admissionId/billing/charges',
+    authenticate,
+    authorize(rolePermissions, ['IPD_MANAGE_CHARGES']),
+    (req, res) => ipdController.addCharge(req, res)
+  );
+
+  // Cancel charge
+  router.post(
+    '/admissions/:admissionId/billing/charges/:chargeId/cancel',
+    authenticate,
+    authorize(rolePermissions, ['IPD_MANAGE_CHARGES']),
+    (req, res) => ipdController.cancelCharge(req, res)
+  );
+
+  // Collect advance deposit
+  router.post(
+    '/admissions/:admissionId/billing/deposits',
+    authenticate,
+    authorize(rolePermissions, ['IPD_MANAGE_CHARGES']),
+    (req, res) => ipdController.collectDeposit(req, res)
+  );
+
+  // Finalize running bill into the final bill
+  router.post(
+    '/admissions/:admissionId/billing/finalize',
+    authenticate,
+    authorize(rolePermissions, ['IPD_MANAGE_CHARGES']),
+    (req, res) => ipdController.finalizeBill(req, res)
+  );
+
+  // Approve discharge before settlement
+  router.post(
+    '/admissions/:admissionId/billing/discharge-override',
+    authenticate,
+    authorize(rolePermissions, ['IPD_MANAGE_CHARGES']),
+    (req, res) => ipdController.approveDischargeOverride(req, res)
+  );
+
   /**
    * ========== DASHBOARD ROUTES ==========
    */
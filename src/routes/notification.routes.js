@@ -0,0 +1,122 @@
+/**
+ * Notification Routes
+ * REST API endpoints for notification templates and delivery logs
+ */
+
+import { Router } from 'express';
+import * as controller from '../controllers/notification.controller.js';
+import { protect } from '../middlewares/auth.middleware.js';
+import { authorize } from '../middlewares/rbac.middleware.js';
+
+const router = Router();
+
+// Root endpoint - no auth required for module info
+router.get('/', (req, res) => {
+  res.json({ module: 'notifications', status: 'active', endpoints: ['GET /events', 'GET /templates', 'POST /templates', 'GET /logs', 'POST /logs/:id/retry'] });
+});
+
+// Notification management is admin-only
+router.use(protect);
+router.use(authorize('ADMIN'));
+
+/**
+ * @route   GET /api/notifications/events
+ * @desc    Supported trigger events with their placeholders, and registered channels
+ * @access  Admin
+ */
+router.get('/events', controller.getNotificationEvents);
+
+// ==================== TEMPLATE ROUTES ====================
+
+/**
+ * @route   POST /api/notifications/templates
+ * @desc    Create a notification template
+ * @body    { templateCode, templateName, triggerEvent, emailSubject?, emailTemplate?, smsTemplate?, appMessage?, description?, isActive? }
+ * @access  Admin
+ */
+router.post('/templates', controller.createNotificationTemplate);
+
+/**
+ * @route   GET /api/notifications/templates
+ * @desc    Get notification templates
+ * @query   triggerEvent, isActive
+ * @access  Admin
+ */
+router.get('/templates', controller.getNotificationTemplates);
+
+/**
+ * @route   POST /api/notifications/templates/seed-defaults
+ * @desc    Create the built-in default templates that are missing
+ * @access  Admin
+ */
+router.post('/templates/seed-defaults', controller.seedDefaultNotificationTemplates);
+
+/**
+ * @route   GET /api/notifications/templates/:id
+ * @desc    Get notification template
+ * @access  Admin
+ */
+router.get('/templates/:id', controller.getNotificationTemplateById);
+
+/**
+ * @route   PUT /api/notifications/templates/:id
+ * @desc    Update notification template
+ * @access  Admin
+ */
+router.put('/templates/:id', controller.updateNotificationTemplate);
+
+/**
+ * @route   DELETE /api/notifications/templates/:id
+ * @desc    Delete notification template
+ * @access  Admin
+ */
+router.delete('/templates/:id', controller.deleteNotificationTemplate);
+
+/**
+ * @route   POST /api/notifications/templates/:id/preview
+ * @desc    Render a template with sample data (nothing is sent)
+ * @body    Sample event data, e.g. { patient: { name }, bill: { totalAmount } }
+ * @access  Admin
+ */
+router.post('/templates/:id/preview', controller.previewNotificationTemplate);
+
+// ==================== LOG ROUTES ====================
+
+/**
+ * @route   GET /api/notifications/logs
+ * @desc    Get notification delivery logs
+ * @query   status, type, triggerEvent, recipientId, fromDate, toDate, limit, offset
+ * @access  Admin
+ */
+router.get('/logs', controller.getNotificationLogs);
+
+/**
+ * @route   GET /api/notifications/logs/stats
+ * @desc    Delivery counts by status
+ * @access  Admin
+ */
+router.get('/logs/stats', controller.getNotificationLogStats);
+
+/**
+ * @route   GET /api/notifications/logs/:id
+ * @desc    Get notification log
+ * @access  Admin
+ */
+router.get('/logs/:id', controller.getNotificationLogById);
+
+/**
+ * @route   POST /api/notifications/logs/:id/retry
+ * @desc    Retry a failed notification immediately
+ * @access  Admin
+ */
+router.post('/logs/:id/retry', controller.retryNotification);
+
+/**
+ * @route   POST /api/notifications/retries/process
+ * @desc    Run a retry pass now (the background worker does this periodically)
+ * @access  Admin
+ */
+router.post('/retries/process', controller.processNotificationRetries);
+
+export { router as notificationRoutes };
+export default router;
@@ -16,6 +16,7 @@ import {
   getConsultationNote,
   updateConsultationNote,
   createPrescription,
+  checkPrescriptionSafety,
   getPrescriptionsByVisit,
   getPrescriptionById,
   updatePrescriptionStatus,
@@ -69,6 +70,13 @@ router.put('/consultation/note/:noteId', protect, opdRbacMiddleware, canConsult,
  */
 router.post('/prescription/:visitId', protect, opdRbacMiddleware, canConsult, createPrescription);
 
+/**
+ * @route   POST /api/opd/prescription/:visitId/safety-check
+ * @desc    Check medications for drug interactions and patient allergies (nothing is saved)
+ * @access  Doctors only
+ */
+router.post('/prescription/:visitId/safety-check', protect, opdRbacMiddleware, canConsult, checkPrescriptionSafety);
+
 /**
  * @route   GET /api/opd/prescription/visit/:visitId
  * @desc    Get all prescriptions for a visit
@@ -85,7 +93,7 @@ router.get('/prescription/:prescriptionId', protect, opdRbacMiddleware, getPresc
 
 /**
  * @route   PATCH /api/opd/prescription/:prescriptionId/status
- * @desc    Update prescription status (dispense, cancel)
+ * @desc    Update prescription status (cancel; dispensing is recorded via /api/pharmacy/prescriptions)
  * @access  OPD Staff (Doctor, Pharmacist)
  */
 router.patch('/prescription/:prescriptionId/status', protect, opdRbacMiddleware, updatePrescriptionStatus);
@@ -5,6 +5,7 @@
 
 import express from 'express';
 import * as controller from '../controllers/pharmacy.controller.js';
+import * as procurement from '../controllers/pharmacy-procurement.controller.js';
 import { protect as authenticateToken } from '../middlewares/auth.middleware.js';
 import { authorizePermission } from '../middlewares/rbac.middleware.js';
 import * as validators from '../controllers/pharmacy.validators.js';
@@ -13,7 +14,7 @@ const router = express.Router();
 
 // Root endpoint - returns pharmacy module info
 router.get('/', (req, res) => {
-  res.json({ module: 'pharmacy', status: 'active', endpoints: ['GET /drugs', 'POST /drugs', 'GET /inventory', 'POST /dispense', 'GET /transactions'] });
+  res.json({ module: 'pharmacy', status: 'active', endpoints: ['GET /drugs', 'POST /drugs', 'GET /inventory', 'POST /dispense', 'GET /prescriptions/pending', 'GET /transactions', 'GET /suppliers', 'POST /purchase-orders', 'POST /goods-receipts', 'POST /purchase-returns'] });
 });
 
 // ============== DRUG MANAGEMENT ==============
@@ -65,6 +66,65 @@ router.get('/dispenses', authenticateToken, controller.getDispenses);
 // Get dispense by ID
 router.get('/dispenses/:dispenseId', authenticateToken, controller.getDispenseById);
 
+// Patient return (restocks the dispensed batches)
+router.post('/dispenses/:dispenseId/returns', authenticateToken, authorizePermission('BILLING_ACCESS'), validators.validateDispenseReturn, controller.returnDispense);
+
+// Void a dispense entered in error (reason required)
+router.post('/dispenses/:dispenseId/void', authenticateToken, authorizePermission('BILLING_ACCESS'), validators.validateDispenseVoid, controller.voidDispense);
+
+// ============== OPD PRESCRIPTION WORKLIST ==============
+// Pending OPD prescriptions (ACTIVE / PARTIALLY_DISPENSED) with stock per line
+router.get('/prescriptions/pending', authenticateToken, authorizePermission('BILLING_ACCESS'), controller.getPrescriptionWorklist);
+
+// Dispense against a prescription (all pending lines, or the given lines/quantities)
+router.post('/prescriptions/:prescriptionId/dispense', authenticateToken, authorizePermission('BILLING_ACCESS'), validators.validatePrescriptionWorklistDispense, controller.dispenseFromPrescription);
+
+// ============== SUPPLIERS ==============
+// Get suppliers (search, isActive)
+router.get('/suppliers', authenticateToken, procurement.getSuppliers);
+
+// Create supplier
+router.post('/suppliers', authenticateToken, authorizePermission('MANAGE_BILLING'), validators.validateSupplierInput, procurement.createSupplier);
+
+// Get supplier by ID
+router.get('/suppliers/:supplierId', authenticateToken, procurement.getSupplierById);
+
+// Update supplier (code cannot change)
+router.put('/suppliers/:supplierId', authenticateToken, authorizePermission('MANAGE_BILLING'), procurement.updateSupplier);
+
+// ============== PURCHASE ORDERS ==============
+// Get purchase orders (status, supplierId, fromDate, toDate)
+router.get('/purchase-orders', authenticateToken, procurement.getPurchaseOrders);
+
+// Create purchase order (DRAFT)
+router.post('/purchase-orders', authenticateToken, authorizePermission('MANAGE_BILLING'), validators.validatePurchaseOrderInput, procurement.createPurchaseOrder);
+
+// Draft purchase orders from low-stock alerts (reorderQuantity per drug)
+router.post('/purchase-orders/from-low-stock', authenticateToken, authorizePermission('MANAGE_BILLING'), procurement.generatePurchaseOrdersFromLowStock);
+
+// Get purchase order by ID (with pending quantities and receipts)
+router.get('/purchase-orders/:purchaseOrderId', authenticateToken, procurement.getPurchaseOrderById);
+
+// Place, cancel or short-close a purchase order
+router.patch('/purchase-orders/:purchaseOrderId/status', authenticateToken, authorizePermission('MANAGE_BILLING'), procurement.updatePurchaseOrderStatus);
+
+// ============== GOODS RECEIPTS (GRN) ==============
+// Get goods receipts
+router.get('/goods-receipts', authenticateToken, procurement.getGoodsReceipts);
+
+// Receive goods (against a PO - full or partial - or direct purchase)
+router.post('/goods-receipts', authenticateToken, authorizePermission('MANAGE_BILLING'), validators.validateGoodsReceiptInput, procurement.receiveGoods);
+
+// Get goods receipt by ID
+router.get('/goods-receipts/:goodsReceiptId', authenticateToken, procurement.getGoodsReceiptById);
+
+// ============== PURCHASE RETURNS ==============
+// Get purchase returns
+router.get('/purchase-returns', authenticateToken, procurement.getPurchaseReturns);
+
+// Return stock to supplier against a GRN
+router.post('/purchase-returns', authenticateToken, authorizePermission('MANAGE_BILLING'), validators.validatePurchaseReturnInput, procurement.createPurchaseReturn);
+
 // ============== REPORTS ==============
 // Inventory report
 router.get('/reports/inventory-status', authenticateToken, controller.getInventoryReport);
@@ -75,5 +135,8 @@ router.get('/reports/stock-movement', authenticateToken, controller.getStockMove
 // Expiry report
 router.get('/reports/expiry-analysis', authenticateToken, controller.getExpiryReport);
 
+// Supplier-wise purchase register
+router.get('/reports/purchase-register', authenticateToken, procurement.getPurchaseRegister);
+
 export { router as pharmacyRoutes };
 export default router;
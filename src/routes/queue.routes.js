@@ -5,16 +5,67 @@
 
 import { Router } from 'express';
 import * as controller from '../controllers/queue.controller.js';
-import { protect } from '../middlewares/auth.middleware.js';
+import { protect, protectStream } from '../middlewares/auth.middleware.js';
+import { authorize } from '../middlewares/rbac.middleware.js';
+import { QUEUE_STREAM_TOKEN } from '../services/queue.constants.js';
 
 const router = Router();
 
 // Root endpoint - no auth required for module info
 router.get('/', (req, res) => {
-  res.json({ module: 'queue', status: 'active', endpoints: ['GET /service-queues', 'POST /service-queues', 'POST /service-queues/:id/toggle', 'GET /service-queues/:id/display'] });
+  res.json({ module: 'queue', status: 'active', endpoints: ['GET /service-queues', 'POST /service-queues', 'POST /service-queues/:id/toggle', 'GET /service-queues/:id/display', 'GET /settings', 'PUT /settings', 'POST /stream-token', 'GET /stream', 'GET /public/display/:queueCode/stream'] });
 });
 
-// Apply authentication to all queue routes
+// ==================== PUBLIC ROUTES (No Auth) ====================
+// These endpoints are for display boards and patient self-service kiosks, which have no
+// staff login. AUTH CHANGE: they used to be registered after router.use(protect), so
+// despite "@access Public" every board got a 401. They are now registered before it and
+// are open to anyone who knows the hospitalId:
+// - display (and its stream) serve only queues with displayEnabled, and show what the
+//   board shows: tokens, counter, the patient being served and first names of the next five
+// - status needs the patient's queue number and returns position and wait only
+
+/**
+ * @route   GET /api/queue/public/display/:queueCode
+ * @desc    Get queue display data (for TV/Monitor)
+ * @query   hospitalId
+ * @access  Public
+ */
+router.get('/public/display/:queueCode', controller.getPublicQueueDisplay);
+
+/**
+ * @route   GET /api/queue/public/display/:queueCode/stream
+ * @desc    Live display board events (Server-Sent Events): token call, recall, skip, transfer, pause.
+ *          Sends a `snapshot` on first connect; reconnecting boards send Last-Event-ID
+ *          (or ?lastEventId=) and receive the events they missed.
+ * @query   hospitalId, lastEventId?
+ * @access  Public
+ */
+router.get('/public/display/:queueCode/stream', controller.streamPublicQueueDisplay);
+
+/**
+ * @route   GET /api/queue/public/status/:queueNumber
+ * @desc    Check queue status by queue number (position and predicted wait, recalculated on each request)
+ * @query   hospitalId
+ * @access  Public
+ */
+router.get('/public/status/:queueNumber', controller.getPublicQueueStatus);
+
+// ==================== LIVE EVENT ROUTES ====================
+
+/**
+ * @route   GET /api/queue/stream
+ * @desc    Live queue events for staff consoles and the OPD dashboard (Server-Sent Events).
+ *          Subscribe by queue ids or to every active queue of a doctor; reconnect with
+ *          Last-Event-ID (or ?lastEventId=) to replay missed events.
+ *          EventSource cannot send an Authorization header: get a stream token from
+ *          POST /stream-token and pass it as ?streamToken= (login tokens are refused here).
+ * @query   streamToken, serviceQueueIds? (comma separated), doctorId?, lastEventId?
+ * @access  Authenticated (stream token)
+ */
+router.get('/stream', protectStream(QUEUE_STREAM_TOKEN.SCOPE), controller.streamQueueEvents);
+
+// Apply authentication to all other queue routes
 router.use(protect);
 
 // ==================== SERVICE QUEUE ROUTES ====================
@@ -22,7 +73,8 @@ router.use(protect);
 
 /**
  * @route   POST /api/queue/service-queues
- * @desc    Create a new service queue
+ * @desc    Create a new service queue (roomId binds it to a consultation room;
+ *          doctor queues then follow the doctor's room allocation)
  * @access  Admin, Manager
  */
 router.post('/service-queues', controller.createServiceQueue);
@@ -66,7 +118,7 @@ router.get('/service-queues/:id/display', controller.getQueueDisplay);
 
 /**
  * @route   POST /api/queue/service-queues/:id/call-next
- * @desc    Call next patient in queue (respects priority)
+ * @desc    Call next patient in queue (emergency/urgent first, priority tokens interleaved by priority ratio)
  * @access  Doctor, Receptionist, Lab Technician
  */
 router.post('/service-queues/:id/call-next', controller.callNextPatient);
@@ -123,7 +175,7 @@ router.post('/entries/:id/complete', controller.completeService);
 
 /**
  * @route   POST /api/queue/entries/:id/skip
- * @desc    Skip patient (not present when called)
+ * @desc    Skip patient (not present when called or recalled); auto-cancels at QueueSettings.maxSkips
  * @access  Doctor, Lab Technician, Receptionist
  */
 router.post('/entries/:id/skip', controller.skipPatient);
@@ -159,6 +211,43 @@ router.post('/entries/:id/cancel', controller.cancelPatient);
  */
 router.post('/entries/:id/change-priority', controller.changePriority);
 
+// ==================== SETTINGS & POLICY ROUTES ====================
+
+/**
+ * @route   GET /api/queue/settings
+ * @desc    Get hospital queue settings (priority ratio, special-category priority, auto-skip)
+ * @access  Authenticated
+ */
+router.get('/settings', controller.getQueueSettings);
+
+/**
+ * @route   PUT /api/queue/settings
+ * @desc    Update hospital queue settings
+ * @body    { priorityRatio?, emergencyFirst?, seniorCitizenPriority?, pregnantWomenPriority?, disabledPriority?,
+ *            autoSkipAfterMins? (0 = off), maxSkips?, avgConsultationTime?, avgDiagnosticTime?, avgBillingTime?,
+ *            applyToServiceQueues? (copy priorityRatio / emergencyFirst to every service queue) }
+ * @access  Admin
+ */
+router.put('/settings', authorize('ADMIN'), controller.updateQueueSettings);
+
+/**
+ * @route   POST /api/queue/auto-skip/run
+ * @desc    Skip called patients who have not shown up within autoSkipAfterMins (also runs on a timer)
+ * @access  Admin
+ */
+router.post('/auto-skip/run', authorize('ADMIN'), controller.runAutoSkip);
+
+// ==================== LIVE EVENT ROUTES ====================
+
+/**
+ * @route   POST /api/queue/stream-token
+ * @desc    Short-lived token (60 s) for opening GET /stream. It only opens the stream;
+ *          an expired token does not end a stream that is already open. Fetch a new
+ *          one before reconnecting.
+ * @access  Authenticated
+ */
+router.post('/stream-token', controller.issueStreamToken);
+
 // ==================== ANALYTICS ROUTES ====================
 
 /**
@@ -169,6 +258,14 @@ router.post('/entries/:id/change-priority', controller.changePriority);
  */
 router.get('/analytics', controller.getQueueAnalytics);
 
+/**
+ * @route   GET /api/queue/analytics/wait-time-accuracy
+ * @desc    Predicted vs actual wait times (overall, by queue, by hour of day)
+ * @query   startDate, endDate, serviceQueueId
+ * @access  Admin
+ */
+router.get('/analytics/wait-time-accuracy', authorize('ADMIN'), controller.getWaitTimeAccuracy);
+
 /**
  * @route   POST /api/queue/reset-daily
  * @desc    Reset queue tokens for new day
@@ -176,24 +273,5 @@ router.get('/analytics', controller.getQueueAnalytics);
  */
 router.post('/reset-daily', controller.resetDailyQueues);
 
-// ==================== PUBLIC ROUTES (No Auth) ====================
-// These endpoints are for display boards and patient self-service kiosks
-
-/**
- * @route   GET /api/queue/public/display/:queueCode
- * @desc    Get queue display data (for TV/Monitor)
- * @query   hospitalId
- * @access  Public
- */
-router.get('/public/display/:queueCode', controller.getPublicQueueDisplay);
-
-/**
- * @route   GET /api/queue/public/status/:queueNumber
- * @desc    Check queue status by queue number
- * @query   hospitalId
- * @access  Public
- */
-router.get('/public/status/:queueNumber', controller.getPublicQueueStatus);
-
 export { router as queueRoutes };
 export default router;
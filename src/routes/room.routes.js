@@ -0,0 +1,132 @@
+/**
+ * Room Routes
+ * REST API endpoints for consultation rooms and their allocation to doctor sessions
+ */
+
+import { Router } from 'express';
+import * as controller from '../controllers/room.controller.js';
+import { protect } from '../middlewares/auth.middleware.js';
+import { authorize } from '../middlewares/rbac.middleware.js';
+
+const router = Router();
+
+// Apply authentication to all room routes
+router.use(protect);
+
+// ==================== ROOM BOARD ====================
+
+/**
+ * @route   GET /api/rooms/board
+ * @desc    Room occupancy for a date (allocated sessions and maintenance per room)
+ * @query   date (YYYY-MM-DD, default today), departmentId
+ * @access  Authenticated
+ */
+router.get('/board', controller.getRoomBoard);
+
+// ==================== ALLOCATION ROUTES ====================
+// A room is allocated to a doctor session (DoctorSchedule row); doctor queues follow it
+
+/**
+ * @route   POST /api/rooms/allocations
+ * @desc    Allocate a room to a doctor session
+ * @body    { roomId, scheduleId, fromDate?, toDate?, notes? }
+ * @access  Admin
+ */
+router.post('/allocations', authorize('ADMIN'), controller.createAllocation);
+
+/**
+ * @route   GET /api/rooms/allocations
+ * @desc    Get room allocations
+ * @query   roomId, doctorId, scheduleId, departmentId, dayOfWeek, isActive
+ * @access  Authenticated
+ */
+router.get('/allocations', controller.getAllocations);
+
+/**
+ * @route   PUT /api/rooms/allocations/:id
+ * @desc    Update a room allocation (room, dates, notes, isActive)
+ * @access  Admin
+ */
+router.put('/allocations/:id', authorize('ADMIN'), controller.updateAllocation);
+
+/**
+ * @route   DELETE /api/rooms/allocations/:id
+ * @desc    Remove a room allocation
+ * @access  Admin
+ */
+router.delete('/allocations/:id', authorize('ADMIN'), controller.deleteAllocation);
+
+/**
+ * @route   GET /api/rooms/doctors/:doctorId/current
+ * @desc    Room allocated to the doctor's current session
+ * @query   at (ISO date-time, default now)
+ * @access  Authenticated
+ */
+router.get('/doctors/:doctorId/current', controller.getDoctorCurrentRoom);
+
+// ==================== MAINTENANCE ROUTES ====================
+
+/**
+ * @route   DELETE /api/rooms/maintenance/:blockId
+ * @desc    Remove a maintenance block
+ * @access  Admin
+ */
+router.delete('/maintenance/:blockId', authorize('ADMIN'), controller.deleteMaintenanceBlock);
+
+// ==================== ROOM ROUTES ====================
+
+/**
+ * @route   POST /api/rooms
+ * @desc    Create a consultation room
+ * @body    { roomNumber, departmentId, roomName?, roomType?, floor?, wing?, capacity?, equipment? }
+ * @access  Admin
+ */
+router.post('/', authorize('ADMIN'), controller.createRoom);
+
+/**
+ * @route   GET /api/rooms
+ * @desc    Get consultation rooms
+ * @query   departmentId, roomType, isAvailable, isUnderMaintenance
+ * @access  Authenticated
+ */
+router.get('/', controller.getRooms);
+
+/**
+ * @route   GET /api/rooms/:id
+ * @desc    Get room details with active allocations and upcoming maintenance
+ * @access  Authenticated
+ */
+router.get('/:id', controller.getRoomById);
+
+/**
+ * @route   PUT /api/rooms/:id
+ * @desc    Update a room (bound queues pick up the new label)
+ * @access  Admin
+ */
+router.put('/:id', authorize('ADMIN'), controller.updateRoom);
+
+/**
+ * @route   DELETE /api/rooms/:id
+ * @desc    Delete a room (blocked while allocated or bound to a queue)
+ * @access  Admin
+ */
+router.delete('/:id', authorize('ADMIN'), controller.deleteRoom);
+
+/**
+ * @route   POST /api/rooms/:id/maintenance
+ * @desc    Block a room for maintenance; returns allocated sessions inside the block
+ * @body    { startDateTime, endDateTime, reason? }
+ * @access  Admin
+ */
+router.post('/:id/maintenance', authorize('ADMIN'), controller.addMaintenanceBlock);
+
+/**
+ * @route   GET /api/rooms/:id/maintenance
+ * @desc    Get maintenance blocks of a room (upcoming by default)
+ * @query   from, to
+ * @access  Authenticated
+ */
+router.get('/:id/maintenance', controller.getMaintenanceBlocks);
+
+export { router as roomRoutes };
+export default router;
@@ -56,6 +56,14 @@ router.get('/worklist/:category', workboardController.getWorklistByCategory);
  */
 router.get('/entry-form/:resultId', workboardController.getResultEntryForm);
 
+/**
+ * @route   GET /api/diagnostics/workboard/auto-verification/dashboard
+ * @desc    Auto-verification rate, hold reasons, per-test and daily breakdown
+ * @query   from, to (max 93 days, default last 30), testCode
+ * @access  Protected (Diagnostic roles only)
+ */
+router.get('/auto-verification/dashboard', workboardController.getAutoVerificationDashboard);
+
 // ==================== RESULT ENTRY ROUTES ====================
 
 /**
@@ -64,7 +72,7 @@ router.get('/entry-form/:resultId', workboardController.getResultEntryForm);
  * @body    {
  *            resultValue, resultNumeric, resultUnit,
  *            reportText, impressions, recommendations,
- *            componentResults, technicianNotes
+ *            componentResults, technicianNotes, instrumentFlags
  *          }
  * @access  Protected (Diagnostic roles only)
  */
@@ -72,7 +80,8 @@ router.put('/results/:resultId', workboardController.saveResultEntry);
 
 /**
  * @route   POST /api/diagnostics/workboard/results/:resultId/submit
- * @desc    Submit result for QC review
+ * @desc    Submit result for QC review (results passing the template's
+ *          auto-verification rules go straight to APPROVED/RELEASED)
  * @body    { notes?: string }
  * @access  Protected (Diagnostic roles only)
  */
@@ -106,9 +115,17 @@ router.post('/results/:resultId/qc-reject', workboardController.rejectQC);
  */
 router.post('/results/:resultId/review-approve', workboardController.reviewAndApprove);
 
+/**
+ * @route   POST /api/diagnostics/workboard/results/:resultId/delta-acknowledge
+ * @desc    Acknowledge failed delta checks (required before release)
+ * @body    { notes: string (required) }
+ * @access  Protected (LAB_TECHNICIAN, PATHOLOGY, RADIOLOGIST)
+ */
+router.post('/results/:resultId/delta-acknowledge', workboardController.acknowledgeDeltaCheck);
+
 /**
  * @route   POST /api/diagnostics/workboard/results/:resultId/release
- * @desc    Release approved result to patient
+ * @desc    Release approved result to patient (blocked while delta checks are unacknowledged)
  * @access  Protected (All diagnostic roles)
  */
 router.post('/results/:resultId/release', workboardController.releaseResult);
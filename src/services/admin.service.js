@@ -29,6 +29,7 @@ import {
   FormTemplateRepository,
   PayrollRepository
 } from './admin.repository.js';
+import { BillingConfigRepository } from './billing.repository.js';
 import {
   formatAdminProfile,
   formatAdminLoginResponse,
@@ -71,6 +72,7 @@ import { getDefaultFormSchema } from '../services/formTemplate.service.js';
 import { sendOtpEmail, sendLoginOtpConfirmation, sendTransactionalEmail } from '../services/email.service.js';
 import logger from '../utils/logger.js';
 import { getPostOfficesByPinCode } from '../services/pincode.service.js';
+import { DEFAULT_BILLING_CONFIG, isValidGstin, isValidPan } from '../utils/gst.utils.js';
 
 // OTP expires in 10 minutes
 const OTP_EXPIRY_MINUTES = 10;
@@ -86,6 +88,7 @@ export class AdminService {
     this.assignmentRepo = new AssignmentRepository(prisma);
     this.formTemplateRepo = new FormTemplateRepository(prisma);
     this.payrollRepo = new PayrollRepository(prisma);
+    this.billingConfigRepo = new BillingConfigRepository(prisma);
   }
 
   // ==================== HELPERS ====================
@@ -1284,6 +1287,130 @@ export class AdminService {
     };
   }
 
+  // ==================== BILLING CONFIG ====================
+
+  /**
+   * Get GST / invoice configuration for the hospital
+   * Returns defaults (not yet saved) when the hospital has no config
+   */
+  async getBillingConfig(hospitalId) {
+    if (!hospitalId) {
+      throw new ValidationError('Admin not associated with a hospital');
+    }
+
+    const config = await this.billingConfigRepo.findByHospitalId(hospitalId);
+    if (!config) {
+      return { ...DEFAULT_BILLING_CONFIG, hospitalId, isDefault: true };
+    }
+
+    return { ...config, isDefault: false };
+  }
+
+  /**
+   * Update GST / invoice configuration for the hospital
+   */
+  async updateBillingConfig(hospitalId, data) {
+    if (!hospitalId) {
+      throw new ValidationError('Admin not associated with a hospital');
+    }
+
+    const current = await this.getBillingConfig(hospitalId);
+    const updateData = {};
+
+    // Tax rates (percent)
+    for (const field of ['gstRate', 'cgstRate', 'sgstRate', 'igstRate']) {
+      if (data[field] !== undefined) {
+        const rate = parseFloat(data[field]);
+        if (isNaN(rate) || rate < 0 || rate > 100) {
+          throw new ValidationError(`${field} must be between 0 and 100.`, field);
+        }
+        updateData[field] = rate;
+      }
+    }
+
+    const rates = { ...current, ...updateData };
+    if (Math.abs(rates.cgstRate + rates.sgstRate - rates.igstRate) > 0.001) {
+      throw new ValidationError('CGST and SGST rates must add up to the IGST rate.', 'igstRate');
+    }
+    if (Math.abs(rates.gstRate - rates.igstRate) > 0.001) {
+      throw new ValidationError('GST rate must equal the IGST rate.', 'gstRate');
+    }
+
+    if (data.hsnSacCode !== undefined) {
+      const code = data.hsnSacCode ? String(data.hsnSacCode).trim() : null;
+      if (code && !/^\d{4,8}$/.test(code)) {
+        throw new ValidationError('HSN/SAC code must be 4 to 8 digits.', 'hsnSacCode');
+      }
+      updateData.hsnSacCode = code;
+    }
+
+    // Compliance
+    if (data.gstNumber !== undefined) {
+      const gstNumber = data.gstNumber ? String(data.gstNumber).trim().toUpperCase() : null;
+      if (gstNumber && !isValidGstin(gstNumber)) {
+        throw new ValidationError('Invalid GSTIN format.', 'gstNumber');
+      }
+      updateData.gstNumber = gstNumber;
+    }
+
+    if (data.panNumber !== undefined) {
+      const panNumber = data.panNumber ? String(data.panNumber).trim().toUpperCase() : null;
+      if (panNumber && !isValidPan(panNumber)) {
+        throw new ValidationError('Invalid PAN format.', 'panNumber');
+      }
+      updateData.panNumber = panNumber;
+    }
+
+    // A GSTIN embeds the holder's PAN (characters 3-12)
+    const finalGstin = updateData.gstNumber !== undefined ? updateData.gstNumber : current.gstNumber;
+    const finalPan = updateData.panNumber !== undefined ? updateData.panNumber : current.panNumber;
+    if (finalGstin && finalPan && finalGstin.slice(2, 12) !== finalPan) {
+      throw new ValidationError('PAN does not match the PAN embedded in the GSTIN.', 'panNumber');
+    }
+
+    // Invoice settings - prefix is kept short so the invoice number stays within 16 characters
+    if (data.invoicePrefix !== undefined) {
+      const prefix = String(data.invoicePrefix).trim().toUpperCase();
+      if (!/^[A-Z0-9-]{1,5}$/.test(prefix)) {
+        throw new ValidationError('Invoice prefix must be 1 to 5 letters, digits or hyphens.', 'invoicePrefix');
+      }
+      updateData.invoicePrefix = prefix;
+    }
+
+    // Discount policy
+    for (const field of ['maxDiscountPercent', 'requiresAprovalAbove']) {
+      if (data[field] !== undefined) {
+        if (data[field] === null) {
+          updateData[field] = null;
+          continue;
+        }
+        const value = parseFloat(data[field]);
+        if (isNaN(value) || value < 0 || (field === 'maxDiscountPercent' && value > 100)) {
+          throw new ValidationError(`Invalid ${field}.`, field);
+        }
+        updateData[field] = value;
+      }
+    }
+
+    for (const field of ['taxExemption', 'discountAllowed', 'acceptCash', 'acceptCard', 'acceptUPI', 'acceptInsurance', 'acceptNetBanking']) {
+      if (data[field] !== undefined) {
+        if (typeof data[field] !== 'boolean') {
+          throw new ValidationError(`${field} must be true or false.`, field);
+        }
+        updateData[field] = data[field];
+      }
+    }
+
+    const config = await this.billingConfigRepo.upsert(hospitalId, updateData);
+
+    logger.info(`[Admin] Billing config updated for hospital ${hospitalId}`);
+
+    return {
+      message: 'Billing configuration updated',
+      billingConfig: config
+    };
+  }
+
   /**
    * Lookup postal PIN code using the India Postal PIN Code API
    */
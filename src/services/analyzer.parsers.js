@@ -0,0 +1,373 @@
+/**
+ * Analyzer Message Parsers
+ * ASTM E1394 (framed per E1381 or plain records) and HL7 v2 ORU^R01 parsing,
+ * plus the builders the listener (acknowledgements) and simulator need
+ *
+ * Both parsers return the same shape:
+ * { protocol, sender, controlId, specimens: [{ accessionNumber, results: [
+ *   { instrumentCode, value, units, referenceRange, flags, status, observedAt } ] }] }
+ */
+
+import {
+  ANALYZER_PROTOCOLS,
+  ASTM_CONTROL,
+  MLLP_CONTROL,
+  ANALYZER_CONFIG
+} from '../constants/analyzerInterface.js';
+
+const { STX, ETX, ETB, CR, LF, ENQ, EOT } = ASTM_CONTROL;
+
+// ==================== DETECTION ====================
+
+/**
+ * Protocol of a raw message (null if neither)
+ */
+export function detectProtocol(raw) {
+  const text = unwrapMllp(String(raw)).replace(/^[\s\x05\x02\d]+/, '');
+  if (text.startsWith('MSH')) return ANALYZER_PROTOCOLS.HL7;
+  if (text.startsWith('H')) return ANALYZER_PROTOCOLS.ASTM;
+  return null;
+}
+
+/**
+ * Parse a message in either protocol
+ */
+export function parseAnalyzerMessage(raw, protocol = null) {
+  const resolved = protocol || detectProtocol(raw);
+  if (resolved === ANALYZER_PROTOCOLS.HL7) return parseHl7(raw);
+  if (resolved === ANALYZER_PROTOCOLS.ASTM) return parseAstm(raw);
+  throw new Error('Unrecognised analyzer message (expected ASTM H record or HL7 MSH segment)');
+}
+
+// ==================== ASTM E1394 ====================
+
+/**
+ * Record text from E1381 frames; unframed input is returned as-is
+ */
+export function unwrapAstmFrames(raw) {
+  const text = String(raw);
+  if (!text.includes(STX)) {
+    return text.split(ENQ).join('').split(EOT).join('');
+  }
+
+  const frame = /\x02[0-7]([\s\S]*?)[\x17\x03](?:[0-9A-Fa-f]{2})?\r?\n?/g;
+  let records = '';
+  let match;
+  while ((match = frame.exec(text)) !== null) {
+    records += match[1];
+  }
+  return records;
+}
+
+/**
+ * E1381 checksum: sum of frame number through ETX/ETB, modulo 256, two hex digits
+ */
+export function astmChecksum(body) {
+  let sum = 0;
+  for (const ch of body) sum = (sum + ch.charCodeAt(0)) % 256;
+  return sum.toString(16).toUpperCase().padStart(2, '0');
+}
+
+/**
+ * Split records into E1381 frames (long records continue in ETB frames)
+ * @param {Array<string>} records - record text without the trailing CR
+ */
+export function frameAstmRecords(records) {
+  const frames = [];
+  let frameNumber = 1;
+
+  for (const record of records) {
+    const text = `${record}${CR}`;
+    for (let start = 0; start < text.length; start += ANALYZER_CONFIG.ASTM_MAX_FRAME_TEXT) {
+      const chunk = text.slice(start, start + ANALYZER_CONFIG.ASTM_MAX_FRAME_TEXT);
+      const terminator = start + ANALYZER_CONFIG.ASTM_MAX_FRAME_TEXT >= text.length ? ETX : ETB;
+      const body = `${frameNumber}${chunk}${terminator}`;
+      frames.push(`${STX}${body}${astmChecksum(body)}${CR}${LF}`);
+      frameNumber = (frameNumber + 1) % 8;
+    }
+  }
+
+  return frames;
+}
+
+/**
+ * Parse ASTM E1394 records (H, P, O, R, C, L)
+ */
+export function parseAstm(raw) {
+  const lines = unwrapAstmFrames(raw)
+    .split(/\r\n|\r|\n/)
+    .map(line => line.replace(/^[0-7](?=[A-Z]\|)/, ''))
+    .filter(Boolean);
+
+  const header = lines.find(line => line.startsWith('H'));
+  if (!header || header.length < 5) {
+    throw new Error('ASTM message has no header record');
+  }
+
+  const delimiters = {
+    field: header[1],
+    repeat: header[2],
+    component: header[3],
+    escape: header[4]
+  };
+
+  const specimens = new Map();
+  let sender = null;
+  let current = null;
+
+  for (const line of lines) {
+    const fields = line.split(delimiters.field);
+    const type = fields[0];
+
+    if (type === 'H') {
+      sender = component(fields[4], delimiters.component, 0) || null;
+    } else if (type === 'O') {
+      const accessionNumber = component(fields[2], delimiters.component, 0) ||
+        component(fields[3], delimiters.component, 0);
+      current = getSpecimen(specimens, accessionNumber);
+    } else if (type === 'R') {
+      if (!current) current = getSpecimen(specimens, null);
+      const testId = (fields[2] || '').split(delimiters.component);
+      current.results.push({
+        instrumentCode: testId[3] || testId.find(Boolean) || null,
+        value: emptyToNull(fields[3]),
+        units: component(fields[4], delimiters.component, 0) || null,
+        referenceRange: emptyToNull(fields[5]),
+        flags: splitFlags(fields[6], delimiters.repeat),
+        status: emptyToNull(fields[8]),
+        observedAt: parseTimestamp(fields[12])
+      });
+    }
+  }
+
+  return {
+    protocol: ANALYZER_PROTOCOLS.ASTM,
+    sender,
+    controlId: null,
+    specimens: [...specimens.values()]
+  };
+}
+
+/**
+ * ASTM records for a result upload (used by the simulator)
+ * @param {Object} message - { sender, specimens: [{ accessionNumber, results }] }
+ */
+export function buildAstmRecords(message) {
+  const now = formatTimestamp(new Date());
+  const records = [`H|\\^&|||${message.sender}|||||||P|E1394-97|${now}`];
+
+  message.specimens.forEach((specimen, index) => {
+    records.push(`P|${index + 1}`);
+    records.push(`O|1|${specimen.accessionNumber}||^^^${specimen.results.map(r => r.instrumentCode).join('\\^^^')}|R||||||||||||||||||||F`);
+    specimen.results.forEach((result, resultIndex) => {
+      records.push([
+        'R', resultIndex + 1, `^^^${result.instrumentCode}`, result.value ?? '', result.units || '',
+        result.referenceRange || '', (result.flags || []).join('\\'), '', result.status || 'F',
+        '', '', '', now, message.sender
+      ].join('|'));
+    });
+  });
+
+  records.push('L|1|N');
+  return records;
+}
+
+// ==================== HL7 v2 ====================
+
+/**
+ * Message text from an MLLP block (VT ... FS CR); other input is returned as-is
+ */
+export function unwrapMllp(raw) {
+  const text = String(raw);
+  const start = text.indexOf(MLLP_CONTROL.START);
+  if (start === -1) return text;
+  const end = text.indexOf(MLLP_CONTROL.END[0], start);
+  return text.slice(start + 1, end === -1 ? undefined : end);
+}
+
+export function wrapMllp(message) {
+  return `${MLLP_CONTROL.START}${message}${MLLP_CONTROL.END}`;
+}
+
+/**
+ * Parse an HL7 v2 ORU^R01 (MSH, PID, OBR, OBX, SPM)
+ * Accession: SPM-2, else OBR-3 filler order number, else OBR-2 placer order number
+ */
+export function parseHl7(raw) {
+  const segments = unwrapMllp(raw).split(/\r\n|\r|\n/).filter(Boolean);
+  const msh = segments[0];
+
+  if (!msh?.startsWith('MSH') || msh.length < 8) {
+    throw new Error('HL7 message has no MSH segment');
+  }
+
+  const delimiters = {
+    field: msh[3],
+    component: msh[4],
+    repeat: msh[5],
+    escape: msh[6]
+  };
+
+  // MSH-1 is the field separator itself, so MSH-n sits at index n - 1
+  const mshFields = msh.split(delimiters.field);
+  const messageType = (mshFields[8] || '').split(delimiters.component);
+  if (messageType[0] !== 'ORU' || (messageType[1] && messageType[1] !== 'R01')) {
+    throw new Error(`Unsupported HL7 message type: ${mshFields[8] || 'none'} (expected ORU^R01)`);
+  }
+
+  const groups = [];
+  let current = null;
+
+  for (const segment of segments.slice(1)) {
+    const fields = segment.split(delimiters.field);
+    const type = fields[0];
+
+    if (type === 'OBR') {
+      current = {
+        accessionNumber: component(fields[3], delimiters.component, 0) ||
+          component(fields[2], delimiters.component, 0),
+        results: []
+      };
+      groups.push(current);
+    } else if (type === 'SPM' && current) {
+      const specimenId = component(fields[2], delimiters.component, 0);
+      if (specimenId) current.accessionNumber = specimenId;
+    } else if (type === 'OBX') {
+      if (!current) {
+        current = { accessionNumber: null, results: [] };
+        groups.push(current);
+      }
+      const value = (fields[5] || '').split(delimiters.repeat)[0];
+      current.results.push({
+        instrumentCode: component(fields[3], delimiters.component, 0) || null,
+        value: emptyToNull(unescapeHl7(value, delimiters)),
+        units: component(fields[6], delimiters.component, 0) || null,
+        referenceRange: emptyToNull(fields[7]),
+        flags: splitFlags(fields[8], delimiters.repeat),
+        status: emptyToNull(fields[11]),
+        observedAt: parseTimestamp(fields[14])
+      });
+    }
+  }
+
+  // Several OBR groups can carry the same specimen
+  const specimens = new Map();
+  for (const group of groups) {
+    getSpecimen(specimens, group.accessionNumber || null).results.push(...group.results);
+  }
+
+  return {
+    protocol: ANALYZER_PROTOCOLS.HL7,
+    sender: component(mshFields[2], delimiters.component, 0) || null,
+    controlId: emptyToNull(mshFields[9]),
+    specimens: [...specimens.values()]
+  };
+}
+
+/**
+ * HL7 ORU^R01 for a result upload (used by the simulator)
+ */
+export function buildHl7Oru(message) {
+  const now = formatTimestamp(new Date());
+  const segments = [
+    `MSH|^~\\&|${message.sender}|LAB|HMS|HOSPITAL|${now}||ORU^R01|${message.controlId || `SIM${Date.now()}`}|P|2.5.1`
+  ];
+
+  message.specimens.forEach((specimen, index) => {
+    segments.push(`OBR|${index + 1}||${specimen.accessionNumber}|${specimen.results.map(r => r.instrumentCode).join('~')}|||${now}`);
+    specimen.results.forEach((result, resultIndex) => {
+      segments.push([
+        'OBX', resultIndex + 1, isNumeric(result.value) ? 'NM' : 'ST', result.instrumentCode, '',
+        result.value ?? '', result.units || '', result.referenceRange || '', (result.flags || []).join('~'),
+        '', '', result.status || 'F', '', '', now
+      ].join('|'));
+    });
+  });
+
+  return segments.join(CR);
+}
+
+/**
+ * HL7 ACK for a received message
+ * @param {string} code - AA (accepted), AE (error), AR (rejected)
+ */
+export function buildHl7Ack(controlId, code = 'AA', text = '') {
+  const now = formatTimestamp(new Date());
+  return [
+    `MSH|^~\\&|HMS|HOSPITAL|||${now}||ACK^R01|ACK${Date.now()}|P|2.5.1`,
+    `MSA|${code}|${controlId || ''}${text ? `|${text.replace(/[|^~\\&\r\n]/g, ' ')}` : ''}`
+  ].join(CR);
+}
+
+// ==================== HELPERS ====================
+
+function getSpecimen(specimens, accessionNumber) {
+  const key = accessionNumber || '';
+  if (!specimens.has(key)) {
+    specimens.set(key, { accessionNumber: accessionNumber || null, results: [] });
+  }
+  return specimens.get(key);
+}
+
+function component(field, separator, index) {
+  return (field || '').split(separator)[index]?.trim() || '';
+}
+
+function splitFlags(field, repeat) {
+  return (field || '')
+    .split(repeat)
+    .map(flag => flag.trim())
+    .filter(Boolean);
+}
+
+function emptyToNull(value) {
+  const trimmed = value === undefined || value === null ? '' : String(value).trim();
+  return trimmed === '' ? null : trimmed;
+}
+
+function unescapeHl7(value, delimiters) {
+  const esc = delimiters.escape;
+  if (!esc || !value.includes(esc)) return value;
+  return value
+    .split(`${esc}F${esc}`).join(delimiters.field)
+    .split(`${esc}S${esc}`).join(delimiters.component)
+    .split(`${esc}R${esc}`).join(delimiters.repeat)
+    .split(`${esc}T${esc}`).join('&')
+    .split(`${esc}E${esc}`).join(esc);
+}
+
+/**
+ * YYYYMMDD[HHMM[SS]] (local time) -> Date
+ */
+function parseTimestamp(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?/.exec((value || '').trim());
+  if (!match) return null;
+  const [, y, mo, d, h = '00', mi = '00', s = '00'] = match;
+  const date = new Date(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function formatTimestamp(date) {
+  const p = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${p(date.getMonth() + 1)}${p(date.getDate())}` +
+    `${p(date.getHours())}${p(date.getMinutes())}${p(date.getSeconds())}`;
+}
+
+function isNumeric(value) {
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+}
+
+export default {
+  detectProtocol,
+  parseAnalyzerMessage,
+  unwrapAstmFrames,
+  astmChecksum,
+  frameAstmRecords,
+  parseAstm,
+  buildAstmRecords,
+  unwrapMllp,
+  wrapMllp,
+  parseHl7,
+  buildHl7Oru,
+  buildHl7Ack
+};
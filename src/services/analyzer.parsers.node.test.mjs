@@ -0,0 +1,244 @@
+/**
+ * ASTM E1394/E1381 and HL7 ORU^R01 parsing, malformed input, and simulator
+ * messages parsing back to the results they were built from
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  detectProtocol,
+  parseAnalyzerMessage,
+  unwrapAstmFrames,
+  astmChecksum,
+  frameAstmRecords,
+  parseAstm,
+  unwrapMllp,
+  wrapMllp,
+  parseHl7,
+  buildHl7Ack
+} from './analyzer.parsers.js';
+import { buildSimulatedResults, buildSimulatedMessage } from './analyzer.simulator.js';
+import { ANALYZER_PROTOCOLS, ASTM_CONTROL, MLLP_CONTROL } from '../constants/analyzerInterface.js';
+
+const { STX, ETX, ETB, CR, LF, ENQ, EOT } = ASTM_CONTROL;
+
+const astmRecords = [
+  'H|\\^&|||COBAS^1.0|||||||P|E1394-97|20261019083000',
+  'P|1',
+  'O|1|ACC-100||^^^GLU\\^^^NA|R',
+  'R|1|^^^GLU|7.8|mmol/L|3.9-6.1|H|N|F||||20261019083500',
+  'R|2|^^^NA|140|mmol/L|135-145|N||F',
+  'C|1|I|Haemolysed',
+  'O|2|ACC-101',
+  'R|1|^^^K|3.1|mmol/L|3.5-5.1|L\\LL||F',
+  'L|1|N'
+];
+
+const hl7Segments = [
+  'MSH|^~\\&|AU680|LAB|HMS|HOSPITAL|20261019090000||ORU^R01|MSG0001|P|2.5.1',
+  'PID|1||MRN123',
+  'OBR|1|PLC-9|ACC-200|GLU|||20261019085500',
+  'OBX|1|NM|GLU^Glucose||5.4|mmol/L|3.9-6.1|N|||F|||20261019085900',
+  'OBR|2|PLC-9|ACC-200|NOTE',
+  'OBX|1|ST|NOTE||Lipaemic\\S\\icteric||||||F'
+];
+
+const withoutTimes = (specimens) =>
+  specimens.map(({ accessionNumber, results }) => ({
+    accessionNumber,
+    results: results.map(({ observedAt, ...result }) => result)
+  }));
+
+// ==================== DETECTION ====================
+
+test('detects the protocol of plain, framed and MLLP-wrapped messages', () => {
+  assert.equal(detectProtocol(astmRecords.join(CR)), ANALYZER_PROTOCOLS.ASTM);
+  assert.equal(detectProtocol(ENQ + frameAstmRecords(astmRecords).join('')), ANALYZER_PROTOCOLS.ASTM);
+  assert.equal(detectProtocol(hl7Segments.join(CR)), ANALYZER_PROTOCOLS.HL7);
+  assert.equal(detectProtocol(wrapMllp(hl7Segments.join(CR))), ANALYZER_PROTOCOLS.HL7);
+  assert.equal(detectProtocol('GET / HTTP/1.1'), null);
+});
+
+test('rejects a message in neither protocol', () => {
+  assert.throws(() => parseAnalyzerMessage('GET / HTTP/1.1'), /Unrecognised analyzer message/);
+});
+
+// ==================== ASTM ====================
+
+test('parses ASTM records into specimens and results', () => {
+  const message = parseAnalyzerMessage(astmRecords.join(CR));
+
+  assert.equal(message.protocol, ANALYZER_PROTOCOLS.ASTM);
+  assert.equal(message.sender, 'COBAS');
+  assert.equal(message.controlId, null);
+  assert.deepEqual(withoutTimes(message.specimens), [
+    {
+      accessionNumber: 'ACC-100',
+      results: [
+        { instrumentCode: 'GLU', value: '7.8', units: 'mmol/L', referenceRange: '3.9-6.1', flags: ['H'], status: 'F' },
+        { instrumentCode: 'NA', value: '140', units: 'mmol/L', referenceRange: '135-145', flags: ['N'], status: 'F' }
+      ]
+    },
+    {
+      accessionNumber: 'ACC-101',
+      results: [
+        { instrumentCode: 'K', value: '3.1', units: 'mmol/L', referenceRange: '3.5-5.1', flags: ['L', 'LL'], status: 'F' }
+      ]
+    }
+  ]);
+  assert.deepEqual(message.specimens[0].results[0].observedAt, new Date(2026, 9, 19, 8, 35, 0));
+  assert.equal(message.specimens[0].results[1].observedAt, null);
+});
+
+test('E1381 checksum is the modulo-256 sum of frame number through ETX', () => {
+  // '1' (0x31) + 'A' (0x41) + ETX (0x03) = 0x75
+  assert.equal(astmChecksum(`1A${ETX}`), '75');
+  // 0x31 + 0xFF + 0xFF + 0x03 = 0x232, kept to the low byte
+  assert.equal(astmChecksum(`1\xff\xff${ETX}`), '32');
+});
+
+test('frames carry a checksum that changes when the frame is corrupted', () => {
+  const frames = frameAstmRecords(astmRecords);
+  const [, body, checksum] = /^\x02([\s\S]*[\x17\x03])([0-9A-F]{2})\r\n$/.exec(frames[3]);
+
+  assert.equal(astmChecksum(body), checksum);
+  assert.notEqual(astmChecksum(body.replace('7.8', '7.9')), checksum);
+});
+
+test('framed ASTM parses the same as the plain records', () => {
+  const framed = ENQ + frameAstmRecords(astmRecords).join('') + EOT;
+
+  assert.equal(unwrapAstmFrames(framed), astmRecords.map(r => `${r}${CR}`).join(''));
+  assert.deepEqual(parseAstm(framed), parseAstm(astmRecords.join(CR)));
+});
+
+test('long records continue across ETB frames and frame numbers wrap at 7', () => {
+  const comment = `C|1|I|${'x'.repeat(600)}`;
+  const records = ['H|\\^&|||AN1', 'P|1', 'O|1|ACC-1', 'R|1|^^^GLU|5', 'R|2|^^^NA|140', 'R|3|^^^K|4', comment, 'L|1|N'];
+  const frames = frameAstmRecords(records);
+
+  assert.deepEqual(frames.map(f => f[1]), ['1', '2', '3', '4', '5', '6', '7', '0', '1', '2']);
+  assert.deepEqual(frames.slice(6, 9).map(f => f.includes(ETB)), [true, true, false]);
+  assert.ok(frames.every(f => f.length <= 247));
+  assert.equal(unwrapAstmFrames(frames.join('')), records.map(r => `${r}${CR}`).join(''));
+});
+
+test('a truncated frame is dropped rather than parsed as a partial record', () => {
+  const [header, patient, order, result] = frameAstmRecords(astmRecords);
+  const truncated = header + patient + order + result.slice(0, 20);
+
+  const message = parseAstm(truncated);
+  assert.equal(message.specimens.length, 1);
+  assert.deepEqual(message.specimens[0].results, []);
+});
+
+test('an ASTM message without a header record is rejected', () => {
+  assert.throws(() => parseAstm(astmRecords.slice(1).join(CR)), /no header record/);
+  assert.throws(() => parseAstm(`${STX}1P|1${CR}${ETX}00${CR}${LF}`), /no header record/);
+});
+
+test('results before any order record are kept without an accession number', () => {
+  const message = parseAstm(['H|\\^&|||AN1', 'R|1|^^^GLU|5.1'].join(CR));
+
+  assert.equal(message.specimens[0].accessionNumber, null);
+  assert.equal(message.specimens[0].results[0].instrumentCode, 'GLU');
+});
+
+// ==================== HL7 ====================
+
+test('parses an HL7 ORU^R01, merging OBR groups for the same specimen', () => {
+  const message = parseAnalyzerMessage(wrapMllp(hl7Segments.join(CR)));
+
+  assert.equal(message.protocol, ANALYZER_PROTOCOLS.HL7);
+  assert.equal(message.sender, 'AU680');
+  assert.equal(message.controlId, 'MSG0001');
+  assert.deepEqual(withoutTimes(message.specimens), [
+    {
+      accessionNumber: 'ACC-200',
+      results: [
+        { instrumentCode: 'GLU', value: '5.4', units: 'mmol/L', referenceRange: '3.9-6.1', flags: ['N'], status: 'F' },
+        { instrumentCode: 'NOTE', value: 'Lipaemic^icteric', units: null, referenceRange: null, flags: [], status: 'F' }
+      ]
+    }
+  ]);
+  assert.deepEqual(message.specimens[0].results[0].observedAt, new Date(2026, 9, 19, 8, 59, 0));
+});
+
+test('HL7 accession comes from SPM-2, then OBR-3, then OBR-2', () => {
+  const msh = hl7Segments[0];
+  const accessionOf = (...segments) => parseHl7([msh, ...segments].join(CR)).specimens[0].accessionNumber;
+
+  assert.equal(accessionOf('OBR|1|PLC-1|FIL-1', 'SPM|1|SPEC-55', 'OBX|1|NM|GLU||5'), 'SPEC-55');
+  assert.equal(accessionOf('OBR|1|PLC-1|FIL-1', 'OBX|1|NM|GLU||5'), 'FIL-1');
+  assert.equal(accessionOf('OBR|1|PLC-1|', 'OBX|1|NM|GLU||5'), 'PLC-1');
+  assert.equal(accessionOf('OBX|1|NM|GLU||5'), null);
+});
+
+test('HL7 without an MSH segment is rejected', () => {
+  assert.throws(() => parseHl7(hl7Segments.slice(1).join(CR)), /no MSH segment/);
+  assert.throws(() => parseHl7('MSH|'), /no MSH segment/);
+});
+
+test('HL7 messages other than ORU^R01 are rejected', () => {
+  const adt = hl7Segments[0].replace('ORU^R01', 'ADT^A01');
+  assert.throws(() => parseHl7(adt), /Unsupported HL7 message type: ADT\^A01/);
+
+  const untyped = hl7Segments[0].replace('ORU^R01', '');
+  assert.throws(() => parseHl7(untyped), /Unsupported HL7 message type: none/);
+});
+
+test('MLLP wrapping round-trips and tolerates a missing end block', () => {
+  const text = hl7Segments.join(CR);
+
+  assert.equal(wrapMllp(text), `${MLLP_CONTROL.START}${text}${MLLP_CONTROL.END}`);
+  assert.equal(unwrapMllp(wrapMllp(text)), text);
+  assert.equal(unwrapMllp(`${MLLP_CONTROL.START}${text}`), text);
+  assert.equal(unwrapMllp(text), text);
+});
+
+test('ACK echoes the control id and strips delimiters from the error text', () => {
+  const [msh, msa] = buildHl7Ack('MSG0001', 'AE', 'Bad|value^here').split(CR);
+
+  assert.match(msh, /\|ACK\^R01\|/);
+  assert.equal(msa, 'MSA|AE|MSG0001|Bad value here');
+  assert.equal(buildHl7Ack(null).split(CR)[1], 'MSA|AA|');
+});
+
+// ==================== SIMULATOR ====================
+
+const analyzer = {
+  code: 'SIM-1',
+  testCodeMap: { GLU: { testCode: 'GLUCOSE' }, NA: { testCode: 'SODIUM' } }
+};
+
+const items = [
+  { testCode: 'GLUCOSE', test: { unit: 'mmol/L', referenceRanges: [{ min: 3.9, max: 6.1 }] } },
+  { testCode: 'SODIUM', test: { unit: 'mmol/L', referenceRanges: [{ min: 135, max: 145 }] } }
+];
+
+test('simulated results use the test code map and flag against the reference range', () => {
+  const results = buildSimulatedResults(analyzer, items, { GLU: 7.2, NA: { value: 140, flags: ['N'] }, XYZ: 1 });
+
+  assert.deepEqual(results, [
+    { instrumentCode: 'GLU', value: '7.2', units: 'mmol/L', referenceRange: '3.9-6.1', flags: ['H'], status: 'F' },
+    { instrumentCode: 'NA', value: '140', units: 'mmol/L', referenceRange: '135-145', flags: ['N'], status: 'F' },
+    { instrumentCode: 'XYZ', value: '1', units: null, referenceRange: null, flags: [], status: 'F' }
+  ]);
+});
+
+for (const protocol of [ANALYZER_PROTOCOLS.ASTM, ANALYZER_PROTOCOLS.HL7]) {
+  test(`simulated ${protocol} messages parse back to the results sent`, () => {
+    const results = buildSimulatedResults({ ...analyzer, protocol }, items, { GLU: 3.2, NA: 150 });
+    const { text, frames } = buildSimulatedMessage({ ...analyzer, protocol }, 'ACC-300', results);
+
+    const parsed = parseAnalyzerMessage(text);
+    assert.equal(parsed.protocol, protocol);
+    assert.equal(parsed.sender, 'SIM-1');
+    assert.deepEqual(withoutTimes(parsed.specimens), [{ accessionNumber: 'ACC-300', results }]);
+
+    if (protocol === ANALYZER_PROTOCOLS.ASTM) {
+      assert.deepEqual(parseAstm(frames.join('')), parsed);
+    } else {
+      assert.equal(frames, null);
+    }
+  });
+}
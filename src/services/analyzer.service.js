@@ -0,0 +1,635 @@
+/**
+ * Analyzer Service
+ * Lab instrument registry and result import from ASTM E1394 / HL7 v2 messages
+ *
+ * Each message is stored as an AnalyzerMessage. Results are matched to a
+ * specimen by accession number and to an ordered test through the analyzer's
+ * testCodeMap, then pre-filled through the workboard as ENTERED (source
+ * ANALYZER) with the instrument flags - a technician still checks and submits
+ * them. Anything that cannot be matched stays on the message for the
+ * reconciliation queue.
+ */
+
+import { DiagnosticsRepository } from './diagnostics.repository.js';
+import { SpecimenService } from './specimen.service.js';
+import { WorkboardService } from './workboard.service.js';
+import { parseAnalyzerMessage } from './analyzer.parsers.js';
+import {
+  buildSimulatedResults,
+  buildSimulatedMessage,
+  sendOverTcp,
+  writeToFolder
+} from './analyzer.simulator.js';
+import {
+  ANALYZER_TRANSPORTS,
+  ANALYZER_MESSAGE_SOURCES,
+  ANALYZER_MESSAGE_STATUS,
+  RECONCILIATION_STATUSES,
+  UNMATCHED_REASONS,
+  ANALYZER_FLAG_INTERPRETATION
+} from '../constants/analyzerInterface.js';
+import { RESULT_ENTRY_STATUS } from '../rbac/rolePermissions.js';
+import { validateAnalyzer } from '../controllers/diagnostics.validators.js';
+import { ValidationError, NotFoundError, ConflictError } from '../shared/AppError.js';
+import logger from '../utils/logger.js';
+
+const ENTRY_SOURCE_ANALYZER = 'ANALYZER';
+
+// Simulator delivery that imports without going through a transport
+const SIMULATOR_DIRECT = 'DIRECT';
+
+// Instrument status "X": test could not be performed
+const NO_RESULT_STATUSES = ['X'];
+
+// Items an instrument result can no longer be attached to
+const CLOSED_ITEM_STATUSES = ['CANCELLED', 'REJECTED'];
+
+export class AnalyzerService {
+  constructor(prisma) {
+    this.prisma = prisma;
+    this.repository = new DiagnosticsRepository(prisma);
+    this.specimenService = new SpecimenService(prisma);
+    this.workboardService = new WorkboardService(prisma);
+  }
+
+  // ==================== ANALYZERS ====================
+
+  async getAnalyzers(hospitalId, filters = {}) {
+    const where = { hospitalId };
+    if (filters.isActive !== undefined) where.isActive = filters.isActive === true || filters.isActive === 'true';
+
+    return this.prisma.labAnalyzer.findMany({
+      where,
+      orderBy: { name: 'asc' }
+    });
+  }
+
+  async getAnalyzer(analyzerId, hospitalId) {
+    const analyzer = await this.prisma.labAnalyzer.findFirst({
+      where: { id: analyzerId, hospitalId }
+    });
+
+    if (!analyzer) {
+      throw new NotFoundError('Analyzer');
+    }
+
+    return analyzer;
+  }
+
+  async createAnalyzer(data, hospitalId, userId) {
+    validateAnalyzer(data);
+    validateTransport(data);
+
+    const code = data.code.trim();
+    const existing = await this.prisma.labAnalyzer.findFirst({
+      where: { hospitalId, code }
+    });
+    if (existing) {
+      throw new ConflictError(`Analyzer ${code} already exists`);
+    }
+    await this.assertPortFree(data.tcpPort, null);
+
+    return this.prisma.labAnalyzer.create({
+      data: {
+        hospitalId,
+        code,
+        name: data.name.trim(),
+        manufacturer: data.manufacturer || null,
+        model: data.model || null,
+        protocol: data.protocol,
+        transport: data.transport,
+        tcpPort: data.tcpPort ?? null,
+        watchFolder: data.watchFolder || null,
+        testCodeMap: data.testCodeMap || {},
+        isActive: data.isActive !== false,
+        createdBy: userId
+      }
+    });
+  }
+
+  /**
+   * Update an analyzer; the worker picks up transport changes on its next pass
+   */
+  async updateAnalyzer(analyzerId, data, hospitalId) {
+    const analyzer = await this.getAnalyzer(analyzerId, hospitalId);
+    validateAnalyzer(data, true);
+
+    const fields = ['name', 'manufacturer', 'model', 'protocol', 'transport', 'tcpPort', 'watchFolder', 'testCodeMap', 'isActive'];
+    const updateData = {};
+    for (const field of fields) {
+      if (data[field] !== undefined) updateData[field] = data[field];
+    }
+
+    validateTransport({ ...analyzer, ...updateData });
+    if (updateData.tcpPort !== undefined) {
+      await this.assertPortFree(updateData.tcpPort, analyzer.id);
+    }
+
+    return this.prisma.labAnalyzer.update({
+      where: { id: analyzer.id },
+      data: updateData
+    });
+  }
+
+  /**
+   * Listener ports are global to the server, not per hospital
+   */
+  async assertPortFree(tcpPort, analyzerId) {
+    if (!tcpPort) return;
+
+    const taken = await this.prisma.labAnalyzer.findFirst({
+      where: { tcpPort, ...(analyzerId ? { id: { not: analyzerId } } : {}) }
+    });
+    if (taken) {
+      throw new ConflictError(`TCP port ${tcpPort} is already used by another analyzer`);
+    }
+  }
+
+  // ==================== IMPORT ====================
+
+  /**
+   * Store, parse and import a raw instrument message
+   * Never throws on message content - parse failures are stored as FAILED
+   * @param {Object} analyzer - LabAnalyzer
+   * @param {string} rawMessage - ASTM records/frames or HL7 (optionally MLLP-wrapped)
+   * @param {Object} options - { source, sourceRef }
+   */
+  async importMessage(analyzer, rawMessage, options = {}) {
+    const message = await this.prisma.analyzerMessage.create({
+      data: {
+        hospitalId: analyzer.hospitalId,
+        analyzerId: analyzer.id,
+        protocol: analyzer.protocol,
+        source: options.source || ANALYZER_MESSAGE_SOURCES.API,
+        sourceRef: options.sourceRef || null,
+        rawMessage: String(rawMessage)
+      }
+    });
+
+    let parsed;
+    try {
+      parsed = parseAnalyzerMessage(rawMessage, analyzer.protocol);
+    } catch (error) {
+      logger.warn(`Analyzer ${analyzer.code}: unparseable message ${message.id}: ${error.message}`);
+      const failed = await this.prisma.analyzerMessage.update({
+        where: { id: message.id },
+        data: { status: ANALYZER_MESSAGE_STATUS.FAILED, error: error.message, processedAt: new Date() }
+      });
+      return { message: failed, imported: [], unmatched: [] };
+    }
+
+    const entries = parsed.specimens.flatMap(specimen =>
+      specimen.results.map(result => ({ accessionNumber: specimen.accessionNumber, ...result }))
+    );
+    const { imported, unmatched } = await this.importEntries(analyzer, entries, message.id);
+
+    const updated = await this.prisma.analyzerMessage.update({
+      where: { id: message.id },
+      data: {
+        controlId: parsed.controlId,
+        status: getImportStatus(imported.length, unmatched.length),
+        accessionNumbers: [...new Set(entries.map(e => e.accessionNumber).filter(Boolean))],
+        imported,
+        unmatched,
+        error: entries.length === 0 ? 'Message contains no results' : null,
+        processedAt: new Date()
+      }
+    });
+
+    await this.prisma.labAnalyzer.update({
+      where: { id: analyzer.id },
+      data: { lastMessageAt: new Date() }
+    });
+
+    return { message: updated, imported, unmatched };
+  }
+
+  /**
+   * Manual upload of a message (e.g. exported from instrument software)
+   */
+  async uploadMessage(analyzerId, data, hospitalId) {
+    if (!data.rawMessage?.trim()) {
+      throw new ValidationError('rawMessage is required');
+    }
+    const analyzer = await this.getAnalyzer(analyzerId, hospitalId);
+
+    return this.importMessage(analyzer, data.rawMessage, {
+      source: ANALYZER_MESSAGE_SOURCES.API,
+      sourceRef: data.fileName || null
+    });
+  }
+
+  /**
+   * Match flattened instrument results to order items and pre-fill them
+   * @param {Array} entries - [{ accessionNumber, instrumentCode, value, units, referenceRange, flags, status, observedAt }]
+   * @returns {Object} { imported, unmatched }
+   */
+  async importEntries(analyzer, entries, messageId) {
+    const imported = [];
+    const unmatched = [];
+    const codeMap = analyzer.testCodeMap || {};
+
+    const byAccession = new Map();
+    for (const entry of entries) {
+      const key = entry.accessionNumber || '';
+      if (!byAccession.has(key)) byAccession.set(key, []);
+      byAccession.get(key).push(entry);
+    }
+
+    for (const [accessionNumber, specimenEntries] of byAccession) {
+      const items = accessionNumber
+        ? await this.getSpecimenItems(accessionNumber, analyzer.hospitalId)
+        : null;
+
+      if (!items) {
+        unmatched.push(...specimenEntries.map(entry => toUnmatched(entry, 'NO_SPECIMEN')));
+        continue;
+      }
+
+      // Several instrument codes can fill one test (panel components)
+      const byItem = new Map();
+      for (const entry of specimenEntries) {
+        if (entry.value === null || NO_RESULT_STATUSES.includes(entry.status)) {
+          unmatched.push(toUnmatched(entry, 'NO_VALUE'));
+          continue;
+        }
+
+        const mapping = codeMap[entry.instrumentCode];
+        if (!mapping?.testCode) {
+          unmatched.push(toUnmatched(entry, 'UNMAPPED_CODE'));
+          continue;
+        }
+
+        const item = items.find(i => i.testCode === mapping.testCode);
+        if (!item) {
+          unmatched.push(toUnmatched(entry, 'TEST_NOT_ORDERED'));
+          continue;
+        }
+
+        if (!byItem.has(item.id)) byItem.set(item.id, { item, fields: [] });
+        byItem.get(item.id).fields.push({ entry, fieldCode: mapping.fieldCode || item.testCode });
+      }
+
+      for (const { item, fields } of byItem.values()) {
+        try {
+          imported.push(await this.prefillResult(analyzer, item, fields, messageId, accessionNumber));
+        } catch (error) {
+          logger.warn(`Analyzer ${analyzer.code}: ${item.testCode} on ${accessionNumber} not pre-filled: ${error.message}`);
+          unmatched.push(...fields.map(({ entry }) => toUnmatched(entry, 'RESULT_LOCKED', error.message)));
+        }
+      }
+    }
+
+    return { imported, unmatched };
+  }
+
+  /**
+   * Open order items of the specimen with the accession number (null if none)
+   */
+  async getSpecimenItems(accessionNumber, hospitalId) {
+    let specimen;
+    try {
+      specimen = await this.specimenService.findByCode(accessionNumber, hospitalId);
+    } catch (error) {
+      if (error instanceof NotFoundError) return null;
+      throw error;
+    }
+
+    return this.prisma.diagnosticOrderItem.findMany({
+      where: { specimenId: specimen.id, status: { notIn: CLOSED_ITEM_STATUSES } },
+      include: { test: true, order: true, result: true }
+    });
+  }
+
+  /**
+   * Pre-fill one order item's result from its instrument fields
+   * Only untouched results (or earlier analyzer pre-fills) are written
+   */
+  async prefillResult(analyzer, item, fields, messageId, accessionNumber) {
+    let result = item.result;
+
+    if (!result) {
+      result = await this.repository.createResult({
+        patientId: item.order.patientId,
+        hospitalId: analyzer.hospitalId,
+        orderId: item.orderId,
+        testId: item.testId,
+        testCode: item.testCode,
+        testName: item.testName,
+        resultUnit: item.test?.unit,
+        referenceMin: item.test?.referenceRanges?.[0]?.min,
+        referenceMax: item.test?.referenceRanges?.[0]?.max,
+        status: RESULT_ENTRY_STATUS.SAMPLE_COLLECTED
+      });
+
+      const itemHistory = item.statusHistory || [];
+      const moveToProcessing = item.status === 'SAMPLE_COLLECTED';
+      if (moveToProcessing) {
+        itemHistory.push({ status: 'PROCESSING', timestamp: new Date(), by: null, notes: `Analyzer ${analyzer.code}` });
+      }
+
+      await this.repository.updateOrderItem(item.id, {
+        resultId: result.id,
+        analyzerId: analyzer.code,
+        ...(moveToProcessing && {
+          status: 'PROCESSING',
+          processingStartedAt: new Date(),
+          statusHistory: itemHistory
+        })
+      });
+    }
+
+    const writable = result.status === RESULT_ENTRY_STATUS.SAMPLE_COLLECTED ||
+      (result.status === RESULT_ENTRY_STATUS.ENTERED && result.entrySource === ENTRY_SOURCE_ANALYZER);
+    if (!writable) {
+      throw new ValidationError(`${UNMATCHED_REASONS.RESULT_LOCKED} (status ${result.status})`);
+    }
+
+    const data = {};
+    const previous = parseJson(result.componentResults);
+    const components = { ...previous };
+    let mainFlags = null;
+
+    for (const { entry, fieldCode } of fields) {
+      const numeric = toNumber(entry.value);
+      const entryFlags = (entry.flags || []).filter(flag => flag !== 'N');
+
+      if (fieldCode === item.testCode) {
+        data.resultValue = entry.value;
+        if (numeric !== null) data.resultNumeric = numeric;
+        if (entry.units) data.resultUnit = entry.units;
+        mainFlags = entryFlags;
+      } else {
+        const interpretation = interpretFlags(entry.flags);
+        components[fieldCode] = {
+          value: entry.value,
+          unit: entry.units || null,
+          referenceRange: entry.referenceRange || null,
+          flags: entryFlags,
+          interpretation,
+          isCritical: !!interpretation?.includes('CRITICAL')
+        };
+      }
+    }
+
+    // A re-run replaces the flags of the fields it sends; flags of an earlier
+    // main value not re-sent are kept
+    if (mainFlags === null && result.status === RESULT_ENTRY_STATUS.ENTERED) {
+      const componentFlags = new Set(Object.values(previous).flatMap(c => c?.flags || []));
+      mainFlags = (result.instrumentFlags || []).filter(flag => !componentFlags.has(flag));
+    }
+    const flags = new Set([...(mainFlags || []), ...Object.values(components).flatMap(c => c?.flags || [])]);
+
+    if (Object.keys(components).length > 0) data.componentResults = components;
+    data.instrumentFlags = [...flags];
+
+    const saved = await this.workboardService.saveResultEntry(result.id, data, null, analyzer.hospitalId, {
+      entryStatus: RESULT_ENTRY_STATUS.ENTERED,
+      entrySource: ENTRY_SOURCE_ANALYZER,
+      analyzerMessageId: messageId
+    });
+
+    return {
+      accessionNumber,
+      orderItemId: item.id,
+      testCode: item.testCode,
+      resultId: result.id,
+      fields: fields.map(f => f.fieldCode),
+      instrumentCodes: fields.map(f => f.entry.instrumentCode),
+      flags: data.instrumentFlags,
+      reflexTests: saved.reflexTests?.length || 0
+    };
+  }
+
+  // ==================== SIMULATOR ====================
+
+  /**
+   * Send a simulated instrument run for a specimen
+   * TCP goes through the worker's listener and FOLDER through the watch folder
+   * (both imported asynchronously); DIRECT imports straight away
+   * @param {Object} data - { accessionNumber, values: { "<instrument code>": value }, delivery: TCP | FOLDER | DIRECT }
+   */
+  async simulateRun(analyzerId, data, hospitalId) {
+    const analyzer = await this.getAnalyzer(analyzerId, hospitalId);
+
+    if (!data.accessionNumber?.trim()) {
+      throw new ValidationError('accessionNumber is required');
+    }
+
+    const delivery = data.delivery || analyzer.transport;
+    if (![...Object.values(ANALYZER_TRANSPORTS), SIMULATOR_DIRECT].includes(delivery)) {
+      throw new ValidationError(`Delivery must be one of: ${[...Object.values(ANALYZER_TRANSPORTS), SIMULATOR_DIRECT].join(', ')}`);
+    }
+    validateTransport({ ...analyzer, transport: delivery === SIMULATOR_DIRECT ? null : delivery });
+
+    const accessionNumber = data.accessionNumber.trim();
+    const items = await this.getSpecimenItems(accessionNumber, hospitalId) || [];
+    const results = buildSimulatedResults(analyzer, items, data.values || {});
+    if (results.length === 0) {
+      throw new ValidationError(`No mapped tests of analyzer ${analyzer.code} are ordered on ${accessionNumber}; pass values to send codes anyway`);
+    }
+
+    const message = buildSimulatedMessage(analyzer, accessionNumber, results);
+    const run = { delivery, accessionNumber, results, rawMessage: message.text };
+
+    if (delivery === ANALYZER_TRANSPORTS.TCP) {
+      const response = await sendOverTcp(analyzer.tcpPort, analyzer.protocol, message);
+      return { ...run, ...response };
+    }
+
+    if (delivery === ANALYZER_TRANSPORTS.FOLDER) {
+      return { ...run, filePath: await writeToFolder(analyzer.watchFolder, analyzer.protocol, message) };
+    }
+
+    return {
+      ...run,
+      ...(await this.importMessage(analyzer, message.text, { source: ANALYZER_MESSAGE_SOURCES.SIMULATOR }))
+    };
+  }
+
+  // ==================== RECONCILIATION ====================
+
+  /**
+   * Messages needing attention (UNMATCHED, PARTIAL, FAILED by default)
+   * @param {Object} filters - { status, analyzerId, page, limit }
+   */
+  async getMessages(hospitalId, filters = {}) {
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+    const limit = Math.min(parseInt(filters.limit) || 50, 200);
+
+    const where = {
+      hospitalId,
+      status: filters.status ? filters.status : { in: RECONCILIATION_STATUSES }
+    };
+    if (filters.analyzerId) where.analyzerId = filters.analyzerId;
+
+    const [messages, total] = await Promise.all([
+      this.prisma.analyzerMessage.findMany({
+        where,
+        include: { analyzer: { select: { id: true, code: true, name: true } } },
+        orderBy: { receivedAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      this.prisma.analyzerMessage.count({ where })
+    ]);
+
+    return {
+      messages: messages.map(message => ({
+        ...message,
+        unmatched: (message.unmatched || []).map(entry => ({
+          ...entry,
+          reasonText: UNMATCHED_REASONS[entry.reason] || entry.reason
+        }))
+      })),
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+  }
+
+  async getMessage(messageId, hospitalId) {
+    const message = await this.prisma.analyzerMessage.findFirst({
+      where: { id: messageId, hospitalId },
+      include: { analyzer: true }
+    });
+
+    if (!message) {
+      throw new NotFoundError('Analyzer message');
+    }
+
+    return message;
+  }
+
+  /**
+   * Retry a message's unmatched results, e.g. after fixing the test code map
+   * or with corrected accession numbers
+   * @param {Object} data - { accessionOverrides: { "<received>": "<correct accession>" }, notes }
+   */
+  async reprocessMessage(messageId, data, hospitalId, userId) {
+    const message = await this.getMessage(messageId, hospitalId);
+
+    if (!RECONCILIATION_STATUSES.includes(message.status)) {
+      throw new ValidationError(`Only ${RECONCILIATION_STATUSES.join(', ')} messages can be reprocessed`);
+    }
+
+    let entries;
+    if (message.status === ANALYZER_MESSAGE_STATUS.FAILED) {
+      try {
+        entries = parseAnalyzerMessage(message.rawMessage, message.protocol).specimens.flatMap(specimen =>
+          specimen.results.map(result => ({ accessionNumber: specimen.accessionNumber, ...result }))
+        );
+      } catch (error) {
+        throw new ValidationError(`Message still cannot be parsed: ${error.message}`);
+      }
+    } else {
+      entries = (message.unmatched || []).map(({ reason, message: _message, ...entry }) => entry);
+    }
+
+    const overrides = data.accessionOverrides || {};
+    entries = entries.map(entry => {
+      const override = overrides[entry.accessionNumber || ''];
+      return override ? { ...entry, accessionNumber: String(override).trim() } : entry;
+    });
+
+    const { imported, unmatched } = await this.importEntries(message.analyzer, entries, message.id);
+    const allImported = [...(message.imported || []), ...imported];
+    const resolved = unmatched.length === 0;
+
+    return this.prisma.analyzerMessage.update({
+      where: { id: message.id },
+      data: {
+        status: resolved ? ANALYZER_MESSAGE_STATUS.RESOLVED : getImportStatus(allImported.length, unmatched.length),
+        accessionNumbers: [...new Set([...message.accessionNumbers, ...entries.map(e => e.accessionNumber).filter(Boolean)])],
+        imported: allImported,
+        unmatched,
+        error: null,
+        processedAt: new Date(),
+        ...(resolved && {
+          resolvedBy: userId,
+          resolvedAt: new Date(),
+          resolutionNotes: data.notes || null
+        })
+      }
+    });
+  }
+
+  /**
+   * Drop a message from the queue (repeat run, QC material, ...)
+   */
+  async discardMessage(messageId, reason, hospitalId, userId) {
+    if (!reason?.trim()) {
+      throw new ValidationError('Discard reason is required');
+    }
+
+    const message = await this.getMessage(messageId, hospitalId);
+    if (!RECONCILIATION_STATUSES.includes(message.status)) {
+      throw new ValidationError(`Only ${RECONCILIATION_STATUSES.join(', ')} messages can be discarded`);
+    }
+
+    return this.prisma.analyzerMessage.update({
+      where: { id: message.id },
+      data: {
+        status: ANALYZER_MESSAGE_STATUS.DISCARDED,
+        resolvedBy: userId,
+        resolvedAt: new Date(),
+        resolutionNotes: reason.trim()
+      }
+    });
+  }
+}
+
+// ==================== HELPERS ====================
+
+function validateTransport(analyzer) {
+  if (analyzer.transport === ANALYZER_TRANSPORTS.TCP && !analyzer.tcpPort) {
+    throw new ValidationError('TCP analyzers need a tcpPort');
+  }
+  if (analyzer.transport === ANALYZER_TRANSPORTS.FOLDER && !analyzer.watchFolder?.trim()) {
+    throw new ValidationError('FOLDER analyzers need a watchFolder');
+  }
+}
+
+function getImportStatus(importedCount, unmatchedCount) {
+  if (importedCount > 0 && unmatchedCount === 0) return ANALYZER_MESSAGE_STATUS.IMPORTED;
+  if (importedCount > 0) return ANALYZER_MESSAGE_STATUS.PARTIAL;
+  return ANALYZER_MESSAGE_STATUS.UNMATCHED;
+}
+
+function toUnmatched(entry, reason, message = null) {
+  return {
+    ...entry,
+    observedAt: entry.observedAt ? new Date(entry.observedAt).toISOString() : null,
+    reason,
+    message: message || UNMATCHED_REASONS[reason]
+  };
+}
+
+/**
+ * Interpretation from instrument flags (most severe wins)
+ */
+function interpretFlags(flags = []) {
+  const interpretations = flags.map(flag => ANALYZER_FLAG_INTERPRETATION[flag]).filter(Boolean);
+  return interpretations.find(i => i.includes('CRITICAL')) ||
+    interpretations.find(i => i !== 'NORMAL') ||
+    interpretations[0] ||
+    null;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : null;
+}
+
+function parseJson(value) {
+  if (!value) return {};
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return {};
+    }
+  }
+  return Array.isArray(value) ? {} : value;
+}
+
+export default AnalyzerService;
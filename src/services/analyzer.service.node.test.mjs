@@ -0,0 +1,185 @@
+/**
+ * Analyzer Service - pre-filling matched instrument results through the
+ * workboard (result creation, order item link, component values and flags)
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answeringClient, callsTo } from './prismaTestClient.node.mjs';
+import { AnalyzerService } from './analyzer.service.js';
+import { RESULT_ENTRY_STATUS } from '../rbac/rolePermissions.js';
+
+const analyzer = {
+  id: 'analyzer-1',
+  code: 'XN1000',
+  hospitalId: 'h1',
+  testCodeMap: {
+    HGB: { testCode: 'CBC', fieldCode: 'HEMOGLOBIN' },
+    WBC: { testCode: 'CBC', fieldCode: 'WBC_COUNT' },
+    TSH: { testCode: 'TSH' },
+    GLU: { testCode: 'GLUCOSE_F' },
+  },
+};
+
+const cbc = { id: 'test-cbc', testCode: 'CBC', testName: 'Complete Blood Count', category: 'BLOOD_TEST', unit: null, referenceRanges: null };
+const tsh = {
+  id: 'test-tsh', testCode: 'TSH', testName: 'TSH', category: 'HORMONES', unit: 'uIU/mL',
+  referenceRanges: [{ gender: 'all', min: 0.4, max: 4.5 }],
+};
+
+const order = { id: 'order-1', orderId: 'DO-1', patientId: 'P1', hospitalId: 'h1', urgency: 'ROUTINE' };
+
+const orderItem = (test, extra = {}) => ({
+  id: `item-${test.testCode}`,
+  orderId: order.id,
+  testId: test.id,
+  testCode: test.testCode,
+  testName: test.testName,
+  status: 'SAMPLE_COLLECTED',
+  statusHistory: [],
+  specimenId: 'specimen-1',
+  test,
+  order,
+  result: null,
+  ...extra,
+});
+
+const entry = (instrumentCode, value, flags = []) => ({
+  accessionNumber: 'ACC-1', instrumentCode, value, units: null, referenceRange: null, flags, status: 'F', observedAt: null,
+});
+
+/**
+ * Analyzer service over a single stored DiagnosticResult row
+ */
+function setup(items, storedResult = null) {
+  let row = storedResult;
+  const withRelations = () => row && { ...row, test: items.find(i => i.testId === row.testId).test, order };
+
+  const { client, calls, trace } = answeringClient({
+    diagnosticOrderItem: {
+      findMany: items,
+      update: ({ where, data }) => ({ ...items.find(i => i.id === where.id), ...data }),
+      findFirst: null,
+    },
+    diagnosticResult: {
+      create: ({ data }) => (row = { id: 'result-1', entrySource: null, instrumentFlags: [], componentResults: null, ...data }),
+      findFirst: () => withRelations(),
+      findMany: [],
+      update: ({ data }) => {
+        row = { ...row, ...data };
+        return withRelations();
+      },
+    },
+    diagnosticReport: { findMany: [] },
+  });
+
+  const service = new AnalyzerService(client);
+  service.specimenService.findByCode = async () => ({ id: 'specimen-1' });
+  service.workboardService.templateService.resolveTemplateForResult = async () => null;
+  service.workboardService.reflexService.templateService.resolveTemplateForResult = async () => null;
+
+  return { service, calls, trace, current: () => row };
+}
+
+test('components of a panel are pre-filled onto a new result linked to the order and its item', async () => {
+  const { service, calls, current } = setup([orderItem(cbc)]);
+
+  const { imported, unmatched } = await service.importEntries(
+    analyzer, [entry('HGB', '10.2', ['L']), entry('WBC', '7.1', ['N'])], 'message-1'
+  );
+
+  assert.deepEqual(unmatched, []);
+  assert.deepEqual(imported, [{
+    accessionNumber: 'ACC-1',
+    orderItemId: 'item-CBC',
+    testCode: 'CBC',
+    resultId: 'result-1',
+    fields: ['HEMOGLOBIN', 'WBC_COUNT'],
+    instrumentCodes: ['HGB', 'WBC'],
+    flags: ['L'],
+    reflexTests: 0,
+  }]);
+
+  const [create] = callsTo(calls, 'diagnosticResult.create');
+  assert.equal(create.args.data.orderId, 'order-1');
+  assert.equal(create.args.data.testId, 'test-cbc');
+  assert.equal(create.args.data.status, RESULT_ENTRY_STATUS.SAMPLE_COLLECTED);
+
+  const [link] = callsTo(calls, 'diagnosticOrderItem.update');
+  assert.equal(link.args.data.resultId, 'result-1');
+  assert.equal(link.args.data.status, 'PROCESSING');
+  assert.equal(link.args.data.analyzerId, 'XN1000');
+
+  const saved = current();
+  assert.equal(saved.status, RESULT_ENTRY_STATUS.ENTERED);
+  assert.equal(saved.entrySource, 'ANALYZER');
+  assert.equal(saved.analyzerMessageId, 'message-1');
+  assert.equal(saved.enteredBy, null);
+  assert.deepEqual(saved.instrumentFlags, ['L']);
+  assert.deepEqual(saved.componentResults.HEMOGLOBIN, {
+    value: '10.2', unit: null, referenceRange: null, flags: ['L'], interpretation: 'LOW', isCritical: false,
+  });
+  assert.equal(saved.componentResults.WBC_COUNT.interpretation, 'NORMAL');
+  assert.deepEqual(saved.componentResults.WBC_COUNT.flags, []);
+});
+
+test('a main value is interpreted against the test reference range', async () => {
+  const { service, current } = setup([orderItem(tsh)]);
+
+  await service.importEntries(analyzer, [entry('TSH', '6.2', ['H'])], 'message-1');
+
+  const saved = current();
+  assert.equal(saved.resultValue, '6.2');
+  assert.equal(saved.resultNumeric, 6.2);
+  assert.equal(saved.interpretation, 'HIGH');
+  assert.equal(saved.isCritical, false);
+  assert.equal(saved.componentResults, null);
+  assert.deepEqual(saved.instrumentFlags, ['H']);
+});
+
+test('a re-run updates an analyzer pre-fill without creating another result', async () => {
+  const stored = {
+    id: 'result-1', orderId: 'order-1', testId: 'test-cbc', testCode: 'CBC', patientId: 'P1',
+    status: RESULT_ENTRY_STATUS.ENTERED, entrySource: 'ANALYZER', instrumentFlags: ['L', 'HEMOLYSED'],
+    componentResults: { HEMOGLOBIN: { value: '10.2', flags: ['L'], interpretation: 'LOW' } },
+  };
+  const { service, calls, current } = setup([orderItem(cbc, { status: 'PROCESSING', result: stored })], stored);
+
+  await service.importEntries(analyzer, [entry('WBC', '7.1')], 'message-2');
+
+  assert.equal(callsTo(calls, 'diagnosticResult.create').length, 0);
+  assert.equal(callsTo(calls, 'diagnosticOrderItem.update').length, 0);
+
+  // Components not re-sent are kept; flags of the earlier main value too
+  const saved = current();
+  assert.deepEqual(Object.keys(saved.componentResults), ['HEMOGLOBIN', 'WBC_COUNT']);
+  assert.deepEqual(saved.instrumentFlags, ['HEMOLYSED', 'L']);
+  assert.equal(saved.analyzerMessageId, 'message-2');
+});
+
+test('results a technician has taken over are left alone and reported as locked', async () => {
+  const stored = {
+    id: 'result-1', orderId: 'order-1', testId: 'test-cbc', testCode: 'CBC', patientId: 'P1',
+    status: RESULT_ENTRY_STATUS.ENTERED, entrySource: 'MANUAL', instrumentFlags: [], componentResults: null,
+  };
+  const { service, calls } = setup([orderItem(cbc, { status: 'PROCESSING', result: stored })], stored);
+
+  const { imported, unmatched } = await service.importEntries(analyzer, [entry('HGB', '10.2')], 'message-2');
+
+  assert.deepEqual(imported, []);
+  assert.deepEqual(unmatched.map(u => [u.instrumentCode, u.reason]), [['HGB', 'RESULT_LOCKED']]);
+  assert.equal(callsTo(calls, 'diagnosticResult.update').length, 0);
+});
+
+test('codes without a mapping or an ordered test stay unmatched', async () => {
+  const { service, calls } = setup([orderItem(cbc)]);
+
+  const { imported, unmatched } = await service.importEntries(
+    analyzer, [entry('CRP', '4'), entry('GLU', '90'), entry('HGB', null)], 'message-1'
+  );
+
+  assert.deepEqual(imported, []);
+  assert.deepEqual(unmatched.map(u => [u.instrumentCode, u.reason]), [
+    ['CRP', 'UNMAPPED_CODE'], ['GLU', 'TEST_NOT_ORDERED'], ['HGB', 'NO_VALUE'],
+  ]);
+  assert.equal(callsTo(calls, 'diagnosticResult.create').length, 0);
+});
@@ -0,0 +1,172 @@
+/**
+ * Analyzer Simulator
+ * Builds the message an analyzer would send for a specimen and delivers it
+ * the way the real instrument would (TCP session or file drop), so the
+ * interface can be tested end to end without hardware
+ */
+
+import net from 'net';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  buildAstmRecords,
+  frameAstmRecords,
+  buildHl7Oru,
+  wrapMllp,
+  unwrapMllp
+} from './analyzer.parsers.js';
+import { ANALYZER_PROTOCOLS, ASTM_CONTROL, MLLP_CONTROL, ANALYZER_CONFIG } from '../constants/analyzerInterface.js';
+
+const { ENQ, ACK, EOT } = ASTM_CONTROL;
+
+/**
+ * Instrument results for the order items of a specimen
+ * Codes come from the analyzer's testCodeMap; values are random within the
+ * test's first reference range unless given
+ * @param {Object} analyzer - LabAnalyzer
+ * @param {Array} items - order items (incl. test) on the specimen
+ * @param {Object} values - { "<instrument code>": value | { value, flags, units } };
+ *                          codes not in the map are sent as-is (to exercise reconciliation)
+ */
+export function buildSimulatedResults(analyzer, items, values = {}) {
+  const results = [];
+  const sent = new Set();
+
+  for (const [instrumentCode, target] of Object.entries(analyzer.testCodeMap || {})) {
+    const item = items.find(i => i.testCode === target.testCode);
+    if (!item) continue;
+
+    const isMainValue = !target.fieldCode || target.fieldCode === item.testCode;
+    const range = isMainValue ? item.test?.referenceRanges?.[0] : null;
+    results.push(toResult(instrumentCode, values[instrumentCode], range, isMainValue ? item.test?.unit : null));
+    sent.add(instrumentCode);
+  }
+
+  for (const [instrumentCode, value] of Object.entries(values)) {
+    if (!sent.has(instrumentCode)) results.push(toResult(instrumentCode, value, null, null));
+  }
+
+  return results;
+}
+
+/**
+ * Raw message text in the analyzer's protocol
+ * @returns {Object} { text, frames } - frames only for ASTM (E1381 framing for TCP)
+ */
+export function buildSimulatedMessage(analyzer, accessionNumber, results) {
+  const message = {
+    sender: analyzer.code,
+    specimens: [{ accessionNumber, results }]
+  };
+
+  if (analyzer.protocol === ANALYZER_PROTOCOLS.HL7) {
+    return { text: buildHl7Oru(message), frames: null };
+  }
+
+  const records = buildAstmRecords(message);
+  return { text: records.join(ASTM_CONTROL.CR) + ASTM_CONTROL.CR, frames: frameAstmRecords(records) };
+}
+
+/**
+ * Send a message to an analyzer listener as the instrument would
+ * @returns {Promise<Object>} { acknowledged, response }
+ */
+export function sendOverTcp(port, protocol, message, host = '127.0.0.1') {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ port, host });
+    let finished = false;
+
+    const finish = (error, value) => {
+      if (finished) return;
+      finished = true;
+      socket.destroy();
+      if (error) reject(error);
+      else resolve(value);
+    };
+
+    socket.setTimeout(ANALYZER_CONFIG.SIMULATOR_TIMEOUT_MS, () => finish(new Error('Analyzer listener did not respond')));
+    socket.on('error', error => finish(new Error(`Cannot reach analyzer listener on port ${port}: ${error.message}`)));
+    socket.on('close', () => finish(new Error('Analyzer listener closed the connection')));
+
+    if (protocol === ANALYZER_PROTOCOLS.HL7) {
+      let response = '';
+      socket.setEncoding('utf8');
+      socket.on('data', chunk => {
+        response += chunk;
+        if (response.includes(MLLP_CONTROL.END)) {
+          const ack = unwrapMllp(response);
+          finish(null, { acknowledged: /(^|\r)MSA\|AA\|/.test(ack), response: ack });
+        }
+      });
+      socket.on('connect', () => socket.write(wrapMllp(message.text)));
+      return;
+    }
+
+    // ASTM E1381: ENQ, one frame per ACK, EOT
+    const frames = [...message.frames];
+    socket.setEncoding('latin1');
+    socket.on('data', chunk => {
+      if (!chunk.includes(ACK)) {
+        finish(new Error('Analyzer listener refused a frame (NAK)'));
+        return;
+      }
+      if (frames.length > 0) {
+        socket.write(frames.shift());
+      } else {
+        socket.end(EOT);
+        finish(null, { acknowledged: true, response: null });
+      }
+    });
+    socket.on('connect', () => socket.write(ENQ));
+  });
+}
+
+/**
+ * Drop a message file into an analyzer's watch folder
+ * @returns {Promise<string>} file path
+ */
+export async function writeToFolder(folder, protocol, message) {
+  await fs.mkdir(folder, { recursive: true });
+  const extension = protocol === ANALYZER_PROTOCOLS.HL7 ? '.hl7' : '.astm';
+  const filePath = path.join(folder, `SIM-${Date.now()}${extension}`);
+  await fs.writeFile(filePath, message.text, 'utf8');
+  return filePath;
+}
+
+// ==================== HELPERS ====================
+
+function toResult(instrumentCode, given, range, unit) {
+  const detail = given !== null && typeof given === 'object' ? given : { value: given };
+  const value = detail.value !== undefined ? detail.value : randomValue(range);
+
+  return {
+    instrumentCode,
+    value: value === null ? null : String(value),
+    units: detail.units || unit || null,
+    referenceRange: range ? `${range.min}-${range.max}` : null,
+    flags: detail.flags || rangeFlags(Number(value), range),
+    status: value === null ? 'X' : 'F'
+  };
+}
+
+function randomValue(range) {
+  const min = Number(range?.min ?? 1);
+  const max = Number(range?.max ?? 100);
+  // Mostly inside the range, occasionally just outside it
+  const spread = (max - min) * 1.3;
+  return Math.round((min - (max - min) * 0.15 + Math.random() * spread) * 10) / 10;
+}
+
+function rangeFlags(value, range) {
+  if (!range || !Number.isFinite(value)) return [];
+  if (value < range.min) return ['L'];
+  if (value > range.max) return ['H'];
+  return ['N'];
+}
+
+export default {
+  buildSimulatedResults,
+  buildSimulatedMessage,
+  sendOverTcp,
+  writeToFolder
+};
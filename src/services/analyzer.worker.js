@@ -0,0 +1,315 @@
+/**
+ * Analyzer Worker
+ * Opens a TCP listener for every active TCP analyzer (ASTM E1381 low-level
+ * protocol or HL7 MLLP) and polls the watch folder of FOLDER analyzers.
+ * Listeners are re-synced with the analyzer table on every pass.
+ */
+
+import net from 'net';
+import fs from 'fs/promises';
+import path from 'path';
+import logger from '../utils/logger.js';
+import { AnalyzerService } from './analyzer.service.js';
+import { astmChecksum, unwrapMllp, wrapMllp, buildHl7Ack } from './analyzer.parsers.js';
+import {
+  ANALYZER_PROTOCOLS,
+  ANALYZER_TRANSPORTS,
+  ANALYZER_MESSAGE_SOURCES,
+  ANALYZER_MESSAGE_STATUS,
+  ASTM_CONTROL,
+  MLLP_CONTROL,
+  ANALYZER_CONFIG
+} from '../constants/analyzerInterface.js';
+
+const { ENQ, ACK, NAK, EOT, STX, LF } = ASTM_CONTROL;
+
+let timer = null;
+let running = false;
+
+// analyzerId -> { server, port, protocol, sockets }
+const listeners = new Map();
+
+/**
+ * Run one analyzer pass: sync TCP listeners, import dropped files
+ * (skipped if the previous pass is still running)
+ */
+export async function runAnalyzerPass(prisma) {
+  if (running) return null;
+  running = true;
+
+  try {
+    const analyzers = await prisma.labAnalyzer.findMany({ where: { isActive: true } });
+
+    syncListeners(prisma, analyzers.filter(a => a.transport === ANALYZER_TRANSPORTS.TCP && a.tcpPort));
+
+    let files = 0;
+    for (const analyzer of analyzers.filter(a => a.transport === ANALYZER_TRANSPORTS.FOLDER && a.watchFolder)) {
+      files += await importFolder(prisma, analyzer);
+    }
+
+    if (files > 0) {
+      logger.info(`[Analyzer] Pass: ${files} dropped files imported`);
+    }
+    return { listeners: listeners.size, files };
+  } catch (error) {
+    logger.error('[Analyzer] Pass failed:', error.message);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Import a message for an analyzer, reloading it so map changes apply at once
+ */
+async function importForAnalyzer(prisma, analyzerId, rawMessage, options) {
+  const analyzer = await prisma.labAnalyzer.findUnique({ where: { id: analyzerId } });
+  if (!analyzer) return null;
+
+  const outcome = await new AnalyzerService(prisma).importMessage(analyzer, rawMessage, options);
+  logger.info(
+    `[Analyzer] ${analyzer.code} message ${outcome.message.id}: ${outcome.message.status} ` +
+    `(${outcome.imported.length} imported, ${outcome.unmatched.length} unmatched)`
+  );
+  return outcome;
+}
+
+// ==================== TCP ====================
+
+function syncListeners(prisma, analyzers) {
+  const wanted = new Map(analyzers.map(a => [a.id, a]));
+
+  for (const [analyzerId, listener] of listeners) {
+    const analyzer = wanted.get(analyzerId);
+    if (!analyzer || analyzer.tcpPort !== listener.port || analyzer.protocol !== listener.protocol) {
+      closeListener(analyzerId);
+    }
+  }
+
+  for (const analyzer of analyzers) {
+    if (!listeners.has(analyzer.id)) {
+      openListener(prisma, analyzer);
+    }
+  }
+}
+
+function openListener(prisma, analyzer) {
+  const sockets = new Set();
+  const handler = analyzer.protocol === ANALYZER_PROTOCOLS.HL7 ? handleMllpSocket : handleAstmSocket;
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', error => logger.warn(`[Analyzer] ${analyzer.code} connection error: ${error.message}`));
+    socket.setTimeout(ANALYZER_CONFIG.TCP_IDLE_TIMEOUT_MS, () => socket.destroy());
+
+    handler(prisma, analyzer, socket);
+  });
+
+  server.on('error', error => {
+    logger.error(`[Analyzer] ${analyzer.code} listener on port ${analyzer.tcpPort} failed:`, error.message);
+    // Dropped so the next pass retries
+    if (listeners.get(analyzer.id)?.server === server) listeners.delete(analyzer.id);
+  });
+
+  server.listen(analyzer.tcpPort, () => {
+    logger.info(`[Analyzer] ${analyzer.code} listening on port ${analyzer.tcpPort} (${analyzer.protocol})`);
+  });
+
+  listeners.set(analyzer.id, { server, port: analyzer.tcpPort, protocol: analyzer.protocol, sockets });
+}
+
+function closeListener(analyzerId) {
+  const listener = listeners.get(analyzerId);
+  if (!listener) return;
+
+  listener.server.close();
+  for (const socket of listener.sockets) socket.destroy();
+  listeners.delete(analyzerId);
+}
+
+/**
+ * ASTM E1381: ENQ -> ACK, each frame -> ACK (NAK on bad checksum), EOT ends the message
+ */
+function handleAstmSocket(prisma, analyzer, socket) {
+  // Byte-preserving so checksums match what the instrument computed
+  socket.setEncoding('latin1');
+
+  let buffer = '';
+  let records = '';
+  let queue = Promise.resolve();
+  const sourceRef = socket.remoteAddress || null;
+
+  socket.on('data', chunk => {
+    buffer += chunk;
+
+    while (buffer.length > 0) {
+      const ch = buffer[0];
+
+      if (ch === ENQ) {
+        records = '';
+        buffer = buffer.slice(1);
+        socket.write(ACK);
+      } else if (ch === STX) {
+        const end = buffer.indexOf(LF);
+        if (end === -1) break;
+
+        const frame = buffer.slice(0, end + 1);
+        buffer = buffer.slice(end + 1);
+
+        const match = /^\x02([0-7][\s\S]*?[\x17\x03])([0-9A-Fa-f]{2})\r\n$/.exec(frame);
+        if (match && astmChecksum(match[1]) === match[2].toUpperCase()) {
+          records += match[1].slice(1, -1);
+          socket.write(ACK);
+        } else {
+          socket.write(NAK);
+        }
+      } else if (ch === EOT) {
+        buffer = buffer.slice(1);
+        const message = records;
+        records = '';
+        if (message) {
+          queue = queue
+            .then(() => importForAnalyzer(prisma, analyzer.id, message, { source: ANALYZER_MESSAGE_SOURCES.TCP, sourceRef }))
+            .catch(error => logger.error(`[Analyzer] ${analyzer.code} import failed:`, error.message));
+        }
+      } else {
+        // Line noise between frames
+        buffer = buffer.slice(1);
+      }
+    }
+
+    if (records.length + buffer.length > ANALYZER_CONFIG.MAX_MESSAGE_BYTES) {
+      logger.warn(`[Analyzer] ${analyzer.code} message exceeds ${ANALYZER_CONFIG.MAX_MESSAGE_BYTES} bytes, dropping connection`);
+      socket.destroy();
+    }
+  });
+}
+
+/**
+ * HL7 MLLP: VT message FS CR, answered with an ACK (AA, or AE when unparseable)
+ */
+function handleMllpSocket(prisma, analyzer, socket) {
+  socket.setEncoding('utf8');
+
+  let buffer = '';
+  let queue = Promise.resolve();
+  const sourceRef = socket.remoteAddress || null;
+
+  socket.on('data', chunk => {
+    buffer += chunk;
+
+    let start = buffer.indexOf(MLLP_CONTROL.START);
+    let end = start === -1 ? -1 : buffer.indexOf(MLLP_CONTROL.END, start);
+
+    while (start !== -1 && end !== -1) {
+      const message = unwrapMllp(buffer.slice(start, end + MLLP_CONTROL.END.length));
+      buffer = buffer.slice(end + MLLP_CONTROL.END.length);
+
+      queue = queue
+        .then(() => importForAnalyzer(prisma, analyzer.id, message, { source: ANALYZER_MESSAGE_SOURCES.TCP, sourceRef }))
+        .then(outcome => {
+          const failed = !outcome || outcome.message.status === ANALYZER_MESSAGE_STATUS.FAILED;
+          socket.write(wrapMllp(buildHl7Ack(outcome?.message.controlId, failed ? 'AE' : 'AA', failed ? outcome?.message.error : '')));
+        })
+        .catch(error => {
+          logger.error(`[Analyzer] ${analyzer.code} import failed:`, error.message);
+          socket.write(wrapMllp(buildHl7Ack(null, 'AE', error.message)));
+        });
+
+      start = buffer.indexOf(MLLP_CONTROL.START);
+      end = start === -1 ? -1 : buffer.indexOf(MLLP_CONTROL.END, start);
+    }
+
+    if (buffer.length > ANALYZER_CONFIG.MAX_MESSAGE_BYTES) {
+      logger.warn(`[Analyzer] ${analyzer.code} message exceeds ${ANALYZER_CONFIG.MAX_MESSAGE_BYTES} bytes, dropping connection`);
+      socket.destroy();
+    }
+  });
+}
+
+// ==================== FOLDER ====================
+
+/**
+ * Import files dropped into an analyzer's watch folder, then move them to
+ * processed/ (or error/ when unparseable)
+ * @returns {number} files imported
+ */
+async function importFolder(prisma, analyzer) {
+  let entries;
+  try {
+    entries = await fs.readdir(analyzer.watchFolder, { withFileTypes: true });
+  } catch (error) {
+    logger.warn(`[Analyzer] ${analyzer.code} watch folder ${analyzer.watchFolder} unreadable: ${error.message}`);
+    return 0;
+  }
+
+  const files = entries.filter(entry =>
+    entry.isFile() && ANALYZER_CONFIG.FOLDER_FILE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())
+  );
+
+  let imported = 0;
+  for (const file of files) {
+    const filePath = path.join(analyzer.watchFolder, file.name);
+
+    try {
+      const stat = await fs.stat(filePath);
+      if (Date.now() - stat.mtimeMs < ANALYZER_CONFIG.FOLDER_SETTLE_MS) continue;
+
+      const content = await fs.readFile(filePath, 'utf8');
+      const outcome = await importForAnalyzer(prisma, analyzer.id, content, {
+        source: ANALYZER_MESSAGE_SOURCES.FOLDER,
+        sourceRef: file.name
+      });
+
+      const failed = !outcome || outcome.message.status === ANALYZER_MESSAGE_STATUS.FAILED;
+      await moveFile(filePath, failed ? ANALYZER_CONFIG.ERROR_SUBFOLDER : ANALYZER_CONFIG.PROCESSED_SUBFOLDER);
+      imported++;
+    } catch (error) {
+      logger.error(`[Analyzer] ${analyzer.code} file ${file.name} failed:`, error.message);
+      await moveFile(filePath, ANALYZER_CONFIG.ERROR_SUBFOLDER).catch(() => {});
+    }
+  }
+
+  return imported;
+}
+
+async function moveFile(filePath, subfolder) {
+  const target = path.join(path.dirname(filePath), subfolder);
+  await fs.mkdir(target, { recursive: true });
+  await fs.rename(filePath, path.join(target, `${Date.now()}-${path.basename(filePath)}`));
+}
+
+// ==================== LIFECYCLE ====================
+
+/**
+ * Start the analyzer worker
+ */
+export function startAnalyzerWorker(prisma, intervalMs = ANALYZER_CONFIG.FOLDER_POLL_INTERVAL_MS) {
+  if (timer) return;
+
+  runAnalyzerPass(prisma);
+  timer = setInterval(() => runAnalyzerPass(prisma), intervalMs);
+  timer.unref();
+
+  logger.info(`[Analyzer] Worker started (every ${Math.round(intervalMs / 1000)}s)`);
+}
+
+/**
+ * Stop the analyzer worker and close all listeners
+ */
+export function stopAnalyzerWorker() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  for (const analyzerId of [...listeners.keys()]) {
+    closeListener(analyzerId);
+  }
+}
+
+export default {
+  runAnalyzerPass,
+  startAnalyzerWorker,
+  stopAnalyzerWorker
+};
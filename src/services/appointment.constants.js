@@ -0,0 +1,213 @@
+/**
+ * Appointment Constants
+ * Appointment statuses, booking configuration, and slot helpers
+ *
+ * Slots are generated from DoctorSchedule rows:
+ * - dayOfWeek uses 0 = Monday ... 6 = Sunday (see prisma schema)
+ * - startTime/endTime/breakStart/breakEnd are "HH:mm" strings
+ * - consultationDuration is the slot length in minutes
+ */
+
+// ==================== APPOINTMENT STATUS ====================
+export const APPOINTMENT_STATUS = {
+  BOOKED: 'BOOKED',             // Slot reserved
+  CHECKED_IN: 'CHECKED_IN',     // Patient arrived, visit + queue entry created
+  CANCELLED: 'CANCELLED',       // Cancelled before check-in
+  NO_SHOW: 'NO_SHOW',           // Patient did not arrive
+  RESCHEDULED: 'RESCHEDULED'    // Replaced by a new appointment
+};
+
+// Status flow: BOOKED -> CHECKED_IN
+// Alternative flows: BOOKED -> CANCELLED
+//                   BOOKED -> NO_SHOW
+//                   BOOKED -> RESCHEDULED (new BOOKED appointment created)
+
+// Statuses that hold a slot
+export const ACTIVE_APPOINTMENT_STATUSES = [
+  APPOINTMENT_STATUS.BOOKED,
+  APPOINTMENT_STATUS.CHECKED_IN
+];
+
+export const BOOKING_SOURCE = {
+  FRONT_DESK: 'FRONT_DESK',
+  PHONE: 'PHONE',
+  ONLINE: 'ONLINE'
+};
+
+export const APPOINTMENT_VISIT_TYPES = ['CONSULTATION_NEW', 'CONSULTATION_FOLLOWUP'];
+
+// ==================== CONFIGURATION ====================
+export const APPOINTMENT_CONFIG = {
+  MAX_SLOT_RANGE_DAYS: 31,        // Max days per slot availability query
+  MAX_ADVANCE_BOOKING_DAYS: 90,   // How far ahead a slot can be booked
+  MAX_RESCHEDULES: 3,             // Reschedules allowed per booking chain
+  CHECK_IN_EARLY_MINUTES: 120,    // How early before the slot check-in opens
+  NO_SHOW_GRACE_MINUTES: 15       // Minutes after slot start before NO_SHOW is allowed
+};
+
+export const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// ==================== HELPER FUNCTIONS ====================
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Check "HH:mm" format
+ */
+export function isValidTime(time) {
+  return typeof time === 'string' && TIME_PATTERN.test(time);
+}
+
+/**
+ * Convert "HH:mm" to minutes since midnight
+ */
+export function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Convert minutes since midnight to "HH:mm"
+ */
+export function minutesToTime(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Parse "YYYY-MM-DD" (or a Date) into a local midnight Date
+ */
+export function toDateOnly(value) {
+  if (value instanceof Date) {
+    return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [y, m, d] = value.split('-').map(Number);
+    return new Date(y, m - 1, d);
+  }
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) return null;
+  return new Date(parsed.getFullYear(), parsed.getMonth(), parsed.getDate());
+}
+
+/**
+ * Convert a local calendar date to the UTC-midnight value Prisma
+ * stores in @db.Date columns (avoids the day shifting on non-UTC servers)
+ */
+export function toDbDate(date) {
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+}
+
+/**
+ * Convert a @db.Date value read from Prisma back to a local calendar date
+ */
+export function fromDbDate(value) {
+  const date = new Date(value);
+  return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+/**
+ * Local "YYYY-MM-DD" key for a date
+ */
+export function toDateKey(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+/**
+ * Schedule day index for a date (0 = Monday ... 6 = Sunday)
+ * JS getDay() is 0 = Sunday, so shift by one
+ */
+export function getScheduleDayOfWeek(date) {
+  return (date.getDay() + 6) % 7;
+}
+
+/**
+ * Combine a date and "HH:mm" into a Date
+ */
+export function combineDateAndTime(date, time) {
+  const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  result.setMinutes(timeToMinutes(time));
+  return result;
+}
+
+/**
+ * Whether a schedule applies on a given date (day of week + validity window)
+ */
+export function isScheduleEffectiveOn(schedule, date) {
+  if (!schedule.isActive) return false;
+  if (schedule.dayOfWeek !== getScheduleDayOfWeek(date)) return false;
+
+  const day = toDateOnly(date).getTime();
+  if (schedule.fromDate && day < toDateOnly(schedule.fromDate).getTime()) return false;
+  if (schedule.toDate && day > toDateOnly(schedule.toDate).getTime()) return false;
+
+  return true;
+}
+
+/**
+ * Generate the raw slot list for a schedule (ignores bookings)
+ * Slots that overlap the break window are dropped, and a slot
+ * must end on or before the schedule end time.
+ * @returns {Array<{ startTime: string, endTime: string }>}
+ */
+export function generateScheduleSlots(schedule) {
+  const duration = schedule.consultationDuration || 30;
+  const start = timeToMinutes(schedule.startTime);
+  const end = timeToMinutes(schedule.endTime);
+  const hasBreak = schedule.breakStart && schedule.breakEnd;
+  const breakStart = hasBreak ? timeToMinutes(schedule.breakStart) : null;
+  const breakEnd = hasBreak ? timeToMinutes(schedule.breakEnd) : null;
+
+  const slots = [];
+  let cursor = start;
+
+  while (cursor + duration <= end) {
+    const slotEnd = cursor + duration;
+
+    if (hasBreak && cursor < breakEnd && slotEnd > breakStart) {
+      // Resume right after the break
+      cursor = breakEnd;
+      continue;
+    }
+
+    slots.push({ startTime: minutesToTime(cursor), endTime: minutesToTime(slotEnd) });
+    cursor = slotEnd;
+  }
+
+  return slots;
+}
+
+/**
+ * Generate appointment number (APT + YYMMDD + sequence)
+ */
+export function formatAppointmentNumber(date, seq) {
+  const yy = String(date.getFullYear()).slice(2);
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const dd = String(date.getDate()).padStart(2, '0');
+  return `APT${yy}${mm}${dd}${String(seq).padStart(4, '0')}`;
+}
+
+export default {
+  APPOINTMENT_STATUS,
+  ACTIVE_APPOINTMENT_STATUSES,
+  BOOKING_SOURCE,
+  APPOINTMENT_VISIT_TYPES,
+  APPOINTMENT_CONFIG,
+  DAY_NAMES,
+  isValidTime,
+  timeToMinutes,
+  minutesToTime,
+  toDateOnly,
+  toDbDate,
+  fromDbDate,
+  toDateKey,
+  getScheduleDayOfWeek,
+  combineDateAndTime,
+  isScheduleEffectiveOn,
+  generateScheduleSlots,
+  formatAppointmentNumber
+};
@@ -0,0 +1,254 @@
+/**
+ * Appointment Repository
+ * Database operations for doctor schedules and appointments
+ */
+
+import { ACTIVE_APPOINTMENT_STATUSES } from './appointment.constants.js';
+
+export class AppointmentRepository {
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  // ==================== DOCTOR SCHEDULE OPERATIONS ====================
+
+  /**
+   * Create doctor schedule
+   */
+  async createSchedule(data) {
+    return this.prisma.doctorSchedule.create({
+      data,
+      include: {
+        doctor: { select: { id: true, name: true, specialization: true } },
+        department: { select: { id: true, departmentCode: true, departmentName: true } }
+      }
+    });
+  }
+
+  /**
+   * Get schedule by ID
+   */
+  async getScheduleById(id) {
+    return this.prisma.doctorSchedule.findUnique({
+      where: { id },
+      include: {
+        doctor: { select: { id: true, name: true, specialization: true } },
+        department: { select: { id: true, departmentCode: true, departmentName: true } }
+      }
+    });
+  }
+
+  /**
+   * Get schedules for hospital with filters
+   */
+  async getSchedules(hospitalId, filters = {}) {
+    const where = { hospitalId };
+
+    if (filters.doctorId) where.doctorId = filters.doctorId;
+    if (filters.departmentId) where.departmentId = filters.departmentId;
+    if (filters.dayOfWeek !== undefined) where.dayOfWeek = filters.dayOfWeek;
+    if (filters.isActive !== undefined) where.isActive = filters.isActive;
+
+    return this.prisma.doctorSchedule.findMany({
+      where,
+      include: {
+        doctor: { select: { id: true, name: true, specialization: true } },
+        department: { select: { id: true, departmentCode: true, departmentName: true } }
+      },
+      orderBy: [
+        { doctorId: 'asc' },
+        { dayOfWeek: 'asc' },
+        { startTime: 'asc' }
+      ]
+    });
+  }
+
+  /**
+   * Get active schedules for a doctor (optionally for one weekday)
+   */
+  async getDoctorSchedules(doctorId, dayOfWeek) {
+    return this.prisma.doctorSchedule.findMany({
+      where: {
+        doctorId,
+        isActive: true,
+        ...(dayOfWeek !== undefined ? { dayOfWeek } : {})
+      },
+      include: {
+        department: { select: { id: true, departmentCode: true, departmentName: true } }
+      },
+      orderBy: { startTime: 'asc' }
+    });
+  }
+
+  /**
+   * Update schedule
+   */
+  async updateSchedule(id, data) {
+    return this.prisma.doctorSchedule.update({
+      where: { id },
+      data,
+      include: {
+        doctor: { select: { id: true, name: true, specialization: true } },
+        department: { select: { id: true, departmentCode: true, departmentName: true } }
+      }
+    });
+  }
+
+  /**
+   * Delete schedule
+   */
+  async deleteSchedule(id) {
+    return this.prisma.doctorSchedule.delete({
+      where: { id }
+    });
+  }
+
+  // ==================== APPOINTMENT OPERATIONS ====================
+
+  /**
+   * Create appointment
+   */
+  async createAppointment(data) {
+    return this.prisma.appointment.create({
+      data,
+      include: {
+        patient: { select: { id: true, patientId: true, name: true, phone: true } },
+        doctor: { select: { id: true, name: true, specialization: true } },
+        department: { select: { id: true, departmentCode: true, departmentName: true } }
+      }
+    });
+  }
+
+  /**
+   * Get appointment by ID
+   */
+  async getAppointmentById(id) {
+    return this.prisma.appointment.findUnique({
+      where: { id },
+      include: {
+        patient: { select: { id: true, patientId: true, name: true, phone: true, age: true, gender: true } },
+        doctor: { select: { id: true, name: true, specialization: true } },
+        department: { select: { id: true, departmentCode: true, departmentName: true } },
+        schedule: true,
+        visit: { select: { id: true, visitId: true, status: true } }
+      }
+    });
+  }
+
+  /**
+   * Get appointments with filters
+   */
+  async getAppointments(hospitalId, filters = {}) {
+    const where = { hospitalId };
+
+    if (filters.doctorId) where.doctorId = filters.doctorId;
+    if (filters.patientId) where.patientId = filters.patientId;
+    if (filters.departmentId) where.departmentId = filters.departmentId;
+    if (filters.status) where.status = filters.status;
+    if (filters.fromDate || filters.toDate) {
+      where.appointmentDate = {};
+      if (filters.fromDate) where.appointmentDate.gte = filters.fromDate;
+      if (filters.toDate) where.appointmentDate.lte = filters.toDate;
+    }
+
+    return this.prisma.appointment.findMany({
+      where,
+      include: {
+        patient: { select: { id: true, patientId: true, name: true, phone: true } },
+        doctor: { select: { id: true, name: true, specialization: true } },
+        department: { select: { id: true, departmentCode: true, departmentName: true } }
+      },
+      orderBy: [
+        { appointmentDate: 'asc' },
+        { startTime: 'asc' }
+      ],
+      take: filters.limit,
+      skip: filters.offset
+    });
+  }
+
+  /**
+   * Get slot-holding appointments for a doctor in a date range
+   */
+  async getActiveAppointmentsForDoctor(doctorId, fromDate, toDate, client = this.prisma) {
+    return client.appointment.findMany({
+      where: {
+        doctorId,
+        status: { in: ACTIVE_APPOINTMENT_STATUSES },
+        appointmentDate: { gte: fromDate, lte: toDate }
+      },
+      select: {
+        id: true,
+        patientId: true,
+        scheduleId: true,
+        appointmentDate: true,
+        startTime: true,
+        endTime: true,
+        slotStart: true,
+        slotEnd: true
+      }
+    });
+  }
+
+  /**
+   * Hold a transaction-scoped lock on one doctor's day so bookings for it are
+   * checked and inserted one at a time (released on commit / rollback)
+   */
+  async lockDoctorDay(doctorId, dateKey, client = this.prisma) {
+    await client.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`appointment:${doctorId}:${dateKey}`}::text))`;
+  }
+
+  /**
+   * Count future slot-holding appointments booked against a schedule
+   */
+  async countUpcomingForSchedule(scheduleId, fromDate) {
+    return this.prisma.appointment.count({
+      where: {
+        scheduleId,
+        status: { in: ACTIVE_APPOINTMENT_STATUSES },
+        appointmentDate: { gte: fromDate }
+      }
+    });
+  }
+
+  /**
+   * Update appointment
+   */
+  async updateAppointment(id, data, client = this.prisma) {
+    return client.appointment.update({
+      where: { id },
+      data,
+      include: {
+        patient: { select: { id: true, patientId: true, name: true, phone: true } },
+        doctor: { select: { id: true, name: true, specialization: true } },
+        department: { select: { id: true, departmentCode: true, departmentName: true } }
+      }
+    });
+  }
+
+  /**
+   * Update appointment only while it is still in the given status
+   * @returns {number} rows updated - 0 when another request changed it first
+   */
+  async updateAppointmentIfStatus(id, status, data, client = this.prisma) {
+    const { count } = await client.appointment.updateMany({
+      where: { id, status },
+      data
+    });
+    return count;
+  }
+
+  /**
+   * Get next appointment number sequence for a day
+   */
+  async nextAppointmentSequence(counterId, client = this.prisma) {
+    const counter = await client.counter.upsert({
+      where: { id: counterId },
+      update: { seq: { increment: 1 } },
+      create: { id: counterId, seq: 1 }
+    });
+    return counter.seq;
+  }
+}
+
+export default AppointmentRepository;
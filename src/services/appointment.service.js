@@ -0,0 +1,947 @@
+/**
+ * Appointment Service
+ * Business logic for doctor schedules and appointment booking
+ *
+ * Features:
+ * - Doctor schedule CRUD (weekly rows with breaks and validity windows)
+ * - Slot generation per date range, honouring breaks and daily caps
+ * - Booking, rescheduling, cancellation and no-show marking
+ * - Check-in: converts the appointment into a PatientVisit + PatientQueue entry
+ */
+
+import { AppointmentRepository } from './appointment.repository.js';
+import { VisitService } from './visit.service.js';
+import { QueueService } from './queue.service.js';
+import { RoomService } from './room.service.js';
+import { emitNotificationEvent } from './notification.events.js';
+import { NOTIFICATION_EVENTS } from './notification.constants.js';
+import { tenantContext } from '../core/context/index.js';
+import { hasOverlap } from '../utils/timeOverlap.js';
+import {
+  APPOINTMENT_STATUS,
+  APPOINTMENT_CONFIG,
+  APPOINTMENT_VISIT_TYPES,
+  BOOKING_SOURCE,
+  DAY_NAMES,
+  isValidTime,
+  timeToMinutes,
+  toDateOnly,
+  toDbDate,
+  fromDbDate,
+  toDateKey,
+  getScheduleDayOfWeek,
+  combineDateAndTime,
+  isScheduleEffectiveOn,
+  generateScheduleSlots,
+  formatAppointmentNumber
+} from './appointment.constants.js';
+import { SERVICE_TYPE } from './queue.constants.js';
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError
+} from '../shared/AppError.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export class AppointmentService {
+  constructor(prisma) {
+    this.prisma = prisma;
+    this.repository = new AppointmentRepository(prisma);
+  }
+
+  // ==================== DOCTOR SCHEDULE MANAGEMENT ====================
+
+  /**
+   * Create a doctor schedule
+   */
+  async createSchedule(data) {
+    const hospitalId = tenantContext.getHospitalId();
+    const schedule = this.normalizeScheduleInput(data);
+
+    await this.assertDoctorInHospital(schedule.doctorId, hospitalId);
+    await this.assertDepartmentInHospital(schedule.departmentId, hospitalId);
+    await this.assertNoScheduleOverlap(schedule);
+
+    const created = await this.repository.createSchedule({
+      hospitalId,
+      ...schedule
+    });
+
+    return {
+      message: 'Doctor schedule created successfully',
+      schedule: this.formatSchedule(created)
+    };
+  }
+
+  /**
+   * Get schedules (filter by doctor, department, weekday, active)
+   */
+  async getSchedules(filters = {}) {
+    const hospitalId = tenantContext.getHospitalId();
+    const schedules = await this.repository.getSchedules(hospitalId, filters);
+
+    return {
+      schedules: schedules.map(s => this.formatSchedule(s))
+    };
+  }
+
+  /**
+   * Get schedule by ID
+   */
+  async getScheduleById(scheduleId) {
+    const schedule = await this.getScheduleOrThrow(scheduleId);
+    return { schedule: this.formatSchedule(schedule) };
+  }
+
+  /**
+   * Update schedule
+   */
+  async updateSchedule(scheduleId, data) {
+    const hospitalId = tenantContext.getHospitalId();
+    const existing = await this.getScheduleOrThrow(scheduleId);
+
+    const merged = this.normalizeScheduleInput({
+      doctorId: existing.doctorId,
+      departmentId: data.departmentId ?? existing.departmentId,
+      dayOfWeek: data.dayOfWeek ?? existing.dayOfWeek,
+      startTime: data.startTime ?? existing.startTime,
+      endTime: data.endTime ?? existing.endTime,
+      breakStart: data.breakStart !== undefined ? data.breakStart : existing.breakStart,
+      breakEnd: data.breakEnd !== undefined ? data.breakEnd : existing.breakEnd,
+      consultationDuration: data.consultationDuration ?? existing.consultationDuration,
+      maxPatientsPerDay: data.maxPatientsPerDay !== undefined ? data.maxPatientsPerDay : existing.maxPatientsPerDay,
+      isActive: data.isActive ?? existing.isActive,
+      fromDate: data.fromDate !== undefined ? data.fromDate : existing.fromDate,
+      toDate: data.toDate !== undefined ? data.toDate : existing.toDate
+    });
+
+    if (merged.departmentId !== existing.departmentId) {
+      await this.assertDepartmentInHospital(merged.departmentId, hospitalId);
+    }
+    if (merged.isActive) {
+      await this.assertNoScheduleOverlap(merged, scheduleId);
+      // Allocated rooms must still be free and open for the new times
+      await new RoomService(this.prisma).assertScheduleAllocationsFit(scheduleId, merged);
+    }
+
+    const { doctorId, ...updateData } = merged;
+    const updated = await this.repository.updateSchedule(scheduleId, updateData);
+
+    return {
+      message: 'Doctor schedule updated successfully',
+      schedule: this.formatSchedule(updated)
+    };
+  }
+
+  /**
+   * Delete schedule (only when no upcoming appointments hold its slots)
+   */
+  async deleteSchedule(scheduleId) {
+    await this.getScheduleOrThrow(scheduleId);
+
+    const upcoming = await this.repository.countUpcomingForSchedule(scheduleId, toDbDate(new Date()));
+    if (upcoming > 0) {
+      throw new ConflictError(
+        `Schedule has ${upcoming} upcoming appointment(s). Cancel or reschedule them, or deactivate the schedule instead.`
+      );
+    }
+
+    await this.repository.deleteSchedule(scheduleId);
+
+    return { message: 'Doctor schedule deleted successfully' };
+  }
+
+  // ==================== SLOT AVAILABILITY ====================
+
+  /**
+   * Get slots for a doctor over a date or date range
+   * @param {string} doctorId
+   * @param {Object} query - { date } or { fromDate, toDate }, optional departmentId
+   */
+  async getAvailableSlots(doctorId, query = {}) {
+    const hospitalId = tenantContext.getHospitalId();
+    const doctor = await this.assertDoctorInHospital(doctorId, hospitalId);
+
+    const fromDate = toDateOnly(query.date || query.fromDate || new Date());
+    const toDate = toDateOnly(query.date || query.toDate || fromDate);
+
+    if (!fromDate || !toDate) {
+      throw new ValidationError('Invalid date. Use YYYY-MM-DD');
+    }
+    if (toDate < fromDate) {
+      throw new ValidationError('toDate must be on or after fromDate');
+    }
+
+    const rangeDays = Math.round((toDate - fromDate) / MS_PER_DAY) + 1;
+    if (rangeDays > APPOINTMENT_CONFIG.MAX_SLOT_RANGE_DAYS) {
+      throw new ValidationError(`Date range cannot exceed ${APPOINTMENT_CONFIG.MAX_SLOT_RANGE_DAYS} days`);
+    }
+
+    let schedules = await this.repository.getDoctorSchedules(doctorId);
+    if (query.departmentId) {
+      schedules = schedules.filter(s => s.departmentId === query.departmentId);
+    }
+
+    const appointments = await this.repository.getActiveAppointmentsForDoctor(
+      doctorId,
+      toDbDate(fromDate),
+      toDbDate(toDate)
+    );
+    const now = new Date();
+
+    const days = [];
+    for (let i = 0; i < rangeDays; i++) {
+      const date = new Date(fromDate.getFullYear(), fromDate.getMonth(), fromDate.getDate() + i);
+      const daySchedules = this.buildDaySlots(date, schedules, appointments, now);
+      if (daySchedules.length === 0) continue;
+
+      days.push({
+        date: toDateKey(date),
+        dayName: DAY_NAMES[getScheduleDayOfWeek(date)],
+        availableCount: daySchedules.reduce((sum, s) => sum + s.availableCount, 0),
+        schedules: daySchedules
+      });
+    }
+
+    return {
+      doctor: { id: doctor.id, name: doctor.name, specialization: doctor.specialization },
+      fromDate: toDateKey(fromDate),
+      toDate: toDateKey(toDate),
+      days
+    };
+  }
+
+  /**
+   * Build slot list for each schedule effective on a date
+   */
+  buildDaySlots(date, schedules, appointments, now = new Date()) {
+    const dateKey = toDateKey(date);
+    const dayAppointments = appointments.filter(a => toDateKey(fromDbDate(a.appointmentDate)) === dateKey);
+
+    return schedules
+      .filter(schedule => isScheduleEffectiveOn(schedule, date))
+      .map(schedule => {
+        const bookedCount = dayAppointments.filter(a => a.scheduleId === schedule.id).length;
+        const isFull = schedule.maxPatientsPerDay != null && bookedCount >= schedule.maxPatientsPerDay;
+
+        const slots = generateScheduleSlots(schedule).map(slot => {
+          const slotStart = combineDateAndTime(date, slot.startTime);
+          const isBooked = dayAppointments.some(a => a.startTime === slot.startTime);
+
+          let status = 'AVAILABLE';
+          if (isBooked) status = 'BOOKED';
+          else if (slotStart <= now) status = 'PAST';
+          else if (isFull) status = 'FULL';
+
+          return { ...slot, status, available: status === 'AVAILABLE' };
+        });
+
+        return {
+          scheduleId: schedule.id,
+          department: schedule.department || null,
+          startTime: schedule.startTime,
+          endTime: schedule.endTime,
+          breakStart: schedule.breakStart,
+          breakEnd: schedule.breakEnd,
+          consultationDuration: schedule.consultationDuration,
+          maxPatientsPerDay: schedule.maxPatientsPerDay,
+          bookedCount,
+          isFull,
+          availableCount: slots.filter(s => s.available).length,
+          slots
+        };
+      });
+  }
+
+  /**
+   * Resolve and validate a requested slot for booking
+   * Must run inside the booking transaction: the doctor's day is locked first,
+   * so a concurrent booking waits until this one commits and then sees it.
+   */
+  async resolveBookableSlot(tx, { doctorId, date, startTime, departmentId, patientId, excludeAppointmentId }) {
+    if (!isValidTime(startTime)) {
+      throw new ValidationError('startTime must be in HH:mm format');
+    }
+
+    const appointmentDate = toDateOnly(date);
+    if (!appointmentDate) {
+      throw new ValidationError('Invalid appointment date. Use YYYY-MM-DD');
+    }
+
+    const now = new Date();
+    const slotStart = combineDateAndTime(appointmentDate, startTime);
+    if (slotStart <= now) {
+      throw new ValidationError('Cannot book a slot in the past');
+    }
+
+    const maxDate = new Date(now.getTime() + APPOINTMENT_CONFIG.MAX_ADVANCE_BOOKING_DAYS * MS_PER_DAY);
+    if (slotStart > maxDate) {
+      throw new ValidationError(`Appointments can be booked at most ${APPOINTMENT_CONFIG.MAX_ADVANCE_BOOKING_DAYS} days ahead`);
+    }
+
+    await this.repository.lockDoctorDay(doctorId, toDateKey(appointmentDate), tx);
+
+    const schedules = await new AppointmentRepository(tx).getDoctorSchedules(
+      doctorId,
+      getScheduleDayOfWeek(appointmentDate)
+    );
+
+    const candidates = schedules.filter(s =>
+      isScheduleEffectiveOn(s, appointmentDate) &&
+      (!departmentId || s.departmentId === departmentId)
+    );
+
+    let schedule = null;
+    let slot = null;
+    for (const candidate of candidates) {
+      const match = generateScheduleSlots(candidate).find(s => s.startTime === startTime);
+      if (match) {
+        schedule = candidate;
+        slot = match;
+        break;
+      }
+    }
+
+    if (!schedule) {
+      throw new ValidationError(`Doctor has no slot at ${startTime} on ${toDateKey(appointmentDate)}`);
+    }
+
+    const dayAppointments = (await this.repository.getActiveAppointmentsForDoctor(
+      doctorId,
+      toDbDate(appointmentDate),
+      toDbDate(appointmentDate),
+      tx
+    )).filter(a => a.id !== excludeAppointmentId);
+
+    if (dayAppointments.some(a => a.startTime === startTime)) {
+      throw new ConflictError('This slot is already booked');
+    }
+
+    if (patientId && dayAppointments.some(a => a.patientId === patientId)) {
+      throw new ConflictError('Patient already has an appointment with this doctor on this date');
+    }
+
+    const scheduleBookings = dayAppointments.filter(a => a.scheduleId === schedule.id).length;
+    if (schedule.maxPatientsPerDay != null && scheduleBookings >= schedule.maxPatientsPerDay) {
+      throw new ConflictError('Doctor is fully booked for this session');
+    }
+
+    return {
+      schedule,
+      appointmentDate: toDbDate(appointmentDate),
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      slotStart,
+      slotEnd: combineDateAndTime(appointmentDate, slot.endTime)
+    };
+  }
+
+  // ==================== BOOKING ====================
+
+  /**
+   * Book an appointment
+   * @param {Object} data - { patientId, doctorId, date, startTime, departmentId?, visitType?, reason?, notes?, bookingSource? }
+   */
+  async bookAppointment(data, userId) {
+    const hospitalId = tenantContext.getHospitalId();
+
+    if (!data.patientId || !data.doctorId || !data.date || !data.startTime) {
+      throw new ValidationError('patientId, doctorId, date and startTime are required');
+    }
+
+    const visitType = data.visitType || APPOINTMENT_VISIT_TYPES[0];
+    if (!APPOINTMENT_VISIT_TYPES.includes(visitType)) {
+      throw new ValidationError(`visitType must be one of: ${APPOINTMENT_VISIT_TYPES.join(', ')}`);
+    }
+
+    const bookingSource = data.bookingSource || BOOKING_SOURCE.FRONT_DESK;
+    if (!Object.values(BOOKING_SOURCE).includes(bookingSource)) {
+      throw new ValidationError(`Invalid booking source: ${bookingSource}`);
+    }
+
+    const patient = await this.findPatient(data.patientId, hospitalId);
+    await this.assertDoctorInHospital(data.doctorId, hospitalId);
+
+    const appointment = await this.prisma.$transaction(async (tx) => {
+      const slot = await this.resolveBookableSlot(tx, {
+        doctorId: data.doctorId,
+        date: data.date,
+        startTime: data.startTime,
+        departmentId: data.departmentId,
+        patientId: patient.id
+      });
+
+      const appointmentNumber = await this.generateAppointmentNumber(tx);
+
+      return new AppointmentRepository(tx).createAppointment({
+        appointmentNumber,
+        hospitalId,
+        patientId: patient.id,
+        doctorId: data.doctorId,
+        departmentId: slot.schedule.departmentId,
+        scheduleId: slot.schedule.id,
+        appointmentDate: slot.appointmentDate,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        slotStart: slot.slotStart,
+        slotEnd: slot.slotEnd,
+        visitType,
+        reason: data.reason || null,
+        notes: data.notes || null,
+        bookingSource,
+        status: APPOINTMENT_STATUS.BOOKED,
+        createdBy: userId || null
+      });
+    });
+
+    emitNotificationEvent(NOTIFICATION_EVENTS.APPOINTMENT, {
+      recipient: { id: patient.id, name: patient.name, phone: patient.phone },
+      data: {
+        patient: { name: patient.name, patientId: patient.patientId },
+        doctor: { name: appointment.doctor?.name },
+        appointment: {
+          appointmentNumber: appointment.appointmentNumber,
+          date: toDateKey(fromDbDate(appointment.appointmentDate)),
+          startTime: appointment.startTime
+        }
+      }
+    });
+
+    return {
+      message: 'Appointment booked successfully',
+      appointment
+    };
+  }
+
+  /**
+   * Reschedule an appointment to a new slot
+   * The original is marked RESCHEDULED and linked to a new BOOKED appointment.
+   */
+  async rescheduleAppointment(appointmentId, data, userId) {
+    const hospitalId = tenantContext.getHospitalId();
+    const existing = await this.getAppointmentOrThrow(appointmentId);
+
+    if (existing.status !== APPOINTMENT_STATUS.BOOKED) {
+      throw new ValidationError(`Cannot reschedule. Current status: ${existing.status}`);
+    }
+
+    if (!data.date || !data.startTime) {
+      throw new ValidationError('date and startTime are required');
+    }
+
+    if (existing.rescheduleCount >= APPOINTMENT_CONFIG.MAX_RESCHEDULES) {
+      throw new ValidationError(`Appointment has already been rescheduled ${existing.rescheduleCount} times`);
+    }
+
+    const doctorId = data.doctorId || existing.doctorId;
+    if (doctorId !== existing.doctorId) {
+      await this.assertDoctorInHospital(doctorId, hospitalId);
+    }
+
+    const result = await this.prisma.$transaction(async (tx) => {
+      const slot = await this.resolveBookableSlot(tx, {
+        doctorId,
+        date: data.date,
+        startTime: data.startTime,
+        departmentId: data.departmentId,
+        patientId: existing.patientId,
+        excludeAppointmentId: existing.id
+      });
+
+      const appointmentNumber = await this.generateAppointmentNumber(tx);
+      const txRepository = new AppointmentRepository(tx);
+
+      const replacement = await txRepository.createAppointment({
+        appointmentNumber,
+        hospitalId,
+        patientId: existing.patientId,
+        doctorId,
+        departmentId: slot.schedule.departmentId,
+        scheduleId: slot.schedule.id,
+        appointmentDate: slot.appointmentDate,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        slotStart: slot.slotStart,
+        slotEnd: slot.slotEnd,
+        visitType: existing.visitType,
+        reason: existing.reason,
+        notes: existing.notes,
+        bookingSource: existing.bookingSource,
+        status: APPOINTMENT_STATUS.BOOKED,
+        rescheduledFromId: existing.id,
+        rescheduleReason: data.reason || null,
+        rescheduleCount: existing.rescheduleCount + 1,
+        createdBy: userId || null
+      });
+
+      const original = await txRepository.updateAppointment(existing.id, {
+        status: APPOINTMENT_STATUS.RESCHEDULED,
+        rescheduledToId: replacement.id,
+        rescheduleReason: data.reason || null
+      });
+
+      return { original, replacement };
+    });
+
+    return {
+      message: 'Appointment rescheduled successfully',
+      previousAppointment: result.original,
+      appointment: result.replacement
+    };
+  }
+
+  /**
+   * Cancel an appointment
+   */
+  async cancelAppointment(appointmentId, reason, userId) {
+    const existing = await this.getAppointmentOrThrow(appointmentId);
+
+    if (existing.status !== APPOINTMENT_STATUS.BOOKED) {
+      throw new ValidationError(`Cannot cancel. Current status: ${existing.status}`);
+    }
+
+    if (!reason || !String(reason).trim()) {
+      throw new ValidationError('Cancellation reason is required');
+    }
+
+    const updated = await this.repository.updateAppointment(appointmentId, {
+      status: APPOINTMENT_STATUS.CANCELLED,
+      cancelledAt: new Date(),
+      cancelledBy: userId || null,
+      cancellationReason: String(reason).trim()
+    });
+
+    return {
+      message: 'Appointment cancelled',
+      appointment: updated
+    };
+  }
+
+  /**
+   * Mark a booked appointment as no-show (after the grace period)
+   */
+  async markNoShow(appointmentId, userId) {
+    const existing = await this.getAppointmentOrThrow(appointmentId);
+
+    if (existing.status !== APPOINTMENT_STATUS.BOOKED) {
+      throw new ValidationError(`Cannot mark no-show. Current status: ${existing.status}`);
+    }
+
+    const graceEnds = new Date(new Date(existing.slotStart).getTime() + APPOINTMENT_CONFIG.NO_SHOW_GRACE_MINUTES * 60000);
+    if (new Date() < graceEnds) {
+      throw new ValidationError(
+        `No-show can be marked ${APPOINTMENT_CONFIG.NO_SHOW_GRACE_MINUTES} minutes after the slot start`
+      );
+    }
+
+    const updated = await this.repository.updateAppointment(appointmentId, {
+      status: APPOINTMENT_STATUS.NO_SHOW,
+      noShowAt: new Date(),
+      noShowMarkedBy: userId || null
+    });
+
+    return {
+      message: 'Appointment marked as no-show',
+      appointment: updated
+    };
+  }
+
+  /**
+   * Mark every BOOKED appointment past its grace period as no-show
+   * Intended for an end-of-session sweep; defaults to today
+   */
+  async markPastNoShows(date, userId) {
+    const hospitalId = tenantContext.getHospitalId();
+    const day = toDateOnly(date || new Date());
+    if (!day) {
+      throw new ValidationError('Invalid date. Use YYYY-MM-DD');
+    }
+
+    const cutoff = new Date(Date.now() - APPOINTMENT_CONFIG.NO_SHOW_GRACE_MINUTES * 60000);
+
+    const result = await this.prisma.appointment.updateMany({
+      where: {
+        hospitalId,
+        appointmentDate: toDbDate(day),
+        status: APPOINTMENT_STATUS.BOOKED,
+        slotStart: { lte: cutoff }
+      },
+      data: {
+        status: APPOINTMENT_STATUS.NO_SHOW,
+        noShowAt: new Date(),
+        noShowMarkedBy: userId || null
+      }
+    });
+
+    return {
+      message: `${result.count} appointment(s) marked as no-show`,
+      date: toDateKey(day),
+      count: result.count
+    };
+  }
+
+  // ==================== CHECK-IN ====================
+
+  /**
+   * Check in a booked appointment
+   * Creates the PatientVisit (VisitService) and PatientQueue entry
+   * (QueueService.addPatientToQueue) on the doctor's consultation queue.
+   */
+  async checkInAppointment(appointmentId, data = {}, userId) {
+    const hospitalId = tenantContext.getHospitalId();
+    const appointment = await this.getAppointmentOrThrow(appointmentId);
+
+    if (appointment.status !== APPOINTMENT_STATUS.BOOKED) {
+      throw new ValidationError(`Cannot check in. Current status: ${appointment.status}`);
+    }
+
+    const now = new Date();
+    if (toDateKey(fromDbDate(appointment.appointmentDate)) !== toDateKey(now)) {
+      throw new ValidationError('Check-in is only allowed on the appointment date');
+    }
+
+    const opensAt = new Date(new Date(appointment.slotStart).getTime() - APPOINTMENT_CONFIG.CHECK_IN_EARLY_MINUTES * 60000);
+    if (now < opensAt) {
+      throw new ValidationError(
+        `Check-in opens ${APPOINTMENT_CONFIG.CHECK_IN_EARLY_MINUTES} minutes before the appointment`
+      );
+    }
+
+    // Claim the appointment first so a second check-in of the same appointment
+    // fails here instead of creating another visit and queue entry
+    const claimed = await this.repository.updateAppointmentIfStatus(appointmentId, APPOINTMENT_STATUS.BOOKED, {
+      status: APPOINTMENT_STATUS.CHECKED_IN,
+      checkedInAt: now,
+      checkedInBy: userId || null
+    });
+
+    if (claimed === 0) {
+      throw new ConflictError('Appointment is already being checked in or is no longer booked');
+    }
+
+    const visitService = new VisitService(this.prisma);
+    const queueService = new QueueService(this.prisma);
+    const departmentCode = appointment.department?.departmentCode || null;
+
+    let visit = null;
+    let queueResult;
+    try {
+      visit = await visitService.createVisit(hospitalId, appointment.patientId, {
+        visitType: appointment.visitType,
+        chiefComplaint: data.chiefComplaint || appointment.reason,
+        notes: `Appointment ${appointment.appointmentNumber} (${appointment.startTime}-${appointment.endTime})`,
+        assignedDoctorId: appointment.doctorId,
+        assignedDoctorName: appointment.doctor?.name,
+        departmentCode
+      }, userId);
+
+      const serviceQueue = await this.findConsultationQueue(appointment.doctorId, hospitalId)
+        || await visitService.findOrCreateServiceQueue(hospitalId, appointment.visitType, departmentCode);
+
+      queueResult = await queueService.addPatientToQueue({
+        patientId: appointment.patientId,
+        serviceQueueId: serviceQueue.id,
+        urgency: data.urgency,
+        specialNeeds: data.specialNeeds,
+        notes: `Appointment ${appointment.appointmentNumber} at ${appointment.startTime}`
+      }, userId);
+
+      await queueService.repository.updatePatientQueue(queueResult.queueEntry.id, {
+        visitId: visit.id
+      });
+    } catch (error) {
+      // Leave no orphan visit behind and give the appointment back for another attempt
+      if (visit) {
+        await visitService.visitRepository.updateVisit(visit.id, { status: 'CANCELLED' });
+      }
+      await this.repository.updateAppointmentIfStatus(appointmentId, APPOINTMENT_STATUS.CHECKED_IN, {
+        status: APPOINTMENT_STATUS.BOOKED,
+        checkedInAt: null,
+        checkedInBy: null
+      });
+      throw error;
+    }
+
+    const updated = await this.repository.updateAppointment(appointmentId, {
+      visitId: visit.id,
+      patientQueueId: queueResult.queueEntry.id
+    });
+
+    return {
+      message: 'Appointment checked in',
+      appointment: updated,
+      visit: { id: visit.id, visitId: visit.visitId, status: visit.status },
+      queueEntry: queueResult.queueEntry
+    };
+  }
+
+  // ==================== QUERY OPERATIONS ====================
+
+  /**
+   * List appointments
+   */
+  async getAppointments(filters = {}) {
+    const hospitalId = tenantContext.getHospitalId();
+
+    const query = { ...filters };
+    const fromValue = filters.date || filters.fromDate;
+    const toValue = filters.date || filters.toDate;
+
+    for (const [key, value] of [['fromDate', fromValue], ['toDate', toValue]]) {
+      if (!value) {
+        delete query[key];
+        continue;
+      }
+      const day = toDateOnly(value);
+      if (!day) {
+        throw new ValidationError('Invalid date. Use YYYY-MM-DD', key);
+      }
+      query[key] = toDbDate(day);
+    }
+
+    if (filters.patientId) {
+      const patient = await this.findPatient(filters.patientId, hospitalId);
+      query.patientId = patient.id;
+    }
+
+    const appointments = await this.repository.getAppointments(hospitalId, query);
+    return { appointments };
+  }
+
+  /**
+   * Get appointment by ID
+   */
+  async getAppointmentById(appointmentId) {
+    const appointment = await this.getAppointmentOrThrow(appointmentId);
+    return { appointment };
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * Validate and normalize schedule fields
+   */
+  normalizeScheduleInput(data) {
+    const { doctorId, departmentId, startTime, endTime } = data;
+
+    if (!doctorId || !departmentId) {
+      throw new ValidationError('doctorId and departmentId are required');
+    }
+
+    const dayOfWeek = Number(data.dayOfWeek);
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      throw new ValidationError('dayOfWeek must be an integer from 0 (Monday) to 6 (Sunday)');
+    }
+
+    if (!isValidTime(startTime) || !isValidTime(endTime)) {
+      throw new ValidationError('startTime and endTime must be in HH:mm format');
+    }
+    if (timeToMinutes(startTime) >= timeToMinutes(endTime)) {
+      throw new ValidationError('startTime must be before endTime');
+    }
+
+    const breakStart = data.breakStart || null;
+    const breakEnd = data.breakEnd || null;
+    if ((breakStart && !breakEnd) || (!breakStart && breakEnd)) {
+      throw new ValidationError('breakStart and breakEnd must be provided together');
+    }
+    if (breakStart) {
+      if (!isValidTime(breakStart) || !isValidTime(breakEnd)) {
+        throw new ValidationError('breakStart and breakEnd must be in HH:mm format');
+      }
+      if (
+        timeToMinutes(breakStart) >= timeToMinutes(breakEnd) ||
+        timeToMinutes(breakStart) < timeToMinutes(startTime) ||
+        timeToMinutes(breakEnd) > timeToMinutes(endTime)
+      ) {
+        throw new ValidationError('Break must fall within the schedule hours');
+      }
+    }
+
+    const consultationDuration = Number(data.consultationDuration ?? 30);
+    if (!Number.isInteger(consultationDuration) || consultationDuration <= 0) {
+      throw new ValidationError('consultationDuration must be a positive number of minutes');
+    }
+    if (consultationDuration > timeToMinutes(endTime) - timeToMinutes(startTime)) {
+      throw new ValidationError('consultationDuration is longer than the schedule');
+    }
+
+    let maxPatientsPerDay = null;
+    if (data.maxPatientsPerDay !== undefined && data.maxPatientsPerDay !== null && data.maxPatientsPerDay !== '') {
+      maxPatientsPerDay = Number(data.maxPatientsPerDay);
+      if (!Number.isInteger(maxPatientsPerDay) || maxPatientsPerDay <= 0) {
+        throw new ValidationError('maxPatientsPerDay must be a positive integer');
+      }
+    }
+
+    const fromDate = data.fromDate ? toDateOnly(data.fromDate) : null;
+    const toDate = data.toDate ? toDateOnly(data.toDate) : null;
+    if ((data.fromDate && !fromDate) || (data.toDate && !toDate)) {
+      throw new ValidationError('fromDate and toDate must be valid dates (YYYY-MM-DD)');
+    }
+    if (fromDate && toDate && toDate < fromDate) {
+      throw new ValidationError('toDate must be on or after fromDate');
+    }
+
+    return {
+      doctorId,
+      departmentId,
+      dayOfWeek,
+      startTime,
+      endTime,
+      breakStart,
+      breakEnd,
+      consultationDuration,
+      maxPatientsPerDay,
+      isActive: data.isActive ?? true,
+      fromDate,
+      toDate
+    };
+  }
+
+  /**
+   * Reject a schedule that overlaps another active schedule of the same
+   * doctor on the same weekday with an intersecting validity window
+   */
+  async assertNoScheduleOverlap(schedule, excludeScheduleId = null) {
+    const sameDay = (await this.repository.getDoctorSchedules(schedule.doctorId, schedule.dayOfWeek))
+      .filter(s => s.id !== excludeScheduleId)
+      .filter(s => {
+        const sFrom = s.fromDate ? toDateOnly(s.fromDate).getTime() : -Infinity;
+        const sTo = s.toDate ? toDateOnly(s.toDate).getTime() : Infinity;
+        const from = schedule.fromDate ? schedule.fromDate.getTime() : -Infinity;
+        const to = schedule.toDate ? schedule.toDate.getTime() : Infinity;
+        return from <= sTo && to >= sFrom;
+      });
+
+    // Compare the time windows on a common reference day
+    const reference = new Date(2000, 0, 3);
+    const existing = sameDay.map(s => ({
+      startDateTime: combineDateAndTime(reference, s.startTime),
+      endDateTime: combineDateAndTime(reference, s.endTime)
+    }));
+
+    if (hasOverlap(
+      existing,
+      combineDateAndTime(reference, schedule.startTime),
+      combineDateAndTime(reference, schedule.endTime)
+    )) {
+      throw new ConflictError(
+        `Doctor already has a schedule on ${DAY_NAMES[schedule.dayOfWeek]} overlapping ${schedule.startTime}-${schedule.endTime}`
+      );
+    }
+  }
+
+  /**
+   * Find the doctor's own active consultation queue, if one exists
+   */
+  async findConsultationQueue(doctorId, hospitalId) {
+    return this.prisma.serviceQueue.findFirst({
+      where: {
+        hospitalId,
+        doctorId,
+        serviceType: SERVICE_TYPE.CONSULTATION,
+        isActive: true,
+        isAcceptingPatients: true
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Generate appointment number (APT + YYMMDD + sequence)
+   */
+  async generateAppointmentNumber(client = this.prisma) {
+    const today = new Date();
+    const counterId = formatAppointmentNumber(today, 0).slice(0, -4);
+    const seq = await this.repository.nextAppointmentSequence(counterId, client);
+    return formatAppointmentNumber(today, seq);
+  }
+
+  /**
+   * Find patient by internal id or human-readable patientId
+   */
+  async findPatient(patientRef, hospitalId) {
+    const patient = await this.prisma.patient.findFirst({
+      where: {
+        hospitalId,
+        OR: [{ id: patientRef }, { patientId: patientRef }]
+      },
+      select: { id: true, patientId: true, name: true }
+    });
+
+    if (!patient) {
+      throw new NotFoundError('Patient');
+    }
+
+    return patient;
+  }
+
+  async assertDoctorInHospital(doctorId, hospitalId) {
+    const doctor = await this.prisma.doctor.findFirst({
+      where: { id: doctorId, hospitalId, isDeleted: false },
+      select: { id: true, name: true, specialization: true, isActive: true }
+    });
+
+    if (!doctor) {
+      throw new NotFoundError('Doctor');
+    }
+    if (!doctor.isActive) {
+      throw new ValidationError('Doctor is not active');
+    }
+
+    return doctor;
+  }
+
+  async assertDepartmentInHospital(departmentId, hospitalId) {
+    const department = await this.prisma.department.findFirst({
+      where: { id: departmentId, hospitalId },
+      select: { id: true, isActive: true }
+    });
+
+    if (!department) {
+      throw new NotFoundError('Department');
+    }
+    if (!department.isActive) {
+      throw new ValidationError('Department is not active');
+    }
+
+    return department;
+  }
+
+  async getScheduleOrThrow(scheduleId) {
+    const hospitalId = tenantContext.getHospitalId();
+    const schedule = await this.repository.getScheduleById(scheduleId);
+
+    if (!schedule || schedule.hospitalId !== hospitalId) {
+      throw new NotFoundError('Doctor schedule');
+    }
+
+    return schedule;
+  }
+
+  async getAppointmentOrThrow(appointmentId) {
+    const hospitalId = tenantContext.getHospitalId();
+    const appointment = await this.repository.getAppointmentById(appointmentId);
+
+    if (!appointment || appointment.hospitalId !== hospitalId) {
+      throw new NotFoundError('Appointment');
+    }
+
+    return appointment;
+  }
+
+  /**
+   * Add display fields to a schedule row
+   */
+  formatSchedule(schedule) {
+    return {
+      ...schedule,
+      dayName: DAY_NAMES[schedule.dayOfWeek],
+      slotsPerDay: generateScheduleSlots(schedule).length
+    };
+  }
+}
+
+export default AppointmentService;
@@ -0,0 +1,244 @@
+/**
+ * Auto-Verification Service
+ * Rule-based verification of lab results so clean results can skip QC and
+ * specialist review
+ *
+ * Rules are configured per DiagnosticReportTemplate (autoVerificationRules) on
+ * top of DEFAULT_AUTO_VERIFICATION_RULES. A result passes when every analyte is
+ * within range, there is no critical value, no failed delta check and no
+ * instrument flag; anything else is held for the manual workflow with reasons.
+ */
+
+import {
+  AUTO_VERIFICATION_STATUS,
+  AUTO_VERIFICATION_FAILURES,
+  DEFAULT_AUTO_VERIFICATION_RULES,
+  DELTA_CHECK_STATUS,
+  RELEASE_MODES,
+  QC_STATUS
+} from '../constants/diagnosticTemplates.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DASHBOARD_DEFAULT_DAYS = 30;
+const DASHBOARD_MAX_DAYS = 93;
+
+export class AutoVerificationService {
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Template rules merged over the defaults
+   * @param {Object} template - DiagnosticReportTemplate (optional)
+   */
+  resolveRules(template = null) {
+    const templateRules = parseJson(template?.autoVerificationRules) || {};
+    return { ...DEFAULT_AUTO_VERIFICATION_RULES, ...templateRules };
+  }
+
+  /**
+   * Evaluate a submitted result against its template's rules
+   * @param {Object} result - DiagnosticResult with entered values
+   * @param {Object} template - resolved DiagnosticReportTemplate
+   * @returns {Object} { status, reasons, templateId, rules, evaluatedAt }
+   */
+  evaluate(result, template) {
+    const rules = this.resolveRules(template);
+    const evaluation = {
+      status: AUTO_VERIFICATION_STATUS.SKIPPED,
+      reasons: [],
+      templateId: template?.id || null,
+      rules,
+      evaluatedAt: new Date()
+    };
+
+    // Only stored templates can opt in (and be named in the audit trail)
+    if (!rules.enabled || !template?.id) {
+      return evaluation;
+    }
+
+    const reasons = evaluation.reasons;
+    const fail = (code, analyte = null, detail = null) => {
+      reasons.push({ code, message: AUTO_VERIFICATION_FAILURES[code], analyte, detail });
+    };
+
+    const analytes = listAnalytes(result);
+    if (analytes.length === 0) {
+      fail('NO_DISCRETE_VALUE');
+    }
+
+    for (const analyte of analytes) {
+      const interpretation = analyte.interpretation ? String(analyte.interpretation).toUpperCase() : null;
+
+      if (rules.requireNoCriticalValues && (analyte.isCritical || interpretation?.startsWith('CRITICAL'))) {
+        fail('CRITICAL_VALUE', analyte.code, interpretation);
+      } else if (rules.requireInRange) {
+        if (!interpretation) {
+          fail('NO_REFERENCE_RANGE', analyte.code);
+        } else if (!rules.acceptedInterpretations.includes(interpretation)) {
+          fail('OUT_OF_RANGE', analyte.code, interpretation);
+        }
+      }
+    }
+
+    if (rules.requireNoCriticalValues && result.isCritical && !reasons.some(r => r.code === 'CRITICAL_VALUE')) {
+      fail('CRITICAL_VALUE');
+    }
+
+    if (rules.requireNoDeltaFailure && result.deltaCheckStatus === DELTA_CHECK_STATUS.FAILED) {
+      const failedCodes = (result.deltaChecks || []).filter(c => c.failed).map(c => c.code);
+      fail('DELTA_CHECK_FAILED', null, failedCodes.join(', ') || null);
+    }
+
+    if (rules.requireNoInstrumentFlags) {
+      const flags = (result.instrumentFlags || []).filter(flag => !rules.ignoredInstrumentFlags.includes(flag));
+      if (flags.length > 0) fail('INSTRUMENT_FLAGS', null, flags.join(', '));
+    }
+
+    if (result.qcStatus === QC_STATUS.FAILED) {
+      fail('PREVIOUSLY_REJECTED');
+    }
+
+    evaluation.status = reasons.length === 0 ? AUTO_VERIFICATION_STATUS.PASSED : AUTO_VERIFICATION_STATUS.FAILED;
+    return evaluation;
+  }
+
+  /**
+   * Auto-verification rate, hold reasons and per-test breakdown
+   * @param {Object} filters - { from, to, testCode }
+   */
+  async getDashboard(hospitalId, filters = {}) {
+    const to = filters.to ? new Date(filters.to) : new Date();
+    const from = filters.from ? new Date(filters.from) : new Date(to.getTime() - DASHBOARD_DEFAULT_DAYS * DAY_MS);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+      const error = new Error('Invalid date range');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (to - from > DASHBOARD_MAX_DAYS * DAY_MS) {
+      const error = new Error(`Date range cannot exceed ${DASHBOARD_MAX_DAYS} days`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const results = await this.prisma.diagnosticResult.findMany({
+      where: {
+        order: { hospitalId },
+        autoVerificationStatus: { not: null },
+        autoVerificationAt: { gte: from, lt: to },
+        ...(filters.testCode && { testCode: filters.testCode })
+      },
+      select: {
+        testCode: true,
+        testName: true,
+        autoVerificationStatus: true,
+        autoVerification: true,
+        autoVerificationAt: true,
+        releaseMode: true
+      }
+    });
+
+    const reasonCounts = {};
+    const byTest = {};
+    const byDay = {};
+
+    for (const result of results) {
+      const dayKey = result.autoVerificationAt.toISOString().slice(0, 10);
+      if (!byTest[result.testCode]) {
+        byTest[result.testCode] = { testCode: result.testCode, testName: result.testName, ...emptyTally() };
+      }
+      if (!byDay[dayKey]) {
+        byDay[dayKey] = { date: dayKey, ...emptyTally() };
+      }
+
+      addToTally(byTest[result.testCode], result);
+      addToTally(byDay[dayKey], result);
+
+      if (result.autoVerificationStatus === AUTO_VERIFICATION_STATUS.FAILED) {
+        // Count each reason once per result
+        const codes = new Set((result.autoVerification?.reasons || []).map(r => r.code));
+        for (const code of codes) reasonCounts[code] = (reasonCounts[code] || 0) + 1;
+      }
+    }
+
+    const totals = emptyTally();
+    for (const result of results) addToTally(totals, result);
+
+    return {
+      period: { from, to },
+      totals: withRate(totals),
+      holdReasons: Object.entries(reasonCounts)
+        .map(([code, count]) => ({ code, message: AUTO_VERIFICATION_FAILURES[code] || code, count }))
+        .sort((a, b) => b.count - a.count),
+      byTest: Object.values(byTest).map(withRate).sort((a, b) => b.evaluated - a.evaluated),
+      daily: Object.values(byDay).map(withRate).sort((a, b) => a.date.localeCompare(b.date))
+    };
+  }
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Main value plus component results as { code, interpretation, isCritical }
+ */
+function listAnalytes(result) {
+  const analytes = [];
+
+  const hasMainValue = (result.resultNumeric !== null && result.resultNumeric !== undefined) ||
+    (result.resultValue !== null && result.resultValue !== undefined && result.resultValue !== '');
+  if (hasMainValue) {
+    analytes.push({
+      code: result.testCode || result.test?.testCode,
+      interpretation: result.interpretation,
+      isCritical: result.isCritical
+    });
+  }
+
+  const components = parseJson(result.componentResults);
+  const entries = Array.isArray(components)
+    ? components.map(c => [c?.code, c])
+    : Object.entries(components && typeof components === 'object' ? components : {});
+
+  for (const [code, entry] of entries) {
+    if (!code || entry === null || entry === undefined) continue;
+    const detail = typeof entry === 'object' ? entry : {};
+    analytes.push({
+      code,
+      interpretation: detail.interpretation || detail.status || null,
+      isCritical: !!detail.isCritical
+    });
+  }
+
+  return analytes;
+}
+
+function emptyTally() {
+  return { evaluated: 0, autoVerified: 0, held: 0, skipped: 0, autoReleased: 0 };
+}
+
+function addToTally(tally, result) {
+  tally.evaluated++;
+  if (result.autoVerificationStatus === AUTO_VERIFICATION_STATUS.PASSED) tally.autoVerified++;
+  if (result.autoVerificationStatus === AUTO_VERIFICATION_STATUS.FAILED) tally.held++;
+  if (result.autoVerificationStatus === AUTO_VERIFICATION_STATUS.SKIPPED) tally.skipped++;
+  if (result.releaseMode === RELEASE_MODES.AUTO) tally.autoReleased++;
+}
+
+/**
+ * Rate over results whose template had auto-verification on
+ */
+function withRate(tally) {
+  const eligible = tally.autoVerified + tally.held;
+  return {
+    ...tally,
+    autoVerificationRate: eligible > 0 ? Math.round((tally.autoVerified / eligible) * 1000) / 10 : null
+  };
+}
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+export default AutoVerificationService;
@@ -0,0 +1,144 @@
+/**
+ * Auto-Verification Service - rule evaluation of submitted results and the
+ * rate dashboard tallies
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answeringClient } from './prismaTestClient.node.mjs';
+import { AutoVerificationService } from './autoVerification.service.js';
+import { AUTO_VERIFICATION_STATUS, DELTA_CHECK_STATUS, QC_STATUS } from '../constants/diagnosticTemplates.js';
+
+const service = new AutoVerificationService(answeringClient().client);
+
+const template = (rules = {}) => ({ id: 'template-1', autoVerificationRules: { enabled: true, ...rules } });
+
+// In-range TSH with two in-range components
+const clean = {
+  id: 'result-1',
+  testCode: 'TSH',
+  resultValue: '2.1',
+  resultNumeric: 2.1,
+  interpretation: 'NORMAL',
+  isCritical: false,
+  deltaCheckStatus: DELTA_CHECK_STATUS.PASSED,
+  deltaChecks: [],
+  instrumentFlags: [],
+  componentResults: {
+    FT4: { value: '1.2', interpretation: 'NORMAL' },
+    FT3: { value: '3.1', interpretation: 'NORMAL' },
+  },
+};
+
+const reasonsOf = (result, rules) => service.evaluate(result, template(rules)).reasons.map(r => [r.code, r.analyte, r.detail]);
+
+test('auto-verification is off unless a stored template enables it', () => {
+  assert.equal(service.evaluate(clean, null).status, AUTO_VERIFICATION_STATUS.SKIPPED);
+  assert.equal(service.evaluate(clean, { id: 'template-1' }).status, AUTO_VERIFICATION_STATUS.SKIPPED);
+  assert.equal(service.evaluate(clean, { autoVerificationRules: { enabled: true } }).status, AUTO_VERIFICATION_STATUS.SKIPPED);
+});
+
+test('a clean result passes with the template rules merged over the defaults', () => {
+  const evaluation = service.evaluate(clean, { id: 'template-1', autoVerificationRules: JSON.stringify({ enabled: true, autoRelease: true }) });
+
+  assert.equal(evaluation.status, AUTO_VERIFICATION_STATUS.PASSED);
+  assert.deepEqual(evaluation.reasons, []);
+  assert.equal(evaluation.templateId, 'template-1');
+  assert.equal(evaluation.rules.autoRelease, true);
+  assert.equal(evaluation.rules.requireInRange, true);
+});
+
+test('each analyte out of range or without a range holds the result', () => {
+  const result = {
+    ...clean,
+    interpretation: null,
+    componentResults: { FT4: { value: '2.4', interpretation: 'HIGH' }, FT3: { value: '3.1', status: 'normal' } },
+  };
+
+  assert.equal(service.evaluate(result, template()).status, AUTO_VERIFICATION_STATUS.FAILED);
+  assert.deepEqual(reasonsOf(result), [
+    ['NO_REFERENCE_RANGE', 'TSH', null],
+    ['OUT_OF_RANGE', 'FT4', 'HIGH'],
+  ]);
+
+  // Templates can accept further interpretations, or drop the range check
+  assert.deepEqual(reasonsOf(result, { acceptedInterpretations: ['NORMAL', 'HIGH'] }), [['NO_REFERENCE_RANGE', 'TSH', null]]);
+  assert.deepEqual(reasonsOf(result, { requireInRange: false }), []);
+});
+
+test('critical values are reported once, ahead of the range check', () => {
+  const critical = { ...clean, interpretation: 'CRITICAL_HIGH', isCritical: true };
+  assert.deepEqual(reasonsOf(critical), [['CRITICAL_VALUE', 'TSH', 'CRITICAL_HIGH']]);
+
+  const flaggedOnly = { ...clean, isCritical: true, resultValue: null, resultNumeric: null };
+  assert.deepEqual(reasonsOf(flaggedOnly), [['CRITICAL_VALUE', null, null]]);
+
+  // With the critical rule off the value still falls outside the accepted range
+  assert.deepEqual(reasonsOf(critical, { requireNoCriticalValues: false }), [['OUT_OF_RANGE', 'TSH', 'CRITICAL_HIGH']]);
+});
+
+test('an unacknowledged delta check failure names the failed analytes', () => {
+  const result = {
+    ...clean,
+    deltaCheckStatus: DELTA_CHECK_STATUS.FAILED,
+    deltaChecks: [{ code: 'TSH', failed: true }, { code: 'FT4', failed: false }, { code: 'FT3', failed: true }],
+  };
+
+  assert.deepEqual(reasonsOf(result), [['DELTA_CHECK_FAILED', null, 'TSH, FT3']]);
+  assert.deepEqual(reasonsOf({ ...result, deltaCheckStatus: DELTA_CHECK_STATUS.ACKNOWLEDGED }), []);
+  assert.deepEqual(reasonsOf(result, { requireNoDeltaFailure: false }), []);
+});
+
+test('instrument flags hold the result unless the template ignores them', () => {
+  const result = { ...clean, instrumentFlags: ['HEMOLYSED', 'DILUTED'] };
+
+  assert.deepEqual(reasonsOf(result), [['INSTRUMENT_FLAGS', null, 'HEMOLYSED, DILUTED']]);
+  assert.deepEqual(reasonsOf(result, { ignoredInstrumentFlags: ['DILUTED'] }), [['INSTRUMENT_FLAGS', null, 'HEMOLYSED']]);
+  assert.deepEqual(reasonsOf(result, { requireNoInstrumentFlags: false }), []);
+});
+
+test('a result QC returned to the technician is never auto-verified', () => {
+  assert.deepEqual(reasonsOf({ ...clean, qcStatus: QC_STATUS.FAILED }), [['PREVIOUSLY_REJECTED', null, null]]);
+  assert.deepEqual(reasonsOf({ ...clean, qcStatus: QC_STATUS.PASSED }), []);
+});
+
+test('a result with nothing discrete to check is held', () => {
+  const narrative = { ...clean, resultValue: '', resultNumeric: null, interpretation: null, componentResults: null, reportText: 'Normal study' };
+  assert.deepEqual(reasonsOf(narrative), [['NO_DISCRETE_VALUE', null, null]]);
+});
+
+test('component results given as an array are evaluated by code', () => {
+  const result = { ...clean, componentResults: [{ code: 'FT4', interpretation: 'LOW' }, { value: 1 }] };
+  assert.deepEqual(reasonsOf(result), [['OUT_OF_RANGE', 'FT4', 'LOW']]);
+});
+
+test('the dashboard tallies outcomes per test and day, counting each hold reason once per result', async () => {
+  const at = (day) => new Date(`2026-10-${day}T10:00:00Z`);
+  const rows = [
+    { testCode: 'TSH', testName: 'TSH', autoVerificationStatus: 'PASSED', autoVerificationAt: at(17), releaseMode: 'AUTO', autoVerification: null },
+    { testCode: 'TSH', testName: 'TSH', autoVerificationStatus: 'PASSED', autoVerificationAt: at(18), releaseMode: null, autoVerification: null },
+    {
+      testCode: 'TSH', testName: 'TSH', autoVerificationStatus: 'FAILED', autoVerificationAt: at(18), releaseMode: null,
+      autoVerification: { reasons: [{ code: 'OUT_OF_RANGE' }, { code: 'OUT_OF_RANGE' }, { code: 'INSTRUMENT_FLAGS' }] },
+    },
+    {
+      testCode: 'CBC', testName: 'CBC', autoVerificationStatus: 'FAILED', autoVerificationAt: at(18), releaseMode: null,
+      autoVerification: { reasons: [{ code: 'OUT_OF_RANGE' }] },
+    },
+    { testCode: 'CBC', testName: 'CBC', autoVerificationStatus: 'SKIPPED', autoVerificationAt: at(18), releaseMode: null, autoVerification: null },
+  ];
+  const { client } = answeringClient({ diagnosticResult: { findMany: rows } });
+
+  const dashboard = await new AutoVerificationService(client).getDashboard('h1', { from: '2026-10-01', to: '2026-10-19' });
+
+  assert.deepEqual(dashboard.totals, {
+    evaluated: 5, autoVerified: 2, held: 2, skipped: 1, autoReleased: 1, autoVerificationRate: 50,
+  });
+  assert.deepEqual(dashboard.holdReasons.map(r => [r.code, r.count]), [['OUT_OF_RANGE', 2], ['INSTRUMENT_FLAGS', 1]]);
+  assert.deepEqual(dashboard.byTest.map(t => [t.testCode, t.evaluated, t.autoVerificationRate]), [['TSH', 3, 66.7], ['CBC', 2, 0]]);
+  assert.deepEqual(dashboard.daily.map(d => [d.date, d.evaluated]), [['2026-10-17', 1], ['2026-10-18', 4]]);
+});
+
+test('the dashboard rejects inverted and over-long date ranges', async () => {
+  await assert.rejects(service.getDashboard('h1', { from: '2026-10-19', to: '2026-10-01' }), { statusCode: 400 });
+  await assert.rejects(service.getDashboard('h1', { from: '2026-01-01', to: '2026-10-01' }), { statusCode: 400 });
+});
@@ -0,0 +1,708 @@
+/**
+ * Billing Ledger Service
+ * Payment ledger for bills: split tenders, patient advances, refunds,
+ * credit notes and the daily cash-counter closing
+ *
+ * - Every money movement is a PaymentTransaction; Bill.paymentStatus and the
+ *   cached totals on Bill are re-derived from the ledger after each change
+ * - Refunds and credit notes need a reason and always wait for approval by a
+ *   user with MANAGE_BILLING other than the one who recorded them
+ * - A bill refund only pays out money held beyond what the bill still charges;
+ *   charges are reduced with a credit note first, so a refund never reopens a paid bill
+ */
+
+import {
+  BillRepository,
+  CounterRepository,
+  PaymentTransactionRepository,
+  CashClosingRepository
+} from './billing.repository.js';
+import { formatBill, PAYMENT_MODES } from '../controllers/billing.validators.js';
+import {
+  LEDGER_ENTRY_TYPES,
+  LEDGER_ENTRY_STATUS,
+  BILL_PAYMENT_STATUS,
+  summarizeBillLedger,
+  getBillLedgerPayload,
+  calculateAdvanceBalance
+} from '../utils/paymentStatus.utils.js';
+import { formatInvoiceNumber, getFinancialYear, roundCurrency } from '../utils/gst.utils.js';
+import { localDateString } from '../utils/date.utils.js';
+import { ValidationError, NotFoundError, ConflictError, ForbiddenError } from '../shared/AppError.js';
+import { emitNotificationEvent } from './notification.events.js';
+import { NOTIFICATION_EVENTS } from './notification.constants.js';
+
+// Tender used when an advance is applied to a bill
+export const ADVANCE_TENDER = 'Advance';
+
+// Number series per entry type: RCT/2627/00001
+const TRANSACTION_PREFIX = {
+  [LEDGER_ENTRY_TYPES.PAYMENT]: 'RCT',
+  [LEDGER_ENTRY_TYPES.ADVANCE]: 'RCT',
+  [LEDGER_ENTRY_TYPES.ADVANCE_ADJUSTMENT]: 'ADJ',
+  [LEDGER_ENTRY_TYPES.REFUND]: 'RFD',
+  [LEDGER_ENTRY_TYPES.CREDIT_NOTE]: 'CN'
+};
+
+const parsePositiveAmount = (value, field = 'amount') => {
+  const amount = roundCurrency(Number(value));
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new ValidationError(`${field} must be a positive number`, field);
+  }
+  return amount;
+};
+
+const parseLocalDate = (value) => {
+  const text = value || localDateString();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    throw new ValidationError('Invalid date. Use YYYY-MM-DD', 'date');
+  }
+  const [y, m, d] = text.split('-').map(Number);
+  const start = new Date(y, m - 1, d);
+  if (start.getMonth() !== m - 1) {
+    throw new ValidationError('Invalid date. Use YYYY-MM-DD', 'date');
+  }
+  return { date: text, start, end: new Date(y, m - 1, d, 23, 59, 59, 999) };
+};
+
+export class PaymentLedgerService {
+  constructor(prisma) {
+    this.prisma = prisma;
+    this.billRepository = new BillRepository(prisma);
+    this.counterRepository = new CounterRepository(prisma);
+    this.transactionRepository = new PaymentTransactionRepository(prisma);
+    this.closingRepository = new CashClosingRepository(prisma);
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * Generate ledger number (sequence per series, restarts every financial year)
+   * Gaps are possible when the surrounding transaction rolls back.
+   */
+  async generateTransactionNumber(type, date = new Date()) {
+    const prefix = TRANSACTION_PREFIX[type];
+    const seq = await this.counterRepository.nextSequence(`LEDGER_${prefix}_${getFinancialYear(date).short}`);
+
+    if (!Number.isFinite(seq)) {
+      throw new Error('Invalid sequence received while generating transaction number');
+    }
+
+    return formatInvoiceNumber(prefix, date, seq);
+  }
+
+  /**
+   * Lock a bill row (and optionally the patient's row for advance balance) for the
+   * rest of the transaction so concurrent payments cannot overpay
+   */
+  async lockRows(tx, { billDbId, patientId }) {
+    if (billDbId) {
+      await tx.$queryRaw`SELECT id FROM bills WHERE id = ${billDbId} FOR UPDATE`;
+    }
+    if (patientId) {
+      await tx.$queryRaw`SELECT id FROM patients WHERE "patientId" = ${patientId} FOR UPDATE`;
+    }
+  }
+
+  /**
+   * Re-derive cached totals and status on the bill from its ledger
+   */
+  async syncBill(tx, bill, extra = {}) {
+    const transactions = await new PaymentTransactionRepository(tx).findByBill(bill.id);
+    const payload = getBillLedgerPayload(bill, transactions);
+
+    if (payload.paymentStatus === BILL_PAYMENT_STATUS.PAID && !bill.lockedAt) {
+      payload.lockedAt = new Date();
+    }
+
+    const updated = await new BillRepository(tx).update(bill.id, { ...payload, ...extra });
+    return { bill: updated, transactions, summary: summarizeBillLedger(updated, transactions) };
+  }
+
+  /**
+   * Normalize tenders: { payments: [{ paymentMode, amount, referenceNumber?, paymentDetails? }] }
+   * or the single-tender form { paymentMode, paymentDetails, amount? } (amount defaults to the balance due)
+   */
+  normalizeTenders(paymentData, balanceDue) {
+    const raw = Array.isArray(paymentData.payments) && paymentData.payments.length > 0
+      ? paymentData.payments
+      : [{
+        paymentMode: paymentData.paymentMode || 'Cash',
+        amount: paymentData.amount ?? balanceDue,
+        referenceNumber: paymentData.referenceNumber,
+        paymentDetails: paymentData.paymentDetails
+      }];
+
+    return raw.map((tender, index) => {
+      const paymentMode = tender.paymentMode || 'Cash';
+      if (!PAYMENT_MODES.includes(paymentMode) && paymentMode !== ADVANCE_TENDER) {
+        throw new ValidationError(
+          `Payment ${index + 1}: invalid payment mode. Must be one of: ${[...PAYMENT_MODES, ADVANCE_TENDER].join(', ')}`,
+          'paymentMode'
+        );
+      }
+
+      return {
+        paymentMode,
+        amount: parsePositiveAmount(tender.amount, `payments[${index}].amount`),
+        referenceNumber: tender.referenceNumber ? String(tender.referenceNumber).trim() : null,
+        paymentDetails: tender.paymentDetails || null
+      };
+    });
+  }
+
+  /**
+   * Pending (not yet approved) amount of a type against a bill or advance account
+   */
+  sumPending(transactions, type) {
+    return roundCurrency(transactions
+      .filter(t => t.type === type && t.status === LEDGER_ENTRY_STATUS.PENDING_APPROVAL)
+      .reduce((total, t) => total + t.amount, 0));
+  }
+
+  async findBill(billId, hospitalId) {
+    const bill = await this.billRepository.findByBillId(billId, hospitalId);
+    if (!bill) {
+      throw new NotFoundError('Bill not found');
+    }
+    return bill;
+  }
+
+  async findPatient(patientId, hospitalId) {
+    const patient = await this.prisma.patient.findFirst({ where: { patientId, hospitalId } });
+    if (!patient) {
+      throw new NotFoundError('Patient not found');
+    }
+    return patient;
+  }
+
+  // ==================== PAYMENTS ====================
+
+  /**
+   * Receive payment against a bill (one or more tenders)
+   * An "Advance" tender draws from the patient's advance balance.
+   */
+  async receivePayment(billId, paymentData, hospitalId, userId) {
+    const bill = await this.findBill(billId, hospitalId);
+
+    if ([BILL_PAYMENT_STATUS.PAID, BILL_PAYMENT_STATUS.CREDITED].includes(bill.paymentStatus)) {
+      throw new ValidationError('Bill has already been paid');
+    }
+
+    const result = await this.prisma.$transaction(tx => this.postPayment(tx, bill, paymentData, hospitalId, userId));
+    await this.notifyPayment(bill, result, hospitalId);
+
+    return {
+      message: result.summary.balanceDue > 0 ? 'Partial payment recorded' : 'Payment recorded successfully',
+      bill: formatBill(result.bill),
+      transactions: result.created,
+      summary: result.summary
+    };
+  }
+
+  /**
+   * Record the tenders of a payment inside the caller's transaction
+   * so other writes (e.g. a claim settlement) commit or roll back with it
+   */
+  async postPayment(tx, bill, paymentData, hospitalId, userId) {
+    const txRepository = new PaymentTransactionRepository(tx);
+    const usesAdvance = Array.isArray(paymentData.payments) && paymentData.payments.length > 0
+      ? paymentData.payments.some(t => t.paymentMode === ADVANCE_TENDER)
+      : paymentData.paymentMode === ADVANCE_TENDER;
+
+    await this.lockRows(tx, { billDbId: bill.id, patientId: usesAdvance ? bill.patientId : null });
+
+    const current = await tx.bill.findUnique({ where: { id: bill.id } });
+    const summary = summarizeBillLedger(current, await txRepository.findByBill(bill.id));
+
+    if (summary.balanceDue <= 0) {
+      throw new ValidationError('Bill has already been paid');
+    }
+
+    const tenders = this.normalizeTenders(paymentData, summary.balanceDue);
+    const tendered = roundCurrency(tenders.reduce((total, t) => total + t.amount, 0));
+
+    if (tendered > summary.balanceDue) {
+      throw new ValidationError(
+        `Payment of ${tendered} exceeds the balance due of ${summary.balanceDue}. Record the excess as an advance instead`,
+        'amount'
+      );
+    }
+
+    const fromAdvance = roundCurrency(tenders
+      .filter(t => t.paymentMode === ADVANCE_TENDER)
+      .reduce((total, t) => total + t.amount, 0));
+
+    if (fromAdvance > 0) {
+      const advanceBalance = calculateAdvanceBalance(await txRepository.findAdvanceEntries(bill.patientId, hospitalId));
+      if (fromAdvance > advanceBalance) {
+        throw new ValidationError(`Insufficient advance balance. Available: ${advanceBalance}`, 'amount');
+      }
+    }
+
+    const created = [];
+    for (const tender of tenders) {
+      const type = tender.paymentMode === ADVANCE_TENDER
+        ? LEDGER_ENTRY_TYPES.ADVANCE_ADJUSTMENT
+        : LEDGER_ENTRY_TYPES.PAYMENT;
+
+      created.push(await txRepository.create({
+        transactionNumber: await this.generateTransactionNumber(type),
+        hospitalId,
+        billId: bill.id,
+        patientId: bill.patientId,
+        type,
+        paymentMode: tender.paymentMode,
+        amount: tender.amount,
+        referenceNumber: tender.referenceNumber,
+        paymentDetails: tender.paymentDetails,
+        notes: paymentData.notes || null,
+        recordedBy: userId || null
+      }));
+    }
+
+    const modes = [...new Set(tenders.map(t => t.paymentMode))];
+    const synced = await this.syncBill(tx, current, {
+      paymentMode: modes.length === 1 ? modes[0] : 'Split',
+      paymentDetails: tenders.length === 1 ? (tenders[0].paymentDetails || {}) : { tenders }
+    });
+
+    return { ...synced, created, tendered };
+  }
+
+  /**
+   * Payment notification to the patient (after the payment has committed)
+   * @param {Object} result - postPayment result
+   */
+  async notifyPayment(bill, result, hospitalId) {
+    const patient = await this.prisma.patient.findFirst({
+      where: { patientId: bill.patientId, hospitalId }
+    });
+
+    if (patient) {
+      emitNotificationEvent(NOTIFICATION_EVENTS.PAYMENT, {
+        recipient: { id: patient.id, name: patient.name, phone: patient.phone },
+        data: {
+          patient: { name: patient.name, patientId: patient.patientId },
+          bill: {
+            billId: result.bill.billId,
+            totalAmount: result.bill.totalAmount,
+            amountPaid: result.tendered,
+            balanceDue: result.summary.balanceDue,
+            paymentMode: result.bill.paymentMode
+          }
+        }
+      });
+    }
+  }
+
+  /**
+   * Bill with its full ledger and totals
+   */
+  async getBillLedger(billId, hospitalId) {
+    const bill = await this.findBill(billId, hospitalId);
+    const transactions = await this.transactionRepository.findByBill(bill.id);
+
+    return {
+      bill: formatBill(bill),
+      transactions,
+      summary: summarizeBillLedger(bill, transactions),
+      pendingApprovals: transactions.filter(t => t.status === LEDGER_ENTRY_STATUS.PENDING_APPROVAL).length
+    };
+  }
+
+  // ==================== ADVANCES ====================
+
+  /**
+   * Collect an advance / deposit into the patient's advance account
+   * IPD deposits carry the admissionId they were collected against.
+   */
+  async recordAdvance(patientId, data, hospitalId, userId) {
+    const patient = await this.findPatient(patientId, hospitalId);
+
+    const paymentMode = data.paymentMode || 'Cash';
+    if (!PAYMENT_MODES.includes(paymentMode)) {
+      throw new ValidationError(`Invalid payment mode. Must be one of: ${PAYMENT_MODES.join(', ')}`, 'paymentMode');
+    }
+
+    const transaction = await this.transactionRepository.create({
+      transactionNumber: await this.generateTransactionNumber(LEDGER_ENTRY_TYPES.ADVANCE),
+      hospitalId,
+      patientId: patient.patientId,
+      admissionId: data.admissionId || null,
+      type: LEDGER_ENTRY_TYPES.ADVANCE,
+      paymentMode,
+      amount: parsePositiveAmount(data.amount),
+      referenceNumber: data.referenceNumber ? String(data.referenceNumber).trim() : null,
+      paymentDetails: data.paymentDetails || null,
+      notes: data.notes || null,
+      recordedBy: userId || null
+    });
+
+    const entries = await this.transactionRepository.findAdvanceEntries(patient.patientId, hospitalId);
+
+    return {
+      message: 'Advance recorded',
+      transaction,
+      advanceBalance: calculateAdvanceBalance(entries)
+    };
+  }
+
+  /**
+   * Patient advance account: balance and entries
+   */
+  async getAdvanceAccount(patientId, hospitalId) {
+    const patient = await this.findPatient(patientId, hospitalId);
+    const entries = await this.transactionRepository.findAdvanceEntries(patient.patientId, hospitalId);
+
+    return {
+      patientId: patient.patientId,
+      name: patient.name,
+      advanceBalance: calculateAdvanceBalance(entries),
+      pendingRefunds: this.sumPending(entries, LEDGER_ENTRY_TYPES.REFUND),
+      transactions: entries
+    };
+  }
+
+  // ==================== REFUNDS & CREDIT NOTES ====================
+
+  /**
+   * Refund money received against a bill
+   * @param {Object} user - { id }
+   */
+  async refundBill(billId, data, hospitalId, user) {
+    const bill = await this.findBill(billId, hospitalId);
+    return this.createAdjustment(LEDGER_ENTRY_TYPES.REFUND, { bill, patientId: bill.patientId }, data, hospitalId, user);
+  }
+
+  /**
+   * Refund unused advance to the patient
+   * @param {Object} user - { id }
+   */
+  async refundAdvance(patientId, data, hospitalId, user) {
+    const patient = await this.findPatient(patientId, hospitalId);
+    return this.createAdjustment(LEDGER_ENTRY_TYPES.REFUND, { bill: null, patientId: patient.patientId }, data, hospitalId, user);
+  }
+
+  /**
+   * Issue a credit note reducing the amount payable on a bill
+   * @param {Object} user - { id }
+   */
+  async issueCreditNote(billId, data, hospitalId, user) {
+    const bill = await this.findBill(billId, hospitalId);
+    return this.createAdjustment(LEDGER_ENTRY_TYPES.CREDIT_NOTE, { bill, patientId: bill.patientId }, data, hospitalId, user);
+  }
+
+  /**
+   * Check a refund / credit note fits what is available
+   * Pending requests are reserved so two requests cannot together exceed the limit.
+   */
+  async assertAdjustmentAllowed(tx, type, { bill, patientId }, amount, hospitalId, excludeId = null) {
+    const txRepository = new PaymentTransactionRepository(tx);
+
+    if (!bill) {
+      const entries = (await txRepository.findAdvanceEntries(patientId, hospitalId)).filter(t => t.id !== excludeId);
+      const available = roundCurrency(calculateAdvanceBalance(entries) - this.sumPending(entries, LEDGER_ENTRY_TYPES.REFUND));
+      if (amount > available) {
+        throw new ValidationError(`Refund exceeds the refundable advance balance of ${Math.max(0, available)}`, 'amount');
+      }
+      return;
+    }
+
+    const current = await tx.bill.findUnique({ where: { id: bill.id } });
+    const transactions = (await txRepository.findByBill(bill.id)).filter(t => t.id !== excludeId);
+    const summary = summarizeBillLedger(current, transactions);
+
+    if (type === LEDGER_ENTRY_TYPES.REFUND) {
+      const available = roundCurrency(summary.excessAmount - this.sumPending(transactions, LEDGER_ENTRY_TYPES.REFUND));
+      if (amount > available) {
+        throw new ValidationError(
+          `Refund exceeds the refundable amount of ${Math.max(0, available)}. Issue a credit note for the charges being refunded first`,
+          'amount'
+        );
+      }
+    } else {
+      const available = roundCurrency(summary.netPayable - this.sumPending(transactions, LEDGER_ENTRY_TYPES.CREDIT_NOTE));
+      if (amount > available) {
+        throw new ValidationError(`Credit note exceeds the creditable amount of ${Math.max(0, available)}`, 'amount');
+      }
+    }
+  }
+
+  /**
+   * Create a refund or credit note pending approval
+   * Nothing moves until approveTransaction is called by a different user.
+   */
+  async createAdjustment(type, target, data, hospitalId, user) {
+    const amount = parsePositiveAmount(data.amount);
+    const reason = data.reason ? String(data.reason).trim() : '';
+    if (!reason) {
+      throw new ValidationError('Reason is required', 'reason');
+    }
+
+    let paymentMode = null;
+    if (type === LEDGER_ENTRY_TYPES.REFUND) {
+      paymentMode = data.paymentMode || 'Cash';
+      if (!PAYMENT_MODES.includes(paymentMode)) {
+        throw new ValidationError(`Invalid payment mode. Must be one of: ${PAYMENT_MODES.join(', ')}`, 'paymentMode');
+      }
+    }
+
+    const transaction = await this.prisma.$transaction(async (tx) => {
+      await this.lockRows(tx, {
+        billDbId: target.bill?.id,
+        patientId: target.bill ? null : target.patientId
+      });
+      await this.assertAdjustmentAllowed(tx, type, target, amount, hospitalId);
+
+      return new PaymentTransactionRepository(tx).create({
+        transactionNumber: await this.generateTransactionNumber(type),
+        hospitalId,
+        billId: target.bill?.id || null,
+        patientId: target.patientId,
+        type,
+        status: LEDGER_ENTRY_STATUS.PENDING_APPROVAL,
+        paymentMode,
+        amount,
+        referenceNumber: data.referenceNumber ? String(data.referenceNumber).trim() : null,
+        reason,
+        notes: data.notes || null,
+        recordedBy: user.id || null
+      });
+    });
+
+    const label = type === LEDGER_ENTRY_TYPES.REFUND ? 'Refund' : 'Credit note';
+
+    return {
+      message: `${label} submitted for approval`,
+      transaction
+    };
+  }
+
+  /**
+   * Approve a pending refund / credit note
+   * The approver must not be the user who recorded it.
+   * The transaction date moves to the approval time - that is when money leaves the counter.
+   */
+  async approveTransaction(transactionId, hospitalId, userId) {
+    const pending = await this.getPendingTransaction(transactionId, hospitalId);
+
+    if (!userId || userId === pending.recordedBy) {
+      throw new ForbiddenError('A refund or credit note must be approved by someone other than the user who recorded it');
+    }
+
+    const result = await this.prisma.$transaction(async (tx) => {
+      const bill = pending.billId ? await tx.bill.findUnique({ where: { id: pending.billId } }) : null;
+      const target = { bill, patientId: pending.patientId };
+
+      await this.lockRows(tx, { billDbId: bill?.id, patientId: bill ? null : pending.patientId });
+      await this.assertAdjustmentAllowed(tx, pending.type, target, pending.amount, hospitalId, pending.id);
+
+      const now = new Date();
+      const transaction = await new PaymentTransactionRepository(tx).update(pending.id, {
+        status: LEDGER_ENTRY_STATUS.COMPLETED,
+        approvedBy: userId,
+        approvedAt: now,
+        transactionDate: now
+      });
+
+      const synced = bill ? await this.syncBill(tx, bill) : null;
+      return { transaction, synced };
+    });
+
+    return {
+      message: 'Transaction approved',
+      transaction: result.transaction,
+      ...(result.synced ? { bill: formatBill(result.synced.bill), summary: result.synced.summary } : {})
+    };
+  }
+
+  /**
+   * Reject a pending refund / credit note
+   */
+  async rejectTransaction(transactionId, reason, hospitalId, userId) {
+    const pending = await this.getPendingTransaction(transactionId, hospitalId);
+
+    if (!reason || !String(reason).trim()) {
+      throw new ValidationError('Rejection reason is required', 'reason');
+    }
+
+    const transaction = await this.transactionRepository.update(pending.id, {
+      status: LEDGER_ENTRY_STATUS.REJECTED,
+      approvedBy: userId,
+      approvedAt: new Date(),
+      rejectionReason: String(reason).trim()
+    });
+
+    return { message: 'Transaction rejected', transaction };
+  }
+
+  async getPendingTransaction(transactionId, hospitalId) {
+    const transaction = await this.transactionRepository.findById(transactionId, hospitalId);
+
+    if (!transaction) {
+      throw new NotFoundError('Transaction not found');
+    }
+
+    if (transaction.status !== LEDGER_ENTRY_STATUS.PENDING_APPROVAL) {
+      throw new ValidationError(`Transaction is ${transaction.status}, only pending transactions can be approved or rejected`);
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Ledger entries across the hospital
+   */
+  async getTransactions(hospitalId, filters = {}) {
+    const transactions = await this.transactionRepository.findMany(hospitalId, filters);
+    return { count: transactions.length, transactions };
+  }
+
+  // ==================== CASH COUNTER CLOSING ====================
+
+  /**
+   * Daily cash-counter report: collections and refunds per payment mode
+   * Advance adjustments and credit notes move no money and are reported separately.
+   * @param {Object} options - { date: 'YYYY-MM-DD', recordedBy? }
+   */
+  async getCashClosingReport(hospitalId, options = {}) {
+    const { date, start, end } = parseLocalDate(options.date);
+
+    const transactions = await this.transactionRepository.findMany(hospitalId, {
+      status: LEDGER_ENTRY_STATUS.COMPLETED,
+      recordedBy: options.recordedBy,
+      fromDate: start,
+      toDate: end
+    });
+
+    const byMode = {};
+    const byUser = {};
+    let advanceAdjusted = 0;
+    let creditNotes = 0;
+
+    for (const t of transactions) {
+      if (t.type === LEDGER_ENTRY_TYPES.ADVANCE_ADJUSTMENT) {
+        advanceAdjusted += t.amount;
+        continue;
+      }
+      if (t.type === LEDGER_ENTRY_TYPES.CREDIT_NOTE) {
+        creditNotes += t.amount;
+        continue;
+      }
+
+      const mode = t.paymentMode || 'Other';
+      const row = byMode[mode] || { paymentMode: mode, received: 0, advances: 0, refunded: 0, net: 0, count: 0 };
+      if (t.type === LEDGER_ENTRY_TYPES.PAYMENT) row.received += t.amount;
+      if (t.type === LEDGER_ENTRY_TYPES.ADVANCE) row.advances += t.amount;
+      if (t.type === LEDGER_ENTRY_TYPES.REFUND) row.refunded += t.amount;
+      row.net = row.received + row.advances - row.refunded;
+      row.count += 1;
+      byMode[mode] = row;
+
+      const userKey = t.recordedBy || 'UNKNOWN';
+      const signed = t.type === LEDGER_ENTRY_TYPES.REFUND ? -t.amount : t.amount;
+      byUser[userKey] = byUser[userKey] || {};
+      byUser[userKey][mode] = roundCurrency((byUser[userKey][mode] || 0) + signed);
+    }
+
+    const modes = Object.values(byMode).map(row => ({
+      ...row,
+      received: roundCurrency(row.received),
+      advances: roundCurrency(row.advances),
+      refunded: roundCurrency(row.refunded),
+      net: roundCurrency(row.net)
+    }));
+
+    const closings = await this.closingRepository.findMany(hospitalId, {
+      closedBy: options.recordedBy,
+      fromDate: date,
+      toDate: date
+    });
+
+    return {
+      date,
+      recordedBy: options.recordedBy || null,
+      byPaymentMode: modes,
+      byUser,
+      totals: {
+        received: roundCurrency(modes.reduce((total, row) => total + row.received, 0)),
+        advances: roundCurrency(modes.reduce((total, row) => total + row.advances, 0)),
+        refunded: roundCurrency(modes.reduce((total, row) => total + row.refunded, 0)),
+        net: roundCurrency(modes.reduce((total, row) => total + row.net, 0)),
+        advanceAdjusted: roundCurrency(advanceAdjusted),
+        creditNotes: roundCurrency(creditNotes)
+      },
+      transactionCount: transactions.length,
+      closings
+    };
+  }
+
+  /**
+   * Close a cashier's counter for the day: compare counted amounts with the ledger
+   * @param {Object} data - { date?, declared: { Cash: 12000, UPI: 3400 }, notes? }
+   */
+  async closeCashCounter(hospitalId, userId, data = {}) {
+    if (!data.declared || typeof data.declared !== 'object' || Array.isArray(data.declared)) {
+      throw new ValidationError('declared amounts per payment mode are required, e.g. { "Cash": 12000 }', 'declared');
+    }
+
+    for (const [mode, value] of Object.entries(data.declared)) {
+      if (!PAYMENT_MODES.includes(mode)) {
+        throw new ValidationError(`Invalid payment mode "${mode}". Must be one of: ${PAYMENT_MODES.join(', ')}`, 'declared');
+      }
+      if (!Number.isFinite(Number(value)) || Number(value) < 0) {
+        throw new ValidationError(`Declared amount for ${mode} must be zero or more`, 'declared');
+      }
+    }
+
+    const report = await this.getCashClosingReport(hospitalId, { date: data.date, recordedBy: userId });
+
+    const existing = await this.closingRepository.findOne(hospitalId, report.date, userId);
+    if (existing) {
+      throw new ConflictError(`Cash counter already closed for ${report.date}`);
+    }
+
+    const expected = Object.fromEntries(report.byPaymentMode.map(row => [row.paymentMode, row.net]));
+    const modes = [...new Set([...Object.keys(expected), ...Object.keys(data.declared)])];
+
+    const declared = {};
+    const variance = {};
+    for (const mode of modes) {
+      declared[mode] = roundCurrency(Number(data.declared[mode] || 0));
+      expected[mode] = expected[mode] || 0;
+      variance[mode] = roundCurrency(declared[mode] - expected[mode]);
+    }
+
+    const sum = (values) => roundCurrency(Object.values(values).reduce((total, v) => total + v, 0));
+
+    const closing = await this.closingRepository.create({
+      hospitalId,
+      closingDate: report.date,
+      closedBy: userId,
+      expected,
+      declared,
+      variance,
+      totalExpected: sum(expected),
+      totalDeclared: sum(declared),
+      totalVariance: sum(variance),
+      transactionCount: report.transactionCount,
+      notes: data.notes || null
+    });
+
+    return {
+      message: closing.totalVariance === 0 ? 'Cash counter closed' : 'Cash counter closed with variance',
+      closing
+    };
+  }
+
+  /**
+   * Saved counter closings
+   */
+  async getCashClosings(hospitalId, filters = {}) {
+    const closings = await this.closingRepository.findMany(hospitalId, filters);
+    return { count: closings.length, closings };
+  }
+}
+
+export default PaymentLedgerService;
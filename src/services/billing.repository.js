@@ -1,6 +1,6 @@
 /**
  * Billing Repository
- * Data access layer for Bill and Patient entities
+ * Data access layer for Bill, Patient, BillingConfig, payment ledger and cash closing entities
  */
 
 export class BillRepository {
@@ -94,9 +94,179 @@ export class CounterRepository {
       return counter.seq;
     });
   }
+
+  /**
+   * Get next sequence inside the caller's transaction
+   * The counter row stays locked until that transaction ends, so a number is only
+   * used when the row it numbers commits and the series has no gaps.
+   */
+  async nextSequenceInTransaction(tx, counterId) {
+    const counter = await tx.counter.upsert({
+      where: { id: counterId },
+      update: { seq: { increment: 1 } },
+      create: { id: counterId, seq: 1 }
+    });
+    return counter.seq;
+  }
+}
+
+export class BillingConfigRepository {
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Find billing config for hospital
+   */
+  async findByHospitalId(hospitalId) {
+    return this.prisma.billingConfig.findUnique({
+      where: { hospitalId }
+    });
+  }
+
+  /**
+   * Create or update billing config for hospital
+   */
+  async upsert(hospitalId, data) {
+    return this.prisma.billingConfig.upsert({
+      where: { hospitalId },
+      update: data,
+      create: { hospitalId, ...data }
+    });
+  }
+}
+
+export class PaymentTransactionRepository {
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Create ledger entry
+   */
+  async create(data) {
+    return this.prisma.paymentTransaction.create({ data });
+  }
+
+  /**
+   * Find ledger entry by ID (scoped to hospital)
+   */
+  async findById(id, hospitalId) {
+    return this.prisma.paymentTransaction.findFirst({
+      where: { id, hospitalId },
+      include: { Bill: { select: { id: true, billId: true, totalAmount: true, paymentStatus: true } } }
+    });
+  }
+
+  /**
+   * Update ledger entry
+   */
+  async update(id, data) {
+    return this.prisma.paymentTransaction.update({
+      where: { id },
+      data
+    });
+  }
+
+  /**
+   * All ledger entries for a bill (Bill.id), oldest first
+   */
+  async findByBill(billDbId) {
+    return this.prisma.paymentTransaction.findMany({
+      where: { billId: billDbId },
+      orderBy: { transactionDate: 'asc' }
+    });
+  }
+
+  /**
+   * Advance-account entries for a patient (deposits, adjustments, advance refunds)
+   */
+  async findAdvanceEntries(patientId, hospitalId) {
+    return this.prisma.paymentTransaction.findMany({
+      where: {
+        patientId,
+        hospitalId,
+        OR: [
+          { type: { in: ['ADVANCE', 'ADVANCE_ADJUSTMENT'] } },
+          { type: 'REFUND', billId: null }
+        ]
+      },
+      orderBy: { transactionDate: 'asc' }
+    });
+  }
+
+  /**
+   * Ledger entries with filters
+   */
+  async findMany(hospitalId, filters = {}) {
+    const where = { hospitalId };
+    if (filters.type) where.type = filters.type;
+    if (filters.status) where.status = filters.status;
+    if (filters.paymentMode) where.paymentMode = filters.paymentMode;
+    if (filters.patientId) where.patientId = filters.patientId;
+    if (filters.recordedBy) where.recordedBy = filters.recordedBy;
+    if (filters.fromDate || filters.toDate) {
+      where.transactionDate = {};
+      if (filters.fromDate) where.transactionDate.gte = filters.fromDate;
+      if (filters.toDate) where.transactionDate.lte = filters.toDate;
+    }
+
+    return this.prisma.paymentTransaction.findMany({
+      where,
+      include: { Bill: { select: { billId: true } } },
+      orderBy: { transactionDate: 'asc' },
+      ...(filters.limit ? { take: filters.limit } : {})
+    });
+  }
+}
+
+export class CashClosingRepository {
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Find closing for a cashier on a date
+   */
+  async findOne(hospitalId, closingDate, closedBy) {
+    return this.prisma.cashCounterClosing.findUnique({
+      where: { hospitalId_closingDate_closedBy: { hospitalId, closingDate, closedBy } }
+    });
+  }
+
+  /**
+   * Create closing
+   */
+  async create(data) {
+    return this.prisma.cashCounterClosing.create({ data });
+  }
+
+  /**
+   * List closings for a date range
+   */
+  async findMany(hospitalId, filters = {}) {
+    const where = { hospitalId };
+    if (filters.closedBy) where.closedBy = filters.closedBy;
+    if (filters.fromDate || filters.toDate) {
+      where.closingDate = {};
+      if (filters.fromDate) where.closingDate.gte = filters.fromDate;
+      if (filters.toDate) where.closingDate.lte = filters.toDate;
+    }
+
+    return this.prisma.cashCounterClosing.findMany({
+      where,
+      orderBy: [{ closingDate: 'desc' }, { createdAt: 'desc' }]
+    });
+  }
 }
 
-export default { BillRepository, CounterRepository };
+export default {
+  BillRepository,
+  CounterRepository,
+  BillingConfigRepository,
+  PaymentTransactionRepository,
+  CashClosingRepository
+};
 
 
 
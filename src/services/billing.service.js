@@ -5,7 +5,7 @@
 
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
-import { BillRepository, CounterRepository } from './billing.repository.js';
+import { BillRepository, CounterRepository, BillingConfigRepository } from './billing.repository.js';
 import { 
   formatBill, 
   formatPatientWithBills, 
@@ -16,8 +16,7 @@ import {
   validateBillingLogin, 
   isBillingRole, 
   validatePatientCreate, 
-  validateServices, 
-  validatePaymentInput 
+  validateServices 
 } from '../controllers/billing.validators.js';
 import { 
   ValidationError, 
@@ -26,6 +25,19 @@ import {
   ForbiddenError,
   ConflictError 
 } from '../shared/AppError.js';
+import { PaymentLedgerService } from './billing.ledger.service.js';
+import {
+  DEFAULT_BILLING_CONFIG,
+  GST_STATE_CODES,
+  computeInvoiceTax,
+  formatInvoiceNumber,
+  getFinancialYear,
+  getStateCodeFromGstin,
+  resolveStateCode,
+  isValidGstin,
+  summarizeByHsn,
+  amountInWords
+} from '../utils/gst.utils.js';
 
 // Helper functions
 const pad = (n, length = 3) => String(n).padStart(length, '0');
@@ -42,6 +54,8 @@ export class BillingService {
     this.prisma = prisma;
     this.billRepository = new BillRepository(prisma);
     this.counterRepository = new CounterRepository(prisma);
+    this.billingConfigRepository = new BillingConfigRepository(prisma);
+    this.paymentLedgerService = new PaymentLedgerService(prisma);
     this.serviceCatalog = null;
     this.serviceMap = null;
   }
@@ -88,6 +102,65 @@ export class BillingService {
     return `${shortDate}${pad(seq, 3)}`;
   }
 
+  /**
+   * Generate GST invoice number (sequence restarts every financial year)
+   * Must run inside the transaction that creates the bill: GST invoice serials
+   * have to be consecutive, so the number is only taken if the bill commits.
+   */
+  async generateInvoiceNumber(tx, invoicePrefix, date = new Date()) {
+    const counterId = `INVOICE_${invoicePrefix}_${getFinancialYear(date).short}`;
+    const seq = await this.counterRepository.nextSequenceInTransaction(tx, counterId);
+
+    if (!Number.isFinite(seq)) {
+      throw new Error('Invalid sequence received while generating invoice number');
+    }
+
+    return formatInvoiceNumber(invoicePrefix, date, seq);
+  }
+
+  /**
+   * Get billing config for hospital (defaults until an admin saves one)
+   */
+  async getBillingConfig(hospitalId) {
+    const config = await this.billingConfigRepository.findByHospitalId(hospitalId);
+    return { ...DEFAULT_BILLING_CONFIG, ...(config || {}) };
+  }
+
+  /**
+   * Resolve place of supply and whether the supply is inter-state
+   * Recipient state comes from (in order): customer GSTIN, explicit placeOfSupply,
+   * patient state. Unknown recipient state is treated as intra-state.
+   */
+  resolvePlaceOfSupply(config, hospital, patient, data) {
+    const supplierState = getStateCodeFromGstin(config.gstNumber) || resolveStateCode(hospital?.state);
+
+    let customerGstin = null;
+    if (data.customerGstin) {
+      customerGstin = String(data.customerGstin).trim().toUpperCase();
+      if (!isValidGstin(customerGstin)) {
+        throw new ValidationError('Invalid customer GSTIN', 'customerGstin');
+      }
+    }
+
+    let placeOfSupply = null;
+    if (customerGstin) {
+      placeOfSupply = getStateCodeFromGstin(customerGstin);
+    } else if (data.placeOfSupply) {
+      placeOfSupply = resolveStateCode(data.placeOfSupply);
+      if (!placeOfSupply) {
+        throw new ValidationError('Invalid placeOfSupply. Use a GST state code or state name', 'placeOfSupply');
+      }
+    } else {
+      placeOfSupply = resolveStateCode(patient?.state) || supplierState;
+    }
+
+    return {
+      customerGstin,
+      placeOfSupply,
+      isInterState: Boolean(supplierState && placeOfSupply && supplierState !== placeOfSupply)
+    };
+  }
+
   /**
    * Billing employee login
    */
@@ -277,7 +350,6 @@ export class BillingService {
 
     // Normalize and validate services against catalog
     const normalizedServices = [];
-    let totalAmount = 0;
 
     for (const item of services) {
       const parsed = parseServiceItem(item);
@@ -305,30 +377,52 @@ export class BillingService {
         category: catalogEntry.category,
         quantity: parsed.quantity,
         unitPrice,
-        amount
+        amount,
+        // Catalog entries may carry their own GST rate / SAC; otherwise BillingConfig applies
+        taxRate: catalogEntry.taxRate,
+        hsnSacCode: catalogEntry.hsnSacCode
       });
-
-      totalAmount += amount;
     }
 
-    // Generate bill ID
+    // GST per line item (CGST + SGST within the state, IGST across states)
+    const [config, hospital] = await Promise.all([
+      this.getBillingConfig(hospitalId),
+      this.prisma.hospital.findUnique({ where: { id: hospitalId } })
+    ]);
+    const supply = this.resolvePlaceOfSupply(config, hospital, patient, data);
+    const tax = computeInvoiceTax(normalizedServices, config, supply.isInterState);
+
     const billId = await this.generateBillId();
 
-    // Create bill with emergency flag
-    const bill = await this.prisma.bill.create({
-      data: {
-        billId,
-        hospitalId,
-        patientId,
-        services: normalizedServices,
-        totalAmount,
-        paymentMode,
-        paymentStatus: 'UNPAID',
-        isEmergency,
-        visitType,
-        departmentCode,
-        createdBy: createdBy || null
-      }
+    // Invoice serial and bill are written together (see generateInvoiceNumber)
+    const bill = await this.prisma.$transaction(async (tx) => {
+      const invoiceNumber = await this.generateInvoiceNumber(tx, config.invoicePrefix);
+
+      return tx.bill.create({
+        data: {
+          billId,
+          hospitalId,
+          patientId,
+          services: tax.lines,
+          totalAmount: tax.totalAmount,
+          invoiceNumber,
+          subtotal: tax.subtotal,
+          cgstAmount: tax.cgstAmount,
+          sgstAmount: tax.sgstAmount,
+          igstAmount: tax.igstAmount,
+          taxAmount: tax.taxAmount,
+          balanceDue: tax.totalAmount,
+          isInterState: supply.isInterState,
+          placeOfSupply: supply.placeOfSupply,
+          customerGstin: supply.customerGstin,
+          paymentMode,
+          paymentStatus: 'UNPAID',
+          isEmergency,
+          visitType,
+          departmentCode,
+          createdBy: createdBy || null
+        }
+      });
     });
 
     // Auto-queue the patient if enabled
@@ -412,33 +506,86 @@ export class BillingService {
   }
 
   /**
-   * Receive payment (lock bill)
+   * Receive payment - recorded in the payment ledger (split tenders / partial payments)
+   */
+  async receivePayment(billId, paymentData, hospitalId, userId = null) {
+    return this.paymentLedgerService.receivePayment(billId, paymentData, hospitalId, userId);
+  }
+
+  /**
+   * Build GST tax invoice data for a bill
    */
-  async receivePayment(billId, paymentData, hospitalId) {
+  async getTaxInvoice(billId, hospitalId) {
     const bill = await this.billRepository.findByBillId(billId, hospitalId);
 
     if (!bill) {
       throw new NotFoundError('Bill not found');
     }
 
-    if (bill.paymentStatus === 'PAID') {
-      throw new ValidationError('Bill has already been paid');
+    if (!bill.invoiceNumber) {
+      throw new ValidationError('This bill was created before GST invoicing was enabled and has no tax invoice');
     }
 
-    const { paymentMode, paymentDetails } = validatePaymentInput(paymentData);
+    const [config, hospital, patient] = await Promise.all([
+      this.getBillingConfig(hospitalId),
+      this.prisma.hospital.findUnique({ where: { id: hospitalId } }),
+      this.prisma.patient.findFirst({ where: { patientId: bill.patientId, hospitalId } })
+    ]);
 
-    const updatedBill = await this.billRepository.update(bill.id, {
-      paymentStatus: 'PAID',
-      paymentMode,
-      paymentDetails,
-      lockedAt: new Date()
-    });
+    const lines = Array.isArray(bill.services) ? bill.services : [];
+    const isBillOfSupply = bill.taxAmount === 0 && config.taxExemption;
 
     return {
-      message: 'Payment recorded successfully',
-      bill: formatBill(updatedBill)
+      invoice: {
+        title: isBillOfSupply ? 'BILL OF SUPPLY' : 'TAX INVOICE',
+        invoiceNumber: bill.invoiceNumber,
+        invoiceDate: bill.billDate,
+        billId: bill.billId,
+        financialYear: getFinancialYear(new Date(bill.billDate)).label,
+        supplier: {
+          name: hospital?.hospitalName,
+          address: [hospital?.address, hospital?.city, hospital?.state, hospital?.pinCode].filter(Boolean).join(', '),
+          phone: hospital?.contactPhone,
+          email: hospital?.contactEmail,
+          gstin: config.gstNumber,
+          pan: config.panNumber,
+          stateCode: getStateCodeFromGstin(config.gstNumber) || resolveStateCode(hospital?.state)
+        },
+        recipient: {
+          name: patient?.name,
+          patientId: bill.patientId,
+          phone: patient?.phone,
+          address: patient?.address,
+          gstin: bill.customerGstin
+        },
+        placeOfSupply: bill.placeOfSupply,
+        placeOfSupplyName: GST_STATE_CODES[bill.placeOfSupply] || null,
+        isInterState: bill.isInterState,
+        lines,
+        hsnSummary: summarizeByHsn(lines),
+        subtotal: bill.subtotal,
+        cgstAmount: bill.cgstAmount,
+        sgstAmount: bill.sgstAmount,
+        igstAmount: bill.igstAmount,
+        taxAmount: bill.taxAmount,
+        totalAmount: bill.totalAmount,
+        amountInWords: amountInWords(bill.totalAmount),
+        paymentStatus: bill.paymentStatus,
+        paymentMode: bill.paymentMode
+      }
     };
   }
+
+  /**
+   * Generate printable PDF tax invoice for a bill
+   * @returns {Promise<{ invoiceNumber: string, pdfBuffer: Buffer }>}
+   */
+  async generateTaxInvoicePdf(billId, hospitalId) {
+    const { invoice } = await this.getTaxInvoice(billId, hospitalId);
+    const { generateTaxInvoicePdf } = await import('../utils/pdfGenerator.utils.js');
+    const pdfBuffer = await generateTaxInvoicePdf(invoice);
+    return { invoiceNumber: invoice.invoiceNumber, pdfBuffer };
+  }
 }
 
 export default BillingService;
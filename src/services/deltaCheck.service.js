@@ -0,0 +1,236 @@
+/**
+ * Delta Check Service
+ * Compares each analyte with the patient's most recent released value for the
+ * same test code and flags changes beyond the configured limit
+ *
+ * Limits resolve per analyte: template field deltaCheck > template
+ * deltaCheckRules > DELTA_CHECK_RULES defaults. Previous values come from
+ * released DiagnosticResult rows and released DiagnosticReport results.
+ */
+
+import {
+  DELTA_CHECK_TYPES,
+  DELTA_CHECK_STATUS,
+  DELTA_CHECK_RULES
+} from '../constants/diagnosticTemplates.js';
+import { RESULT_ENTRY_STATUS } from '../rbac/rolePermissions.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export class DeltaCheckService {
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Delta limits keyed by analyte code
+   * @param {Object} template - DiagnosticReportTemplate (optional)
+   */
+  resolveRules(template = null) {
+    const rules = { ...DELTA_CHECK_RULES };
+
+    const templateRules = parseJson(template?.deltaCheckRules) || {};
+    for (const [code, rule] of Object.entries(templateRules)) {
+      rules[code] = rule;
+    }
+
+    const fields = parseJson(template?.fields) || [];
+    for (const field of Array.isArray(fields) ? fields : []) {
+      if (field.code && field.deltaCheck) rules[field.code] = field.deltaCheck;
+    }
+
+    // A rule set to null / { enabled: false } switches the default off
+    return Object.fromEntries(
+      Object.entries(rules)
+        .filter(([, rule]) => isValidRule(rule))
+        .map(([code, rule]) => [code, { type: rule.type, limit: Number(rule.limit), windowHours: Number(rule.windowHours) }])
+    );
+  }
+
+  /**
+   * Run delta checks for a set of analyte values
+   * @param {Object} params
+   * @param {string} params.patientId
+   * @param {string} params.testCode
+   * @param {Object} params.values - { [analyteCode]: number|string|{ value } }
+   * @param {Object} params.rules - from resolveRules()
+   * @param {string} params.excludeResultId - result being checked
+   * @param {string} params.excludeReportId - report being checked
+   * @returns {Object} { status, checks, failed }
+   */
+  async runChecks({ patientId, hospitalId, testCode, values, rules, excludeResultId, excludeReportId, now = new Date() }) {
+    const current = {};
+    for (const [code, value] of Object.entries(values || {})) {
+      const numeric = toNumber(value);
+      if (numeric !== null && rules[code]) current[code] = numeric;
+    }
+
+    const codes = Object.keys(current);
+    if (!patientId || !testCode || codes.length === 0) {
+      return { status: null, checks: [], failed: [] };
+    }
+
+    const maxWindowHours = Math.max(...codes.map((code) => rules[code].windowHours));
+    const since = new Date(now.getTime() - maxWindowHours * HOUR_MS);
+    const history = await this.getReleasedHistory({
+      patientId, hospitalId, testCode, since, excludeResultId, excludeReportId
+    });
+
+    const checks = [];
+    for (const code of codes) {
+      const rule = rules[code];
+      const windowStart = new Date(now.getTime() - rule.windowHours * HOUR_MS);
+      const previous = history.find((entry) =>
+        entry.releasedAt >= windowStart && entry.values[code] !== undefined
+      );
+
+      if (!previous) continue;
+      checks.push(evaluateDelta(code, current[code], previous, rule));
+    }
+
+    const failed = checks.filter((check) => check.failed);
+    return {
+      status: checks.length === 0 ? null : failed.length > 0 ? DELTA_CHECK_STATUS.FAILED : DELTA_CHECK_STATUS.PASSED,
+      checks,
+      failed
+    };
+  }
+
+  /**
+   * Released values for the patient and test code, newest first
+   * @returns {Array} [{ source, sourceId, releasedAt, values: { [code]: number } }]
+   */
+  async getReleasedHistory({ patientId, hospitalId, testCode, since, excludeResultId, excludeReportId }) {
+    const [results, reports] = await Promise.all([
+      this.prisma.diagnosticResult.findMany({
+        where: {
+          patientId,
+          testCode,
+          ...(hospitalId && { hospitalId }),
+          ...(excludeResultId && { id: { not: excludeResultId } }),
+          status: { in: [RESULT_ENTRY_STATUS.RELEASED, RESULT_ENTRY_STATUS.AMENDED] },
+          releasedAt: { gte: since }
+        },
+        orderBy: { releasedAt: 'desc' },
+        take: 20
+      }),
+      this.prisma.diagnosticReport.findMany({
+        where: {
+          patientId,
+          testCode,
+          ...(hospitalId && { hospitalId }),
+          ...(excludeReportId && { id: { not: excludeReportId } }),
+          isReleased: true,
+          releasedAt: { gte: since }
+        },
+        select: { id: true, results: true, releasedAt: true },
+        orderBy: { releasedAt: 'desc' },
+        take: 20
+      })
+    ]);
+
+    return [
+      ...results.map((result) => ({
+        source: 'DIAGNOSTIC_RESULT',
+        sourceId: result.id,
+        releasedAt: result.releasedAt,
+        values: extractResultValues(result)
+      })),
+      ...reports.map((report) => ({
+        source: 'DIAGNOSTIC_REPORT',
+        sourceId: report.id,
+        releasedAt: report.releasedAt,
+        values: extractReportValues(report.results)
+      }))
+    ].sort((a, b) => b.releasedAt - a.releasedAt);
+  }
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Numeric analyte values held on a DiagnosticResult: the result itself under
+ * its test code, plus any component results
+ */
+export function extractResultValues(result) {
+  const values = {};
+
+  const components = parseJson(result.componentResults);
+  if (Array.isArray(components)) {
+    for (const component of components) {
+      const numeric = toNumber(component);
+      if (component?.code && numeric !== null) values[component.code] = numeric;
+    }
+  } else if (components && typeof components === 'object') {
+    Object.assign(values, extractReportValues(components));
+  }
+
+  const numeric = result.resultNumeric ?? toNumber(result.resultValue);
+  if (numeric !== null && numeric !== undefined) values[result.testCode] = numeric;
+
+  return values;
+}
+
+/**
+ * Numeric analyte values from DiagnosticReport.results
+ * ({ HB: { value: 14.2, unit } } or { HB: 14.2 })
+ */
+export function extractReportValues(results) {
+  const values = {};
+  for (const [code, entry] of Object.entries(parseJson(results) || {})) {
+    const numeric = toNumber(entry);
+    if (numeric !== null) values[code] = numeric;
+  }
+  return values;
+}
+
+function evaluateDelta(code, current, previous, rule) {
+  const change = round(current - previous.values[code]);
+  const base = previous.values[code];
+  const percentChange = base === 0 ? null : round((change / Math.abs(base)) * 100);
+
+  const measured = rule.type === DELTA_CHECK_TYPES.PERCENT ? percentChange : change;
+  const failed = measured === null ? current !== base : Math.abs(measured) > rule.limit;
+
+  return {
+    code,
+    current,
+    previous: base,
+    previousAt: previous.releasedAt,
+    source: previous.source,
+    sourceId: previous.sourceId,
+    change,
+    percentChange,
+    rule,
+    failed,
+    message: failed
+      ? `${code} changed by ${rule.type === DELTA_CHECK_TYPES.PERCENT ? `${percentChange ?? '∞'}%` : change} ` +
+        `(limit ${rule.limit}${rule.type === DELTA_CHECK_TYPES.PERCENT ? '%' : ''} within ${rule.windowHours}h)`
+      : null
+  };
+}
+
+function isValidRule(rule) {
+  return !!rule &&
+    rule.enabled !== false &&
+    Object.values(DELTA_CHECK_TYPES).includes(rule.type) &&
+    Number(rule.limit) > 0 &&
+    Number(rule.windowHours) > 0;
+}
+
+function toNumber(value) {
+  const raw = value !== null && typeof value === 'object' ? value.value : value;
+  if (raw === null || raw === undefined || raw === '' || typeof raw === 'boolean') return null;
+  const numeric = Number(raw);
+  return Number.isFinite(numeric) ? numeric : null;
+}
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default DeltaCheckService;
@@ -0,0 +1,162 @@
+/**
+ * Delta Check Service - limit resolution, absolute and percent thresholds,
+ * per-analyte windows and the released history they compare against
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answeringClient, callsTo } from './prismaTestClient.node.mjs';
+import { DeltaCheckService, extractResultValues } from './deltaCheck.service.js';
+import { DELTA_CHECK_RULES, DELTA_CHECK_STATUS } from '../constants/diagnosticTemplates.js';
+
+const now = new Date('2026-10-19T12:00:00Z');
+const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+const released = (id, hours, values) => ({ id, releasedAt: hoursAgo(hours), testCode: 'CBC', componentResults: values });
+
+function setup({ results = [], reports = [] } = {}) {
+  const { client, calls } = answeringClient({
+    diagnosticResult: { findMany: results },
+    diagnosticReport: { findMany: reports },
+  });
+  return { service: new DeltaCheckService(client), calls };
+}
+
+const check = (service, values, rules = service.resolveRules()) => service.runChecks({
+  patientId: 'P1', hospitalId: 'h1', testCode: 'CBC', values, rules, excludeResultId: 'result-new', now,
+});
+
+// ==================== RULES ====================
+
+test('template field limits override template rules, which override the defaults', () => {
+  const { service } = setup();
+
+  const rules = service.resolveRules({
+    deltaCheckRules: JSON.stringify({
+      HEMOGLOBIN: { type: 'ABSOLUTE', limit: 1.5, windowHours: 48 },
+      POTASSIUM: null,
+      SODIUM: { type: 'ABSOLUTE', limit: 8, windowHours: 48, enabled: false },
+      CRP: { type: 'PERCENT', limit: '100', windowHours: '24' },
+    }),
+    fields: [{ code: 'HEMOGLOBIN', deltaCheck: { type: 'PERCENT', limit: 20, windowHours: 24 } }, { code: 'MCV' }],
+  });
+
+  assert.deepEqual(rules.HEMOGLOBIN, { type: 'PERCENT', limit: 20, windowHours: 24 });
+  assert.deepEqual(rules.CRP, { type: 'PERCENT', limit: 100, windowHours: 24 });
+  assert.deepEqual(rules.MCV, { type: 'ABSOLUTE', limit: DELTA_CHECK_RULES.MCV.limit, windowHours: DELTA_CHECK_RULES.MCV.windowHours });
+  assert.equal(rules.POTASSIUM, undefined);
+  assert.equal(rules.SODIUM, undefined);
+});
+
+test('rules with an unknown type or no positive limit and window are dropped', () => {
+  const { service } = setup();
+
+  const rules = service.resolveRules({
+    deltaCheckRules: {
+      A: { type: 'RATIO', limit: 2, windowHours: 24 },
+      B: { type: 'ABSOLUTE', limit: 0, windowHours: 24 },
+      C: { type: 'ABSOLUTE', limit: 1, windowHours: -1 },
+    },
+  });
+
+  assert.deepEqual([rules.A, rules.B, rules.C], [undefined, undefined, undefined]);
+});
+
+// ==================== THRESHOLDS ====================
+
+test('an absolute limit fails only when the change exceeds it', async () => {
+  // HEMOGLOBIN: 2.0 g/dL within 72h
+  const { service } = setup({ results: [released('r1', 24, { HEMOGLOBIN: { value: 13 } })] });
+
+  const atLimit = await check(service, { HEMOGLOBIN: 11 });
+  assert.equal(atLimit.status, DELTA_CHECK_STATUS.PASSED);
+  assert.deepEqual(atLimit.checks.map(c => [c.code, c.change, c.failed]), [['HEMOGLOBIN', -2, false]]);
+
+  const beyond = await check(service, { HEMOGLOBIN: 10.9 });
+  assert.equal(beyond.status, DELTA_CHECK_STATUS.FAILED);
+  assert.equal(beyond.failed[0].change, -2.1);
+  assert.equal(beyond.failed[0].previous, 13);
+  assert.equal(beyond.failed[0].sourceId, 'r1');
+  assert.equal(beyond.failed[0].message, 'HEMOGLOBIN changed by -2.1 (limit 2 within 72h)');
+});
+
+test('a percent limit is measured against the previous value', async () => {
+  // WBC_COUNT: 50% within 72h
+  const { service } = setup({ results: [released('r1', 24, { WBC_COUNT: 8 })] });
+
+  assert.equal((await check(service, { WBC_COUNT: 12 })).status, DELTA_CHECK_STATUS.PASSED);
+
+  const { failed: [wbc] } = await check(service, { WBC_COUNT: 3.9 });
+  assert.equal(wbc.percentChange, -51.25);
+  assert.equal(wbc.message, 'WBC_COUNT changed by -51.25% (limit 50% within 72h)');
+});
+
+test('a percent change from zero fails whenever the value moved', async () => {
+  const { service } = setup({ results: [released('r1', 24, { WBC_COUNT: 0 })] });
+
+  assert.equal((await check(service, { WBC_COUNT: 0 })).status, DELTA_CHECK_STATUS.PASSED);
+
+  const { failed: [wbc] } = await check(service, { WBC_COUNT: 0.1 });
+  assert.equal(wbc.percentChange, null);
+  assert.match(wbc.message, /changed by ∞%/);
+});
+
+// ==================== HISTORY ====================
+
+test('each analyte compares with the newest release inside its own window', async () => {
+  // POTASSIUM looks back 48h, MCV 720h
+  const { service, calls } = setup({
+    results: [
+      released('r-recent', 6, { HEMOGLOBIN: 12 }),
+      released('r-older', 60, { POTASSIUM: 3.5, MCV: 90 }),
+    ],
+  });
+
+  const { checks } = await check(service, { HEMOGLOBIN: 12.5, POTASSIUM: 5.5, MCV: 91, UNKNOWN: 1 });
+
+  assert.deepEqual(checks.map(c => [c.code, c.sourceId]), [['HEMOGLOBIN', 'r-recent'], ['MCV', 'r-older']]);
+
+  // History is fetched once for the widest window, excluding the result being checked
+  const [query] = callsTo(calls, 'diagnosticResult.findMany');
+  assert.deepEqual(query.args.where.releasedAt, { gte: hoursAgo(720) });
+  assert.deepEqual(query.args.where.id, { not: 'result-new' });
+});
+
+test('released reports count as history alongside results', async () => {
+  const { service } = setup({
+    results: [released('r1', 30, { HEMOGLOBIN: 13 })],
+    reports: [{ id: 'report-1', releasedAt: hoursAgo(10), results: { HEMOGLOBIN: { value: 9.5, unit: 'g/dL' } } }],
+  });
+
+  const { checks } = await check(service, { HEMOGLOBIN: 10 });
+
+  assert.deepEqual(checks.map(c => [c.source, c.sourceId, c.previous, c.failed]), [['DIAGNOSTIC_REPORT', 'report-1', 9.5, false]]);
+});
+
+test('nothing is checked without numeric values that have a rule', async () => {
+  const { service, calls } = setup();
+
+  const result = await check(service, { HEMOGLOBIN: 'Clotted', UNKNOWN: 4 });
+
+  assert.deepEqual(result, { status: null, checks: [], failed: [] });
+  assert.equal(calls.length, 0);
+});
+
+test('result values cover the main value and each numeric component', () => {
+  assert.deepEqual(
+    extractResultValues({ testCode: 'HEMOGLOBIN', resultValue: '12.5', resultNumeric: null, componentResults: null }),
+    { HEMOGLOBIN: 12.5 }
+  );
+  assert.deepEqual(
+    extractResultValues({
+      testCode: 'CBC',
+      resultValue: null,
+      resultNumeric: null,
+      componentResults: JSON.stringify({ HEMOGLOBIN: { value: '11.2' }, WBC_COUNT: 7, SMEAR: { value: 'Normal' } }),
+    }),
+    { HEMOGLOBIN: 11.2, WBC_COUNT: 7 }
+  );
+  assert.deepEqual(
+    extractResultValues({ testCode: 'CBC', componentResults: [{ code: 'PLATELET_COUNT', value: 250 }, { value: 3 }] }),
+    { PLATELET_COUNT: 250 }
+  );
+});
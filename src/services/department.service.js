@@ -205,6 +205,7 @@ export class DepartmentService {
         in: [
           RESULT_ENTRY_STATUS.SAMPLE_COLLECTED,
           RESULT_ENTRY_STATUS.IN_PROGRESS,
+          RESULT_ENTRY_STATUS.ENTERED,
           RESULT_ENTRY_STATUS.PENDING_QC
         ]
       }
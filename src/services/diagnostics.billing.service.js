@@ -4,6 +4,9 @@
  */
 
 import { ValidationError, NotFoundError } from '../shared/AppError.js';
+import { BillingService } from './billing.service.js';
+import { PaymentLedgerService } from './billing.ledger.service.js';
+import { computeInvoiceTax, roundCurrency } from '../utils/gst.utils.js';
 
 export class DiagnosticsBillingService {
   constructor(prisma) {
@@ -119,6 +122,75 @@ export class DiagnosticsBillingService {
     };
   }
 
+  /**
+   * Add order items (add-ons such as reflex tests) to the bill the order is already
+   * linked to, as GST lines, and re-derive the bill's balance and payment status
+   * from its ledger. Items on an unbilled order are billed with the rest of the order.
+   * @param {Object} tx - Transaction client; the bill row stays locked until it ends
+   * @param {Object} order - DiagnosticOrder (id, orderId, billId, hospitalId)
+   * @param {Array} items - DiagnosticOrderItems, with test
+   */
+  async addItemsToBill(tx, order, items) {
+    if (!order.billId) {
+      return {
+        bill: null,
+        deferred: true,
+        diagnosticCharges: { orderId: order.orderId, items: [], total: 0 },
+        message: 'Order not billed yet. Items will be billed with the order.'
+      };
+    }
+
+    const ledger = new PaymentLedgerService(tx);
+    await ledger.lockRows(tx, { billDbId: order.billId });
+
+    const bill = await tx.bill.findUnique({ where: { id: order.billId } });
+    if (!bill) {
+      throw new NotFoundError('Bill');
+    }
+
+    const config = await new BillingService(tx).getBillingConfig(order.hospitalId);
+    const lines = items
+      .filter(item => item.status !== 'CANCELLED')
+      .map(item => ({
+        serviceName: item.testName,
+        category: item.testCategory,
+        quantity: 1,
+        unitPrice: item.basePrice,
+        amount: item.basePrice - (item.discountAmount || 0),
+        taxRate: item.test?.taxRate,
+        diagnosticOrderItemId: item.id
+      }));
+    const tax = computeInvoiceTax(lines, config, bill.isInterState);
+
+    const totals = {
+      services: [...(Array.isArray(bill.services) ? bill.services : []), ...tax.lines],
+      subtotal: roundCurrency((bill.subtotal ?? bill.totalAmount - bill.taxAmount) + tax.subtotal),
+      cgstAmount: roundCurrency(bill.cgstAmount + tax.cgstAmount),
+      sgstAmount: roundCurrency(bill.sgstAmount + tax.sgstAmount),
+      igstAmount: roundCurrency(bill.igstAmount + tax.igstAmount),
+      taxAmount: roundCurrency(bill.taxAmount + tax.taxAmount),
+      totalAmount: roundCurrency(bill.totalAmount + tax.totalAmount)
+    };
+    const { bill: updated } = await ledger.syncBill(tx, { ...bill, ...totals }, totals);
+
+    return {
+      bill: {
+        id: updated.id,
+        billId: updated.billId,
+        totalAmount: updated.totalAmount,
+        balanceDue: updated.balanceDue,
+        paymentStatus: updated.paymentStatus,
+        patientId: updated.patientId
+      },
+      diagnosticCharges: {
+        orderId: order.orderId,
+        items: tax.lines,
+        total: tax.totalAmount
+      },
+      message: 'Additional diagnostic charges added to bill successfully'
+    };
+  }
+
   /**
    * Get diagnostic charges breakdown for a bill
    * @param {string} billId - Bill ID
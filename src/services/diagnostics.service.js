@@ -5,6 +5,9 @@
 
 import { DiagnosticsRepository } from './diagnostics.repository.js';
 import { DiagnosticTemplateService } from './template.service.js';
+import { ReflexTestingService } from './reflexTesting.service.js';
+import { SpecimenService } from './specimen.service.js';
+import { CUSTODY_EVENT } from '../constants/specimenTracking.js';
 import {
   formatDiagnosticTest,
   formatDiagnosticTestList,
@@ -18,6 +21,7 @@ import {
   validateDiagnosticTest,
   validateDiagnosticOrderCreate,
   validateSampleCollection,
+  validateCustodyScan,
   validateResultEntry,
   validateQCCheck,
   validatePathologistReview,
@@ -32,6 +36,8 @@ import {
   ConflictError,
   ForbiddenError
 } from '../shared/AppError.js';
+import { emitNotificationEvent } from './notification.events.js';
+import { NOTIFICATION_EVENTS } from './notification.constants.js';
 
 // Helper functions
 const pad = (n, length = 3) => String(n).padStart(length, '0');
@@ -48,6 +54,8 @@ export class DiagnosticsService {
     this.prisma = prisma;
     this.repository = new DiagnosticsRepository(prisma);
     this.templateService = new DiagnosticTemplateService(prisma);
+    this.reflexService = new ReflexTestingService(prisma);
+    this.specimenService = new SpecimenService(prisma);
   }
 
   // ==================== ID GENERATORS ====================
@@ -532,8 +540,9 @@ export class DiagnosticsService {
       throw new ValidationError('Sample already collected or item not in valid state');
     }
 
-    // Generate sample ID
+    // Generate sample ID; the item goes into its tube type's specimen (accession = barcode)
     const sampleId = await this.generateSampleId();
+    const specimen = await this.specimenService.attachOnCollection(orderItem, userId);
 
     // Update order item
     const statusHistory = orderItem.statusHistory || [];
@@ -545,7 +554,8 @@ export class DiagnosticsService {
       sampleQuality: data.sampleQuality || 'GOOD',
       sampleCollectedBy: data.collectedBy,
       barcodeGenerated: true,
-      barcodeData: sampleId,
+      barcodeData: specimen.accessionNumber,
+      specimenId: specimen.id,
       status: 'SAMPLE_COLLECTED',
       statusHistory
     });
@@ -579,7 +589,10 @@ export class DiagnosticsService {
         testName: updated.testName,
         status: updated.status,
         sampleCollectedAt: updated.sampleCollectedAt,
-        barcodeData: updated.barcodeData
+        barcodeData: updated.barcodeData,
+        accessionNumber: specimen.accessionNumber,
+        tubeType: specimen.tubeType,
+        tubeColor: specimen.tubeColor
       },
       message: 'Sample collected successfully'
     };
@@ -609,6 +622,9 @@ export class DiagnosticsService {
       statusHistory
     });
 
+    // Recollection goes into a new tube
+    await this.specimenService.detachItem(orderItem, reason, userId);
+
     return {
       item: {
         id: updated.id,
@@ -622,6 +638,38 @@ export class DiagnosticsService {
     };
   }
 
+  /**
+   * Record a specimen custody scan
+   * A COLLECTED scan collects every pending item in the labelled tube
+   */
+  async scanSpecimen(data, hospitalId, userId) {
+    validateCustodyScan(data);
+
+    if (data.event !== CUSTODY_EVENT.COLLECTED) {
+      return this.specimenService.recordScan(data, hospitalId, userId);
+    }
+
+    const specimen = await this.specimenService.findByCode(data.code, hospitalId);
+    const pending = specimen.orderItems.filter(item => ['ORDERED', 'SAMPLE_PENDING'].includes(item.status));
+
+    if (pending.length === 0) {
+      throw new ValidationError(`Specimen ${specimen.accessionNumber} has no items awaiting collection`);
+    }
+
+    for (const item of pending) {
+      await this.collectSample({
+        orderItemId: item.id,
+        sampleQuality: data.sampleQuality,
+        collectedBy: data.collectedBy || userId
+      }, hospitalId, userId);
+    }
+
+    return {
+      specimen: await this.specimenService.getSpecimen(specimen.accessionNumber, hospitalId),
+      message: `Specimen ${specimen.accessionNumber} collected`
+    };
+  }
+
   // ==================== RESULTS MANAGEMENT ====================
 
   /**
@@ -666,6 +714,7 @@ export class DiagnosticsService {
     const result = await this.repository.createResult({
       patientId: orderItem.order.patientId,
       hospitalId,
+      orderId: orderItem.orderId,
       testId: orderItem.testId,
       testCode: orderItem.testCode,
       testName: orderItem.testName,
@@ -698,8 +747,11 @@ export class DiagnosticsService {
       statusHistory: itemHistory
     });
 
+    const reflexTests = await this.reflexService.processResult(result, 'SAVE', hospitalId, userId);
+
     return {
       result: formatDiagnosticResult(result),
+      reflexTests,
       message: 'Result entered successfully'
     };
   }
@@ -780,11 +832,19 @@ export class DiagnosticsService {
     });
 
     if (orderItem) {
-      await this.repository.updateOrderItem(orderItem.id, { status: 'COMPLETED' });
+      const completedAt = new Date();
+      await this.repository.updateOrderItem(orderItem.id, {
+        status: 'COMPLETED',
+        actualCompletionAt: completedAt,
+        tatBreached: !!orderItem.expectedCompletionAt && completedAt > orderItem.expectedCompletionAt
+      });
     }
 
+    const reflexTests = await this.reflexService.processResult(updated, 'APPROVAL', hospitalId, userId);
+
     return {
       result: formatDiagnosticResult(updated),
+      reflexTests,
       message: 'Pathologist review completed'
     };
   }
@@ -830,6 +890,20 @@ export class DiagnosticsService {
       }
     }
 
+    if (result.patient) {
+      emitNotificationEvent(NOTIFICATION_EVENTS.RESULT_RELEASED, {
+        recipient: { id: result.patient.id, name: result.patient.name, phone: result.patient.phone },
+        data: {
+          patient: { name: result.patient.name, patientId: result.patient.patientId },
+          result: {
+            testName: result.testName,
+            resultNumber: result.id,
+            viewUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/results/${result.id}`
+          }
+        }
+      });
+    }
+
     return {
       result: formatDiagnosticResult(updated),
       message: 'Result released to patient'
@@ -1087,6 +1161,8 @@ export class DiagnosticsService {
 
   /**
    * Get TAT analysis
+   * The clock starts at the received-in-lab scan; items without one fall back
+   * to order time
    */
   async getTATAnalysis(hospitalId, dateFrom, dateTo) {
     const items = await this.prisma.diagnosticOrderItem.findMany({
@@ -1110,24 +1186,34 @@ export class DiagnosticsService {
           testName: item.testName,
           expectedTAT: item.test.turnaroundTime,
           samples: [],
+          transitTimes: [],
+          clockStartedAtReceipt: 0,
           tatBreached: 0
         };
       }
 
-      const expectedTime = new Date(item.createdAt);
-      expectedTime.setHours(expectedTime.getHours() + item.test.turnaroundTime);
-      const actualTAT = (item.actualCompletionAt - item.createdAt) / (1000 * 60 * 60); // hours
+      const clockStart = item.labReceivedAt || item.createdAt;
+      const actualTAT = (item.actualCompletionAt - clockStart) / (1000 * 60 * 60); // hours
 
       byTest[item.testCode].samples.push(actualTAT);
-      if (item.tatBreached) {
+      if (item.labReceivedAt) {
+        byTest[item.testCode].clockStartedAtReceipt++;
+        if (item.sampleCollectedAt) {
+          byTest[item.testCode].transitTimes.push((item.labReceivedAt - item.sampleCollectedAt) / (1000 * 60 * 60));
+        }
+      }
+      if (item.tatBreached || actualTAT > item.test.turnaroundTime) {
         byTest[item.testCode].tatBreached++;
       }
     }
 
     // Calculate averages
-    const analysis = Object.values(byTest).map(test => ({
+    const analysis = Object.values(byTest).map(({ transitTimes, ...test }) => ({
       ...test,
       totalSamples: test.samples.length,
+      averageCollectionToReceipt: transitTimes.length > 0
+        ? (transitTimes.reduce((a, b) => a + b, 0) / transitTimes.length).toFixed(2)
+        : null,
       averageTAT: test.samples.length > 0 
         ? (test.samples.reduce((a, b) => a + b, 0) / test.samples.length).toFixed(2)
         : 0,
@@ -14,7 +14,11 @@ export * from './patient.service.js';
 // Operations Services
 export * from './attendance.service.js';
 export * from './billing.service.js';
+export * from './billing.ledger.service.js';
+export * from './insurance.service.js';
 export * from './queue.service.js';
+export * from './appointment.service.js';
+export * from './room.service.js';
 export * from './visit.service.js';
 
 // Clinical Services
@@ -24,21 +28,28 @@ export * from './diagnosticReport.service.js';
 export * from './opd-consultation.service.js';
 export * from './opd-dashboard.service.js';
 export * from './opd-login.service.js';
+export * from './medication-safety.service.js';
 export * from './vitals.service.js';
 export * from './pharmacy.service.js';
+export * from './pharmacy-procurement.service.js';
 export * from './reports.service.js';
 
 // IPD Services
 export * from './ipd-admission-queue.service.js';
 export * from './ipd-admission.service.js';
 export * from './ipd-alerts.service.js';
+export * from './ipd-bed-allocation.service.js';
 export * from './ipd-bed.service.js';
+export * from './ipd-billing.service.js';
 export * from './ipd-clinical-notes.service.js';
 export * from './ipd-consent.service.js';
+export * from './ipd-emar.service.js';
+export * from './ipd-fluid-balance.service.js';
 export * from './ipd-movement.service.js';
 export * from './ipd-orders.service.js';
-export * from './ipd-transfer-discharge.service.js';
+export * from './ipd-ot.service.js';
 export * from './ipd-vitals.service.js';
+export * from './ipd-ward.service.js';
 
 // Onboarding & Setup Services
 export * from './publicRegistration.service.js';
@@ -49,12 +60,18 @@ export * from './setup.service.js';
 // Utility Services
 export * from './attendanceStatus.service.js';
 export * from './email.service.js';
+export * from './notification.service.js';
 export * from './formTemplate.service.js';
 export * from './salary.service.js';
 export * from './template.service.js';
 export * from './templateEngine.service.js';
 export * from './reportGenerator.service.js';
 export * from './workboard.service.js';
+export * from './deltaCheck.service.js';
+export * from './autoVerification.service.js';
+export * from './reflexTesting.service.js';
+export * from './specimen.service.js';
+export * from './analyzer.service.js';
 
 
 
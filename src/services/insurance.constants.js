@@ -0,0 +1,131 @@
+/**
+ * Insurance Constants
+ * Payer types, pre-authorization / claim statuses and the status flow between them
+ */
+
+// ==================== PAYERS & POLICIES ====================
+export const PAYER_TYPES = {
+  INSURER: 'INSURER',           // Insurance company
+  TPA: 'TPA',                   // Third-party administrator servicing insurer policies
+  GOVERNMENT: 'GOVERNMENT',     // Government schemes (PM-JAY, CGHS, ...)
+  CORPORATE: 'CORPORATE'        // Employer-paid cover
+};
+
+export const POLICY_STATUS = {
+  ACTIVE: 'ACTIVE',
+  CANCELLED: 'CANCELLED'
+};
+
+export const POLICY_RELATIONS = ['SELF', 'SPOUSE', 'CHILD', 'PARENT', 'OTHER'];
+
+// ==================== PRE-AUTHORIZATION ====================
+export const PRE_AUTH_STATUS = {
+  SUBMITTED: 'SUBMITTED',       // Sent to payer (also after an enhancement request)
+  QUERY: 'QUERY',               // Payer asked for more information
+  APPROVED: 'APPROVED',         // Approved (possibly for less than requested)
+  REJECTED: 'REJECTED',
+  CANCELLED: 'CANCELLED'
+};
+
+// Status flow: SUBMITTED -> QUERY -> SUBMITTED (query answered)
+//              SUBMITTED -> APPROVED -> SUBMITTED (enhancement requested)
+//              SUBMITTED -> REJECTED | CANCELLED
+export const PRE_AUTH_TRANSITIONS = {
+  SUBMITTED: ['QUERY', 'APPROVED', 'REJECTED', 'CANCELLED'],
+  QUERY: ['SUBMITTED', 'REJECTED', 'CANCELLED'],
+  APPROVED: ['SUBMITTED', 'CANCELLED'],
+  REJECTED: [],
+  CANCELLED: []
+};
+
+// ==================== CLAIMS ====================
+export const CLAIM_TYPES = {
+  CASHLESS: 'CASHLESS',             // Payer settles with the hospital
+  REIMBURSEMENT: 'REIMBURSEMENT'    // Patient pays the hospital; payer reimburses the patient
+};
+
+export const CLAIM_STATUS = {
+  DRAFT: 'DRAFT',               // Created from bill, not yet sent
+  SUBMITTED: 'SUBMITTED',
+  QUERY: 'QUERY',
+  APPROVED: 'APPROVED',         // approvedAmount may be below claimedAmount
+  SETTLED: 'SETTLED',           // Payment received (cashless: posted to the bill ledger)
+  REJECTED: 'REJECTED',
+  CANCELLED: 'CANCELLED'
+};
+
+// Status flow: DRAFT -> SUBMITTED -> (QUERY -> SUBMITTED)* -> APPROVED -> SETTLED
+// Alternative flows: SUBMITTED | QUERY -> REJECTED, DRAFT | SUBMITTED -> CANCELLED
+export const CLAIM_TRANSITIONS = {
+  DRAFT: ['SUBMITTED', 'CANCELLED'],
+  SUBMITTED: ['QUERY', 'APPROVED', 'REJECTED', 'CANCELLED'],
+  QUERY: ['SUBMITTED', 'REJECTED'],
+  APPROVED: ['SETTLED'],
+  SETTLED: [],
+  REJECTED: [],
+  CANCELLED: []
+};
+
+// Claims that still hold a bill (a bill can have only one of these at a time)
+export const OPEN_CLAIM_STATUSES = [
+  CLAIM_STATUS.DRAFT,
+  CLAIM_STATUS.SUBMITTED,
+  CLAIM_STATUS.QUERY,
+  CLAIM_STATUS.APPROVED,
+  CLAIM_STATUS.SETTLED
+];
+
+// Claims that consume the policy's sum insured
+export const SUM_INSURED_CLAIM_STATUSES = [
+  CLAIM_STATUS.SUBMITTED,
+  CLAIM_STATUS.QUERY,
+  CLAIM_STATUS.APPROVED,
+  CLAIM_STATUS.SETTLED
+];
+
+// Receivables ageing buckets (days since submission)
+export const AGEING_BUCKETS = [
+  { label: '0-30', max: 30 },
+  { label: '31-60', max: 60 },
+  { label: '61-90', max: 90 },
+  { label: '90+', max: Infinity }
+];
+
+export const INSURANCE_NUMBER_PREFIX = {
+  PRE_AUTH: 'PA',
+  CLAIM: 'CLM'
+};
+
+/**
+ * Check a status change against a transition map
+ */
+export function canTransition(transitions, from, to) {
+  return (transitions[from] || []).includes(to);
+}
+
+/**
+ * Append an entry to a JSON status history
+ */
+export function appendHistory(history, status, userId, remarks = null) {
+  return [
+    ...(Array.isArray(history) ? history : []),
+    { status, at: new Date().toISOString(), by: userId || null, remarks }
+  ];
+}
+
+export default {
+  PAYER_TYPES,
+  POLICY_STATUS,
+  POLICY_RELATIONS,
+  PRE_AUTH_STATUS,
+  PRE_AUTH_TRANSITIONS,
+  CLAIM_TYPES,
+  CLAIM_STATUS,
+  CLAIM_TRANSITIONS,
+  OPEN_CLAIM_STATUSES,
+  SUM_INSURED_CLAIM_STATUSES,
+  AGEING_BUCKETS,
+  INSURANCE_NUMBER_PREFIX,
+  canTransition,
+  appendHistory
+};
@@ -0,0 +1,215 @@
+/**
+ * Insurance Repository
+ * Database operations for payers, patient policies, pre-authorizations and claims
+ */
+
+const POLICY_INCLUDE = {
+  payer: { select: { id: true, payerCode: true, name: true, payerType: true, isActive: true, settlementDays: true } },
+  tpa: { select: { id: true, payerCode: true, name: true, payerType: true } }
+};
+
+const CLAIM_INCLUDE = {
+  policy: { include: POLICY_INCLUDE },
+  preAuthorization: { select: { id: true, preAuthNumber: true, status: true, approvedAmount: true } },
+  Bill: {
+    select: {
+      id: true, billId: true, invoiceNumber: true, billDate: true, totalAmount: true,
+      paymentStatus: true, balanceDue: true, visitType: true
+    }
+  }
+};
+
+export class InsuranceRepository {
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  // ==================== PAYER OPERATIONS ====================
+
+  async createPayer(data) {
+    return this.prisma.insurancePayer.create({ data });
+  }
+
+  async getPayerById(id, hospitalId) {
+    return this.prisma.insurancePayer.findFirst({ where: { id, hospitalId } });
+  }
+
+  async getPayerByCode(payerCode, hospitalId) {
+    return this.prisma.insurancePayer.findUnique({
+      where: { hospitalId_payerCode: { hospitalId, payerCode } }
+    });
+  }
+
+  async getPayers(hospitalId, filters = {}) {
+    const where = { hospitalId };
+
+    if (filters.payerType) where.payerType = filters.payerType;
+    if (filters.isActive !== undefined) where.isActive = filters.isActive;
+    if (filters.search) {
+      where.OR = [
+        { name: { contains: filters.search, mode: 'insensitive' } },
+        { payerCode: { contains: filters.search, mode: 'insensitive' } }
+      ];
+    }
+
+    return this.prisma.insurancePayer.findMany({
+      where,
+      orderBy: { name: 'asc' }
+    });
+  }
+
+  async updatePayer(id, data) {
+    return this.prisma.insurancePayer.update({ where: { id }, data });
+  }
+
+  // ==================== POLICY OPERATIONS ====================
+
+  async createPolicy(data) {
+    return this.prisma.patientInsurancePolicy.create({ data, include: POLICY_INCLUDE });
+  }
+
+  async getPolicyById(id, hospitalId) {
+    return this.prisma.patientInsurancePolicy.findFirst({
+      where: { id, hospitalId },
+      include: POLICY_INCLUDE
+    });
+  }
+
+  async getPatientPolicies(patientId, hospitalId) {
+    return this.prisma.patientInsurancePolicy.findMany({
+      where: { patientId, hospitalId },
+      include: POLICY_INCLUDE,
+      orderBy: [{ isPrimary: 'desc' }, { validTo: 'desc' }]
+    });
+  }
+
+  async findDuplicatePolicy(hospitalId, patientId, payerId, policyNumber, memberId) {
+    return this.prisma.patientInsurancePolicy.findFirst({
+      where: { hospitalId, patientId, payerId, policyNumber, memberId: memberId || null, status: 'ACTIVE' }
+    });
+  }
+
+  async updatePolicy(id, data) {
+    return this.prisma.patientInsurancePolicy.update({
+      where: { id },
+      data,
+      include: POLICY_INCLUDE
+    });
+  }
+
+  async clearPrimaryPolicies(patientId, hospitalId, exceptId) {
+    return this.prisma.patientInsurancePolicy.updateMany({
+      where: { patientId, hospitalId, isPrimary: true, id: { not: exceptId } },
+      data: { isPrimary: false }
+    });
+  }
+
+  // ==================== PRE-AUTHORIZATION OPERATIONS ====================
+
+  async createPreAuth(data) {
+    return this.prisma.insurancePreAuthorization.create({
+      data,
+      include: { policy: { include: POLICY_INCLUDE } }
+    });
+  }
+
+  async getPreAuthById(id, hospitalId) {
+    return this.prisma.insurancePreAuthorization.findFirst({
+      where: { id, hospitalId },
+      include: {
+        policy: { include: POLICY_INCLUDE },
+        claims: { select: { id: true, claimNumber: true, status: true, claimedAmount: true } }
+      }
+    });
+  }
+
+  async getPreAuths(hospitalId, filters = {}) {
+    const where = { hospitalId };
+
+    if (filters.status) where.status = filters.status;
+    if (filters.patientId) where.patientId = filters.patientId;
+    if (filters.admissionId) where.admissionId = filters.admissionId;
+    if (filters.payerId) where.policy = { payerId: filters.payerId };
+
+    return this.prisma.insurancePreAuthorization.findMany({
+      where,
+      include: { policy: { include: POLICY_INCLUDE } },
+      orderBy: { submittedAt: 'desc' },
+      take: filters.limit || 100
+    });
+  }
+
+  async updatePreAuth(id, data) {
+    return this.prisma.insurancePreAuthorization.update({
+      where: { id },
+      data,
+      include: { policy: { include: POLICY_INCLUDE } }
+    });
+  }
+
+  // ==================== CLAIM OPERATIONS ====================
+
+  async createClaim(data) {
+    return this.prisma.insuranceClaim.create({ data, include: CLAIM_INCLUDE });
+  }
+
+  async getClaimById(id, hospitalId) {
+    return this.prisma.insuranceClaim.findFirst({
+      where: { id, hospitalId },
+      include: CLAIM_INCLUDE
+    });
+  }
+
+  async findOpenClaimForBill(billDbId, statuses) {
+    return this.prisma.insuranceClaim.findFirst({
+      where: { billId: billDbId, status: { in: statuses } }
+    });
+  }
+
+  async getClaims(hospitalId, filters = {}) {
+    const where = { hospitalId };
+
+    if (filters.status) where.status = Array.isArray(filters.status) ? { in: filters.status } : filters.status;
+    if (filters.patientId) where.patientId = filters.patientId;
+    if (filters.claimType) where.claimType = filters.claimType;
+    if (filters.payerId) where.policy = { payerId: filters.payerId };
+    if (filters.fromDate || filters.toDate) {
+      where.createdAt = {};
+      if (filters.fromDate) where.createdAt.gte = filters.fromDate;
+      if (filters.toDate) where.createdAt.lte = filters.toDate;
+    }
+
+    return this.prisma.insuranceClaim.findMany({
+      where,
+      include: CLAIM_INCLUDE,
+      orderBy: { createdAt: 'desc' },
+      take: filters.limit
+    });
+  }
+
+  /**
+   * Payer share already committed against a policy (excluding one claim)
+   */
+  async sumCommittedClaims(policyId, statuses, excludeId = null) {
+    const claims = await this.prisma.insuranceClaim.findMany({
+      where: {
+        policyId,
+        status: { in: statuses },
+        ...(excludeId ? { id: { not: excludeId } } : {})
+      },
+      select: { claimedAmount: true, approvedAmount: true }
+    });
+
+    return claims.reduce((total, c) => total + (c.approvedAmount ?? c.claimedAmount), 0);
+  }
+
+  async updateClaim(id, data) {
+    return this.prisma.insuranceClaim.update({
+      where: { id },
+      data,
+      include: CLAIM_INCLUDE
+    });
+  }
+}
+
+export default InsuranceRepository;
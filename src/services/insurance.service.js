@@ -0,0 +1,1037 @@
+/**
+ * Insurance Service
+ * Business logic for the payer / TPA master, patient policies, pre-authorizations and claims
+ *
+ * Features:
+ * - Payer master (insurers, TPAs, government schemes, corporates)
+ * - Patient policies with validity, sum insured, co-pay and deductible
+ * - Cashless pre-authorization for IPD admissions (query, approval, enhancement)
+ * - Claims from bills with an itemised payer / patient split
+ * - Claim status tracking; cashless settlements are posted to the bill's payment ledger
+ * - Receivables report: payer share vs patient co-pay, outstanding and ageing per payer
+ */
+
+import { InsuranceRepository } from './insurance.repository.js';
+import { CounterRepository } from './billing.repository.js';
+import { PaymentLedgerService } from './billing.ledger.service.js';
+import { tenantContext } from '../core/context/index.js';
+import {
+  PAYER_TYPES,
+  POLICY_STATUS,
+  POLICY_RELATIONS,
+  PRE_AUTH_STATUS,
+  PRE_AUTH_TRANSITIONS,
+  CLAIM_TYPES,
+  CLAIM_STATUS,
+  CLAIM_TRANSITIONS,
+  OPEN_CLAIM_STATUSES,
+  SUM_INSURED_CLAIM_STATUSES,
+  AGEING_BUCKETS,
+  INSURANCE_NUMBER_PREFIX,
+  canTransition,
+  appendHistory
+} from './insurance.constants.js';
+import { formatInvoiceNumber, getFinancialYear, roundCurrency } from '../utils/gst.utils.js';
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError
+} from '../shared/AppError.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a non-negative amount (optionally required)
+ */
+function parseAmount(value, field, { required = false, positive = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    if (required) throw new ValidationError(`${field} is required`, field);
+    return null;
+  }
+
+  const amount = roundCurrency(Number(value));
+  if (!Number.isFinite(amount) || amount < 0 || (positive && amount === 0)) {
+    throw new ValidationError(`${field} must be a ${positive ? 'positive' : 'non-negative'} number`, field);
+  }
+  return amount;
+}
+
+function parsePercent(value, field) {
+  const percent = parseAmount(value, field);
+  if (percent !== null && percent > 100) {
+    throw new ValidationError(`${field} must be between 0 and 100`, field);
+  }
+  return percent;
+}
+
+function parseDate(value, field, { required = false } = {}) {
+  if (!value) {
+    if (required) throw new ValidationError(`${field} is required`, field);
+    return null;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${field} must be a valid date`, field);
+  }
+  return date;
+}
+
+function requireText(value, field) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  if (!text) {
+    throw new ValidationError(`${field} is required`, field);
+  }
+  return text;
+}
+
+export class InsuranceService {
+  constructor(prisma) {
+    this.prisma = prisma;
+    this.repository = new InsuranceRepository(prisma);
+    this.counterRepository = new CounterRepository(prisma);
+    this.paymentLedgerService = new PaymentLedgerService(prisma);
+  }
+
+  /**
+   * Generate PA/CLM number (sequence per series, restarts every financial year)
+   */
+  async generateNumber(prefix, date = new Date()) {
+    const seq = await this.counterRepository.nextSequence(`INSURANCE_${prefix}_${getFinancialYear(date).short}`);
+
+    if (!Number.isFinite(seq)) {
+      throw new Error('Invalid sequence received while generating insurance number');
+    }
+
+    return formatInvoiceNumber(prefix, date, seq);
+  }
+
+  // ==================== PAYER MASTER ====================
+
+  /**
+   * Create payer / TPA
+   */
+  async createPayer(data) {
+    const hospitalId = tenantContext.getHospitalId();
+    const payer = this.normalizePayerInput(data);
+
+    if (!payer.payerCode || !payer.name || !payer.payerType) {
+      throw new ValidationError('payerCode, name and payerType are required');
+    }
+
+    if (await this.repository.getPayerByCode(payer.payerCode, hospitalId)) {
+      throw new ConflictError(`Payer code ${payer.payerCode} already exists`);
+    }
+
+    const created = await this.repository.createPayer({ hospitalId, ...payer });
+
+    return {
+      message: 'Payer created successfully',
+      payer: created
+    };
+  }
+
+  /**
+   * List payers (filter by type, active flag, name/code search)
+   */
+  async getPayers(filters = {}) {
+    const hospitalId = tenantContext.getHospitalId();
+
+    if (filters.payerType && !PAYER_TYPES[filters.payerType]) {
+      throw new ValidationError(`Invalid payerType. Must be one of: ${Object.keys(PAYER_TYPES).join(', ')}`, 'payerType');
+    }
+
+    const payers = await this.repository.getPayers(hospitalId, filters);
+    return { payers, total: payers.length };
+  }
+
+  /**
+   * Get payer by ID
+   */
+  async getPayer(id) {
+    const hospitalId = tenantContext.getHospitalId();
+    const payer = await this.repository.getPayerById(id, hospitalId);
+
+    if (!payer) {
+      throw new NotFoundError('Payer');
+    }
+
+    return payer;
+  }
+
+  /**
+   * Update payer (payer code cannot change)
+   */
+  async updatePayer(id, data) {
+    await this.getPayer(id);
+
+    const { payerCode, ...changes } = this.normalizePayerInput(data);
+    if (payerCode) {
+      throw new ValidationError('payerCode cannot be changed', 'payerCode');
+    }
+
+    const updated = await this.repository.updatePayer(id, changes);
+
+    return {
+      message: 'Payer updated successfully',
+      payer: updated
+    };
+  }
+
+  normalizePayerInput(data) {
+    const payer = {};
+
+    if (data.payerCode !== undefined) {
+      payer.payerCode = String(data.payerCode).trim().toUpperCase();
+      if (!/^[A-Z0-9_-]{2,20}$/.test(payer.payerCode)) {
+        throw new ValidationError('payerCode must be 2-20 letters, digits, "-" or "_"', 'payerCode');
+      }
+    }
+    if (data.name !== undefined) payer.name = requireText(data.name, 'name');
+    if (data.payerType !== undefined) {
+      if (!PAYER_TYPES[data.payerType]) {
+        throw new ValidationError(`Invalid payerType. Must be one of: ${Object.keys(PAYER_TYPES).join(', ')}`, 'payerType');
+      }
+      payer.payerType = data.payerType;
+    }
+
+    for (const field of ['contactPerson', 'phone', 'email', 'address', 'gstNumber', 'notes']) {
+      if (data[field] !== undefined) payer[field] = data[field] ? String(data[field]).trim() : null;
+    }
+
+    if (data.settlementDays !== undefined) {
+      const days = data.settlementDays === null ? null : parseInt(data.settlementDays, 10);
+      if (days !== null && (!Number.isInteger(days) || days < 0)) {
+        throw new ValidationError('settlementDays must be a non-negative integer', 'settlementDays');
+      }
+      payer.settlementDays = days;
+    }
+    if (data.defaultCoPayPercent !== undefined) {
+      payer.defaultCoPayPercent = parsePercent(data.defaultCoPayPercent, 'defaultCoPayPercent') ?? 0;
+    }
+    if (data.isActive !== undefined) payer.isActive = Boolean(data.isActive);
+
+    return payer;
+  }
+
+  // ==================== PATIENT POLICIES ====================
+
+  /**
+   * Register an insurance policy for a patient
+   */
+  async createPolicy(patientId, data, userId) {
+    const hospitalId = tenantContext.getHospitalId();
+
+    const patient = await this.prisma.patient.findFirst({ where: { patientId, hospitalId } });
+    if (!patient) {
+      throw new NotFoundError('Patient');
+    }
+
+    const payer = await this.getActivePayer(requireText(data.payerId, 'payerId'), 'payerId');
+    if (payer.payerType === PAYER_TYPES.TPA) {
+      throw new ValidationError('Policy payer must be the insurer / scheme; set the TPA as tpaId', 'payerId');
+    }
+
+    let tpaId = null;
+    if (data.tpaId) {
+      const tpa = await this.getActivePayer(data.tpaId, 'tpaId');
+      if (tpa.payerType !== PAYER_TYPES.TPA) {
+        throw new ValidationError('tpaId must reference a TPA payer', 'tpaId');
+      }
+      tpaId = tpa.id;
+    }
+
+    const policy = this.normalizePolicyInput(data, patient, payer);
+
+    if (await this.repository.findDuplicatePolicy(hospitalId, patientId, payer.id, policy.policyNumber, policy.memberId)) {
+      throw new ConflictError('This policy is already registered for the patient');
+    }
+
+    const existing = await this.repository.getPatientPolicies(patientId, hospitalId);
+    const isPrimary = data.isPrimary !== undefined
+      ? Boolean(data.isPrimary)
+      : !existing.some(p => p.isPrimary && p.status === POLICY_STATUS.ACTIVE);
+
+    const created = await this.repository.createPolicy({
+      hospitalId,
+      patientId,
+      payerId: payer.id,
+      tpaId,
+      ...policy,
+      isPrimary,
+      createdBy: userId || null
+    });
+
+    if (isPrimary) {
+      await this.repository.clearPrimaryPolicies(patientId, hospitalId, created.id);
+    }
+
+    return {
+      message: 'Insurance policy added successfully',
+      policy: this.formatPolicy(created)
+    };
+  }
+
+  /**
+   * Policies for a patient, with validity and utilisation
+   */
+  async getPatientPolicies(patientId) {
+    const hospitalId = tenantContext.getHospitalId();
+    const policies = await this.repository.getPatientPolicies(patientId, hospitalId);
+
+    const result = [];
+    for (const policy of policies) {
+      result.push({
+        ...this.formatPolicy(policy),
+        utilization: await this.getPolicyUtilization(policy)
+      });
+    }
+
+    return { patientId, policies: result };
+  }
+
+  /**
+   * Get policy by ID
+   */
+  async getPolicy(id) {
+    const hospitalId = tenantContext.getHospitalId();
+    const policy = await this.repository.getPolicyById(id, hospitalId);
+
+    if (!policy) {
+      throw new NotFoundError('Insurance policy');
+    }
+
+    return policy;
+  }
+
+  /**
+   * Update policy terms, validity, primary flag or status
+   */
+  async updatePolicy(id, data) {
+    const hospitalId = tenantContext.getHospitalId();
+    const current = await this.getPolicy(id);
+
+    if (data.payerId !== undefined || data.patientId !== undefined) {
+      throw new ValidationError('Payer and patient cannot be changed; add a new policy instead');
+    }
+
+    const changes = this.normalizePolicyInput({ ...current, ...data }, null, current.payer, { partial: true, data });
+
+    if (data.tpaId !== undefined) {
+      if (data.tpaId) {
+        const tpa = await this.getActivePayer(data.tpaId, 'tpaId');
+        if (tpa.payerType !== PAYER_TYPES.TPA) {
+          throw new ValidationError('tpaId must reference a TPA payer', 'tpaId');
+        }
+      }
+      changes.tpaId = data.tpaId || null;
+    }
+    if (data.status !== undefined) {
+      if (!POLICY_STATUS[data.status]) {
+        throw new ValidationError(`Invalid status. Must be one of: ${Object.keys(POLICY_STATUS).join(', ')}`, 'status');
+      }
+      changes.status = data.status;
+    }
+    if (data.isPrimary !== undefined) changes.isPrimary = Boolean(data.isPrimary);
+
+    const updated = await this.repository.updatePolicy(id, changes);
+    if (changes.isPrimary) {
+      await this.repository.clearPrimaryPolicies(current.patientId, hospitalId, id);
+    }
+
+    return {
+      message: 'Insurance policy updated successfully',
+      policy: this.formatPolicy(updated)
+    };
+  }
+
+  /**
+   * Eligibility on a date: active, within validity, remaining sum insured
+   */
+  async checkEligibility(policyId, onDate) {
+    const policy = await this.getPolicy(policyId);
+    const date = parseDate(onDate, 'date') || new Date();
+    const utilization = await this.getPolicyUtilization(policy);
+
+    const reasons = [];
+    if (policy.status !== POLICY_STATUS.ACTIVE) reasons.push(`Policy is ${policy.status.toLowerCase()}`);
+    if (date < policy.validFrom || date > policy.validTo) reasons.push('Date is outside the policy validity period');
+    if (policy.payer && !policy.payer.isActive) reasons.push('Payer is inactive');
+    if (utilization.available <= 0) reasons.push('Sum insured exhausted');
+
+    return {
+      policy: this.formatPolicy(policy),
+      date,
+      eligible: reasons.length === 0,
+      reasons,
+      utilization
+    };
+  }
+
+  /**
+   * Sum insured consumed by submitted / approved / settled claims
+   */
+  async getPolicyUtilization(policy, excludeClaimId = null) {
+    const utilized = roundCurrency(
+      await this.repository.sumCommittedClaims(policy.id, SUM_INSURED_CLAIM_STATUSES, excludeClaimId)
+    );
+
+    return {
+      sumInsured: policy.sumInsured,
+      utilized,
+      available: roundCurrency(Math.max(0, policy.sumInsured - utilized))
+    };
+  }
+
+  async getActivePayer(payerId, field) {
+    const payer = await this.repository.getPayerById(payerId, tenantContext.getHospitalId());
+    if (!payer) {
+      throw new NotFoundError('Payer');
+    }
+    if (!payer.isActive) {
+      throw new ValidationError('Payer is inactive', field);
+    }
+    return payer;
+  }
+
+  normalizePolicyInput(merged, patient, payer, { partial = false, data = merged } = {}) {
+    const policy = {};
+    const has = (field) => !partial || data[field] !== undefined;
+
+    if (has('policyNumber')) policy.policyNumber = requireText(merged.policyNumber, 'policyNumber');
+    if (has('memberId')) policy.memberId = merged.memberId ? String(merged.memberId).trim() : null;
+    if (has('policyHolderName')) {
+      policy.policyHolderName = merged.policyHolderName
+        ? String(merged.policyHolderName).trim()
+        : requireText(patient?.name, 'policyHolderName');
+    }
+    if (has('relationToHolder')) {
+      policy.relationToHolder = merged.relationToHolder || 'SELF';
+      if (!POLICY_RELATIONS.includes(policy.relationToHolder)) {
+        throw new ValidationError(`Invalid relationToHolder. Must be one of: ${POLICY_RELATIONS.join(', ')}`, 'relationToHolder');
+      }
+    }
+    if (has('corporateName')) policy.corporateName = merged.corporateName ? String(merged.corporateName).trim() : null;
+    if (has('sumInsured')) policy.sumInsured = parseAmount(merged.sumInsured, 'sumInsured', { required: true, positive: true });
+    if (has('coPayPercent')) {
+      policy.coPayPercent = parsePercent(merged.coPayPercent, 'coPayPercent') ?? payer?.defaultCoPayPercent ?? 0;
+    }
+    if (has('deductible')) policy.deductible = parseAmount(merged.deductible, 'deductible') ?? 0;
+    if (has('validFrom')) policy.validFrom = parseDate(merged.validFrom, 'validFrom', { required: true });
+    if (has('validTo')) policy.validTo = parseDate(merged.validTo, 'validTo', { required: true });
+    if (has('notes')) policy.notes = merged.notes ? String(merged.notes).trim() : null;
+
+    const validFrom = policy.validFrom || parseDate(merged.validFrom, 'validFrom');
+    const validTo = policy.validTo || parseDate(merged.validTo, 'validTo');
+    if (validFrom && validTo && validTo < validFrom) {
+      throw new ValidationError('validTo must be on or after validFrom', 'validTo');
+    }
+
+    return policy;
+  }
+
+  formatPolicy(policy) {
+    const now = new Date();
+    return {
+      ...policy,
+      isValid: policy.status === POLICY_STATUS.ACTIVE && now >= policy.validFrom && now <= policy.validTo,
+      isExpired: now > policy.validTo
+    };
+  }
+
+  // ==================== PRE-AUTHORIZATION ====================
+
+  /**
+   * Raise a cashless pre-authorization request (typically for an IPD admission)
+   */
+  async createPreAuth(data, userId) {
+    const hospitalId = tenantContext.getHospitalId();
+    const policy = await this.getPolicy(requireText(data.policyId, 'policyId'));
+
+    const eligibility = await this.checkEligibility(policy.id, new Date());
+    if (!eligibility.eligible) {
+      throw new ValidationError(`Policy not eligible: ${eligibility.reasons.join('; ')}`, 'policyId');
+    }
+
+    let admissionId = null;
+    if (data.admissionId) {
+      const admission = await this.prisma.ipdAdmission.findFirst({
+        where: { id: data.admissionId, hospitalId },
+        include: { patient: { select: { patientId: true } } }
+      });
+      if (!admission) {
+        throw new NotFoundError('Admission');
+      }
+      if (admission.patient?.patientId !== policy.patientId) {
+        throw new ValidationError('Admission does not belong to the policy holder', 'admissionId');
+      }
+      admissionId = admission.id;
+    }
+
+    const estimatedAmount = parseAmount(data.estimatedAmount, 'estimatedAmount', { required: true, positive: true });
+    const requestedAmount = parseAmount(data.requestedAmount, 'requestedAmount', { positive: true }) ?? estimatedAmount;
+    const expectedStayDays = data.expectedStayDays !== undefined && data.expectedStayDays !== null
+      ? parseInt(data.expectedStayDays, 10)
+      : null;
+
+    if (expectedStayDays !== null && (!Number.isInteger(expectedStayDays) || expectedStayDays < 1)) {
+      throw new ValidationError('expectedStayDays must be a positive integer', 'expectedStayDays');
+    }
+
+    const created = await this.repository.createPreAuth({
+      preAuthNumber: await this.generateNumber(INSURANCE_NUMBER_PREFIX.PRE_AUTH),
+      hospitalId,
+      policyId: policy.id,
+      patientId: policy.patientId,
+      admissionId,
+      diagnosis: requireText(data.diagnosis, 'diagnosis'),
+      proposedTreatment: data.proposedTreatment ? String(data.proposedTreatment).trim() : null,
+      expectedStayDays,
+      estimatedAmount,
+      requestedAmount,
+      status: PRE_AUTH_STATUS.SUBMITTED,
+      remarks: data.remarks || null,
+      statusHistory: appendHistory([], PRE_AUTH_STATUS.SUBMITTED, userId),
+      createdBy: userId || null
+    });
+
+    return {
+      message: 'Pre-authorization submitted',
+      preAuthorization: created
+    };
+  }
+
+  /**
+   * List pre-authorizations
+   */
+  async getPreAuths(filters = {}) {
+    const hospitalId = tenantContext.getHospitalId();
+    const preAuthorizations = await this.repository.getPreAuths(hospitalId, filters);
+    return { preAuthorizations, total: preAuthorizations.length };
+  }
+
+  /**
+   * Get pre-authorization by ID
+   */
+  async getPreAuth(id) {
+    const hospitalId = tenantContext.getHospitalId();
+    const preAuth = await this.repository.getPreAuthById(id, hospitalId);
+
+    if (!preAuth) {
+      throw new NotFoundError('Pre-authorization');
+    }
+
+    return preAuth;
+  }
+
+  /**
+   * Record a payer response or the hospital's follow-up on a pre-authorization
+   * - QUERY: { query }
+   * - SUBMITTED: answer a query { response }, or request an enhancement after approval { additionalAmount, remarks }
+   * - APPROVED: { approvedAmount, payerReference?, validUntil? }
+   * - REJECTED / CANCELLED: { remarks }
+   */
+  async updatePreAuthStatus(id, data, userId) {
+    const preAuth = await this.getPreAuth(id);
+    const status = data.status;
+
+    if (!PRE_AUTH_STATUS[status]) {
+      throw new ValidationError(`Invalid status. Must be one of: ${Object.keys(PRE_AUTH_STATUS).join(', ')}`, 'status');
+    }
+    if (!canTransition(PRE_AUTH_TRANSITIONS, preAuth.status, status)) {
+      throw new ValidationError(`Cannot change pre-authorization from ${preAuth.status} to ${status}`, 'status');
+    }
+
+    const now = new Date();
+    const changes = { status };
+    let remarks = data.remarks ? String(data.remarks).trim() : null;
+
+    switch (status) {
+      case PRE_AUTH_STATUS.QUERY:
+        changes.queries = [...(preAuth.queries || []), { query: requireText(data.query, 'query'), raisedAt: now.toISOString() }];
+        changes.respondedAt = now;
+        remarks = remarks || data.query;
+        break;
+
+      case PRE_AUTH_STATUS.SUBMITTED:
+        if (preAuth.status === PRE_AUTH_STATUS.QUERY) {
+          const queries = [...(preAuth.queries || [])];
+          const open = queries[queries.length - 1];
+          queries[queries.length - 1] = { ...open, response: requireText(data.response, 'response'), respondedAt: now.toISOString() };
+          changes.queries = queries;
+        } else {
+          // Enhancement: more funds needed than approved (longer stay, added procedure)
+          const additionalAmount = parseAmount(data.additionalAmount, 'additionalAmount', { required: true, positive: true });
+          changes.requestedAmount = roundCurrency(preAuth.requestedAmount + additionalAmount);
+          remarks = remarks || `Enhancement of ${additionalAmount} requested`;
+        }
+        break;
+
+      case PRE_AUTH_STATUS.APPROVED: {
+        const approvedAmount = parseAmount(data.approvedAmount, 'approvedAmount', { required: true, positive: true });
+        if (approvedAmount > preAuth.requestedAmount) {
+          throw new ValidationError(`approvedAmount cannot exceed the requested amount of ${preAuth.requestedAmount}`, 'approvedAmount');
+        }
+        changes.approvedAmount = approvedAmount;
+        changes.respondedAt = now;
+        if (data.payerReference) changes.payerReference = String(data.payerReference).trim();
+        if (data.validUntil !== undefined) changes.validUntil = parseDate(data.validUntil, 'validUntil');
+        break;
+      }
+
+      case PRE_AUTH_STATUS.REJECTED:
+        remarks = requireText(data.remarks, 'remarks');
+        changes.respondedAt = now;
+        break;
+
+      default:
+        break;
+    }
+
+    if (remarks) changes.remarks = remarks;
+    changes.statusHistory = appendHistory(preAuth.statusHistory, status, userId, remarks);
+
+    const updated = await this.repository.updatePreAuth(id, changes);
+
+    return {
+      message: `Pre-authorization ${status.toLowerCase()}`,
+      preAuthorization: updated
+    };
+  }
+
+  // ==================== CLAIMS ====================
+
+  /**
+   * Create a claim from a bill
+   * @param {string} billId - Bill.billId
+   * @param {Object} data - { policyId, preAuthId?, claimType?, nonPayableItems?: [{ lineNo, amount? }] }
+   *   nonPayableItems marks bill lines (1-based) the payer does not cover; amount defaults to the full line.
+   */
+  async createClaimFromBill(billId, data, userId) {
+    const hospitalId = tenantContext.getHospitalId();
+
+    const bill = await this.prisma.bill.findFirst({ where: { billId, hospitalId } });
+    if (!bill) {
+      throw new NotFoundError('Bill');
+    }
+    if (['REFUNDED', 'CREDITED'].includes(bill.paymentStatus)) {
+      throw new ValidationError(`Cannot claim a ${bill.paymentStatus.toLowerCase()} bill`);
+    }
+
+    if (await this.repository.findOpenClaimForBill(bill.id, OPEN_CLAIM_STATUSES)) {
+      throw new ConflictError('This bill already has an open insurance claim');
+    }
+
+    const policy = await this.getPolicy(requireText(data.policyId, 'policyId'));
+    if (policy.patientId !== bill.patientId) {
+      throw new ValidationError('Policy does not belong to the bill patient', 'policyId');
+    }
+
+    const eligibility = await this.checkEligibility(policy.id, bill.billDate || bill.createdAt);
+    if (!eligibility.eligible) {
+      throw new ValidationError(`Policy not eligible for this bill: ${eligibility.reasons.join('; ')}`, 'policyId');
+    }
+
+    const claimType = data.claimType || CLAIM_TYPES.CASHLESS;
+    if (!CLAIM_TYPES[claimType]) {
+      throw new ValidationError(`Invalid claimType. Must be one of: ${Object.keys(CLAIM_TYPES).join(', ')}`, 'claimType');
+    }
+
+    let preAuth = null;
+    if (data.preAuthId) {
+      preAuth = await this.getPreAuth(data.preAuthId);
+      if (preAuth.policyId !== policy.id) {
+        throw new ValidationError('Pre-authorization belongs to a different policy', 'preAuthId');
+      }
+      if (preAuth.status !== PRE_AUTH_STATUS.APPROVED) {
+        throw new ValidationError('Pre-authorization is not approved', 'preAuthId');
+      }
+    }
+
+    const split = this.calculateClaimSplit(bill, policy, {
+      nonPayableItems: data.nonPayableItems,
+      preAuthLimit: preAuth?.approvedAmount ?? null,
+      availableSumInsured: eligibility.utilization.available
+    });
+
+    if (split.claimedAmount <= 0) {
+      throw new ValidationError('Nothing to claim: the payer share of this bill is zero');
+    }
+
+    const created = await this.repository.createClaim({
+      claimNumber: await this.generateNumber(INSURANCE_NUMBER_PREFIX.CLAIM),
+      hospitalId,
+      policyId: policy.id,
+      preAuthId: preAuth?.id || null,
+      billId: bill.id,
+      patientId: bill.patientId,
+      claimType,
+      ...split,
+      status: CLAIM_STATUS.DRAFT,
+      statusHistory: appendHistory([], CLAIM_STATUS.DRAFT, userId),
+      createdBy: userId || null
+    });
+
+    return {
+      message: 'Claim created',
+      claim: created
+    };
+  }
+
+  /**
+   * Itemised payer / patient split for a bill
+   * Order: non-payable items -> deductible -> co-pay -> cap at pre-auth approval and remaining sum insured
+   */
+  calculateClaimSplit(bill, policy, { nonPayableItems = [], preAuthLimit = null, availableSumInsured = Infinity } = {}) {
+    const lines = Array.isArray(bill.services) && bill.services.length > 0
+      ? bill.services
+      : [{ serviceName: 'Bill total', category: null, quantity: 1, lineTotal: bill.totalAmount }];
+
+    if (!Array.isArray(nonPayableItems)) {
+      throw new ValidationError('nonPayableItems must be an array', 'nonPayableItems');
+    }
+
+    const nonPayable = new Map();
+    for (const item of nonPayableItems) {
+      const lineNo = parseInt(item.lineNo, 10);
+      if (!Number.isInteger(lineNo) || lineNo < 1 || lineNo > lines.length) {
+        throw new ValidationError(`nonPayableItems: lineNo must be between 1 and ${lines.length}`, 'nonPayableItems');
+      }
+      nonPayable.set(lineNo, parseAmount(item.amount, 'nonPayableItems.amount'));
+    }
+
+    const items = lines.map((line, index) => {
+      const lineNo = index + 1;
+      const billedAmount = roundCurrency(line.lineTotal ?? line.amount ?? 0);
+      const excluded = nonPayable.has(lineNo)
+        ? Math.min(billedAmount, nonPayable.get(lineNo) ?? billedAmount)
+        : 0;
+
+      return {
+        lineNo,
+        serviceName: line.serviceName,
+        category: line.category || null,
+        quantity: line.quantity ?? 1,
+        billedAmount,
+        nonPayableAmount: roundCurrency(excluded),
+        payableAmount: roundCurrency(billedAmount - excluded)
+      };
+    });
+
+    const sum = (key) => roundCurrency(items.reduce((total, item) => total + item[key], 0));
+    const billedAmount = sum('billedAmount');
+    const nonPayableAmount = sum('nonPayableAmount');
+    const payable = sum('payableAmount');
+
+    const deductibleAmount = roundCurrency(Math.min(policy.deductible || 0, payable));
+    const coPayAmount = roundCurrency((payable - deductibleAmount) * (policy.coPayPercent || 0) / 100);
+    const payerShare = roundCurrency(payable - deductibleAmount - coPayAmount);
+
+    const limit = Math.min(preAuthLimit ?? Infinity, availableSumInsured ?? Infinity);
+    const claimedAmount = roundCurrency(Math.min(payerShare, limit));
+    const excessAmount = roundCurrency(payerShare - claimedAmount);
+
+    return {
+      items,
+      billedAmount,
+      nonPayableAmount,
+      deductibleAmount,
+      coPayAmount,
+      excessAmount,
+      claimedAmount,
+      patientShare: roundCurrency(billedAmount - claimedAmount)
+    };
+  }
+
+  /**
+   * List claims (filter by status, payer, patient, type, date range)
+   */
+  async getClaims(filters = {}) {
+    const hospitalId = tenantContext.getHospitalId();
+
+    if (filters.status && !CLAIM_STATUS[filters.status]) {
+      throw new ValidationError(`Invalid status. Must be one of: ${Object.keys(CLAIM_STATUS).join(', ')}`, 'status');
+    }
+
+    const claims = await this.repository.getClaims(hospitalId, {
+      ...filters,
+      fromDate: parseDate(filters.fromDate, 'fromDate'),
+      toDate: parseDate(filters.toDate, 'toDate'),
+      limit: filters.limit || 100
+    });
+
+    return { claims, total: claims.length };
+  }
+
+  /**
+   * Get claim by ID
+   */
+  async getClaim(id) {
+    const hospitalId = tenantContext.getHospitalId();
+    const claim = await this.repository.getClaimById(id, hospitalId);
+
+    if (!claim) {
+      throw new NotFoundError('Claim');
+    }
+
+    return claim;
+  }
+
+  /**
+   * Move a claim through its lifecycle
+   * - SUBMITTED: send a draft { payerClaimReference? }, or answer a query { response }
+   * - QUERY: { query }
+   * - APPROVED: { approvedAmount, payerClaimReference? }
+   * - SETTLED: { settledAmount, tdsAmount?, settlementReference } - cashless settlements are posted
+   *   to the bill ledger as an Insurance payment
+   * - REJECTED: { reason }; CANCELLED: { remarks? }
+   */
+  async updateClaimStatus(id, data, userId) {
+    const claim = await this.getClaim(id);
+    const status = data.status;
+
+    if (!CLAIM_STATUS[status]) {
+      throw new ValidationError(`Invalid status. Must be one of: ${Object.keys(CLAIM_STATUS).join(', ')}`, 'status');
+    }
+    if (!canTransition(CLAIM_TRANSITIONS, claim.status, status)) {
+      throw new ValidationError(`Cannot change claim from ${claim.status} to ${status}`, 'status');
+    }
+
+    const now = new Date();
+    const changes = { status };
+    let remarks = data.remarks ? String(data.remarks).trim() : null;
+    let postToLedger = false;
+
+    switch (status) {
+      case CLAIM_STATUS.SUBMITTED:
+        if (claim.status === CLAIM_STATUS.QUERY) {
+          const queries = [...(claim.queries || [])];
+          const open = queries[queries.length - 1];
+          queries[queries.length - 1] = { ...open, response: requireText(data.response, 'response'), respondedAt: now.toISOString() };
+          changes.queries = queries;
+        } else {
+          await this.assertSumInsuredAvailable(claim);
+          changes.submittedAt = now;
+        }
+        if (data.payerClaimReference) changes.payerClaimReference = String(data.payerClaimReference).trim();
+        break;
+
+      case CLAIM_STATUS.QUERY:
+        changes.queries = [...(claim.queries || []), { query: requireText(data.query, 'query'), raisedAt: now.toISOString() }];
+        remarks = remarks || data.query;
+        break;
+
+      case CLAIM_STATUS.APPROVED: {
+        const approvedAmount = parseAmount(data.approvedAmount, 'approvedAmount', { required: true });
+        if (approvedAmount > claim.claimedAmount) {
+          throw new ValidationError(`approvedAmount cannot exceed the claimed amount of ${claim.claimedAmount}`, 'approvedAmount');
+        }
+        changes.approvedAmount = approvedAmount;
+        changes.disallowedAmount = roundCurrency(claim.claimedAmount - approvedAmount);
+        changes.approvedAt = now;
+        if (data.payerClaimReference) changes.payerClaimReference = String(data.payerClaimReference).trim();
+        break;
+      }
+
+      case CLAIM_STATUS.SETTLED: {
+        const settledAmount = parseAmount(data.settledAmount, 'settledAmount', { required: true });
+        const tdsAmount = parseAmount(data.tdsAmount, 'tdsAmount') ?? 0;
+        if (roundCurrency(settledAmount + tdsAmount) > claim.approvedAmount) {
+          throw new ValidationError(`Settlement plus TDS cannot exceed the approved amount of ${claim.approvedAmount}`, 'settledAmount');
+        }
+
+        changes.settledAmount = settledAmount;
+        changes.tdsAmount = tdsAmount;
+        changes.settlementReference = requireText(data.settlementReference, 'settlementReference');
+        changes.settledAt = now;
+        // Short payment beyond TDS is disallowed by the payer
+        changes.disallowedAmount = roundCurrency(claim.claimedAmount - settledAmount - tdsAmount);
+        postToLedger = claim.claimType === CLAIM_TYPES.CASHLESS && settledAmount + tdsAmount > 0;
+        break;
+      }
+
+      case CLAIM_STATUS.REJECTED:
+        changes.rejectionReason = requireText(data.reason, 'reason');
+        changes.disallowedAmount = claim.claimedAmount;
+        changes.closedAt = now;
+        remarks = remarks || changes.rejectionReason;
+        break;
+
+      case CLAIM_STATUS.CANCELLED:
+        changes.closedAt = now;
+        break;
+
+      default:
+        break;
+    }
+
+    changes.statusHistory = appendHistory(claim.statusHistory, status, userId, remarks);
+    const updated = postToLedger
+      ? await this.settleToLedger(claim, changes, userId)
+      : await this.repository.updateClaim(id, changes);
+
+    return {
+      message: `Claim ${status.toLowerCase()}`,
+      claim: updated
+    };
+  }
+
+  /**
+   * Cashless settlement: payer amount (including TDS withheld) is received against the bill
+   * in the same transaction as the claim update, so neither is saved without the other
+   * @returns {Object} updated claim
+   */
+  async settleToLedger(claim, changes, userId) {
+    const hospitalId = tenantContext.getHospitalId();
+    const bill = await this.paymentLedgerService.findBill(claim.Bill.billId, hospitalId);
+    const { settledAmount, tdsAmount, settlementReference } = changes;
+
+    const { payment, updated } = await this.prisma.$transaction(async (tx) => {
+      const payment = await this.paymentLedgerService.postPayment(
+        tx,
+        bill,
+        {
+          paymentMode: 'Insurance',
+          amount: roundCurrency(settledAmount + tdsAmount),
+          referenceNumber: settlementReference,
+          paymentDetails: {
+            claimNumber: claim.claimNumber,
+            payerId: claim.policy.payerId,
+            settledAmount,
+            tdsAmount
+          },
+          notes: `Insurance settlement for claim ${claim.claimNumber}`
+        },
+        hospitalId,
+        userId
+      );
+      const updated = await new InsuranceRepository(tx).updateClaim(claim.id, changes);
+      return { payment, updated };
+    });
+
+    await this.paymentLedgerService.notifyPayment(bill, payment, hospitalId);
+    return updated;
+  }
+
+  async assertSumInsuredAvailable(claim) {
+    const utilization = await this.getPolicyUtilization(claim.policy, claim.id);
+    if (claim.claimedAmount > utilization.available) {
+      throw new ValidationError(
+        `Claimed amount ${claim.claimedAmount} exceeds the remaining sum insured of ${utilization.available}`,
+        'claimedAmount'
+      );
+    }
+  }
+
+  // ==================== RECEIVABLES ====================
+
+  /**
+   * Receivables by payer: payer share vs patient share (co-pay, deductible, non-payable, excess),
+   * outstanding payer amounts with ageing and overdue against the payer's settlement period
+   * @param {Object} filters - { payerId?, fromDate?, toDate? } (claim creation date)
+   */
+  async getReceivablesReport(filters = {}) {
+    const hospitalId = tenantContext.getHospitalId();
+    const claims = await this.repository.getClaims(hospitalId, {
+      payerId: filters.payerId,
+      fromDate: parseDate(filters.fromDate, 'fromDate'),
+      toDate: parseDate(filters.toDate, 'toDate'),
+      status: [CLAIM_STATUS.SUBMITTED, CLAIM_STATUS.QUERY, CLAIM_STATUS.APPROVED, CLAIM_STATUS.SETTLED, CLAIM_STATUS.REJECTED]
+    });
+
+    const payerIds = [...new Set(claims.map(c => c.policy.payerId))];
+    const payers = await Promise.all(payerIds.map(payerId => this.repository.getPayerById(payerId, hospitalId)));
+    const payerMap = new Map(payers.filter(Boolean).map(p => [p.id, p]));
+
+    const now = Date.now();
+    const emptyTotals = () => ({
+      claimCount: 0,
+      billedAmount: 0,
+      patientShare: 0,
+      coPayAmount: 0,
+      deductibleAmount: 0,
+      nonPayableAmount: 0,
+      excessAmount: 0,
+      claimedAmount: 0,
+      approvedAmount: 0,
+      settledAmount: 0,
+      tdsAmount: 0,
+      disallowedAmount: 0,
+      payerOutstanding: 0,
+      overdueAmount: 0,
+      ageing: Object.fromEntries(AGEING_BUCKETS.map(b => [b.label, 0]))
+    });
+
+    const add = (totals, claim, outstanding, overdue, bucket) => {
+      totals.claimCount += 1;
+      for (const key of ['billedAmount', 'patientShare', 'coPayAmount', 'deductibleAmount', 'nonPayableAmount',
+        'excessAmount', 'claimedAmount', 'settledAmount', 'tdsAmount', 'disallowedAmount']) {
+        totals[key] = roundCurrency(totals[key] + (claim[key] || 0));
+      }
+      totals.approvedAmount = roundCurrency(totals.approvedAmount + (claim.approvedAmount || 0));
+      totals.payerOutstanding = roundCurrency(totals.payerOutstanding + outstanding);
+      totals.overdueAmount = roundCurrency(totals.overdueAmount + overdue);
+      if (bucket) totals.ageing[bucket] = roundCurrency(totals.ageing[bucket] + outstanding);
+    };
+
+    const byPayer = new Map();
+    const totals = emptyTotals();
+    const outstandingClaims = [];
+
+    for (const claim of claims) {
+      const payer = payerMap.get(claim.policy.payerId) || claim.policy.payer;
+
+      // Awaiting payer: what was claimed until approved, then the approved amount
+      let outstanding = 0;
+      if ([CLAIM_STATUS.SUBMITTED, CLAIM_STATUS.QUERY].includes(claim.status)) outstanding = claim.claimedAmount;
+      if (claim.status === CLAIM_STATUS.APPROVED) outstanding = claim.approvedAmount ?? claim.claimedAmount;
+
+      let bucket = null;
+      let overdue = 0;
+      if (outstanding > 0) {
+        const ageDays = Math.floor((now - new Date(claim.submittedAt || claim.createdAt).getTime()) / MS_PER_DAY);
+        bucket = AGEING_BUCKETS.find(b => ageDays <= b.max).label;
+        if (payer?.settlementDays !== null && payer?.settlementDays !== undefined && ageDays > payer.settlementDays) {
+          overdue = outstanding;
+        }
+        outstandingClaims.push({
+          claimId: claim.id,
+          claimNumber: claim.claimNumber,
+          status: claim.status,
+          payer: payer?.name,
+          billId: claim.Bill?.billId,
+          patientId: claim.patientId,
+          outstanding,
+          ageDays,
+          overdue: overdue > 0
+        });
+      }
+
+      if (!byPayer.has(claim.policy.payerId)) {
+        byPayer.set(claim.policy.payerId, {
+          payerId: claim.policy.payerId,
+          payerCode: payer?.payerCode,
+          payerName: payer?.name,
+          payerType: payer?.payerType,
+          ...emptyTotals()
+        });
+      }
+
+      add(byPayer.get(claim.policy.payerId), claim, outstanding, overdue, bucket);
+      add(totals, claim, outstanding, overdue, bucket);
+    }
+
+    return {
+      filters: {
+        payerId: filters.payerId || null,
+        fromDate: filters.fromDate || null,
+        toDate: filters.toDate || null
+      },
+      totals,
+      byPayer: [...byPayer.values()].sort((a, b) => b.payerOutstanding - a.payerOutstanding),
+      outstandingClaims: outstandingClaims.sort((a, b) => b.ageDays - a.ageDays)
+    };
+  }
+}
+
+export default InsuranceService;
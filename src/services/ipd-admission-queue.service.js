@@ -4,18 +4,31 @@
  * Handles the workflow of patient admission from OPD to IPD:
  * 1. Doctor marks patient as needing IPD in OPD consultation
  * 2. Admission request created in IPD queue
- * 3. Bed manager/ward in-charge approves and allocates bed
+ * 3. Bed manager/ward in-charge approves; a bed is picked by hand or by the
+ *    allocation engine and held (RESERVED) while the patient is moved
  * 4. Admission is created and patient enters IPD
  * 
  * Status flow: PENDING -> APPROVED -> ADMITTED (or REJECTED)
+ *              PENDING -> WAITLISTED -> APPROVED when no matching bed is free
  */
 
 import logger from '../utils/logger.js';
 import { AppError } from '../shared/AppError.js';
+import { IPDBedAllocationService } from './ipd-bed-allocation.service.js';
+import { emitBedEvent, BED_EVENTS } from './ipd-bed.events.js';
+import { ADMISSION_REQUEST_STATUS } from './ipd-bed.constants.js';
+
+// Requests still waiting to become an admission
+const OPEN_REQUEST_STATUSES = [
+  ADMISSION_REQUEST_STATUS.PENDING,
+  ADMISSION_REQUEST_STATUS.WAITLISTED,
+  ADMISSION_REQUEST_STATUS.APPROVED,
+];
 
 export class IPDAdmissionQueueService {
   constructor(prisma) {
     this.prisma = prisma;
+    this.allocationService = new IPDBedAllocationService(prisma);
   }
 
   /**
@@ -39,6 +52,11 @@ export class IPDAdmissionQueueService {
         emergencyContact,
         recommendedDepartment,
         notes,
+        source,
+        requestedBedType,
+        requestedWardId,
+        departmentId,
+        isolationRequired,
       } = data;
 
       // Validate required fields
@@ -60,12 +78,12 @@ export class IPDAdmissionQueueService {
       const existingRequest = await this.prisma.ipdAdmissionRequest.findFirst({
         where: {
           patientId,
-          status: 'PENDING'
+          status: { in: OPEN_REQUEST_STATUSES }
         }
       });
 
       if (existingRequest) {
-        throw new AppError('Patient already has a pending admission request', 400);
+        throw new AppError(`Patient already has an open admission request (${existingRequest.status})`, 400);
       }
 
       // Create admission request
@@ -82,6 +100,11 @@ export class IPDAdmissionQueueService {
           emergencyContact,
           recommendedDepartment,
           notes,
+          source: source || 'OPD',
+          requestedBedType,
+          requestedWardId,
+          departmentId,
+          isolationRequired: Boolean(isolationRequired),
           status: 'PENDING',
           requestedBy: currentUser.id,
           requestedAt: new Date(),
@@ -245,71 +268,141 @@ export class IPDAdmissionQueueService {
 
   /**
    * Approve admission request
-   * Called by bed manager/ward in-charge when bed is available
+   * Called by bed manager/ward in-charge. With a bedId that bed is held for the
+   * patient; without one the allocation engine picks the best match, and the
+   * request is waitlisted when no matching bed is free.
    */
-  async approveAdmissionRequest(requestId, bedId, currentUser) {
+  async approveAdmissionRequest(requestId, bedId, currentUser, options = {}) {
     try {
-      // Get the admission request
-      const request = await this.prisma.ipdAdmissionRequest.findUnique({
-        where: { id: requestId },
-        include: { patient: true }
-      });
-
-      if (!request) {
-        throw new AppError('Admission request not found', 404);
+      const result = await this.allocationService.allocateBed(
+        requestId,
+        { bedId, holdMinutes: options.holdMinutes },
+        currentUser
+      );
+
+      if (!result.allocated) {
+        return {
+          success: true,
+          message: 'No matching bed available. Request added to the bed waitlist.',
+          data: result.request
+        };
       }
 
-      if (request.status !== 'PENDING') {
-        throw new AppError(`Cannot approve request with status ${request.status}`, 400);
-      }
+      logger.info(`Admission request ${requestId} approved by ${currentUser.id} for bed ${result.request.allocatedBedId}`);
 
-      // Check if bed is available
-      const bed = await this.prisma.ipdBed.findUnique({
-        where: { id: bedId }
-      });
+      return {
+        success: true,
+        message: `Admission request approved. Bed ${result.request.allocatedBed.bedNumber} reserved until ${result.request.reservedUntil.toISOString()}.`,
+        data: result.request
+      };
+    } catch (error) {
+      logger.error(`Approve Request Error: ${error.message}`);
+      throw error;
+    }
+  }
 
-      if (!bed || bed.status !== 'AVAILABLE') {
-        throw new AppError('Bed not available', 400);
-      }
+  /**
+   * Ranked bed suggestions for an admission request
+   */
+  async getBedSuggestions(requestId, limit) {
+    try {
+      const suggestions = await this.allocationService.suggestBeds(requestId, limit);
 
-      // Update request status
-      const approvedRequest = await this.prisma.ipdAdmissionRequest.update({
-        where: { id: requestId },
-        data: {
-          status: 'APPROVED',
-          approvedBy: currentUser.id,
-          approvedAt: new Date(),
-          allocatedBedId: bedId,
-        },
-        include: {
-          patient: true,
-          approvedByUser: {
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true,
-              role: true,
-            }
-          },
-          allocatedBed: {
-            select: {
-              id: true,
-              bedNumber: true,
-              wardName: true,
-            }
-          }
-        }
-      });
+      return {
+        success: true,
+        data: suggestions
+      };
+    } catch (error) {
+      logger.error(`Get Bed Suggestions Error: ${error.message}`);
+      throw error;
+    }
+  }
 
-      logger.info(`Admission request ${requestId} approved by ${currentUser.id} for bed ${bedId}`);
+  /**
+   * Put a pending request on the bed waitlist
+   */
+  async waitlistAdmissionRequest(requestId, reason, currentUser) {
+    try {
+      const request = await this.allocationService.waitlistRequest(requestId, currentUser, reason);
 
       return {
         success: true,
-        message: 'Admission request approved. Bed allocated.',
-        data: approvedRequest
+        message: 'Admission request added to the bed waitlist',
+        data: request
       };
     } catch (error) {
-      logger.error(`Approve Request Error: ${error.message}`);
+      logger.error(`Waitlist Request Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Bed waitlist in serving order
+   */
+  async getWaitlist(hospitalId) {
+    try {
+      const waitlist = await this.allocationService.getWaitlist(hospitalId);
+
+      return {
+        success: true,
+        data: waitlist
+      };
+    } catch (error) {
+      logger.error(`Get Waitlist Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Allocate free beds to the waitlist now
+   */
+  async advanceWaitlist(hospitalId) {
+    try {
+      const result = await this.allocationService.advanceWaitlist(hospitalId);
+
+      return {
+        success: true,
+        message: `${result.allocated.length} waitlisted requests allocated a bed`,
+        data: result
+      };
+    } catch (error) {
+      logger.error(`Advance Waitlist Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Hold the reserved bed longer (patient still on the way)
+   */
+  async extendReservation(requestId, minutes, currentUser) {
+    try {
+      const request = await this.allocationService.extendReservation(requestId, minutes, currentUser);
+
+      return {
+        success: true,
+        message: `Bed reserved until ${request.reservedUntil.toISOString()}`,
+        data: request
+      };
+    } catch (error) {
+      logger.error(`Extend Reservation Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Give up the reserved bed; the request goes back to PENDING
+   */
+  async releaseReservation(requestId, reason, currentUser) {
+    try {
+      const request = await this.allocationService.releaseReservation(requestId, currentUser, reason);
+
+      return {
+        success: true,
+        message: 'Bed reservation released',
+        data: request
+      };
+    } catch (error) {
+      logger.error(`Release Reservation Error: ${error.message}`);
       throw error;
     }
   }
@@ -328,31 +421,48 @@ export class IPDAdmissionQueueService {
         throw new AppError('Admission request not found', 404);
       }
 
-      if (request.status !== 'PENDING') {
+      if (!OPEN_REQUEST_STATUSES.includes(request.status)) {
         throw new AppError(`Cannot reject request with status ${request.status}`, 400);
       }
 
-      const rejectedRequest = await this.prisma.ipdAdmissionRequest.update({
-        where: { id: requestId },
-        data: {
-          status: 'REJECTED',
-          rejectedBy: currentUser.id,
-          rejectedAt: new Date(),
-          rejectionReason: rejectionReason || 'No reason provided',
-        },
-        include: {
-          patient: true,
-          rejectedByUser: {
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true,
-              role: true,
+      const releasesBed = request.status === ADMISSION_REQUEST_STATUS.APPROVED && request.allocatedBedId;
+
+      const rejectedRequest = await this.prisma.$transaction(async (tx) => {
+        // Give back a bed held for this request
+        if (releasesBed) {
+          await this.allocationService.releaseBed(tx, request, currentUser.id, 'Admission request rejected');
+        }
+
+        return tx.ipdAdmissionRequest.update({
+          where: { id: requestId },
+          data: {
+            status: 'REJECTED',
+            rejectedBy: currentUser.id,
+            rejectedAt: new Date(),
+            rejectionReason: rejectionReason || 'No reason provided',
+            reservedUntil: null,
+          },
+          include: {
+            patient: true,
+            rejectedByUser: {
+              select: {
+                id: true,
+                firstName: true,
+                lastName: true,
+                role: true,
+              }
             }
           }
-        }
+        });
       });
 
+      if (releasesBed) {
+        emitBedEvent(BED_EVENTS.BED_AVAILABLE, {
+          hospitalId: request.hospitalId,
+          bedId: request.allocatedBedId,
+        });
+      }
+
       logger.info(`Admission request ${requestId} rejected by ${currentUser.id}`);
 
       return {
@@ -455,6 +565,7 @@ export class IPDAdmissionQueueService {
         this.prisma.ipdAdmissionRequest.count({ where: { hospitalId, status: 'APPROVED' } }),
         this.prisma.ipdAdmissionRequest.count({ where: { hospitalId, status: 'ADMITTED' } }),
         this.prisma.ipdAdmissionRequest.count({ where: { hospitalId, status: 'REJECTED' } }),
+        this.prisma.ipdAdmissionRequest.count({ where: { hospitalId, status: 'WAITLISTED' } }),
       ]);
 
       const avgWaitTime = await this.prisma.ipdAdmissionRequest.aggregate({
@@ -471,7 +582,8 @@ export class IPDAdmissionQueueService {
           approved: stats[1],
           admitted: stats[2],
           rejected: stats[3],
-          totalInQueue: stats[0] + stats[1],
+          waitlisted: stats[4],
+          totalInQueue: stats[0] + stats[1] + stats[4],
           averageWaitTime: avgWaitTime._avg.createdAt
         }
       };
@@ -6,6 +6,10 @@
 import logger from '../utils/logger.js';
 import { AppError } from '../shared/AppError.js';
 import { ApiResponse } from '../shared/ApiResponse.js';
+import { emitNotificationEvent } from './notification.events.js';
+import { NOTIFICATION_EVENTS } from './notification.constants.js';
+import { IPDBedService } from './ipd-bed.service.js';
+import { BED_STATUS, ADMISSION_REQUEST_STATUS } from './ipd-bed.constants.js';
 
 export class IPDAdmissionService {
   constructor(prisma) {
@@ -29,6 +33,7 @@ export class IPDAdmissionService {
         medicalHistory,
         allergies,
         emergencyContact,
+        admissionRequestId,
       } = data;
 
       // Validate required fields
@@ -50,49 +55,82 @@ export class IPDAdmissionService {
         where: { id: bedId },
       });
 
-      if (!bed || bed.status !== 'AVAILABLE') {
+      // A reserved bed can only be taken by the patient it is held for
+      const heldForPatient = bed?.status === BED_STATUS.RESERVED && bed.reservedFor === patientId;
+
+      if (!bed || !bed.isActive || (bed.status !== BED_STATUS.AVAILABLE && !heldForPatient)) {
         throw new AppError('Bed not available', 400);
       }
 
-      // Create admission record
-      const admission = await this.prisma.ipdAdmission.create({
-        data: {
+      // Create admission record and occupy the bed together
+      const admission = await this.prisma.$transaction(async (tx) => {
+        await new IPDBedService(tx).transitionBed(bedId, BED_STATUS.OCCUPIED, {
           patientId,
-          bedId,
-          wardName,
-          roomNumber,
-          admissionReason,
-          admittingDoctorId,
-          departmentId,
-          initialDiagnosis,
-          medicalHistory,
-          allergies,
-          emergencyContact,
-          admissionDate: new Date(),
-          status: 'ACTIVE',
-          admittedBy: currentUser.id,
-          hospitalId: currentUser.hospitalId,
-        },
-        include: {
-          patient: true,
-          bed: true,
-          admittingDoctor: true,
-        },
-      });
+          changedBy: currentUser.id,
+          reason: 'Admission',
+          allowedFrom: [BED_STATUS.AVAILABLE, BED_STATUS.RESERVED],
+        });
+
+        const created = await tx.ipdAdmission.create({
+          data: {
+            patientId,
+            bedId,
+            wardId: bed.wardId,
+            wardName: bed.wardName || wardName,
+            roomNumber: roomNumber || bed.roomNumber,
+            admissionReason,
+            admittingDoctorId,
+            departmentId,
+            initialDiagnosis,
+            medicalHistory,
+            allergies,
+            emergencyContact,
+            admissionDate: new Date(),
+            status: 'ACTIVE',
+            admittedBy: currentUser.id,
+            hospitalId: currentUser.hospitalId,
+          },
+          include: {
+            patient: true,
+            bed: true,
+            admittingDoctor: true,
+          },
+        });
+
+        // Close the admission request the bed was approved for
+        if (admissionRequestId) {
+          const { count } = await tx.ipdAdmissionRequest.updateMany({
+            where: { id: admissionRequestId, patientId, status: ADMISSION_REQUEST_STATUS.APPROVED },
+            data: {
+              status: ADMISSION_REQUEST_STATUS.ADMITTED,
+              admissionId: created.id,
+              reservedUntil: null,
+            },
+          });
 
-      // Update bed status
-      await this.prisma.ipdBed.update({
-        where: { id: bedId },
-        data: {
-          status: 'OCCUPIED',
-          occupiedBy: patientId,
-          occupiedDate: new Date(),
-        },
+          if (count === 0) {
+            throw new AppError('Admission request is not approved for this patient', 400);
+          }
+        }
+
+        return created;
       });
 
       // Create audit log
       await this.createAuditLog(currentUser, 'IPD_ADMIT', admission.id, patientId);
 
+      emitNotificationEvent(NOTIFICATION_EVENTS.ADMISSION, {
+        recipient: { id: patient.id, name: patient.name, phone: patient.phone },
+        data: {
+          patient: { name: patient.name, patientId: patient.patientId },
+          admission: {
+            admissionDate: admission.admissionDate,
+            wardName: admission.wardName,
+            roomNumber: admission.roomNumber
+          }
+        }
+      });
+
       logger.info(`Patient ${patientId} admitted to IPD by ${currentUser.id}`);
       return admission;
     } catch (error) {
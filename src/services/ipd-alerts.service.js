@@ -5,6 +5,7 @@
 
 import logger from '../utils/logger.js';
 import { AppError } from '../shared/AppError.js';
+import { NEWS2_RISK_RANK } from './ipd-vitals.constants.js';
 
 export class IPDAlertsService {
   constructor(prisma) {
@@ -24,6 +25,7 @@ export class IPDAlertsService {
         actionRequired,
         relatedOrderId,
         relatedNoteId,
+        vitalSignId,
       } = data;
 
       // Verify admission exists
@@ -39,17 +41,19 @@ export class IPDAlertsService {
       const alert = await this.prisma.ipdAlert.create({
         data: {
           admissionId,
-          alertType,
-          category,
-          message,
-          details,
-          actionRequired,
-          relatedOrderId,
-          relatedNoteId,
-          createdBy: currentUser.id,
-          createdDate: new Date(),
-          status: 'ACTIVE', // ACTIVE, ACKNOWLEDGED, RESOLVED
-          priority: alertType === 'CRITICAL' ? 1 : alertType === 'HIGH' ? 2 : 3,
+          patientId: admission.patientId,
+          alertType: category,
+          severity: alertType,
+          alertMessage: message,
+          triggerData: {
+            ...details,
+            actionRequired,
+            relatedOrderId,
+            relatedNoteId,
+            createdBy: currentUser.id,
+          },
+          status: 'PENDING', // PENDING, ACKNOWLEDGED, RESOLVED
+          vitalSignId,
           hospitalId: currentUser.hospitalId,
         },
       });
@@ -147,6 +151,10 @@ export class IPDAlertsService {
     try {
       const { parameter, value, normalRange, severity } = vitalData;
 
+      if (vitalData.earlyWarning) {
+        return await this.createEarlyWarningAlert(admissionId, vitalData, currentUser);
+      }
+
       // Check if value is outside normal range
       const isAbnormal = value < normalRange.min || value > normalRange.max;
 
@@ -180,6 +188,51 @@ export class IPDAlertsService {
     }
   }
 
+  /**
+   * Create NEWS2 escalation alert.
+   * Skipped while an open NEWS2 alert for the admission is at the same or a higher band.
+   */
+  async createEarlyWarningAlert(admissionId, vitalData, currentUser) {
+    const { value, severity, vitalSignId, earlyWarning } = vitalData;
+
+    const openAlert = await this.prisma.ipdAlert.findFirst({
+      where: {
+        admissionId,
+        alertType: 'VITALS',
+        status: { in: ['PENDING', 'ACKNOWLEDGED'] },
+        triggerData: { path: ['parameter'], equals: 'NEWS2' },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    const openRank = NEWS2_RISK_RANK[openAlert?.triggerData?.riskBand];
+    if (openRank !== undefined && openRank >= NEWS2_RISK_RANK[earlyWarning.riskBand]) {
+      return null;
+    }
+
+    const change = earlyWarning.change ? ` (${earlyWarning.change > 0 ? '+' : ''}${earlyWarning.change})` : '';
+    const alertMessage = `NEWS2 score ${value}${change} - ${earlyWarning.riskBand.replace('_', '-')} risk: ` +
+      `${earlyWarning.response}. Observe every ${earlyWarning.observationFrequencyMinutes} min`;
+
+    return this.createAlert(
+      admissionId,
+      {
+        alertType: severity,
+        category: 'VITALS',
+        message: alertMessage,
+        details: {
+          parameter: 'NEWS2',
+          value,
+          ...earlyWarning,
+          timestamp: new Date(),
+        },
+        actionRequired: true,
+        vitalSignId,
+      },
+      currentUser
+    );
+  }
+
   /**
    * Create lab value alert
    */
@@ -224,7 +277,7 @@ export class IPDAlertsService {
    */
   async createAllergyAlert(admissionId, allergyData, currentUser) {
     try {
-      const { allergen, reaction, severity } = allergyData;
+      const { allergen, reaction, severity, relatedOrderId, details } = allergyData;
 
       const alert = await this.createAlert(
         admissionId,
@@ -233,11 +286,13 @@ export class IPDAlertsService {
           category: 'ALLERGY',
           message: `ALLERGY ALERT: Patient has documented allergy to ${allergen} - Reaction: ${reaction}`,
           details: {
+            ...details,
             allergen,
             reaction,
             severity,
           },
           actionRequired: true,
+          relatedOrderId,
         },
         currentUser
       );
@@ -254,20 +309,22 @@ export class IPDAlertsService {
    */
   async createMedicationInteractionAlert(admissionId, medicationData, currentUser) {
     try {
-      const { medication1, medication2, interaction } = medicationData;
+      const { medication1, medication2, interaction, severity, relatedOrderId, details } = medicationData;
 
       const alert = await this.createAlert(
         admissionId,
         {
-          alertType: 'HIGH',
+          alertType: severity || 'HIGH',
           category: 'MEDICATION',
           message: `DRUG INTERACTION: ${medication1} interacts with ${medication2} - ${interaction}`,
           details: {
+            ...details,
             medication1,
             medication2,
             interaction,
           },
           actionRequired: true,
+          relatedOrderId,
         },
         currentUser
       );
@@ -279,6 +336,87 @@ export class IPDAlertsService {
     }
   }
 
+  /**
+   * Create missed dose alert (eMAR dose not charted in time)
+   */
+  async createMissedDoseAlert(admissionId, doseData, currentUser) {
+    try {
+      const { doseId, orderId, medicationName, dose, route, frequency, scheduledTime } = doseData;
+
+      const alert = await this.createAlert(
+        admissionId,
+        {
+          alertType: frequency === 'STAT' ? 'CRITICAL' : 'HIGH',
+          category: 'MEDICATION',
+          message: `MISSED DOSE: ${[medicationName, dose, route].filter(Boolean).join(' ')} (${frequency}) due ${new Date(scheduledTime).toISOString()} was not charted`,
+          details: {
+            doseId,
+            medicationName,
+            frequency,
+            scheduledTime,
+          },
+          actionRequired: true,
+          relatedOrderId: orderId,
+        },
+        currentUser
+      );
+
+      return alert;
+    } catch (error) {
+      logger.error(`Create Missed Dose Alert Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create fluid balance alert (rolling 24h net past the admission's limit).
+   * Skipped while an open alert for the same imbalance (POSITIVE/NEGATIVE) exists.
+   */
+  async createFluidBalanceAlert(admissionId, balanceData, currentUser) {
+    try {
+      const { imbalance, netMl, limitMl, intakeMl, outputMl, windowStart, windowEnd } = balanceData;
+
+      const openAlert = await this.prisma.ipdAlert.findFirst({
+        where: {
+          admissionId,
+          alertType: 'FLUID_BALANCE',
+          status: { in: ['PENDING', 'ACKNOWLEDGED'] },
+          triggerData: { path: ['imbalance'], equals: imbalance },
+        },
+      });
+
+      if (openAlert) {
+        return null;
+      }
+
+      const sign = netMl > 0 ? '+' : '';
+      const alert = await this.createAlert(
+        admissionId,
+        {
+          alertType: 'HIGH',
+          category: 'FLUID_BALANCE',
+          message: `${imbalance} FLUID BALANCE: ${sign}${netMl} mL over 24h (limit ${limitMl > 0 ? '+' : ''}${limitMl} mL; in ${intakeMl} mL, out ${outputMl} mL)`,
+          details: {
+            imbalance,
+            netMl,
+            limitMl,
+            intakeMl,
+            outputMl,
+            windowStart,
+            windowEnd,
+          },
+          actionRequired: true,
+        },
+        currentUser
+      );
+
+      return alert;
+    } catch (error) {
+      logger.error(`Create Fluid Balance Alert Error: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Create infection control alert
    */
@@ -364,7 +502,7 @@ export class IPDAlertsService {
       if (admission.assignedNurseId) recipients.push(admission.assignedNurseId);
 
       // For critical alerts, also notify ward in-charge
-      if (alert.alertType === 'CRITICAL') {
+      if (alert.severity === 'CRITICAL') {
         const ward = await this.prisma.ipdWard.findUnique({
           where: { id: admission.wardId },
         });
@@ -376,12 +514,12 @@ export class IPDAlertsService {
         await this.prisma.notification.create({
           data: {
             userId,
-            title: `Alert: ${alert.message}`,
-            message: alert.message,
+            title: `Alert: ${alert.alertMessage}`,
+            message: alert.alertMessage,
             type: 'ALERT',
             relatedEntity: 'ADMISSION',
             relatedId: alert.admissionId,
-            priority: alert.alertType,
+            priority: alert.severity,
             read: false,
           },
         });
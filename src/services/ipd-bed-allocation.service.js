@@ -0,0 +1,593 @@
+/**
+ * IPD Bed Allocation Service
+ * Suggests and assigns beds to admission requests, holds them while the patient
+ * is moved from OPD/ER, and runs the bed waitlist
+ *
+ * Hard constraints (a bed is never offered): ward gender policy, isolation need,
+ * requested bed type (auto-allocation only). Soft preferences are scored:
+ * requested ward, the admitting department's wards, keeping isolation beds spare.
+ *
+ * Allocated beds go AVAILABLE -> RESERVED for the patient until reservedUntil;
+ * admission takes the bed RESERVED -> OCCUPIED. Expired holds return the request
+ * to PENDING and the bed to AVAILABLE.
+ */
+
+import logger from '../utils/logger.js';
+import { AppError } from '../shared/AppError.js';
+import { IPDBedService } from './ipd-bed.service.js';
+import { emitBedEvent, BED_EVENTS } from './ipd-bed.events.js';
+import {
+  BED_STATUS,
+  GENDER_POLICY,
+  ADMISSION_REQUEST_STATUS,
+  ADMISSION_PRIORITY_RANK,
+  BED_ALLOCATION_CONFIG,
+  BED_MATCH_SCORE,
+  resolveHoldMinutes,
+} from './ipd-bed.constants.js';
+
+const ALLOCATABLE_STATUSES = [ADMISSION_REQUEST_STATUS.PENDING, ADMISSION_REQUEST_STATUS.WAITLISTED];
+
+const BED_INCLUDE = {
+  ward: {
+    include: {
+      department: { select: { id: true, departmentCode: true, departmentName: true } },
+    },
+  },
+};
+
+export class IPDBedAllocationService {
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Ranked beds for an admission request
+   */
+  async suggestBeds(requestId, limit = BED_ALLOCATION_CONFIG.SUGGESTION_LIMIT) {
+    try {
+      const request = await this.getRequest(requestId);
+      const beds = await this.getAvailableBeds(request.hospitalId);
+      const ranked = rankBeds(beds, request, request.patient);
+
+      return {
+        requestId,
+        requirements: describeRequirements(request),
+        suggestions: ranked.slice(0, limit).map(formatSuggestion),
+        availableBeds: beds.length,
+        matchingBeds: ranked.length,
+      };
+    } catch (error) {
+      logger.error(`Suggest Beds Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Allocate a bed to a request: the given bed, or the best match when none is given.
+   * With no matching bed free the request joins the waitlist instead.
+   * @param {Object} options - { bedId?, holdMinutes? }
+   */
+  async allocateBed(requestId, options, currentUser) {
+    try {
+      const request = await this.getRequest(requestId);
+
+      if (!ALLOCATABLE_STATUSES.includes(request.status)) {
+        throw new AppError(`Cannot allocate a bed to request with status ${request.status}`, 400);
+      }
+
+      let bed;
+      let notes;
+
+      if (options.bedId) {
+        bed = await this.prisma.ipdBed.findUnique({
+          where: { id: options.bedId },
+          include: BED_INCLUDE,
+        });
+
+        if (!bed || !bed.isActive || bed.hospitalId !== request.hospitalId) {
+          throw new AppError('Bed not found', 404);
+        }
+
+        if (bed.status !== BED_STATUS.AVAILABLE) {
+          throw new AppError('Bed not available', 400);
+        }
+
+        // A person picking the bed may override the bed type, not gender or isolation
+        const match = evaluateBed(bed, request, request.patient, { strictBedType: false });
+        if (!match.eligible) {
+          throw new AppError(`Bed ${bed.bedNumber} cannot be allocated: ${match.exclusion}`, 400);
+        }
+
+        notes = ['Allocated manually', ...match.reasons].join('; ');
+      } else {
+        const beds = await this.getAvailableBeds(request.hospitalId);
+        const [best] = rankBeds(beds, request, request.patient);
+
+        if (!best) {
+          const waitlisted = await this.addToWaitlist(request, currentUser, 'No matching bed available');
+          return { allocated: false, waitlisted: true, request: waitlisted };
+        }
+
+        bed = best.bed;
+        notes = ['Allocated automatically', ...best.reasons].join('; ');
+      }
+
+      await this.reserveBed(request, bed, {
+        holdMinutes: options.holdMinutes,
+        changedBy: currentUser?.id,
+        notes,
+      });
+
+      logger.info(`Bed ${bed.bedNumber} reserved for admission request ${requestId}`);
+      return { allocated: true, waitlisted: false, request: await this.getRequest(requestId) };
+    } catch (error) {
+      logger.error(`Allocate Bed Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Put a request on the waitlist (kept in priority order, then by waiting time)
+   */
+  async waitlistRequest(requestId, currentUser, reason) {
+    try {
+      const request = await this.getRequest(requestId);
+
+      if (request.status !== ADMISSION_REQUEST_STATUS.PENDING) {
+        throw new AppError(`Cannot waitlist request with status ${request.status}`, 400);
+      }
+
+      return this.addToWaitlist(request, currentUser, reason || 'Waitlisted by bed manager');
+    } catch (error) {
+      logger.error(`Waitlist Request Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Waitlisted requests of a hospital in the order they will be served
+   */
+  async getWaitlist(hospitalId) {
+    try {
+      const requests = await this.prisma.ipdAdmissionRequest.findMany({
+        where: { hospitalId, status: ADMISSION_REQUEST_STATUS.WAITLISTED },
+        include: {
+          patient: { select: { id: true, patientId: true, name: true, gender: true } },
+        },
+      });
+
+      return sortWaitlist(requests).map((request, index) => ({
+        position: index + 1,
+        ...request,
+        requirements: describeRequirements(request),
+      }));
+    } catch (error) {
+      logger.error(`Get Waitlist Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Give free beds to waitlisted requests, highest priority first.
+   * A request no free bed matches keeps its place; lower-priority requests
+   * may still be served by beds it cannot use.
+   */
+  async advanceWaitlist(hospitalId) {
+    try {
+      const requests = sortWaitlist(
+        await this.prisma.ipdAdmissionRequest.findMany({
+          where: { hospitalId, status: ADMISSION_REQUEST_STATUS.WAITLISTED },
+          include: { patient: { select: { id: true, patientId: true, name: true, gender: true } } },
+        })
+      );
+
+      if (!requests.length) return { allocated: [], waiting: 0 };
+
+      let beds = await this.getAvailableBeds(hospitalId);
+      const allocated = [];
+
+      for (const request of requests) {
+        if (!beds.length) break;
+
+        const [best] = rankBeds(beds, request, request.patient);
+        if (!best) continue;
+
+        try {
+          await this.reserveBed(request, best.bed, {
+            notes: ['Allocated from waitlist', ...best.reasons].join('; '),
+          });
+          allocated.push({ requestId: request.id, bedId: best.bed.id, bedNumber: best.bed.bedNumber });
+        } catch (error) {
+          // Bed or request changed under us; skip it and carry on
+          logger.warn(`Waitlist allocation skipped for request ${request.id}: ${error.message}`);
+        }
+
+        beds = beds.filter((bed) => bed.id !== best.bed.id);
+      }
+
+      if (allocated.length) {
+        logger.info(`Bed waitlist advanced for hospital ${hospitalId}: ${allocated.length} beds reserved`);
+      }
+
+      return { allocated, waiting: requests.length - allocated.length };
+    } catch (error) {
+      logger.error(`Advance Waitlist Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Extend the hold on a request's reserved bed
+   */
+  async extendReservation(requestId, minutes, currentUser) {
+    try {
+      const request = await this.getRequest(requestId);
+
+      if (request.status !== ADMISSION_REQUEST_STATUS.APPROVED || !request.allocatedBedId) {
+        throw new AppError('Request has no reserved bed', 400);
+      }
+
+      const reservedUntil = new Date(Date.now() + resolveHoldMinutes(request.source, minutes) * 60000);
+
+      await this.prisma.$transaction(async (tx) => {
+        const { count } = await tx.ipdBed.updateMany({
+          where: {
+            id: request.allocatedBedId,
+            status: BED_STATUS.RESERVED,
+            reservedFor: request.patientId,
+          },
+          data: { reservedUntil },
+        });
+
+        if (count === 0) {
+          throw new AppError('Bed is no longer reserved for this patient', 409);
+        }
+
+        await tx.ipdAdmissionRequest.update({
+          where: { id: requestId },
+          data: { reservedUntil },
+        });
+      });
+
+      logger.info(`Reservation for request ${requestId} extended to ${reservedUntil.toISOString()} by ${currentUser.id}`);
+      return this.getRequest(requestId);
+    } catch (error) {
+      logger.error(`Extend Reservation Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Give up a request's reserved bed; the request goes back to PENDING
+   */
+  async releaseReservation(requestId, currentUser, reason) {
+    try {
+      const request = await this.getRequest(requestId);
+
+      if (request.status !== ADMISSION_REQUEST_STATUS.APPROVED || !request.allocatedBedId) {
+        throw new AppError('Request has no reserved bed', 400);
+      }
+
+      await this.prisma.$transaction(async (tx) => {
+        await this.releaseBed(tx, request, currentUser?.id, reason || 'Reservation released');
+
+        await tx.ipdAdmissionRequest.update({
+          where: { id: requestId },
+          data: {
+            status: ADMISSION_REQUEST_STATUS.PENDING,
+            allocatedBedId: null,
+            reservedUntil: null,
+            allocationNotes: reason || 'Reservation released',
+          },
+        });
+      });
+
+      emitBedEvent(BED_EVENTS.BED_AVAILABLE, {
+        hospitalId: request.hospitalId,
+        bedId: request.allocatedBedId,
+      });
+
+      logger.info(`Reservation for request ${requestId} released`);
+      return this.getRequest(requestId);
+    } catch (error) {
+      logger.error(`Release Reservation Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Release beds whose hold ran out before the patient was admitted.
+   * The request returns to PENDING for the bed manager; the freed bed goes to the waitlist.
+   */
+  async expireReservations(now = new Date()) {
+    const expired = await this.prisma.ipdAdmissionRequest.findMany({
+      where: {
+        status: ADMISSION_REQUEST_STATUS.APPROVED,
+        admissionId: null,
+        reservedUntil: { lt: now },
+      },
+    });
+
+    const hospitals = new Set();
+    let released = 0;
+    let failed = 0;
+
+    for (const request of expired) {
+      try {
+        await this.prisma.$transaction(async (tx) => {
+          await this.releaseBed(tx, request, null, 'Reservation expired');
+
+          await tx.ipdAdmissionRequest.update({
+            where: { id: request.id },
+            data: {
+              status: ADMISSION_REQUEST_STATUS.PENDING,
+              allocatedBedId: null,
+              reservedUntil: null,
+              allocationNotes: `Reservation expired at ${request.reservedUntil.toISOString()}`,
+            },
+          });
+        });
+
+        hospitals.add(request.hospitalId);
+        released++;
+      } catch (error) {
+        failed++;
+        logger.error(`Expire Reservation Error (request ${request.id}): ${error.message}`);
+      }
+    }
+
+    for (const hospitalId of hospitals) {
+      await this.advanceWaitlist(hospitalId).catch(() => null);
+    }
+
+    return { released, failed };
+  }
+
+  /**
+   * Hospitals that have requests waiting for a bed
+   */
+  async getHospitalsWithWaitlist() {
+    const rows = await this.prisma.ipdAdmissionRequest.findMany({
+      where: { status: ADMISSION_REQUEST_STATUS.WAITLISTED },
+      distinct: ['hospitalId'],
+      select: { hospitalId: true },
+    });
+
+    return rows.map((row) => row.hospitalId);
+  }
+
+  /**
+   * Reserve a bed for a request and approve it (one transaction)
+   */
+  async reserveBed(request, bed, { holdMinutes, changedBy = null, notes = null }) {
+    const reservedUntil = new Date(Date.now() + resolveHoldMinutes(request.source, holdMinutes) * 60000);
+
+    await this.prisma.$transaction(async (tx) => {
+      await new IPDBedService(tx).transitionBed(bed.id, BED_STATUS.RESERVED, {
+        patientId: request.patientId,
+        reservedUntil,
+        changedBy,
+        reason: `Admission request ${request.id}`,
+        allowedFrom: [BED_STATUS.AVAILABLE],
+      });
+
+      const { count } = await tx.ipdAdmissionRequest.updateMany({
+        where: { id: request.id, status: { in: ALLOCATABLE_STATUSES } },
+        data: {
+          status: ADMISSION_REQUEST_STATUS.APPROVED,
+          approvedBy: changedBy,
+          approvedAt: new Date(),
+          allocatedBedId: bed.id,
+          reservedUntil,
+          allocationNotes: notes,
+        },
+      });
+
+      if (count === 0) {
+        throw new AppError('Admission request was changed by another user; reload and retry', 409);
+      }
+    });
+
+    return reservedUntil;
+  }
+
+  /**
+   * Return a request's reserved bed to AVAILABLE if it is still held for the patient
+   * (runs inside the caller's transaction)
+   */
+  async releaseBed(tx, request, changedBy, reason) {
+    const bed = await tx.ipdBed.findUnique({ where: { id: request.allocatedBedId } });
+
+    if (!bed || bed.status !== BED_STATUS.RESERVED || bed.reservedFor !== request.patientId) {
+      return null;
+    }
+
+    return new IPDBedService(tx).transitionBed(bed.id, BED_STATUS.AVAILABLE, {
+      changedBy,
+      reason,
+      allowedFrom: [BED_STATUS.RESERVED],
+    });
+  }
+
+  /**
+   * Move a PENDING/WAITLISTED request onto the waitlist, keeping an earlier place
+   */
+  async addToWaitlist(request, currentUser, reason) {
+    const { count } = await this.prisma.ipdAdmissionRequest.updateMany({
+      where: { id: request.id, status: { in: ALLOCATABLE_STATUSES } },
+      data: {
+        status: ADMISSION_REQUEST_STATUS.WAITLISTED,
+        waitlistedAt: request.waitlistedAt || new Date(),
+        allocationNotes: reason,
+      },
+    });
+
+    if (count === 0) {
+      throw new AppError('Admission request was changed by another user; reload and retry', 409);
+    }
+
+    logger.info(`Admission request ${request.id} waitlisted${currentUser ? ` by ${currentUser.id}` : ''}: ${reason}`);
+    return this.getRequest(request.id);
+  }
+
+  /**
+   * Admission request with patient and allocated bed
+   */
+  async getRequest(requestId) {
+    const request = await this.prisma.ipdAdmissionRequest.findUnique({
+      where: { id: requestId },
+      include: {
+        patient: { select: { id: true, patientId: true, name: true, gender: true } },
+        allocatedBed: {
+          select: { id: true, bedNumber: true, wardId: true, wardName: true, roomNumber: true, reservedUntil: true },
+        },
+      },
+    });
+
+    if (!request) {
+      throw new AppError('Admission request not found', 404);
+    }
+
+    return request;
+  }
+
+  /**
+   * AVAILABLE beds in active wards, with ward and department for matching
+   */
+  async getAvailableBeds(hospitalId) {
+    return this.prisma.ipdBed.findMany({
+      where: {
+        hospitalId,
+        status: BED_STATUS.AVAILABLE,
+        isActive: true,
+        wardId: { not: null },
+        ward: { isActive: true },
+      },
+      include: BED_INCLUDE,
+      orderBy: [{ wardName: 'asc' }, { bedNumber: 'asc' }],
+    });
+  }
+}
+
+// ==================== MATCHING ====================
+
+/**
+ * Check one bed against a request
+ * @returns {{ eligible: boolean, score: number, reasons: string[], exclusion?: string }}
+ */
+function evaluateBed(bed, request, patient, { strictBedType = true } = {}) {
+  const ward = bed.ward;
+  const reasons = [];
+  let score = 0;
+
+  const gender = (patient?.gender || '').toUpperCase();
+  if (ward.genderPolicy && ward.genderPolicy !== GENDER_POLICY.MIXED && ward.genderPolicy !== gender) {
+    return { eligible: false, score, reasons, exclusion: `${ward.wardName} is a ${ward.genderPolicy.toLowerCase()} ward` };
+  }
+
+  const isolationBed = bed.isIsolation || ward.isIsolation;
+  if (request.isolationRequired && !isolationBed) {
+    return { eligible: false, score, reasons, exclusion: 'patient needs an isolation bed' };
+  }
+
+  if (request.requestedBedType && bed.bedType !== request.requestedBedType) {
+    if (strictBedType) {
+      return { eligible: false, score, reasons, exclusion: `bed type is ${bed.bedType || 'unset'}` };
+    }
+    reasons.push(`Bed type ${bed.bedType || 'unset'} instead of ${request.requestedBedType}`);
+  }
+
+  if (request.isolationRequired) {
+    reasons.push('Isolation bed');
+  } else if (isolationBed) {
+    score += BED_MATCH_SCORE.SPARE_ISOLATION_BED;
+    reasons.push('Uses an isolation bed');
+  }
+
+  if (request.requestedWardId && ward.id === request.requestedWardId) {
+    score += BED_MATCH_SCORE.REQUESTED_WARD;
+    reasons.push('Requested ward');
+  }
+
+  const departmentMatch = matchesDepartment(ward, request);
+  if (departmentMatch === true) {
+    score += BED_MATCH_SCORE.DEPARTMENT_WARD;
+    reasons.push(`${ward.department?.departmentName || 'Department'} ward`);
+  } else if (!ward.departmentId) {
+    score += BED_MATCH_SCORE.SHARED_WARD;
+  } else if (departmentMatch === false) {
+    reasons.push(`Outlier in ${ward.department?.departmentName || 'another department'}'s ward`);
+  }
+
+  return { eligible: true, score, reasons };
+}
+
+/**
+ * Whether a ward belongs to the request's department
+ * @returns {boolean|null} null when the request names no department
+ */
+function matchesDepartment(ward, request) {
+  if (request.departmentId) {
+    return ward.departmentId === request.departmentId;
+  }
+
+  if (request.recommendedDepartment) {
+    const wanted = request.recommendedDepartment.trim().toLowerCase();
+    const department = ward.department;
+    return Boolean(department) && [department.id, department.departmentCode, department.departmentName]
+      .some((value) => value && value.toLowerCase() === wanted);
+  }
+
+  return null;
+}
+
+/**
+ * Eligible beds best-first (score, then ward and bed number)
+ */
+function rankBeds(beds, request, patient) {
+  return beds
+    .map((bed) => ({ bed, ...evaluateBed(bed, request, patient) }))
+    .filter((match) => match.eligible)
+    .sort((a, b) =>
+      b.score - a.score ||
+      a.bed.wardName.localeCompare(b.bed.wardName) ||
+      a.bed.bedNumber.localeCompare(b.bed.bedNumber, undefined, { numeric: true })
+    );
+}
+
+function sortWaitlist(requests) {
+  const rank = (priority) => ADMISSION_PRIORITY_RANK[priority] ?? ADMISSION_PRIORITY_RANK.NORMAL;
+  const waitingSince = (request) => (request.waitlistedAt || request.requestedAt).getTime();
+
+  return [...requests].sort((a, b) =>
+    rank(a.priority) - rank(b.priority) || waitingSince(a) - waitingSince(b)
+  );
+}
+
+function describeRequirements(request) {
+  return {
+    bedType: request.requestedBedType || null,
+    isolationRequired: request.isolationRequired,
+    gender: request.patient?.gender || null,
+    departmentId: request.departmentId || null,
+    recommendedDepartment: request.recommendedDepartment || null,
+    requestedWardId: request.requestedWardId || null,
+  };
+}
+
+function formatSuggestion({ bed, score, reasons }) {
+  return {
+    bedId: bed.id,
+    bedNumber: bed.bedNumber,
+    roomNumber: bed.roomNumber,
+    bedType: bed.bedType,
+    wardId: bed.wardId,
+    wardName: bed.ward.wardName,
+    wardCode: bed.ward.wardCode,
+    score,
+    reasons,
+  };
+}
+
+export default IPDBedAllocationService;
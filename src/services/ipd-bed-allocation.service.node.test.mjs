@@ -0,0 +1,191 @@
+/**
+ * IPD Bed Allocation Service - bed matching and scoring, manual and automatic
+ * allocation, and serving the waitlist in priority order
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answeringClient, callsTo } from './prismaTestClient.node.mjs';
+import { IPDBedAllocationService } from './ipd-bed-allocation.service.js';
+import { ADMISSION_REQUEST_STATUS, BED_MATCH_SCORE, BED_STATUS, GENDER_POLICY } from './ipd-bed.constants.js';
+
+const bedManager = { id: 'bm-1', hospitalId: 'h1' };
+
+const medicine = { id: 'dept-med', departmentCode: 'MED', departmentName: 'Medicine' };
+const surgery = { id: 'dept-surg', departmentCode: 'SURG', departmentName: 'Surgery' };
+
+const ward = (id, wardName, extra = {}) => ({
+  id, wardName, wardCode: id.toUpperCase(), genderPolicy: GENDER_POLICY.MIXED, isIsolation: false,
+  departmentId: null, department: null, isActive: true, ...extra,
+});
+
+const wards = {
+  medical: ward('ward-med', 'Medical Ward', { departmentId: medicine.id, department: medicine }),
+  surgical: ward('ward-surg', 'Surgical Ward', { departmentId: surgery.id, department: surgery }),
+  general: ward('ward-gen', 'General Ward'),
+  female: ward('ward-fem', 'Female Ward', { genderPolicy: GENDER_POLICY.FEMALE }),
+  isolation: ward('ward-iso', 'Isolation Ward', { isIsolation: true }),
+};
+
+const bed = (id, bedNumber, inWard, extra = {}) => ({
+  id, bedNumber, wardId: inWard.id, wardName: inWard.wardName, ward: inWard, hospitalId: 'h1',
+  bedType: 'GENERAL', roomNumber: null, isIsolation: false, isActive: true, status: BED_STATUS.AVAILABLE,
+  ...extra,
+});
+
+const request = (extra = {}) => ({
+  id: 'req-1', hospitalId: 'h1', patientId: 'P1', patient: { id: 'P1', gender: 'male' },
+  status: ADMISSION_REQUEST_STATUS.PENDING, source: 'OPD', priority: 'NORMAL',
+  requestedBedType: 'GENERAL', isolationRequired: false, departmentId: null, recommendedDepartment: null,
+  requestedWardId: null, waitlistedAt: null, requestedAt: new Date('2026-10-19T06:00:00Z'),
+  ...extra,
+});
+
+function setup({ requests = [request()], beds = [] }) {
+  const { client, calls, trace } = answeringClient({
+    ipdAdmissionRequest: {
+      findUnique: ({ where }) => requests.find(r => r.id === where.id) || null,
+      findMany: requests,
+      updateMany: { count: 1 },
+    },
+    ipdBed: {
+      findMany: beds,
+      findUnique: ({ where }) => beds.find(b => b.id === where.id) || null,
+      updateMany: { count: 1 },
+    },
+    ipdWard: { update: ({ where, data }) => ({ id: where.id, ...data }) },
+    ipdBedStatusLog: { create: ({ data }) => data },
+  });
+  return { service: new IPDBedAllocationService(client), calls, trace };
+}
+
+const reservations = (calls) => callsTo(calls, 'ipdAdmissionRequest.updateMany')
+  .map(({ args }) => [args.where.id, args.data.allocatedBedId]);
+
+// ==================== SCORING ====================
+
+test('beds are ranked by department, requested ward and shared wards, sparing isolation beds', async () => {
+  const { service } = setup({
+    requests: [request({ departmentId: medicine.id, requestedWardId: wards.surgical.id })],
+    beds: [
+      bed('g-iso', 'G-9', wards.general, { isIsolation: true }),
+      bed('g-1', 'G-1', wards.general),
+      bed('s-1', 'S-1', wards.surgical),
+      bed('m-2', 'M-2', wards.medical),
+      bed('m-icu', 'M-3', wards.medical, { bedType: 'ICU' }),
+      bed('f-1', 'F-1', wards.female),
+    ],
+  });
+
+  const result = await service.suggestBeds('req-1');
+
+  assert.equal(result.availableBeds, 6);
+  assert.equal(result.matchingBeds, 4);
+  assert.deepEqual(result.suggestions.map(s => [s.bedNumber, s.score, s.reasons]), [
+    ['M-2', BED_MATCH_SCORE.DEPARTMENT_WARD, ['Medicine ward']],
+    ['S-1', BED_MATCH_SCORE.REQUESTED_WARD, ['Requested ward', 'Outlier in Surgery\'s ward']],
+    ['G-1', BED_MATCH_SCORE.SHARED_WARD, []],
+    ['G-9', BED_MATCH_SCORE.SHARED_WARD + BED_MATCH_SCORE.SPARE_ISOLATION_BED, ['Uses an isolation bed']],
+  ]);
+});
+
+test('a patient needing isolation is only offered isolation beds, without the spare-bed penalty', async () => {
+  const { service } = setup({
+    requests: [request({ isolationRequired: true })],
+    beds: [
+      bed('g-1', 'G-1', wards.general),
+      bed('g-iso', 'G-9', wards.general, { isIsolation: true }),
+      bed('i-1', 'I-1', wards.isolation),
+    ],
+  });
+
+  const { suggestions } = await service.suggestBeds('req-1');
+
+  assert.deepEqual(suggestions.map(s => [s.bedNumber, s.score, s.reasons]), [
+    ['G-9', BED_MATCH_SCORE.SHARED_WARD, ['Isolation bed']],
+    ['I-1', BED_MATCH_SCORE.SHARED_WARD, ['Isolation bed']],
+  ]);
+});
+
+test('a recommended department matches the ward department by id, code or name', async () => {
+  const beds = [bed('g-1', 'G-1', wards.general), bed('m-2', 'M-2', wards.medical)];
+
+  for (const recommendedDepartment of ['dept-med', 'med', ' Medicine ']) {
+    const { service } = setup({ requests: [request({ recommendedDepartment })], beds });
+    const [best] = (await service.suggestBeds('req-1')).suggestions;
+    assert.deepEqual([best.bedNumber, best.score], ['M-2', BED_MATCH_SCORE.DEPARTMENT_WARD], recommendedDepartment);
+  }
+});
+
+test('equally scored beds are ordered by ward name, then bed number', async () => {
+  const wardB = ward('ward-b', 'Ward B');
+  const wardA = ward('ward-a', 'Ward A');
+  const { service } = setup({
+    beds: [bed('b-10', '10', wardB), bed('b-2', '2', wardB), bed('a-7', '7', wardA)],
+  });
+
+  const { suggestions } = await service.suggestBeds('req-1');
+
+  assert.deepEqual(suggestions.map(s => `${s.wardName} ${s.bedNumber}`), ['Ward A 7', 'Ward B 2', 'Ward B 10']);
+});
+
+// ==================== ALLOCATION ====================
+
+test('a bed picked by hand may differ in type but never breaks the ward gender policy', async () => {
+  const icu = bed('m-icu', 'M-3', wards.medical, { bedType: 'ICU' });
+  const female = bed('f-1', 'F-1', wards.female);
+  const { service, calls, trace } = setup({
+    requests: [request({ departmentId: medicine.id })],
+    beds: [icu, female],
+  });
+
+  await assert.rejects(service.allocateBed('req-1', { bedId: 'f-1' }, bedManager), {
+    statusCode: 400, message: /Female Ward is a female ward/,
+  });
+
+  const { allocated } = await service.allocateBed('req-1', { bedId: 'm-icu' }, bedManager);
+
+  assert.equal(allocated, true);
+  const [{ args: { data } }] = callsTo(calls, 'ipdAdmissionRequest.updateMany');
+  assert.equal(data.status, ADMISSION_REQUEST_STATUS.APPROVED);
+  assert.equal(data.allocationNotes, 'Allocated manually; Bed type ICU instead of GENERAL; Medicine ward');
+  assert.equal(callsTo(calls, 'ipdBed.updateMany')[0].args.data.reservedFor, 'P1');
+  assert.ok(trace().filter(call => call.includes('update')).every(call => call.endsWith('(tx)')), trace().join('\n'));
+});
+
+test('automatic allocation waitlists the request when no bed matches, keeping its earlier place', async () => {
+  const waitlistedAt = new Date('2026-10-18T22:00:00Z');
+  const { service, calls } = setup({
+    requests: [request({ status: ADMISSION_REQUEST_STATUS.WAITLISTED, waitlistedAt })],
+    beds: [bed('m-icu', 'M-3', wards.medical, { bedType: 'ICU' }), bed('f-1', 'F-1', wards.female)],
+  });
+
+  const result = await service.allocateBed('req-1', {}, bedManager);
+
+  assert.deepEqual([result.allocated, result.waitlisted], [false, true]);
+  const [{ args: { data } }] = callsTo(calls, 'ipdAdmissionRequest.updateMany');
+  assert.deepEqual(data, {
+    status: ADMISSION_REQUEST_STATUS.WAITLISTED, waitlistedAt, allocationNotes: 'No matching bed available',
+  });
+  assert.equal(callsTo(calls, 'ipdBed.updateMany').length, 0);
+});
+
+// ==================== WAITLIST ====================
+
+test('the waitlist is served by priority, then waiting time, passing over requests no free bed suits', async () => {
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+  const { service, calls } = setup({
+    requests: [
+      request({ id: 'req-normal', priority: 'NORMAL', waitlistedAt: hoursAgo(10) }),
+      request({ id: 'req-low', priority: 'LOW', waitlistedAt: hoursAgo(12) }),
+      request({ id: 'req-urgent', priority: 'URGENT', isolationRequired: true, waitlistedAt: hoursAgo(1) }),
+      request({ id: 'req-high', priority: 'HIGH', departmentId: medicine.id, waitlistedAt: hoursAgo(2) }),
+    ],
+    beds: [bed('g-1', 'G-1', wards.general), bed('m-2', 'M-2', wards.medical)],
+  });
+
+  const result = await service.advanceWaitlist('h1');
+
+  assert.deepEqual(result.allocated.map(a => [a.requestId, a.bedNumber]), [['req-high', 'M-2'], ['req-normal', 'G-1']]);
+  assert.equal(result.waiting, 2);
+  assert.deepEqual(reservations(calls), [['req-high', 'm-2'], ['req-normal', 'g-1']]);
+});
@@ -0,0 +1,116 @@
+/**
+ * IPD Bed Allocation Worker
+ * Expires bed reservations the patient did not arrive for and advances the bed waitlist,
+ * both periodically and whenever a bed is released or becomes available
+ */
+
+import logger from '../utils/logger.js';
+import { IPDBedAllocationService } from './ipd-bed-allocation.service.js';
+import { onBedEvent } from './ipd-bed.events.js';
+import { BED_ALLOCATION_CONFIG } from './ipd-bed.constants.js';
+
+let timer = null;
+let running = false;
+let listenerRegistered = false;
+
+// Hospitals with a waitlist pass in progress / another pass requested meanwhile
+const advancing = new Set();
+const rerun = new Set();
+
+/**
+ * Advance one hospital's waitlist; overlapping triggers collapse into one more pass
+ */
+export async function advanceHospitalWaitlist(prisma, hospitalId) {
+  if (advancing.has(hospitalId)) {
+    rerun.add(hospitalId);
+    return null;
+  }
+  advancing.add(hospitalId);
+
+  try {
+    const allocationService = new IPDBedAllocationService(prisma);
+    let result;
+    do {
+      rerun.delete(hospitalId);
+      result = await allocationService.advanceWaitlist(hospitalId);
+    } while (rerun.has(hospitalId));
+    return result;
+  } catch (error) {
+    logger.error(`[IPD Beds] Waitlist pass failed for hospital ${hospitalId}:`, error.message);
+    return null;
+  } finally {
+    advancing.delete(hospitalId);
+  }
+}
+
+/**
+ * Run one expiry + waitlist pass (skipped if the previous pass is still running)
+ */
+export async function runBedAllocationPass(prisma) {
+  if (running) return null;
+  running = true;
+
+  try {
+    const allocationService = new IPDBedAllocationService(prisma);
+    const expiry = await allocationService.expireReservations();
+    if (expiry.released > 0 || expiry.failed > 0) {
+      logger.info(`[IPD Beds] Reservations expired: ${expiry.released} released, ${expiry.failed} failed`);
+    }
+
+    const hospitals = await allocationService.getHospitalsWithWaitlist();
+    for (const hospitalId of hospitals) {
+      await advanceHospitalWaitlist(prisma, hospitalId);
+    }
+
+    return { ...expiry, waitlistHospitals: hospitals.length };
+  } catch (error) {
+    logger.error('[IPD Beds] Allocation pass failed:', error.message);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Advance the waitlist when beds are freed (call once at startup)
+ */
+export function registerBedAllocationListeners(prisma) {
+  if (listenerRegistered) return;
+  listenerRegistered = true;
+
+  onBedEvent(({ payload }) => {
+    if (!payload?.hospitalId) return;
+    advanceHospitalWaitlist(prisma, payload.hospitalId);
+  });
+
+  logger.info('[IPD Beds] Waitlist listeners registered');
+}
+
+/**
+ * Start the allocation worker
+ */
+export function startBedAllocationWorker(prisma, intervalMs = BED_ALLOCATION_CONFIG.WORKER_INTERVAL_MS) {
+  if (timer) return;
+
+  timer = setInterval(() => runBedAllocationPass(prisma), intervalMs);
+  timer.unref();
+
+  logger.info(`[IPD Beds] Allocation worker started (every ${Math.round(intervalMs / 1000)}s)`);
+}
+
+/**
+ * Stop the allocation worker
+ */
+export function stopBedAllocationWorker() {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+}
+
+export default {
+  advanceHospitalWaitlist,
+  runBedAllocationPass,
+  registerBedAllocationListeners,
+  startBedAllocationWorker,
+  stopBedAllocationWorker
+};
@@ -0,0 +1,147 @@
+/**
+ * IPD Bed Constants
+ * Bed statuses, allowed status changes, housekeeping helpers and bed allocation settings
+ *
+ * OCCUPIED is owned by the admission flows: a bed only becomes OCCUPIED on
+ * admit/transfer-in and only leaves it on transfer-out/discharge, always
+ * into CLEANING. Turnaround runs from vacatedAt until the bed is AVAILABLE.
+ */
+
+// ==================== BED STATUS ====================
+export const BED_STATUS = {
+  AVAILABLE: 'AVAILABLE',
+  OCCUPIED: 'OCCUPIED',
+  RESERVED: 'RESERVED',
+  CLEANING: 'CLEANING',
+  BLOCKED: 'BLOCKED',
+  MAINTENANCE: 'MAINTENANCE'
+};
+
+// Status changes allowed from each status
+export const BED_STATUS_TRANSITIONS = {
+  AVAILABLE: ['OCCUPIED', 'RESERVED', 'CLEANING', 'BLOCKED', 'MAINTENANCE'],
+  RESERVED: ['OCCUPIED', 'AVAILABLE', 'BLOCKED'],
+  OCCUPIED: ['CLEANING'],
+  CLEANING: ['AVAILABLE', 'BLOCKED', 'MAINTENANCE'],
+  BLOCKED: ['AVAILABLE', 'CLEANING', 'MAINTENANCE'],
+  MAINTENANCE: ['AVAILABLE', 'CLEANING', 'BLOCKED']
+};
+
+// Statuses housekeeping/ward staff may set by hand
+export const MANUAL_BED_STATUSES = ['AVAILABLE', 'RESERVED', 'CLEANING', 'BLOCKED', 'MAINTENANCE'];
+
+// Statuses of a bed that is holding a patient (cannot be moved, retired or edited freely)
+export const HELD_BED_STATUSES = ['OCCUPIED', 'RESERVED'];
+
+export const WARD_TYPE = {
+  GENERAL: 'GENERAL',
+  SEMI_ICU: 'SEMI_ICU',
+  ICU: 'ICU',
+  PEDIATRIC: 'PEDIATRIC',
+  MATERNITY: 'MATERNITY'
+};
+
+// Which patients a ward takes (Patient.gender is Male/Female/Other)
+export const GENDER_POLICY = {
+  MIXED: 'MIXED',
+  MALE: 'MALE',
+  FEMALE: 'FEMALE'
+};
+
+// ==================== BED ALLOCATION ====================
+export const ADMISSION_REQUEST_STATUS = {
+  PENDING: 'PENDING',
+  WAITLISTED: 'WAITLISTED',
+  APPROVED: 'APPROVED',
+  ADMITTED: 'ADMITTED',
+  REJECTED: 'REJECTED'
+};
+
+// Waitlist order: lower rank first, then longest waiting
+export const ADMISSION_PRIORITY_RANK = {
+  URGENT: 0,
+  HIGH: 1,
+  NORMAL: 2,
+  LOW: 3
+};
+
+export const BED_ALLOCATION_CONFIG = {
+  HOLD_MINUTES: { OPD: 60, ER: 30 },   // How long an allocated bed stays RESERVED for the patient to arrive
+  MAX_HOLD_MINUTES: 240,
+  SUGGESTION_LIMIT: 5,
+  WORKER_INTERVAL_MS: 60 * 1000        // Reservation expiry / waitlist sweep
+};
+
+// Soft preferences when ranking beds (hard constraints exclude a bed outright)
+export const BED_MATCH_SCORE = {
+  REQUESTED_WARD: 30,
+  DEPARTMENT_WARD: 40,
+  SHARED_WARD: 10,
+  SPARE_ISOLATION_BED: -30
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Whether a bed may change from one status to another
+ */
+export function canTransitionBed(fromStatus, toStatus) {
+  return (BED_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * How long to hold a bed for a request's source (OPD/ER), capped at MAX_HOLD_MINUTES
+ */
+export function resolveHoldMinutes(source, requested) {
+  const fallback = BED_ALLOCATION_CONFIG.HOLD_MINUTES[source] || BED_ALLOCATION_CONFIG.HOLD_MINUTES.OPD;
+  const minutes = Number.isInteger(requested) && requested > 0 ? requested : fallback;
+  return Math.min(minutes, BED_ALLOCATION_CONFIG.MAX_HOLD_MINUTES);
+}
+
+/**
+ * Whole minutes between two instants (null when either is missing)
+ */
+export function minutesBetween(from, to) {
+  if (!from || !to) return null;
+  return Math.max(0, Math.round((new Date(to).getTime() - new Date(from).getTime()) / 60000));
+}
+
+/**
+ * Display label for a bed's location ("Ward A - Room 12 - Bed 3")
+ */
+export function formatBedLocation(wardName, bed) {
+  const parts = [wardName || bed.wardName];
+  if (bed.roomNumber) parts.push(`Room ${bed.roomNumber}`);
+  parts.push(`Bed ${bed.bedNumber}`);
+  return parts.join(' - ');
+}
+
+/**
+ * Ward code derived from a legacy free-text ward name ("Ward A (East)" -> "WARD-A-EAST")
+ */
+export function toWardCode(wardName) {
+  return wardName
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 30) || 'WARD';
+}
+
+export default {
+  BED_STATUS,
+  BED_STATUS_TRANSITIONS,
+  MANUAL_BED_STATUSES,
+  HELD_BED_STATUSES,
+  WARD_TYPE,
+  GENDER_POLICY,
+  ADMISSION_REQUEST_STATUS,
+  ADMISSION_PRIORITY_RANK,
+  BED_ALLOCATION_CONFIG,
+  BED_MATCH_SCORE,
+  canTransitionBed,
+  resolveHoldMinutes,
+  minutesBetween,
+  formatBedLocation,
+  toWardCode
+};
@@ -0,0 +1,49 @@
+/**
+ * IPD Bed Events
+ * In-process event bus for beds being freed, so the bed waitlist can advance
+ *
+ * Services emit after their transaction commits: BED_RELEASED when a patient
+ * leaves a bed (discharge / transfer out; the bed goes to CLEANING) and
+ * BED_AVAILABLE when a bed becomes ready for a new patient.
+ * Emitting never throws and never blocks the caller.
+ */
+
+import { EventEmitter } from 'events';
+import logger from '../utils/logger.js';
+
+export const BED_EVENTS = {
+  BED_RELEASED: 'BED_RELEASED',
+  BED_AVAILABLE: 'BED_AVAILABLE'
+};
+
+const BED_EVENT = 'bed';
+
+export const bedEvents = new EventEmitter();
+
+/**
+ * Publish a bed event
+ * @param {string} event - BED_EVENTS value
+ * @param {Object} payload - { hospitalId, bedId, wardId }
+ */
+export function emitBedEvent(event, payload) {
+  try {
+    bedEvents.emit(BED_EVENT, { event, payload });
+  } catch (error) {
+    logger.error(`[IPD Beds] Failed to emit ${event}:`, error.message);
+  }
+}
+
+/**
+ * Subscribe to bed events
+ * @param {Function} handler - ({ event, payload }) => void
+ */
+export function onBedEvent(handler) {
+  bedEvents.on(BED_EVENT, handler);
+}
+
+export default {
+  BED_EVENTS,
+  bedEvents,
+  emitBedEvent,
+  onBedEvent
+};
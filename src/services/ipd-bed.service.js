@@ -1,10 +1,22 @@
 /**
  * IPD Bed Management Service
- * Manage bed allocation, occupancy, and ward management
+ * Manage beds within wards, bed status/housekeeping, and ward bed counts
+ *
+ * Every status change goes through transitionBed, which keeps the ward's
+ * availableBeds in step and logs the change. Pass a transaction client to
+ * the constructor when the change is part of a larger write.
  */
 
 import logger from '../utils/logger.js';
 import { AppError } from '../shared/AppError.js';
+import { emitBedEvent, BED_EVENTS } from './ipd-bed.events.js';
+import {
+  BED_STATUS,
+  MANUAL_BED_STATUSES,
+  HELD_BED_STATUSES,
+  canTransitionBed,
+  minutesBetween
+} from './ipd-bed.constants.js';
 
 export class IPDBedService {
   constructor(prisma) {
@@ -14,33 +26,46 @@ export class IPDBedService {
   /**
    * Create new bed in ward
    */
-  async createBed(data) {
+  async createBed(data, currentUser) {
     try {
-      const {
-        bedNumber,
-        wardName,
-        roomNumber,
-        bedType,
-        capacity,
-        facilities,
-        chargePerDay,
-      } = data;
-
-      const bed = await this.prisma.ipdBed.create({
-        data: {
-          bedNumber,
-          wardName,
-          roomNumber,
-          bedType, // SINGLE, DOUBLE, GENERAL
-          capacity,
-          facilities: facilities || [],
-          chargePerDay,
-          status: 'AVAILABLE', // AVAILABLE, OCCUPIED, MAINTENANCE, CLEANING
-          hospitalId: data.hospitalId,
-        },
+      const { wardId, bedNumber, roomNumber, bedType, isIsolation } = data;
+
+      if (!wardId || !bedNumber) {
+        throw new AppError('Ward ID and bed number required', 400);
+      }
+
+      const ward = await this.getWardForBed(wardId, currentUser.hospitalId);
+
+      const existing = await this.prisma.ipdBed.findUnique({
+        where: { wardId_bedNumber: { wardId, bedNumber } },
       });
 
-      logger.info(`New bed created: ${bedNumber} in ${wardName}`);
+      if (existing) {
+        throw new AppError(`Bed ${bedNumber} already exists in ${ward.wardName}`, 409);
+      }
+
+      const bed = await this.prisma.$transaction(async (tx) => {
+        const created = await tx.ipdBed.create({
+          data: {
+            bedNumber,
+            wardId,
+            wardName: ward.wardName,
+            roomNumber,
+            bedType, // GENERAL, SEMI_PRIVATE, PRIVATE, ICU
+            isIsolation: Boolean(isIsolation),
+            status: BED_STATUS.AVAILABLE,
+            readyAt: new Date(),
+            hospitalId: currentUser.hospitalId,
+          },
+        });
+
+        await new IPDBedService(tx).adjustWardCounts(wardId, 1, 1);
+        return created;
+      });
+
+      emitBedEvent(BED_EVENTS.BED_AVAILABLE, { hospitalId: bed.hospitalId, bedId: bed.id, wardId });
+
+      logger.info(`New bed created: ${bedNumber} in ${ward.wardName}`);
       return bed;
     } catch (error) {
       logger.error(`Create Bed Error: ${error.message}`);
@@ -49,18 +74,22 @@ export class IPDBedService {
   }
 
   /**
-   * Get bed details with occupancy history
+   * Get bed details with current admission and recent status changes
    */
   async getBedDetails(bedId) {
     try {
       const bed = await this.prisma.ipdBed.findUnique({
         where: { id: bedId },
         include: {
-          currentOccupant: {
-            select: { id: true, name: true, patientId: true },
+          ward: true,
+          admissions: {
+            where: { status: 'ACTIVE' },
+            include: {
+              patient: { select: { id: true, name: true, patientId: true } },
+            },
           },
-          occupancyHistory: {
-            orderBy: { admissionDate: 'desc' },
+          statusLogs: {
+            orderBy: { changedAt: 'desc' },
             take: 10,
           },
         },
@@ -78,34 +107,52 @@ export class IPDBedService {
   }
 
   /**
-   * Get ward status and occupancy
+   * Get a ward's beds with a status breakdown
    */
-  async getWardStatus(wardName) {
+  async getWardBeds(wardId) {
     try {
+      const ward = await this.prisma.ipdWard.findUnique({
+        where: { id: wardId },
+      });
+
+      if (!ward) {
+        throw new AppError('Ward not found', 404);
+      }
+
       const beds = await this.prisma.ipdBed.findMany({
-        where: { wardName },
+        where: { wardId, isActive: true },
+        orderBy: [{ roomNumber: 'asc' }, { bedNumber: 'asc' }],
         include: {
-          currentOccupant: {
-            select: { name: true, patientId: true },
+          admissions: {
+            where: { status: 'ACTIVE' },
+            select: {
+              id: true,
+              admissionDate: true,
+              patient: { select: { name: true, patientId: true } },
+            },
           },
         },
       });
 
-      const totalBeds = beds.length;
-      const occupiedBeds = beds.filter((b) => b.status === 'OCCUPIED').length;
-      const availableBeds = beds.filter((b) => b.status === 'AVAILABLE').length;
-      const occupancyRate = totalBeds > 0 ? (occupiedBeds / totalBeds) * 100 : 0;
+      const byStatus = Object.fromEntries(Object.values(BED_STATUS).map((status) => [status, 0]));
+      beds.forEach((bed) => {
+        byStatus[bed.status] = (byStatus[bed.status] || 0) + 1;
+      });
+
+      const occupancyRate = beds.length > 0 ? (byStatus.OCCUPIED / beds.length) * 100 : 0;
 
       return {
-        wardName,
-        totalBeds,
-        occupiedBeds,
-        availableBeds,
+        wardId,
+        wardCode: ward.wardCode,
+        wardName: ward.wardName,
+        totalBeds: ward.totalBeds,
+        availableBeds: ward.availableBeds,
+        byStatus,
         occupancyRate: occupancyRate.toFixed(2),
         beds,
       };
     } catch (error) {
-      logger.error(`Get Ward Status Error: ${error.message}`);
+      logger.error(`Get Ward Beds Error: ${error.message}`);
       throw error;
     }
   }
@@ -115,10 +162,11 @@ export class IPDBedService {
    */
   async listBeds(hospitalId, filters = {}, skip = 0, take = 50) {
     try {
-      const { status, wardName, bedType } = filters;
+      const { status, wardId, wardName, bedType, isActive } = filters;
 
-      const where = { hospitalId };
+      const where = { hospitalId, isActive: isActive ?? true };
       if (status) where.status = status;
+      if (wardId) where.wardId = wardId;
       if (wardName) where.wardName = wardName;
       if (bedType) where.bedType = bedType;
 
@@ -129,9 +177,7 @@ export class IPDBedService {
           take,
           orderBy: [{ wardName: 'asc' }, { bedNumber: 'asc' }],
           include: {
-            currentOccupant: {
-              select: { name: true, patientId: true },
-            },
+            ward: { select: { id: true, wardCode: true, wardName: true, wardType: true } },
           },
         }),
         this.prisma.ipdBed.count({ where }),
@@ -145,75 +191,348 @@ export class IPDBedService {
   }
 
   /**
-   * Mark bed for maintenance or cleaning
+   * Update bed master data; moving a bed to another ward moves its counts too
    */
-  async updateBedStatus(bedId, status, reason = '') {
+  async updateBed(bedId, data, currentUser) {
     try {
-      const validStatuses = ['AVAILABLE', 'OCCUPIED', 'MAINTENANCE', 'CLEANING'];
+      const bed = await this.prisma.ipdBed.findUnique({ where: { id: bedId } });
 
-      if (!validStatuses.includes(status)) {
-        throw new AppError('Invalid bed status', 400);
+      if (!bed || !bed.isActive) {
+        throw new AppError('Bed not found', 404);
       }
 
-      const bed = await this.prisma.ipdBed.update({
-        where: { id: bedId },
-        data: {
-          status,
-          maintenanceReason: reason,
-          lastMaintenanceDate: status === 'MAINTENANCE' ? new Date() : undefined,
-        },
+      const wardId = data.wardId ?? bed.wardId;
+      const bedNumber = data.bedNumber ?? bed.bedNumber;
+      const movingWard = wardId !== bed.wardId;
+
+      if (movingWard && HELD_BED_STATUSES.includes(bed.status)) {
+        throw new AppError(`Bed ${bed.bedNumber} is ${bed.status} and cannot change ward`, 400);
+      }
+
+      const ward = movingWard
+        ? await this.getWardForBed(wardId, currentUser.hospitalId)
+        : null;
+
+      if (movingWard || bedNumber !== bed.bedNumber) {
+        const existing = await this.prisma.ipdBed.findUnique({
+          where: { wardId_bedNumber: { wardId, bedNumber } },
+        });
+
+        if (existing) {
+          throw new AppError(`Bed ${bedNumber} already exists in that ward`, 409);
+        }
+      }
+
+      const updateData = {
+        bedNumber,
+        roomNumber: data.roomNumber,
+        bedType: data.bedType,
+        isIsolation: data.isIsolation,
+      };
+
+      if (movingWard) {
+        updateData.wardId = wardId;
+        updateData.wardName = ward.wardName;
+      }
+
+      const updated = await this.prisma.$transaction(async (tx) => {
+        const result = await tx.ipdBed.update({
+          where: { id: bedId },
+          data: updateData,
+        });
+
+        if (movingWard) {
+          const available = bed.status === BED_STATUS.AVAILABLE ? 1 : 0;
+          const bedService = new IPDBedService(tx);
+          if (bed.wardId) await bedService.adjustWardCounts(bed.wardId, -1, -available);
+          await bedService.adjustWardCounts(wardId, 1, available);
+        }
+
+        return result;
       });
 
-      logger.info(`Bed ${bed.bedNumber} status updated to ${status}`);
-      return bed;
+      logger.info(`Bed ${updated.bedNumber} updated`);
+      return updated;
     } catch (error) {
-      logger.error(`Update Bed Status Error: ${error.message}`);
+      logger.error(`Update Bed Error: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Get available beds for admission
+   * Remove a bed; beds with admission history are retired instead of deleted
    */
-  async getAvailableBeds(filters = {}) {
+  async removeBed(bedId) {
     try {
-      const { wardName, bedType, hospitalId } = filters;
+      const bed = await this.prisma.ipdBed.findUnique({
+        where: { id: bedId },
+        include: { _count: { select: { admissions: true } } },
+      });
 
-      const where = {
-        status: 'AVAILABLE',
-        hospitalId,
-      };
-      if (wardName) where.wardName = wardName;
-      if (bedType) where.bedType = bedType;
+      if (!bed || !bed.isActive) {
+        throw new AppError('Bed not found', 404);
+      }
 
-      const beds = await this.prisma.ipdBed.findMany({
-        where,
-        orderBy: [{ wardName: 'asc' }, { bedNumber: 'asc' }],
+      if (HELD_BED_STATUSES.includes(bed.status)) {
+        throw new AppError(`Bed ${bed.bedNumber} is ${bed.status} and cannot be removed`, 400);
+      }
+
+      const retired = bed._count.admissions > 0;
+
+      await this.prisma.$transaction(async (tx) => {
+        if (retired) {
+          await tx.ipdBed.update({
+            where: { id: bedId },
+            data: { isActive: false, statusChangedAt: new Date() },
+          });
+        } else {
+          await tx.ipdBed.delete({ where: { id: bedId } });
+        }
+
+        if (bed.wardId) {
+          const available = bed.status === BED_STATUS.AVAILABLE ? 1 : 0;
+          await new IPDBedService(tx).adjustWardCounts(bed.wardId, -1, -available);
+        }
       });
 
-      return beds;
+      logger.info(`Bed ${bed.bedNumber} ${retired ? 'retired' : 'deleted'}`);
+      return { bedId, bedNumber: bed.bedNumber, retired };
     } catch (error) {
-      logger.error(`Get Available Beds Error: ${error.message}`);
+      logger.error(`Remove Bed Error: ${error.message}`);
       throw error;
     }
   }
-}
 
+  /**
+   * Housekeeping status change (cleaning, blocked, reserved, maintenance, ready)
+   * OCCUPIED is only set and cleared by admission, transfer and discharge
+   */
+  async updateBedStatus(bedId, status, reason = '', currentUser = null, options = {}) {
+    try {
+      if (!MANUAL_BED_STATUSES.includes(status)) {
+        throw new AppError(`Bed status must be one of ${MANUAL_BED_STATUSES.join(', ')}`, 400);
+      }
 
+      const bed = await this.prisma.$transaction((tx) =>
+        new IPDBedService(tx).transitionBed(bedId, status, {
+          reason: reason || null,
+          changedBy: currentUser?.id,
+          patientId: options.reservedFor,
+          reservedUntil: options.reservedUntil,
+          allowedFrom: MANUAL_BED_STATUSES,
+        })
+      );
+
+      if (status === BED_STATUS.AVAILABLE) {
+        emitBedEvent(BED_EVENTS.BED_AVAILABLE, { hospitalId: bed.hospitalId, bedId, wardId: bed.wardId });
+      }
 
+      logger.info(`Bed ${bed.bedNumber} status updated to ${status}`);
+      return bed;
+    } catch (error) {
+      logger.error(`Update Bed Status Error: ${error.message}`);
+      throw error;
+    }
+  }
 
+  /**
+   * Change a bed's status, keep the ward's availableBeds in step and log the change.
+   * Runs inside the caller's transaction. The update is conditional on the status
+   * read here, so a concurrent change to the same bed fails instead of double-booking.
+   * @param {string} bedId
+   * @param {string} toStatus
+   * @param {Object} options - { changedBy, reason, patientId, reservedUntil, allowedFrom, at }
+   */
+  async transitionBed(bedId, toStatus, options = {}) {
+    const at = options.at ? new Date(options.at) : new Date();
 
+    const bed = await this.prisma.ipdBed.findUnique({ where: { id: bedId } });
+
+    if (!bed || !bed.isActive) {
+      throw new AppError('Bed not found', 404);
+    }
+
+    if (options.allowedFrom && !options.allowedFrom.includes(bed.status)) {
+      throw new AppError(`Bed ${bed.bedNumber} is ${bed.status}`, 409);
+    }
+
+    if (!canTransitionBed(bed.status, toStatus)) {
+      throw new AppError(`Bed ${bed.bedNumber} cannot change from ${bed.status} to ${toStatus}`, 400);
+    }
+
+    if (
+      bed.status === BED_STATUS.RESERVED &&
+      toStatus === BED_STATUS.OCCUPIED &&
+      bed.reservedFor &&
+      options.patientId !== bed.reservedFor
+    ) {
+      throw new AppError(`Bed ${bed.bedNumber} is reserved for another patient`, 409);
+    }
 
+    const turnaroundMinutes = toStatus === BED_STATUS.AVAILABLE
+      ? minutesBetween(bed.vacatedAt, at)
+      : null;
 
+    const data = {
+      status: toStatus,
+      statusChangedAt: at,
+      ...this.buildStatusFields(bed, toStatus, options, at),
+    };
+
+    if (turnaroundMinutes !== null) {
+      data.lastTurnaroundMinutes = turnaroundMinutes;
+    }
+
+    const { count } = await this.prisma.ipdBed.updateMany({
+      where: { id: bedId, status: bed.status },
+      data,
+    });
+
+    if (count === 0) {
+      throw new AppError(`Bed ${bed.bedNumber} was changed by another user; reload and retry`, 409);
+    }
+
+    const availableDelta =
+      (toStatus === BED_STATUS.AVAILABLE ? 1 : 0) - (bed.status === BED_STATUS.AVAILABLE ? 1 : 0);
+
+    if (bed.wardId && availableDelta !== 0) {
+      await this.adjustWardCounts(bed.wardId, 0, availableDelta);
+    }
+
+    await this.prisma.ipdBedStatusLog.create({
+      data: {
+        hospitalId: bed.hospitalId,
+        bedId,
+        wardId: bed.wardId,
+        fromStatus: bed.status,
+        toStatus,
+        reason: options.reason || null,
+        turnaroundMinutes,
+        changedBy: options.changedBy || null,
+        changedAt: at,
+      },
+    });
+
+    return { ...bed, ...data };
+  }
+
+  /**
+   * Field changes that go with entering/leaving each status
+   */
+  buildStatusFields(bed, toStatus, options, at) {
+    const fields = {};
+
+    // Leaving a status
+    if (bed.status === BED_STATUS.OCCUPIED) {
+      fields.occupiedBy = null;
+      fields.occupiedDate = null;
+    }
+    if (bed.status === BED_STATUS.RESERVED) {
+      fields.reservedFor = null;
+      fields.reservedUntil = null;
+    }
+    if (bed.status === BED_STATUS.BLOCKED) {
+      fields.blockedReason = null;
+    }
+    if (bed.status === BED_STATUS.MAINTENANCE) {
+      fields.maintenanceEndDate = at;
+    }
 
+    // Entering a status
+    switch (toStatus) {
+      case BED_STATUS.OCCUPIED:
+        fields.occupiedBy = options.patientId || null;
+        fields.occupiedDate = at;
+        break;
+      case BED_STATUS.RESERVED:
+        fields.reservedFor = options.patientId || null;
+        fields.reservedUntil = options.reservedUntil ? new Date(options.reservedUntil) : null;
+        break;
+      case BED_STATUS.CLEANING:
+        fields.cleaningStartedAt = at;
+        if (bed.status === BED_STATUS.OCCUPIED) fields.vacatedAt = at;
+        break;
+      case BED_STATUS.BLOCKED:
+        fields.blockedReason = options.reason || null;
+        break;
+      case BED_STATUS.MAINTENANCE:
+        fields.maintenanceStartDate = at;
+        fields.maintenanceEndDate = null;
+        fields.maintenanceReason = options.reason || null;
+        break;
+      case BED_STATUS.AVAILABLE:
+        fields.readyAt = at;
+        fields.vacatedAt = null;
+        fields.cleaningStartedAt = null;
+        break;
+      default:
+        break;
+    }
 
+    return fields;
+  }
 
+  /**
+   * Shift a ward's bed counters (runs inside the caller's transaction)
+   */
+  async adjustWardCounts(wardId, totalDelta, availableDelta) {
+    const data = {};
+    if (totalDelta) data.totalBeds = { increment: totalDelta };
+    if (availableDelta) data.availableBeds = { increment: availableDelta };
+    if (!Object.keys(data).length) return null;
+
+    return this.prisma.ipdWard.update({
+      where: { id: wardId },
+      data,
+    });
+  }
 
+  /**
+   * Active ward of the hospital that beds can be placed in
+   */
+  async getWardForBed(wardId, hospitalId) {
+    const ward = await this.prisma.ipdWard.findUnique({
+      where: { id: wardId },
+    });
 
+    if (!ward || ward.hospitalId !== hospitalId) {
+      throw new AppError('Ward not found', 404);
+    }
 
+    if (!ward.isActive) {
+      throw new AppError(`Ward ${ward.wardName} is inactive`, 400);
+    }
 
+    return ward;
+  }
 
+  /**
+   * Get available beds for admission
+   */
+  async getAvailableBeds(filters = {}) {
+    try {
+      const { wardId, wardName, bedType, hospitalId } = filters;
 
+      const where = {
+        status: BED_STATUS.AVAILABLE,
+        isActive: true,
+        hospitalId,
+      };
+      if (wardId) where.wardId = wardId;
+      if (wardName) where.wardName = wardName;
+      if (bedType) where.bedType = bedType;
 
+      const beds = await this.prisma.ipdBed.findMany({
+        where,
+        orderBy: [{ wardName: 'asc' }, { bedNumber: 'asc' }],
+      });
 
+      return beds;
+    } catch (error) {
+      logger.error(`Get Available Beds Error: ${error.message}`);
+      throw error;
+    }
+  }
+}
 
+export default IPDBedService;
@@ -0,0 +1,199 @@
+/**
+ * IPD Bed Service - status transitions with ward counters, turnaround and the
+ * status log; bed creation, ward moves and removal
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answeringClient, callsTo } from './prismaTestClient.node.mjs';
+import { IPDBedService } from './ipd-bed.service.js';
+import { BED_STATUS } from './ipd-bed.constants.js';
+import { bedEvents } from './ipd-bed.events.js';
+
+const nurse = { id: 'nurse-1', hospitalId: 'h1' };
+
+const bed = (extra = {}) => ({
+  id: 'bed-1', bedNumber: 'B-12', wardId: 'ward-1', wardName: 'Ward A', hospitalId: 'h1',
+  status: BED_STATUS.AVAILABLE, isActive: true, reservedFor: null, vacatedAt: null,
+  ...extra,
+});
+
+const ward = (extra = {}) => ({
+  id: 'ward-1', wardName: 'Ward A', hospitalId: 'h1', isActive: true, totalBeds: 10, availableBeds: 4, ...extra,
+});
+
+function setup(answers) {
+  const { client, calls, trace } = answeringClient({
+    ipdBedStatusLog: { create: ({ data }) => data },
+    ipdWard: { update: ({ where, data }) => ({ id: where.id, ...data }) },
+    ...answers,
+  });
+  return { service: new IPDBedService(client), calls, trace };
+}
+
+const wardUpdates = (calls) => callsTo(calls, 'ipdWard.update').map(({ args }) => [args.where.id, args.data]);
+
+// ==================== TRANSITIONS ====================
+
+test('a vacated bed is cleaned and made ready again, with the turnaround logged', async () => {
+  const vacatedAt = new Date('2026-10-19T08:00:00Z');
+  const { service, calls } = setup({
+    ipdBed: {
+      findUnique: bed({ status: BED_STATUS.CLEANING, vacatedAt, cleaningStartedAt: vacatedAt }),
+      updateMany: { count: 1 },
+    },
+  });
+
+  const ready = await service.transitionBed('bed-1', BED_STATUS.AVAILABLE, {
+    changedBy: 'hk-1', at: new Date('2026-10-19T08:47:00Z'),
+  });
+
+  const [update] = callsTo(calls, 'ipdBed.updateMany');
+  assert.deepEqual(update.args.where, { id: 'bed-1', status: BED_STATUS.CLEANING });
+  assert.equal(update.args.data.lastTurnaroundMinutes, 47);
+  assert.equal(update.args.data.vacatedAt, null);
+  assert.equal(update.args.data.cleaningStartedAt, null);
+  assert.equal(ready.status, BED_STATUS.AVAILABLE);
+
+  assert.deepEqual(wardUpdates(calls), [['ward-1', { availableBeds: { increment: 1 } }]]);
+
+  const [log] = callsTo(calls, 'ipdBedStatusLog.create');
+  assert.deepEqual(
+    [log.args.data.fromStatus, log.args.data.toStatus, log.args.data.turnaroundMinutes, log.args.data.changedBy],
+    [BED_STATUS.CLEANING, BED_STATUS.AVAILABLE, 47, 'hk-1']
+  );
+});
+
+test('a patient leaving an occupied bed starts the turnaround clock without touching availability', async () => {
+  const at = new Date('2026-10-19T10:00:00Z');
+  const { service, calls } = setup({
+    ipdBed: { findUnique: bed({ status: BED_STATUS.OCCUPIED, occupiedBy: 'P1' }), updateMany: { count: 1 } },
+  });
+
+  await service.transitionBed('bed-1', BED_STATUS.CLEANING, { at });
+
+  const [{ args: { data } }] = callsTo(calls, 'ipdBed.updateMany');
+  assert.equal(data.occupiedBy, null);
+  assert.deepEqual(data.vacatedAt, at);
+  assert.deepEqual(data.cleaningStartedAt, at);
+  assert.deepEqual(wardUpdates(calls), []);
+  assert.equal(callsTo(calls, 'ipdBedStatusLog.create')[0].args.data.turnaroundMinutes, null);
+});
+
+test('admitting into an available bed takes it off the ward availability', async () => {
+  const { service, calls } = setup({ ipdBed: { findUnique: bed(), updateMany: { count: 1 } } });
+
+  await service.transitionBed('bed-1', BED_STATUS.OCCUPIED, { patientId: 'P1' });
+
+  assert.equal(callsTo(calls, 'ipdBed.updateMany')[0].args.data.occupiedBy, 'P1');
+  assert.deepEqual(wardUpdates(calls), [['ward-1', { availableBeds: { increment: -1 } }]]);
+});
+
+test('status changes outside the transition table are refused', async () => {
+  const { service, calls } = setup({ ipdBed: { findUnique: bed({ status: BED_STATUS.OCCUPIED }) } });
+
+  await assert.rejects(service.transitionBed('bed-1', BED_STATUS.AVAILABLE), { statusCode: 400 });
+  await assert.rejects(service.transitionBed('bed-1', BED_STATUS.BLOCKED), { statusCode: 400 });
+  assert.equal(callsTo(calls, 'ipdBed.updateMany').length, 0);
+});
+
+test('a reserved bed only takes the patient it is reserved for', async () => {
+  const { service } = setup({ ipdBed: { findUnique: bed({ status: BED_STATUS.RESERVED, reservedFor: 'P1' }) } });
+
+  await assert.rejects(service.transitionBed('bed-1', BED_STATUS.OCCUPIED, { patientId: 'P2' }), { statusCode: 409 });
+});
+
+test('a bed changed by someone else since it was read is not overwritten', async () => {
+  const { service, calls } = setup({ ipdBed: { findUnique: bed(), updateMany: { count: 0 } } });
+
+  await assert.rejects(service.transitionBed('bed-1', BED_STATUS.OCCUPIED, { patientId: 'P1' }), { statusCode: 409 });
+  assert.deepEqual(wardUpdates(calls), []);
+  assert.equal(callsTo(calls, 'ipdBedStatusLog.create').length, 0);
+});
+
+test('manual status changes exclude OCCUPIED and announce beds that become available', async () => {
+  const announced = [];
+  const listener = (event) => announced.push(event);
+  bedEvents.on('bed', listener);
+
+  try {
+    const { service, trace } = setup({
+      ipdBed: { findUnique: bed({ status: BED_STATUS.BLOCKED }), updateMany: { count: 1 } },
+    });
+
+    await assert.rejects(service.updateBedStatus('bed-1', BED_STATUS.OCCUPIED, '', nurse), { statusCode: 400 });
+    await service.updateBedStatus('bed-1', BED_STATUS.AVAILABLE, 'Repaired', nurse);
+
+    assert.ok(trace().every(call => call.endsWith('(tx)')), trace().join('\n'));
+    assert.deepEqual(announced, [{ event: 'BED_AVAILABLE', payload: { hospitalId: 'h1', bedId: 'bed-1', wardId: 'ward-1' } }]);
+  } finally {
+    bedEvents.off('bed', listener);
+  }
+});
+
+// ==================== BED MASTER ====================
+
+test('a new bed is available and counted in its ward', async () => {
+  const { service, calls, trace } = setup({
+    ipdWard: { findUnique: ward(), update: ({ data }) => data },
+    ipdBed: { findUnique: null, create: ({ data }) => ({ id: 'bed-9', ...data }) },
+  });
+
+  const created = await service.createBed({ wardId: 'ward-1', bedNumber: 'B-13', bedType: 'GENERAL' }, nurse);
+
+  assert.equal(created.status, BED_STATUS.AVAILABLE);
+  assert.equal(created.wardName, 'Ward A');
+  assert.deepEqual(wardUpdates(calls), [['ward-1', { totalBeds: { increment: 1 }, availableBeds: { increment: 1 } }]]);
+  assert.deepEqual(trace().slice(-2), ['ipdBed.create (tx)', 'ipdWard.update (tx)']);
+});
+
+test('bed numbers are unique within a ward, and inactive wards take no beds', async () => {
+  const { service } = setup({ ipdWard: { findUnique: ward() }, ipdBed: { findUnique: bed() } });
+  await assert.rejects(service.createBed({ wardId: 'ward-1', bedNumber: 'B-12' }, nurse), { statusCode: 409 });
+
+  const { service: inactive } = setup({ ipdWard: { findUnique: ward({ isActive: false }) } });
+  await assert.rejects(inactive.createBed({ wardId: 'ward-1', bedNumber: 'B-13' }, nurse), { statusCode: 400 });
+});
+
+test('moving a bed to another ward moves its counts with it', async () => {
+  const { service, calls } = setup({
+    ipdBed: {
+      findUnique: ({ where }) => (where.id ? bed() : null),
+      update: ({ data }) => ({ ...bed(), ...data }),
+    },
+    ipdWard: { findUnique: ward({ id: 'ward-2', wardName: 'Ward B' }), update: ({ data }) => data },
+  });
+
+  const moved = await service.updateBed('bed-1', { wardId: 'ward-2' }, nurse);
+
+  assert.equal(moved.wardName, 'Ward B');
+  assert.deepEqual(wardUpdates(calls), [
+    ['ward-1', { totalBeds: { increment: -1 }, availableBeds: { increment: -1 } }],
+    ['ward-2', { totalBeds: { increment: 1 }, availableBeds: { increment: 1 } }],
+  ]);
+});
+
+test('a bed holding a patient cannot change ward or be removed', async () => {
+  const { service } = setup({ ipdBed: { findUnique: { ...bed({ status: BED_STATUS.RESERVED }), _count: { admissions: 0 } } } });
+
+  await assert.rejects(service.updateBed('bed-1', { wardId: 'ward-2' }, nurse), { statusCode: 400 });
+  await assert.rejects(service.removeBed('bed-1'), { statusCode: 400 });
+});
+
+test('a bed with admission history is retired instead of deleted', async () => {
+  const { service, calls } = setup({
+    ipdBed: {
+      findUnique: { ...bed({ status: BED_STATUS.BLOCKED }), _count: { admissions: 3 } },
+      update: ({ data }) => data,
+    },
+  });
+
+  assert.deepEqual(await service.removeBed('bed-1'), { bedId: 'bed-1', bedNumber: 'B-12', retired: true });
+  assert.equal(callsTo(calls, 'ipdBed.update')[0].args.data.isActive, false);
+  assert.deepEqual(wardUpdates(calls), [['ward-1', { totalBeds: { increment: -1 } }]]);
+
+  const { service: unused, calls: unusedCalls } = setup({
+    ipdBed: { findUnique: { ...bed(), _count: { admissions: 0 } }, delete: bed() },
+  });
+  assert.equal((await unused.removeBed('bed-1')).retired, false);
+  assert.deepEqual(wardUpdates(unusedCalls), [['ward-1', { totalBeds: { increment: -1 }, availableBeds: { increment: -1 } }]]);
+});
@@ -0,0 +1,982 @@
+/**
+ * IPD Running Bill Service
+ * Interim bill per admission: accrues charges from bed days, orders, procedures,
+ * medication administrations, pharmacy dispenses and diagnostic orders, takes
+ * advance deposits and settles into a final GST bill at discharge.
+ *
+ * Charges are captured idempotently (one charge per admission + source record),
+ * so accrual can run as often as needed - on demand, from the dashboard, or from
+ * the accrual worker.
+ */
+
+import { randomUUID } from 'crypto';
+import logger from '../utils/logger.js';
+import { AppError } from '../shared/AppError.js';
+import { BillingService } from './billing.service.js';
+import { PaymentLedgerService, ADVANCE_TENDER } from './billing.ledger.service.js';
+import { PaymentTransactionRepository } from './billing.repository.js';
+import { calculateAdvanceBalance, BILL_PAYMENT_STATUS, LEDGER_ENTRY_TYPES, LEDGER_ENTRY_STATUS } from '../utils/paymentStatus.utils.js';
+import { computeInvoiceTax, roundCurrency } from '../utils/gst.utils.js';
+import { SERVICE_CATALOG } from '../constants/serviceCatalog.js';
+
+export const RUNNING_BILL_STATUS = {
+  OPEN: 'OPEN',
+  FINALIZED: 'FINALIZED',
+  SETTLED: 'SETTLED',
+};
+
+export const IPD_CHARGE_TYPES = {
+  BED: 'BED',
+  ORDER: 'ORDER',
+  PROCEDURE: 'PROCEDURE',
+  MEDICATION: 'MEDICATION',
+  PHARMACY: 'PHARMACY',
+  DIAGNOSTIC: 'DIAGNOSTIC',
+  MANUAL: 'MANUAL',
+};
+
+const SOURCE_TYPES = {
+  BED_DAY: 'BED_DAY',
+  IPD_ORDER: 'IPD_ORDER',
+  IPD_PROCEDURE: 'IPD_PROCEDURE',
+  MEDICATION_ADMINISTRATION: 'MEDICATION_ADMINISTRATION',
+  PRESCRIPTION_DISPENSE: 'PRESCRIPTION_DISPENSE',
+  DIAGNOSTIC_ORDER: 'DIAGNOSTIC_ORDER',
+  MANUAL: 'MANUAL',
+};
+
+// IPDBed.bedType -> "Inpatient / Bed Charges" catalog entry
+const BED_CATEGORY = 'Inpatient / Bed Charges';
+const BED_TYPE_SERVICES = {
+  GENERAL: 'General Ward',
+  SEMI_PRIVATE: 'Semi-Private Room',
+  PRIVATE: 'Private Room',
+  ICU: 'ICU',
+};
+
+const BILLABLE_ORDER_STATUSES = ['ACCEPTED', 'IN_PROGRESS', 'COMPLETED'];
+
+// Final bill statuses that clear the patient for discharge
+const SETTLED_BILL_STATUSES = [BILL_PAYMENT_STATUS.PAID, BILL_PAYMENT_STATUS.CREDITED];
+
+/**
+ * Local calendar day key (YYYY-MM-DD)
+ */
+const toDayKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+/**
+ * Case-insensitive service catalog lookup by name
+ */
+const findCatalogService = (name) => {
+  if (!name) return null;
+  const needle = String(name).trim().toLowerCase();
+  for (const group of SERVICE_CATALOG) {
+    const service = group.services.find(s => s.serviceName.toLowerCase() === needle);
+    if (service) {
+      return { serviceName: service.serviceName, category: group.category, price: Number(service.defaultPrice) };
+    }
+  }
+  return null;
+};
+
+/**
+ * Price and quantity carried on a source record's JSON details, if any
+ */
+const priceFromDetails = (details) => {
+  if (!details || typeof details !== 'object') return null;
+  const unitPrice = Number(details.unitPrice ?? details.price);
+  if (!Number.isFinite(unitPrice) || unitPrice < 0) return null;
+  const quantity = Number(details.quantity) > 0 ? Number(details.quantity) : 1;
+  return { unitPrice, quantity };
+};
+
+export class IPDBillingService {
+  constructor(prisma) {
+    this.prisma = prisma;
+    this.billingService = new BillingService(prisma);
+    this.paymentLedgerService = new PaymentLedgerService(prisma);
+    this.transactionRepository = new PaymentTransactionRepository(prisma);
+  }
+
+  /**
+   * Load admission with patient and current bed
+   */
+  async getAdmission(admissionId) {
+    const admission = await this.prisma.ipdAdmission.findUnique({
+      where: { id: admissionId },
+      include: { patient: true, bed: true },
+    });
+
+    if (!admission) {
+      throw new AppError('Admission not found', 404);
+    }
+
+    return admission;
+  }
+
+  /**
+   * Running bill for admission (created on first use)
+   */
+  async getOrCreateRunningBill(admission) {
+    const existing = await this.prisma.ipdRunningBill.findUnique({
+      where: { admissionId: admission.id },
+    });
+    if (existing) return existing;
+
+    return this.prisma.ipdRunningBill.upsert({
+      where: { admissionId: admission.id },
+      update: {},
+      create: {
+        admissionId: admission.id,
+        patientId: admission.patient.patientId,
+        hospitalId: admission.hospitalId,
+      },
+    });
+  }
+
+  // ==================== CHARGE CAPTURE ====================
+
+  /**
+   * Daily bed tariff by bed type
+   * An active IPD Service with code BED_<TYPE> overrides the catalog price.
+   */
+  async getBedTariff(hospitalId, bedType) {
+    const type = BED_TYPE_SERVICES[bedType] ? bedType : 'GENERAL';
+
+    const service = await this.prisma.service.findFirst({
+      where: { hospitalId, serviceCode: `BED_${type}`, serviceType: 'IPD', isActive: true },
+    });
+    if (service) {
+      return { description: service.serviceName, category: BED_CATEGORY, price: Number(service.basePrice) };
+    }
+
+    const catalogEntry = findCatalogService(BED_TYPE_SERVICES[type]);
+    return {
+      description: BED_TYPE_SERVICES[type],
+      category: BED_CATEGORY,
+      price: catalogEntry ? catalogEntry.price : 0,
+    };
+  }
+
+  /**
+   * Bed-day charges from the admission day through `until`
+   * Each day is charged at the tariff of the bed occupied when it is first accrued.
+   */
+  async collectBedDays(admission, until) {
+    if (!admission.bed) return [];
+
+    const tariff = await this.getBedTariff(admission.hospitalId, admission.bed.bedType);
+    const charges = [];
+    const last = startOfDay(until);
+
+    for (let day = startOfDay(admission.admissionDate); day <= last; day.setDate(day.getDate() + 1)) {
+      charges.push({
+        chargeType: IPD_CHARGE_TYPES.BED,
+        sourceType: SOURCE_TYPES.BED_DAY,
+        sourceId: toDayKey(day),
+        description: `${tariff.description} - Bed ${admission.bed.bedNumber}`,
+        category: tariff.category,
+        serviceDate: new Date(day),
+        quantity: 1,
+        unitPrice: tariff.price,
+      });
+    }
+
+    return charges;
+  }
+
+  /**
+   * Charges for accepted/completed clinical orders (medication orders are
+   * charged when administered or dispensed instead)
+   */
+  async collectOrders(admission, cancelled, unpriced) {
+    const orders = await this.prisma.ipdOrder.findMany({
+      where: { admissionId: admission.id, orderType: { not: 'MEDICATION' } },
+    });
+
+    const charges = [];
+    for (const order of orders) {
+      if (order.status === 'CANCELLED') {
+        cancelled.push({ sourceType: SOURCE_TYPES.IPD_ORDER, sourceId: order.id });
+        continue;
+      }
+      if (!BILLABLE_ORDER_STATUSES.includes(order.status)) continue;
+
+      const catalogEntry = findCatalogService(order.orderDescription);
+      const priced = priceFromDetails(order.orderDetails)
+        || (catalogEntry ? { unitPrice: catalogEntry.price, quantity: 1 } : null);
+
+      if (!priced) {
+        unpriced.push({ sourceType: SOURCE_TYPES.IPD_ORDER, sourceId: order.id, description: order.orderDescription });
+        continue;
+      }
+
+      charges.push({
+        chargeType: IPD_CHARGE_TYPES.ORDER,
+        sourceType: SOURCE_TYPES.IPD_ORDER,
+        sourceId: order.id,
+        description: `${order.orderType}: ${order.orderDescription}`,
+        category: catalogEntry?.category || null,
+        serviceDate: order.completionDate || order.scheduledDate || order.createdAt,
+        ...priced,
+      });
+    }
+
+    return charges;
+  }
+
+  /**
+   * Charges for procedures that have taken place (scheduled time reached)
+   */
+  async collectProcedures(admission, until, cancelled, unpriced) {
+    const procedures = await this.prisma.ipdProcedure.findMany({
+      where: { admissionId: admission.id },
+    });
+
+    const charges = [];
+    for (const procedure of procedures) {
+      if (procedure.status === 'CANCELLED') {
+        cancelled.push({ sourceType: SOURCE_TYPES.IPD_PROCEDURE, sourceId: procedure.id });
+        continue;
+      }
+      if (procedure.scheduledDate > until) continue;
+
+      const catalogEntry = findCatalogService(procedure.procedureName);
+      const unitPrice = procedure.chargeAmount ?? catalogEntry?.price;
+
+      if (unitPrice === undefined || unitPrice === null) {
+        unpriced.push({ sourceType: SOURCE_TYPES.IPD_PROCEDURE, sourceId: procedure.id, description: procedure.procedureName });
+        continue;
+      }
+
+      charges.push({
+        chargeType: IPD_CHARGE_TYPES.PROCEDURE,
+        sourceType: SOURCE_TYPES.IPD_PROCEDURE,
+        sourceId: procedure.id,
+        description: `Procedure: ${procedure.procedureName}`,
+        category: catalogEntry?.category || null,
+        serviceDate: procedure.scheduledDate,
+        quantity: 1,
+        unitPrice: Number(unitPrice),
+      });
+    }
+
+    return charges;
+  }
+
+  /**
+   * Charges for administered doses not already billed through a pharmacy dispense
+   */
+  async collectMedications(admission, unpriced) {
+    const administrations = await this.prisma.ipdMedicationAdministration.findMany({
+      where: { admissionId: admission.id, status: 'ADMINISTERED' },
+    });
+
+    const charges = [];
+    for (const mar of administrations) {
+      const details = mar.prescriptionDetails || {};
+      if (details.dispenseId) continue;
+
+      let priced = priceFromDetails(details);
+      if (!priced) {
+        const drug = details.drugId
+          ? await this.prisma.drug.findFirst({ where: { id: details.drugId, hospitalId: admission.hospitalId } })
+          : await this.prisma.drug.findFirst({
+            where: { hospitalId: admission.hospitalId, drugName: { equals: mar.medicationName, mode: 'insensitive' } },
+          });
+        if (drug) {
+          priced = { unitPrice: Number(drug.sellingPrice), quantity: Number(details.quantity) > 0 ? Number(details.quantity) : 1 };
+        }
+      }
+
+      if (!priced) {
+        unpriced.push({ sourceType: SOURCE_TYPES.MEDICATION_ADMINISTRATION, sourceId: mar.id, description: mar.medicationName });
+        continue;
+      }
+
+      charges.push({
+        chargeType: IPD_CHARGE_TYPES.MEDICATION,
+        sourceType: SOURCE_TYPES.MEDICATION_ADMINISTRATION,
+        sourceId: mar.id,
+        description: [mar.medicationName, mar.dosage].filter(Boolean).join(' '),
+        category: 'Pharmacy',
+        serviceDate: mar.administeredTime,
+        ...priced,
+      });
+    }
+
+    return charges;
+  }
+
+  /**
+   * Pharmacy dispenses raised against the admission (amounts already include tax)
+   */
+  async collectDispenses(admission, cancelled) {
+    const dispenses = await this.prisma.prescriptionDispense.findMany({
+      where: { admissionId: admission.id, hospitalId: admission.hospitalId },
+    });
+
+    const charges = [];
+    for (const dispense of dispenses) {
+      if (!['DISPENSED', 'PARTIALLY_RETURNED'].includes(dispense.status)) {
+        cancelled.push({ sourceType: SOURCE_TYPES.PRESCRIPTION_DISPENSE, sourceId: dispense.id });
+        continue;
+      }
+
+      // Partial returns reduce the captured charge to the net amount
+      const netAmount = roundCurrency(Number(dispense.totalAmount) - Number(dispense.returnedAmount || 0));
+      if (dispense.returnedAmount > 0) {
+        await this.prisma.ipdCharge.updateMany({
+          where: {
+            admissionId: admission.id,
+            sourceType: SOURCE_TYPES.PRESCRIPTION_DISPENSE,
+            sourceId: dispense.id,
+            status: 'ACTIVE',
+          },
+          data: { unitPrice: netAmount, amount: netAmount },
+        });
+      }
+
+      charges.push({
+        chargeType: IPD_CHARGE_TYPES.PHARMACY,
+        sourceType: SOURCE_TYPES.PRESCRIPTION_DISPENSE,
+        sourceId: dispense.id,
+        description: `Pharmacy dispense ${dispense.dispenseId}`,
+        category: 'Pharmacy',
+        serviceDate: dispense.createdAt,
+        quantity: 1,
+        unitPrice: netAmount,
+        taxInclusive: true,
+      });
+    }
+
+    return charges;
+  }
+
+  /**
+   * IPD diagnostic orders placed during the admission
+   * Charges follow the order's current net amount until the running bill is finalized;
+   * an order billed on its own bill (billId set) is dropped from the running bill.
+   */
+  async collectDiagnostics(admission, cancelled) {
+    const orders = await this.prisma.diagnosticOrder.findMany({
+      where: {
+        hospitalId: admission.hospitalId,
+        patientId: admission.patientId,
+        sourceType: 'IPD',
+        createdAt: { gte: admission.admissionDate },
+      },
+    });
+
+    const charges = [];
+    for (const order of orders) {
+      if (order.status === 'CANCELLED') {
+        cancelled.push({ sourceType: SOURCE_TYPES.DIAGNOSTIC_ORDER, sourceId: order.id });
+        continue;
+      }
+
+      if (order.billId) {
+        cancelled.push({ sourceType: SOURCE_TYPES.DIAGNOSTIC_ORDER, sourceId: order.id, reason: 'Billed separately' });
+        continue;
+      }
+
+      // Tests added to / removed from the order since it was first captured
+      const netAmount = roundCurrency(Number(order.netAmount));
+      await this.prisma.ipdCharge.updateMany({
+        where: {
+          admissionId: admission.id,
+          sourceType: SOURCE_TYPES.DIAGNOSTIC_ORDER,
+          sourceId: order.id,
+          status: 'ACTIVE',
+          NOT: { unitPrice: netAmount },
+        },
+        data: { unitPrice: netAmount, amount: netAmount },
+      });
+
+      charges.push({
+        chargeType: IPD_CHARGE_TYPES.DIAGNOSTIC,
+        sourceType: SOURCE_TYPES.DIAGNOSTIC_ORDER,
+        sourceId: order.id,
+        description: `Diagnostic order ${order.orderId}`,
+        category: 'Laboratory',
+        serviceDate: order.createdAt,
+        quantity: 1,
+        unitPrice: netAmount,
+      });
+    }
+
+    return charges;
+  }
+
+  /**
+   * Capture outstanding charges for an admission
+   * @param {Object} options - { until: Date, final: boolean }
+   *   final: discharge-day accrual; the discharge day itself is not a bed day
+   *   (minimum one bed day per admission).
+   */
+  async accrueCharges(admissionId, options = {}) {
+    try {
+      const admission = await this.getAdmission(admissionId);
+      const runningBill = await this.getOrCreateRunningBill(admission);
+
+      if (runningBill.status !== RUNNING_BILL_STATUS.OPEN) {
+        return { runningBill, captured: 0, cancelled: 0, unpriced: [] };
+      }
+
+      const until = options.until ? new Date(options.until) : new Date();
+      let bedUntil = until;
+      if (options.final) {
+        bedUntil = new Date(Math.max(
+          startOfDay(admission.admissionDate).getTime(),
+          startOfDay(until).getTime() - 24 * 60 * 60 * 1000
+        ));
+      }
+
+      const cancelledSources = [];
+      const unpriced = [];
+      const collected = [
+        ...(admission.status === 'ACTIVE' || options.final ? await this.collectBedDays(admission, bedUntil) : []),
+        ...(await this.collectOrders(admission, cancelledSources, unpriced)),
+        ...(await this.collectProcedures(admission, until, cancelledSources, unpriced)),
+        ...(await this.collectMedications(admission, unpriced)),
+        ...(await this.collectDispenses(admission, cancelledSources)),
+        ...(await this.collectDiagnostics(admission, cancelledSources)),
+      ];
+
+      const data = collected.map(charge => ({
+        ...charge,
+        unitPrice: roundCurrency(charge.unitPrice),
+        amount: roundCurrency(charge.unitPrice * charge.quantity),
+        runningBillId: runningBill.id,
+        admissionId: admission.id,
+        hospitalId: admission.hospitalId,
+      }));
+
+      // Unique (admissionId, sourceType, sourceId) makes re-accrual a no-op
+      const { count: captured } = data.length
+        ? await this.prisma.ipdCharge.createMany({ data, skipDuplicates: true })
+        : { count: 0 };
+
+      let cancelled = 0;
+      for (const { reason = 'Source cancelled', ...source } of cancelledSources) {
+        const result = await this.prisma.ipdCharge.updateMany({
+          where: { admissionId: admission.id, ...source, status: 'ACTIVE' },
+          data: { status: 'CANCELLED', cancelledReason: reason },
+        });
+        cancelled += result.count;
+      }
+
+      if (options.final) {
+        const result = await this.prisma.ipdCharge.updateMany({
+          where: {
+            admissionId: admission.id,
+            sourceType: SOURCE_TYPES.BED_DAY,
+            status: 'ACTIVE',
+            serviceDate: { gt: bedUntil },
+          },
+          data: { status: 'CANCELLED', cancelledReason: 'After discharge' },
+        });
+        cancelled += result.count;
+      }
+
+      const updated = await this.refreshTotals(runningBill.id, { lastAccruedAt: new Date() });
+
+      if (captured > 0 || cancelled > 0) {
+        logger.info(`IPD charges accrued for admission ${admissionId}: ${captured} captured, ${cancelled} cancelled`);
+      }
+
+      return { runningBill: updated, captured, cancelled, unpriced };
+    } catch (error) {
+      logger.error(`Accrue IPD Charges Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Accrue charges for every active admission (used by the accrual worker)
+   */
+  async accrueActiveAdmissions() {
+    const admissions = await this.prisma.ipdAdmission.findMany({
+      where: { status: 'ACTIVE' },
+      select: { id: true },
+    });
+
+    let captured = 0;
+    let failed = 0;
+    for (const admission of admissions) {
+      try {
+        const result = await this.accrueCharges(admission.id);
+        captured += result.captured;
+      } catch (error) {
+        failed += 1;
+      }
+    }
+
+    return { admissions: admissions.length, captured, failed };
+  }
+
+  /**
+   * Recalculate cached total of active charges
+   */
+  async refreshTotals(runningBillId, extra = {}) {
+    const aggregate = await this.prisma.ipdCharge.aggregate({
+      where: { runningBillId, status: 'ACTIVE' },
+      _sum: { amount: true },
+    });
+
+    return this.prisma.ipdRunningBill.update({
+      where: { id: runningBillId },
+      data: { totalCharges: roundCurrency(aggregate._sum.amount || 0), ...extra },
+    });
+  }
+
+  // ==================== MANUAL CHARGES ====================
+
+  /**
+   * Add a manual charge (consumables, consultations, etc.)
+   */
+  async addManualCharge(admissionId, data, currentUser) {
+    try {
+      const { description, category, quantity = 1, unitPrice, serviceDate } = data;
+
+      if (!description || !String(description).trim()) {
+        throw new AppError('Charge description is required', 400);
+      }
+      const price = Number(unitPrice);
+      const qty = Number(quantity);
+      if (!Number.isFinite(price) || price < 0 || !Number.isFinite(qty) || qty <= 0) {
+        throw new AppError('Valid unitPrice and quantity are required', 400);
+      }
+
+      const admission = await this.getAdmission(admissionId);
+      const runningBill = await this.getOrCreateRunningBill(admission);
+      this.assertOpen(runningBill);
+
+      const charge = await this.prisma.ipdCharge.create({
+        data: {
+          runningBillId: runningBill.id,
+          admissionId,
+          chargeType: IPD_CHARGE_TYPES.MANUAL,
+          sourceType: SOURCE_TYPES.MANUAL,
+          sourceId: randomUUID(),
+          description: String(description).trim(),
+          category: category || null,
+          serviceDate: serviceDate ? new Date(serviceDate) : new Date(),
+          quantity: qty,
+          unitPrice: roundCurrency(price),
+          amount: roundCurrency(price * qty),
+          createdBy: currentUser.id,
+          hospitalId: admission.hospitalId,
+        },
+      });
+
+      await this.refreshTotals(runningBill.id);
+
+      logger.info(`Manual charge added for admission ${admissionId}`);
+      return charge;
+    } catch (error) {
+      logger.error(`Add IPD Charge Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a charge (captured charges stay cancelled on re-accrual)
+   */
+  async cancelCharge(admissionId, chargeId, reason, currentUser) {
+    try {
+      if (!reason || !String(reason).trim()) {
+        throw new AppError('Cancellation reason is required', 400);
+      }
+
+      const charge = await this.prisma.ipdCharge.findFirst({
+        where: { id: chargeId, admissionId },
+        include: { runningBill: true },
+      });
+
+      if (!charge) {
+        throw new AppError('Charge not found', 404);
+      }
+      this.assertOpen(charge.runningBill);
+
+      if (charge.status === 'CANCELLED') {
+        throw new AppError('Charge is already cancelled', 400);
+      }
+
+      const cancelled = await this.prisma.ipdCharge.update({
+        where: { id: chargeId },
+        data: {
+          status: 'CANCELLED',
+          cancelledReason: String(reason).trim(),
+          cancelledBy: currentUser.id,
+        },
+      });
+
+      await this.refreshTotals(charge.runningBillId);
+
+      logger.info(`IPD charge ${chargeId} cancelled`);
+      return cancelled;
+    } catch (error) {
+      logger.error(`Cancel IPD Charge Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  assertOpen(runningBill) {
+    if (runningBill.status !== RUNNING_BILL_STATUS.OPEN) {
+      throw new AppError('Running bill is already finalized', 400);
+    }
+  }
+
+  // ==================== DEPOSITS ====================
+
+  /**
+   * Collect an advance deposit against the admission
+   * Deposits go to the patient's advance account and are applied to the final bill.
+   */
+  async collectDeposit(admissionId, data, currentUser) {
+    try {
+      const admission = await this.getAdmission(admissionId);
+      await this.getOrCreateRunningBill(admission);
+
+      const result = await this.paymentLedgerService.recordAdvance(
+        admission.patient.patientId,
+        { ...data, admissionId },
+        admission.hospitalId,
+        currentUser.id
+      );
+
+      logger.info(`Deposit collected for admission ${admissionId}`);
+      return result;
+    } catch (error) {
+      logger.error(`Collect IPD Deposit Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Deposits collected against this admission and the patient's available advance
+   */
+  async getDeposits(admission) {
+    const entries = await this.transactionRepository.findAdvanceEntries(admission.patient.patientId, admission.hospitalId);
+    const deposits = entries.filter(
+      e => e.admissionId === admission.id && e.type === LEDGER_ENTRY_TYPES.ADVANCE && e.status === LEDGER_ENTRY_STATUS.COMPLETED
+    );
+
+    return {
+      deposits,
+      depositTotal: roundCurrency(deposits.reduce((total, e) => total + e.amount, 0)),
+      advanceBalance: calculateAdvanceBalance(entries),
+    };
+  }
+
+  // ==================== VIEW ====================
+
+  /**
+   * Running bill with charges, deposits and live balance
+   */
+  async getRunningBill(admissionId) {
+    try {
+      const accrual = await this.accrueCharges(admissionId);
+      const admission = await this.getAdmission(admissionId);
+      const runningBill = await this.syncSettlement(accrual.runningBill);
+
+      const [charges, deposits] = await Promise.all([
+        this.prisma.ipdCharge.findMany({
+          where: { runningBillId: runningBill.id },
+          orderBy: [{ serviceDate: 'asc' }, { createdAt: 'asc' }],
+        }),
+        this.getDeposits(admission),
+      ]);
+
+      const byType = {};
+      for (const charge of charges.filter(c => c.status === 'ACTIVE')) {
+        byType[charge.chargeType] = roundCurrency((byType[charge.chargeType] || 0) + charge.amount);
+      }
+
+      return {
+        runningBill,
+        charges,
+        deposits: deposits.deposits,
+        unpriced: accrual.unpriced,
+        summary: {
+          ...(await this.buildSummary(runningBill, deposits)),
+          byType,
+        },
+      };
+    } catch (error) {
+      logger.error(`Get Running Bill Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Billing summary for the admission dashboard
+   */
+  async getBillingSummary(admissionId) {
+    try {
+      const accrual = await this.accrueCharges(admissionId);
+      const admission = await this.getAdmission(admissionId);
+      const runningBill = await this.syncSettlement(accrual.runningBill);
+
+      return this.buildSummary(runningBill, await this.getDeposits(admission));
+    } catch (error) {
+      logger.error(`Get IPD Billing Summary Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Totals and balance
+   * Before finalization the balance is charges (pre-tax) less available advance;
+   * afterwards it is the final bill's balance due.
+   */
+  async buildSummary(runningBill, deposits) {
+    const finalBill = runningBill.finalBillId
+      ? await this.prisma.bill.findUnique({ where: { id: runningBill.finalBillId } })
+      : null;
+
+    const balanceDue = finalBill
+      ? roundCurrency(finalBill.balanceDue ?? 0)
+      : roundCurrency(Math.max(0, runningBill.totalCharges - deposits.advanceBalance));
+
+    return {
+      status: runningBill.status,
+      totalCharges: runningBill.totalCharges,
+      depositTotal: deposits.depositTotal,
+      advanceBalance: deposits.advanceBalance,
+      balanceDue,
+      finalBill: finalBill
+        ? {
+          billId: finalBill.billId,
+          invoiceNumber: finalBill.invoiceNumber,
+          totalAmount: finalBill.totalAmount,
+          paymentStatus: finalBill.paymentStatus,
+          balanceDue: finalBill.balanceDue,
+        }
+        : null,
+      lastAccruedAt: runningBill.lastAccruedAt,
+      dischargeOverride: runningBill.dischargeOverride,
+      dischargeCleared: runningBill.status === RUNNING_BILL_STATUS.SETTLED || runningBill.dischargeOverride,
+    };
+  }
+
+  // ==================== FINALIZATION & SETTLEMENT ====================
+
+  /**
+   * Finalize the running bill into a GST bill and apply available advance
+   */
+  async finalizeBill(admissionId, data, currentUser) {
+    try {
+      const accrual = await this.accrueCharges(admissionId, { final: true });
+      const admission = await this.getAdmission(admissionId);
+      const runningBill = accrual.runningBill;
+
+      this.assertOpen(runningBill);
+
+      const charges = await this.prisma.ipdCharge.findMany({
+        where: { runningBillId: runningBill.id, status: 'ACTIVE' },
+        orderBy: { serviceDate: 'asc' },
+      });
+
+      if (charges.length === 0) {
+        throw new AppError('No charges to bill for this admission', 400);
+      }
+
+      // Bed days are grouped into one line per tariff; other charges stay itemised
+      const lines = [];
+      const bedLines = new Map();
+      for (const charge of charges) {
+        if (charge.chargeType === IPD_CHARGE_TYPES.BED) {
+          const key = `${charge.description}::${charge.unitPrice}`;
+          const line = bedLines.get(key) || {
+            serviceName: charge.description,
+            category: charge.category,
+            quantity: 0,
+            unitPrice: charge.unitPrice,
+            amount: 0,
+          };
+          line.quantity += charge.quantity;
+          line.amount = roundCurrency(line.amount + charge.amount);
+          bedLines.set(key, line);
+          continue;
+        }
+
+        lines.push({
+          serviceName: charge.description,
+          category: charge.category || charge.chargeType,
+          quantity: charge.quantity,
+          unitPrice: charge.unitPrice,
+          amount: charge.amount,
+          // Pharmacy amounts already include GST
+          taxRate: charge.taxInclusive ? 0 : undefined,
+        });
+      }
+      lines.unshift(...bedLines.values());
+
+      const [config, hospital] = await Promise.all([
+        this.billingService.getBillingConfig(admission.hospitalId),
+        this.prisma.hospital.findUnique({ where: { id: admission.hospitalId } }),
+      ]);
+      const supply = this.billingService.resolvePlaceOfSupply(config, hospital, admission.patient, data || {});
+      const tax = computeInvoiceTax(lines, config, supply.isInterState);
+
+      const billId = await this.billingService.generateBillId();
+
+      const bill = await this.prisma.$transaction(async (tx) => {
+        const invoiceNumber = await this.billingService.generateInvoiceNumber(tx, config.invoicePrefix);
+        const created = await tx.bill.create({
+          data: {
+            billId,
+            hospitalId: admission.hospitalId,
+            patientId: admission.patient.patientId,
+            services: tax.lines,
+            totalAmount: tax.totalAmount,
+            invoiceNumber,
+            subtotal: tax.subtotal,
+            cgstAmount: tax.cgstAmount,
+            sgstAmount: tax.sgstAmount,
+            igstAmount: tax.igstAmount,
+            taxAmount: tax.taxAmount,
+            balanceDue: tax.totalAmount,
+            isInterState: supply.isInterState,
+            placeOfSupply: supply.placeOfSupply,
+            customerGstin: supply.customerGstin,
+            paymentMode: 'Cash',
+            paymentStatus: 'UNPAID',
+            visitType: 'IPD',
+            createdBy: currentUser.id,
+          },
+        });
+
+        await tx.ipdRunningBill.update({
+          where: { id: runningBill.id },
+          data: {
+            status: RUNNING_BILL_STATUS.FINALIZED,
+            finalBillId: created.id,
+            finalizedAt: new Date(),
+            finalizedBy: currentUser.id,
+          },
+        });
+
+        return created;
+      });
+
+      // Apply deposits / advance to the final bill
+      let advanceApplied = 0;
+      const { advanceBalance } = await this.getDeposits(admission);
+      if (advanceBalance > 0) {
+        advanceApplied = roundCurrency(Math.min(advanceBalance, tax.totalAmount));
+        await this.paymentLedgerService.receivePayment(
+          bill.billId,
+          { payments: [{ paymentMode: ADVANCE_TENDER, amount: advanceApplied }], notes: 'IPD deposit applied at discharge' },
+          admission.hospitalId,
+          currentUser.id
+        );
+      }
+
+      const finalized = await this.syncSettlement(
+        await this.prisma.ipdRunningBill.findUnique({ where: { id: runningBill.id } })
+      );
+
+      logger.info(`IPD bill finalized for admission ${admissionId}: ${bill.billId}`);
+
+      return {
+        runningBill: finalized,
+        billId: bill.billId,
+        invoiceNumber: bill.invoiceNumber,
+        totalAmount: tax.totalAmount,
+        advanceApplied,
+        unpriced: accrual.unpriced,
+        summary: await this.buildSummary(finalized, await this.getDeposits(admission)),
+      };
+    } catch (error) {
+      logger.error(`Finalize IPD Bill Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a finalized running bill settled once its final bill is paid or credited
+   * (payments are taken through the billing counter against the final bill)
+   */
+  async syncSettlement(runningBill) {
+    if (runningBill.status !== RUNNING_BILL_STATUS.FINALIZED || !runningBill.finalBillId) {
+      return runningBill;
+    }
+
+    const finalBill = await this.prisma.bill.findUnique({ where: { id: runningBill.finalBillId } });
+    if (!finalBill || !SETTLED_BILL_STATUSES.includes(finalBill.paymentStatus)) {
+      return runningBill;
+    }
+
+    return this.prisma.ipdRunningBill.update({
+      where: { id: runningBill.id },
+      data: { status: RUNNING_BILL_STATUS.SETTLED, settledAt: new Date() },
+    });
+  }
+
+  /**
+   * Approve discharge before settlement (e.g. insurance pending, hospital-approved credit)
+   */
+  async approveDischargeOverride(admissionId, reason, currentUser) {
+    try {
+      if (!reason || !String(reason).trim()) {
+        throw new AppError('Override reason is required', 400);
+      }
+
+      const admission = await this.getAdmission(admissionId);
+      const runningBill = await this.getOrCreateRunningBill(admission);
+
+      const updated = await this.prisma.ipdRunningBill.update({
+        where: { id: runningBill.id },
+        data: {
+          dischargeOverride: true,
+          overrideReason: String(reason).trim(),
+          overrideApprovedBy: currentUser.id,
+          overrideApprovedAt: new Date(),
+        },
+      });
+
+      logger.info(`Discharge override approved for admission ${admissionId}`);
+      return updated;
+    } catch (error) {
+      logger.error(`Discharge Override Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Block discharge until the final bill is settled or an override is approved
+   */
+  async assertDischargeAllowed(admissionId) {
+    const admission = await this.getAdmission(admissionId);
+    const runningBill = await this.syncSettlement(await this.getOrCreateRunningBill(admission));
+
+    if (runningBill.status === RUNNING_BILL_STATUS.SETTLED || runningBill.dischargeOverride) {
+      return runningBill;
+    }
+
+    if (runningBill.status === RUNNING_BILL_STATUS.OPEN) {
+      throw new AppError('Discharge blocked: IPD bill has not been finalized', 409, 'IPD_BILL_NOT_SETTLED');
+    }
+
+    const finalBill = await this.prisma.bill.findUnique({ where: { id: runningBill.finalBillId } });
+    throw new AppError(
+      `Discharge blocked: IPD bill ${finalBill?.billId || ''} has a balance due of ${roundCurrency(finalBill?.balanceDue ?? 0)}`,
+      409,
+      'IPD_BILL_NOT_SETTLED'
+    );
+  }
+}
+
+export default IPDBillingService;
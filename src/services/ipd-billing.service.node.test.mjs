@@ -0,0 +1,217 @@
+/**
+ * IPD Billing Service - bed-day and tariff accrual, diagnostics re-pricing and
+ * final bill creation
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answeringClient, callsTo } from './prismaTestClient.node.mjs';
+import { IPDBillingService } from './ipd-billing.service.js';
+
+// ==================== BED TARIFF ====================
+
+test('an active IPD bed service of the hospital overrides the catalog tariff', async () => {
+  const { client, calls } = answeringClient({
+    service: { findFirst: { serviceName: 'ICU (Level 2)', basePrice: '9500' } },
+  });
+
+  const tariff = await new IPDBillingService(client).getBedTariff('h1', 'ICU');
+
+  assert.deepEqual(tariff, { description: 'ICU (Level 2)', category: 'Inpatient / Bed Charges', price: 9500 });
+  assert.deepEqual(callsTo(calls, 'service.findFirst')[0].args.where, {
+    hospitalId: 'h1', serviceCode: 'BED_ICU', serviceType: 'IPD', isActive: true,
+  });
+});
+
+test('without an override the catalog prices the bed type; unknown types are general ward', async () => {
+  const { client, calls } = answeringClient({ service: { findFirst: null } });
+  const service = new IPDBillingService(client);
+
+  assert.equal((await service.getBedTariff('h1', 'PRIVATE')).price, 4000);
+  assert.equal((await service.getBedTariff('h1', 'SEMI_PRIVATE')).price, 2000);
+  assert.deepEqual(await service.getBedTariff('h1', 'DAYCARE'), {
+    description: 'General Ward', category: 'Inpatient / Bed Charges', price: 500,
+  });
+  assert.equal(callsTo(calls, 'service.findFirst')[2].args.where.serviceCode, 'BED_GENERAL');
+});
+
+// ==================== BED-DAY ACCRUAL ====================
+
+const admissionDate = new Date(2026, 9, 17, 22, 30);
+const runningBill = { id: 'running-bill-1', status: 'OPEN', totalCharges: 0 };
+
+/**
+ * Accrual with no orders, procedures, medications or diagnostics - bed days only
+ */
+function accrual({ status = 'ACTIVE', bill = runningBill, bedType = 'PRIVATE' } = {}) {
+  const { client, calls } = answeringClient({
+    ipdAdmission: {
+      findUnique: {
+        id: 'admission-1', hospitalId: 'h1', patientId: 'P1', status, admissionDate,
+        patient: { patientId: 'P1' }, bed: { bedNumber: 'P-204', bedType },
+      },
+    },
+    ipdRunningBill: {
+      findUnique: bill,
+      update: ({ data }) => ({ ...bill, ...data }),
+    },
+    service: { findFirst: null },
+    ipdOrder: { findMany: [] },
+    ipdProcedure: { findMany: [] },
+    ipdMedicationAdministration: { findMany: [] },
+    prescriptionDispense: { findMany: [] },
+    diagnosticOrder: { findMany: [] },
+    ipdCharge: {
+      createMany: ({ data }) => ({ count: data.length }),
+      updateMany: { count: 2 },
+      aggregate: { _sum: { amount: 12000 } },
+    },
+  });
+  return { service: new IPDBillingService(client), calls };
+}
+
+const bedCharges = (calls) => callsTo(calls, 'ipdCharge.createMany')[0]?.args.data ?? [];
+
+test('an active admission accrues one bed day per calendar day, admission day included', async () => {
+  const { service, calls } = accrual();
+
+  const result = await service.accrueCharges('admission-1', { until: new Date(2026, 9, 19, 9, 0) });
+
+  const charges = bedCharges(calls);
+  assert.deepEqual(charges.map(c => c.sourceId), ['2026-10-17', '2026-10-18', '2026-10-19']);
+  assert.deepEqual(charges[0], {
+    chargeType: 'BED',
+    sourceType: 'BED_DAY',
+    sourceId: '2026-10-17',
+    description: 'Private Room - Bed P-204',
+    category: 'Inpatient / Bed Charges',
+    serviceDate: new Date(2026, 9, 17),
+    quantity: 1,
+    unitPrice: 4000,
+    amount: 4000,
+    runningBillId: 'running-bill-1',
+    admissionId: 'admission-1',
+    hospitalId: 'h1',
+  });
+  assert.equal(callsTo(calls, 'ipdCharge.createMany')[0].args.skipDuplicates, true);
+
+  assert.equal(result.captured, 3);
+  assert.equal(result.runningBill.totalCharges, 12000);
+  assert.ok(result.runningBill.lastAccruedAt instanceof Date);
+});
+
+test('final accrual does not charge the discharge day and cancels bed days accrued after it', async () => {
+  const { service, calls } = accrual();
+
+  const result = await service.accrueCharges('admission-1', { until: new Date(2026, 9, 20, 11, 0), final: true });
+
+  assert.deepEqual(bedCharges(calls).map(c => c.sourceId), ['2026-10-17', '2026-10-18', '2026-10-19']);
+
+  const [afterDischarge] = callsTo(calls, 'ipdCharge.updateMany');
+  assert.deepEqual(afterDischarge.args.where.serviceDate, { gt: new Date(2026, 9, 19) });
+  assert.equal(afterDischarge.args.where.sourceType, 'BED_DAY');
+  assert.deepEqual(afterDischarge.args.data, { status: 'CANCELLED', cancelledReason: 'After discharge' });
+  assert.equal(result.cancelled, 2);
+});
+
+test('a same-day discharge is still charged one bed day', async () => {
+  const { service, calls } = accrual({ bedType: 'ICU' });
+
+  await service.accrueCharges('admission-1', { until: new Date(2026, 9, 17, 23, 45), final: true });
+
+  assert.deepEqual(bedCharges(calls).map(c => [c.sourceId, c.unitPrice]), [['2026-10-17', 8000]]);
+});
+
+test('bed days stop accruing once the admission is no longer active', async () => {
+  const { service, calls } = accrual({ status: 'DISCHARGED' });
+
+  const result = await service.accrueCharges('admission-1', { until: new Date(2026, 9, 19) });
+
+  assert.equal(callsTo(calls, 'ipdCharge.createMany').length, 0);
+  assert.equal(result.captured, 0);
+});
+
+test('a finalized running bill accrues nothing', async () => {
+  const { service, calls } = accrual({ bill: { ...runningBill, status: 'FINALIZED' } });
+
+  const result = await service.accrueCharges('admission-1');
+
+  assert.deepEqual(result, { runningBill: { ...runningBill, status: 'FINALIZED' }, captured: 0, cancelled: 0, unpriced: [] });
+  assert.equal(callsTo(calls, 'ipdCharge.createMany').length, 0);
+  assert.equal(callsTo(calls, 'ipdRunningBill.update').length, 0);
+});
+
+// ==================== DIAGNOSTICS ====================
+
+test('collectDiagnostics re-prices open charges and drops separately billed orders', async () => {
+  const { client, calls } = answeringClient({
+    diagnosticOrder: {
+      findMany: [
+        { id: 'order-1', orderId: 'DO-1', status: 'COMPLETED', billId: null, netAmount: 1250, createdAt: new Date() },
+        { id: 'order-2', orderId: 'DO-2', status: 'COMPLETED', billId: 'bill-9', netAmount: 400, createdAt: new Date() },
+        { id: 'order-3', orderId: 'DO-3', status: 'CANCELLED', billId: null, netAmount: 300, createdAt: new Date() },
+      ],
+    },
+    ipdCharge: { updateMany: { count: 1 } },
+  });
+  const cancelled = [];
+
+  const charges = await new IPDBillingService(client).collectDiagnostics(
+    { id: 'admission-1', hospitalId: 'h1', patientId: 'P1', admissionDate: new Date() },
+    cancelled
+  );
+
+  assert.equal(callsTo(calls, 'diagnosticOrder.findMany')[0].args.where.billId, undefined);
+  assert.deepEqual(charges.map(c => [c.sourceId, c.unitPrice]), [['order-1', 1250]]);
+
+  const repriced = callsTo(calls, 'ipdCharge.updateMany').map(call => call.args);
+  assert.equal(repriced.length, 1);
+  assert.equal(repriced[0].where.sourceId, 'order-1');
+  assert.equal(repriced[0].where.status, 'ACTIVE');
+  assert.deepEqual(repriced[0].data, { unitPrice: 1250, amount: 1250 });
+  assert.deepEqual(cancelled.map(c => [c.sourceId, c.reason]), [['order-2', 'Billed separately'], ['order-3', undefined]]);
+});
+
+// ==================== FINAL BILL ====================
+
+test('finalizeBill returns the invoice number of the bill it created', async () => {
+  const runningBill = { id: 'running-bill-1', status: 'OPEN', totalCharges: 3000, finalBillId: null };
+  const { client, trace } = answeringClient({
+    ipdCharge: {
+      findMany: [
+        { chargeType: 'BED', description: 'General Ward', category: 'Inpatient / Bed Charges', quantity: 2, unitPrice: 1000, amount: 2000 },
+        { chargeType: 'PROCEDURE', description: 'Dressing', category: 'Procedures', quantity: 1, unitPrice: 1000, amount: 1000 },
+      ],
+    },
+    billingConfig: { findUnique: null },
+    hospital: { findUnique: { id: 'h1', state: 'Karnataka' } },
+    counter: { findUnique: { seq: 4 }, update: { seq: 5 }, upsert: { seq: 7 } },
+    bill: {
+      create: ({ data }) => ({ id: 'bill-1', ...data }),
+      findUnique: { id: 'bill-1', billId: 'BILL-1', invoiceNumber: 'INV/2627/00007', paymentStatus: 'PARTIAL', balanceDue: 2540 },
+    },
+    ipdRunningBill: {
+      update: ({ data }) => ({ ...runningBill, ...data }),
+      findUnique: { ...runningBill, status: 'FINALIZED', finalBillId: 'bill-1' },
+    },
+  });
+
+  const service = new IPDBillingService(client);
+  const admission = { id: 'admission-1', hospitalId: 'h1', patient: { patientId: 'P1', state: 'Karnataka' } };
+  const applied = [];
+  service.accrueCharges = async () => ({ runningBill, unpriced: [] });
+  service.getAdmission = async () => admission;
+  service.getDeposits = async () => ({ deposits: [], depositTotal: 1000, advanceBalance: 1000 });
+  service.paymentLedgerService.receivePayment = async (billId, data) => applied.push([billId, data.payments[0].amount]);
+
+  const result = await service.finalizeBill('admission-1', {}, { id: 'u1' });
+
+  assert.match(result.invoiceNumber, /^INV\/\d{4}\/00007$/);
+  assert.equal(result.totalAmount, 3540);
+  assert.equal(result.advanceApplied, 1000);
+  assert.equal(applied[0][1], 1000);
+  assert.equal(result.summary.finalBill.invoiceNumber, 'INV/2627/00007');
+  const calls = trace();
+  const serial = calls.indexOf('counter.upsert (tx)');
+  assert.deepEqual(calls.slice(serial, serial + 3), ['counter.upsert (tx)', 'bill.create (tx)', 'ipdRunningBill.update (tx)'], calls.join('\n'));
+});
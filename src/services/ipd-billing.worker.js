@@ -0,0 +1,61 @@
+/**
+ * IPD Charge Accrual Worker
+ * Periodically captures bed days and clinical charges for active admissions
+ */
+
+import logger from '../utils/logger.js';
+import { IPDBillingService } from './ipd-billing.service.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // hourly; bed days are captured once per calendar day
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one accrual pass (skipped if the previous pass is still running)
+ */
+export async function runIPDChargeAccrual(prisma) {
+  if (running) return null;
+  running = true;
+
+  try {
+    const billingService = new IPDBillingService(prisma);
+    const result = await billingService.accrueActiveAdmissions();
+    if (result.captured > 0 || result.failed > 0) {
+      logger.info(`[IPD Billing] Accrual pass: ${result.captured} charges captured, ${result.failed} admissions failed`);
+    }
+    return result;
+  } catch (error) {
+    logger.error('[IPD Billing] Accrual pass failed:', error.message);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the accrual worker
+ */
+export function startIPDBillingWorker(prisma, intervalMs = DEFAULT_INTERVAL_MS) {
+  if (timer) return;
+
+  timer = setInterval(() => runIPDChargeAccrual(prisma), intervalMs);
+  timer.unref();
+
+  logger.info(`[IPD Billing] Accrual worker started (every ${Math.round(intervalMs / 60000)}m)`);
+}
+
+/**
+ * Stop the accrual worker
+ */
+export function stopIPDBillingWorker() {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+}
+
+export default {
+  runIPDChargeAccrual,
+  startIPDBillingWorker,
+  stopIPDBillingWorker
+};
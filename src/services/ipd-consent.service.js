@@ -224,41 +224,45 @@ export class IPDConsentService {
 
   /**
    * Verify consent compliance
+   * With requiredTypes, each type needs its own signed consent for the procedure
+   * (e.g. SURGERY + ANESTHESIA before an OT case); otherwise any signed consent will do
    */
-  async verifyConsentCompliance(admissionId, procedureId) {
+  async verifyConsentCompliance(admissionId, procedureId, requiredTypes = []) {
     try {
-      // Check if signed consent exists for procedure
-      const consent = await this.prisma.ipdConsent.findFirst({
+      const consents = await this.prisma.ipdConsent.findMany({
         where: {
           admissionId,
           procedureId,
           status: 'SIGNED',
         },
+        orderBy: { createdAt: 'desc' },
       });
 
-      if (!consent) {
+      if (!requiredTypes.length) {
         return {
-          compliant: false,
-          message: 'No signed consent form found for this procedure',
-          consentId: null,
+          compliant: consents.length > 0,
+          message: consents.length
+            ? 'Consent verification complete'
+            : 'No signed consent form found for this procedure',
+          consentId: consents[0]?.id || null,
+          missing: [],
         };
       }
 
-      // Check if consent checklist is completed
-      const checklist = await this.prisma.ipdConsentChecklist.findFirst({
-        where: {
-          consentId: consent.id,
-          status: 'COMPLETED',
-        },
-      });
+      const signed = {};
+      for (const type of requiredTypes) {
+        signed[type] = consents.find((c) => c.consentType === type)?.id || null;
+      }
+      const missing = requiredTypes.filter((type) => !signed[type]);
 
       return {
-        compliant: !!checklist,
-        message: checklist
-          ? 'Consent verification complete'
-          : 'Consent form signed but checklist not completed',
-        consentId: consent.id,
-        checklistCompleted: !!checklist,
+        compliant: missing.length === 0,
+        message: missing.length
+          ? `Signed consent missing for this procedure: ${missing.join(', ')}`
+          : 'Consent verification complete',
+        consentId: consents[0]?.id || null,
+        consents: signed,
+        missing,
       };
     } catch (error) {
       logger.error(`Verify Consent Compliance Error: ${error.message}`);
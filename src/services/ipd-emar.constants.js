@@ -0,0 +1,138 @@
+/**
+ * IPD eMAR Constants
+ * Dose frequencies, standard administration times and dose statuses for the
+ * electronic medication administration record
+ *
+ * Scheduled frequencies (OD/BD/TDS/QID) expand into one dose per standard
+ * time each day; STAT is a single dose due when ordered; PRN has no schedule
+ * and is given on demand within its minimum interval and daily maximum.
+ */
+
+// ==================== FREQUENCIES ====================
+export const DOSE_FREQUENCY = {
+  OD: 'OD',
+  BD: 'BD',
+  TDS: 'TDS',
+  QID: 'QID',
+  PRN: 'PRN',
+  STAT: 'STAT'
+};
+
+// Ward round times ("HH:mm") for each scheduled frequency
+export const FREQUENCY_TIMES = {
+  OD: ['09:00'],
+  BD: ['09:00', '21:00'],
+  TDS: ['08:00', '14:00', '20:00'],
+  QID: ['06:00', '12:00', '18:00', '22:00']
+};
+
+// Other spellings accepted on orders
+export const FREQUENCY_ALIASES = {
+  QD: 'OD',
+  ONCE_DAILY: 'OD',
+  BID: 'BD',
+  TID: 'TDS',
+  QDS: 'QID',
+  SOS: 'PRN',
+  AS_NEEDED: 'PRN',
+  IMMEDIATELY: 'STAT'
+};
+
+// ==================== DOSE STATUS ====================
+export const DOSE_STATUS = {
+  SCHEDULED: 'SCHEDULED',
+  GIVEN: 'GIVEN',
+  HELD: 'HELD',
+  REFUSED: 'REFUSED',
+  MISSED: 'MISSED',
+  CANCELLED: 'CANCELLED'
+};
+
+// Outcomes a nurse records against a dose
+export const DOSE_OUTCOMES = [DOSE_STATUS.GIVEN, DOSE_STATUS.HELD, DOSE_STATUS.REFUSED];
+
+// Doses that can still be charted (a MISSED dose may be given late)
+export const CHARTABLE_DOSE_STATUSES = [DOSE_STATUS.SCHEDULED, DOSE_STATUS.MISSED];
+
+// IPDMedicationAdministration.status written for each outcome
+export const DOSE_OUTCOME_TO_MAR_STATUS = {
+  GIVEN: 'ADMINISTERED',
+  HELD: 'HELD',
+  REFUSED: 'REFUSED'
+};
+
+// Orders whose doses keep being scheduled; CANCELLED/COMPLETED stop future doses
+export const ACTIVE_MEDICATION_ORDER_STATUSES = ['PENDING', 'ACCEPTED', 'IN_PROGRESS'];
+
+// ==================== CONFIGURATION ====================
+export const EMAR_CONFIG = {
+  DUE_WINDOW_MINUTES: 60,            // A dose shows as due this long before its time
+  OVERDUE_AFTER_MINUTES: 30,         // ...and overdue this long after it
+  MISSED_AFTER_MINUTES: 120,         // Still not charted: marked MISSED and alerted
+  STAT_MISSED_AFTER_MINUTES: 30,
+  SCHEDULE_HORIZON_HOURS: 48,        // Doses are generated this far ahead (rolling)
+  DEFAULT_DURATION_DAYS: 5,          // Orders without durationDays
+  PRN_DEFAULT_MIN_INTERVAL_HOURS: 4,
+  PRN_DEFAULT_MAX_DOSES_PER_DAY: 4,
+  WORKER_INTERVAL_MS: 5 * 60 * 1000  // Missed-dose sweep and schedule top-up
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Normalise an order's frequency to a DOSE_FREQUENCY code (null when unknown)
+ */
+export function normalizeFrequency(frequency) {
+  if (!frequency) return null;
+  const code = String(frequency).trim().toUpperCase().replace(/[\s-]+/g, '_');
+  if (DOSE_FREQUENCY[code]) return code;
+  return FREQUENCY_ALIASES[code] || null;
+}
+
+/**
+ * Scheduled dose times of a frequency between two instants (inclusive start, exclusive end)
+ */
+export function expandDoseTimes(frequency, from, to) {
+  const times = FREQUENCY_TIMES[frequency];
+  if (!times) return [];
+
+  const doses = [];
+  const day = new Date(from);
+  day.setHours(0, 0, 0, 0);
+
+  while (day < to) {
+    for (const time of times) {
+      const [hours, minutes] = time.split(':').map(Number);
+      const at = new Date(day);
+      at.setHours(hours, minutes, 0, 0);
+      if (at >= from && at < to) doses.push(at);
+    }
+    day.setDate(day.getDate() + 1);
+  }
+
+  return doses;
+}
+
+/**
+ * Minutes after its scheduled time a dose counts as missed
+ */
+export function missedAfterMinutes(frequency) {
+  return frequency === DOSE_FREQUENCY.STAT
+    ? EMAR_CONFIG.STAT_MISSED_AFTER_MINUTES
+    : EMAR_CONFIG.MISSED_AFTER_MINUTES;
+}
+
+export default {
+  DOSE_FREQUENCY,
+  FREQUENCY_TIMES,
+  FREQUENCY_ALIASES,
+  DOSE_STATUS,
+  DOSE_OUTCOMES,
+  CHARTABLE_DOSE_STATUSES,
+  DOSE_OUTCOME_TO_MAR_STATUS,
+  ACTIVE_MEDICATION_ORDER_STATUSES,
+  EMAR_CONFIG,
+  normalizeFrequency,
+  expandDoseTimes,
+  missedAfterMinutes
+};
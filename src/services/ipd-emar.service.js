@@ -0,0 +1,628 @@
+/**
+ * IPD eMAR Service
+ * Electronic medication administration record: expands MEDICATION orders into
+ * timed doses, shows nurses what is due/overdue per ward, charts each dose as
+ * given/held/refused and flags doses that were never charted
+ *
+ * Doses are generated on a rolling horizon (EMAR_CONFIG.SCHEDULE_HORIZON_HOURS)
+ * when the order is placed and topped up by the eMAR worker. A dose charted as
+ * GIVEN with a drug master entry is issued from pharmacy stock (FEFO) in the same
+ * transaction; the dispense carries admissionId so it lands on the running bill.
+ */
+
+import logger from '../utils/logger.js';
+import { AppError } from '../shared/AppError.js';
+import { PharmacyService } from './pharmacy.service.js';
+import { IPDAlertsService } from './ipd-alerts.service.js';
+import {
+  DOSE_FREQUENCY,
+  DOSE_STATUS,
+  DOSE_OUTCOMES,
+  CHARTABLE_DOSE_STATUSES,
+  DOSE_OUTCOME_TO_MAR_STATUS,
+  ACTIVE_MEDICATION_ORDER_STATUSES,
+  EMAR_CONFIG,
+  normalizeFrequency,
+  expandDoseTimes,
+  missedAfterMinutes,
+} from './ipd-emar.constants.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const DOSE_ADMISSION_SELECT = {
+  id: true,
+  wardId: true,
+  wardName: true,
+  roomNumber: true,
+  bed: { select: { bedNumber: true } },
+  patient: { select: { id: true, patientId: true, name: true } },
+};
+
+export class IPDEMARService {
+  constructor(prisma) {
+    this.prisma = prisma;
+    this.pharmacyService = new PharmacyService(prisma);
+    this.alertsService = new IPDAlertsService(prisma);
+  }
+
+  /**
+   * Check every line of a medication order has a usable frequency
+   */
+  validateMedicationLines(prescriptions) {
+    prescriptions.forEach((line, index) => {
+      if (!line.drugId && !line.medicationName && !line.drugName) {
+        throw new AppError(`Prescription line ${index + 1} needs a drugId or medicationName`, 400);
+      }
+      if (!normalizeFrequency(line.frequency)) {
+        throw new AppError(
+          `Prescription line ${index + 1} has invalid frequency "${line.frequency}". Must be one of: ${Object.values(DOSE_FREQUENCY).join(', ')}`,
+          400
+        );
+      }
+    });
+  }
+
+  /**
+   * Generate the order's doses up to the rolling horizon (idempotent)
+   * @returns {Promise<number>} doses created
+   */
+  async scheduleOrder(order, now = new Date()) {
+    try {
+      const lines = order.orderDetails?.prescriptions || [];
+      if (order.orderType !== 'MEDICATION' || lines.length === 0) return 0;
+
+      const drugIds = lines.map((line) => line.drugId).filter(Boolean);
+      const drugs = drugIds.length
+        ? await this.prisma.drug.findMany({
+          where: { id: { in: drugIds }, hospitalId: order.hospitalId },
+          select: { id: true, drugName: true, strength: true },
+        })
+        : [];
+      const drugsById = new Map(drugs.map((drug) => [drug.id, drug]));
+
+      const horizon = new Date(now.getTime() + EMAR_CONFIG.SCHEDULE_HORIZON_HOURS * HOUR_MS);
+      const doses = [];
+
+      lines.forEach((line, lineIndex) => {
+        const frequency = normalizeFrequency(line.frequency);
+        if (!frequency || frequency === DOSE_FREQUENCY.PRN) return;
+
+        const start = new Date(line.startTime || order.createdAt);
+        const durationDays = Number(line.durationDays) > 0 ? Number(line.durationDays) : EMAR_CONFIG.DEFAULT_DURATION_DAYS;
+        const end = new Date(start.getTime() + durationDays * 24 * HOUR_MS);
+
+        const times = frequency === DOSE_FREQUENCY.STAT
+          ? [start]
+          : expandDoseTimes(frequency, start, end < horizon ? end : horizon);
+
+        const base = describeLine(line, drugsById.get(line.drugId), frequency);
+        for (const scheduledTime of times) {
+          doses.push({
+            ...base,
+            orderId: order.id,
+            admissionId: order.admissionId,
+            patientId: order.patientId,
+            lineIndex,
+            scheduledTime,
+            status: DOSE_STATUS.SCHEDULED,
+            hospitalId: order.hospitalId,
+          });
+        }
+      });
+
+      if (!doses.length) return 0;
+
+      const { count } = await this.prisma.ipdMedicationDose.createMany({
+        data: doses,
+        skipDuplicates: true,
+      });
+
+      if (count > 0) {
+        logger.info(`eMAR: ${count} doses scheduled for order ${order.id}`);
+      }
+      return count;
+    } catch (error) {
+      logger.error(`Schedule Order Doses Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Top up the schedule of every active medication order (worker)
+   */
+  async extendSchedules(now = new Date()) {
+    const orders = await this.prisma.ipdOrder.findMany({
+      where: {
+        orderType: 'MEDICATION',
+        status: { in: ACTIVE_MEDICATION_ORDER_STATUSES },
+        admission: { status: 'ACTIVE' },
+      },
+    });
+
+    let scheduled = 0;
+    let failed = 0;
+    for (const order of orders) {
+      try {
+        scheduled += await this.scheduleOrder(order, now);
+      } catch (error) {
+        failed += 1;
+      }
+    }
+
+    return { orders: orders.length, scheduled, failed };
+  }
+
+  /**
+   * Cancel an order's outstanding doses (order cancelled or completed)
+   */
+  async cancelOrderDoses(orderId, reason) {
+    try {
+      const { count } = await this.prisma.ipdMedicationDose.updateMany({
+        where: { orderId, status: { in: CHARTABLE_DOSE_STATUSES } },
+        data: { status: DOSE_STATUS.CANCELLED, reason },
+      });
+
+      if (count > 0) {
+        logger.info(`eMAR: ${count} doses cancelled for order ${orderId}`);
+      }
+      return count;
+    } catch (error) {
+      logger.error(`Cancel Order Doses Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark doses not charted in time as MISSED and raise a missed-dose alert for each (worker)
+   */
+  async markMissedDoses(now = new Date()) {
+    const earliestThreshold = Math.min(EMAR_CONFIG.MISSED_AFTER_MINUTES, EMAR_CONFIG.STAT_MISSED_AFTER_MINUTES);
+
+    const candidates = await this.prisma.ipdMedicationDose.findMany({
+      where: {
+        status: DOSE_STATUS.SCHEDULED,
+        scheduledTime: { lt: new Date(now.getTime() - earliestThreshold * MINUTE_MS) },
+        admission: { status: 'ACTIVE' },
+      },
+      orderBy: { scheduledTime: 'asc' },
+    });
+
+    let missed = 0;
+    let failed = 0;
+    for (const dose of candidates) {
+      if (now.getTime() - dose.scheduledTime.getTime() < missedAfterMinutes(dose.frequency) * MINUTE_MS) continue;
+
+      try {
+        const { count } = await this.prisma.ipdMedicationDose.updateMany({
+          where: { id: dose.id, status: DOSE_STATUS.SCHEDULED },
+          data: { status: DOSE_STATUS.MISSED, missedAt: now },
+        });
+        if (count === 0) continue; // Charted meanwhile
+
+        missed += 1;
+
+        const alert = await this.alertsService.createMissedDoseAlert(
+          dose.admissionId,
+          {
+            doseId: dose.id,
+            orderId: dose.orderId,
+            medicationName: dose.medicationName,
+            dose: dose.dose,
+            route: dose.route,
+            frequency: dose.frequency,
+            scheduledTime: dose.scheduledTime,
+          },
+          { id: null, hospitalId: dose.hospitalId }
+        );
+
+        await this.prisma.ipdMedicationDose.update({
+          where: { id: dose.id },
+          data: { missedAlertId: alert.id },
+        });
+      } catch (error) {
+        failed += 1;
+        logger.error(`Mark Missed Dose Error (${dose.id}): ${error.message}`);
+      }
+    }
+
+    return { missed, failed };
+  }
+
+  /**
+   * Due, overdue and missed doses for a ward (or the whole hospital), grouped by patient
+   * @param {Object} options - { wardId?, hours? } hours = look-ahead beyond the due window
+   */
+  async getWardDoses(hospitalId, { wardId, hours = 0 } = {}, now = new Date()) {
+    try {
+      const dueBefore = new Date(now.getTime() + (EMAR_CONFIG.DUE_WINDOW_MINUTES * MINUTE_MS) + hours * HOUR_MS);
+      const missedSince = new Date(now.getTime() - 24 * HOUR_MS);
+
+      const doses = await this.prisma.ipdMedicationDose.findMany({
+        where: {
+          hospitalId,
+          admission: { status: 'ACTIVE', ...(wardId && { wardId }) },
+          OR: [
+            { status: DOSE_STATUS.SCHEDULED, scheduledTime: { lte: dueBefore } },
+            { status: DOSE_STATUS.MISSED, scheduledTime: { gte: missedSince } },
+          ],
+        },
+        orderBy: { scheduledTime: 'asc' },
+        include: { admission: { select: DOSE_ADMISSION_SELECT } },
+      });
+
+      const summary = { due: 0, overdue: 0, upcoming: 0, missed: 0 };
+      const patients = new Map();
+
+      for (const { admission, ...dose } of doses) {
+        const state = classifyDose(dose, now);
+        summary[state.toLowerCase()] += 1;
+
+        if (!patients.has(admission.id)) {
+          patients.set(admission.id, {
+            admissionId: admission.id,
+            patient: admission.patient,
+            wardId: admission.wardId,
+            wardName: admission.wardName,
+            roomNumber: admission.roomNumber,
+            bedNumber: admission.bed?.bedNumber || null,
+            doses: [],
+          });
+        }
+        patients.get(admission.id).doses.push({ ...dose, state });
+      }
+
+      return {
+        wardId: wardId || null,
+        generatedAt: now,
+        summary,
+        patients: [...patients.values()],
+      };
+    } catch (error) {
+      logger.error(`Get Ward Doses Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Medication chart for one admission: doses in a date range plus the PRN lines available now
+   */
+  async getAdmissionEMAR(admissionId, { from, to } = {}, now = new Date()) {
+    try {
+      const rangeFrom = from ? new Date(from) : new Date(now.getTime() - 24 * HOUR_MS);
+      const rangeTo = to ? new Date(to) : new Date(now.getTime() + 24 * HOUR_MS);
+
+      const [doses, prnGiven, orders] = await Promise.all([
+        this.prisma.ipdMedicationDose.findMany({
+          where: { admissionId, scheduledTime: { gte: rangeFrom, lte: rangeTo } },
+          orderBy: { scheduledTime: 'asc' },
+        }),
+        this.prisma.ipdMedicationDose.findMany({
+          where: {
+            admissionId,
+            frequency: DOSE_FREQUENCY.PRN,
+            status: DOSE_STATUS.GIVEN,
+            administeredAt: { gte: rangeFrom, lte: rangeTo },
+          },
+          orderBy: { administeredAt: 'asc' },
+        }),
+        this.prisma.ipdOrder.findMany({
+          where: { admissionId, orderType: 'MEDICATION', status: { in: ACTIVE_MEDICATION_ORDER_STATUSES } },
+        }),
+      ]);
+
+      const prnLines = [];
+      for (const order of orders) {
+        const lines = order.orderDetails?.prescriptions || [];
+        for (const [lineIndex, line] of lines.entries()) {
+          if (normalizeFrequency(line.frequency) !== DOSE_FREQUENCY.PRN) continue;
+          prnLines.push({
+            orderId: order.id,
+            lineIndex,
+            medicationName: line.medicationName || line.drugName || null,
+            drugId: line.drugId || null,
+            dose: line.dose || null,
+            route: line.route || null,
+            indication: line.prnIndication || null,
+            ...(await this.getPrnAvailability(order.id, lineIndex, line, now)),
+          });
+        }
+      }
+
+      return {
+        admissionId,
+        from: rangeFrom,
+        to: rangeTo,
+        doses: doses.map((dose) => ({ ...dose, state: classifyDose(dose, now) })),
+        prnGiven,
+        prnLines,
+      };
+    } catch (error) {
+      logger.error(`Get Admission eMAR Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Chart a scheduled (or STAT) dose as given, held or refused
+   * @param {Object} data - { status: GIVEN|HELD|REFUSED, reason?, administeredTime?, notes? }
+   */
+  async recordDoseOutcome(doseId, data, currentUser) {
+    try {
+      const { status, reason, administeredTime, notes } = data;
+
+      if (!DOSE_OUTCOMES.includes(status)) {
+        throw new AppError(`Invalid dose outcome. Must be one of: ${DOSE_OUTCOMES.join(', ')}`, 400);
+      }
+      if (status !== DOSE_STATUS.GIVEN && !reason?.trim()) {
+        throw new AppError(`A reason is required when a dose is ${status.toLowerCase()}`, 400);
+      }
+
+      const dose = await this.prisma.ipdMedicationDose.findUnique({ where: { id: doseId } });
+      if (!dose || dose.hospitalId !== currentUser.hospitalId) {
+        throw new AppError('Dose not found', 404);
+      }
+      if (!CHARTABLE_DOSE_STATUSES.includes(dose.status)) {
+        throw new AppError(`Dose is already ${dose.status}`, 400);
+      }
+
+      const at = new Date(administeredTime || Date.now());
+
+      const charted = await this.prisma.$transaction(async (tx) => {
+        const { count } = await tx.ipdMedicationDose.updateMany({
+          where: { id: dose.id, status: { in: CHARTABLE_DOSE_STATUSES } },
+          data: {
+            status,
+            reason: reason?.trim() || null,
+            administeredAt: status === DOSE_STATUS.GIVEN ? at : null,
+            recordedBy: currentUser.id,
+            recordedAt: new Date(),
+          },
+        });
+
+        if (count === 0) {
+          throw new AppError('Dose was charted by another user; reload and retry', 409);
+        }
+
+        return this.writeAdministration(tx, dose, { status, reason, notes, at }, currentUser);
+      });
+
+      const late = dose.status === DOSE_STATUS.MISSED ? ' (late)' : '';
+      logger.info(`eMAR: dose ${doseId} ${status}${late} for admission ${dose.admissionId}`);
+      return charted;
+    } catch (error) {
+      logger.error(`Record Dose Outcome Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Give a PRN dose, enforcing the line's minimum interval and daily maximum
+   * @param {Object} data - { lineIndex, indication, administeredTime?, notes? }
+   */
+  async administerPrnDose(orderId, data, currentUser) {
+    try {
+      const { lineIndex = 0, indication, administeredTime, notes } = data;
+
+      if (!indication?.trim()) {
+        throw new AppError('An indication is required for a PRN dose', 400);
+      }
+
+      const order = await this.prisma.ipdOrder.findUnique({ where: { id: orderId } });
+      if (!order || order.hospitalId !== currentUser.hospitalId || order.orderType !== 'MEDICATION') {
+        throw new AppError('Medication order not found', 404);
+      }
+      if (!ACTIVE_MEDICATION_ORDER_STATUSES.includes(order.status)) {
+        throw new AppError(`Cannot give a dose on an order with status ${order.status}`, 400);
+      }
+
+      const line = order.orderDetails?.prescriptions?.[lineIndex];
+      if (!line || normalizeFrequency(line.frequency) !== DOSE_FREQUENCY.PRN) {
+        throw new AppError('Order line is not a PRN medication', 400);
+      }
+
+      const at = new Date(administeredTime || Date.now());
+      const availability = await this.getPrnAvailability(order.id, lineIndex, line, at);
+      if (!availability.available) {
+        throw new AppError(availability.blockedReason, 400);
+      }
+
+      const drug = line.drugId
+        ? await this.prisma.drug.findFirst({
+          where: { id: line.drugId, hospitalId: order.hospitalId },
+          select: { id: true, drugName: true, strength: true },
+        })
+        : null;
+
+      const charted = await this.prisma.$transaction(async (tx) => {
+        const dose = await tx.ipdMedicationDose.create({
+          data: {
+            ...describeLine(line, drug, DOSE_FREQUENCY.PRN),
+            orderId: order.id,
+            admissionId: order.admissionId,
+            patientId: order.patientId,
+            lineIndex,
+            scheduledTime: null,
+            status: DOSE_STATUS.GIVEN,
+            reason: indication.trim(),
+            administeredAt: at,
+            recordedBy: currentUser.id,
+            recordedAt: new Date(),
+            hospitalId: order.hospitalId,
+          },
+        });
+
+        return this.writeAdministration(tx, dose, { status: DOSE_STATUS.GIVEN, reason: indication, notes, at }, currentUser);
+      });
+
+      logger.info(`eMAR: PRN dose given on order ${orderId} for admission ${order.admissionId}`);
+      return charted;
+    } catch (error) {
+      logger.error(`Administer PRN Dose Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a PRN line may be given at a time, and when it next may be
+   */
+  async getPrnAvailability(orderId, lineIndex, line, at = new Date()) {
+    const minIntervalHours = Number(line.prnMinIntervalHours) > 0
+      ? Number(line.prnMinIntervalHours)
+      : EMAR_CONFIG.PRN_DEFAULT_MIN_INTERVAL_HOURS;
+    const maxPerDay = Number(line.prnMaxDosesPerDay) > 0
+      ? Number(line.prnMaxDosesPerDay)
+      : EMAR_CONFIG.PRN_DEFAULT_MAX_DOSES_PER_DAY;
+
+    const givenLastDay = await this.prisma.ipdMedicationDose.findMany({
+      where: {
+        orderId,
+        lineIndex,
+        status: DOSE_STATUS.GIVEN,
+        administeredAt: { gt: new Date(at.getTime() - 24 * HOUR_MS), lte: at },
+      },
+      orderBy: { administeredAt: 'asc' },
+      select: { administeredAt: true },
+    });
+
+    const last = givenLastDay.at(-1)?.administeredAt || null;
+    const intervalEnds = last ? new Date(last.getTime() + minIntervalHours * HOUR_MS) : null;
+    const capEnds = givenLastDay.length >= maxPerDay
+      ? new Date(givenLastDay[givenLastDay.length - maxPerDay].administeredAt.getTime() + 24 * HOUR_MS)
+      : null;
+
+    let blockedReason = null;
+    if (capEnds && capEnds > at) {
+      blockedReason = `Maximum of ${maxPerDay} PRN doses in 24 hours reached; next allowed at ${capEnds.toISOString()}`;
+    } else if (intervalEnds && intervalEnds > at) {
+      blockedReason = `Minimum interval of ${minIntervalHours}h not reached; next allowed at ${intervalEnds.toISOString()}`;
+    }
+
+    const nextAllowedAt = [intervalEnds, capEnds].filter((time) => time && time > at).sort((a, b) => b - a)[0] || at;
+
+    return {
+      available: !blockedReason,
+      blockedReason,
+      lastGivenAt: last,
+      givenLast24h: givenLastDay.length,
+      minIntervalHours,
+      maxDosesPerDay: maxPerDay,
+      nextAllowedAt,
+    };
+  }
+
+  /**
+   * Write the MAR entry for a charted dose (issuing stock when given) and link it.
+   * Runs inside the caller's transaction; the dose row already carries its outcome.
+   */
+  async writeAdministration(tx, dose, { status, reason, notes, at }, currentUser) {
+    const order = await tx.ipdOrder.findUnique({
+      where: { id: dose.orderId },
+      include: { admission: { select: { patient: { select: { name: true, phone: true } } } } },
+    });
+
+    let dispense = null;
+    if (status === DOSE_STATUS.GIVEN && dose.drugId) {
+      dispense = await this.pharmacyService.dispenseWithin(
+        tx,
+        dose.hospitalId,
+        {
+          items: [{ drugId: dose.drugId, quantity: dose.quantityPerDose }],
+          patientName: order.admission.patient.name,
+          patientPhone: order.admission.patient.phone,
+          admissionId: dose.admissionId,
+        },
+        currentUser.id,
+        currentUser.name
+      );
+    }
+
+    const administration = await tx.ipdMedicationAdministration.create({
+      data: {
+        admissionId: dose.admissionId,
+        medicationName: dose.medicationName,
+        dosage: dose.dose,
+        route: dose.route,
+        administeredTime: at,
+        administeredBy: currentUser.id,
+        orderedById: order.orderedBy,
+        prescriptionDetails: {
+          orderId: dose.orderId,
+          drugId: dose.drugId,
+          quantity: dose.quantityPerDose,
+          ...(dispense && { dispenseId: dispense.id }),
+        },
+        notes: [reason && status !== DOSE_STATUS.GIVEN ? `${status}: ${reason.trim()}` : null, notes]
+          .filter(Boolean).join(' - ') || null,
+        status: DOSE_OUTCOME_TO_MAR_STATUS[status],
+        hospitalId: dose.hospitalId,
+      },
+    });
+
+    const charted = await tx.ipdMedicationDose.update({
+      where: { id: dose.id },
+      data: { administrationId: administration.id, dispenseId: dispense?.id || null },
+      include: { administration: true },
+    });
+
+    // First charted dose starts the order; a STAT-only order is done once its doses are charted
+    if (order.status === 'PENDING' || order.status === 'ACCEPTED') {
+      await tx.ipdOrder.update({ where: { id: order.id }, data: { status: 'IN_PROGRESS' } });
+    }
+    await this.completeStatOrder(tx, order);
+
+    return charted;
+  }
+
+  /**
+   * Mark an order whose lines are all STAT as COMPLETED once no dose is left to chart
+   */
+  async completeStatOrder(tx, order) {
+    const lines = order.orderDetails?.prescriptions || [];
+    if (!lines.length || !lines.every((line) => normalizeFrequency(line.frequency) === DOSE_FREQUENCY.STAT)) return;
+
+    const outstanding = await tx.ipdMedicationDose.count({
+      where: { orderId: order.id, status: { in: CHARTABLE_DOSE_STATUSES } },
+    });
+
+    if (outstanding === 0) {
+      await tx.ipdOrder.update({
+        where: { id: order.id },
+        data: { status: 'COMPLETED', completionDate: new Date() },
+      });
+    }
+  }
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Dose fields copied from an order line
+ */
+function describeLine(line, drug, frequency) {
+  return {
+    drugId: drug?.id || null,
+    medicationName: line.medicationName || line.drugName || (drug ? `${drug.drugName} ${drug.strength}` : 'Unknown medication'),
+    dose: line.dose ? String(line.dose) : null,
+    route: line.route || null,
+    frequency,
+    quantityPerDose: Number.isInteger(Number(line.quantityPerDose)) && Number(line.quantityPerDose) > 0
+      ? Number(line.quantityPerDose)
+      : 1,
+  };
+}
+
+/**
+ * Where a dose stands for the nurse: UPCOMING, DUE, OVERDUE or MISSED
+ */
+function classifyDose(dose, now) {
+  if (dose.status === DOSE_STATUS.MISSED) return 'MISSED';
+  if (dose.status !== DOSE_STATUS.SCHEDULED) return dose.status;
+
+  const minutesFromDue = (now.getTime() - dose.scheduledTime.getTime()) / MINUTE_MS;
+  if (minutesFromDue > EMAR_CONFIG.OVERDUE_AFTER_MINUTES) return 'OVERDUE';
+  if (minutesFromDue >= -EMAR_CONFIG.DUE_WINDOW_MINUTES) return 'DUE';
+  return 'UPCOMING';
+}
+
+export default IPDEMARService;
@@ -0,0 +1,161 @@
+/**
+ * IPD eMAR Service - expanding medication orders into timed doses, PRN limits,
+ * missed-dose sweep and the ward due list
+ * Times are built in local time: frequencies expand onto local ward-round times.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answeringClient, callsTo } from './prismaTestClient.node.mjs';
+import { IPDEMARService } from './ipd-emar.service.js';
+import { DOSE_FREQUENCY, DOSE_STATUS, expandDoseTimes } from './ipd-emar.constants.js';
+
+const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes);
+const minutesAgo = (now, minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+
+function setup(answers) {
+  const { client, calls } = answeringClient(answers);
+  return { service: new IPDEMARService(client), calls };
+}
+
+const order = (prescriptions) => ({
+  id: 'order-1', orderType: 'MEDICATION', admissionId: 'adm-1', patientId: 'P1', hospitalId: 'h1',
+  createdAt: at(19, 10, 30), orderDetails: { prescriptions },
+});
+
+// ==================== SCHEDULING ====================
+
+test('frequencies expand onto ward-round times from the start to the horizon or end of course', async () => {
+  const { service, calls } = setup({
+    drug: { findMany: [{ id: 'drug-1', drugName: 'Paracetamol', strength: '500mg' }] },
+    ipdMedicationDose: { createMany: ({ data }) => ({ count: data.length }) },
+  });
+
+  const created = await service.scheduleOrder(order([
+    { drugId: 'drug-1', dose: 1000, route: 'PO', frequency: 'TDS', quantityPerDose: 2 },
+    { medicationName: 'Ceftriaxone 1g', route: 'IV', frequency: 'bid', durationDays: 1 },
+    { medicationName: 'Furosemide 40mg', route: 'IV', frequency: 'STAT' },
+    { medicationName: 'Ondansetron 4mg', route: 'IV', frequency: 'SOS' },
+  ]), at(19, 10, 30));
+
+  const [{ args }] = callsTo(calls, 'ipdMedicationDose.createMany');
+  assert.equal(args.skipDuplicates, true);
+  assert.equal(created, 9);
+
+  const byLine = (lineIndex) => args.data.filter(dose => dose.lineIndex === lineIndex);
+
+  // 48h horizon ends 21 Oct 10:30
+  assert.deepEqual(byLine(0).map(dose => dose.scheduledTime), [
+    at(19, 14), at(19, 20), at(20, 8), at(20, 14), at(20, 20), at(21, 8),
+  ]);
+  assert.deepEqual(
+    [byLine(0)[0].medicationName, byLine(0)[0].dose, byLine(0)[0].frequency, byLine(0)[0].quantityPerDose],
+    ['Paracetamol 500mg', '1000', DOSE_FREQUENCY.TDS, 2]
+  );
+
+  // One-day course ends 20 Oct 10:30
+  assert.deepEqual(byLine(1).map(dose => [dose.scheduledTime, dose.frequency]), [
+    [at(19, 21), DOSE_FREQUENCY.BD],
+    [at(20, 9), DOSE_FREQUENCY.BD],
+  ]);
+
+  assert.deepEqual(byLine(2).map(dose => dose.scheduledTime), [at(19, 10, 30)]);
+  assert.deepEqual(byLine(3), []);
+  assert.ok(args.data.every(dose => dose.status === DOSE_STATUS.SCHEDULED && dose.admissionId === 'adm-1'));
+});
+
+test('a line starting later is scheduled from its own start time', async () => {
+  const { service, calls } = setup({ ipdMedicationDose: { createMany: ({ data }) => ({ count: data.length }) } });
+
+  await service.scheduleOrder(order([
+    { medicationName: 'Enoxaparin 40mg', frequency: 'OD', startTime: at(20, 12).toISOString() },
+  ]), at(19, 10, 30));
+
+  const [{ args }] = callsTo(calls, 'ipdMedicationDose.createMany');
+  assert.deepEqual(args.data.map(dose => dose.scheduledTime), [at(21, 9)]);
+});
+
+test('dose times include the start, exclude the end and cross midnight', () => {
+  assert.deepEqual(expandDoseTimes(DOSE_FREQUENCY.QID, at(19, 18), at(20, 12)), [
+    at(19, 18), at(19, 22), at(20, 6),
+  ]);
+  assert.deepEqual(expandDoseTimes(DOSE_FREQUENCY.PRN, at(19, 0), at(20, 0)), []);
+});
+
+// ==================== PRN ====================
+
+test('a PRN dose waits for its minimum interval and the 24-hour maximum', async () => {
+  const now = at(19, 12);
+  const line = { frequency: 'PRN', prnMinIntervalHours: 6, prnMaxDosesPerDay: 3 };
+
+  const { service: interval } = setup({
+    ipdMedicationDose: { findMany: [{ administeredAt: minutesAgo(now, 120) }] },
+  });
+  const spaced = await interval.getPrnAvailability('order-1', 0, line, now);
+  assert.equal(spaced.available, false);
+  assert.deepEqual(spaced.nextAllowedAt, at(19, 16));
+  assert.match(spaced.blockedReason, /Minimum interval of 6h/);
+
+  const { service: capped } = setup({
+    ipdMedicationDose: {
+      findMany: [minutesAgo(now, 22 * 60), minutesAgo(now, 13 * 60), minutesAgo(now, 7 * 60)]
+        .map(administeredAt => ({ administeredAt })),
+    },
+  });
+  const full = await capped.getPrnAvailability('order-1', 0, line, now);
+  assert.equal(full.available, false);
+  assert.equal(full.givenLast24h, 3);
+  assert.deepEqual(full.nextAllowedAt, at(19, 14));
+  assert.match(full.blockedReason, /Maximum of 3 PRN doses/);
+});
+
+// ==================== MISSED AND DUE ====================
+
+test('uncharted doses are marked missed after their frequency threshold and alerted', async () => {
+  const now = at(19, 12);
+  const dose = (id, frequency, minutes) => ({
+    id, frequency, scheduledTime: minutesAgo(now, minutes), admissionId: 'adm-1', hospitalId: 'h1',
+    orderId: 'order-1', medicationName: 'Drug', status: DOSE_STATUS.SCHEDULED,
+  });
+  const { service, calls } = setup({
+    ipdMedicationDose: {
+      findMany: [dose('od-3h', 'OD', 180), dose('od-1h', 'OD', 60), dose('stat-45m', 'STAT', 45)],
+      updateMany: { count: 1 },
+      update: ({ where, data }) => ({ id: where.id, ...data }),
+    },
+  });
+  const alerted = [];
+  service.alertsService.createMissedDoseAlert = async (admissionId, details) => {
+    alerted.push(details.doseId);
+    return { id: `alert-${details.doseId}` };
+  };
+
+  assert.deepEqual(await service.markMissedDoses(now), { missed: 2, failed: 0 });
+  assert.deepEqual(alerted, ['od-3h', 'stat-45m']);
+  assert.deepEqual(callsTo(calls, 'ipdMedicationDose.updateMany').map(c => [c.args.where.id, c.args.data.status]), [
+    ['od-3h', DOSE_STATUS.MISSED],
+    ['stat-45m', DOSE_STATUS.MISSED],
+  ]);
+  assert.deepEqual(callsTo(calls, 'ipdMedicationDose.update').map(c => c.args.data.missedAlertId), ['alert-od-3h', 'alert-stat-45m']);
+});
+
+test('the ward list classifies doses as upcoming, due, overdue or missed per patient', async () => {
+  const now = at(19, 12);
+  const admission = { id: 'adm-1', wardId: 'ward-1', wardName: 'Ward A', roomNumber: '3', bed: { bedNumber: 'B-4' }, patient: { id: 'P1' } };
+  const dose = (id, minutes, status = DOSE_STATUS.SCHEDULED) => ({
+    id, status, scheduledTime: minutesAgo(now, minutes), admission,
+  });
+  const { service } = setup({
+    ipdMedicationDose: {
+      findMany: [dose('missed', 300, DOSE_STATUS.MISSED), dose('overdue', 45), dose('due', -50), dose('upcoming', -90)],
+    },
+  });
+
+  const list = await service.getWardDoses('h1', { wardId: 'ward-1', hours: 1 }, now);
+
+  assert.deepEqual(list.summary, { due: 1, overdue: 1, upcoming: 1, missed: 1 });
+  assert.equal(list.patients.length, 1);
+  assert.equal(list.patients[0].bedNumber, 'B-4');
+  assert.deepEqual(list.patients[0].doses.map(d => [d.id, d.state]), [
+    ['missed', 'MISSED'], ['overdue', 'OVERDUE'], ['due', 'DUE'], ['upcoming', 'UPCOMING'],
+  ]);
+});
@@ -0,0 +1,65 @@
+/**
+ * IPD eMAR Worker
+ * Periodically tops up medication dose schedules and marks doses not charted in time as missed
+ */
+
+import logger from '../utils/logger.js';
+import { IPDEMARService } from './ipd-emar.service.js';
+import { EMAR_CONFIG } from './ipd-emar.constants.js';
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one eMAR pass (skipped if the previous pass is still running)
+ */
+export async function runEMARPass(prisma) {
+  if (running) return null;
+  running = true;
+
+  try {
+    const emarService = new IPDEMARService(prisma);
+    const schedule = await emarService.extendSchedules();
+    const missed = await emarService.markMissedDoses();
+
+    if (schedule.scheduled > 0 || schedule.failed > 0 || missed.missed > 0 || missed.failed > 0) {
+      logger.info(
+        `[eMAR] Pass: ${schedule.scheduled} doses scheduled (${schedule.failed} orders failed), ` +
+        `${missed.missed} doses missed (${missed.failed} failed)`
+      );
+    }
+    return { schedule, missed };
+  } catch (error) {
+    logger.error('[eMAR] Pass failed:', error.message);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the eMAR worker
+ */
+export function startEMARWorker(prisma, intervalMs = EMAR_CONFIG.WORKER_INTERVAL_MS) {
+  if (timer) return;
+
+  timer = setInterval(() => runEMARPass(prisma), intervalMs);
+  timer.unref();
+
+  logger.info(`[eMAR] Worker started (every ${Math.round(intervalMs / 1000)}s)`);
+}
+
+/**
+ * Stop the eMAR worker
+ */
+export function stopEMARWorker() {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+}
+
+export default {
+  runEMARPass,
+  startEMARWorker,
+  stopEMARWorker
+};
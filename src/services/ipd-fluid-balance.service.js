@@ -0,0 +1,299 @@
+/**
+ * IPD Fluid Balance Service
+ * Intake/output charting (IV fluids, oral, drains, urine, vomit...) with hourly
+ * totals, 24h balance and alerts when the balance passes the admission's limits
+ */
+
+import logger from '../utils/logger.js';
+import { AppError } from '../shared/AppError.js';
+import {
+  FLUID_DIRECTION,
+  FLUID_CATEGORIES,
+  FLUID_BALANCE_CONFIG,
+  toChartDayStart,
+  summarizeFluidEntries,
+  bucketFluidEntriesByHour,
+} from './ipd-fluid.constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class IPDFluidBalanceService {
+  constructor(prisma, alertsService) {
+    this.prisma = prisma;
+    this.alertsService = alertsService;
+  }
+
+  /**
+   * Record an intake or output entry, then check the 24h balance
+   */
+  async recordEntry(admissionId, data, currentUser) {
+    try {
+      const { direction, category, fluidType, volumeMl, recordedFor, notes } = data;
+
+      if (!Object.values(FLUID_DIRECTION).includes(direction)) {
+        throw new AppError(`Invalid direction. Must be one of: ${Object.values(FLUID_DIRECTION).join(', ')}`, 400);
+      }
+
+      if (!FLUID_CATEGORIES[direction].includes(category)) {
+        throw new AppError(`Invalid ${direction.toLowerCase()} category. Must be one of: ${FLUID_CATEGORIES[direction].join(', ')}`, 400);
+      }
+
+      const volume = Number(volumeMl);
+      if (!(volume > 0) || volume > FLUID_BALANCE_CONFIG.MAX_ENTRY_ML) {
+        throw new AppError(`Volume must be between 1 and ${FLUID_BALANCE_CONFIG.MAX_ENTRY_ML} mL`, 400);
+      }
+
+      const at = new Date(recordedFor || Date.now());
+      if (Number.isNaN(at.getTime()) || at > new Date()) {
+        throw new AppError('recordedFor must be a valid time that is not in the future', 400);
+      }
+
+      const admission = await this.prisma.ipdAdmission.findUnique({
+        where: { id: admissionId },
+      });
+
+      if (!admission) {
+        throw new AppError('Admission not found', 404);
+      }
+
+      if (admission.status !== 'ACTIVE') {
+        throw new AppError('Fluid balance can only be charted for active admissions', 400);
+      }
+
+      const entry = await this.prisma.ipdFluidEntry.create({
+        data: {
+          admissionId,
+          patientId: admission.patientId,
+          direction,
+          category,
+          fluidType,
+          volumeMl: volume,
+          recordedFor: at,
+          notes,
+          recordedBy: currentUser.id,
+          hospitalId: currentUser.hospitalId,
+        },
+      });
+
+      const balance = await this.checkBalanceLimits(admission, currentUser);
+
+      logger.info(`Fluid ${direction.toLowerCase()} of ${volume} mL recorded for admission ${admissionId}`);
+      return { entry, balance };
+    } catch (error) {
+      logger.error(`Record Fluid Entry Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Void a charted entry (corrections keep the original row)
+   */
+  async voidEntry(entryId, reason, currentUser) {
+    try {
+      if (!reason?.trim()) {
+        throw new AppError('A reason is required to void a fluid entry', 400);
+      }
+
+      const entry = await this.prisma.ipdFluidEntry.findUnique({ where: { id: entryId } });
+
+      if (!entry || entry.hospitalId !== currentUser.hospitalId) {
+        throw new AppError('Fluid entry not found', 404);
+      }
+
+      if (entry.isVoided) {
+        throw new AppError('Fluid entry is already voided', 400);
+      }
+
+      const voided = await this.prisma.ipdFluidEntry.update({
+        where: { id: entryId },
+        data: {
+          isVoided: true,
+          voidedBy: currentUser.id,
+          voidedAt: new Date(),
+          voidReason: reason.trim(),
+        },
+      });
+
+      logger.info(`Fluid entry ${entryId} voided`);
+      return voided;
+    } catch (error) {
+      logger.error(`Void Fluid Entry Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Hourly intake/output chart for one chart day (08:00 - 08:00 by default)
+   * @param {string|Date} date - any time within the chart day; defaults to the current one
+   */
+  async getHourlyChart(admissionId, date) {
+    try {
+      const from = toChartDayStart(date ? new Date(date) : new Date());
+      const to = new Date(from.getTime() + DAY_MS);
+      const entries = await this.getEntries(admissionId, from, new Date(to.getTime() - 1));
+
+      return {
+        admissionId,
+        chartDay: { from, to },
+        hours: bucketFluidEntriesByHour(entries),
+        totals: summarizeFluidEntries(entries),
+        entries,
+      };
+    } catch (error) {
+      logger.error(`Get Fluid Chart Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Fluid balance summary: rolling 24h, current chart day, and per chart day history
+   */
+  async getBalanceSummary(admissionId, { days = 3 } = {}, now = new Date()) {
+    try {
+      const chartDays = Math.min(Math.max(parseInt(days) || 1, 1), FLUID_BALANCE_CONFIG.MAX_CHART_DAYS);
+      const currentDayStart = toChartDayStart(now);
+      const from = new Date(Math.min(currentDayStart.getTime() - (chartDays - 1) * DAY_MS, now.getTime() - DAY_MS));
+
+      const [admission, entries] = await Promise.all([
+        this.prisma.ipdAdmission.findUnique({
+          where: { id: admissionId },
+          select: { id: true, fluidPositiveLimitMl: true, fluidNegativeLimitMl: true },
+        }),
+        this.getEntries(admissionId, from, now),
+      ]);
+
+      if (!admission) {
+        throw new AppError('Admission not found', 404);
+      }
+
+      const rollingStart = new Date(now.getTime() - DAY_MS);
+      const daily = [];
+      for (let i = 0; i < chartDays; i++) {
+        const dayStart = new Date(currentDayStart.getTime() - i * DAY_MS);
+        const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+        daily.push({
+          from: dayStart,
+          to: dayEnd,
+          ...summarizeFluidEntries(entries.filter((e) => e.recordedFor >= dayStart && e.recordedFor < dayEnd)),
+        });
+      }
+
+      return {
+        admissionId,
+        limits: resolveLimits(admission),
+        last24h: {
+          from: rollingStart,
+          to: now,
+          ...summarizeFluidEntries(entries.filter((e) => e.recordedFor >= rollingStart)),
+        },
+        daily,
+      };
+    } catch (error) {
+      logger.error(`Get Fluid Balance Summary Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Set the admission's balance alert limits (null restores the hospital default)
+   */
+  async setBalanceLimits(admissionId, { positiveLimitMl, negativeLimitMl }) {
+    try {
+      const positive = positiveLimitMl === null || positiveLimitMl === undefined ? null : Number(positiveLimitMl);
+      const negative = negativeLimitMl === null || negativeLimitMl === undefined ? null : Number(negativeLimitMl);
+
+      if (positive !== null && !(positive > 0)) {
+        throw new AppError('positiveLimitMl must be greater than 0', 400);
+      }
+
+      if (negative !== null && !(negative < 0)) {
+        throw new AppError('negativeLimitMl must be less than 0', 400);
+      }
+
+      const admission = await this.prisma.ipdAdmission.update({
+        where: { id: admissionId },
+        data: {
+          fluidPositiveLimitMl: positive === null ? null : Math.round(positive),
+          fluidNegativeLimitMl: negative === null ? null : Math.round(negative),
+        },
+        select: { id: true, fluidPositiveLimitMl: true, fluidNegativeLimitMl: true },
+      });
+
+      logger.info(`Fluid balance limits updated for admission ${admissionId}`);
+      return { admissionId, limits: resolveLimits(admission) };
+    } catch (error) {
+      logger.error(`Set Fluid Balance Limits Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Alert when the rolling 24h balance is past either limit
+   */
+  async checkBalanceLimits(admission, currentUser, now = new Date()) {
+    try {
+      const windowStart = new Date(now.getTime() - DAY_MS);
+      const entries = await this.getEntries(admission.id, windowStart, now);
+      const summary = summarizeFluidEntries(entries);
+      const limits = resolveLimits(admission);
+
+      let imbalance = null;
+      let limitMl = null;
+      if (summary.netMl > limits.positiveLimitMl) {
+        imbalance = 'POSITIVE';
+        limitMl = limits.positiveLimitMl;
+      } else if (summary.netMl < limits.negativeLimitMl) {
+        imbalance = 'NEGATIVE';
+        limitMl = limits.negativeLimitMl;
+      }
+
+      if (imbalance) {
+        await this.alertsService.createFluidBalanceAlert(
+          admission.id,
+          {
+            imbalance,
+            netMl: summary.netMl,
+            limitMl,
+            intakeMl: summary.intakeMl,
+            outputMl: summary.outputMl,
+            windowStart,
+            windowEnd: now,
+          },
+          currentUser
+        );
+      }
+
+      return { ...summary, limits, imbalance };
+    } catch (error) {
+      logger.error(`Check Fluid Balance Error: ${error.message}`);
+      // Don't throw - the entry is already charted
+      return null;
+    }
+  }
+
+  /**
+   * Non-voided entries charted between two times (inclusive)
+   */
+  async getEntries(admissionId, from, to) {
+    return this.prisma.ipdFluidEntry.findMany({
+      where: {
+        admissionId,
+        isVoided: false,
+        recordedFor: { gte: from, lte: to },
+      },
+      orderBy: { recordedFor: 'asc' },
+    });
+  }
+}
+
+/**
+ * Admission limits, falling back to the hospital defaults
+ */
+function resolveLimits(admission) {
+  return {
+    positiveLimitMl: admission.fluidPositiveLimitMl ?? FLUID_BALANCE_CONFIG.POSITIVE_LIMIT_ML,
+    negativeLimitMl: admission.fluidNegativeLimitMl ?? FLUID_BALANCE_CONFIG.NEGATIVE_LIMIT_ML,
+  };
+}
+
+export default IPDFluidBalanceService;
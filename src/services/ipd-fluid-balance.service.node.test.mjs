@@ -0,0 +1,146 @@
+/**
+ * IPD Fluid Balance Service - rolling 24h and chart-day totals, the hourly
+ * chart, balance limit alerts and entry validation
+ * Times are built in local time: the chart day starts at a local clock hour.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answeringClient, callsTo } from './prismaTestClient.node.mjs';
+import { IPDFluidBalanceService } from './ipd-fluid-balance.service.js';
+import { FLUID_BALANCE_CONFIG, FLUID_DIRECTION } from './ipd-fluid.constants.js';
+
+const nurse = { id: 'nurse-1', hospitalId: 'h1' };
+
+const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes);
+
+const intake = (recordedFor, category, volumeMl) => ({ direction: FLUID_DIRECTION.INTAKE, category, volumeMl, recordedFor });
+const output = (recordedFor, category, volumeMl) => ({ direction: FLUID_DIRECTION.OUTPUT, category, volumeMl, recordedFor });
+
+function setup({ entries = [], admission = {} } = {}) {
+  const alerts = [];
+  const { client, calls } = answeringClient({
+    ipdAdmission: {
+      findUnique: { id: 'adm-1', patientId: 'P1', status: 'ACTIVE', fluidPositiveLimitMl: null, fluidNegativeLimitMl: null, ...admission },
+    },
+    ipdFluidEntry: {
+      // The charted window, as the database would filter it
+      findMany: ({ where: { recordedFor } }) => entries.filter(e => e.recordedFor >= recordedFor.gte && e.recordedFor <= recordedFor.lte),
+      create: ({ data }) => ({ id: 'entry-1', ...data }),
+    },
+  });
+  const alertsService = {
+    createFluidBalanceAlert: async (admissionId, alert) => {
+      alerts.push(alert);
+      return { id: 'alert-1' };
+    },
+  };
+  return { service: new IPDFluidBalanceService(client, alertsService), calls, alerts };
+}
+
+// ==================== TOTALS ====================
+
+test('the summary totals the last 24 hours and each 08:00 chart day by category', async () => {
+  const { service, calls } = setup({
+    admission: { fluidNegativeLimitMl: -500 },
+    entries: [
+      intake(at(18, 9), 'IV_FLUID', 1000),
+      output(at(18, 14), 'URINE', 400),
+      intake(at(19, 7), 'ORAL', 300),
+      intake(at(19, 9, 30), 'IV_FLUID', 500),
+      output(at(19, 9, 45), 'DRAIN', 150),
+    ],
+  });
+
+  const summary = await service.getBalanceSummary('adm-1', { days: 2 }, at(19, 10));
+
+  assert.deepEqual(summary.limits, { positiveLimitMl: FLUID_BALANCE_CONFIG.POSITIVE_LIMIT_ML, negativeLimitMl: -500 });
+
+  const { from, to, ...last24h } = summary.last24h;
+  assert.deepEqual([from, to], [at(18, 10), at(19, 10)]);
+  assert.deepEqual(last24h, {
+    intakeMl: 800, outputMl: 550, netMl: 250,
+    intake: { ORAL: 300, IV_FLUID: 500 }, output: { URINE: 400, DRAIN: 150 },
+  });
+
+  assert.deepEqual(summary.daily.map(day => [day.from, day.intakeMl, day.outputMl, day.netMl]), [
+    [at(19, 8), 500, 150, 350],
+    [at(18, 8), 1300, 400, 900],
+  ]);
+
+  const [query] = callsTo(calls, 'ipdFluidEntry.findMany');
+  assert.deepEqual(query.args.where, { admissionId: 'adm-1', isVoided: false, recordedFor: { gte: at(18, 8), lte: at(19, 10) } });
+});
+
+test('the hourly chart buckets a chart day by clock hour with a running balance', async () => {
+  const { service } = setup({
+    entries: [
+      intake(at(19, 7, 50), 'ORAL', 100),
+      intake(at(19, 8, 10), 'IV_FLUID', 250),
+      output(at(19, 8, 40), 'URINE', 100),
+      output(at(19, 11, 5), 'VOMIT', 300),
+      intake(at(20, 7, 59), 'ORAL', 50),
+      intake(at(20, 8), 'ORAL', 999),
+    ],
+  });
+
+  const chart = await service.getHourlyChart('adm-1', at(20, 3));
+
+  assert.deepEqual(chart.chartDay, { from: at(19, 8), to: at(20, 8) });
+  assert.deepEqual(chart.hours.map(h => [h.hour, h.intakeMl, h.outputMl, h.cumulativeMl]), [
+    [at(19, 8), 250, 100, 150],
+    [at(19, 11), 0, 300, -150],
+    [at(20, 7), 50, 0, -100],
+  ]);
+  assert.deepEqual([chart.totals.intakeMl, chart.totals.outputMl, chart.totals.netMl], [300, 400, -100]);
+});
+
+// ==================== LIMITS ====================
+
+test('charting past the admission limit raises a balance alert', async () => {
+  const now = new Date();
+  const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+  const { service, alerts } = setup({
+    admission: { fluidPositiveLimitMl: 1500 },
+    entries: [intake(hoursAgo(30), 'IV_FLUID', 3000), intake(hoursAgo(6), 'IV_FLUID', 1000), intake(hoursAgo(1), 'ORAL', 600)],
+  });
+
+  const { entry, balance } = await service.recordEntry('adm-1', { direction: 'INTAKE', category: 'ORAL', volumeMl: '600' }, nurse);
+
+  assert.equal(entry.volumeMl, 600);
+  assert.equal(entry.patientId, 'P1');
+  assert.deepEqual([balance.netMl, balance.imbalance], [1600, 'POSITIVE']);
+  assert.deepEqual(alerts.map(a => [a.imbalance, a.netMl, a.limitMl]), [['POSITIVE', 1600, 1500]]);
+});
+
+test('a negative balance alerts below the default limit, and nothing inside the limits', async () => {
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  const { service: dry, alerts: dryAlerts } = setup({
+    entries: [intake(hoursAgo(10), 'ORAL', 200), output(hoursAgo(2), 'URINE', 1300)],
+  });
+  await dry.recordEntry('adm-1', { direction: 'OUTPUT', category: 'URINE', volumeMl: 1300 }, nurse);
+  assert.deepEqual(dryAlerts.map(a => [a.imbalance, a.netMl, a.limitMl]), [['NEGATIVE', -1100, FLUID_BALANCE_CONFIG.NEGATIVE_LIMIT_ML]]);
+
+  const { service: steady, alerts: steadyAlerts } = setup({
+    entries: [intake(hoursAgo(10), 'ORAL', 1200), output(hoursAgo(2), 'URINE', 900)],
+  });
+  const { balance } = await steady.recordEntry('adm-1', { direction: 'OUTPUT', category: 'URINE', volumeMl: 900 }, nurse);
+  assert.equal(balance.imbalance, null);
+  assert.deepEqual(steadyAlerts, []);
+});
+
+// ==================== ENTRIES ====================
+
+test('entries need a category of their direction, a plausible volume and a past time', async () => {
+  const { service, calls } = setup();
+  const future = new Date(Date.now() + 60 * 60 * 1000);
+
+  await assert.rejects(service.recordEntry('adm-1', { direction: 'INTAKE', category: 'URINE', volumeMl: 100 }, nurse), { statusCode: 400 });
+  await assert.rejects(service.recordEntry('adm-1', { direction: 'OUTPUT', category: 'URINE', volumeMl: 0 }, nurse), { statusCode: 400 });
+  await assert.rejects(service.recordEntry('adm-1', { direction: 'OUTPUT', category: 'URINE', volumeMl: 5001 }, nurse), { statusCode: 400 });
+  await assert.rejects(service.recordEntry('adm-1', { direction: 'OUTPUT', category: 'URINE', volumeMl: 100, recordedFor: future }, nurse), { statusCode: 400 });
+  assert.equal(calls.length, 0);
+
+  const { service: discharged } = setup({ admission: { status: 'DISCHARGED' } });
+  await assert.rejects(discharged.recordEntry('adm-1', { direction: 'INTAKE', category: 'ORAL', volumeMl: 100 }, nurse), { statusCode: 400 });
+});
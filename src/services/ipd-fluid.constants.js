@@ -0,0 +1,97 @@
+/**
+ * IPD Fluid Balance Constants
+ * Intake/output categories, balance alert thresholds and hourly charting helpers
+ *
+ * Entries are charted against the clock hour they belong to; the 24h balance is
+ * intake minus output over the chart day (CHART_DAY_START_HOUR to the same hour
+ * next day) or over a rolling 24h window for alerting.
+ */
+
+// ==================== DIRECTIONS & CATEGORIES ====================
+export const FLUID_DIRECTION = {
+  INTAKE: 'INTAKE',
+  OUTPUT: 'OUTPUT'
+};
+
+export const FLUID_CATEGORIES = {
+  INTAKE: ['IV_FLUID', 'IV_MEDICATION', 'BLOOD_PRODUCT', 'ORAL', 'ENTERAL_FEED', 'OTHER'],
+  OUTPUT: ['URINE', 'DRAIN', 'VOMIT', 'NG_ASPIRATE', 'STOOL', 'BLOOD_LOSS', 'OTHER']
+};
+
+// ==================== CONFIGURATION ====================
+export const FLUID_BALANCE_CONFIG = {
+  CHART_DAY_START_HOUR: 8,         // ICU chart day runs 08:00 - 08:00
+  POSITIVE_LIMIT_ML: 2000,         // Rolling 24h net above this raises an alert
+  NEGATIVE_LIMIT_ML: -1000,        // ...and below this
+  MAX_ENTRY_ML: 5000,              // Single entries above this are rejected as typos
+  MAX_CHART_DAYS: 14
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Start of the clock hour a time falls in
+ */
+export function toHourSlot(date) {
+  const slot = new Date(date);
+  slot.setMinutes(0, 0, 0);
+  return slot;
+}
+
+/**
+ * Start of the chart day a time falls in
+ */
+export function toChartDayStart(date, startHour = FLUID_BALANCE_CONFIG.CHART_DAY_START_HOUR) {
+  const start = new Date(date);
+  if (start.getHours() < startHour) start.setDate(start.getDate() - 1);
+  start.setHours(startHour, 0, 0, 0);
+  return start;
+}
+
+/**
+ * Totals for a set of entries: intake, output and net, each split by category
+ */
+export function summarizeFluidEntries(entries) {
+  const summary = { intakeMl: 0, outputMl: 0, netMl: 0, intake: {}, output: {} };
+
+  for (const entry of entries) {
+    const side = entry.direction === FLUID_DIRECTION.INTAKE ? 'intake' : 'output';
+    summary[side][entry.category] = (summary[side][entry.category] || 0) + entry.volumeMl;
+    summary[`${side}Ml`] += entry.volumeMl;
+  }
+
+  summary.netMl = summary.intakeMl - summary.outputMl;
+  return summary;
+}
+
+/**
+ * Hourly buckets (oldest first) with a running cumulative balance
+ */
+export function bucketFluidEntriesByHour(entries) {
+  const buckets = new Map();
+
+  for (const entry of entries) {
+    const key = toHourSlot(entry.recordedFor).getTime();
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(entry);
+  }
+
+  let cumulativeMl = 0;
+  return [...buckets.keys()]
+    .sort((a, b) => a - b)
+    .map((key) => {
+      const summary = summarizeFluidEntries(buckets.get(key));
+      cumulativeMl += summary.netMl;
+      return { hour: new Date(key), ...summary, cumulativeMl };
+    });
+}
+
+export default {
+  FLUID_DIRECTION,
+  FLUID_CATEGORIES,
+  FLUID_BALANCE_CONFIG,
+  toHourSlot,
+  toChartDayStart,
+  summarizeFluidEntries,
+  bucketFluidEntriesByHour
+};
@@ -5,27 +5,40 @@
 
 import logger from '../utils/logger.js';
 import { AppError } from '../shared/AppError.js';
+import { emitNotificationEvent } from './notification.events.js';
+import { NOTIFICATION_EVENTS } from './notification.constants.js';
+import { IPDBillingService } from './ipd-billing.service.js';
+import { IPDBedService } from './ipd-bed.service.js';
+import { BED_STATUS, formatBedLocation } from './ipd-bed.constants.js';
+import { emitBedEvent, BED_EVENTS } from './ipd-bed.events.js';
 
 export class IPDMovementService {
   constructor(prisma) {
     this.prisma = prisma;
+    this.billingService = new IPDBillingService(prisma);
   }
 
   /**
-   * Record patient entry into ward
+   * Record patient entry into ward (arrival at the bed allocated on admission)
    */
   async recordPatientEntry(admissionId, wardId, data, currentUser) {
     try {
       const { roomNumber, bedNumber, admissionTime, enteredBy } = data;
+      const enteredAt = admissionTime ? new Date(admissionTime) : new Date();
 
-      // Verify ward and bed exist
-      const [ward, bed] = await Promise.all([
+      // Verify admission, ward and bed exist
+      const [admission, ward, bed] = await Promise.all([
+        this.prisma.ipdAdmission.findUnique({ where: { id: admissionId } }),
         this.prisma.ipdWard.findUnique({ where: { id: wardId } }),
         this.prisma.ipdBed.findUnique({
           where: { wardId_bedNumber: { wardId, bedNumber } },
         }),
       ]);
 
+      if (!admission) {
+        throw new AppError('Admission not found', 404);
+      }
+
       if (!ward) {
         throw new AppError('Ward not found', 404);
       }
@@ -34,33 +47,44 @@ export class IPDMovementService {
         throw new AppError('Bed not found', 404);
       }
 
-      // Record movement
-      const movement = await this.prisma.ipdPatientMovement.create({
-        data: {
-          admissionId,
-          movementType: 'ADMISSION', // ADMISSION, TRANSFER, DISCHARGE, ICU_MOVE, OPERATING_THEATRE
-          fromLocation: null,
-          toLocation: `${ward.name} - Room ${roomNumber} - Bed ${bedNumber}`,
-          fromWardId: null,
-          toWardId: wardId,
-          fromBedId: null,
-          toBedId: bed.id,
-          reason: 'Patient admission to ward',
-          movementTime: new Date(admissionTime),
-          movedBy: enteredBy || currentUser.id,
-          notes: data.notes || '',
-          hospitalId: currentUser.hospitalId,
-        },
-      });
+      if (bed.id !== admission.bedId) {
+        throw new AppError('Bed is not the one allocated to this admission; use transfer instead', 400);
+      }
 
-      // Update bed status
-      await this.prisma.ipdBed.update({
-        where: { id: bed.id },
-        data: {
-          status: 'OCCUPIED',
-          occupiedBy: admissionId,
-          occupiedSince: new Date(admissionTime),
-        },
+      const movement = await this.prisma.$transaction(async (tx) => {
+        // Occupied on admission already unless the bed was only held for the patient
+        if (bed.status !== BED_STATUS.OCCUPIED) {
+          await new IPDBedService(tx).transitionBed(bed.id, BED_STATUS.OCCUPIED, {
+            patientId: admission.patientId,
+            changedBy: currentUser.id,
+            reason: 'Patient admission to ward',
+            at: enteredAt,
+          });
+        }
+
+        await tx.ipdAdmission.update({
+          where: { id: admissionId },
+          data: { wardId, wardName: ward.wardName, roomNumber: roomNumber || bed.roomNumber },
+        });
+
+        return tx.ipdPatientMovement.create({
+          data: {
+            admissionId,
+            patientId: admission.patientId,
+            movementType: 'ADMISSION', // ADMISSION, TRANSFER, DISCHARGE, ICU_MOVE, OPERATING_THEATRE
+            fromLocation: null,
+            toLocation: formatBedLocation(ward.wardName, { ...bed, roomNumber: roomNumber || bed.roomNumber }),
+            fromWardId: null,
+            toWardId: wardId,
+            fromBedId: null,
+            toBedId: bed.id,
+            reason: 'Patient admission to ward',
+            transferDate: enteredAt,
+            movedBy: enteredBy || currentUser.id,
+            notes: data.notes || '',
+            hospitalId: currentUser.hospitalId,
+          },
+        });
       });
 
       logger.info(`Patient entered ward: ${wardId} - Bed ${bedNumber}`);
@@ -73,21 +97,27 @@ export class IPDMovementService {
 
   /**
    * Transfer patient within hospital
+   * The vacated bed goes to CLEANING; both beds and ward counters change in one transaction
    */
   async transferPatient(admissionId, toWardId, toBedId, data, currentUser) {
     try {
       const { reason, transferTime, notes } = data;
+      const transferredAt = transferTime ? new Date(transferTime) : new Date();
 
-      // Get current admission with ward info
+      // Get current admission with bed and ward info
       const admission = await this.prisma.ipdAdmission.findUnique({
         where: { id: admissionId },
-        include: { bed: { include: { ward: true } } },
+        include: { bed: true, ward: true },
       });
 
       if (!admission) {
         throw new AppError('Admission not found', 404);
       }
 
+      if (admission.status !== 'ACTIVE') {
+        throw new AppError('Can only transfer active admissions', 400);
+      }
+
       // Verify destination ward and bed
       const [toWard, toBed] = await Promise.all([
         this.prisma.ipdWard.findUnique({ where: { id: toWardId } }),
@@ -98,63 +128,77 @@ export class IPDMovementService {
         throw new AppError('Destination ward not found', 404);
       }
 
-      if (!toBed || toBed.wardId !== toWardId) {
+      if (!toBed || !toBed.isActive || toBed.wardId !== toWardId) {
         throw new AppError('Destination bed not found or not in specified ward', 404);
       }
 
-      if (toBed.status === 'OCCUPIED') {
-        throw new AppError('Destination bed is already occupied', 400);
+      if (toBed.id === admission.bedId) {
+        throw new AppError('Patient is already in this bed', 400);
       }
 
-      // Record movement
-      const movement = await this.prisma.ipdPatientMovement.create({
-        data: {
-          admissionId,
-          movementType: 'TRANSFER',
-          fromLocation: `${admission.bed.ward.name} - Bed ${admission.bed.bedNumber}`,
-          toLocation: `${toWard.name} - Bed ${toBed.bedNumber}`,
-          fromWardId: admission.wardId,
-          toWardId: toWardId,
-          fromBedId: admission.bedId,
-          toBedId: toBedId,
-          reason,
-          movementTime: new Date(transferTime || Date.now()),
-          movedBy: currentUser.id,
-          notes,
-          hospitalId: currentUser.hospitalId,
-        },
-      });
-
-      // Release old bed
-      await this.prisma.ipdBed.update({
-        where: { id: admission.bedId },
-        data: {
-          status: 'AVAILABLE',
-          occupiedBy: null,
-          occupiedSince: null,
-        },
-      });
+      if (![BED_STATUS.AVAILABLE, BED_STATUS.RESERVED].includes(toBed.status)) {
+        throw new AppError(`Destination bed is ${toBed.status}`, 400);
+      }
 
-      // Occupy new bed
-      await this.prisma.ipdBed.update({
-        where: { id: toBedId },
-        data: {
-          status: 'OCCUPIED',
-          occupiedBy: admissionId,
-          occupiedSince: new Date(),
-        },
+      // Charge bed days so far at the outgoing bed's tariff
+      await this.billingService.accrueCharges(admissionId);
+
+      const fromWardName = admission.ward?.wardName || admission.bed.wardName;
+
+      const movement = await this.prisma.$transaction(async (tx) => {
+        const bedService = new IPDBedService(tx);
+
+        // Occupy new bed first so a lost race leaves the patient where they are
+        await bedService.transitionBed(toBedId, BED_STATUS.OCCUPIED, {
+          patientId: admission.patientId,
+          changedBy: currentUser.id,
+          reason: reason || 'Transfer in',
+          at: transferredAt,
+        });
+
+        await bedService.transitionBed(admission.bedId, BED_STATUS.CLEANING, {
+          changedBy: currentUser.id,
+          reason: reason || 'Transfer out',
+          at: transferredAt,
+        });
+
+        await tx.ipdAdmission.update({
+          where: { id: admissionId },
+          data: {
+            wardId: toWardId,
+            wardName: toWard.wardName,
+            bedId: toBedId,
+            roomNumber: toBed.roomNumber,
+          },
+        });
+
+        return tx.ipdPatientMovement.create({
+          data: {
+            admissionId,
+            patientId: admission.patientId,
+            movementType: 'TRANSFER',
+            fromLocation: formatBedLocation(fromWardName, admission.bed),
+            toLocation: formatBedLocation(toWard.wardName, toBed),
+            fromWardId: admission.wardId || admission.bed.wardId,
+            toWardId,
+            fromBedId: admission.bedId,
+            toBedId,
+            reason,
+            transferDate: transferredAt,
+            movedBy: currentUser.id,
+            notes,
+            hospitalId: currentUser.hospitalId,
+          },
+        });
       });
 
-      // Update admission ward info
-      await this.prisma.ipdAdmission.update({
-        where: { id: admissionId },
-        data: {
-          wardId: toWardId,
-          bedId: toBedId,
-        },
+      emitBedEvent(BED_EVENTS.BED_RELEASED, {
+        hospitalId: admission.hospitalId,
+        bedId: admission.bedId,
+        wardId: movement.fromWardId,
       });
 
-      logger.info(`Patient transferred from ward ${admission.wardId} to ${toWardId}`);
+      logger.info(`Patient transferred from ward ${movement.fromWardId} to ${toWardId}`);
       return movement;
     } catch (error) {
       logger.error(`Transfer Patient Error: ${error.message}`);
@@ -202,34 +246,50 @@ export class IPDMovementService {
 
   /**
    * Transfer patient to operating theatre
+   * The ward bed stays occupied (held) until the patient returns
    */
   async transferToOperatingTheatre(admissionId, procedureId, otData, currentUser) {
     try {
-      const { otNumber, scheduledTime } = otData;
-
-      // Get current admission
-      const admission = await this.prisma.ipdAdmission.findUnique({
-        where: { id: admissionId },
-      });
+      const { otNumber, transferTime, notes } = otData;
+      const movedAt = transferTime ? new Date(transferTime) : new Date();
+
+      // Get current admission and the procedure
+      const [admission, procedure] = await Promise.all([
+        this.prisma.ipdAdmission.findUnique({
+          where: { id: admissionId },
+          include: { bed: true, ward: true },
+        }),
+        this.prisma.ipdProcedure.findUnique({ where: { id: procedureId } }),
+      ]);
 
       if (!admission) {
         throw new AppError('Admission not found', 404);
       }
 
+      if (admission.status !== 'ACTIVE') {
+        throw new AppError('Only active admissions can be moved to the operating theatre', 400);
+      }
+
+      if (!procedure || procedure.admissionId !== admissionId) {
+        throw new AppError('Procedure not found for this admission', 404);
+      }
+
       // Record movement
       const movement = await this.prisma.ipdPatientMovement.create({
         data: {
           admissionId,
+          patientId: admission.patientId,
           movementType: 'OPERATING_THEATRE',
+          fromLocation: formatBedLocation(admission.ward?.wardName || admission.wardName, admission.bed),
           toLocation: `Operating Theatre ${otNumber}`,
           fromWardId: admission.wardId,
           toWardId: null,
           fromBedId: admission.bedId,
           toBedId: null,
-          reason: `Procedure: ${procedureId}`,
-          movementTime: new Date(scheduledTime),
+          reason: `Procedure: ${procedure.procedureName}`,
+          transferDate: movedAt,
           movedBy: currentUser.id,
-          notes: `Patient moved to OT for procedure`,
+          notes: notes || 'Patient moved to OT for procedure',
           hospitalId: currentUser.hospitalId,
         },
       });
@@ -239,8 +299,7 @@ export class IPDMovementService {
         where: { id: procedureId },
         data: {
           status: 'IN_PROGRESS',
-          actualStartTime: new Date(),
-          operatingTheatreId: otNumber,
+          actualStartTime: movedAt,
         },
       });
 
@@ -253,35 +312,68 @@ export class IPDMovementService {
   }
 
   /**
-   * Return patient from operating theatre to recovery area
+   * Return patient from operating theatre
+   * Goes to the recovery bed when one is given, otherwise back to the held ward bed
    */
   async returnFromOperatingTheatre(admissionId, procedureId, recoveryData, currentUser) {
     try {
-      const { recoveryWardId, recoveryBedId, postOperativeNotes } = recoveryData;
+      const { recoveryWardId, recoveryBedId, postOperativeNotes, otNumber, transferTime } = recoveryData;
+      const returnedAt = transferTime ? new Date(transferTime) : new Date();
 
-      // Record movement to recovery
-      const movement = await this.transferPatient(
-        admissionId,
-        recoveryWardId,
-        recoveryBedId,
-        {
-          reason: 'Post-operative recovery',
-          transferTime: new Date(),
-          notes: postOperativeNotes,
-        },
-        currentUser
-      );
+      const admission = await this.prisma.ipdAdmission.findUnique({
+        where: { id: admissionId },
+        include: { bed: true, ward: true },
+      });
+
+      if (!admission) {
+        throw new AppError('Admission not found', 404);
+      }
+
+      let movement;
+      if (recoveryBedId && recoveryBedId !== admission.bedId) {
+        // Record movement to recovery
+        movement = await this.transferPatient(
+          admissionId,
+          recoveryWardId,
+          recoveryBedId,
+          {
+            reason: 'Post-operative recovery',
+            transferTime: returnedAt,
+            notes: postOperativeNotes,
+          },
+          currentUser
+        );
+      } else {
+        movement = await this.prisma.ipdPatientMovement.create({
+          data: {
+            admissionId,
+            patientId: admission.patientId,
+            movementType: 'RETURN_FROM_OT',
+            fromLocation: otNumber ? `Operating Theatre ${otNumber}` : 'Operating Theatre',
+            toLocation: formatBedLocation(admission.ward?.wardName || admission.wardName, admission.bed),
+            fromWardId: null,
+            toWardId: admission.wardId,
+            fromBedId: null,
+            toBedId: admission.bedId,
+            reason: 'Returned to ward after procedure',
+            transferDate: returnedAt,
+            movedBy: currentUser.id,
+            notes: postOperativeNotes,
+            hospitalId: currentUser.hospitalId,
+          },
+        });
+      }
 
       // Update procedure status
       await this.prisma.ipdProcedure.update({
         where: { id: procedureId },
         data: {
           status: 'COMPLETED',
-          actualEndTime: new Date(),
+          actualEndTime: returnedAt,
         },
       });
 
-      logger.info(`Patient returned from OT to recovery ward`);
+      logger.info(`Patient returned from OT - Admission ${admissionId}`);
       return movement;
     } catch (error) {
       logger.error(`Return from OT Error: ${error.message}`);
@@ -291,6 +383,7 @@ export class IPDMovementService {
 
   /**
    * Discharge patient from ward
+   * The bed goes to CLEANING (turnaround starts) in the same transaction as the discharge
    */
   async dischargePatient(admissionId, dischargeData, currentUser) {
     try {
@@ -300,56 +393,87 @@ export class IPDMovementService {
         dischargeNotes,
         followUpInstructions,
       } = dischargeData;
+      const dischargedAt = dischargeTime ? new Date(dischargeTime) : new Date();
 
       // Get admission with bed info
       const admission = await this.prisma.ipdAdmission.findUnique({
         where: { id: admissionId },
+        include: { bed: true },
       });
 
       if (!admission) {
         throw new AppError('Admission not found', 404);
       }
 
-      // Record movement
-      const movement = await this.prisma.ipdPatientMovement.create({
-        data: {
-          admissionId,
-          movementType: 'DISCHARGE',
-          fromWardId: admission.wardId,
-          toWardId: null,
-          fromBedId: admission.bedId,
-          toBedId: null,
-          reason: dischargeType,
-          movementTime: new Date(dischargeTime),
-          movedBy: currentUser.id,
-          notes: dischargeNotes,
-          hospitalId: currentUser.hospitalId,
-        },
-      });
+      if (admission.status !== 'ACTIVE') {
+        throw new AppError(`Cannot discharge admission with status ${admission.status}`, 400);
+      }
 
-      // Release bed
-      await this.prisma.ipdBed.update({
-        where: { id: admission.bedId },
-        data: {
-          status: 'AVAILABLE',
-          occupiedBy: null,
-          occupiedSince: null,
-        },
+      // Running bill must be settled (or discharge approved by billing)
+      await this.billingService.assertDischargeAllowed(admissionId);
+
+      const { movement, discharged } = await this.prisma.$transaction(async (tx) => {
+        const created = await tx.ipdPatientMovement.create({
+          data: {
+            admissionId,
+            patientId: admission.patientId,
+            movementType: 'DISCHARGE',
+            fromLocation: formatBedLocation(admission.wardName, admission.bed),
+            fromWardId: admission.wardId || admission.bed.wardId,
+            toWardId: null,
+            fromBedId: admission.bedId,
+            toBedId: null,
+            reason: dischargeType,
+            transferDate: dischargedAt,
+            movedBy: currentUser.id,
+            notes: dischargeNotes,
+            hospitalId: currentUser.hospitalId,
+          },
+        });
+
+        // Vacate bed; it stays on the admission as the last bed occupied
+        await new IPDBedService(tx).transitionBed(admission.bedId, BED_STATUS.CLEANING, {
+          changedBy: currentUser.id,
+          reason: 'Discharge',
+          at: dischargedAt,
+        });
+
+        const updated = await tx.ipdAdmission.update({
+          where: { id: admissionId },
+          data: { status: 'DISCHARGED' },
+          include: {
+            patient: true,
+          },
+        });
+
+        return { movement: created, discharged: updated };
       });
 
-      // Update admission status
-      await this.prisma.ipdAdmission.update({
-        where: { id: admissionId },
-        data: {
-          status: 'DISCHARGED',
-          dischargeType,
-          dischargeDate: new Date(dischargeTime),
-          dischargedBy: currentUser.id,
-          followUpInstructions,
-          bedId: null,
-        },
+      // Bed is cleaning now; the waitlist gets it once housekeeping marks it available
+      emitBedEvent(BED_EVENTS.BED_RELEASED, {
+        hospitalId: admission.hospitalId,
+        bedId: admission.bedId,
+        wardId: movement.fromWardId,
       });
 
+      if (discharged.patient) {
+        emitNotificationEvent(NOTIFICATION_EVENTS.DISCHARGE, {
+          recipient: {
+            id: discharged.patient.id,
+            name: discharged.patient.name,
+            phone: discharged.patient.phone,
+          },
+          data: {
+            patient: { name: discharged.patient.name, patientId: discharged.patient.patientId },
+            discharge: {
+              dischargeDate: dischargedAt,
+              dischargeType,
+              followUpInstructions,
+            },
+          },
+        });
+      }
+
       logger.info(`Patient discharged from admission ${admissionId}`);
       return movement;
     } catch (error) {
@@ -368,7 +492,7 @@ export class IPDMovementService {
           where: { admissionId },
           skip,
           take,
-          orderBy: { movementTime: 'desc' },
+          orderBy: { transferDate: 'desc' },
           include: {
             movedByUser: {
               select: { name: true, role: true },
@@ -412,7 +536,7 @@ export class IPDMovementService {
 
       return {
         admissionId,
-        wardName: admission.ward?.name,
+        wardName: admission.ward?.wardName || admission.wardName,
         wardId: admission.wardId,
         bedNumber: admission.bed?.bedNumber,
         bedId: admission.bedId,
@@ -430,23 +554,35 @@ export class IPDMovementService {
    */
   async getWardCensus(wardId) {
     try {
-      const [beds, occupiedBeds] = await Promise.all([
-        this.prisma.ipdBed.count({ where: { wardId } }),
-        this.prisma.ipdBed.count({
-          where: {
-            wardId,
-            status: 'OCCUPIED',
-          },
+      const [ward, statusCounts] = await Promise.all([
+        this.prisma.ipdWard.findUnique({ where: { id: wardId } }),
+        this.prisma.ipdBed.groupBy({
+          by: ['status'],
+          where: { wardId, isActive: true },
+          _count: { _all: true },
         }),
       ]);
 
-      const occupancy = beds > 0 ? Math.round((occupiedBeds / beds) * 100) : 0;
+      if (!ward) {
+        throw new AppError('Ward not found', 404);
+      }
+
+      const byStatus = Object.fromEntries(Object.values(BED_STATUS).map((status) => [status, 0]));
+      statusCounts.forEach((row) => {
+        byStatus[row.status] = row._count._all;
+      });
+
+      const occupiedBeds = byStatus.OCCUPIED;
+      const occupancy = ward.totalBeds > 0 ? Math.round((occupiedBeds / ward.totalBeds) * 100) : 0;
 
       return {
         wardId,
-        totalBeds: beds,
+        wardCode: ward.wardCode,
+        wardName: ward.wardName,
+        totalBeds: ward.totalBeds,
         occupiedBeds,
-        availableBeds: beds - occupiedBeds,
+        availableBeds: ward.availableBeds,
+        byStatus,
         occupancyPercentage: occupancy,
       };
     } catch (error) {
@@ -461,7 +597,7 @@ export class IPDMovementService {
   async getHospitalCensus(hospitalId) {
     try {
       const wards = await this.prisma.ipdWard.findMany({
-        where: { hospitalId },
+        where: { hospitalId, isActive: true },
       });
 
       const censusData = await Promise.all(
@@ -470,6 +606,7 @@ export class IPDMovementService {
 
       const totalBeds = censusData.reduce((sum, w) => sum + w.totalBeds, 0);
       const occupiedBeds = censusData.reduce((sum, w) => sum + w.occupiedBeds, 0);
+      const availableBeds = censusData.reduce((sum, w) => sum + w.availableBeds, 0);
       const overallOccupancy = totalBeds > 0 ? Math.round((occupiedBeds / totalBeds) * 100) : 0;
 
       return {
@@ -477,7 +614,7 @@ export class IPDMovementService {
         wards: censusData,
         totalBeds,
         occupiedBeds,
-        availableBeds: totalBeds - occupiedBeds,
+        availableBeds,
         overallOccupancyPercentage: overallOccupancy,
       };
     } catch (error) {
@@ -5,10 +5,17 @@
 
 import logger from '../utils/logger.js';
 import { AppError } from '../shared/AppError.js';
+import { MedicationSafetyService, SAFETY_CONTEXT } from './medication-safety.service.js';
+import { IPDAlertsService } from './ipd-alerts.service.js';
+import { IPDEMARService } from './ipd-emar.service.js';
+import { OVERRIDE_REQUIRED_SEVERITIES, SEVERITY_TO_ALERT_LEVEL } from '../constants/drugInteractions.js';
 
 export class IPDOrdersService {
   constructor(prisma) {
     this.prisma = prisma;
+    this.safetyService = new MedicationSafetyService(prisma);
+    this.alertsService = new IPDAlertsService(prisma);
+    this.emarService = new IPDEMARService(prisma);
   }
 
   /**
@@ -21,8 +28,11 @@ export class IPDOrdersService {
         description,
         orderedItems,
         urgency,
-        prescriptions,
+        prescriptions, // MEDICATION: [{ drugId } | { medicationName, genericName, therapeuticClass }, dose, route, frequency,
+                       //   durationDays?, quantityPerDose?, startTime?, prnIndication?, prnMinIntervalHours?, prnMaxDosesPerDay?]
         notes,
+        orderDetails,
+        safetyOverrideReason,
       } = data;
 
       // Verify admission exists
@@ -34,30 +44,108 @@ export class IPDOrdersService {
         throw new AppError('Admission not found', 404);
       }
 
+      const hasPrescriptions = orderType === 'MEDICATION' && Array.isArray(prescriptions) && prescriptions.length > 0;
+      if (hasPrescriptions) {
+        this.emarService.validateMedicationLines(prescriptions);
+      }
+
+      // Interaction / allergy check for medication orders
+      let safety = null;
+      if (hasPrescriptions) {
+        safety = await this.safetyService.checkMedications(
+          currentUser.hospitalId,
+          admission.patientId,
+          prescriptions,
+          { admissionId }
+        );
+        this.safetyService.assertOverride(safety, safetyOverrideReason);
+      }
+      const overrideReason = safety?.requiresOverride ? safetyOverrideReason.trim() : null;
+
       const order = await this.prisma.ipdOrder.create({
         data: {
           admissionId,
+          patientId: admission.patientId,
           orderType,
-          description,
-          orderedItems,
-          urgency, // STAT, HIGH, ROUTINE
-          prescriptions,
-          notes,
+          orderDescription: description,
+          orderDetails: {
+            ...orderDetails,
+            orderedItems,
+            urgency, // STAT, HIGH, ROUTINE
+            prescriptions,
+            notes,
+            ...(safety?.warnings.length > 0 && { safetyWarnings: safety.warnings }),
+            ...(overrideReason && { safetyOverrideReason: overrideReason }),
+          },
           status: 'PENDING', // PENDING, ACCEPTED, IN_PROGRESS, COMPLETED, CANCELLED
           orderedBy: currentUser.id,
-          orderDate: new Date(),
           hospitalId: currentUser.hospitalId,
         },
       });
 
+      if (overrideReason) {
+        await this.safetyService.recordOverride(currentUser.hospitalId, {
+          context: SAFETY_CONTEXT.IPD_ORDER,
+          referenceId: order.id,
+          patientId: admission.patientId,
+          admissionId,
+          result: safety,
+          reason: overrideReason,
+          userId: currentUser.id,
+          userName: currentUser.name,
+        });
+        await this.raiseSafetyAlerts(admissionId, order, safety.warnings, overrideReason, currentUser);
+      }
+
+      // Expand medication lines into timed doses on the eMAR
+      if (hasPrescriptions) {
+        await this.emarService.scheduleOrder(order);
+      }
+
       logger.info(`Order created for admission ${admissionId}`);
-      return order;
+      return { ...order, safetyWarnings: safety?.warnings || [] };
     } catch (error) {
       logger.error(`Create Order Error: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Raise an IPD alert for every overridden interaction / allergy warning so the
+   * ward team sees it when administering
+   */
+  async raiseSafetyAlerts(admissionId, order, warnings, overrideReason, currentUser) {
+    const overridden = warnings.filter(warning => OVERRIDE_REQUIRED_SEVERITIES.includes(warning.severity));
+
+    for (const warning of overridden) {
+      try {
+        const common = {
+          severity: SEVERITY_TO_ALERT_LEVEL[warning.severity],
+          relatedOrderId: order.id,
+          details: { warningSeverity: warning.severity, overrideReason, overriddenBy: currentUser.id },
+        };
+
+        if (warning.type === 'ALLERGY') {
+          await this.alertsService.createAllergyAlert(admissionId, {
+            ...common,
+            allergen: warning.allergen,
+            reaction: warning.message,
+          }, currentUser);
+        } else {
+          await this.alertsService.createMedicationInteractionAlert(admissionId, {
+            ...common,
+            medication1: warning.drugs[0],
+            medication2: warning.drugs[1],
+            interaction: warning.effect || warning.message,
+          }, currentUser);
+        }
+      } catch (error) {
+        // Don't throw - the order is already placed and the override recorded
+        logger.error(`Raise Safety Alert Error: ${error.message}`);
+      }
+    }
+  }
+
   /**
    * Update order status
    */
@@ -84,6 +172,11 @@ export class IPDOrdersService {
         },
       });
 
+      // Stopped medication orders take their outstanding eMAR doses with them
+      if (order.orderType === 'MEDICATION' && (status === 'CANCELLED' || status === 'COMPLETED')) {
+        await this.emarService.cancelOrderDoses(orderId, `Order ${status.toLowerCase()}${notes ? `: ${notes}` : ''}`);
+      }
+
       logger.info(`Order ${orderId} status updated to ${status}`);
       return order;
     } catch (error) {
@@ -265,6 +358,7 @@ export class IPDOrdersService {
         surgeonId,
         assistingStaff,
         preOperativeNotes,
+        chargeAmount, // Procedure fee; falls back to the service catalog price
       } = data;
 
       const procedure = await this.prisma.ipdProcedure.create({
@@ -277,6 +371,7 @@ export class IPDOrdersService {
           surgeonId,
           assistingStaff,
           preOperativeNotes,
+          chargeAmount: chargeAmount !== undefined && chargeAmount !== null ? Number(chargeAmount) : null,
           status: 'SCHEDULED', // SCHEDULED, IN_PROGRESS, COMPLETED, CANCELLED
           scheduledBy: currentUser.id,
           hospitalId: currentUser.hospitalId,
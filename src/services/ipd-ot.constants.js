@@ -0,0 +1,257 @@
+/**
+ * IPD Operating Theatre Constants
+ * Booking statuses, pre-op and WHO surgical safety checklists, intra-op events
+ * and scheduling/utilisation helpers
+ *
+ * OT rooms are ConsultationRoom rows with roomType OT; dated RoomMaintenanceBlock
+ * rows take a theatre out of the calendar. Checklists are stored on the booking as
+ * JSON built from the templates below, one response (YES / NO / NA) per item.
+ */
+
+// ==================== BOOKING ====================
+export const OT_BOOKING_STATUS = {
+  SCHEDULED: 'SCHEDULED',       // Slot booked, pre-op checklist open
+  READY: 'READY',               // Pre-op checklist complete and consents verified
+  IN_PROGRESS: 'IN_PROGRESS',   // Patient in theatre
+  COMPLETED: 'COMPLETED',
+  CANCELLED: 'CANCELLED'
+};
+
+// Bookings that hold their room, surgeon, anaesthetist and patient
+export const ACTIVE_OT_BOOKING_STATUSES = [
+  OT_BOOKING_STATUS.SCHEDULED,
+  OT_BOOKING_STATUS.READY,
+  OT_BOOKING_STATUS.IN_PROGRESS
+];
+
+// Bookings whose slot, room and team can still be changed
+export const RESCHEDULABLE_OT_BOOKING_STATUSES = [
+  OT_BOOKING_STATUS.SCHEDULED,
+  OT_BOOKING_STATUS.READY
+];
+
+export const OT_PRIORITY = {
+  ELECTIVE: 'ELECTIVE',
+  URGENT: 'URGENT',
+  EMERGENCY: 'EMERGENCY'
+};
+
+export const ANAESTHESIA_TYPES = ['GENERAL', 'SPINAL', 'EPIDURAL', 'REGIONAL', 'LOCAL', 'SEDATION'];
+
+export const OT_TEAM_ROLES = [
+  'ASSISTANT_SURGEON',
+  'SCRUB_NURSE',
+  'CIRCULATING_NURSE',
+  'ANAESTHESIA_TECHNICIAN',
+  'PERFUSIONIST',
+  'OTHER'
+];
+
+// Consents that must be signed for the procedure before the pre-op checklist can close
+export const OT_REQUIRED_CONSENTS = ['SURGERY', 'ANESTHESIA'];
+
+// ==================== CHECKLISTS ====================
+export const CHECKLIST_RESPONSE = {
+  YES: 'YES',
+  NO: 'NO',
+  NA: 'NA'
+};
+
+// Ward-side preparation before the patient is sent for
+export const PRE_OP_CHECKLIST = [
+  { code: 'IDENTITY_BAND_CHECKED', label: 'Identity band present and checked' },
+  { code: 'SITE_MARKED', label: 'Operative site marked', allowNA: true },
+  { code: 'FASTING_CONFIRMED', label: 'Nil by mouth as instructed' },
+  { code: 'ALLERGIES_DOCUMENTED', label: 'Allergies documented' },
+  { code: 'INVESTIGATIONS_REVIEWED', label: 'Investigations and imaging available' },
+  { code: 'PRE_ANAESTHETIC_CHECKUP', label: 'Pre-anaesthetic check-up done' },
+  { code: 'BLOOD_ARRANGED', label: 'Blood grouped and cross-matched', allowNA: true },
+  { code: 'PRE_MEDICATION_GIVEN', label: 'Pre-medication given', allowNA: true },
+  { code: 'JEWELLERY_PROSTHESES_REMOVED', label: 'Jewellery, dentures and prostheses removed' }
+];
+
+// WHO Surgical Safety Checklist (2009), completed in phase order
+export const WHO_PHASE = {
+  SIGN_IN: 'SIGN_IN',     // Before induction of anaesthesia
+  TIME_OUT: 'TIME_OUT',   // Before skin incision
+  SIGN_OUT: 'SIGN_OUT'    // Before the patient leaves the operating room
+};
+
+export const WHO_PHASE_ORDER = [WHO_PHASE.SIGN_IN, WHO_PHASE.TIME_OUT, WHO_PHASE.SIGN_OUT];
+
+export const WHO_CHECKLIST = {
+  SIGN_IN: [
+    { code: 'IDENTITY_SITE_PROCEDURE_CONSENT', label: 'Patient has confirmed identity, site, procedure and consent' },
+    { code: 'SITE_MARKED', label: 'Site marked', allowNA: true },
+    { code: 'ANAESTHESIA_SAFETY_CHECK', label: 'Anaesthesia machine and medication check complete' },
+    { code: 'PULSE_OXIMETER_ON', label: 'Pulse oximeter on the patient and functioning' },
+    { code: 'ALLERGIES_REVIEWED', label: 'Known allergies reviewed' },
+    { code: 'AIRWAY_RISK_ASSESSED', label: 'Difficult airway / aspiration risk assessed and equipment available' },
+    { code: 'BLOOD_LOSS_RISK_ASSESSED', label: 'Risk of >500 mL blood loss assessed and access/fluids planned' }
+  ],
+  TIME_OUT: [
+    { code: 'TEAM_INTRODUCED', label: 'All team members introduced by name and role' },
+    { code: 'PATIENT_SITE_PROCEDURE_CONFIRMED', label: 'Patient, site and procedure confirmed' },
+    { code: 'ANTIBIOTIC_PROPHYLAXIS', label: 'Antibiotic prophylaxis given within the last 60 minutes', allowNA: true },
+    { code: 'SURGEON_CRITICAL_STEPS', label: 'Surgeon reviewed critical steps, duration and anticipated blood loss' },
+    { code: 'ANAESTHESIA_CONCERNS', label: 'Anaesthesia team reviewed patient-specific concerns' },
+    { code: 'STERILITY_CONFIRMED', label: 'Sterility confirmed and equipment issues addressed' },
+    { code: 'IMAGING_DISPLAYED', label: 'Essential imaging displayed', allowNA: true }
+  ],
+  SIGN_OUT: [
+    { code: 'PROCEDURE_RECORDED', label: 'Name of the procedure recorded' },
+    { code: 'COUNTS_CORRECT', label: 'Instrument, sponge and needle counts correct' },
+    { code: 'SPECIMEN_LABELLED', label: 'Specimen labelled with patient name', allowNA: true },
+    { code: 'EQUIPMENT_PROBLEMS_ADDRESSED', label: 'Equipment problems identified and addressed', allowNA: true },
+    { code: 'RECOVERY_CONCERNS_REVIEWED', label: 'Key concerns for recovery and management reviewed' }
+  ]
+};
+
+// ==================== INTRA-OP EVENTS ====================
+export const INTRA_OP_EVENT = {
+  ANAESTHESIA_START: 'ANAESTHESIA_START',
+  INCISION: 'INCISION',
+  CLOSURE: 'CLOSURE',
+  ANAESTHESIA_END: 'ANAESTHESIA_END',
+  BLOOD_LOSS: 'BLOOD_LOSS',       // value = mL, added to the case total
+  SPECIMEN: 'SPECIMEN',
+  IMPLANT: 'IMPLANT',
+  COMPLICATION: 'COMPLICATION',
+  NOTE: 'NOTE'
+};
+
+// Milestone events stamp a column on the booking (first record wins)
+export const INTRA_OP_MILESTONE_FIELDS = {
+  ANAESTHESIA_START: 'anaesthesiaStartAt',
+  INCISION: 'incisionAt',
+  CLOSURE: 'closureAt',
+  ANAESTHESIA_END: 'anaesthesiaEndAt'
+};
+
+// WHO phase that must be complete before the event can be recorded
+export const INTRA_OP_EVENT_GATES = {
+  ANAESTHESIA_START: WHO_PHASE.SIGN_IN,
+  INCISION: WHO_PHASE.TIME_OUT
+};
+
+// ==================== CONFIGURATION ====================
+export const OT_CONFIG = {
+  TURNOVER_MINUTES: 30,           // Cleaning/set-up gap kept free between cases in a theatre
+  MIN_CASE_MINUTES: 15,
+  MAX_CASE_MINUTES: 720,
+  SESSION_START_HOUR: 8,          // Staffed theatre hours used as utilisation capacity
+  SESSION_END_HOUR: 20,
+  ON_TIME_GRACE_MINUTES: 15,      // Patient in within this long of the booked start counts as on time
+  MAX_CALENDAR_DAYS: 31,
+  MAX_REPORT_DAYS: 93
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Fresh checklist items from a template (all unanswered)
+ */
+export function buildChecklistItems(template) {
+  return template.map(({ code, label, allowNA }) => ({
+    code,
+    label,
+    allowNA: !!allowNA,
+    response: null,
+    notes: null,
+    checkedBy: null,
+    checkedAt: null
+  }));
+}
+
+/**
+ * Initial WHO checklist: one block per phase
+ */
+export function buildWhoChecklist() {
+  return Object.fromEntries(
+    WHO_PHASE_ORDER.map((phase) => [
+      phase,
+      { items: buildChecklistItems(WHO_CHECKLIST[phase]), completedAt: null, completedBy: null }
+    ])
+  );
+}
+
+/**
+ * An item counts as done when confirmed, or marked not applicable where allowed
+ */
+export function isChecklistItemDone(item) {
+  return item.response === CHECKLIST_RESPONSE.YES ||
+    (item.allowNA && item.response === CHECKLIST_RESPONSE.NA);
+}
+
+/**
+ * Items still outstanding on a checklist
+ */
+export function getOutstandingItems(items) {
+  return items.filter((item) => !isChecklistItemDone(item));
+}
+
+/**
+ * Whole minutes between two times
+ */
+export function minutesBetween(from, to) {
+  return Math.round((new Date(to).getTime() - new Date(from).getTime()) / 60000);
+}
+
+/**
+ * Minutes two ranges share
+ */
+export function overlapMinutes(aStart, aEnd, bStart, bEnd) {
+  const start = Math.max(new Date(aStart).getTime(), new Date(bStart).getTime());
+  const end = Math.min(new Date(aEnd).getTime(), new Date(bEnd).getTime());
+  return end > start ? Math.round((end - start) / 60000) : 0;
+}
+
+/**
+ * Staffed theatre session windows (one per day) between two times
+ */
+export function listSessionWindows(from, to) {
+  const windows = [];
+  const day = new Date(from);
+  day.setHours(0, 0, 0, 0);
+
+  while (day < to) {
+    const start = new Date(day);
+    start.setHours(OT_CONFIG.SESSION_START_HOUR, 0, 0, 0);
+    const end = new Date(day);
+    end.setHours(OT_CONFIG.SESSION_END_HOUR, 0, 0, 0);
+
+    const clippedStart = start < from ? new Date(from) : start;
+    const clippedEnd = end > to ? new Date(to) : end;
+    if (clippedEnd > clippedStart) windows.push({ start: clippedStart, end: clippedEnd });
+
+    day.setDate(day.getDate() + 1);
+  }
+
+  return windows;
+}
+
+export default {
+  OT_BOOKING_STATUS,
+  ACTIVE_OT_BOOKING_STATUSES,
+  RESCHEDULABLE_OT_BOOKING_STATUSES,
+  OT_PRIORITY,
+  ANAESTHESIA_TYPES,
+  OT_TEAM_ROLES,
+  OT_REQUIRED_CONSENTS,
+  CHECKLIST_RESPONSE,
+  PRE_OP_CHECKLIST,
+  WHO_PHASE,
+  WHO_PHASE_ORDER,
+  WHO_CHECKLIST,
+  INTRA_OP_EVENT,
+  INTRA_OP_MILESTONE_FIELDS,
+  INTRA_OP_EVENT_GATES,
+  OT_CONFIG,
+  buildChecklistItems,
+  buildWhoChecklist,
+  isChecklistItemDone,
+  getOutstandingItems,
+  minutesBetween,
+  overlapMinutes,
+  listSessionWindows
+};
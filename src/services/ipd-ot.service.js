@@ -0,0 +1,1126 @@
+/**
+ * IPD Operating Theatre Service
+ * OT calendar and surgery bookings for admitted patients
+ *
+ * Features:
+ * - Bookings in OT rooms (ConsultationRoom roomType OT) with surgeon, anaesthetist and team
+ * - Conflict detection: room (with turnover gap), surgeon, anaesthetist, patient,
+ *   maintenance blocks; team members double-booked come back as warnings
+ * - Pre-op checklist that only closes once SURGERY + ANESTHESIA consents are signed
+ * - WHO surgical safety checklist (sign-in / time-out / sign-out) gating the case
+ * - Intra-op notes and milestones, patient movement to and from theatre
+ * - Utilisation report per theatre and surgeon
+ */
+
+import logger from '../utils/logger.js';
+import { AppError } from '../shared/AppError.js';
+import { findOverlaps } from '../utils/timeOverlap.js';
+import { IPDConsentService } from './ipd-consent.service.js';
+import { IPDMovementService } from './ipd-movement.service.js';
+import { ROOM_TYPE, formatRoomLabel } from './room.constants.js';
+import {
+  OT_BOOKING_STATUS,
+  ACTIVE_OT_BOOKING_STATUSES,
+  RESCHEDULABLE_OT_BOOKING_STATUSES,
+  OT_PRIORITY,
+  ANAESTHESIA_TYPES,
+  OT_TEAM_ROLES,
+  OT_REQUIRED_CONSENTS,
+  CHECKLIST_RESPONSE,
+  PRE_OP_CHECKLIST,
+  WHO_PHASE_ORDER,
+  INTRA_OP_EVENT,
+  INTRA_OP_MILESTONE_FIELDS,
+  INTRA_OP_EVENT_GATES,
+  OT_CONFIG,
+  buildChecklistItems,
+  buildWhoChecklist,
+  getOutstandingItems,
+  minutesBetween,
+  overlapMinutes,
+  listSessionWindows,
+} from './ipd-ot.constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BOOKING_INCLUDE = {
+  room: { select: { id: true, roomNumber: true, roomName: true, floor: true, wing: true } },
+  surgeon: { select: { id: true, name: true, specialization: true } },
+  anaesthetist: { select: { id: true, name: true, specialization: true } },
+  procedure: { select: { id: true, procedureName: true, status: true, chargeAmount: true } },
+  admission: {
+    select: {
+      id: true,
+      wardName: true,
+      patient: { select: { id: true, patientId: true, name: true, gender: true } },
+      bed: { select: { bedNumber: true } },
+    },
+  },
+};
+
+export class IPDOTService {
+  constructor(prisma) {
+    this.prisma = prisma;
+    this.consentService = new IPDConsentService(prisma);
+    this.movementService = new IPDMovementService(prisma);
+  }
+
+  /**
+   * ========== CALENDAR ==========
+   */
+
+  /**
+   * Operating theatres of the hospital
+   */
+  async getOTRooms(hospitalId) {
+    try {
+      return await this.prisma.consultationRoom.findMany({
+        where: { hospitalId, roomType: ROOM_TYPE.OT },
+        orderBy: { roomNumber: 'asc' },
+      });
+    } catch (error) {
+      logger.error(`Get OT Rooms Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * OT calendar: bookings and maintenance blocks per theatre over a date range
+   */
+  async getCalendar(hospitalId, { from, to, roomId, surgeonId, includeCancelled = false } = {}) {
+    try {
+      const range = parseRange(from, to, 1, OT_CONFIG.MAX_CALENDAR_DAYS);
+
+      const rooms = await this.prisma.consultationRoom.findMany({
+        where: { hospitalId, roomType: ROOM_TYPE.OT, ...(roomId && { id: roomId }) },
+        orderBy: { roomNumber: 'asc' },
+      });
+      const roomIds = rooms.map((r) => r.id);
+
+      const [bookings, blocks] = await Promise.all([
+        this.prisma.surgeryBooking.findMany({
+          where: {
+            hospitalId,
+            roomId: { in: roomIds },
+            startDateTime: { lt: range.to },
+            endDateTime: { gt: range.from },
+            ...(surgeonId && { OR: [{ surgeonId }, { anaesthetistId: surgeonId }] }),
+            ...(!includeCancelled && { status: { not: OT_BOOKING_STATUS.CANCELLED } }),
+          },
+          include: BOOKING_INCLUDE,
+          orderBy: { startDateTime: 'asc' },
+        }),
+        this.prisma.roomMaintenanceBlock.findMany({
+          where: {
+            roomId: { in: roomIds },
+            startDateTime: { lt: range.to },
+            endDateTime: { gt: range.from },
+          },
+          orderBy: { startDateTime: 'asc' },
+        }),
+      ]);
+
+      return {
+        from: range.from,
+        to: range.to,
+        rooms: rooms.map((room) => ({
+          ...room,
+          label: formatRoomLabel(room),
+          bookings: bookings.filter((b) => b.roomId === room.id),
+          maintenanceBlocks: blocks.filter((b) => b.roomId === room.id),
+        })),
+      };
+    } catch (error) {
+      logger.error(`Get OT Calendar Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Conflicts for a proposed slot
+   * conflicts block the booking; warnings (team members elsewhere) do not
+   */
+  async checkConflicts(hospitalId, slot, excludeBookingId = null) {
+    try {
+      const { roomId, surgeonId, anaesthetistId, admissionId } = slot;
+      const team = slot.team || [];
+      const start = new Date(slot.startDateTime);
+      const end = new Date(slot.endDateTime);
+      const turnoverMs = OT_CONFIG.TURNOVER_MINUTES * 60000;
+
+      const [room, bookings, blocks] = await Promise.all([
+        roomId ? this.prisma.consultationRoom.findUnique({ where: { id: roomId } }) : null,
+        this.prisma.surgeryBooking.findMany({
+          where: {
+            hospitalId,
+            status: { in: ACTIVE_OT_BOOKING_STATUSES },
+            startDateTime: { lt: new Date(end.getTime() + turnoverMs) },
+            endDateTime: { gt: new Date(start.getTime() - turnoverMs) },
+            ...(excludeBookingId && { id: { not: excludeBookingId } }),
+          },
+          include: {
+            room: { select: { roomNumber: true, roomName: true } },
+            surgeon: { select: { name: true } },
+            anaesthetist: { select: { name: true } },
+          },
+        }),
+        roomId
+          ? this.prisma.roomMaintenanceBlock.findMany({
+            where: { roomId, startDateTime: { lt: end }, endDateTime: { gt: start } },
+          })
+          : [],
+      ]);
+
+      const conflicts = [];
+      const warnings = [];
+
+      if (room && room.isUnderMaintenance) {
+        conflicts.push({ type: 'ROOM_UNAVAILABLE', message: `${formatRoomLabel(room)} is under maintenance` });
+      } else if (room && !room.isAvailable) {
+        conflicts.push({ type: 'ROOM_UNAVAILABLE', message: `${formatRoomLabel(room)} is not available` });
+      }
+
+      for (const block of blocks) {
+        conflicts.push({
+          type: 'MAINTENANCE',
+          maintenanceBlockId: block.id,
+          startDateTime: block.startDateTime,
+          endDateTime: block.endDateTime,
+          message: `Theatre blocked for maintenance ${formatSlot(block)}${block.reason ? ` (${block.reason})` : ''}`,
+        });
+      }
+
+      // Room needs the turnover gap either side; people only need the case itself not to overlap
+      const roomBookings = findOverlaps(
+        bookings.filter((b) => b.roomId === roomId),
+        new Date(start.getTime() - turnoverMs),
+        new Date(end.getTime() + turnoverMs)
+      );
+      for (const booking of roomBookings) {
+        conflicts.push(describeConflict('ROOM', booking, `${formatRoomLabel(booking.room)} is booked`));
+      }
+
+      const sameTime = findOverlaps(bookings, start, end);
+      const doctorIds = [surgeonId, anaesthetistId].filter(Boolean);
+
+      for (const booking of sameTime) {
+        for (const doctorId of doctorIds) {
+          if (booking.surgeonId === doctorId) {
+            conflicts.push(describeConflict(
+              doctorId === surgeonId ? 'SURGEON' : 'ANAESTHETIST',
+              booking,
+              `${booking.surgeon.name} is operating`
+            ));
+          } else if (booking.anaesthetistId === doctorId) {
+            conflicts.push(describeConflict(
+              doctorId === surgeonId ? 'SURGEON' : 'ANAESTHETIST',
+              booking,
+              `${booking.anaesthetist.name} is giving anaesthesia`
+            ));
+          }
+        }
+
+        if (admissionId && booking.admissionId === admissionId) {
+          conflicts.push(describeConflict('PATIENT', booking, 'Patient already has a case'));
+        }
+
+        const bookedStaff = new Set((booking.team || []).map((m) => m.staffId).filter(Boolean));
+        for (const member of team) {
+          if (member.staffId && bookedStaff.has(member.staffId)) {
+            warnings.push(describeConflict('TEAM_MEMBER', booking, `${member.name || member.staffId} is on another case`));
+          }
+        }
+      }
+
+      return { conflicts, warnings };
+    } catch (error) {
+      logger.error(`Check OT Conflicts Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * ========== BOOKINGS ==========
+   */
+
+  /**
+   * Book a theatre for an admitted patient
+   * Links an existing scheduled procedure (procedureId) or creates one for the case
+   */
+  async createBooking(admissionId, data, currentUser) {
+    try {
+      const {
+        procedureId,
+        procedureName,
+        description,
+        chargeAmount,
+        roomId,
+        startDateTime,
+        endDateTime,
+        durationMinutes,
+        priority = OT_PRIORITY.ELECTIVE,
+        surgeonId,
+        anaesthetistId,
+        anaesthesiaType,
+        team,
+        notes,
+      } = data;
+      const { hospitalId } = currentUser;
+
+      const admission = await this.prisma.ipdAdmission.findUnique({ where: { id: admissionId } });
+
+      if (!admission || admission.hospitalId !== hospitalId) {
+        throw new AppError('Admission not found', 404);
+      }
+
+      if (admission.status !== 'ACTIVE') {
+        throw new AppError('Surgery can only be booked for active admissions', 400);
+      }
+
+      if (!Object.values(OT_PRIORITY).includes(priority)) {
+        throw new AppError(`Invalid priority. Must be one of: ${Object.values(OT_PRIORITY).join(', ')}`, 400);
+      }
+
+      let procedure = null;
+      if (procedureId) {
+        procedure = await this.prisma.ipdProcedure.findUnique({
+          where: { id: procedureId },
+          include: {
+            surgeryBookings: { where: { status: { in: ACTIVE_OT_BOOKING_STATUSES } }, select: { id: true } },
+          },
+        });
+
+        if (!procedure || procedure.admissionId !== admissionId) {
+          throw new AppError('Procedure not found for this admission', 404);
+        }
+
+        if (procedure.status !== 'SCHEDULED') {
+          throw new AppError(`Procedure is ${procedure.status} and cannot be booked`, 400);
+        }
+
+        if (procedure.surgeryBookings.length) {
+          throw new AppError('Procedure already has an active OT booking', 409);
+        }
+      } else if (!procedureName?.trim()) {
+        throw new AppError('procedureId or procedureName is required', 400);
+      }
+
+      const slot = await this.validateSlot(hospitalId, {
+        roomId,
+        startDateTime,
+        endDateTime,
+        durationMinutes,
+        surgeonId: surgeonId || procedure?.surgeonId,
+        anaesthetistId,
+        anaesthesiaType,
+        team,
+      });
+
+      const { conflicts, warnings } = await this.checkConflicts(hospitalId, { ...slot, admissionId });
+      assertNoConflicts(conflicts);
+
+      const booking = await this.prisma.$transaction(async (tx) => {
+        const linked = procedure
+          ? await tx.ipdProcedure.update({
+            where: { id: procedure.id },
+            data: { scheduledDate: slot.startDateTime, location: 'OT', surgeonId: slot.surgeonId },
+          })
+          : await tx.ipdProcedure.create({
+            data: {
+              admissionId,
+              procedureName: procedureName.trim(),
+              description,
+              scheduledDate: slot.startDateTime,
+              location: 'OT',
+              surgeonId: slot.surgeonId,
+              assistingStaff: slot.team,
+              chargeAmount: chargeAmount !== undefined && chargeAmount !== null ? Number(chargeAmount) : null,
+              status: 'SCHEDULED',
+              scheduledBy: currentUser.id,
+              hospitalId,
+            },
+          });
+
+        return tx.surgeryBooking.create({
+          data: {
+            admissionId,
+            patientId: admission.patientId,
+            procedureId: linked.id,
+            procedureName: linked.procedureName,
+            roomId: slot.roomId,
+            startDateTime: slot.startDateTime,
+            endDateTime: slot.endDateTime,
+            priority,
+            surgeonId: slot.surgeonId,
+            anaesthetistId: slot.anaesthetistId,
+            anaesthesiaType: slot.anaesthesiaType,
+            team: slot.team,
+            status: OT_BOOKING_STATUS.SCHEDULED,
+            preOpChecklist: buildChecklistItems(PRE_OP_CHECKLIST),
+            whoChecklist: buildWhoChecklist(),
+            notes,
+            bookedBy: currentUser.id,
+            hospitalId,
+          },
+          include: BOOKING_INCLUDE,
+        });
+      });
+
+      logger.info(`OT booking ${booking.id} created for admission ${admissionId}`);
+      return { booking, warnings };
+    } catch (error) {
+      logger.error(`Create OT Booking Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one booking with its checklists and intra-op record
+   */
+  async getBooking(bookingId, hospitalId) {
+    try {
+      const booking = await this.prisma.surgeryBooking.findUnique({
+        where: { id: bookingId },
+        include: BOOKING_INCLUDE,
+      });
+
+      if (!booking || booking.hospitalId !== hospitalId) {
+        throw new AppError('OT booking not found', 404);
+      }
+
+      return booking;
+    } catch (error) {
+      logger.error(`Get OT Booking Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a booking (time, theatre) or change its team; re-runs conflict detection
+   */
+  async rescheduleBooking(bookingId, data, currentUser) {
+    try {
+      const booking = await this.getBookingOrThrow(bookingId, currentUser.hospitalId);
+
+      if (!RESCHEDULABLE_OT_BOOKING_STATUSES.includes(booking.status)) {
+        throw new AppError(`Cannot reschedule a booking that is ${booking.status}`, 400);
+      }
+
+      // Without a new end or duration the case keeps its length
+      const slot = await this.validateSlot(currentUser.hospitalId, {
+        roomId: data.roomId ?? booking.roomId,
+        startDateTime: data.startDateTime ?? booking.startDateTime,
+        endDateTime: data.endDateTime,
+        durationMinutes: data.durationMinutes ?? minutesBetween(booking.startDateTime, booking.endDateTime),
+        surgeonId: data.surgeonId ?? booking.surgeonId,
+        anaesthetistId: data.anaesthetistId !== undefined ? data.anaesthetistId : booking.anaesthetistId,
+        anaesthesiaType: data.anaesthesiaType !== undefined ? data.anaesthesiaType : booking.anaesthesiaType,
+        team: data.team ?? booking.team,
+      });
+
+      const { conflicts, warnings } = await this.checkConflicts(
+        currentUser.hospitalId,
+        { ...slot, admissionId: booking.admissionId },
+        bookingId
+      );
+      assertNoConflicts(conflicts);
+
+      const updated = await this.prisma.$transaction(async (tx) => {
+        await tx.ipdProcedure.update({
+          where: { id: booking.procedureId },
+          data: { scheduledDate: slot.startDateTime, surgeonId: slot.surgeonId },
+        });
+
+        return tx.surgeryBooking.update({
+          where: { id: bookingId },
+          data: {
+            roomId: slot.roomId,
+            startDateTime: slot.startDateTime,
+            endDateTime: slot.endDateTime,
+            surgeonId: slot.surgeonId,
+            anaesthetistId: slot.anaesthetistId,
+            anaesthesiaType: slot.anaesthesiaType,
+            team: slot.team,
+            ...(data.priority && { priority: data.priority }),
+            ...(data.notes !== undefined && { notes: data.notes }),
+          },
+          include: BOOKING_INCLUDE,
+        });
+      });
+
+      logger.info(`OT booking ${bookingId} rescheduled`);
+      return { booking: updated, warnings };
+    } catch (error) {
+      logger.error(`Reschedule OT Booking Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a booking before the patient is in theatre
+   * The procedure stays SCHEDULED for rebooking unless cancelProcedure is set
+   */
+  async cancelBooking(bookingId, { reason, cancelProcedure = false }, currentUser) {
+    try {
+      if (!reason?.trim()) {
+        throw new AppError('A reason is required to cancel an OT booking', 400);
+      }
+
+      const booking = await this.getBookingOrThrow(bookingId, currentUser.hospitalId);
+
+      if (!RESCHEDULABLE_OT_BOOKING_STATUSES.includes(booking.status)) {
+        throw new AppError(`Cannot cancel a booking that is ${booking.status}`, 400);
+      }
+
+      const cancelled = await this.prisma.$transaction(async (tx) => {
+        if (cancelProcedure) {
+          await tx.ipdProcedure.update({
+            where: { id: booking.procedureId },
+            data: { status: 'CANCELLED' },
+          });
+        }
+
+        return tx.surgeryBooking.update({
+          where: { id: bookingId },
+          data: {
+            status: OT_BOOKING_STATUS.CANCELLED,
+            cancelledAt: new Date(),
+            cancelledBy: currentUser.id,
+            cancelReason: reason.trim(),
+          },
+        });
+      });
+
+      logger.info(`OT booking ${bookingId} cancelled`);
+      return cancelled;
+    } catch (error) {
+      logger.error(`Cancel OT Booking Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * ========== PRE-OP & WHO CHECKLISTS ==========
+   */
+
+  /**
+   * Record pre-op checklist responses: { items: [{ code, response, notes? }] }
+   * When every item is done the booking becomes READY - but only if the surgery
+   * and anaesthesia consents for the procedure are signed
+   */
+  async updatePreOpChecklist(bookingId, { items: responses }, currentUser) {
+    try {
+      const booking = await this.getBookingOrThrow(bookingId, currentUser.hospitalId);
+
+      if (!RESCHEDULABLE_OT_BOOKING_STATUSES.includes(booking.status)) {
+        throw new AppError(`Pre-op checklist is closed - booking is ${booking.status}`, 400);
+      }
+
+      const items = applyResponses(booking.preOpChecklist, responses, currentUser);
+      const outstanding = getOutstandingItems(items);
+
+      let consent = null;
+      let status = OT_BOOKING_STATUS.SCHEDULED;
+      if (!outstanding.length) {
+        consent = await this.consentService.verifyConsentCompliance(
+          booking.admissionId,
+          booking.procedureId,
+          OT_REQUIRED_CONSENTS
+        );
+        if (consent.compliant) status = OT_BOOKING_STATUS.READY;
+      }
+
+      const ready = status === OT_BOOKING_STATUS.READY;
+      const updated = await this.prisma.surgeryBooking.update({
+        where: { id: bookingId },
+        data: {
+          preOpChecklist: items,
+          status,
+          preOpCompletedAt: ready ? booking.preOpCompletedAt || new Date() : null,
+          preOpCompletedBy: ready ? booking.preOpCompletedBy || currentUser.id : null,
+          consentVerifiedAt: ready ? new Date() : null,
+        },
+        include: BOOKING_INCLUDE,
+      });
+
+      logger.info(`Pre-op checklist updated for OT booking ${bookingId} (${status})`);
+      return {
+        booking: updated,
+        ready,
+        outstanding: outstanding.map((item) => item.code),
+        consent,
+      };
+    } catch (error) {
+      logger.error(`Update Pre-op Checklist Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Complete one WHO checklist phase (read out as a whole): { items: [{ code, response, notes? }] }
+   * Phases go in order, all items must be confirmed (or NA where allowed)
+   */
+  async completeWhoPhase(bookingId, phase, { items: responses }, currentUser) {
+    try {
+      if (!WHO_PHASE_ORDER.includes(phase)) {
+        throw new AppError(`Invalid phase. Must be one of: ${WHO_PHASE_ORDER.join(', ')}`, 400);
+      }
+
+      const booking = await this.getBookingOrThrow(bookingId, currentUser.hospitalId);
+
+      if (booking.status !== OT_BOOKING_STATUS.IN_PROGRESS) {
+        throw new AppError('WHO checklist is recorded once the patient is in theatre', 400);
+      }
+
+      const checklist = booking.whoChecklist;
+      if (checklist[phase].completedAt) {
+        throw new AppError(`${phase} is already complete`, 400);
+      }
+
+      const previous = WHO_PHASE_ORDER[WHO_PHASE_ORDER.indexOf(phase) - 1];
+      if (previous && !checklist[previous].completedAt) {
+        throw new AppError(`${previous} must be completed before ${phase}`, 400);
+      }
+
+      const items = applyResponses(checklist[phase].items, responses, currentUser);
+      const outstanding = getOutstandingItems(items);
+      if (outstanding.length) {
+        throw new AppError(`${phase} cannot be completed - not confirmed: ${outstanding.map((i) => i.label).join('; ')}`, 400);
+      }
+
+      const updated = await this.prisma.surgeryBooking.update({
+        where: { id: bookingId },
+        data: {
+          whoChecklist: {
+            ...checklist,
+            [phase]: { items, completedAt: new Date(), completedBy: currentUser.id },
+          },
+        },
+        include: BOOKING_INCLUDE,
+      });
+
+      logger.info(`WHO ${phase} completed for OT booking ${bookingId}`);
+      return updated;
+    } catch (error) {
+      logger.error(`Complete WHO Checklist Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * ========== INTRA-OP ==========
+   */
+
+  /**
+   * Patient into theatre: READY -> IN_PROGRESS, records the movement
+   * Consents are re-checked in case one was withdrawn after pre-op
+   */
+  async startSurgery(bookingId, { patientInAt } = {}, currentUser) {
+    try {
+      const booking = await this.getBookingOrThrow(bookingId, currentUser.hospitalId);
+
+      if (booking.status !== OT_BOOKING_STATUS.READY) {
+        throw new AppError(
+          booking.status === OT_BOOKING_STATUS.SCHEDULED
+            ? 'Pre-op checklist and consents must be complete before the patient goes to theatre'
+            : `Cannot start a booking that is ${booking.status}`,
+          400
+        );
+      }
+
+      const consent = await this.consentService.verifyConsentCompliance(
+        booking.admissionId,
+        booking.procedureId,
+        OT_REQUIRED_CONSENTS
+      );
+      if (!consent.compliant) {
+        throw new AppError(consent.message, 400);
+      }
+
+      const busy = await this.prisma.surgeryBooking.findFirst({
+        where: { roomId: booking.roomId, status: OT_BOOKING_STATUS.IN_PROGRESS },
+        select: { id: true, procedureName: true },
+      });
+      if (busy) {
+        throw new AppError(`Theatre is still in use (${busy.procedureName})`, 409);
+      }
+
+      const startedAt = patientInAt ? new Date(patientInAt) : new Date();
+
+      await this.movementService.transferToOperatingTheatre(
+        booking.admissionId,
+        booking.procedureId,
+        { otNumber: booking.room.roomNumber, transferTime: startedAt },
+        currentUser
+      );
+
+      const updated = await this.prisma.surgeryBooking.update({
+        where: { id: bookingId },
+        data: { status: OT_BOOKING_STATUS.IN_PROGRESS, patientInAt: startedAt },
+        include: BOOKING_INCLUDE,
+      });
+
+      logger.info(`Surgery started for OT booking ${bookingId}`);
+      return updated;
+    } catch (error) {
+      logger.error(`Start Surgery Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Intra-op note or milestone: { event, note?, value?, at? }
+   * Anaesthesia start needs sign-in and incision needs time-out
+   */
+  async recordIntraOpEvent(bookingId, { event = INTRA_OP_EVENT.NOTE, note, value, at }, currentUser) {
+    try {
+      if (!Object.values(INTRA_OP_EVENT).includes(event)) {
+        throw new AppError(`Invalid event. Must be one of: ${Object.values(INTRA_OP_EVENT).join(', ')}`, 400);
+      }
+
+      const booking = await this.getBookingOrThrow(bookingId, currentUser.hospitalId);
+
+      if (booking.status !== OT_BOOKING_STATUS.IN_PROGRESS) {
+        throw new AppError('Intra-op notes can only be recorded while the case is in progress', 400);
+      }
+
+      const gate = INTRA_OP_EVENT_GATES[event];
+      if (gate && !booking.whoChecklist[gate].completedAt) {
+        throw new AppError(`${gate} must be completed before ${event}`, 400);
+      }
+
+      const milestone = INTRA_OP_MILESTONE_FIELDS[event];
+      if (milestone && booking[milestone]) {
+        throw new AppError(`${event} is already recorded`, 400);
+      }
+
+      let volume = null;
+      if (event === INTRA_OP_EVENT.BLOOD_LOSS) {
+        volume = Number(value);
+        if (!(volume > 0)) {
+          throw new AppError('Blood loss value must be a volume in mL greater than 0', 400);
+        }
+      } else if (!milestone && !note?.trim()) {
+        throw new AppError('A note is required', 400);
+      }
+
+      const eventAt = at ? new Date(at) : new Date();
+      if (Number.isNaN(eventAt.getTime())) {
+        throw new AppError('Invalid event time', 400);
+      }
+
+      const entry = {
+        event,
+        note: note?.trim() || null,
+        value: volume,
+        at: eventAt,
+        recordedBy: currentUser.id,
+        recordedAt: new Date(),
+      };
+
+      const updated = await this.prisma.surgeryBooking.update({
+        where: { id: bookingId },
+        data: {
+          intraOpNotes: [...(booking.intraOpNotes || []), entry],
+          ...(milestone && { [milestone]: eventAt }),
+          ...(volume && { bloodLossMl: (booking.bloodLossMl || 0) + Math.round(volume) }),
+        },
+        include: BOOKING_INCLUDE,
+      });
+
+      logger.info(`Intra-op ${event} recorded for OT booking ${bookingId}`);
+      return updated;
+    } catch (error) {
+      logger.error(`Record Intra-op Event Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Patient out of theatre: needs sign-out, completes the procedure and moves the
+   * patient to recovery (recoveryWardId + recoveryBedId) or back to the ward bed
+   */
+  async completeSurgery(bookingId, data, currentUser) {
+    try {
+      const {
+        patientOutAt,
+        postOpDiagnosis,
+        complications,
+        recoveryWardId,
+        recoveryBedId,
+        postOperativeNotes,
+      } = data;
+
+      const booking = await this.getBookingOrThrow(bookingId, currentUser.hospitalId);
+
+      if (booking.status !== OT_BOOKING_STATUS.IN_PROGRESS) {
+        throw new AppError(`Cannot complete a booking that is ${booking.status}`, 400);
+      }
+
+      if (!booking.whoChecklist.SIGN_OUT.completedAt) {
+        throw new AppError('SIGN_OUT must be completed before the patient leaves theatre', 400);
+      }
+
+      const endedAt = patientOutAt ? new Date(patientOutAt) : new Date();
+      if (endedAt <= booking.patientInAt) {
+        throw new AppError('patientOutAt must be after the patient went into theatre', 400);
+      }
+
+      await this.movementService.returnFromOperatingTheatre(
+        booking.admissionId,
+        booking.procedureId,
+        {
+          recoveryWardId,
+          recoveryBedId,
+          postOperativeNotes,
+          otNumber: booking.room.roomNumber,
+          transferTime: endedAt,
+        },
+        currentUser
+      );
+
+      const updated = await this.prisma.surgeryBooking.update({
+        where: { id: bookingId },
+        data: {
+          status: OT_BOOKING_STATUS.COMPLETED,
+          patientOutAt: endedAt,
+          postOpDiagnosis,
+          complications,
+        },
+        include: BOOKING_INCLUDE,
+      });
+
+      logger.info(`Surgery completed for OT booking ${bookingId}`);
+      return updated;
+    } catch (error) {
+      logger.error(`Complete Surgery Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * ========== REPORTS ==========
+   */
+
+  /**
+   * OT utilisation per theatre and surgeon over a date range
+   * Capacity is the staffed session hours less maintenance; used time is patient
+   * in to patient out of completed cases
+   */
+  async getUtilisationReport(hospitalId, { from, to, roomId } = {}) {
+    try {
+      const range = parseRange(from, to, 30, OT_CONFIG.MAX_REPORT_DAYS, true);
+      const sessions = listSessionWindows(range.from, range.to);
+
+      const rooms = await this.prisma.consultationRoom.findMany({
+        where: { hospitalId, roomType: ROOM_TYPE.OT, ...(roomId && { id: roomId }) },
+        orderBy: { roomNumber: 'asc' },
+      });
+      const roomIds = rooms.map((r) => r.id);
+
+      const [bookings, blocks] = await Promise.all([
+        this.prisma.surgeryBooking.findMany({
+          where: {
+            hospitalId,
+            roomId: { in: roomIds },
+            startDateTime: { gte: range.from, lt: range.to },
+          },
+          include: { surgeon: { select: { id: true, name: true } } },
+          orderBy: { startDateTime: 'asc' },
+        }),
+        this.prisma.roomMaintenanceBlock.findMany({
+          where: {
+            roomId: { in: roomIds },
+            startDateTime: { lt: range.to },
+            endDateTime: { gt: range.from },
+          },
+        }),
+      ]);
+
+      const byRoom = rooms.map((room) => {
+        const sessionMinutes = sessions.reduce((sum, s) => sum + minutesBetween(s.start, s.end), 0);
+        const maintenanceMinutes = blocks
+          .filter((b) => b.roomId === room.id)
+          .reduce((sum, b) => sum + sessions.reduce(
+            (acc, s) => acc + overlapMinutes(s.start, s.end, b.startDateTime, b.endDateTime), 0
+          ), 0);
+
+        return {
+          roomId: room.id,
+          label: formatRoomLabel(room),
+          availableMinutes: Math.max(sessionMinutes - maintenanceMinutes, 0),
+          maintenanceMinutes,
+          ...summarizeCases(bookings.filter((b) => b.roomId === room.id)),
+        };
+      });
+
+      const bySurgeon = new Map();
+      for (const booking of bookings) {
+        if (!bySurgeon.has(booking.surgeonId)) {
+          bySurgeon.set(booking.surgeonId, { surgeonId: booking.surgeonId, name: booking.surgeon?.name, cases: [] });
+        }
+        bySurgeon.get(booking.surgeonId).cases.push(booking);
+      }
+
+      const totals = {
+        availableMinutes: byRoom.reduce((sum, r) => sum + r.availableMinutes, 0),
+        ...summarizeCases(bookings),
+      };
+
+      return {
+        from: range.from,
+        to: range.to,
+        sessionHours: { start: OT_CONFIG.SESSION_START_HOUR, end: OT_CONFIG.SESSION_END_HOUR },
+        totals: { ...totals, utilisationPercent: percent(totals.usedMinutes, totals.availableMinutes) },
+        rooms: byRoom.map((r) => ({ ...r, utilisationPercent: percent(r.usedMinutes, r.availableMinutes) })),
+        surgeons: [...bySurgeon.values()]
+          .map(({ cases, ...surgeon }) => {
+            const { averageTurnoverMinutes, ...summary } = summarizeCases(cases);
+            return { ...surgeon, ...summary };
+          })
+          .sort((a, b) => b.usedMinutes - a.usedMinutes),
+      };
+    } catch (error) {
+      logger.error(`Get OT Utilisation Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * ========== HELPERS ==========
+   */
+
+  async getBookingOrThrow(bookingId, hospitalId) {
+    const booking = await this.prisma.surgeryBooking.findUnique({
+      where: { id: bookingId },
+      include: { room: { select: { roomNumber: true, roomName: true } } },
+    });
+
+    if (!booking || booking.hospitalId !== hospitalId) {
+      throw new AppError('OT booking not found', 404);
+    }
+
+    return booking;
+  }
+
+  /**
+   * Validate and normalise a slot: OT room, times, doctors and team
+   */
+  async validateSlot(hospitalId, slot) {
+    const { roomId, surgeonId, anaesthetistId, anaesthesiaType } = slot;
+
+    if (!roomId) {
+      throw new AppError('roomId is required', 400);
+    }
+
+    if (!surgeonId) {
+      throw new AppError('surgeonId is required', 400);
+    }
+
+    const startDateTime = new Date(slot.startDateTime);
+    const endDateTime = slot.endDateTime
+      ? new Date(slot.endDateTime)
+      : new Date(startDateTime.getTime() + Number(slot.durationMinutes) * 60000);
+
+    if (Number.isNaN(startDateTime.getTime()) || Number.isNaN(endDateTime.getTime())) {
+      throw new AppError('startDateTime and endDateTime (or durationMinutes) are required', 400);
+    }
+
+    const duration = minutesBetween(startDateTime, endDateTime);
+    if (duration < OT_CONFIG.MIN_CASE_MINUTES || duration > OT_CONFIG.MAX_CASE_MINUTES) {
+      throw new AppError(`Case duration must be between ${OT_CONFIG.MIN_CASE_MINUTES} and ${OT_CONFIG.MAX_CASE_MINUTES} minutes`, 400);
+    }
+
+    if (anaesthesiaType && !ANAESTHESIA_TYPES.includes(anaesthesiaType)) {
+      throw new AppError(`Invalid anaesthesiaType. Must be one of: ${ANAESTHESIA_TYPES.join(', ')}`, 400);
+    }
+
+    if (anaesthetistId && anaesthetistId === surgeonId) {
+      throw new AppError('Surgeon and anaesthetist must be different doctors', 400);
+    }
+
+    const team = Array.isArray(slot.team) ? slot.team : [];
+    for (const member of team) {
+      if (!member?.staffId && !member?.name) {
+        throw new AppError('Each team member needs a staffId or name', 400);
+      }
+      if (!OT_TEAM_ROLES.includes(member.role)) {
+        throw new AppError(`Invalid team role. Must be one of: ${OT_TEAM_ROLES.join(', ')}`, 400);
+      }
+    }
+
+    const doctorIds = [surgeonId, anaesthetistId].filter(Boolean);
+    const [room, doctors] = await Promise.all([
+      this.prisma.consultationRoom.findUnique({ where: { id: roomId } }),
+      this.prisma.doctor.findMany({
+        where: { id: { in: doctorIds }, hospitalId, isDeleted: false },
+        select: { id: true },
+      }),
+    ]);
+
+    if (!room || room.hospitalId !== hospitalId || room.roomType !== ROOM_TYPE.OT) {
+      throw new AppError('Operating theatre not found', 404);
+    }
+
+    if (doctors.length !== doctorIds.length) {
+      throw new AppError('Surgeon or anaesthetist not found', 404);
+    }
+
+    return {
+      roomId,
+      startDateTime,
+      endDateTime,
+      surgeonId,
+      anaesthetistId: anaesthetistId || null,
+      anaesthesiaType: anaesthesiaType || null,
+      team: team.map(({ staffId, name, role }) => ({ staffId: staffId || null, name: name || null, role })),
+    };
+  }
+}
+
+/**
+ * Date range from query params, defaulting to the last/next `defaultDays` days
+ */
+function parseRange(from, to, defaultDays, maxDays, pastByDefault = false) {
+  const now = new Date();
+  let start;
+  let end;
+
+  if (from) {
+    start = new Date(from);
+    end = to ? new Date(to) : new Date(start.getTime() + defaultDays * DAY_MS);
+  } else if (to) {
+    end = new Date(to);
+    start = new Date(end.getTime() - defaultDays * DAY_MS);
+  } else if (pastByDefault) {
+    end = now;
+    start = new Date(now.getTime() - defaultDays * DAY_MS);
+  } else {
+    start = new Date(now);
+    start.setHours(0, 0, 0, 0);
+    end = new Date(start.getTime() + defaultDays * DAY_MS);
+  }
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+    throw new AppError('Invalid date range', 400);
+  }
+
+  if (end - start > maxDays * DAY_MS) {
+    throw new AppError(`Date range cannot exceed ${maxDays} days`, 400);
+  }
+
+  return { from: start, to: end };
+}
+
+/**
+ * Merge checklist responses ([{ code, response, notes }]) into stored items
+ */
+function applyResponses(items, responses, currentUser) {
+  if (!Array.isArray(responses) || !responses.length) {
+    throw new AppError('items must be a non-empty array of { code, response }', 400);
+  }
+
+  const byCode = new Map(items.map((item) => [item.code, { ...item }]));
+
+  for (const { code, response, notes } of responses) {
+    const item = byCode.get(code);
+    if (!item) {
+      throw new AppError(`Unknown checklist item: ${code}`, 400);
+    }
+
+    if (!Object.values(CHECKLIST_RESPONSE).includes(response)) {
+      throw new AppError(`Invalid response for ${code}. Must be one of: ${Object.values(CHECKLIST_RESPONSE).join(', ')}`, 400);
+    }
+
+    if (response === CHECKLIST_RESPONSE.NA && !item.allowNA) {
+      throw new AppError(`${code} cannot be marked not applicable`, 400);
+    }
+
+    Object.assign(item, {
+      response,
+      notes: notes ?? item.notes,
+      checkedBy: currentUser.id,
+      checkedAt: new Date(),
+    });
+  }
+
+  return items.map((item) => byCode.get(item.code));
+}
+
+function describeConflict(type, booking, what) {
+  return {
+    type,
+    bookingId: booking.id,
+    procedureName: booking.procedureName,
+    startDateTime: booking.startDateTime,
+    endDateTime: booking.endDateTime,
+    message: `${what} ${formatSlot(booking)} (${booking.procedureName})`,
+  };
+}
+
+function assertNoConflicts(conflicts) {
+  if (conflicts.length) {
+    throw new AppError(`OT booking conflicts: ${conflicts.map((c) => c.message).join('; ')}`, 409);
+  }
+}
+
+function formatSlot({ startDateTime, endDateTime }) {
+  return `${new Date(startDateTime).toISOString()} - ${new Date(endDateTime).toISOString()}`;
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+/**
+ * Case counts, used theatre time, on-time starts, overruns and turnover for a set of bookings
+ */
+function summarizeCases(bookings) {
+  const completed = bookings.filter((b) => b.status === OT_BOOKING_STATUS.COMPLETED && b.patientInAt && b.patientOutAt);
+  const cancelled = bookings.filter((b) => b.status === OT_BOOKING_STATUS.CANCELLED);
+
+  const cancellationReasons = {};
+  for (const booking of cancelled) {
+    const reason = booking.cancelReason || 'Unspecified';
+    cancellationReasons[reason] = (cancellationReasons[reason] || 0) + 1;
+  }
+
+  // Turnover: patient out to next patient in, same theatre, same day
+  const turnover = [];
+  const sorted = [...completed].sort((a, b) => a.patientInAt - b.patientInAt);
+  for (let i = 1; i < sorted.length; i++) {
+    const prev = sorted[i - 1];
+    const next = sorted[i];
+    if (prev.roomId === next.roomId && prev.patientOutAt.toDateString() === next.patientInAt.toDateString()) {
+      turnover.push(minutesBetween(prev.patientOutAt, next.patientInAt));
+    }
+  }
+
+  const surgicalMinutes = completed
+    .filter((b) => b.incisionAt && b.closureAt)
+    .map((b) => minutesBetween(b.incisionAt, b.closureAt));
+
+  return {
+    totalCases: bookings.length,
+    completedCases: completed.length,
+    cancelledCases: cancelled.length,
+    emergencyCases: bookings.filter((b) => b.priority === OT_PRIORITY.EMERGENCY).length,
+    bookedMinutes: bookings
+      .filter((b) => b.status !== OT_BOOKING_STATUS.CANCELLED)
+      .reduce((sum, b) => sum + minutesBetween(b.startDateTime, b.endDateTime), 0),
+    usedMinutes: completed.reduce((sum, b) => sum + minutesBetween(b.patientInAt, b.patientOutAt), 0),
+    onTimeStarts: completed.filter(
+      (b) => minutesBetween(b.startDateTime, b.patientInAt) <= OT_CONFIG.ON_TIME_GRACE_MINUTES
+    ).length,
+    overruns: completed.filter((b) => b.patientOutAt > b.endDateTime).length,
+    averageSurgicalMinutes: surgicalMinutes.length
+      ? Math.round(surgicalMinutes.reduce((a, b) => a + b, 0) / surgicalMinutes.length)
+      : null,
+    averageTurnoverMinutes: turnover.length
+      ? Math.round(turnover.reduce((a, b) => a + b, 0) / turnover.length)
+      : null,
+    cancellationReasons,
+  };
+}
+
+export default IPDOTService;
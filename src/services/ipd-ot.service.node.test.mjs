@@ -0,0 +1,183 @@
+/**
+ * IPD OT Service - conflict detection for a proposed slot (theatre with its
+ * turnover gap, surgeon, anaesthetist, patient, maintenance) and how booking
+ * and rescheduling act on it
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answeringClient, callsTo } from './prismaTestClient.node.mjs';
+import { IPDOTService } from './ipd-ot.service.js';
+import { OT_BOOKING_STATUS } from './ipd-ot.constants.js';
+
+const surgeon = { id: 'user-1', hospitalId: 'h1' };
+
+const time = (hhmm) => new Date(`2026-10-20T${hhmm}:00Z`);
+
+const theatre = (extra = {}) => ({
+  id: 'ot-1', roomNumber: 'OT1', roomName: null, roomType: 'OT', hospitalId: 'h1', isAvailable: true, isUnderMaintenance: false,
+  ...extra,
+});
+
+const booking = (id, from, to, extra = {}) => ({
+  id, procedureName: `Case ${id}`, roomId: 'ot-1', room: { roomNumber: 'OT1', roomName: null },
+  startDateTime: time(from), endDateTime: time(to), status: OT_BOOKING_STATUS.SCHEDULED,
+  surgeonId: 'doc-other', surgeon: { name: 'Dr Other' }, anaesthetistId: null, anaesthetist: null,
+  admissionId: 'adm-other', team: [],
+  ...extra,
+});
+
+// 10:00 - 11:00 in OT1
+const slot = (extra = {}) => ({
+  roomId: 'ot-1', startDateTime: time('10:00'), endDateTime: time('11:00'),
+  surgeonId: 'doc-surgeon', anaesthetistId: 'doc-anaes', admissionId: 'adm-1', team: [],
+  ...extra,
+});
+
+function setup({ bookings = [], blocks = [], room = theatre(), answers = {} } = {}) {
+  const { client, calls, trace } = answeringClient({
+    consultationRoom: { findUnique: room },
+    roomMaintenanceBlock: { findMany: blocks },
+    ...answers,
+    surgeryBooking: {
+      // Active bookings in the queried window, as the database would filter them
+      findMany: ({ where }) => bookings.filter(b =>
+        b.startDateTime < where.startDateTime.lt && b.endDateTime > where.endDateTime.gt && b.id !== where.id?.not),
+      ...answers.surgeryBooking,
+    },
+  });
+  return { service: new IPDOTService(client), calls, trace };
+}
+
+const types = (conflicts) => conflicts.map(c => [c.type, c.bookingId ?? c.maintenanceBlockId ?? null]);
+
+// ==================== CONFLICTS ====================
+
+test('the theatre is booked when a case sits inside the turnover gap, not once the gap is kept', async () => {
+  const { service, calls } = setup({
+    bookings: [
+      booking('gap-kept', '08:30', '09:30'),
+      booking('too-close', '11:20', '12:00'),
+      booking('other-room', '10:00', '11:00', { roomId: 'ot-2', room: { roomNumber: 'OT2', roomName: null } }),
+    ],
+  });
+
+  const { conflicts, warnings } = await service.checkConflicts('h1', slot());
+
+  assert.deepEqual(types(conflicts), [['ROOM', 'too-close']]);
+  assert.match(conflicts[0].message, /^Room OT1 is booked 2026-10-20T11:20:00.000Z/);
+  assert.deepEqual(warnings, []);
+
+  // The query window is widened by the turnover gap either side
+  const [query] = callsTo(calls, 'surgeryBooking.findMany');
+  assert.deepEqual(query.args.where.startDateTime, { lt: time('11:30') });
+  assert.deepEqual(query.args.where.endDateTime, { gt: time('09:30') });
+});
+
+test('a surgeon or anaesthetist already in another theatre at the same time is a conflict', async () => {
+  const { service } = setup({
+    bookings: [
+      // The surgeon is giving anaesthesia in OT2
+      booking('surgeon-busy', '10:30', '11:30', { roomId: 'ot-2', anaesthetistId: 'doc-surgeon', anaesthetist: { name: 'Dr Surgeon' } }),
+      // The anaesthetist is operating in OT3
+      booking('anaes-busy', '09:00', '10:15', { roomId: 'ot-3', surgeonId: 'doc-anaes', surgeon: { name: 'Dr Anaes' } }),
+      // Back-to-back in another theatre needs no gap for people
+      booking('surgeon-before', '09:00', '10:00', { roomId: 'ot-2', surgeonId: 'doc-surgeon', surgeon: { name: 'Dr Surgeon' } }),
+    ],
+  });
+
+  const { conflicts } = await service.checkConflicts('h1', slot());
+
+  assert.deepEqual(types(conflicts), [['SURGEON', 'surgeon-busy'], ['ANAESTHETIST', 'anaes-busy']]);
+  assert.match(conflicts[0].message, /^Dr Surgeon is giving anaesthesia/);
+  assert.match(conflicts[1].message, /^Dr Anaes is operating/);
+});
+
+test('the same patient cannot have two cases at once; a double-booked team member is only a warning', async () => {
+  const { service } = setup({
+    bookings: [
+      booking('patient-busy', '10:30', '11:30', { roomId: 'ot-2', admissionId: 'adm-1' }),
+      booking('nurse-busy', '10:00', '12:00', { roomId: 'ot-3', team: [{ staffId: 'nurse-7', role: 'SCRUB_NURSE' }] }),
+    ],
+  });
+
+  const { conflicts, warnings } = await service.checkConflicts('h1', slot({
+    team: [{ staffId: 'nurse-7', name: 'Nurse Seven', role: 'SCRUB_NURSE' }, { name: 'Agency nurse', role: 'CIRCULATING_NURSE' }],
+  }));
+
+  assert.deepEqual(types(conflicts), [['PATIENT', 'patient-busy']]);
+  assert.deepEqual(types(warnings), [['TEAM_MEMBER', 'nurse-busy']]);
+  assert.match(warnings[0].message, /^Nurse Seven is on another case/);
+});
+
+test('a theatre out of service or blocked for maintenance cannot be booked', async () => {
+  const { service } = setup({
+    room: theatre({ isAvailable: false }),
+    blocks: [{ id: 'block-1', startDateTime: time('10:30'), endDateTime: time('14:00'), reason: 'Ventilation service' }],
+  });
+
+  const { conflicts } = await service.checkConflicts('h1', slot());
+
+  assert.deepEqual(types(conflicts), [['ROOM_UNAVAILABLE', null], ['MAINTENANCE', 'block-1']]);
+  assert.match(conflicts[1].message, /\(Ventilation service\)$/);
+});
+
+// ==================== BOOKING ====================
+
+const bookingAnswers = {
+  ipdAdmission: { findUnique: { id: 'adm-1', patientId: 'P1', hospitalId: 'h1', status: 'ACTIVE' } },
+  doctor: { findMany: ({ where }) => where.id.in.map(id => ({ id })) },
+  ipdProcedure: { create: ({ data }) => ({ id: 'proc-1', ...data }), update: ({ where, data }) => ({ id: where.id, ...data }) },
+  surgeryBooking: { create: ({ data }) => ({ id: 'booking-new', ...data }), update: ({ where, data }) => ({ id: where.id, ...data }) },
+};
+
+const request = {
+  procedureName: 'Laparoscopic appendicectomy', roomId: 'ot-1', startDateTime: '2026-10-20T10:00:00Z', durationMinutes: 60,
+  surgeonId: 'doc-surgeon', anaesthetistId: 'doc-anaes', anaesthesiaType: 'GENERAL',
+};
+
+test('a clashing booking is refused with every conflict and nothing is written', async () => {
+  const { service, calls } = setup({
+    bookings: [
+      booking('room-busy', '10:45', '12:00'),
+      booking('surgeon-busy', '10:00', '10:30', { roomId: 'ot-2', surgeonId: 'doc-surgeon', surgeon: { name: 'Dr Surgeon' } }),
+    ],
+    answers: bookingAnswers,
+  });
+
+  await assert.rejects(service.createBooking('adm-1', request, surgeon), (error) => {
+    assert.equal(error.statusCode, 409);
+    assert.match(error.message, /^OT booking conflicts: Room OT1 is booked .*; Dr Surgeon is operating /);
+    return true;
+  });
+  assert.equal(callsTo(calls, 'ipdProcedure.create').length, 0);
+  assert.equal(callsTo(calls, 'surgeryBooking.create').length, 0);
+});
+
+test('a free slot books the case with its procedure in one transaction', async () => {
+  const { service, calls, trace } = setup({ bookings: [booking('earlier', '08:00', '09:30')], answers: bookingAnswers });
+
+  const { booking: created, warnings } = await service.createBooking('adm-1', request, surgeon);
+
+  assert.deepEqual(warnings, []);
+  assert.deepEqual([created.startDateTime, created.endDateTime], [time('10:00'), time('11:00')]);
+  assert.equal(created.procedureId, 'proc-1');
+  assert.equal(created.status, OT_BOOKING_STATUS.SCHEDULED);
+  assert.deepEqual(trace().slice(-2), ['ipdProcedure.create (tx)', 'surgeryBooking.create (tx)']);
+  assert.equal(callsTo(calls, 'ipdProcedure.create')[0].args.data.scheduledDate.getTime(), time('10:00').getTime());
+});
+
+test('rescheduling ignores the booking being moved and keeps the case length', async () => {
+  const existing = booking('booking-1', '10:00', '11:30', { admissionId: 'adm-1', surgeonId: 'doc-surgeon', procedureId: 'proc-1' });
+  const { service, calls } = setup({
+    bookings: [existing],
+    answers: {
+      ...bookingAnswers,
+      surgeryBooking: { ...bookingAnswers.surgeryBooking, findUnique: { ...existing, hospitalId: 'h1' } },
+    },
+  });
+
+  const { booking: moved } = await service.rescheduleBooking('booking-1', { startDateTime: '2026-10-20T10:30:00Z' }, surgeon);
+
+  assert.deepEqual([moved.startDateTime, moved.endDateTime], [time('10:30'), time('12:00')]);
+  assert.deepEqual(callsTo(calls, 'surgeryBooking.findMany')[0].args.where.id, { not: 'booking-1' });
+});
@@ -0,0 +1,205 @@
+/**
+ * IPD Vitals Constants
+ * NEWS2 (National Early Warning Score 2) scoring tables, risk bands and
+ * the re-observation frequency each band mandates
+ *
+ * Scores come from respiratory rate, SpO2 (scale 1, or scale 2 for patients
+ * with hypercapnic respiratory failure), air/oxygen, systolic BP, pulse,
+ * consciousness (ACVPU) and temperature. Missing parameters score 0 and
+ * mark the score incomplete.
+ */
+
+// ==================== CONSCIOUSNESS (ACVPU) ====================
+export const CONSCIOUSNESS_LEVEL = {
+  ALERT: 'ALERT',
+  CONFUSION: 'CONFUSION',       // New confusion
+  VOICE: 'VOICE',
+  PAIN: 'PAIN',
+  UNRESPONSIVE: 'UNRESPONSIVE'
+};
+
+export const SPO2_SCALE = {
+  STANDARD: 1,
+  HYPERCAPNIC: 2                // Prescribed target 88-92%
+};
+
+// ==================== SCORE BANDS ====================
+export const NEWS2_RISK = {
+  LOW: 'LOW',                   // 0-4
+  LOW_MEDIUM: 'LOW_MEDIUM',     // 0-4 with a 3 in any single parameter
+  MEDIUM: 'MEDIUM',             // 5-6
+  HIGH: 'HIGH'                  // 7+
+};
+
+export const NEWS2_TREND = {
+  IMPROVING: 'IMPROVING',
+  STABLE: 'STABLE',
+  WORSENING: 'WORSENING'
+};
+
+// Per band: minimum observation frequency, clinical response and alert severity (null = no alert)
+export const NEWS2_BAND_RESPONSE = {
+  LOW_ZERO: {
+    observationMinutes: 12 * 60,
+    response: 'Continue routine NEWS monitoring',
+    alertSeverity: null
+  },
+  LOW: {
+    observationMinutes: 4 * 60,
+    response: 'Inform registered nurse to assess the patient',
+    alertSeverity: null
+  },
+  LOW_MEDIUM: {
+    observationMinutes: 60,
+    response: 'Urgent ward-based response: registered nurse to inform the medical team',
+    alertSeverity: 'MEDIUM'
+  },
+  MEDIUM: {
+    observationMinutes: 60,
+    response: 'Key threshold for urgent response: urgent review by a clinician competent in acute illness',
+    alertSeverity: 'HIGH'
+  },
+  HIGH: {
+    observationMinutes: 15,
+    response: 'Emergency response: continuous monitoring and immediate critical care team assessment',
+    alertSeverity: 'CRITICAL'
+  }
+};
+
+// Escalation order of the bands (an open alert at an equal or higher rank is not repeated)
+export const NEWS2_RISK_RANK = {
+  LOW: 0,
+  LOW_MEDIUM: 1,
+  MEDIUM: 2,
+  HIGH: 3
+};
+
+// ==================== SCORING TABLES ====================
+// Each row: highest value (inclusive) that earns the score; the last row catches the rest
+const RESPIRATORY_RATE_BANDS = [[8, 3], [11, 1], [20, 0], [24, 2], [Infinity, 3]];
+const SPO2_SCALE_1_BANDS = [[91, 3], [93, 2], [95, 1], [Infinity, 0]];
+const SPO2_SCALE_2_BANDS = [[83, 3], [85, 2], [87, 1], [Infinity, 0]];
+const SPO2_SCALE_2_OXYGEN_BANDS = [[92, 0], [94, 1], [96, 2], [Infinity, 3]];
+const SYSTOLIC_BP_BANDS = [[90, 3], [100, 2], [110, 1], [219, 0], [Infinity, 3]];
+const PULSE_BANDS = [[40, 3], [50, 1], [90, 0], [110, 1], [130, 2], [Infinity, 3]];
+const TEMPERATURE_BANDS = [[35.0, 3], [36.0, 1], [38.0, 0], [39.0, 1], [Infinity, 2]];
+
+const SUPPLEMENTAL_OXYGEN_SCORE = 2;
+const ALTERED_CONSCIOUSNESS_SCORE = 3;
+
+// ==================== HELPER FUNCTIONS ====================
+
+function scoreFromBands(value, bands) {
+  return bands.find(([upTo]) => value <= upTo)[1];
+}
+
+function isRecorded(value) {
+  return value !== null && value !== undefined;
+}
+
+/**
+ * SpO2 score; on scale 2 readings of 93%+ only score when the patient is on oxygen
+ */
+function scoreOxygenSaturation(spo2, scale, onOxygen) {
+  if (scale !== SPO2_SCALE.HYPERCAPNIC) {
+    return scoreFromBands(spo2, SPO2_SCALE_1_BANDS);
+  }
+  if (spo2 >= 93 && onOxygen) {
+    return scoreFromBands(spo2, SPO2_SCALE_2_OXYGEN_BANDS);
+  }
+  return scoreFromBands(spo2, SPO2_SCALE_2_BANDS);
+}
+
+/**
+ * Calculate NEWS2 for one set of observations
+ * @param {Object} observations - { respiratoryRate, oxygenSaturation, spo2Scale, onSupplementalOxygen,
+ *   systolicBP, pulse, consciousness, temperature }
+ * @returns {{ score: number, components: Object, riskBand: string, hasRedScore: boolean,
+ *   incomplete: boolean, missing: string[] }}
+ */
+export function calculateNEWS2(observations) {
+  const {
+    respiratoryRate,
+    oxygenSaturation,
+    spo2Scale = SPO2_SCALE.STANDARD,
+    onSupplementalOxygen = false,
+    systolicBP,
+    pulse,
+    consciousness,
+    temperature
+  } = observations;
+
+  const components = {};
+  const missing = [];
+
+  const score = (name, value, scorer) => {
+    if (!isRecorded(value)) {
+      missing.push(name);
+      return;
+    }
+    components[name] = scorer(value);
+  };
+
+  score('respiratoryRate', respiratoryRate, (v) => scoreFromBands(v, RESPIRATORY_RATE_BANDS));
+  score('oxygenSaturation', oxygenSaturation, (v) => scoreOxygenSaturation(v, spo2Scale, onSupplementalOxygen));
+  components.supplementalOxygen = onSupplementalOxygen ? SUPPLEMENTAL_OXYGEN_SCORE : 0;
+  score('systolicBP', systolicBP, (v) => scoreFromBands(v, SYSTOLIC_BP_BANDS));
+  score('pulse', pulse, (v) => scoreFromBands(v, PULSE_BANDS));
+  score('consciousness', consciousness, (v) => (v === CONSCIOUSNESS_LEVEL.ALERT ? 0 : ALTERED_CONSCIOUSNESS_SCORE));
+  score('temperature', temperature, (v) => scoreFromBands(v, TEMPERATURE_BANDS));
+
+  const total = Object.values(components).reduce((sum, value) => sum + value, 0);
+  const hasRedScore = Object.values(components).some((value) => value >= 3);
+
+  return {
+    score: total,
+    components,
+    riskBand: getNEWS2RiskBand(total, hasRedScore),
+    hasRedScore,
+    incomplete: missing.length > 0,
+    missing
+  };
+}
+
+/**
+ * Risk band for an aggregate score (a 3 in any single parameter lifts LOW to LOW_MEDIUM)
+ */
+export function getNEWS2RiskBand(score, hasRedScore = false) {
+  if (score >= 7) return NEWS2_RISK.HIGH;
+  if (score >= 5) return NEWS2_RISK.MEDIUM;
+  if (hasRedScore) return NEWS2_RISK.LOW_MEDIUM;
+  return NEWS2_RISK.LOW;
+}
+
+/**
+ * Clinical response for a score (a score of 0 only needs 12-hourly observations)
+ */
+export function getNEWS2Response(score, riskBand) {
+  if (riskBand === NEWS2_RISK.LOW && score === 0) {
+    return NEWS2_BAND_RESPONSE.LOW_ZERO;
+  }
+  return NEWS2_BAND_RESPONSE[riskBand];
+}
+
+/**
+ * Direction of change from the previous score (null for the first score)
+ */
+export function getNEWS2Trend(previousScore, score) {
+  if (!isRecorded(previousScore)) return null;
+  if (score > previousScore) return NEWS2_TREND.WORSENING;
+  if (score < previousScore) return NEWS2_TREND.IMPROVING;
+  return NEWS2_TREND.STABLE;
+}
+
+export default {
+  CONSCIOUSNESS_LEVEL,
+  SPO2_SCALE,
+  NEWS2_RISK,
+  NEWS2_TREND,
+  NEWS2_BAND_RESPONSE,
+  NEWS2_RISK_RANK,
+  calculateNEWS2,
+  getNEWS2RiskBand,
+  getNEWS2Response,
+  getNEWS2Trend
+};
@@ -0,0 +1,142 @@
+/**
+ * NEWS2 parameter scores at the chart boundaries, risk bands and responses
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CONSCIOUSNESS_LEVEL,
+  SPO2_SCALE,
+  NEWS2_RISK,
+  NEWS2_TREND,
+  NEWS2_BAND_RESPONSE,
+  calculateNEWS2,
+  getNEWS2RiskBand,
+  getNEWS2Response,
+  getNEWS2Trend
+} from './ipd-vitals.constants.js';
+
+// Observations that score 0 on every parameter
+const normal = {
+  respiratoryRate: 16,
+  oxygenSaturation: 97,
+  systolicBP: 120,
+  pulse: 70,
+  consciousness: CONSCIOUSNESS_LEVEL.ALERT,
+  temperature: 37
+};
+
+const componentAt = (name, value, extra = {}) => calculateNEWS2({ ...normal, ...extra, [name]: value }).components[name];
+
+const assertBands = (name, cases, extra) => {
+  for (const [value, expected] of cases) {
+    assert.equal(componentAt(name, value, extra), expected, `${name} ${value}`);
+  }
+};
+
+test('normal observations score 0 in the low band', () => {
+  const result = calculateNEWS2(normal);
+
+  assert.equal(result.score, 0);
+  assert.equal(result.riskBand, NEWS2_RISK.LOW);
+  assert.equal(result.hasRedScore, false);
+  assert.equal(result.incomplete, false);
+});
+
+test('respiratory rate bands', () => {
+  assertBands('respiratoryRate', [[8, 3], [9, 1], [11, 1], [12, 0], [20, 0], [21, 2], [24, 2], [25, 3]]);
+});
+
+test('SpO2 scale 1 bands', () => {
+  assertBands('oxygenSaturation', [[91, 3], [92, 2], [93, 2], [94, 1], [95, 1], [96, 0]]);
+});
+
+test('SpO2 scale 2 bands on air and on oxygen', () => {
+  const onAir = { spo2Scale: SPO2_SCALE.HYPERCAPNIC };
+  assertBands('oxygenSaturation', [[83, 3], [84, 2], [85, 2], [86, 1], [87, 1], [88, 0], [92, 0], [99, 0]], onAir);
+
+  const onOxygen = { spo2Scale: SPO2_SCALE.HYPERCAPNIC, onSupplementalOxygen: true };
+  assertBands('oxygenSaturation', [[87, 1], [92, 0], [93, 1], [94, 1], [95, 2], [96, 2], [97, 3]], onOxygen);
+});
+
+test('supplemental oxygen scores 2', () => {
+  assert.equal(calculateNEWS2(normal).components.supplementalOxygen, 0);
+  assert.equal(calculateNEWS2({ ...normal, onSupplementalOxygen: true }).components.supplementalOxygen, 2);
+});
+
+test('systolic BP bands', () => {
+  assertBands('systolicBP', [[90, 3], [91, 2], [100, 2], [101, 1], [110, 1], [111, 0], [219, 0], [220, 3]]);
+});
+
+test('pulse bands', () => {
+  assertBands('pulse', [[40, 3], [41, 1], [50, 1], [51, 0], [90, 0], [91, 1], [110, 1], [111, 2], [130, 2], [131, 3]]);
+});
+
+test('temperature bands', () => {
+  assertBands('temperature', [[35.0, 3], [35.1, 1], [36.0, 1], [36.1, 0], [38.0, 0], [38.1, 1], [39.0, 1], [39.1, 2]]);
+});
+
+test('any ACVPU level other than alert scores 3', () => {
+  for (const level of Object.values(CONSCIOUSNESS_LEVEL)) {
+    assert.equal(componentAt('consciousness', level), level === CONSCIOUSNESS_LEVEL.ALERT ? 0 : 3, level);
+  }
+});
+
+test('aggregate score sets the risk band', () => {
+  assert.equal(getNEWS2RiskBand(0), NEWS2_RISK.LOW);
+  assert.equal(getNEWS2RiskBand(4), NEWS2_RISK.LOW);
+  assert.equal(getNEWS2RiskBand(5), NEWS2_RISK.MEDIUM);
+  assert.equal(getNEWS2RiskBand(6), NEWS2_RISK.MEDIUM);
+  assert.equal(getNEWS2RiskBand(7), NEWS2_RISK.HIGH);
+  assert.equal(getNEWS2RiskBand(7, true), NEWS2_RISK.HIGH);
+});
+
+test('a 3 in a single parameter lifts a low score to low-medium only', () => {
+  const red = calculateNEWS2({ ...normal, consciousness: CONSCIOUSNESS_LEVEL.CONFUSION });
+  assert.equal(red.score, 3);
+  assert.equal(red.hasRedScore, true);
+  assert.equal(red.riskBand, NEWS2_RISK.LOW_MEDIUM);
+
+  // 3 (RR 25) + 2 (pulse 115) = 5 stays medium
+  const medium = calculateNEWS2({ ...normal, respiratoryRate: 25, pulse: 115 });
+  assert.equal(medium.score, 5);
+  assert.equal(medium.riskBand, NEWS2_RISK.MEDIUM);
+});
+
+test('scores add up across parameters', () => {
+  const result = calculateNEWS2({
+    respiratoryRate: 22,          // 2
+    oxygenSaturation: 93,         // 2
+    onSupplementalOxygen: true,   // 2
+    systolicBP: 105,              // 1
+    pulse: 95,                    // 1
+    consciousness: CONSCIOUSNESS_LEVEL.ALERT,
+    temperature: 38.5             // 1
+  });
+
+  assert.equal(result.score, 9);
+  assert.equal(result.hasRedScore, false);
+  assert.equal(result.riskBand, NEWS2_RISK.HIGH);
+});
+
+test('missing parameters score 0 and mark the score incomplete', () => {
+  const result = calculateNEWS2({ respiratoryRate: 25, pulse: null });
+
+  assert.equal(result.score, 3);
+  assert.equal(result.incomplete, true);
+  assert.deepEqual(result.missing, ['oxygenSaturation', 'systolicBP', 'pulse', 'consciousness', 'temperature']);
+});
+
+test('each band maps to its clinical response', () => {
+  assert.equal(getNEWS2Response(0, NEWS2_RISK.LOW), NEWS2_BAND_RESPONSE.LOW_ZERO);
+  assert.equal(getNEWS2Response(2, NEWS2_RISK.LOW), NEWS2_BAND_RESPONSE.LOW);
+  assert.equal(getNEWS2Response(3, NEWS2_RISK.LOW_MEDIUM).observationMinutes, 60);
+  assert.equal(getNEWS2Response(5, NEWS2_RISK.MEDIUM).alertSeverity, 'HIGH');
+  assert.equal(getNEWS2Response(7, NEWS2_RISK.HIGH).observationMinutes, 15);
+});
+
+test('trend compares against the previous score', () => {
+  assert.equal(getNEWS2Trend(null, 3), null);
+  assert.equal(getNEWS2Trend(3, 5), NEWS2_TREND.WORSENING);
+  assert.equal(getNEWS2Trend(5, 3), NEWS2_TREND.IMPROVING);
+  assert.equal(getNEWS2Trend(3, 3), NEWS2_TREND.STABLE);
+});
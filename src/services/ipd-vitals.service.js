@@ -1,10 +1,23 @@
 /**
  * IPD Vitals Monitoring Service
  * Manage patient vital signs monitoring and tracking
+ *
+ * Every observation set is scored with NEWS2 (see ipd-vitals.constants.js);
+ * the score band sets when the next observation is due and whether the
+ * patient is escalated through an IPD vitals alert.
  */
 
 import logger from '../utils/logger.js';
 import { AppError } from '../shared/AppError.js';
+import {
+  CONSCIOUSNESS_LEVEL,
+  SPO2_SCALE,
+  NEWS2_RISK_RANK,
+  calculateNEWS2,
+  getNEWS2Response,
+  getNEWS2Trend,
+} from './ipd-vitals.constants.js';
+import { bucketFluidEntriesByHour } from './ipd-fluid.constants.js';
 
 export class IPDVitalsService {
   constructor(prisma, alertsService) {
@@ -13,7 +26,7 @@ export class IPDVitalsService {
   }
 
   /**
-   * Record vital signs
+   * Record vital signs, score them (NEWS2) and escalate per the score band
    */
   async recordVitals(admissionId, vitalsData, currentUser) {
     try {
@@ -26,10 +39,23 @@ export class IPDVitalsService {
         oxygenSaturation,
         bloodGlucose,
         weight,
+        consciousness,
+        onSupplementalOxygen = false,
+        oxygenDevice,
+        oxygenFlowRate,
+        spo2Scale,
         notes,
         recordedTime,
       } = vitalsData;
 
+      if (consciousness && !Object.values(CONSCIOUSNESS_LEVEL).includes(consciousness)) {
+        throw new AppError(`Invalid consciousness level. Must be one of: ${Object.values(CONSCIOUSNESS_LEVEL).join(', ')}`, 400);
+      }
+
+      if (spo2Scale !== undefined && !Object.values(SPO2_SCALE).includes(spo2Scale)) {
+        throw new AppError('Invalid SpO2 scale. Must be 1 or 2', 400);
+      }
+
       // Verify admission exists
       const admission = await this.prisma.ipdAdmission.findUnique({
         where: { id: admissionId },
@@ -39,9 +65,33 @@ export class IPDVitalsService {
         throw new AppError('Admission not found', 404);
       }
 
+      const recordedAt = new Date(recordedTime || Date.now());
+
+      // Previous observation: trend baseline, and the SpO2 scale carries over until changed
+      const previous = await this.prisma.ipdVitalSigns.findFirst({
+        where: { admissionId, recordedAt: { lt: recordedAt } },
+        orderBy: { recordedAt: 'desc' },
+        select: { news2Score: true, spo2Scale: true },
+      });
+
+      const scale = spo2Scale ?? previous?.spo2Scale ?? SPO2_SCALE.STANDARD;
+      const news2 = calculateNEWS2({
+        respiratoryRate,
+        oxygenSaturation,
+        spo2Scale: scale,
+        onSupplementalOxygen: Boolean(onSupplementalOxygen),
+        systolicBP,
+        pulse,
+        consciousness,
+        temperature,
+      });
+      const response = getNEWS2Response(news2.score, news2.riskBand);
+      const scoringParameters = Object.entries(news2.components).filter(([, score]) => score > 0);
+
       const vitals = await this.prisma.ipdVitalSigns.create({
         data: {
           admissionId,
+          patientId: admission.patientId,
           temperature,
           systolicBP,
           diastolicBP,
@@ -50,18 +100,49 @@ export class IPDVitalsService {
           oxygenSaturation,
           bloodGlucose,
           weight,
+          consciousness,
+          onSupplementalOxygen: Boolean(onSupplementalOxygen),
+          oxygenDevice: onSupplementalOxygen ? oxygenDevice : null,
+          oxygenFlowRate: onSupplementalOxygen ? oxygenFlowRate : null,
+          spo2Scale: scale,
           notes,
-          recordedAt: new Date(recordedTime || Date.now()),
+          hasAbnormality: scoringParameters.length > 0,
+          abnormalityNotes: scoringParameters.length
+            ? scoringParameters.map(([parameter, score]) => `${parameter} +${score}`).join(', ')
+            : null,
+          news2Score: news2.score,
+          news2Components: news2.components,
+          news2RiskBand: news2.riskBand,
+          news2Incomplete: news2.incomplete,
+          news2Trend: getNEWS2Trend(previous?.news2Score, news2.score),
+          news2Change: previous?.news2Score != null ? news2.score - previous.news2Score : null,
+          observationFrequencyMinutes: response.observationMinutes,
+          nextObservationDue: new Date(recordedAt.getTime() + response.observationMinutes * 60000),
+          recordedAt,
           recordedBy: currentUser.id,
           hospitalId: currentUser.hospitalId,
         },
       });
 
-      // Check for abnormalities and create alerts
+      // Escalate per the NEWS2 band
       await this.checkVitalAbnormalities(admissionId, vitals, currentUser);
 
-      logger.info(`Vital signs recorded for admission ${admissionId}`);
-      return vitals;
+      logger.info(`Vital signs recorded for admission ${admissionId} - NEWS2 ${news2.score} (${news2.riskBand})`);
+      return {
+        ...vitals,
+        news2: {
+          score: news2.score,
+          riskBand: news2.riskBand,
+          components: news2.components,
+          incomplete: news2.incomplete,
+          missing: news2.missing,
+          trend: vitals.news2Trend,
+          change: vitals.news2Change,
+          response: response.response,
+          observationFrequencyMinutes: response.observationMinutes,
+          nextObservationDue: vitals.nextObservationDue,
+        },
+      };
     } catch (error) {
       logger.error(`Record Vitals Error: ${error.message}`);
       throw error;
@@ -69,53 +150,84 @@ export class IPDVitalsService {
   }
 
   /**
-   * Check vital signs for abnormalities
+   * Escalate an observation by its NEWS2 band (LOW_MEDIUM and above raise an alert)
    */
   async checkVitalAbnormalities(admissionId, vitals, currentUser) {
     try {
-      const normalRanges = {
-        temperature: { min: 36.5, max: 37.5, unit: '°C' },
-        pulse: { min: 60, max: 100, unit: 'bpm' },
-        systolicBP: { min: 90, max: 140, unit: 'mmHg' },
-        diastolicBP: { min: 60, max: 90, unit: 'mmHg' },
-        respiratoryRate: { min: 12, max: 20, unit: 'breaths/min' },
-        oxygenSaturation: { min: 95, max: 100, unit: '%' },
-      };
-
-      // Check each vital parameter
-      const checks = [
-        { param: 'temperature', value: vitals.temperature },
-        { param: 'pulse', value: vitals.pulse },
-        { param: 'systolicBP', value: vitals.systolicBP },
-        { param: 'diastolicBP', value: vitals.diastolicBP },
-        { param: 'respiratoryRate', value: vitals.respiratoryRate },
-        { param: 'oxygenSaturation', value: vitals.oxygenSaturation },
-      ];
-
-      for (const check of checks) {
-        if (!check.value) continue;
-
-        const range = normalRanges[check.param];
-        if (check.value < range.min || check.value > range.max) {
-          // Determine severity
-          const isAbnormal = Math.abs(check.value - ((range.min + range.max) / 2)) > ((range.max - range.min) / 2);
-          const severity = isAbnormal ? 'HIGH' : 'MEDIUM';
-
-          await this.alertsService.createVitalSignAlert(
-            admissionId,
-            {
-              parameter: check.param,
-              value: check.value,
-              normalRange: range,
-              severity,
-            },
-            currentUser
-          );
-        }
-      }
+      const response = getNEWS2Response(vitals.news2Score, vitals.news2RiskBand);
+      if (!response?.alertSeverity) return null;
+
+      return await this.alertsService.createVitalSignAlert(
+        admissionId,
+        {
+          parameter: 'NEWS2',
+          value: vitals.news2Score,
+          severity: response.alertSeverity,
+          vitalSignId: vitals.id,
+          earlyWarning: {
+            riskBand: vitals.news2RiskBand,
+            components: vitals.news2Components,
+            incomplete: vitals.news2Incomplete,
+            trend: vitals.news2Trend,
+            change: vitals.news2Change,
+            response: response.response,
+            observationFrequencyMinutes: vitals.observationFrequencyMinutes,
+            nextObservationDue: vitals.nextObservationDue,
+          },
+        },
+        currentUser
+      );
     } catch (error) {
       logger.error(`Check Vital Abnormalities Error: ${error.message}`);
       // Don't throw - monitoring shouldn't stop due to alert creation
+      return null;
+    }
+  }
+
+  /**
+   * Admitted patients whose mandated re-observation is overdue, most overdue first
+   */
+  async getOverdueObservations(hospitalId, now = new Date()) {
+    try {
+      const admissions = await this.prisma.ipdAdmission.findMany({
+        where: { hospitalId, status: 'ACTIVE' },
+        select: {
+          id: true,
+          wardName: true,
+          roomNumber: true,
+          bed: { select: { bedNumber: true } },
+          patient: { select: { id: true, patientId: true, name: true } },
+          vitalSigns: {
+            take: 1,
+            orderBy: { recordedAt: 'desc' },
+            select: {
+              id: true,
+              recordedAt: true,
+              news2Score: true,
+              news2RiskBand: true,
+              observationFrequencyMinutes: true,
+              nextObservationDue: true,
+            },
+          },
+        },
+      });
+
+      return admissions
+        .map(({ vitalSigns, ...admission }) => ({ ...admission, lastObservation: vitalSigns[0] || null }))
+        .filter(({ lastObservation }) => !lastObservation || (lastObservation.nextObservationDue && lastObservation.nextObservationDue <= now))
+        .map((entry) => ({
+          ...entry,
+          overdueMinutes: entry.lastObservation
+            ? Math.floor((now.getTime() - entry.lastObservation.nextObservationDue.getTime()) / 60000)
+            : null,
+        }))
+        .sort((a, b) =>
+          (NEWS2_RISK_RANK[b.lastObservation?.news2RiskBand] ?? 0) - (NEWS2_RISK_RANK[a.lastObservation?.news2RiskBand] ?? 0) ||
+          (b.overdueMinutes ?? Infinity) - (a.overdueMinutes ?? Infinity)
+        );
+    } catch (error) {
+      logger.error(`Get Overdue Observations Error: ${error.message}`);
+      throw error;
     }
   }
 
@@ -189,20 +301,25 @@ export class IPDVitalsService {
   }
 
   /**
-   * Get vital signs chart data
+   * Get vital signs chart data (with hourly fluid balance from the intake/output chart)
    */
   async getVitalsChartData(admissionId, startDate, endDate) {
     try {
-      const vitals = await this.prisma.ipdVitalSigns.findMany({
-        where: {
-          admissionId,
-          recordedAt: {
-            gte: new Date(startDate),
-            lte: new Date(endDate),
-          },
-        },
-        orderBy: { recordedAt: 'asc' },
-      });
+      const range = {
+        gte: new Date(startDate),
+        lte: new Date(endDate),
+      };
+
+      const [vitals, fluidEntries] = await Promise.all([
+        this.prisma.ipdVitalSigns.findMany({
+          where: { admissionId, recordedAt: range },
+          orderBy: { recordedAt: 'asc' },
+        }),
+        this.prisma.ipdFluidEntry.findMany({
+          where: { admissionId, isVoided: false, recordedFor: range },
+          orderBy: { recordedFor: 'asc' },
+        }),
+      ]);
 
       // Group by vital parameter
       const chartData = {
@@ -212,6 +329,8 @@ export class IPDVitalsService {
         respiratoryRate: [],
         oxygenSaturation: [],
         bloodGlucose: [],
+        news2: [],
+        fluidBalance: [],
       };
 
       vitals.forEach((v) => {
@@ -229,8 +348,17 @@ export class IPDVitalsService {
         if (v.respiratoryRate) chartData.respiratoryRate.push({ x: timestamp, y: v.respiratoryRate });
         if (v.oxygenSaturation) chartData.oxygenSaturation.push({ x: timestamp, y: v.oxygenSaturation });
         if (v.bloodGlucose) chartData.bloodGlucose.push({ x: timestamp, y: v.bloodGlucose });
+        if (v.news2Score !== null) chartData.news2.push({ x: timestamp, y: v.news2Score, band: v.news2RiskBand });
       });
 
+      chartData.fluidBalance = bucketFluidEntriesByHour(fluidEntries).map((hour) => ({
+        x: hour.hour.getTime(),
+        intake: hour.intakeMl,
+        output: hour.outputMl,
+        net: hour.netMl,
+        cumulative: hour.cumulativeMl,
+      }));
+
       return chartData;
     } catch (error) {
       logger.error(`Get Vitals Chart Data Error: ${error.message}`);
@@ -341,8 +469,19 @@ export class IPDVitalsService {
           oxygenSaturation: latestVitals.oxygenSaturation,
           bloodGlucose: latestVitals.bloodGlucose,
           weight: latestVitals.weight,
+          consciousness: latestVitals.consciousness,
+          onSupplementalOxygen: latestVitals.onSupplementalOxygen,
           recordedAt: latestVitals.recordedAt,
         },
+        news2: {
+          score: latestVitals.news2Score,
+          riskBand: latestVitals.news2RiskBand,
+          incomplete: latestVitals.news2Incomplete,
+          trend: latestVitals.news2Trend,
+          change: latestVitals.news2Change,
+          observationFrequencyMinutes: latestVitals.observationFrequencyMinutes,
+          nextObservationDue: latestVitals.nextObservationDue,
+        },
         trend: previousVitals ? {
           temperatureTrend: this.getTrend(previousVitals.temperature, latestVitals.temperature),
           pulseTrend: this.getTrend(previousVitals.pulse, latestVitals.pulse),
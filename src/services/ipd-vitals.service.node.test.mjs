@@ -0,0 +1,87 @@
+/**
+ * IPD Vitals Service - recording an observation set: NEWS2 scoring, trend
+ * against the previous set, next observation due and escalation
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answeringClient, callsTo } from './prismaTestClient.node.mjs';
+import { IPDVitalsService } from './ipd-vitals.service.js';
+import { CONSCIOUSNESS_LEVEL, NEWS2_RISK, NEWS2_TREND, SPO2_SCALE } from './ipd-vitals.constants.js';
+
+const nurse = { id: 'nurse-1', hospitalId: 'h1' };
+
+const normal = {
+  respiratoryRate: 16,
+  oxygenSaturation: 97,
+  systolicBP: 120,
+  diastolicBP: 80,
+  pulse: 70,
+  consciousness: CONSCIOUSNESS_LEVEL.ALERT,
+  temperature: 37,
+  recordedTime: '2026-10-19T08:00:00Z',
+};
+
+function setup(previous = null) {
+  const alerts = [];
+  const { client, calls } = answeringClient({
+    ipdAdmission: { findUnique: { id: 'adm-1', patientId: 'P1' } },
+    ipdVitalSigns: {
+      findFirst: previous,
+      create: ({ data }) => ({ id: 'vitals-1', ...data }),
+    },
+  });
+  const alertsService = {
+    createVitalSignAlert: async (admissionId, alert) => {
+      alerts.push(alert);
+      return { id: 'alert-1' };
+    },
+  };
+  return { service: new IPDVitalsService(client, alertsService), calls, alerts };
+}
+
+test('a normal set is stored with its notes, scored 0 and due again in 12 hours', async () => {
+  const { service, calls, alerts } = setup();
+
+  const vitals = await service.recordVitals('adm-1', { ...normal, notes: 'Patient resting comfortably' }, nurse);
+
+  const [{ args: { data } }] = callsTo(calls, 'ipdVitalSigns.create');
+  assert.equal(data.notes, 'Patient resting comfortably');
+  assert.equal(data.hasAbnormality, false);
+  assert.equal(data.abnormalityNotes, null);
+  assert.equal(data.spo2Scale, SPO2_SCALE.STANDARD);
+  assert.equal(data.recordedBy, 'nurse-1');
+
+  assert.equal(vitals.news2.score, 0);
+  assert.equal(vitals.news2.riskBand, NEWS2_RISK.LOW);
+  assert.equal(vitals.news2.trend, null);
+  assert.deepEqual(vitals.news2.nextObservationDue, new Date('2026-10-19T20:00:00Z'));
+  assert.deepEqual(alerts, []);
+});
+
+test('scoring parameters are summarised, compared with the previous set and escalated by band', async () => {
+  const { service, calls, alerts } = setup({ news2Score: 1, spo2Scale: SPO2_SCALE.HYPERCAPNIC });
+
+  // RR 25 (+3), pulse 115 (+2), SpO2 90 on scale 2 (0)
+  const vitals = await service.recordVitals('adm-1', { ...normal, respiratoryRate: 25, pulse: 115, oxygenSaturation: 90 }, nurse);
+
+  const [{ args: { data } }] = callsTo(calls, 'ipdVitalSigns.create');
+  assert.equal(data.spo2Scale, SPO2_SCALE.HYPERCAPNIC);
+  assert.equal(data.abnormalityNotes, 'respiratoryRate +3, pulse +2');
+  assert.equal(data.notes, undefined);
+
+  assert.equal(vitals.news2.score, 5);
+  assert.equal(vitals.news2.riskBand, NEWS2_RISK.MEDIUM);
+  assert.equal(vitals.news2.trend, NEWS2_TREND.WORSENING);
+  assert.equal(vitals.news2.change, 4);
+  assert.deepEqual(vitals.news2.nextObservationDue, new Date('2026-10-19T09:00:00Z'));
+
+  assert.deepEqual(alerts.map(a => [a.parameter, a.value, a.severity, a.vitalSignId]), [['NEWS2', 5, 'HIGH', 'vitals-1']]);
+});
+
+test('an unknown consciousness level or SpO2 scale is rejected before anything is stored', async () => {
+  const { service, calls } = setup();
+
+  await assert.rejects(service.recordVitals('adm-1', { ...normal, consciousness: 'DROWSY' }, nurse), { statusCode: 400 });
+  await assert.rejects(service.recordVitals('adm-1', { ...normal, spo2Scale: 3 }, nurse), { statusCode: 400 });
+  assert.equal(calls.length, 0);
+});
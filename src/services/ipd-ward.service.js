@@ -0,0 +1,489 @@
+/**
+ * IPD Ward Management Service
+ * Ward master, ward bed counters, legacy ward-name migration and bed turnaround
+ *
+ * IPDWard is the source of truth for wards; IPDBed.wardName and
+ * IPDAdmission.wardName are display copies kept in sync from the ward.
+ */
+
+import logger from '../utils/logger.js';
+import { AppError } from '../shared/AppError.js';
+import {
+  BED_STATUS,
+  HELD_BED_STATUSES,
+  WARD_TYPE,
+  GENDER_POLICY,
+  minutesBetween,
+  toWardCode,
+} from './ipd-bed.constants.js';
+
+export class IPDWardService {
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Create ward (bed counters start at zero and follow the ward's beds)
+   */
+  async createWard(data, currentUser) {
+    try {
+      const { wardCode, wardName, wardType, floor, wing, genderPolicy, isIsolation, departmentId } = data;
+
+      if (!wardCode || !wardName) {
+        throw new AppError('Ward code and ward name required', 400);
+      }
+
+      validateWardOptions(data);
+
+      const existing = await this.prisma.ipdWard.findUnique({
+        where: { hospitalId_wardCode: { hospitalId: currentUser.hospitalId, wardCode } },
+      });
+
+      if (existing) {
+        throw new AppError(`Ward code ${wardCode} already exists`, 409);
+      }
+
+      const ward = await this.prisma.ipdWard.create({
+        data: {
+          hospitalId: currentUser.hospitalId,
+          wardCode,
+          wardName,
+          wardType: wardType || WARD_TYPE.GENERAL,
+          genderPolicy: genderPolicy || GENDER_POLICY.MIXED,
+          isIsolation: Boolean(isIsolation),
+          departmentId,
+          floor,
+          wing,
+        },
+      });
+
+      logger.info(`Ward created: ${wardCode} (${wardName})`);
+      return ward;
+    } catch (error) {
+      logger.error(`Create Ward Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * List wards of a hospital with occupancy
+   */
+  async listWards(hospitalId, filters = {}) {
+    try {
+      const { wardType, isActive } = filters;
+
+      const where = { hospitalId };
+      if (wardType) where.wardType = wardType;
+      if (isActive !== undefined) where.isActive = isActive;
+
+      const wards = await this.prisma.ipdWard.findMany({
+        where,
+        orderBy: [{ floor: 'asc' }, { wardCode: 'asc' }],
+      });
+
+      return wards.map((ward) => ({
+        ...ward,
+        occupancyRate: ward.totalBeds > 0
+          ? (((ward.totalBeds - ward.availableBeds) / ward.totalBeds) * 100).toFixed(2)
+          : '0.00',
+      }));
+    } catch (error) {
+      logger.error(`List Wards Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get ward with its active beds
+   */
+  async getWard(wardId) {
+    try {
+      const ward = await this.prisma.ipdWard.findUnique({
+        where: { id: wardId },
+        include: {
+          beds: {
+            where: { isActive: true },
+            orderBy: [{ roomNumber: 'asc' }, { bedNumber: 'asc' }],
+          },
+        },
+      });
+
+      if (!ward) {
+        throw new AppError('Ward not found', 404);
+      }
+
+      return ward;
+    } catch (error) {
+      logger.error(`Get Ward Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Update ward; a rename is copied to its beds
+   */
+  async updateWard(wardId, data) {
+    try {
+      const ward = await this.prisma.ipdWard.findUnique({ where: { id: wardId } });
+
+      if (!ward) {
+        throw new AppError('Ward not found', 404);
+      }
+
+      validateWardOptions(data);
+
+      if (data.isActive === false && ward.isActive) {
+        const heldBeds = await this.prisma.ipdBed.count({
+          where: { wardId, isActive: true, status: { in: HELD_BED_STATUSES } },
+        });
+
+        if (heldBeds > 0) {
+          throw new AppError(`Ward ${ward.wardName} has ${heldBeds} occupied or reserved beds`, 400);
+        }
+      }
+
+      const renamed = data.wardName && data.wardName !== ward.wardName;
+
+      const updated = await this.prisma.$transaction(async (tx) => {
+        const result = await tx.ipdWard.update({
+          where: { id: wardId },
+          data: {
+            wardName: data.wardName,
+            wardType: data.wardType,
+            genderPolicy: data.genderPolicy,
+            isIsolation: data.isIsolation,
+            departmentId: data.departmentId,
+            floor: data.floor,
+            wing: data.wing,
+            isActive: data.isActive,
+          },
+        });
+
+        if (renamed) {
+          await tx.ipdBed.updateMany({
+            where: { wardId },
+            data: { wardName: data.wardName },
+          });
+        }
+
+        return result;
+      });
+
+      logger.info(`Ward ${updated.wardCode} updated`);
+      return updated;
+    } catch (error) {
+      logger.error(`Update Ward Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete ward (only when it never had beds; otherwise deactivate it)
+   */
+  async deleteWard(wardId) {
+    try {
+      const ward = await this.prisma.ipdWard.findUnique({
+        where: { id: wardId },
+        include: { _count: { select: { beds: true } } },
+      });
+
+      if (!ward) {
+        throw new AppError('Ward not found', 404);
+      }
+
+      if (ward._count.beds > 0) {
+        throw new AppError(
+          `Ward ${ward.wardName} has ${ward._count.beds} beds; move them or deactivate the ward instead`,
+          400
+        );
+      }
+
+      await this.prisma.ipdWard.delete({ where: { id: wardId } });
+
+      logger.info(`Ward ${ward.wardCode} deleted`);
+      return { wardId, wardCode: ward.wardCode };
+    } catch (error) {
+      logger.error(`Delete Ward Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Recompute a ward's totalBeds/availableBeds from its beds (repairs drifted counters)
+   */
+  async recountWard(wardId) {
+    try {
+      const ward = await this.prisma.ipdWard.findUnique({ where: { id: wardId } });
+
+      if (!ward) {
+        throw new AppError('Ward not found', 404);
+      }
+
+      const [totalBeds, availableBeds] = await Promise.all([
+        this.prisma.ipdBed.count({ where: { wardId, isActive: true } }),
+        this.prisma.ipdBed.count({ where: { wardId, isActive: true, status: BED_STATUS.AVAILABLE } }),
+      ]);
+
+      const updated = await this.prisma.ipdWard.update({
+        where: { id: wardId },
+        data: { totalBeds, availableBeds },
+      });
+
+      if (ward.totalBeds !== totalBeds || ward.availableBeds !== availableBeds) {
+        logger.warn(
+          `Ward ${ward.wardCode} counters corrected: total ${ward.totalBeds} -> ${totalBeds}, ` +
+          `available ${ward.availableBeds} -> ${availableBeds}`
+        );
+      }
+
+      return {
+        ward: updated,
+        previous: { totalBeds: ward.totalBeds, availableBeds: ward.availableBeds },
+      };
+    } catch (error) {
+      logger.error(`Recount Ward Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Link beds (and their admissions) that only carry a free-text wardName to IPDWard rows.
+   * A name matches an existing ward by wardName (case-insensitive) or by its derived code;
+   * otherwise a GENERAL ward is created for it. Safe to run again: linked beds are skipped.
+   */
+  async migrateLegacyWardNames(currentUser) {
+    try {
+      const hospitalId = currentUser.hospitalId;
+
+      const legacyBeds = await this.prisma.ipdBed.findMany({
+        where: { hospitalId, wardId: null },
+        select: { id: true, bedNumber: true, wardName: true },
+      });
+
+      const byName = new Map();
+      legacyBeds.forEach((bed) => {
+        const name = bed.wardName.trim();
+        if (!byName.has(name)) byName.set(name, []);
+        byName.get(name).push(bed);
+      });
+
+      const wards = [];
+      const conflicts = [];
+
+      for (const [name, beds] of byName) {
+        const { ward, created } = await this.findOrCreateLegacyWard(hospitalId, name);
+
+        // Bed numbers already used in the target ward cannot be linked automatically
+        const taken = await this.prisma.ipdBed.findMany({
+          where: { wardId: ward.id, bedNumber: { in: beds.map((b) => b.bedNumber) } },
+          select: { bedNumber: true },
+        });
+        const takenNumbers = new Set(taken.map((b) => b.bedNumber));
+        const seen = new Set();
+        const linkable = [];
+
+        beds.forEach((bed) => {
+          if (takenNumbers.has(bed.bedNumber) || seen.has(bed.bedNumber)) {
+            conflicts.push({ bedId: bed.id, bedNumber: bed.bedNumber, wardName: name });
+          } else {
+            seen.add(bed.bedNumber);
+            linkable.push(bed.id);
+          }
+        });
+
+        const admissionsLinked = await this.prisma.$transaction(async (tx) => {
+          await tx.ipdBed.updateMany({
+            where: { id: { in: linkable }, wardId: null },
+            data: { wardId: ward.id, wardName: ward.wardName },
+          });
+
+          const { count } = await tx.ipdAdmission.updateMany({
+            where: { hospitalId, wardId: null, bedId: { in: linkable } },
+            data: { wardId: ward.id },
+          });
+
+          return count;
+        });
+
+        const { ward: counted } = await this.recountWard(ward.id);
+
+        wards.push({
+          wardId: ward.id,
+          wardCode: ward.wardCode,
+          wardName: ward.wardName,
+          legacyName: name,
+          created,
+          bedsLinked: linkable.length,
+          admissionsLinked,
+          totalBeds: counted.totalBeds,
+          availableBeds: counted.availableBeds,
+        });
+      }
+
+      logger.info(
+        `Legacy ward migration for hospital ${hospitalId}: ${legacyBeds.length - conflicts.length} beds linked, ` +
+        `${conflicts.length} conflicts`
+      );
+
+      return {
+        bedsScanned: legacyBeds.length,
+        bedsLinked: legacyBeds.length - conflicts.length,
+        wardsCreated: wards.filter((w) => w.created).length,
+        wards,
+        conflicts,
+      };
+    } catch (error) {
+      logger.error(`Migrate Legacy Ward Names Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Ward matching a legacy ward name, created when none exists
+   */
+  async findOrCreateLegacyWard(hospitalId, name) {
+    const baseCode = toWardCode(name);
+
+    const match = await this.prisma.ipdWard.findFirst({
+      where: {
+        hospitalId,
+        OR: [
+          { wardName: { equals: name, mode: 'insensitive' } },
+          { wardCode: baseCode },
+        ],
+      },
+    });
+
+    if (match) return { ward: match, created: false };
+
+    let wardCode = baseCode;
+    let suffix = 2;
+    while (await this.prisma.ipdWard.findUnique({
+      where: { hospitalId_wardCode: { hospitalId, wardCode } },
+    })) {
+      wardCode = `${baseCode}-${suffix++}`;
+    }
+
+    const ward = await this.prisma.ipdWard.create({
+      data: {
+        hospitalId,
+        wardCode,
+        wardName: name,
+        wardType: WARD_TYPE.GENERAL,
+      },
+    });
+
+    return { ward, created: true };
+  }
+
+  /**
+   * Bed turnaround (vacated -> ready) per ward, plus beds still being turned around
+   */
+  async getTurnaroundReport(hospitalId, filters = {}) {
+    try {
+      const to = filters.to ? new Date(filters.to) : new Date();
+      const from = filters.from
+        ? new Date(filters.from)
+        : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+      if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+        throw new AppError('Invalid date range', 400);
+      }
+
+      const logWhere = {
+        hospitalId,
+        turnaroundMinutes: { not: null },
+        changedAt: { gte: from, lte: to },
+      };
+      if (filters.wardId) logWhere.wardId = filters.wardId;
+
+      const pendingWhere = {
+        hospitalId,
+        isActive: true,
+        vacatedAt: { not: null },
+      };
+      if (filters.wardId) pendingWhere.wardId = filters.wardId;
+
+      const [logs, pendingBeds, wards] = await Promise.all([
+        this.prisma.ipdBedStatusLog.findMany({
+          where: logWhere,
+          select: { wardId: true, turnaroundMinutes: true },
+        }),
+        this.prisma.ipdBed.findMany({
+          where: pendingWhere,
+          select: { id: true, bedNumber: true, wardId: true, wardName: true, status: true, vacatedAt: true },
+          orderBy: { vacatedAt: 'asc' },
+        }),
+        this.prisma.ipdWard.findMany({
+          where: { hospitalId },
+          select: { id: true, wardCode: true, wardName: true },
+        }),
+      ]);
+
+      const wardById = new Map(wards.map((w) => [w.id, w]));
+      const grouped = new Map();
+      logs.forEach((log) => {
+        if (!grouped.has(log.wardId)) grouped.set(log.wardId, []);
+        grouped.get(log.wardId).push(log.turnaroundMinutes);
+      });
+
+      const byWard = [...grouped.entries()].map(([wardId, minutes]) => ({
+        wardId,
+        wardCode: wardById.get(wardId)?.wardCode || null,
+        wardName: wardById.get(wardId)?.wardName || null,
+        ...summarizeMinutes(minutes),
+      }));
+
+      const now = new Date();
+
+      return {
+        from,
+        to,
+        overall: summarizeMinutes(logs.map((l) => l.turnaroundMinutes)),
+        byWard,
+        inTurnaround: pendingBeds.map((bed) => ({
+          ...bed,
+          minutesSinceVacated: minutesBetween(bed.vacatedAt, now),
+        })),
+      };
+    } catch (error) {
+      logger.error(`Bed Turnaround Report Error: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Reject unknown ward type / gender policy values
+ */
+function validateWardOptions(data) {
+  if (data.wardType && !Object.values(WARD_TYPE).includes(data.wardType)) {
+    throw new AppError(`Ward type must be one of ${Object.values(WARD_TYPE).join(', ')}`, 400);
+  }
+
+  if (data.genderPolicy && !Object.values(GENDER_POLICY).includes(data.genderPolicy)) {
+    throw new AppError(`Gender policy must be one of ${Object.values(GENDER_POLICY).join(', ')}`, 400);
+  }
+}
+
+/**
+ * Count, average, median and max of a list of minute values
+ */
+function summarizeMinutes(minutes) {
+  if (!minutes.length) {
+    return { turnarounds: 0, averageMinutes: null, medianMinutes: null, maxMinutes: null };
+  }
+
+  const sorted = [...minutes].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+
+  return {
+    turnarounds: sorted.length,
+    averageMinutes: Math.round(sorted.reduce((sum, m) => sum + m, 0) / sorted.length),
+    medianMinutes: Math.round(median),
+    maxMinutes: sorted[sorted.length - 1],
+  };
+}
+
+export default IPDWardService;
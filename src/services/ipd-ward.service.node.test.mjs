@@ -0,0 +1,166 @@
+/**
+ * IPD Ward Service - occupancy, counter repair, rename and deactivation rules,
+ * legacy ward-name migration and the bed turnaround report
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answeringClient, callsTo } from './prismaTestClient.node.mjs';
+import { IPDWardService } from './ipd-ward.service.js';
+import { BED_STATUS } from './ipd-bed.constants.js';
+
+const admin = { id: 'admin-1', hospitalId: 'h1' };
+
+const ward = (extra = {}) => ({
+  id: 'ward-1', wardCode: 'WARD-A', wardName: 'Ward A', hospitalId: 'h1', isActive: true, totalBeds: 8, availableBeds: 2, ...extra,
+});
+
+function setup(answers) {
+  const { client, calls, trace } = answeringClient(answers);
+  return { service: new IPDWardService(client), calls, trace };
+}
+
+// ==================== WARDS ====================
+
+test('ward occupancy is the share of beds not available', async () => {
+  const { service } = setup({
+    ipdWard: { findMany: [ward(), ward({ id: 'ward-2', totalBeds: 0, availableBeds: 0 })] },
+  });
+
+  const wards = await service.listWards('h1');
+
+  assert.deepEqual(wards.map(w => w.occupancyRate), ['75.00', '0.00']);
+});
+
+test('recount repairs drifted counters from the active beds', async () => {
+  const { service, calls } = setup({
+    ipdWard: { findUnique: ward(), update: ({ data }) => ward(data) },
+    ipdBed: { count: ({ where }) => (where.status === BED_STATUS.AVAILABLE ? 3 : 9) },
+  });
+
+  const { ward: counted, previous } = await service.recountWard('ward-1');
+
+  assert.deepEqual([counted.totalBeds, counted.availableBeds], [9, 3]);
+  assert.deepEqual(previous, { totalBeds: 8, availableBeds: 2 });
+  assert.deepEqual(callsTo(calls, 'ipdBed.count').map(c => c.args.where), [
+    { wardId: 'ward-1', isActive: true },
+    { wardId: 'ward-1', isActive: true, status: BED_STATUS.AVAILABLE },
+  ]);
+});
+
+test('a rename is copied to the ward beds in the same transaction', async () => {
+  const { service, calls, trace } = setup({
+    ipdWard: { findUnique: ward(), update: ({ data }) => ward(data) },
+    ipdBed: { updateMany: { count: 8 } },
+  });
+
+  await service.updateWard('ward-1', { wardName: 'Ward A (East)' });
+
+  assert.deepEqual(trace().slice(-2), ['ipdWard.update (tx)', 'ipdBed.updateMany (tx)']);
+  assert.deepEqual(callsTo(calls, 'ipdBed.updateMany')[0].args, { where: { wardId: 'ward-1' }, data: { wardName: 'Ward A (East)' } });
+});
+
+test('a ward with occupied or reserved beds cannot be deactivated', async () => {
+  const { service, calls } = setup({
+    ipdWard: { findUnique: ward() },
+    ipdBed: { count: 2 },
+  });
+
+  await assert.rejects(service.updateWard('ward-1', { isActive: false }), { statusCode: 400, message: /2 occupied or reserved beds/ });
+  assert.deepEqual(callsTo(calls, 'ipdBed.count')[0].args.where.status, { in: [BED_STATUS.OCCUPIED, BED_STATUS.RESERVED] });
+});
+
+test('unknown ward types and gender policies are rejected', async () => {
+  const { service } = setup({ ipdWard: { findUnique: null } });
+
+  await assert.rejects(service.createWard({ wardCode: 'W1', wardName: 'W1', wardType: 'LOUNGE' }, admin), { statusCode: 400 });
+  await assert.rejects(service.createWard({ wardCode: 'W1', wardName: 'W1', genderPolicy: 'ANY' }, admin), { statusCode: 400 });
+});
+
+test('only a ward that never had beds can be deleted', async () => {
+  const { service } = setup({ ipdWard: { findUnique: { ...ward(), _count: { beds: 1 } } } });
+  await assert.rejects(service.deleteWard('ward-1'), { statusCode: 400 });
+
+  const { service: empty } = setup({ ipdWard: { findUnique: { ...ward(), _count: { beds: 0 } }, delete: ward() } });
+  assert.deepEqual(await empty.deleteWard('ward-1'), { wardId: 'ward-1', wardCode: 'WARD-A' });
+});
+
+// ==================== LEGACY WARD NAMES ====================
+
+test('legacy ward names link to a matching ward or a new one, leaving clashing bed numbers', async () => {
+  const wardA = ward();
+  const created = [];
+  const { service, calls } = setup({
+    ipdBed: {
+      findMany: ({ where }) => (where.wardId === null
+        ? [
+          { id: 'b1', bedNumber: '1', wardName: 'ward a' },
+          { id: 'b2', bedNumber: '2', wardName: 'ward a' },
+          { id: 'b3', bedNumber: '1', wardName: 'Ward C (East)' },
+          { id: 'b4', bedNumber: '1', wardName: 'Ward C (East)' },
+        ]
+        : where.wardId === 'ward-1' ? [{ bedNumber: '2' }] : []),
+      updateMany: ({ where }) => ({ count: where.id.in.length }),
+      count: 1,
+    },
+    ipdWard: {
+      // "ward a" matches Ward A by name; WARD-C-EAST is taken by another ward's code
+      findFirst: ({ where }) => (where.OR[0].wardName.equals === 'ward a' ? wardA : null),
+      findUnique: ({ where }) => (where.id ? created.find(w => w.id === where.id) || wardA
+        : where.hospitalId_wardCode.wardCode === 'WARD-C-EAST' ? { id: 'other' } : null),
+      create: ({ data }) => {
+        created.push({ id: 'ward-new', ...data });
+        return created.at(-1);
+      },
+      update: ({ where, data }) => ({ id: where.id, ...data }),
+    },
+    ipdAdmission: { updateMany: { count: 1 } },
+  });
+
+  const result = await service.migrateLegacyWardNames(admin);
+
+  assert.equal(result.bedsScanned, 4);
+  assert.equal(result.bedsLinked, 2);
+  assert.equal(result.wardsCreated, 1);
+  assert.deepEqual(result.wards.map(w => [w.legacyName, w.wardCode, w.created, w.bedsLinked]), [
+    ['ward a', 'WARD-A', false, 1],
+    ['Ward C (East)', 'WARD-C-EAST-2', true, 1],
+  ]);
+  assert.deepEqual(result.conflicts.map(c => c.bedId), ['b2', 'b4']);
+
+  const [linkA, linkC] = callsTo(calls, 'ipdBed.updateMany').map(c => c.args);
+  assert.deepEqual(linkA, { where: { id: { in: ['b1'] }, wardId: null }, data: { wardId: 'ward-1', wardName: 'Ward A' } });
+  assert.deepEqual(linkC.data, { wardId: 'ward-new', wardName: 'Ward C (East)' });
+});
+
+// ==================== TURNAROUND ====================
+
+test('turnaround report summarises each ward and lists beds still being turned around', async () => {
+  const vacatedAt = new Date(Date.now() - 90 * 60000);
+  const { service } = setup({
+    ipdBedStatusLog: {
+      findMany: [
+        { wardId: 'ward-1', turnaroundMinutes: 30 },
+        { wardId: 'ward-1', turnaroundMinutes: 50 },
+        { wardId: 'ward-1', turnaroundMinutes: 121 },
+        { wardId: 'ward-2', turnaroundMinutes: 45 },
+      ],
+    },
+    ipdBed: { findMany: [{ id: 'bed-7', bedNumber: '7', wardId: 'ward-2', status: BED_STATUS.CLEANING, vacatedAt }] },
+    ipdWard: { findMany: [{ id: 'ward-1', wardCode: 'WARD-A', wardName: 'Ward A' }] },
+  });
+
+  const report = await service.getTurnaroundReport('h1', { from: '2026-10-01', to: '2026-10-19' });
+
+  assert.deepEqual(report.overall, { turnarounds: 4, averageMinutes: 62, medianMinutes: 48, maxMinutes: 121 });
+  assert.deepEqual(report.byWard.map(w => [w.wardId, w.wardCode, w.turnarounds, w.medianMinutes]), [
+    ['ward-1', 'WARD-A', 3, 50],
+    ['ward-2', null, 1, 45],
+  ]);
+  assert.equal(report.inTurnaround[0].minutesSinceVacated, 90);
+});
+
+test('turnaround report rejects an inverted date range', async () => {
+  const { service } = setup({});
+
+  await assert.rejects(service.getTurnaroundReport('h1', { from: '2026-10-19', to: '2026-10-01' }), { statusCode: 400 });
+});
@@ -0,0 +1,377 @@
+/**
+ * Medication Safety Service
+ * Drug-drug interaction and allergy checks run when medicines are prescribed (OPD)
+ * or ordered (IPD). Warnings are graded by severity; MAJOR / CONTRAINDICATED ones
+ * need the prescriber to override with a reason, which is recorded for audit.
+ */
+
+import fs from 'fs';
+import config from '../core/config/environment.js';
+import logger from '../utils/logger.js';
+import { MedicationSafetyError } from '../shared/AppError.js';
+import {
+  SEVERITY_RANK,
+  OVERRIDE_REQUIRED_SEVERITIES,
+  DRUG_CLASS_MEMBERS,
+  DRUG_INTERACTIONS,
+  ALLERGY_GROUPS
+} from '../constants/drugInteractions.js';
+
+export const SAFETY_CONTEXT = {
+  OPD_PRESCRIPTION: 'OPD_PRESCRIPTION',
+  IPD_ORDER: 'IPD_ORDER'
+};
+
+// Medication orders still being given on the ward
+const ACTIVE_IPD_ORDER_STATUSES = ['PENDING', 'ACCEPTED', 'IN_PROGRESS'];
+
+// How far back OPD prescriptions are looked at for courses still running
+const CURRENT_MEDICATION_LOOKBACK_DAYS = 30;
+
+// Entries in Patient.allergies that mean "nothing known"
+const NO_ALLERGY_ENTRIES = ['nil', 'none', 'na', 'n/a', 'nkda', 'nka', 'no known allergies', 'no known drug allergies'];
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+const normalizeClass = (value) => String(value || '').trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+
+let knowledgeBase = null;
+
+/**
+ * Built-in rules merged with the hospital's local file (DRUG_INTERACTIONS_FILE).
+ * Loaded once per process; a bad local file is logged and the built-in rules are used.
+ */
+export const loadKnowledgeBase = () => {
+  if (knowledgeBase) return knowledgeBase;
+
+  const classMembers = Object.fromEntries(
+    Object.entries(DRUG_CLASS_MEMBERS).map(([drugClass, generics]) => [drugClass, [...generics]])
+  );
+  let interactions = [...DRUG_INTERACTIONS];
+  const allergyGroups = { ...ALLERGY_GROUPS };
+
+  if (config.DRUG_INTERACTIONS_FILE) {
+    try {
+      const local = JSON.parse(fs.readFileSync(config.DRUG_INTERACTIONS_FILE, 'utf8'));
+      Object.entries(local.classMembers || {}).forEach(([drugClass, generics]) => {
+        const key = normalizeClass(drugClass);
+        classMembers[key] = [...new Set([...(classMembers[key] || []), ...generics.map(normalize)])];
+      });
+      interactions = [...interactions, ...(local.interactions || [])];
+      Object.assign(allergyGroups, local.allergyGroups || {});
+      logger.info(`[MedicationSafety] Local knowledge base loaded from ${config.DRUG_INTERACTIONS_FILE}: ${(local.interactions || []).length} interaction(s)`);
+    } catch (error) {
+      logger.error(`[MedicationSafety] Could not load ${config.DRUG_INTERACTIONS_FILE}, using built-in rules`, error);
+    }
+  }
+
+  const classesByGeneric = {};
+  Object.entries(classMembers).forEach(([drugClass, generics]) => {
+    generics.forEach(generic => {
+      (classesByGeneric[generic] = classesByGeneric[generic] || []).push(drugClass);
+    });
+  });
+
+  knowledgeBase = { classMembers, classesByGeneric, interactions, allergyGroups };
+  return knowledgeBase;
+};
+
+export class MedicationSafetyService {
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Check medicines about to be prescribed against each other, the patient's
+   * current medication and Patient.allergies.
+   * @param {string} hospitalId
+   * @param {string} patientId - Patient.id
+   * @param {Array} medications - [{ drugId } | { name, genericName, therapeuticClass }]
+   * @param {object} options - { admissionId } to include the admission's active medication orders
+   * @returns {object} { warnings, highestSeverity, requiresOverride, checkedAgainst }
+   */
+  async checkMedications(hospitalId, patientId, medications, { admissionId } = {}) {
+    const [proposed, current, patient] = await Promise.all([
+      this.resolveProfiles(hospitalId, medications, 'PROPOSED'),
+      this.getCurrentMedications(hospitalId, patientId, admissionId),
+      this.prisma.patient.findFirst({ where: { id: patientId, hospitalId }, select: { allergies: true } }),
+    ]);
+
+    const allergies = this.parseAllergies(patient?.allergies);
+    const warnings = [
+      ...this.checkInteractions(proposed, current),
+      ...this.checkAllergies(proposed, allergies),
+    ].sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+
+    const highestSeverity = warnings[0]?.severity || null;
+
+    return {
+      warnings,
+      highestSeverity,
+      requiresOverride: OVERRIDE_REQUIRED_SEVERITIES.includes(highestSeverity),
+      checkedAgainst: {
+        allergies,
+        currentMedications: current.map(profile => ({ name: profile.name, source: profile.source })),
+      },
+    };
+  }
+
+  /**
+   * Stop the prescription / order unless blocking warnings were overridden with a reason
+   */
+  assertOverride(result, overrideReason) {
+    if (!result.requiresOverride || (typeof overrideReason === 'string' && overrideReason.trim())) return;
+
+    const blocking = result.warnings.filter(warning => OVERRIDE_REQUIRED_SEVERITIES.includes(warning.severity));
+    throw new MedicationSafetyError(
+      `${blocking.length} ${result.highestSeverity} medication safety warning(s) need an override reason`,
+      result.warnings
+    );
+  }
+
+  /**
+   * Record that the prescriber proceeded past blocking warnings
+   */
+  async recordOverride(hospitalId, { context, referenceId, patientId, admissionId, result, reason, userId, userName }) {
+    const overridden = result.warnings.filter(warning => OVERRIDE_REQUIRED_SEVERITIES.includes(warning.severity));
+
+    const record = await this.prisma.medicationSafetyOverride.create({
+      data: {
+        hospitalId,
+        patientId,
+        context,
+        referenceId,
+        admissionId: admissionId || null,
+        warnings: overridden,
+        highestSeverity: result.highestSeverity,
+        reason: reason.trim(),
+        overriddenBy: userId,
+        overriddenByName: userName,
+      },
+    });
+
+    logger.info(`[MedicationSafety] ${context} ${referenceId}: ${overridden.length} warning(s) overridden by ${userName || userId}`, { hospitalId, patientId });
+    return record;
+  }
+
+  // ==================== DRUG PROFILES ====================
+
+  /**
+   * Generic name and classes of each medicine. Drug master records are used when a
+   * drugId is given; otherwise the free-text name / genericName / therapeuticClass.
+   */
+  async resolveProfiles(hospitalId, medications, source) {
+    const drugIds = [...new Set(medications.map(med => med.drugId).filter(Boolean))];
+    const drugs = drugIds.length > 0
+      ? await this.prisma.drug.findMany({ where: { id: { in: drugIds }, hospitalId } })
+      : [];
+    const drugById = new Map(drugs.map(drug => [drug.id, drug]));
+
+    return medications.map(med => {
+      const drug = med.drugId ? drugById.get(med.drugId) : null;
+      return this.buildProfile(drug
+        ? { drugId: drug.id, name: `${drug.drugName} ${drug.strength}`, generic: drug.drugName, brand: drug.brandName, therapeuticClass: drug.therapeuticClass }
+        : { name: med.name || med.medicationName || med.genericName, generic: med.genericName || med.name || med.medicationName, therapeuticClass: med.therapeuticClass },
+      med.source || source);
+    });
+  }
+
+  buildProfile({ drugId, name, generic, brand, therapeuticClass }, source) {
+    const { classesByGeneric } = loadKnowledgeBase();
+    const genericName = normalize(generic);
+    const classes = new Set(classesByGeneric[genericName] || []);
+    if (therapeuticClass) classes.add(normalizeClass(therapeuticClass));
+
+    return {
+      drugId: drugId || null,
+      name: name || generic,
+      generic: genericName,
+      brand: normalize(brand),
+      classes,
+      source,
+    };
+  }
+
+  /**
+   * Courses still running: OPD prescriptions within their duration, plus the
+   * admission's active medication orders when an admission is given.
+   */
+  async getCurrentMedications(hospitalId, patientId, admissionId) {
+    const since = new Date();
+    since.setDate(since.getDate() - CURRENT_MEDICATION_LOOKBACK_DAYS);
+    const now = new Date();
+
+    const prescriptionItems = await this.prisma.oPDPrescriptionItem.findMany({
+      where: {
+        prescription: { hospitalId, patientId, status: { not: 'CANCELLED' }, prescribedAt: { gte: since } },
+      },
+      include: {
+        drug: true,
+        prescription: { select: { prescriptionId: true, prescribedAt: true, validUntilDate: true } },
+      },
+    });
+
+    const profiles = prescriptionItems
+      .filter(item => {
+        if (item.frequency === 'STAT') return false;
+        if (item.durationDays) {
+          const courseEnd = new Date(item.prescription.prescribedAt);
+          courseEnd.setDate(courseEnd.getDate() + item.durationDays);
+          return courseEnd >= now;
+        }
+        return !item.prescription.validUntilDate || item.prescription.validUntilDate >= now;
+      })
+      .map(item => this.buildProfile({
+        drugId: item.drugId,
+        name: item.drugName,
+        generic: item.drug.drugName,
+        brand: item.drug.brandName,
+        therapeuticClass: item.drug.therapeuticClass,
+      }, item.prescription.prescriptionId));
+
+    if (admissionId) {
+      const orders = await this.prisma.ipdOrder.findMany({
+        where: { admissionId, hospitalId, orderType: 'MEDICATION', status: { in: ACTIVE_IPD_ORDER_STATUSES } },
+        select: { id: true, orderDetails: true },
+      });
+      const ordered = orders.flatMap(order =>
+        (Array.isArray(order.orderDetails?.prescriptions) ? order.orderDetails.prescriptions : [])
+          .map(med => ({ ...med, source: `IPD order ${order.id}` }))
+      );
+      if (ordered.length > 0) {
+        profiles.push(...await this.resolveProfiles(hospitalId, ordered, 'IPD_ORDER'));
+      }
+    }
+
+    return profiles;
+  }
+
+  // ==================== CHECKS ====================
+
+  checkInteractions(proposed, current) {
+    const pairs = [];
+    proposed.forEach((profile, idx) => {
+      proposed.slice(idx + 1).forEach(other => pairs.push([profile, other]));
+      current.forEach(other => pairs.push([profile, other]));
+    });
+
+    const warnings = [];
+    const seen = new Set();
+
+    pairs.forEach(([first, second]) => {
+      if (first.generic && first.generic === second.generic) {
+        const key = `DUP|${first.generic}|${second.source}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        warnings.push({
+          type: 'DUPLICATE_THERAPY',
+          severity: 'MODERATE',
+          drugs: [first.name, second.name],
+          drugIds: [first.drugId, second.drugId],
+          withCurrentMedication: second.source !== 'PROPOSED',
+          source: second.source,
+          message: `${first.name} duplicates ${second.name}${second.source !== 'PROPOSED' ? ` (${second.source})` : ''}`,
+        });
+        return;
+      }
+
+      loadKnowledgeBase().interactions.forEach(rule => {
+        const matched = (this.matchesSide(first, rule.a) && this.matchesSide(second, rule.b))
+          || (this.matchesSide(first, rule.b) && this.matchesSide(second, rule.a));
+        if (!matched) return;
+
+        const key = `${[first.generic, second.generic].sort().join('|')}|${rule.effect}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        warnings.push({
+          type: 'INTERACTION',
+          severity: rule.severity,
+          drugs: [first.name, second.name],
+          drugIds: [first.drugId, second.drugId],
+          withCurrentMedication: second.source !== 'PROPOSED',
+          source: second.source,
+          effect: rule.effect,
+          recommendation: rule.recommendation,
+          message: `${first.name} + ${second.name}: ${rule.effect}`,
+        });
+      });
+    });
+
+    return warnings;
+  }
+
+  matchesSide(profile, side) {
+    if (side.generic) return profile.generic === normalize(side.generic);
+    if (side.class) return profile.classes.has(normalizeClass(side.class));
+    return false;
+  }
+
+  /**
+   * Split the free-text Patient.allergies ("Penicillin, sulfa; aspirin") into entries
+   */
+  parseAllergies(allergiesText) {
+    if (!allergiesText) return [];
+    return allergiesText
+      .split(/[,;\n]+|\band\b/i)
+      .map(normalize)
+      .filter(entry => entry && !NO_ALLERGY_ENTRIES.includes(entry));
+  }
+
+  /**
+   * Direct match on the drug (generic or brand) is CONTRAINDICATED, another member of
+   * the allergy's group is MAJOR, a cross-reactive group is MODERATE.
+   */
+  checkAllergies(proposed, allergies) {
+    const { classMembers, allergyGroups } = loadKnowledgeBase();
+    const warnings = [];
+
+    proposed.forEach(profile => {
+      allergies.forEach(allergen => {
+        let match = null;
+
+        const named = (name) => name && (allergen === name || (name.length >= 4 && allergen.includes(name)));
+        if (named(profile.generic) || named(profile.brand)) {
+          match = { severity: 'CONTRAINDICATED', basis: 'documented allergy to this drug' };
+        }
+
+        if (!match) {
+          Object.entries(allergyGroups).forEach(([groupName, group]) => {
+            const groupGenerics = [
+              ...(group.generics || []),
+              ...(group.classes || []).flatMap(drugClass => classMembers[drugClass] || []),
+            ];
+            const allergyInGroup = (group.aliases || []).some(alias => allergen === alias || allergen.includes(alias))
+              || groupGenerics.some(generic => allergen === generic || allergen.includes(generic));
+            if (!allergyInGroup) return;
+
+            const inGroup = groupGenerics.includes(profile.generic)
+              || (group.classes || []).some(drugClass => profile.classes.has(drugClass));
+            const crossReactive = (group.crossReactive || []).some(drugClass => profile.classes.has(drugClass));
+
+            const candidate = inGroup
+              ? { severity: 'MAJOR', basis: `same group (${groupName})` }
+              : crossReactive
+                ? { severity: 'MODERATE', basis: `cross-reactivity with ${groupName}` }
+                : null;
+            if (candidate && (!match || SEVERITY_RANK[candidate.severity] > SEVERITY_RANK[match.severity])) {
+              match = candidate;
+            }
+          });
+        }
+
+        if (match) {
+          warnings.push({
+            type: 'ALLERGY',
+            severity: match.severity,
+            drugs: [profile.name],
+            drugIds: [profile.drugId],
+            allergen,
+            message: `${profile.name}: patient allergy "${allergen}" - ${match.basis}`,
+          });
+        }
+      });
+    });
+
+    return warnings;
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Notification Channels
+ * Pluggable delivery channels used by NotificationService
+ *
+ * A channel is any object with:
+ *   type: 'EMAIL' | 'SMS' | 'APP_PUSH'
+ *   send({ to, subject, message, log }): resolves on success, throws on failure
+ *
+ * The email provider is picked from NOTIFICATION_EMAIL_PROVIDER (brevo, smtp, console).
+ * Any channel can be swapped at runtime with registerChannel() - e.g. a real
+ * SMS gateway in place of the console stub.
+ */
+
+import nodemailer from 'nodemailer';
+import config from '../core/config/environment.js';
+import logger from '../utils/logger.js';
+import { NOTIFICATION_CHANNEL } from './notification.constants.js';
+
+// ==================== CHANNEL IMPLEMENTATIONS ====================
+
+/**
+ * Email via Brevo (reuses email.service.js transport)
+ */
+export class BrevoEmailChannel {
+  constructor() {
+    this.type = NOTIFICATION_CHANNEL.EMAIL;
+    this.name = 'brevo';
+  }
+
+  async send({ to, subject, message }) {
+    // Imported lazily: email.service.js throws at load time without BREVO_API_KEY
+    const { sendTransactionalEmail } = await import('./email.service.js');
+    const sent = await sendTransactionalEmail({ to, subject, htmlContent: message });
+    if (!sent) {
+      throw new Error('Brevo rejected the email');
+    }
+  }
+}
+
+/**
+ * Email via any SMTP server (EMAIL_HOST/EMAIL_PORT/EMAIL_USER/EMAIL_PASSWORD)
+ * Point it at a local catcher such as MailHog for development.
+ */
+export class SmtpEmailChannel {
+  constructor(options = {}) {
+    this.type = NOTIFICATION_CHANNEL.EMAIL;
+    this.name = 'smtp';
+    this.from = options.from || config.EMAIL_FROM;
+
+    const port = parseInt(options.port || config.EMAIL_PORT, 10);
+    this.transporter = nodemailer.createTransport({
+      host: options.host || config.EMAIL_HOST || 'localhost',
+      port,
+      secure: port === 465,
+      auth: config.EMAIL_USER ? { user: config.EMAIL_USER, pass: config.EMAIL_PASSWORD } : undefined
+    });
+  }
+
+  async send({ to, subject, message }) {
+    await this.transporter.sendMail({ from: this.from, to, subject, html: message });
+  }
+}
+
+/**
+ * Console stub - logs the message instead of sending it
+ * Used for SMS until a gateway is configured, and for email in development.
+ */
+export class ConsoleChannel {
+  constructor(type) {
+    this.type = type;
+    this.name = 'console';
+  }
+
+  async send({ to, subject, message }) {
+    logger.info(`[Notification] ${this.type} -> ${to}${subject ? ` | ${subject}` : ''}`, message);
+  }
+}
+
+/**
+ * In-app notifications
+ * The NotificationLog row itself is the inbox entry, so there is nothing to push.
+ */
+export class InAppChannel {
+  constructor() {
+    this.type = NOTIFICATION_CHANNEL.APP_PUSH;
+    this.name = 'in-app';
+  }
+
+  async send() {}
+}
+
+// ==================== REGISTRY ====================
+
+const channels = new Map();
+let defaultsLoaded = false;
+
+function ensureDefaults() {
+  if (defaultsLoaded) return;
+  defaultsLoaded = true;
+  configureDefaultChannels();
+}
+
+/**
+ * Register (or replace) the channel used for a notification type
+ */
+export function registerChannel(channel) {
+  if (!channel?.type || typeof channel.send !== 'function') {
+    throw new Error('Notification channel must have a type and a send() method');
+  }
+  channels.set(channel.type, channel);
+}
+
+/**
+ * Get the channel for a notification type
+ */
+export function getChannel(type) {
+  ensureDefaults();
+  return channels.get(type) || null;
+}
+
+/**
+ * List registered channels
+ */
+export function getRegisteredChannels() {
+  ensureDefaults();
+  return [...channels.values()].map(c => ({ type: c.type, provider: c.name }));
+}
+
+/**
+ * Register channels from environment configuration
+ * Types that already have a channel registered are left alone.
+ */
+export function configureDefaultChannels() {
+  if (!channels.has(NOTIFICATION_CHANNEL.EMAIL)) {
+    const emailProvider = config.NOTIFICATION_EMAIL_PROVIDER;
+    if (emailProvider === 'brevo') {
+      registerChannel(new BrevoEmailChannel());
+    } else if (emailProvider === 'smtp') {
+      registerChannel(new SmtpEmailChannel());
+    } else {
+      registerChannel(new ConsoleChannel(NOTIFICATION_CHANNEL.EMAIL));
+    }
+  }
+
+  // No SMS gateway is integrated yet; the console stub stands in
+  if (!channels.has(NOTIFICATION_CHANNEL.SMS)) {
+    registerChannel(new ConsoleChannel(NOTIFICATION_CHANNEL.SMS));
+  }
+  if (!channels.has(NOTIFICATION_CHANNEL.APP_PUSH)) {
+    registerChannel(new InAppChannel());
+  }
+}
+
+export default {
+  registerChannel,
+  getChannel,
+  getRegisteredChannels,
+  configureDefaultChannels
+};
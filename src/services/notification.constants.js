@@ -0,0 +1,162 @@
+/**
+ * Notification Constants
+ * Events, channels, delivery statuses, retry policy, and template helpers
+ *
+ * Templates are stored in NotificationTemplate and keyed by triggerEvent.
+ * Placeholders use {{path.to.value}} and are resolved against the event
+ * payload, e.g. {{patient.name}}, {{bill.totalAmount}}, {{hospital.name}}.
+ */
+
+// ==================== EVENTS ====================
+export const NOTIFICATION_EVENTS = {
+  APPOINTMENT: 'APPOINTMENT',           // Appointment booked
+  ADMISSION: 'ADMISSION',               // Patient admitted to IPD
+  DISCHARGE: 'DISCHARGE',               // Patient discharged
+  PAYMENT: 'PAYMENT',                   // Bill payment received
+  RESULT_RELEASED: 'RESULT_RELEASED'    // Diagnostic result released to patient
+};
+
+// Placeholders each event provides (shown to template editors)
+export const EVENT_PLACEHOLDERS = {
+  APPOINTMENT: ['patient.name', 'patient.patientId', 'doctor.name', 'appointment.appointmentNumber', 'appointment.date', 'appointment.startTime', 'hospital.name'],
+  ADMISSION: ['patient.name', 'patient.patientId', 'admission.admissionDate', 'admission.wardName', 'admission.roomNumber', 'hospital.name'],
+  DISCHARGE: ['patient.name', 'patient.patientId', 'discharge.dischargeDate', 'discharge.dischargeType', 'discharge.followUpInstructions', 'hospital.name'],
+  PAYMENT: ['patient.name', 'patient.patientId', 'bill.billId', 'bill.totalAmount', 'bill.paymentMode', 'hospital.name'],
+  RESULT_RELEASED: ['patient.name', 'patient.patientId', 'result.testName', 'result.resultNumber', 'result.viewUrl', 'hospital.name']
+};
+
+// ==================== CHANNELS ====================
+export const NOTIFICATION_CHANNEL = {
+  EMAIL: 'EMAIL',
+  SMS: 'SMS',
+  APP_PUSH: 'APP_PUSH'
+};
+
+// ==================== DELIVERY STATUS ====================
+export const NOTIFICATION_STATUS = {
+  PENDING: 'PENDING',       // Logged, not yet attempted
+  SENT: 'SENT',             // Handed to the provider
+  FAILED: 'FAILED',         // Last attempt failed (retried while nextRetryAt is set)
+  DELIVERED: 'DELIVERED'    // Provider confirmed delivery
+};
+
+// ==================== CONFIGURATION ====================
+export const NOTIFICATION_CONFIG = {
+  MAX_RETRIES: 5,                   // Attempts after the first failure
+  BASE_BACKOFF_MS: 60 * 1000,       // First retry after 1 minute
+  MAX_BACKOFF_MS: 60 * 60 * 1000,   // Never wait more than 1 hour
+  WORKER_INTERVAL_MS: 60 * 1000,    // Retry worker poll interval
+  WORKER_BATCH_SIZE: 50             // Logs processed per worker run
+};
+
+// ==================== DEFAULT TEMPLATES ====================
+// Seeded on request so hospitals have a starting point to edit
+export const DEFAULT_NOTIFICATION_TEMPLATES = [
+  {
+    templateCode: 'APPOINTMENT_BOOKED',
+    templateName: 'Appointment Confirmation',
+    triggerEvent: NOTIFICATION_EVENTS.APPOINTMENT,
+    emailSubject: 'Appointment confirmed - {{appointment.appointmentNumber}}',
+    emailTemplate: '<p>Dear {{patient.name}},</p><p>Your appointment with {{doctor.name}} is confirmed for {{appointment.date}} at {{appointment.startTime}}.</p><p>{{hospital.name}}</p>',
+    smsTemplate: 'Dear {{patient.name}}, your appointment with {{doctor.name}} is on {{appointment.date}} at {{appointment.startTime}}. Ref {{appointment.appointmentNumber}} - {{hospital.name}}',
+    appMessage: 'Appointment confirmed for {{appointment.date}} at {{appointment.startTime}}'
+  },
+  {
+    templateCode: 'IPD_ADMISSION',
+    templateName: 'Admission Notice',
+    triggerEvent: NOTIFICATION_EVENTS.ADMISSION,
+    emailSubject: 'Admission confirmed - {{hospital.name}}',
+    emailTemplate: '<p>Dear {{patient.name}},</p><p>You have been admitted to {{admission.wardName}}, room {{admission.roomNumber}}.</p><p>{{hospital.name}}</p>',
+    smsTemplate: 'Dear {{patient.name}}, you have been admitted to {{admission.wardName}} room {{admission.roomNumber}}. - {{hospital.name}}',
+    appMessage: 'Admitted to {{admission.wardName}}'
+  },
+  {
+    templateCode: 'IPD_DISCHARGE',
+    templateName: 'Discharge Notice',
+    triggerEvent: NOTIFICATION_EVENTS.DISCHARGE,
+    emailSubject: 'Discharge summary - {{hospital.name}}',
+    emailTemplate: '<p>Dear {{patient.name}},</p><p>You were discharged on {{discharge.dischargeDate}}.</p><p>Follow-up: {{discharge.followUpInstructions}}</p><p>{{hospital.name}}</p>',
+    smsTemplate: 'Dear {{patient.name}}, you were discharged on {{discharge.dischargeDate}}. Follow-up: {{discharge.followUpInstructions}} - {{hospital.name}}',
+    appMessage: 'Discharged on {{discharge.dischargeDate}}'
+  },
+  {
+    templateCode: 'PAYMENT_RECEIVED',
+    templateName: 'Payment Receipt',
+    triggerEvent: NOTIFICATION_EVENTS.PAYMENT,
+    emailSubject: 'Payment received - Bill {{bill.billId}}',
+    emailTemplate: '<p>Dear {{patient.name}},</p><p>We received Rs. {{bill.totalAmount}} ({{bill.paymentMode}}) for bill {{bill.billId}}.</p><p>{{hospital.name}}</p>',
+    smsTemplate: 'Payment of Rs. {{bill.totalAmount}} received for bill {{bill.billId}}. Thank you - {{hospital.name}}',
+    appMessage: 'Payment of Rs. {{bill.totalAmount}} received'
+  },
+  {
+    templateCode: 'RESULT_RELEASED',
+    templateName: 'Result Released',
+    triggerEvent: NOTIFICATION_EVENTS.RESULT_RELEASED,
+    emailSubject: 'Your {{result.testName}} result is ready',
+    emailTemplate: '<p>Dear {{patient.name}},</p><p>Your {{result.testName}} result ({{result.resultNumber}}) is ready.</p><p><a href="{{result.viewUrl}}">View result</a></p><p>{{hospital.name}}</p>',
+    smsTemplate: 'Dear {{patient.name}}, your {{result.testName}} result is ready: {{result.viewUrl}} - {{hospital.name}}',
+    appMessage: 'Your {{result.testName}} result is ready'
+  }
+];
+
+// ==================== HELPER FUNCTIONS ====================
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Resolve a dotted path ("patient.name") against an object
+ */
+function resolvePath(context, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+/**
+ * Render a template string, replacing {{placeholders}} with context values
+ * Missing values render as an empty string.
+ * @param {string} template
+ * @param {Object} context
+ * @param {Object} options - { escapeHtml: boolean } escape values for HTML bodies
+ */
+export function renderTemplate(template, context = {}, options = {}) {
+  if (!template) return '';
+
+  return template.replace(PLACEHOLDER_PATTERN, (match, path) => {
+    let value = resolvePath(context, path);
+    if (value == null) return '';
+    if (value instanceof Date) value = value.toLocaleDateString('en-IN');
+
+    const text = String(value);
+    return options.escapeHtml ? text.replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]) : text;
+  });
+}
+
+/**
+ * List placeholders used in a template string
+ */
+export function extractPlaceholders(template) {
+  if (!template) return [];
+  return [...new Set([...template.matchAll(PLACEHOLDER_PATTERN)].map(m => m[1]))];
+}
+
+/**
+ * Delay before the next retry (exponential backoff, capped)
+ * @param {number} retryCount - Failures so far (1 = first failure)
+ */
+export function getRetryDelay(retryCount) {
+  const delay = NOTIFICATION_CONFIG.BASE_BACKOFF_MS * Math.pow(2, Math.max(retryCount - 1, 0));
+  return Math.min(delay, NOTIFICATION_CONFIG.MAX_BACKOFF_MS);
+}
+
+export default {
+  NOTIFICATION_EVENTS,
+  EVENT_PLACEHOLDERS,
+  NOTIFICATION_CHANNEL,
+  NOTIFICATION_STATUS,
+  NOTIFICATION_CONFIG,
+  DEFAULT_NOTIFICATION_TEMPLATES,
+  renderTemplate,
+  extractPlaceholders,
+  getRetryDelay
+};
@@ -0,0 +1,54 @@
+/**
+ * Notification Events
+ * In-process event bus that decouples domain services from notification delivery
+ *
+ * Domain services call emitNotificationEvent() after their own work is done;
+ * the listener registered at startup renders templates and delivers them.
+ * Emitting never throws and never blocks the caller.
+ */
+
+import { EventEmitter } from 'events';
+import logger from '../utils/logger.js';
+import { NotificationService } from './notification.service.js';
+
+const NOTIFY = 'notify';
+
+export const notificationEvents = new EventEmitter();
+
+let listenerRegistered = false;
+
+/**
+ * Publish a domain event
+ * @param {string} event - NOTIFICATION_EVENTS value
+ * @param {Object} payload - { recipient: { id, name, email?, phone? }, data: {...} }
+ */
+export function emitNotificationEvent(event, payload) {
+  try {
+    notificationEvents.emit(NOTIFY, { event, payload });
+  } catch (error) {
+    logger.error(`[Notification] Failed to emit ${event}:`, error.message);
+  }
+}
+
+/**
+ * Subscribe the notification service to domain events (call once at startup)
+ */
+export function registerNotificationListeners(prisma) {
+  if (listenerRegistered) return;
+  listenerRegistered = true;
+
+  notificationEvents.on(NOTIFY, ({ event, payload }) => {
+    const notificationService = new NotificationService(prisma);
+    notificationService.dispatch(event, payload).catch(error => {
+      logger.error(`[Notification] Dispatch failed for ${event}:`, error.message);
+    });
+  });
+
+  logger.info('[Notification] Event listeners registered');
+}
+
+export default {
+  notificationEvents,
+  emitNotificationEvent,
+  registerNotificationListeners
+};
@@ -0,0 +1,187 @@
+/**
+ * Notification Repository
+ * Database operations for notification templates and delivery logs
+ */
+
+import { NOTIFICATION_STATUS } from './notification.constants.js';
+
+export class NotificationRepository {
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  // ==================== TEMPLATE OPERATIONS ====================
+
+  /**
+   * Create notification template
+   */
+  async createTemplate(data) {
+    return this.prisma.notificationTemplate.create({ data });
+  }
+
+  /**
+   * Get template by ID
+   */
+  async getTemplateById(id) {
+    return this.prisma.notificationTemplate.findUnique({
+      where: { id }
+    });
+  }
+
+  /**
+   * Get template by code
+   */
+  async getTemplateByCode(hospitalId, templateCode) {
+    return this.prisma.notificationTemplate.findUnique({
+      where: { hospitalId_templateCode: { hospitalId, templateCode } }
+    });
+  }
+
+  /**
+   * Get templates with filters
+   */
+  async getTemplates(hospitalId, filters = {}) {
+    const where = { hospitalId };
+
+    if (filters.triggerEvent) where.triggerEvent = filters.triggerEvent;
+    if (filters.isActive !== undefined) where.isActive = filters.isActive;
+
+    return this.prisma.notificationTemplate.findMany({
+      where,
+      orderBy: [
+        { triggerEvent: 'asc' },
+        { templateCode: 'asc' }
+      ]
+    });
+  }
+
+  /**
+   * Get active templates for a trigger event
+   */
+  async getActiveTemplatesForEvent(hospitalId, triggerEvent) {
+    return this.prisma.notificationTemplate.findMany({
+      where: { hospitalId, triggerEvent, isActive: true }
+    });
+  }
+
+  /**
+   * Update template
+   */
+  async updateTemplate(id, data) {
+    return this.prisma.notificationTemplate.update({
+      where: { id },
+      data
+    });
+  }
+
+  /**
+   * Delete template
+   */
+  async deleteTemplate(id) {
+    return this.prisma.notificationTemplate.delete({
+      where: { id }
+    });
+  }
+
+  // ==================== LOG OPERATIONS ====================
+
+  /**
+   * Create notification log
+   */
+  async createLog(data) {
+    return this.prisma.notificationLog.create({ data });
+  }
+
+  /**
+   * Get log by ID
+   */
+  async getLogById(id) {
+    return this.prisma.notificationLog.findUnique({
+      where: { id }
+    });
+  }
+
+  /**
+   * Get logs with filters
+   */
+  async getLogs(hospitalId, filters = {}) {
+    const where = { hospitalId };
+
+    if (filters.status) where.status = filters.status;
+    if (filters.type) where.type = filters.type;
+    if (filters.triggerEvent) where.triggerEvent = filters.triggerEvent;
+    if (filters.recipientId) where.recipientId = filters.recipientId;
+    if (filters.fromDate || filters.toDate) {
+      where.createdAt = {};
+      if (filters.fromDate) where.createdAt.gte = filters.fromDate;
+      if (filters.toDate) where.createdAt.lte = filters.toDate;
+    }
+
+    const [logs, total] = await Promise.all([
+      this.prisma.notificationLog.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: filters.limit,
+        skip: filters.offset
+      }),
+      this.prisma.notificationLog.count({ where })
+    ]);
+
+    return { logs, total };
+  }
+
+  /**
+   * Get failed logs whose next retry is due
+   */
+  async getDueRetries(hospitalId, now, limit) {
+    return this.prisma.notificationLog.findMany({
+      where: {
+        hospitalId,
+        status: NOTIFICATION_STATUS.FAILED,
+        nextRetryAt: { lte: now }
+      },
+      orderBy: { nextRetryAt: 'asc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Claim a failed log for a retry attempt
+   * Returns false if another worker already picked it up.
+   */
+  async claimForRetry(id) {
+    const result = await this.prisma.notificationLog.updateMany({
+      where: { id, status: NOTIFICATION_STATUS.FAILED },
+      data: { status: NOTIFICATION_STATUS.PENDING }
+    });
+    return result.count === 1;
+  }
+
+  /**
+   * Update log
+   */
+  async updateLog(id, data) {
+    return this.prisma.notificationLog.update({
+      where: { id },
+      data
+    });
+  }
+
+  /**
+   * Delivery counts by status
+   */
+  async getLogStats(hospitalId) {
+    const grouped = await this.prisma.notificationLog.groupBy({
+      by: ['status'],
+      where: { hospitalId },
+      _count: { _all: true }
+    });
+
+    return grouped.reduce((acc, row) => {
+      acc[row.status] = row._count._all;
+      return acc;
+    }, {});
+  }
+}
+
+export default NotificationRepository;
@@ -0,0 +1,454 @@
+/**
+ * Notification Service
+ * Event-driven notifications rendered from hospital-editable templates
+ *
+ * Features:
+ * - Templates per trigger event (ADMISSION, DISCHARGE, PAYMENT, RESULT_RELEASED, ...)
+ * - {{placeholder}} rendering for email, SMS and in-app bodies
+ * - Every delivery attempt recorded in NotificationLog
+ * - Exponential backoff retries (see notification.worker.js)
+ * - Pluggable channels (see notification.channels.js)
+ */
+
+import { NotificationRepository } from './notification.repository.js';
+import { getChannel, getRegisteredChannels } from './notification.channels.js';
+import { tenantContext } from '../core/context/index.js';
+import logger from '../utils/logger.js';
+import {
+  NOTIFICATION_EVENTS,
+  EVENT_PLACEHOLDERS,
+  NOTIFICATION_CHANNEL,
+  NOTIFICATION_STATUS,
+  NOTIFICATION_CONFIG,
+  DEFAULT_NOTIFICATION_TEMPLATES,
+  renderTemplate,
+  extractPlaceholders,
+  getRetryDelay
+} from './notification.constants.js';
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError
+} from '../shared/AppError.js';
+
+const TEMPLATE_FIELDS = [
+  'templateName',
+  'description',
+  'emailSubject',
+  'emailTemplate',
+  'smsTemplate',
+  'appMessage',
+  'triggerEvent',
+  'isActive'
+];
+
+export class NotificationService {
+  constructor(prisma) {
+    this.prisma = prisma;
+    this.repository = new NotificationRepository(prisma);
+  }
+
+  // ==================== TEMPLATE MANAGEMENT ====================
+
+  /**
+   * Create a notification template
+   */
+  async createTemplate(data) {
+    const hospitalId = tenantContext.getHospitalId();
+
+    if (!data.templateCode || !data.templateName || !data.triggerEvent) {
+      throw new ValidationError('templateCode, templateName, and triggerEvent are required');
+    }
+
+    const templateCode = String(data.templateCode).trim().toUpperCase();
+    const existing = await this.repository.getTemplateByCode(hospitalId, templateCode);
+    if (existing) {
+      throw new ConflictError(`Template with code ${templateCode} already exists`);
+    }
+
+    const fields = this.pickTemplateFields(data);
+    this.validateTemplate(fields);
+
+    const template = await this.repository.createTemplate({
+      hospitalId,
+      templateCode,
+      ...fields
+    });
+
+    return {
+      message: 'Notification template created',
+      template
+    };
+  }
+
+  /**
+   * Get notification templates
+   */
+  async getTemplates(filters = {}) {
+    const hospitalId = tenantContext.getHospitalId();
+    const templates = await this.repository.getTemplates(hospitalId, filters);
+    return { templates };
+  }
+
+  /**
+   * Get template by ID
+   */
+  async getTemplateById(templateId) {
+    const template = await this.getTemplateOrThrow(templateId);
+    return { template };
+  }
+
+  /**
+   * Update a notification template (templateCode is immutable)
+   */
+  async updateTemplate(templateId, data) {
+    const existing = await this.getTemplateOrThrow(templateId);
+
+    const fields = this.pickTemplateFields(data);
+    this.validateTemplate({ ...existing, ...fields });
+
+    const template = await this.repository.updateTemplate(templateId, fields);
+
+    return {
+      message: 'Notification template updated',
+      template
+    };
+  }
+
+  /**
+   * Delete a notification template
+   */
+  async deleteTemplate(templateId) {
+    await this.getTemplateOrThrow(templateId);
+    await this.repository.deleteTemplate(templateId);
+    return { message: 'Notification template deleted' };
+  }
+
+  /**
+   * Render a template against sample data without sending
+   */
+  async previewTemplate(templateId, data = {}) {
+    const template = await this.getTemplateOrThrow(templateId);
+    const context = this.buildContext(data);
+
+    return {
+      templateCode: template.templateCode,
+      email: template.emailTemplate ? {
+        subject: renderTemplate(template.emailSubject, context),
+        body: renderTemplate(template.emailTemplate, context, { escapeHtml: true })
+      } : null,
+      sms: template.smsTemplate ? renderTemplate(template.smsTemplate, context) : null,
+      app: template.appMessage ? renderTemplate(template.appMessage, context) : null,
+      placeholders: extractPlaceholders(
+        [template.emailSubject, template.emailTemplate, template.smsTemplate, template.appMessage].join(' ')
+      )
+    };
+  }
+
+  /**
+   * Create the default templates that do not exist yet
+   */
+  async seedDefaultTemplates() {
+    const hospitalId = tenantContext.getHospitalId();
+    const created = [];
+
+    for (const template of DEFAULT_NOTIFICATION_TEMPLATES) {
+      const existing = await this.repository.getTemplateByCode(hospitalId, template.templateCode);
+      if (existing) continue;
+
+      created.push(await this.repository.createTemplate({ hospitalId, ...template }));
+    }
+
+    return {
+      message: `${created.length} default template(s) created`,
+      templates: created
+    };
+  }
+
+  /**
+   * Supported events, their placeholders, and registered channels
+   */
+  getEventCatalog() {
+    return {
+      events: Object.values(NOTIFICATION_EVENTS).map(event => ({
+        event,
+        placeholders: EVENT_PLACEHOLDERS[event] || []
+      })),
+      channels: getRegisteredChannels()
+    };
+  }
+
+  // ==================== DISPATCH ====================
+
+  /**
+   * Dispatch a domain event to every active template for it
+   * @param {string} event - NOTIFICATION_EVENTS value
+   * @param {Object} payload - { recipient: { id, name, email?, phone? }, data: {...} }
+   * @returns {Array} created NotificationLog rows (after the first attempt)
+   */
+  async dispatch(event, payload = {}) {
+    const hospitalId = tenantContext.getHospitalId();
+    if (!hospitalId) {
+      logger.warn(`[Notification] Skipping ${event} - hospital context not initialized`);
+      return [];
+    }
+
+    const { recipient } = payload;
+    if (!recipient?.id) {
+      throw new ValidationError('Notification recipient id is required');
+    }
+
+    const templates = await this.repository.getActiveTemplatesForEvent(hospitalId, event);
+    if (templates.length === 0) return [];
+
+    const context = this.buildContext({ ...payload.data, recipient });
+    const logs = [];
+
+    for (const template of templates) {
+      for (const message of this.buildMessages(template, recipient, context)) {
+        const log = await this.repository.createLog({
+          hospitalId,
+          recipientId: recipient.id,
+          recipientName: recipient.name || null,
+          recipientEmail: recipient.email || null,
+          recipientPhone: recipient.phone || null,
+          type: message.type,
+          subject: message.subject || null,
+          message: message.body,
+          template: template.templateCode,
+          triggerEvent: event,
+          status: NOTIFICATION_STATUS.PENDING
+        });
+
+        logs.push(await this.deliver(log));
+      }
+    }
+
+    return logs;
+  }
+
+  /**
+   * Build one message per channel the template and recipient both support
+   */
+  buildMessages(template, recipient, context) {
+    const messages = [];
+
+    if (template.emailTemplate && recipient.email) {
+      messages.push({
+        type: NOTIFICATION_CHANNEL.EMAIL,
+        subject: renderTemplate(template.emailSubject, context),
+        body: renderTemplate(template.emailTemplate, context, { escapeHtml: true })
+      });
+    }
+
+    if (template.smsTemplate && recipient.phone) {
+      messages.push({
+        type: NOTIFICATION_CHANNEL.SMS,
+        body: renderTemplate(template.smsTemplate, context)
+      });
+    }
+
+    if (template.appMessage) {
+      messages.push({
+        type: NOTIFICATION_CHANNEL.APP_PUSH,
+        body: renderTemplate(template.appMessage, context)
+      });
+    }
+
+    return messages;
+  }
+
+  /**
+   * Attempt delivery of a logged notification and record the outcome
+   */
+  async deliver(log) {
+    const channel = getChannel(log.type);
+    const attemptedAt = new Date();
+
+    if (!channel) {
+      return this.repository.updateLog(log.id, {
+        status: NOTIFICATION_STATUS.FAILED,
+        failureReason: `No channel registered for ${log.type}`,
+        lastAttemptAt: attemptedAt,
+        nextRetryAt: null
+      });
+    }
+
+    try {
+      await channel.send({
+        to: log.type === NOTIFICATION_CHANNEL.EMAIL ? log.recipientEmail
+          : log.type === NOTIFICATION_CHANNEL.SMS ? log.recipientPhone
+          : log.recipientId,
+        subject: log.subject,
+        message: log.message,
+        log
+      });
+
+      return this.repository.updateLog(log.id, {
+        status: NOTIFICATION_STATUS.SENT,
+        sentAt: new Date(),
+        failureReason: null,
+        lastAttemptAt: attemptedAt,
+        nextRetryAt: null
+      });
+    } catch (error) {
+      const retryCount = log.retryCount + 1;
+      const canRetry = retryCount <= NOTIFICATION_CONFIG.MAX_RETRIES;
+
+      logger.warn(`[Notification] ${log.type} delivery failed for log ${log.id}: ${error.message}`);
+
+      return this.repository.updateLog(log.id, {
+        status: NOTIFICATION_STATUS.FAILED,
+        failureReason: error.message,
+        retryCount,
+        lastAttemptAt: attemptedAt,
+        nextRetryAt: canRetry ? new Date(attemptedAt.getTime() + getRetryDelay(retryCount)) : null
+      });
+    }
+  }
+
+  // ==================== RETRIES ====================
+
+  /**
+   * Retry failed notifications whose backoff has elapsed
+   * Called by the retry worker; safe to run concurrently.
+   */
+  async processRetries(limit = NOTIFICATION_CONFIG.WORKER_BATCH_SIZE) {
+    const hospitalId = tenantContext.getHospitalId();
+    if (!hospitalId) return { processed: 0, sent: 0, failed: 0 };
+
+    const due = await this.repository.getDueRetries(hospitalId, new Date(), limit);
+    let sent = 0;
+    let failed = 0;
+
+    for (const log of due) {
+      const claimed = await this.repository.claimForRetry(log.id);
+      if (!claimed) continue;
+
+      const result = await this.deliver(log);
+      if (result.status === NOTIFICATION_STATUS.SENT) sent++;
+      else failed++;
+    }
+
+    return { processed: sent + failed, sent, failed };
+  }
+
+  /**
+   * Manually retry a failed notification now (ignores backoff, resets exhausted retries)
+   */
+  async retryLog(logId) {
+    const log = await this.getLogOrThrow(logId);
+
+    if (log.status !== NOTIFICATION_STATUS.FAILED) {
+      throw new ValidationError(`Only failed notifications can be retried. Current status: ${log.status}`);
+    }
+
+    const claimed = await this.repository.claimForRetry(log.id);
+    if (!claimed) {
+      throw new ConflictError('Notification is already being retried');
+    }
+
+    const retryCount = Math.min(log.retryCount, NOTIFICATION_CONFIG.MAX_RETRIES);
+    const updated = await this.deliver({ ...log, retryCount });
+
+    return {
+      message: updated.status === NOTIFICATION_STATUS.SENT ? 'Notification sent' : 'Retry failed',
+      log: updated
+    };
+  }
+
+  // ==================== LOG QUERIES ====================
+
+  /**
+   * Get notification logs
+   */
+  async getLogs(filters = {}) {
+    const hospitalId = tenantContext.getHospitalId();
+    return this.repository.getLogs(hospitalId, filters);
+  }
+
+  /**
+   * Get log by ID
+   */
+  async getLogById(logId) {
+    const log = await this.getLogOrThrow(logId);
+    return { log };
+  }
+
+  /**
+   * Delivery counts by status
+   */
+  async getLogStats() {
+    const hospitalId = tenantContext.getHospitalId();
+    const byStatus = await this.repository.getLogStats(hospitalId);
+    return { byStatus };
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * Build the render context (adds hospital details to event data)
+   */
+  buildContext(data = {}) {
+    const hospital = tenantContext.getHospital();
+    return {
+      ...data,
+      hospital: {
+        name: hospital?.hospitalName || 'Hospital',
+        ...(data.hospital || {})
+      }
+    };
+  }
+
+  /**
+   * Pick editable template fields from request data
+   */
+  pickTemplateFields(data) {
+    const fields = {};
+    for (const key of TEMPLATE_FIELDS) {
+      if (data[key] !== undefined) fields[key] = data[key];
+    }
+    if (fields.triggerEvent) fields.triggerEvent = String(fields.triggerEvent).toUpperCase();
+    return fields;
+  }
+
+  /**
+   * Validate template content
+   */
+  validateTemplate(template) {
+    if (template.triggerEvent && !Object.values(NOTIFICATION_EVENTS).includes(template.triggerEvent)) {
+      throw new ValidationError(
+        `Invalid triggerEvent. Must be one of: ${Object.values(NOTIFICATION_EVENTS).join(', ')}`,
+        'triggerEvent'
+      );
+    }
+
+    if (!template.emailTemplate && !template.smsTemplate && !template.appMessage) {
+      throw new ValidationError('At least one of emailTemplate, smsTemplate, or appMessage is required');
+    }
+
+    if (template.emailTemplate && !template.emailSubject) {
+      throw new ValidationError('emailSubject is required when emailTemplate is set', 'emailSubject');
+    }
+  }
+
+  async getTemplateOrThrow(templateId) {
+    const hospitalId = tenantContext.getHospitalId();
+    const template = await this.repository.getTemplateById(templateId);
+    if (!template || template.hospitalId !== hospitalId) {
+      throw new NotFoundError('Notification template');
+    }
+    return template;
+  }
+
+  async getLogOrThrow(logId) {
+    const hospitalId = tenantContext.getHospitalId();
+    const log = await this.repository.getLogById(logId);
+    if (!log || log.hospitalId !== hospitalId) {
+      throw new NotFoundError('Notification log');
+    }
+    return log;
+  }
+}
+
+export default NotificationService;
@@ -0,0 +1,195 @@
+/**
+ * Notification Service - template rendering into each channel, delivery
+ * outcomes and the exponential retry backoff
+ */
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { answeringClient, callsTo } from './prismaTestClient.node.mjs';
+import { NotificationService } from './notification.service.js';
+import { registerChannel } from './notification.channels.js';
+import { tenantContext } from '../core/context/index.js';
+import {
+  NOTIFICATION_CHANNEL,
+  NOTIFICATION_CONFIG,
+  NOTIFICATION_STATUS,
+  renderTemplate,
+  extractPlaceholders,
+  getRetryDelay
+} from './notification.constants.js';
+
+const MINUTE = 60 * 1000;
+
+// Channels that record what they were asked to send, failing while `failing` names their type
+const sent = [];
+let failing = new Set();
+
+for (const type of Object.values(NOTIFICATION_CHANNEL)) {
+  registerChannel({
+    type,
+    name: 'test',
+    async send(message) {
+      if (failing.has(type)) throw new Error(`${type} gateway down`);
+      sent.push({ type, to: message.to, subject: message.subject, message: message.message });
+    },
+  });
+}
+
+beforeEach(() => {
+  sent.length = 0;
+  failing = new Set();
+  tenantContext.hospitalId = 'h1';
+  tenantContext.hospital = { id: 'h1', hospitalName: 'City & Care Hospital' };
+});
+
+const template = (extra = {}) => ({
+  id: 'tpl-1', hospitalId: 'h1', templateCode: 'IPD_ADMISSION', triggerEvent: 'ADMISSION', isActive: true,
+  emailSubject: 'Admitted to {{admission.wardName}} - {{hospital.name}}',
+  emailTemplate: '<p>Dear {{patient.name}}, room {{admission.roomNumber}}</p>',
+  smsTemplate: 'Dear {{patient.name}}, room {{admission.roomNumber}} - {{hospital.name}}',
+  appMessage: 'Admitted on {{admission.admissionDate}}',
+  ...extra,
+});
+
+const log = (id, extra = {}) => ({
+  id, hospitalId: 'h1', type: NOTIFICATION_CHANNEL.SMS, recipientId: 'P1', recipientPhone: '9800000000',
+  message: 'Hello', status: NOTIFICATION_STATUS.FAILED, retryCount: 0,
+  ...extra,
+});
+
+function setup(answers = {}) {
+  let nextLogId = 0;
+  const { client, calls } = answeringClient({
+    notificationTemplate: { findMany: [template()], findUnique: template() },
+    ...answers,
+    notificationLog: {
+      create: ({ data }) => ({ id: `log-${++nextLogId}`, retryCount: 0, ...data }),
+      update: ({ where, data }) => ({ id: where.id, ...data }),
+      updateMany: { count: 1 },
+      ...answers.notificationLog,
+    },
+  });
+  return { service: new NotificationService(client), calls };
+}
+
+// ==================== RENDERING ====================
+
+test('placeholders resolve dotted paths, missing values render empty and only HTML bodies are escaped', () => {
+  const context = {
+    patient: { name: 'Asha <Rao>' },
+    admission: { admissionDate: new Date(2026, 9, 19), bed: null },
+  };
+  const text = 'Dear {{ patient.name }}, admitted {{admission.admissionDate}} bed {{admission.bed}}{{ward.name}}.';
+
+  assert.equal(renderTemplate(text, context), 'Dear Asha <Rao>, admitted 19/10/2026 bed .');
+  assert.equal(renderTemplate(text, context, { escapeHtml: true }), 'Dear Asha &lt;Rao&gt;, admitted 19/10/2026 bed .');
+  assert.equal(renderTemplate(null, context), '');
+  assert.deepEqual(extractPlaceholders(`${text} {{patient.name}}`), ['patient.name', 'admission.admissionDate', 'admission.bed', 'ward.name']);
+});
+
+test('an event renders one message per channel the recipient can receive, with the hospital name', async () => {
+  const { service, calls } = setup();
+
+  const logs = await service.dispatch('ADMISSION', {
+    recipient: { id: 'P1', name: 'Asha', email: 'asha@example.com' },
+    data: { patient: { name: 'Asha "A" Rao' }, admission: { wardName: 'Ward <B>', roomNumber: '12', admissionDate: '19 Oct' } },
+  });
+
+  // No phone number, so no SMS
+  assert.deepEqual(sent, [
+    {
+      type: 'EMAIL', to: 'asha@example.com',
+      subject: 'Admitted to Ward <B> - City & Care Hospital',
+      message: '<p>Dear Asha &quot;A&quot; Rao, room 12</p>',
+    },
+    { type: 'APP_PUSH', to: 'P1', subject: null, message: 'Admitted on 19 Oct' },
+  ]);
+  assert.deepEqual(logs.map(l => [l.id, l.status, l.nextRetryAt]), [['log-1', 'SENT', null], ['log-2', 'SENT', null]]);
+
+  const created = callsTo(calls, 'notificationLog.create').map(c => c.args.data);
+  assert.deepEqual(created.map(d => [d.type, d.status, d.template, d.triggerEvent]), [
+    ['EMAIL', 'PENDING', 'IPD_ADMISSION', 'ADMISSION'],
+    ['APP_PUSH', 'PENDING', 'IPD_ADMISSION', 'ADMISSION'],
+  ]);
+});
+
+test('nothing is sent before the hospital context is loaded or when no template is active', async () => {
+  tenantContext.hospitalId = null;
+  const { service: early, calls: earlyCalls } = setup();
+  assert.deepEqual(await early.dispatch('ADMISSION', { recipient: { id: 'P1' } }), []);
+  assert.equal(earlyCalls.length, 0);
+
+  tenantContext.hospitalId = 'h1';
+  const { service: quiet, calls: quietCalls } = setup({ notificationTemplate: { findMany: [] } });
+  assert.deepEqual(await quiet.dispatch('ADMISSION', { recipient: { id: 'P1' } }), []);
+  assert.equal(callsTo(quietCalls, 'notificationLog.create').length, 0);
+
+  await assert.rejects(quiet.dispatch('ADMISSION', { recipient: {} }), { statusCode: 400 });
+});
+
+// ==================== RETRY BACKOFF ====================
+
+test('the retry delay doubles from one minute and is capped at one hour', () => {
+  assert.deepEqual([1, 2, 3, 4, 5, 6, 7, 20].map(getRetryDelay), [
+    MINUTE, 2 * MINUTE, 4 * MINUTE, 8 * MINUTE, 16 * MINUTE, 32 * MINUTE, NOTIFICATION_CONFIG.MAX_BACKOFF_MS, NOTIFICATION_CONFIG.MAX_BACKOFF_MS,
+  ]);
+});
+
+test('a failed delivery is retried after the backoff until the retries run out', async () => {
+  const { service } = setup();
+  failing.add(NOTIFICATION_CHANNEL.SMS);
+
+  const first = await service.deliver(log('log-1'));
+  assert.deepEqual([first.status, first.retryCount, first.failureReason], ['FAILED', 1, 'SMS gateway down']);
+  assert.equal(first.nextRetryAt - first.lastAttemptAt, MINUTE);
+
+  const third = await service.deliver(log('log-1', { retryCount: 2 }));
+  assert.equal(third.nextRetryAt - third.lastAttemptAt, 4 * MINUTE);
+
+  const last = await service.deliver(log('log-1', { retryCount: NOTIFICATION_CONFIG.MAX_RETRIES - 1 }));
+  assert.equal(last.retryCount, NOTIFICATION_CONFIG.MAX_RETRIES);
+  assert.ok(last.nextRetryAt instanceof Date);
+
+  const exhausted = await service.deliver(log('log-1', { retryCount: NOTIFICATION_CONFIG.MAX_RETRIES }));
+  assert.deepEqual([exhausted.status, exhausted.retryCount, exhausted.nextRetryAt], ['FAILED', NOTIFICATION_CONFIG.MAX_RETRIES + 1, null]);
+});
+
+test('the worker only delivers due logs it manages to claim', async () => {
+  const { service, calls } = setup({
+    notificationLog: {
+      findMany: [log('log-1'), log('log-2', { retryCount: 1 }), log('log-3', { type: NOTIFICATION_CHANNEL.EMAIL, recipientEmail: 'a@example.com', retryCount: 2 })],
+      // Another worker already picked up log-2
+      updateMany: ({ where }) => ({ count: where.id === 'log-2' ? 0 : 1 }),
+    },
+  });
+  failing.add(NOTIFICATION_CHANNEL.EMAIL);
+
+  const result = await service.processRetries();
+
+  assert.deepEqual(result, { processed: 2, sent: 1, failed: 1 });
+  assert.deepEqual(sent.map(s => s.to), ['9800000000']);
+
+  const [due] = callsTo(calls, 'notificationLog.findMany');
+  assert.equal(due.args.where.status, NOTIFICATION_STATUS.FAILED);
+  assert.ok(due.args.where.nextRetryAt.lte instanceof Date);
+  assert.equal(due.args.take, NOTIFICATION_CONFIG.WORKER_BATCH_SIZE);
+
+  const failed = callsTo(calls, 'notificationLog.update').find(c => c.args.where.id === 'log-3').args.data;
+  assert.equal(failed.retryCount, 3);
+  assert.equal(failed.nextRetryAt - failed.lastAttemptAt, 4 * MINUTE);
+});
+
+test('a manual retry sends an exhausted log now and refuses logs that have not failed', async () => {
+  const exhausted = log('log-1', { retryCount: NOTIFICATION_CONFIG.MAX_RETRIES + 1, nextRetryAt: null });
+  const { service } = setup({ notificationLog: { findUnique: exhausted } });
+
+  const { message, log: retried } = await service.retryLog('log-1');
+  assert.equal(message, 'Notification sent');
+  assert.equal(retried.status, NOTIFICATION_STATUS.SENT);
+  assert.equal(sent.length, 1);
+
+  const { service: busy } = setup({ notificationLog: { findUnique: exhausted, updateMany: { count: 0 } } });
+  await assert.rejects(busy.retryLog('log-1'), { statusCode: 409 });
+
+  const { service: done } = setup({ notificationLog: { findUnique: log('log-1', { status: NOTIFICATION_STATUS.SENT }) } });
+  await assert.rejects(done.retryLog('log-1'), { statusCode: 400 });
+});
@@ -0,0 +1,61 @@
+/**
+ * Notification Retry Worker
+ * Periodically re-sends failed notifications once their backoff has elapsed
+ */
+
+import logger from '../utils/logger.js';
+import { NotificationService } from './notification.service.js';
+import { NOTIFICATION_CONFIG } from './notification.constants.js';
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one retry pass (skipped if the previous pass is still running)
+ */
+export async function runNotificationRetries(prisma) {
+  if (running) return null;
+  running = true;
+
+  try {
+    const notificationService = new NotificationService(prisma);
+    const result = await notificationService.processRetries();
+    if (result.processed > 0) {
+      logger.info(`[Notification] Retry pass: ${result.sent} sent, ${result.failed} failed`);
+    }
+    return result;
+  } catch (error) {
+    logger.error('[Notification] Retry pass failed:', error.message);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the retry worker
+ */
+export function startNotificationWorker(prisma, intervalMs = NOTIFICATION_CONFIG.WORKER_INTERVAL_MS) {
+  if (timer) return;
+
+  timer = setInterval(() => runNotificationRetries(prisma), intervalMs);
+  // Do not keep the process alive just for retries
+  timer.unref();
+
+  logger.info(`[Notification] Retry worker started (every ${Math.round(intervalMs / 1000)}s)`);
+}
+
+/**
+ * Stop the retry worker
+ */
+export function stopNotificationWorker() {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+}
+
+export default {
+  runNotificationRetries,
+  startNotificationWorker,
+  stopNotificationWorker
+};
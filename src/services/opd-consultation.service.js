@@ -12,9 +12,20 @@
 
 import { tenantContext } from '../core/context/index.js';
 import { NotFoundError, ValidationError } from '../shared/AppError.js';
+import {
+  PRESCRIPTION_STATUS,
+  PRESCRIPTION_TRANSITIONS,
+  DOSE_FREQUENCY_PER_DAY,
+  SINGLE_DOSE_FREQUENCIES,
+  AS_NEEDED_FREQUENCIES,
+  DOSE_FREQUENCIES
+} from './prescription.constants.js';
+import { MedicationSafetyService, SAFETY_CONTEXT } from './medication-safety.service.js';
 
 import prisma from '../core/database/prismaClient.js';
 
+const medicationSafetyService = new MedicationSafetyService(prisma);
+
 export class OpdConsultationService {
   
   // ==================== CONSULTATION NOTES ====================
@@ -187,6 +198,17 @@ export class OpdConsultationService {
       select: { id: true, firstName: true, lastName: true, registrationNumber: true }
     });
 
+    const items = await this.buildPrescriptionItems(hospitalId, prescriptionData.medications);
+
+    // Interaction / allergy check; MAJOR and CONTRAINDICATED warnings need an override reason
+    const safety = await medicationSafetyService.checkMedications(
+      hospitalId,
+      visit.patientId,
+      items.map(({ item }) => ({ drugId: item.drugId }))
+    );
+    medicationSafetyService.assertOverride(safety, prescriptionData.safetyOverrideReason);
+    const overrideReason = safety.requiresOverride ? prescriptionData.safetyOverrideReason.trim() : null;
+
     const prescriptionId = await this.generatePrescriptionId();
 
     const prescription = await prisma.oPDPrescription.create({
@@ -198,20 +220,172 @@ export class OpdConsultationService {
         doctorId,
         doctorName: doctor ? `Dr. ${doctor.firstName} ${doctor.lastName}` : null,
         doctorRegistrationNo: doctor?.registrationNumber,
-        medications: prescriptionData.medications,
+        medications: items.map(({ medication }) => medication),
+        items: { create: items.map(({ item }) => item) },
         instructions: prescriptionData.instructions,
         diet: prescriptionData.diet,
         warnings: prescriptionData.warnings,
+        safetyWarnings: safety.warnings.length > 0 ? safety.warnings : undefined,
+        safetyOverrideReason: overrideReason,
         validUntilDate: prescriptionData.validUntilDate
-      }
+      },
+      include: { items: { orderBy: { lineNo: 'asc' } } }
     });
 
+    if (overrideReason) {
+      await medicationSafetyService.recordOverride(hospitalId, {
+        context: SAFETY_CONTEXT.OPD_PRESCRIPTION,
+        referenceId: prescription.id,
+        patientId: visit.patientId,
+        result: safety,
+        reason: overrideReason,
+        userId: doctorId,
+        userName: prescription.doctorName
+      });
+    }
+
     return {
-      message: 'Prescription created successfully',
+      message: safety.warnings.length > 0
+        ? `Prescription created with ${safety.warnings.length} safety warning(s)`
+        : 'Prescription created successfully',
       prescription
     };
   }
 
+  /**
+   * Check medications against each other, the patient's current medication and
+   * allergies without creating a prescription (prescriber preview)
+   * @param {string} visitId - Visit ID
+   * @param {Array} medications - [{ drugId }]
+   */
+  async checkPrescriptionSafety(visitId, medications) {
+    const hospitalId = tenantContext.getHospitalId();
+
+    const visit = await prisma.patientVisit.findFirst({
+      where: { id: visitId, hospitalId }
+    });
+
+    if (!visit) {
+      throw new NotFoundError('Visit not found');
+    }
+
+    const drugIds = medications.map(med => med.drugId).filter(Boolean);
+    if (drugIds.length === 0) {
+      throw new ValidationError('At least one medication with a drugId is required', 'medications');
+    }
+
+    return medicationSafetyService.checkMedications(
+      hospitalId,
+      visit.patientId,
+      drugIds.map(drugId => ({ drugId }))
+    );
+  }
+
+  /**
+   * Resolve prescribed medications against the drug master and work out the
+   * quantity to dispense for each line.
+   * @param {string} hospitalId - Hospital ID
+   * @param {Array} medications - [{ drugId, dose, frequency, durationDays, quantity, route, instructions }]
+   * @returns {Array} [{ item, medication }] - prescription item rows and their printable snapshot
+   */
+  async buildPrescriptionItems(hospitalId, medications) {
+    if (medications.length === 0) {
+      throw new ValidationError('At least one medication is required', 'medications');
+    }
+
+    const drugIds = [...new Set(medications.map(med => med.drugId).filter(Boolean))];
+    const drugs = await prisma.drug.findMany({
+      where: { id: { in: drugIds }, hospitalId }
+    });
+    const drugById = new Map(drugs.map(drug => [drug.id, drug]));
+
+    return medications.map((med, idx) => {
+      const label = `Medication ${idx + 1}`;
+
+      if (!med.drugId) {
+        throw new ValidationError(`${label}: drugId is required`, 'medications');
+      }
+      const drug = drugById.get(med.drugId);
+      if (!drug) {
+        throw new ValidationError(`${label}: drug not found`, 'medications');
+      }
+      if (!drug.isActive) {
+        throw new ValidationError(`${label}: ${drug.drugName} is inactive`, 'medications');
+      }
+
+      const frequency = String(med.frequency || '').toUpperCase();
+      if (!DOSE_FREQUENCIES.includes(frequency)) {
+        throw new ValidationError(`${label}: frequency must be one of ${DOSE_FREQUENCIES.join(', ')}`, 'medications');
+      }
+
+      const dose = med.dose === undefined ? 1 : Number(med.dose);
+      if (!(dose > 0)) {
+        throw new ValidationError(`${label}: dose must be greater than 0`, 'medications');
+      }
+
+      const durationDays = med.durationDays === undefined || med.durationDays === null ? null : Number(med.durationDays);
+      if (durationDays !== null && !(Number.isInteger(durationDays) && durationDays > 0)) {
+        throw new ValidationError(`${label}: durationDays must be a positive whole number`, 'medications');
+      }
+
+      const quantity = this.computePrescribedQuantity({ dose, frequency, durationDays, quantity: med.quantity }, label);
+      const drugName = `${drug.drugName} ${drug.strength}`;
+
+      return {
+        item: {
+          lineNo: idx + 1,
+          drugId: drug.id,
+          drugName,
+          dose,
+          frequency,
+          durationDays,
+          route: med.route,
+          instructions: med.instructions,
+          quantity
+        },
+        medication: {
+          drugId: drug.id,
+          name: drug.brandName ? `${drug.brandName} ${drug.strength}` : drugName,
+          genericName: drug.drugName,
+          dosage: `${dose} ${drug.category}`,
+          frequency,
+          duration: durationDays ? `${durationDays} days` : null,
+          instructions: med.instructions,
+          quantity
+        }
+      };
+    });
+  }
+
+  /**
+   * Quantity to dispense for one line: dose x administrations per day x days,
+   * rounded up to whole units. STAT is a single dose; SOS / PRN need the quantity written.
+   * An explicit quantity always wins (e.g. a full strip or bottle).
+   */
+  computePrescribedQuantity({ dose, frequency, durationDays, quantity }, label) {
+    if (quantity !== undefined && quantity !== null) {
+      const written = Number(quantity);
+      if (!(Number.isInteger(written) && written > 0)) {
+        throw new ValidationError(`${label}: quantity must be a positive whole number`, 'medications');
+      }
+      return written;
+    }
+
+    if (SINGLE_DOSE_FREQUENCIES.includes(frequency)) {
+      return Math.ceil(dose);
+    }
+
+    if (AS_NEEDED_FREQUENCIES.includes(frequency)) {
+      throw new ValidationError(`${label}: quantity is required for ${frequency} medications`, 'medications');
+    }
+
+    if (!durationDays) {
+      throw new ValidationError(`${label}: durationDays is required for ${frequency} medications`, 'medications');
+    }
+
+    return Math.ceil(dose * DOSE_FREQUENCY_PER_DAY[frequency] * durationDays);
+  }
+
   /**
    * Get prescriptions for a visit
    */
@@ -220,6 +394,7 @@ export class OpdConsultationService {
 
     const prescriptions = await prisma.oPDPrescription.findMany({
       where: { visitId, hospitalId },
+      include: { items: { orderBy: { lineNo: 'asc' } } },
       orderBy: { prescribedAt: 'desc' }
     });
 
@@ -239,6 +414,13 @@ export class OpdConsultationService {
           { prescriptionId: prescriptionId }
         ],
         hospitalId 
+      },
+      include: {
+        items: { orderBy: { lineNo: 'asc' } },
+        dispenses: {
+          select: { id: true, dispenseId: true, dispensedAt: true, dispensedByName: true, totalAmount: true, status: true },
+          orderBy: { dispensedAt: 'asc' }
+        }
       }
     });
 
@@ -250,9 +432,10 @@ export class OpdConsultationService {
   }
 
   /**
-   * Update prescription status
+   * Update prescription status (cancel).
+   * Dispensed / partially dispensed are set by pharmacy dispensing, not by hand.
    */
-  async updatePrescriptionStatus(prescriptionId, status, dispensedBy = null) {
+  async updatePrescriptionStatus(prescriptionId, status) {
     const hospitalId = tenantContext.getHospitalId();
 
     const existing = await prisma.oPDPrescription.findFirst({
@@ -263,15 +446,17 @@ export class OpdConsultationService {
       throw new NotFoundError('Prescription not found');
     }
 
-    const updateData = { status };
-    if (status === 'DISPENSED') {
-      updateData.dispensedAt = new Date();
-      updateData.dispensedBy = dispensedBy;
+    const allowed = PRESCRIPTION_TRANSITIONS[existing.status] || [];
+    if (!allowed.includes(status)) {
+      const hint = [PRESCRIPTION_STATUS.DISPENSED, PRESCRIPTION_STATUS.PARTIALLY_DISPENSED].includes(status)
+        ? ' (set automatically when the pharmacy dispenses)'
+        : '';
+      throw new ValidationError(`Cannot change prescription from ${existing.status} to ${status}${hint}`, 'status');
     }
 
     const updated = await prisma.oPDPrescription.update({
       where: { id: prescriptionId },
-      data: updateData
+      data: { status }
     });
 
     return {
@@ -0,0 +1,47 @@
+/**
+ * OPD Consultation Service - the quantity a prescription line sends to the
+ * pharmacy: dose x administrations per day x days, single doses, as-needed
+ * lines and written quantities
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './prismaTestClient.node.mjs';
+import { OpdConsultationService } from './opd-consultation.service.js';
+
+const service = new OpdConsultationService();
+
+const quantity = (line) => service.computePrescribedQuantity({ dose: 1, durationDays: null, ...line }, 'Medication 1');
+
+// ==================== SCHEDULED FREQUENCIES ====================
+
+test('scheduled lines dispense dose times daily administrations times days, rounded up', () => {
+  assert.equal(quantity({ frequency: 'TDS', durationDays: 5 }), 15);
+  assert.equal(quantity({ frequency: 'BD', dose: 2, durationDays: 7 }), 28);
+  assert.equal(quantity({ frequency: 'Q6H', durationDays: 3 }), 12);
+  assert.equal(quantity({ frequency: 'HS', dose: 0.5, durationDays: 5 }), 3);
+  assert.equal(quantity({ frequency: 'WEEKLY', durationDays: 28 }), 4);
+  assert.equal(quantity({ frequency: 'WEEKLY', durationDays: 10 }), 2);
+});
+
+test('scheduled lines need a duration', () => {
+  assert.throws(() => quantity({ frequency: 'OD' }), { statusCode: 400, message: 'Medication 1: durationDays is required for OD medications' });
+});
+
+// ==================== SINGLE AND AS-NEEDED DOSES ====================
+
+test('a STAT line is one dose and an as-needed line needs its quantity written', () => {
+  assert.equal(quantity({ frequency: 'STAT', dose: 1.5 }), 2);
+  assert.equal(quantity({ frequency: 'STAT', durationDays: 5 }), 1);
+
+  assert.throws(() => quantity({ frequency: 'SOS' }), { statusCode: 400, message: /quantity is required for SOS/ });
+  assert.equal(quantity({ frequency: 'PRN', quantity: '10' }), 10);
+});
+
+test('a written quantity wins over the computed one and must be a positive whole number', () => {
+  // A full strip of 10 for a five-day BD course
+  assert.equal(quantity({ frequency: 'BD', durationDays: 5, quantity: 10 }), 10);
+
+  for (const written of [0, -3, 2.5, 'ten']) {
+    assert.throws(() => quantity({ frequency: 'BD', durationDays: 5, quantity: written }), { statusCode: 400 });
+  }
+});
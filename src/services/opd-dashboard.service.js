@@ -96,8 +96,7 @@ export class OpdDashboardService {
           }
         },
         orderBy: [
-          { priority: 'asc' },      // EMERGENCY (0) > URGENT (1) > PRIORITY (2) > NORMAL (3)
-          { position: 'asc' },       // Queue position
+          { position: 'asc' },       // Calling order from the queue policy
           { joinedAt: 'asc' }        // First-in-first-out (FIFO)
         ],
         take: limit,
@@ -277,7 +276,6 @@ export class OpdDashboardService {
           visit: true
         },
         orderBy: [
-          { priority: 'asc' },
           { position: 'asc' },
           { joinedAt: 'asc' }
         ]
@@ -455,6 +453,8 @@ export class OpdDashboardService {
               allergies: queue.patient.allergies,
               emergencyContact: options.emergencyContact,
               recommendedDepartment: options.department,
+              requestedBedType: options.bedType,
+              isolationRequired: options.isolationRequired || false,
               notes: options.notes || `Referred by ${userId} from OPD consultation`,
               status: 'PENDING',
               requestedBy: userId,
@@ -0,0 +1,69 @@
+/**
+ * Pharmacy Procurement Constants
+ * Purchase order / return statuses and document number prefixes
+ */
+
+export const PURCHASE_ORDER_STATUS = {
+  DRAFT: 'DRAFT',                           // Prepared (manually or from low-stock alerts), not yet sent
+  ORDERED: 'ORDERED',                       // Sent to supplier
+  PARTIALLY_RECEIVED: 'PARTIALLY_RECEIVED', // At least one GRN, quantity still pending
+  RECEIVED: 'RECEIVED',                     // All lines fully received
+  CLOSED: 'CLOSED',                         // Short-closed; pending quantity will not be delivered
+  CANCELLED: 'CANCELLED'
+};
+
+// Status flow: DRAFT -> ORDERED -> PARTIALLY_RECEIVED -> RECEIVED
+// Alternative flows: DRAFT | ORDERED -> CANCELLED, PARTIALLY_RECEIVED -> CLOSED
+// (PARTIALLY_RECEIVED / RECEIVED are set by goods receipts, not by hand)
+export const PURCHASE_ORDER_TRANSITIONS = {
+  DRAFT: ['ORDERED', 'CANCELLED'],
+  ORDERED: ['CANCELLED'],
+  PARTIALLY_RECEIVED: ['CLOSED'],
+  RECEIVED: [],
+  CLOSED: [],
+  CANCELLED: []
+};
+
+// Orders that can still receive goods
+export const RECEIVABLE_PO_STATUSES = [
+  PURCHASE_ORDER_STATUS.ORDERED,
+  PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED
+];
+
+// Orders whose pending quantity counts as "already on order"
+export const OPEN_PO_STATUSES = [
+  PURCHASE_ORDER_STATUS.DRAFT,
+  PURCHASE_ORDER_STATUS.ORDERED,
+  PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED
+];
+
+export const PURCHASE_ORDER_SOURCE = {
+  MANUAL: 'MANUAL',
+  LOW_STOCK: 'LOW_STOCK'
+};
+
+export const PURCHASE_RETURN_REASONS = [
+  'EXPIRED',
+  'NEAR_EXPIRY',
+  'DAMAGED',
+  'WRONG_ITEM',
+  'EXCESS',
+  'RECALLED',
+  'OTHER'
+];
+
+export const PROCUREMENT_NUMBER_PREFIX = {
+  PURCHASE_ORDER: 'PO',
+  GOODS_RECEIPT: 'GRN',
+  PURCHASE_RETURN: 'PRN'
+};
+
+export default {
+  PURCHASE_ORDER_STATUS,
+  PURCHASE_ORDER_TRANSITIONS,
+  RECEIVABLE_PO_STATUSES,
+  OPEN_PO_STATUSES,
+  PURCHASE_ORDER_SOURCE,
+  PURCHASE_RETURN_REASONS,
+  PROCUREMENT_NUMBER_PREFIX
+};
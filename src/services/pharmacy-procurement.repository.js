@@ -0,0 +1,358 @@
+/**
+ * Pharmacy Procurement Repository
+ * Database operations for suppliers, purchase orders, goods receipts and purchase returns
+ */
+
+const DRUG_SELECT = { id: true, drugName: true, drugCode: true, strength: true, unit: true };
+
+const SUPPLIER_SELECT = { id: true, supplierCode: true, name: true, gstNumber: true };
+
+const PURCHASE_ORDER_INCLUDE = {
+  supplier: { select: SUPPLIER_SELECT },
+  items: { include: { drug: { select: DRUG_SELECT } } },
+};
+
+const GOODS_RECEIPT_INCLUDE = {
+  supplier: { select: SUPPLIER_SELECT },
+  purchaseOrder: { select: { id: true, poNumber: true, status: true } },
+  items: { include: { drug: { select: DRUG_SELECT } } },
+};
+
+export class PharmacyProcurementRepository {
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  // ============== SUPPLIER OPERATIONS ==============
+  async createSupplier(hospitalId, supplierData) {
+    return this.prisma.pharmacySupplier.create({
+      data: {
+        ...supplierData,
+        hospitalId,
+      },
+    });
+  }
+
+  async getSupplierById(supplierId, hospitalId) {
+    return this.prisma.pharmacySupplier.findFirst({
+      where: { id: supplierId, hospitalId },
+    });
+  }
+
+  async getSupplierByCode(supplierCode, hospitalId) {
+    return this.prisma.pharmacySupplier.findUnique({
+      where: { hospitalId_supplierCode: { hospitalId, supplierCode } },
+    });
+  }
+
+  async getSuppliers(hospitalId, filters = {}) {
+    const where = { hospitalId };
+    if (filters.isActive !== undefined) where.isActive = filters.isActive;
+    if (filters.search) {
+      where.OR = [
+        { name: { contains: filters.search, mode: 'insensitive' } },
+        { supplierCode: { contains: filters.search, mode: 'insensitive' } },
+      ];
+    }
+
+    return this.prisma.pharmacySupplier.findMany({
+      where,
+      skip: filters.skip || 0,
+      take: filters.take || 50,
+      orderBy: { name: 'asc' },
+    });
+  }
+
+  async updateSupplier(supplierId, supplierData) {
+    return this.prisma.pharmacySupplier.update({
+      where: { id: supplierId },
+      data: supplierData,
+    });
+  }
+
+  // ============== DRUG LOOKUPS ==============
+  async getDrugsByIds(drugIds, hospitalId) {
+    return this.prisma.drug.findMany({
+      where: { id: { in: drugIds }, hospitalId },
+    });
+  }
+
+  /**
+   * Supplier of the most recent goods receipt for each drug
+   */
+  async getLastSupplierByDrug(drugIds, hospitalId) {
+    const items = await this.prisma.goodsReceiptItem.findMany({
+      where: { drugId: { in: drugIds }, goodsReceipt: { hospitalId } },
+      select: { drugId: true, unitCost: true, goodsReceipt: { select: { supplierId: true, receivedAt: true } } },
+      orderBy: { goodsReceipt: { receivedAt: 'desc' } },
+    });
+
+    const lastSupplier = {};
+    items.forEach(item => {
+      if (!lastSupplier[item.drugId]) {
+        lastSupplier[item.drugId] = { supplierId: item.goodsReceipt.supplierId, unitCost: item.unitCost };
+      }
+    });
+    return lastSupplier;
+  }
+
+  // ============== PURCHASE ORDER OPERATIONS ==============
+  async createPurchaseOrder(hospitalId, orderData, items) {
+    return this.prisma.purchaseOrder.create({
+      data: {
+        ...orderData,
+        hospitalId,
+        items: { create: items },
+      },
+      include: PURCHASE_ORDER_INCLUDE,
+    });
+  }
+
+  async getPurchaseOrderById(purchaseOrderId, hospitalId) {
+    return this.prisma.purchaseOrder.findFirst({
+      where: { id: purchaseOrderId, hospitalId },
+      include: {
+        ...PURCHASE_ORDER_INCLUDE,
+        goodsReceipts: {
+          select: { id: true, grnNumber: true, receivedAt: true, totalAmount: true, supplierInvoiceNumber: true },
+          orderBy: { receivedAt: 'asc' },
+        },
+      },
+    });
+  }
+
+  async getPurchaseOrders(hospitalId, filters = {}) {
+    const where = { hospitalId };
+    if (filters.status) where.status = filters.status;
+    if (filters.supplierId) where.supplierId = filters.supplierId;
+    if (filters.fromDate || filters.toDate) {
+      where.orderDate = {
+        gte: filters.fromDate ? new Date(filters.fromDate) : undefined,
+        lte: filters.toDate ? new Date(filters.toDate) : undefined,
+      };
+    }
+
+    return this.prisma.purchaseOrder.findMany({
+      where,
+      include: PURCHASE_ORDER_INCLUDE,
+      skip: filters.skip || 0,
+      take: filters.take || 50,
+      orderBy: { orderDate: 'desc' },
+    });
+  }
+
+  async updatePurchaseOrder(purchaseOrderId, orderData) {
+    return this.prisma.purchaseOrder.update({
+      where: { id: purchaseOrderId },
+      data: orderData,
+      include: PURCHASE_ORDER_INCLUDE,
+    });
+  }
+
+  async updatePurchaseOrderItem(itemId, itemData) {
+    return this.prisma.purchaseOrderItem.update({
+      where: { id: itemId },
+      data: itemData,
+    });
+  }
+
+  /**
+   * Lines of open orders for the given drugs (what is already on order)
+   */
+  async getOpenOrderItems(hospitalId, drugIds, statuses) {
+    return this.prisma.purchaseOrderItem.findMany({
+      where: {
+        drugId: { in: drugIds },
+        purchaseOrder: { hospitalId, status: { in: statuses } },
+      },
+      select: { drugId: true, orderedQuantity: true, receivedQuantity: true },
+    });
+  }
+
+  async lockPurchaseOrder(purchaseOrderId) {
+    await this.prisma.$queryRaw`SELECT id FROM purchase_orders WHERE id = ${purchaseOrderId} FOR UPDATE`;
+  }
+
+  // ============== GOODS RECEIPT OPERATIONS ==============
+  async createGoodsReceipt(hospitalId, receiptData, items) {
+    return this.prisma.goodsReceipt.create({
+      data: {
+        ...receiptData,
+        hospitalId,
+        items: { create: items },
+      },
+      include: GOODS_RECEIPT_INCLUDE,
+    });
+  }
+
+  async getGoodsReceiptById(goodsReceiptId, hospitalId) {
+    return this.prisma.goodsReceipt.findFirst({
+      where: { id: goodsReceiptId, hospitalId },
+      include: {
+        ...GOODS_RECEIPT_INCLUDE,
+        purchaseReturns: {
+          select: { id: true, returnNumber: true, returnedAt: true, totalAmount: true, reason: true },
+          orderBy: { returnedAt: 'asc' },
+        },
+      },
+    });
+  }
+
+  async getGoodsReceipts(hospitalId, filters = {}) {
+    const where = { hospitalId };
+    if (filters.supplierId) where.supplierId = filters.supplierId;
+    if (filters.purchaseOrderId) where.purchaseOrderId = filters.purchaseOrderId;
+    if (filters.fromDate || filters.toDate) {
+      where.receivedAt = {
+        gte: filters.fromDate ? new Date(filters.fromDate) : undefined,
+        lte: filters.toDate ? new Date(filters.toDate) : undefined,
+      };
+    }
+
+    return this.prisma.goodsReceipt.findMany({
+      where,
+      include: GOODS_RECEIPT_INCLUDE,
+      skip: filters.skip || 0,
+      take: filters.take || 50,
+      orderBy: { receivedAt: 'desc' },
+    });
+  }
+
+  async findReceiptByInvoice(hospitalId, supplierId, supplierInvoiceNumber) {
+    return this.prisma.goodsReceipt.findFirst({
+      where: { hospitalId, supplierId, supplierInvoiceNumber },
+      select: { id: true, grnNumber: true },
+    });
+  }
+
+  async getGoodsReceiptItems(itemIds, goodsReceiptId) {
+    return this.prisma.goodsReceiptItem.findMany({
+      where: { id: { in: itemIds }, goodsReceiptId },
+      include: { drug: { select: DRUG_SELECT } },
+    });
+  }
+
+  async updateGoodsReceiptItem(itemId, itemData) {
+    return this.prisma.goodsReceiptItem.update({
+      where: { id: itemId },
+      data: itemData,
+    });
+  }
+
+  async updateGoodsReceipt(goodsReceiptId, receiptData) {
+    return this.prisma.goodsReceipt.update({
+      where: { id: goodsReceiptId },
+      data: receiptData,
+    });
+  }
+
+  // ============== INVENTORY (BATCH) OPERATIONS ==============
+  async findBatch(hospitalId, drugId, batchNumber) {
+    return this.prisma.inventory.findUnique({
+      where: { hospitalId_batchNumber_drugId: { hospitalId, batchNumber, drugId } },
+    });
+  }
+
+  async lockInventory(inventoryId) {
+    await this.prisma.$queryRaw`SELECT id FROM inventory WHERE id = ${inventoryId} FOR UPDATE`;
+  }
+
+  async createInventory(hospitalId, inventoryData) {
+    return this.prisma.inventory.create({
+      data: {
+        ...inventoryData,
+        hospitalId,
+      },
+    });
+  }
+
+  async getInventoryById(inventoryId) {
+    return this.prisma.inventory.findUnique({
+      where: { id: inventoryId },
+    });
+  }
+
+  async updateInventory(inventoryId, inventoryData) {
+    return this.prisma.inventory.update({
+      where: { id: inventoryId },
+      data: inventoryData,
+    });
+  }
+
+  async recordTransaction(hospitalId, transactionData) {
+    return this.prisma.inventoryTransaction.create({
+      data: {
+        ...transactionData,
+        hospitalId,
+      },
+    });
+  }
+
+  // ============== PURCHASE RETURN OPERATIONS ==============
+  async createPurchaseReturn(hospitalId, returnData) {
+    return this.prisma.purchaseReturn.create({
+      data: {
+        ...returnData,
+        hospitalId,
+      },
+      include: {
+        supplier: { select: SUPPLIER_SELECT },
+        goodsReceipt: { select: { id: true, grnNumber: true, supplierInvoiceNumber: true } },
+      },
+    });
+  }
+
+  async getPurchaseReturns(hospitalId, filters = {}) {
+    const where = { hospitalId };
+    if (filters.supplierId) where.supplierId = filters.supplierId;
+    if (filters.goodsReceiptId) where.goodsReceiptId = filters.goodsReceiptId;
+    if (filters.fromDate || filters.toDate) {
+      where.returnedAt = {
+        gte: filters.fromDate ? new Date(filters.fromDate) : undefined,
+        lte: filters.toDate ? new Date(filters.toDate) : undefined,
+      };
+    }
+
+    return this.prisma.purchaseReturn.findMany({
+      where,
+      include: {
+        supplier: { select: SUPPLIER_SELECT },
+        goodsReceipt: { select: { id: true, grnNumber: true, supplierInvoiceNumber: true } },
+      },
+      skip: filters.skip || 0,
+      take: filters.take || 50,
+      orderBy: { returnedAt: 'desc' },
+    });
+  }
+
+  // ============== PURCHASE REGISTER ==============
+  async getReceiptsForRegister(hospitalId, fromDate, toDate, supplierId) {
+    return this.prisma.goodsReceipt.findMany({
+      where: {
+        hospitalId,
+        ...(supplierId ? { supplierId } : {}),
+        receivedAt: { gte: fromDate, lte: toDate },
+      },
+      include: {
+        supplier: { select: SUPPLIER_SELECT },
+        purchaseOrder: { select: { poNumber: true } },
+      },
+      orderBy: { receivedAt: 'asc' },
+    });
+  }
+
+  async getReturnsForRegister(hospitalId, fromDate, toDate, supplierId) {
+    return this.prisma.purchaseReturn.findMany({
+      where: {
+        hospitalId,
+        ...(supplierId ? { supplierId } : {}),
+        returnedAt: { gte: fromDate, lte: toDate },
+      },
+      include: {
+        supplier: { select: SUPPLIER_SELECT },
+        goodsReceipt: { select: { grnNumber: true } },
+      },
+      orderBy: { returnedAt: 'asc' },
+    });
+  }
+}
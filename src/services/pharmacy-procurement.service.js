@@ -0,0 +1,965 @@
+/**
+ * Pharmacy Procurement Service
+ * Supplier master, purchase orders, goods receipts (GRN), purchase returns and the purchase register
+ */
+
+import { PharmacyProcurementRepository } from './pharmacy-procurement.repository.js';
+import { PharmacyService } from './pharmacy.service.js';
+import { CounterRepository } from './billing.repository.js';
+import { formatInvoiceNumber, getFinancialYear, roundCurrency } from '../utils/gst.utils.js';
+import { ValidationError, NotFoundError, ConflictError } from '../shared/AppError.js';
+import {
+  PURCHASE_ORDER_STATUS,
+  PURCHASE_ORDER_TRANSITIONS,
+  RECEIVABLE_PO_STATUSES,
+  OPEN_PO_STATUSES,
+  PURCHASE_ORDER_SOURCE,
+  PURCHASE_RETURN_REASONS,
+  PROCUREMENT_NUMBER_PREFIX,
+} from './pharmacy-procurement.constants.js';
+import logger from '../utils/logger.js';
+
+// Batches in these states can take more stock from a new receipt
+const RESTOCKABLE_BATCH_STATUSES = ['ACTIVE', 'DEPLETED'];
+
+const toWholeNumber = (value, label, { allowZero = false } = {}) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0 || (!allowZero && number === 0)) {
+    throw new ValidationError(`${label} must be a ${allowZero ? 'non-negative' : 'positive'} whole number`);
+  }
+  return number;
+};
+
+const toAmount = (value, label) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new ValidationError(`${label} must be a non-negative number`);
+  }
+  return number;
+};
+
+const parseDate = (value, label) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${label} must be a valid date`);
+  }
+  return date;
+};
+
+const dateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const lineTax = (line) => roundCurrency(line.amount * (line.gstRate || 0) / 100);
+
+const sumTotals = (lines) => {
+  const subtotal = roundCurrency(lines.reduce((total, line) => total + line.amount, 0));
+  const taxAmount = roundCurrency(lines.reduce((total, line) => total + lineTax(line), 0));
+  return { subtotal, taxAmount, totalAmount: roundCurrency(subtotal + taxAmount) };
+};
+
+const withPendingQuantities = (order) => ({
+  ...order,
+  items: order.items.map(item => ({
+    ...item,
+    pendingQuantity: Math.max(0, item.orderedQuantity - item.receivedQuantity),
+  })),
+});
+
+export class PharmacyProcurementService {
+  constructor(prisma) {
+    this.prisma = prisma;
+    this.repository = new PharmacyProcurementRepository(prisma);
+    this.counterRepository = new CounterRepository(prisma);
+  }
+
+  /**
+   * Generate PO/GRN/PRN number (sequence per series, restarts every financial year)
+   */
+  async generateNumber(prefix, date = new Date()) {
+    const seq = await this.counterRepository.nextSequence(`PHARMACY_${prefix}_${getFinancialYear(date).short}`);
+
+    if (!Number.isFinite(seq)) {
+      throw new Error('Invalid sequence received while generating procurement number');
+    }
+
+    return formatInvoiceNumber(prefix, date, seq);
+  }
+
+  // ============== SUPPLIER MASTER ==============
+  async createSupplier(hospitalId, supplierData, userId) {
+    try {
+      const supplier = this.normalizeSupplierInput(supplierData);
+
+      if (!supplier.supplierCode) throw new ValidationError('Supplier code is required', 'supplierCode');
+      if (!supplier.name) throw new ValidationError('Supplier name is required', 'name');
+
+      if (await this.repository.getSupplierByCode(supplier.supplierCode, hospitalId)) {
+        throw new ConflictError(`Supplier code ${supplier.supplierCode} already exists`);
+      }
+
+      const created = await this.repository.createSupplier(hospitalId, { ...supplier, createdBy: userId });
+
+      logger.info(`[Pharmacy] Supplier created: ${created.supplierCode}`, { hospitalId, userId });
+      return created;
+    } catch (error) {
+      logger.error(`[Pharmacy] Error creating supplier`, error);
+      throw error;
+    }
+  }
+
+  async getSuppliers(hospitalId, filters) {
+    try {
+      return await this.repository.getSuppliers(hospitalId, filters);
+    } catch (error) {
+      logger.error(`[Pharmacy] Error fetching suppliers`, error);
+      throw error;
+    }
+  }
+
+  async getSupplierById(hospitalId, supplierId) {
+    try {
+      const supplier = await this.repository.getSupplierById(supplierId, hospitalId);
+      if (!supplier) throw new NotFoundError('Supplier');
+      return supplier;
+    } catch (error) {
+      logger.error(`[Pharmacy] Error fetching supplier`, error);
+      throw error;
+    }
+  }
+
+  async updateSupplier(hospitalId, supplierId, supplierData, userId) {
+    try {
+      const supplier = await this.repository.getSupplierById(supplierId, hospitalId);
+      if (!supplier) throw new NotFoundError('Supplier');
+
+      // Supplier code is referenced on printed POs and GRNs and cannot change
+      const { supplierCode, ...changes } = this.normalizeSupplierInput(supplierData);
+
+      if (changes.name === '') throw new ValidationError('Supplier name cannot be empty', 'name');
+
+      const updated = await this.repository.updateSupplier(supplier.id, changes);
+
+      logger.info(`[Pharmacy] Supplier updated: ${updated.supplierCode}`, { hospitalId, userId });
+      return updated;
+    } catch (error) {
+      logger.error(`[Pharmacy] Error updating supplier`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pick supplier fields from input (only keys that were sent)
+   */
+  normalizeSupplierInput(data = {}) {
+    const supplier = {};
+    const textFields = ['name', 'contactPerson', 'phone', 'email', 'address', 'gstNumber', 'drugLicenseNumber', 'notes'];
+
+    if (data.supplierCode !== undefined) supplier.supplierCode = String(data.supplierCode).trim().toUpperCase();
+
+    textFields.forEach(field => {
+      if (data[field] !== undefined) supplier[field] = data[field] === null ? null : String(data[field]).trim();
+    });
+
+    if (supplier.gstNumber) supplier.gstNumber = supplier.gstNumber.toUpperCase();
+
+    ['paymentTermsDays', 'leadTimeDays'].forEach(field => {
+      if (data[field] !== undefined) {
+        supplier[field] = data[field] === null ? null : toWholeNumber(data[field], field, { allowZero: true });
+      }
+    });
+
+    if (data.isActive !== undefined) supplier.isActive = Boolean(data.isActive);
+
+    return supplier;
+  }
+
+  async getActiveSupplier(hospitalId, supplierId) {
+    if (!supplierId) throw new ValidationError('Supplier is required', 'supplierId');
+
+    const supplier = await this.repository.getSupplierById(supplierId, hospitalId);
+    if (!supplier) throw new NotFoundError('Supplier');
+    if (!supplier.isActive) throw new ValidationError(`Supplier ${supplier.name} is inactive`, 'supplierId');
+
+    return supplier;
+  }
+
+  // ============== PURCHASE ORDERS ==============
+  async createPurchaseOrder(hospitalId, orderData, userId, source = PURCHASE_ORDER_SOURCE.MANUAL) {
+    try {
+      const supplier = await this.getActiveSupplier(hospitalId, orderData.supplierId);
+      const items = await this.buildOrderLines(hospitalId, orderData.items);
+
+      let expectedDate = null;
+      if (orderData.expectedDate) {
+        expectedDate = parseDate(orderData.expectedDate, 'Expected date');
+      } else if (supplier.leadTimeDays) {
+        expectedDate = new Date();
+        expectedDate.setDate(expectedDate.getDate() + supplier.leadTimeDays);
+      }
+
+      const poNumber = await this.generateNumber(PROCUREMENT_NUMBER_PREFIX.PURCHASE_ORDER);
+
+      const order = await this.repository.createPurchaseOrder(hospitalId, {
+        poNumber,
+        supplierId: supplier.id,
+        source,
+        status: PURCHASE_ORDER_STATUS.DRAFT,
+        expectedDate,
+        notes: orderData.notes,
+        createdBy: userId,
+        ...sumTotals(items),
+      }, items);
+
+      logger.info(`[Pharmacy] Purchase order created: ${poNumber}`, { hospitalId, userId, source });
+      return withPendingQuantities(order);
+    } catch (error) {
+      logger.error(`[Pharmacy] Error creating purchase order`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate PO lines; rate and GST default from the drug master
+   */
+  async buildOrderLines(hospitalId, items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ValidationError('At least one item is required', 'items');
+    }
+
+    const drugIds = items.map(item => item.drugId);
+    if (new Set(drugIds).size !== drugIds.length) {
+      throw new ValidationError('Each drug can appear only once in a purchase order', 'items');
+    }
+
+    const drugs = await this.repository.getDrugsByIds(drugIds, hospitalId);
+    const drugMap = new Map(drugs.map(drug => [drug.id, drug]));
+
+    return items.map((item, idx) => {
+      const label = `Item ${idx + 1}`;
+      const drug = drugMap.get(item.drugId);
+      if (!drug) throw new ValidationError(`${label}: drug not found`, 'items');
+      if (!drug.isActive) throw new ValidationError(`${label}: ${drug.drugName} is inactive`, 'items');
+
+      const orderedQuantity = toWholeNumber(item.quantity, `${label}: quantity`);
+      const unitCost = item.unitCost !== undefined && item.unitCost !== null
+        ? toAmount(item.unitCost, `${label}: unit cost`)
+        : drug.costPrice;
+      const gstRate = item.gstRate !== undefined && item.gstRate !== null
+        ? toAmount(item.gstRate, `${label}: GST rate`)
+        : drug.gstRate;
+
+      return {
+        drugId: drug.id,
+        orderedQuantity,
+        unitCost,
+        gstRate,
+        amount: roundCurrency(orderedQuantity * unitCost),
+      };
+    });
+  }
+
+  /**
+   * Draft purchase orders for drugs at or below their reorder level.
+   * Orders each drug's reorderQuantity from the given supplier, or from the
+   * supplier it was last received from. Drugs already on order are skipped.
+   */
+  async generatePurchaseOrdersFromLowStock(hospitalId, options = {}, userId) {
+    try {
+      const pharmacyService = new PharmacyService(this.prisma);
+      let alerts = await pharmacyService.getLowStockAlerts(hospitalId);
+
+      if (Array.isArray(options.drugIds) && options.drugIds.length > 0) {
+        alerts = alerts.filter(alert => options.drugIds.includes(alert.drugId));
+      }
+
+      const result = { purchaseOrders: [], skipped: [], unassigned: [] };
+      if (alerts.length === 0) return result;
+
+      const drugIds = alerts.map(alert => alert.drugId);
+
+      const onOrder = {};
+      const openLines = await this.repository.getOpenOrderItems(hospitalId, drugIds, OPEN_PO_STATUSES);
+      openLines.forEach(line => {
+        onOrder[line.drugId] = (onOrder[line.drugId] || 0) + Math.max(0, line.orderedQuantity - line.receivedQuantity);
+      });
+
+      const candidates = [];
+      alerts.forEach(alert => {
+        const pending = onOrder[alert.drugId] || 0;
+        if (alert.reorderQuantity <= 0 || alert.currentStock + pending > alert.reorderLevel) {
+          result.skipped.push({ ...alert, onOrder: pending });
+        } else {
+          candidates.push(alert);
+        }
+      });
+
+      const fixedSupplier = options.supplierId
+        ? await this.getActiveSupplier(hospitalId, options.supplierId)
+        : null;
+      const lastSuppliers = fixedSupplier
+        ? {}
+        : await this.repository.getLastSupplierByDrug(candidates.map(alert => alert.drugId), hospitalId);
+
+      const bySupplier = new Map();
+      candidates.forEach(alert => {
+        const supplierId = fixedSupplier?.id || lastSuppliers[alert.drugId]?.supplierId;
+        if (!supplierId) {
+          result.unassigned.push(alert);
+          return;
+        }
+        if (!bySupplier.has(supplierId)) bySupplier.set(supplierId, []);
+        bySupplier.get(supplierId).push(alert);
+      });
+
+      for (const [supplierId, supplierAlerts] of bySupplier) {
+        const supplier = fixedSupplier || await this.repository.getSupplierById(supplierId, hospitalId);
+        if (!supplier?.isActive) {
+          result.unassigned.push(...supplierAlerts);
+          continue;
+        }
+
+        const order = await this.createPurchaseOrder(hospitalId, {
+          supplierId,
+          notes: 'Generated from low-stock alerts',
+          items: supplierAlerts.map(alert => ({
+            drugId: alert.drugId,
+            quantity: alert.reorderQuantity,
+            unitCost: lastSuppliers[alert.drugId]?.unitCost,
+          })),
+        }, userId, PURCHASE_ORDER_SOURCE.LOW_STOCK);
+
+        result.purchaseOrders.push(order);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error(`[Pharmacy] Error generating purchase orders from low stock`, error);
+      throw error;
+    }
+  }
+
+  async getPurchaseOrders(hospitalId, filters) {
+    try {
+      const orders = await this.repository.getPurchaseOrders(hospitalId, filters);
+      return orders.map(withPendingQuantities);
+    } catch (error) {
+      logger.error(`[Pharmacy] Error fetching purchase orders`, error);
+      throw error;
+    }
+  }
+
+  async getPurchaseOrderById(hospitalId, purchaseOrderId) {
+    try {
+      const order = await this.repository.getPurchaseOrderById(purchaseOrderId, hospitalId);
+      if (!order) throw new NotFoundError('Purchase order');
+      return withPendingQuantities(order);
+    } catch (error) {
+      logger.error(`[Pharmacy] Error fetching purchase order`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Place, cancel or short-close a purchase order
+   */
+  async updatePurchaseOrderStatus(hospitalId, purchaseOrderId, { status, reason } = {}, userId) {
+    try {
+      if (!Object.values(PURCHASE_ORDER_STATUS).includes(status)) {
+        throw new ValidationError(`Invalid status. Allowed: ${Object.values(PURCHASE_ORDER_STATUS).join(', ')}`, 'status');
+      }
+
+      if ([PURCHASE_ORDER_STATUS.CANCELLED, PURCHASE_ORDER_STATUS.CLOSED].includes(status) && !reason?.trim()) {
+        throw new ValidationError('Reason is required to cancel or close a purchase order', 'reason');
+      }
+
+      const order = await this.prisma.$transaction(async (tx) => {
+        const repository = new PharmacyProcurementRepository(tx);
+        const current = await repository.getPurchaseOrderById(purchaseOrderId, hospitalId);
+        if (!current) throw new NotFoundError('Purchase order');
+
+        // Serialise against goods receipts moving the same order
+        await repository.lockPurchaseOrder(current.id);
+        const locked = await repository.getPurchaseOrderById(current.id, hospitalId);
+
+        if (!(PURCHASE_ORDER_TRANSITIONS[locked.status] || []).includes(status)) {
+          throw new ValidationError(`Cannot change purchase order from ${locked.status} to ${status}`, 'status');
+        }
+
+        const changes = { status };
+        if (status === PURCHASE_ORDER_STATUS.ORDERED) {
+          changes.orderDate = new Date();
+          changes.orderedAt = new Date();
+          changes.orderedBy = userId;
+        } else {
+          changes.closeReason = reason.trim();
+          changes.closedAt = new Date();
+        }
+
+        return repository.updatePurchaseOrder(locked.id, changes);
+      });
+
+      logger.info(`[Pharmacy] Purchase order ${order.poNumber} -> ${status}`, { hospitalId, userId });
+      return withPendingQuantities(order);
+    } catch (error) {
+      logger.error(`[Pharmacy] Error updating purchase order status`, error);
+      throw error;
+    }
+  }
+
+  // ============== GOODS RECEIPT (GRN) ==============
+  /**
+   * Receive goods against a purchase order (full or partial) or as a direct purchase.
+   * Each line books stock into an Inventory batch and writes a PURCHASE transaction.
+   */
+  async receiveGoods(hospitalId, receiptData, userId, userName) {
+    try {
+      let order = null;
+      let supplier;
+
+      if (receiptData.purchaseOrderId) {
+        order = await this.repository.getPurchaseOrderById(receiptData.purchaseOrderId, hospitalId);
+        if (!order) throw new NotFoundError('Purchase order');
+        if (!RECEIVABLE_PO_STATUSES.includes(order.status)) {
+          throw new ValidationError(`Goods cannot be received against a ${order.status} purchase order`, 'purchaseOrderId');
+        }
+        supplier = await this.repository.getSupplierById(order.supplierId, hospitalId);
+      } else {
+        supplier = await this.getActiveSupplier(hospitalId, receiptData.supplierId);
+      }
+
+      const supplierInvoiceNumber = receiptData.supplierInvoiceNumber?.trim() || null;
+      if (supplierInvoiceNumber && await this.repository.findReceiptByInvoice(hospitalId, supplier.id, supplierInvoiceNumber)) {
+        throw new ConflictError(`Invoice ${supplierInvoiceNumber} from ${supplier.name} has already been received`);
+      }
+
+      const lines = await this.buildReceiptLines(hospitalId, receiptData.items, order);
+      if (order) this.assertWithinPending(order, lines);
+
+      const grnNumber = await this.generateNumber(PROCUREMENT_NUMBER_PREFIX.GOODS_RECEIPT);
+
+      const receipt = await this.prisma.$transaction(async (tx) => {
+        const repository = new PharmacyProcurementRepository(tx);
+
+        if (order) {
+          // Re-check against the locked order so two GRNs cannot over-receive a line
+          await repository.lockPurchaseOrder(order.id);
+          order = await repository.getPurchaseOrderById(order.id, hospitalId);
+          if (!RECEIVABLE_PO_STATUSES.includes(order.status)) {
+            throw new ValidationError(`Goods cannot be received against a ${order.status} purchase order`, 'purchaseOrderId');
+          }
+          this.assertWithinPending(order, lines);
+        }
+
+        const receiptItems = [];
+        for (const line of lines) {
+          const batch = await this.bookBatch(repository, hospitalId, line, {
+            supplier, order, grnNumber, supplierInvoiceNumber, userId, userName,
+          });
+
+          receiptItems.push({
+            purchaseOrderItemId: line.purchaseOrderItemId,
+            drugId: line.drugId,
+            inventoryId: batch.id,
+            batchNumber: line.batchNumber,
+            manufacturingDate: line.manufacturingDate,
+            expiryDate: line.expiryDate,
+            quantity: line.quantity,
+            freeQuantity: line.freeQuantity,
+            unitCost: line.unitCost,
+            gstRate: line.gstRate,
+            taxAmount: lineTax(line),
+            amount: line.amount,
+          });
+        }
+
+        if (order) {
+          await this.applyReceiptToOrder(repository, order, lines);
+        }
+
+        return repository.createGoodsReceipt(hospitalId, {
+          grnNumber,
+          supplierId: supplier.id,
+          purchaseOrderId: order?.id || null,
+          supplierInvoiceNumber,
+          supplierInvoiceDate: receiptData.supplierInvoiceDate
+            ? parseDate(receiptData.supplierInvoiceDate, 'Supplier invoice date')
+            : null,
+          notes: receiptData.notes,
+          receivedBy: userId,
+          receivedByName: userName,
+          ...sumTotals(lines),
+        }, receiptItems);
+      });
+
+      logger.info(`[Pharmacy] Goods received: ${grnNumber}`, { hospitalId, userId, purchaseOrder: order?.poNumber });
+      return receipt;
+    } catch (error) {
+      logger.error(`[Pharmacy] Error receiving goods`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate GRN lines; rate and GST default from the PO line, then the drug master
+   */
+  async buildReceiptLines(hospitalId, items, order) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ValidationError('At least one item is required', 'items');
+    }
+
+    const resolved = items.map((item, idx) => {
+      const label = `Item ${idx + 1}`;
+      let orderItem = null;
+
+      if (order) {
+        orderItem = order.items.find(line => line.id === item.purchaseOrderItemId)
+          || order.items.find(line => line.drugId === item.drugId);
+        if (!orderItem) {
+          throw new ValidationError(`${label}: drug is not on purchase order ${order.poNumber}`, 'items');
+        }
+      }
+
+      return { item, label, orderItem, drugId: orderItem?.drugId || item.drugId };
+    });
+
+    const drugs = await this.repository.getDrugsByIds(resolved.map(entry => entry.drugId), hospitalId);
+    const drugMap = new Map(drugs.map(drug => [drug.id, drug]));
+
+    const today = dateKey(new Date());
+    const seenBatches = new Set();
+
+    return resolved.map(({ item, label, orderItem, drugId }) => {
+      const drug = drugMap.get(drugId);
+      if (!drug) throw new ValidationError(`${label}: drug not found`, 'items');
+
+      const batchNumber = item.batchNumber?.trim();
+      if (!batchNumber) throw new ValidationError(`${label}: batch number is required`, 'items');
+
+      const batchKey = `${drug.id}:${batchNumber}`;
+      if (seenBatches.has(batchKey)) {
+        throw new ValidationError(`${label}: batch ${batchNumber} of ${drug.drugName} is listed twice`, 'items');
+      }
+      seenBatches.add(batchKey);
+
+      const manufacturingDate = parseDate(item.manufacturingDate, `${label}: manufacturing date`);
+      const expiryDate = parseDate(item.expiryDate, `${label}: expiry date`);
+      if (expiryDate <= manufacturingDate) {
+        throw new ValidationError(`${label}: expiry date must be after manufacturing date`, 'items');
+      }
+      if (dateKey(expiryDate) <= today) {
+        throw new ValidationError(`${label}: batch ${batchNumber} is already expired`, 'items');
+      }
+
+      const quantity = toWholeNumber(item.quantity, `${label}: quantity`);
+      const freeQuantity = item.freeQuantity
+        ? toWholeNumber(item.freeQuantity, `${label}: free quantity`, { allowZero: true })
+        : 0;
+
+      const unitCost = item.unitCost !== undefined && item.unitCost !== null
+        ? toAmount(item.unitCost, `${label}: unit cost`)
+        : (orderItem?.unitCost ?? drug.costPrice);
+      const gstRate = item.gstRate !== undefined && item.gstRate !== null
+        ? toAmount(item.gstRate, `${label}: GST rate`)
+        : (orderItem?.gstRate ?? drug.gstRate);
+
+      return {
+        purchaseOrderItemId: orderItem?.id || null,
+        drugId: drug.id,
+        drugName: drug.drugName,
+        batchNumber,
+        manufacturingDate,
+        expiryDate,
+        quantity,
+        freeQuantity,
+        unitCost,
+        gstRate,
+        amount: roundCurrency(quantity * unitCost),
+        unit: item.unit || 'PIECE',
+        quantityPerUnit: item.quantityPerUnit ? toWholeNumber(item.quantityPerUnit, `${label}: quantity per unit`) : 1,
+        warehouseLocation: item.warehouseLocation,
+        shelfNumber: item.shelfNumber,
+      };
+    });
+  }
+
+  /**
+   * Billed quantity per PO line must not exceed what is still pending (free goods are extra)
+   */
+  assertWithinPending(order, lines) {
+    const receiving = {};
+    lines.forEach(line => {
+      receiving[line.purchaseOrderItemId] = (receiving[line.purchaseOrderItemId] || 0) + line.quantity;
+    });
+
+    order.items.forEach(orderItem => {
+      const pending = Math.max(0, orderItem.orderedQuantity - orderItem.receivedQuantity);
+      const quantity = receiving[orderItem.id] || 0;
+      if (quantity > pending) {
+        throw new ValidationError(
+          `${orderItem.drug?.drugName || orderItem.drugId}: receiving ${quantity} exceeds pending quantity ${pending} on ${order.poNumber}`,
+          'items'
+        );
+      }
+    });
+  }
+
+  /**
+   * Add received stock to its batch (new or existing) and record the PURCHASE transaction
+   */
+  async bookBatch(repository, hospitalId, line, { supplier, order, grnNumber, supplierInvoiceNumber, userId, userName }) {
+    const received = line.quantity + line.freeQuantity;
+    let batch = await repository.findBatch(hospitalId, line.drugId, line.batchNumber);
+    let quantityBefore = 0;
+
+    if (batch) {
+      await repository.lockInventory(batch.id);
+      batch = await repository.getInventoryById(batch.id);
+
+      if (!RESTOCKABLE_BATCH_STATUSES.includes(batch.status)) {
+        throw new ValidationError(`Batch ${line.batchNumber} of ${line.drugName} is ${batch.status} and cannot be restocked`, 'items');
+      }
+      if (dateKey(batch.expiryDate) !== dateKey(line.expiryDate)) {
+        throw new ValidationError(
+          `Batch ${line.batchNumber} of ${line.drugName} is already in stock with expiry ${dateKey(batch.expiryDate)}`,
+          'items'
+        );
+      }
+
+      quantityBefore = batch.quantity;
+      const quantityAfter = quantityBefore + received;
+      // Weighted average cost; free goods bring the rate down
+      const costPrice = roundCurrency((quantityBefore * batch.costPrice + line.amount) / quantityAfter);
+
+      batch = await repository.updateInventory(batch.id, {
+        quantity: quantityAfter,
+        costPrice,
+        totalCost: roundCurrency(quantityAfter * costPrice),
+        status: 'ACTIVE',
+        supplierId: supplier.id,
+        vendorName: supplier.name,
+        vendorContactNumber: supplier.phone,
+        vendorInvoiceNumber: supplierInvoiceNumber,
+        purchaseOrderNumber: order?.poNumber || null,
+        purchaseDate: new Date(),
+      });
+    } else {
+      batch = await repository.createInventory(hospitalId, {
+        drugId: line.drugId,
+        batchNumber: line.batchNumber,
+        manufacturingDate: line.manufacturingDate,
+        expiryDate: line.expiryDate,
+        quantity: received,
+        unit: line.unit,
+        quantityPerUnit: line.quantityPerUnit,
+        costPrice: roundCurrency(line.amount / received),
+        totalCost: line.amount,
+        supplierId: supplier.id,
+        vendorName: supplier.name,
+        vendorContactNumber: supplier.phone,
+        vendorInvoiceNumber: supplierInvoiceNumber,
+        purchaseOrderNumber: order?.poNumber || null,
+        warehouseLocation: line.warehouseLocation,
+        shelfNumber: line.shelfNumber,
+        receivedBy: userId,
+      });
+    }
+
+    await repository.recordTransaction(hospitalId, {
+      drugId: line.drugId,
+      inventoryId: batch.id,
+      transactionType: 'PURCHASE',
+      quantity: received,
+      quantityBefore,
+      quantityAfter: batch.quantity,
+      unitCost: line.unitCost,
+      totalCost: line.amount,
+      referenceNumber: grnNumber,
+      referenceBatchNumber: line.batchNumber,
+      notes: line.freeQuantity > 0 ? `Includes ${line.freeQuantity} free` : null,
+      performedBy: userId,
+      performedByName: userName,
+    });
+
+    return batch;
+  }
+
+  /**
+   * Add received quantities to the PO lines and move the order to PARTIALLY_RECEIVED / RECEIVED
+   */
+  async applyReceiptToOrder(repository, order, lines) {
+    const receiving = {};
+    lines.forEach(line => {
+      receiving[line.purchaseOrderItemId] = (receiving[line.purchaseOrderItemId] || 0) + line.quantity;
+    });
+
+    let fullyReceived = true;
+    for (const orderItem of order.items) {
+      const quantity = receiving[orderItem.id] || 0;
+      if (quantity > 0) {
+        await repository.updatePurchaseOrderItem(orderItem.id, { receivedQuantity: { increment: quantity } });
+      }
+      if (orderItem.receivedQuantity + quantity < orderItem.orderedQuantity) fullyReceived = false;
+    }
+
+    await repository.updatePurchaseOrder(order.id, fullyReceived
+      ? { status: PURCHASE_ORDER_STATUS.RECEIVED, closedAt: new Date() }
+      : { status: PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED });
+  }
+
+  async getGoodsReceipts(hospitalId, filters) {
+    try {
+      return await this.repository.getGoodsReceipts(hospitalId, filters);
+    } catch (error) {
+      logger.error(`[Pharmacy] Error fetching goods receipts`, error);
+      throw error;
+    }
+  }
+
+  async getGoodsReceiptById(hospitalId, goodsReceiptId) {
+    try {
+      const receipt = await this.repository.getGoodsReceiptById(goodsReceiptId, hospitalId);
+      if (!receipt) throw new NotFoundError('Goods receipt');
+      return receipt;
+    } catch (error) {
+      logger.error(`[Pharmacy] Error fetching goods receipt`, error);
+      throw error;
+    }
+  }
+
+  // ============== PURCHASE RETURNS ==============
+  /**
+   * Return stock from a GRN to the supplier (debit note).
+   * Lines are valued at the GRN's effective rate, so free goods carry no value.
+   */
+  async createPurchaseReturn(hospitalId, returnData, userId, userName) {
+    try {
+      const receipt = await this.repository.getGoodsReceiptById(returnData.goodsReceiptId, hospitalId);
+      if (!receipt) throw new NotFoundError('Goods receipt');
+
+      const reason = returnData.reason?.trim().toUpperCase();
+      if (!PURCHASE_RETURN_REASONS.includes(reason)) {
+        throw new ValidationError(`Invalid reason. Allowed: ${PURCHASE_RETURN_REASONS.join(', ')}`, 'reason');
+      }
+
+      const items = returnData.items;
+      if (!Array.isArray(items) || items.length === 0) {
+        throw new ValidationError('At least one item is required', 'items');
+      }
+
+      const itemIds = items.map(item => item.goodsReceiptItemId);
+      if (new Set(itemIds).size !== itemIds.length) {
+        throw new ValidationError('Each GRN line can appear only once in a return', 'items');
+      }
+
+      const returnNumber = await this.generateNumber(PROCUREMENT_NUMBER_PREFIX.PURCHASE_RETURN);
+
+      const purchaseReturn = await this.prisma.$transaction(async (tx) => {
+        const repository = new PharmacyProcurementRepository(tx);
+        const receiptItems = await repository.getGoodsReceiptItems(itemIds, receipt.id);
+        const receiptItemMap = new Map(receiptItems.map(item => [item.id, item]));
+
+        const lines = [];
+        for (const [idx, item] of items.entries()) {
+          const label = `Item ${idx + 1}`;
+          const receiptItem = receiptItemMap.get(item.goodsReceiptItemId);
+          if (!receiptItem) throw new ValidationError(`${label}: line not found on ${receipt.grnNumber}`, 'items');
+
+          const quantity = toWholeNumber(item.quantity, `${label}: quantity`);
+          const drugName = receiptItem.drug.drugName;
+
+          // Locking the batch also serialises returns against this GRN line; re-read both after the lock
+          await repository.lockInventory(receiptItem.inventoryId);
+          const batch = await repository.getInventoryById(receiptItem.inventoryId);
+          const current = (await repository.getGoodsReceiptItems([receiptItem.id], receipt.id))[0];
+
+          const returnable = current.quantity + current.freeQuantity - current.returnedQuantity;
+          if (quantity > returnable) {
+            throw new ValidationError(`${drugName} batch ${current.batchNumber}: only ${returnable} can be returned against ${receipt.grnNumber}`, 'items');
+          }
+          if (quantity > batch.quantity) {
+            throw new ValidationError(`${drugName} batch ${current.batchNumber}: only ${batch.quantity} left in stock`, 'items');
+          }
+
+          const unitCost = current.amount / (current.quantity + current.freeQuantity);
+          const amount = roundCurrency(quantity * unitCost);
+          const quantityAfter = batch.quantity - quantity;
+
+          await repository.updateInventory(batch.id, {
+            quantity: quantityAfter,
+            totalCost: roundCurrency(quantityAfter * batch.costPrice),
+            ...(quantityAfter === 0 ? { status: 'DEPLETED' } : {}),
+          });
+
+          await repository.updateGoodsReceiptItem(current.id, { returnedQuantity: { increment: quantity } });
+
+          await repository.recordTransaction(hospitalId, {
+            drugId: current.drugId,
+            inventoryId: batch.id,
+            transactionType: 'PURCHASE_RETURN',
+            quantity,
+            quantityBefore: batch.quantity,
+            quantityAfter,
+            unitCost: roundCurrency(unitCost),
+            totalCost: amount,
+            referenceNumber: returnNumber,
+            referenceBatchNumber: current.batchNumber,
+            reason,
+            notes: returnData.notes,
+            performedBy: userId,
+            performedByName: userName,
+          });
+
+          lines.push({
+            goodsReceiptItemId: current.id,
+            inventoryId: batch.id,
+            drugId: current.drugId,
+            drugName,
+            batchNumber: current.batchNumber,
+            quantity,
+            unitCost: roundCurrency(unitCost),
+            gstRate: current.gstRate,
+            taxAmount: lineTax({ amount, gstRate: current.gstRate }),
+            amount,
+          });
+        }
+
+        const totals = sumTotals(lines);
+        await repository.updateGoodsReceipt(receipt.id, { returnedAmount: { increment: totals.totalAmount } });
+
+        return repository.createPurchaseReturn(hospitalId, {
+          returnNumber,
+          supplierId: receipt.supplierId,
+          goodsReceiptId: receipt.id,
+          items: lines,
+          ...totals,
+          reason,
+          notes: returnData.notes,
+          returnedBy: userId,
+          returnedByName: userName,
+        });
+      });
+
+      logger.info(`[Pharmacy] Purchase return created: ${returnNumber}`, { hospitalId, userId, grn: receipt.grnNumber });
+      return purchaseReturn;
+    } catch (error) {
+      logger.error(`[Pharmacy] Error creating purchase return`, error);
+      throw error;
+    }
+  }
+
+  async getPurchaseReturns(hospitalId, filters) {
+    try {
+      return await this.repository.getPurchaseReturns(hospitalId, filters);
+    } catch (error) {
+      logger.error(`[Pharmacy] Error fetching purchase returns`, error);
+      throw error;
+    }
+  }
+
+  // ============== REPORTS ==============
+  /**
+   * Supplier-wise purchase register: GRNs and returns in the period, net purchases and input GST
+   */
+  async getPurchaseRegister(hospitalId, fromDate, toDate, supplierId) {
+    try {
+      const from = parseDate(fromDate, 'fromDate');
+      const to = parseDate(toDate, 'toDate');
+      // Date-only upper bound covers the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(String(toDate))) to.setUTCHours(23, 59, 59, 999);
+
+      const [receipts, returns] = await Promise.all([
+        this.repository.getReceiptsForRegister(hospitalId, from, to, supplierId),
+        this.repository.getReturnsForRegister(hospitalId, from, to, supplierId),
+      ]);
+
+      const suppliers = new Map();
+      const supplierEntry = (supplier) => {
+        if (!suppliers.has(supplier.id)) {
+          suppliers.set(supplier.id, {
+            supplierId: supplier.id,
+            supplierCode: supplier.supplierCode,
+            supplierName: supplier.name,
+            gstNumber: supplier.gstNumber,
+            receiptCount: 0,
+            subtotal: 0,
+            taxAmount: 0,
+            totalAmount: 0,
+            returnCount: 0,
+            returnTaxAmount: 0,
+            returnAmount: 0,
+            entries: [],
+          });
+        }
+        return suppliers.get(supplier.id);
+      };
+
+      receipts.forEach(receipt => {
+        const entry = supplierEntry(receipt.supplier);
+        entry.receiptCount++;
+        entry.subtotal += receipt.subtotal;
+        entry.taxAmount += receipt.taxAmount;
+        entry.totalAmount += receipt.totalAmount;
+        entry.entries.push({
+          type: 'GRN',
+          date: receipt.receivedAt,
+          documentNumber: receipt.grnNumber,
+          supplierInvoiceNumber: receipt.supplierInvoiceNumber,
+          supplierInvoiceDate: receipt.supplierInvoiceDate,
+          poNumber: receipt.purchaseOrder?.poNumber || null,
+          subtotal: receipt.subtotal,
+          taxAmount: receipt.taxAmount,
+          totalAmount: receipt.totalAmount,
+        });
+      });
+
+      returns.forEach(purchaseReturn => {
+        const entry = supplierEntry(purchaseReturn.supplier);
+        entry.returnCount++;
+        entry.returnTaxAmount += purchaseReturn.taxAmount;
+        entry.returnAmount += purchaseReturn.totalAmount;
+        entry.entries.push({
+          type: 'RETURN',
+          date: purchaseReturn.returnedAt,
+          documentNumber: purchaseReturn.returnNumber,
+          againstGrn: purchaseReturn.goodsReceipt?.grnNumber,
+          reason: purchaseReturn.reason,
+          subtotal: -purchaseReturn.subtotal,
+          taxAmount: -purchaseReturn.taxAmount,
+          totalAmount: -purchaseReturn.totalAmount,
+        });
+      });
+
+      const rows = [...suppliers.values()]
+        .map(entry => ({
+          ...entry,
+          subtotal: roundCurrency(entry.subtotal),
+          taxAmount: roundCurrency(entry.taxAmount),
+          totalAmount: roundCurrency(entry.totalAmount),
+          returnTaxAmount: roundCurrency(entry.returnTaxAmount),
+          returnAmount: roundCurrency(entry.returnAmount),
+          netInputTax: roundCurrency(entry.taxAmount - entry.returnTaxAmount),
+          netAmount: roundCurrency(entry.totalAmount - entry.returnAmount),
+          entries: entry.entries.sort((a, b) => new Date(a.date) - new Date(b.date)),
+        }))
+        .sort((a, b) => a.supplierName.localeCompare(b.supplierName));
+
+      const totals = rows.reduce((sum, row) => ({
+        receiptCount: sum.receiptCount + row.receiptCount,
+        totalAmount: roundCurrency(sum.totalAmount + row.totalAmount),
+        returnAmount: roundCurrency(sum.returnAmount + row.returnAmount),
+        netInputTax: roundCurrency(sum.netInputTax + row.netInputTax),
+        netAmount: roundCurrency(sum.netAmount + row.netAmount),
+      }), { receiptCount: 0, totalAmount: 0, returnAmount: 0, netInputTax: 0, netAmount: 0 });
+
+      return {
+        period: { fromDate: from, toDate: to },
+        suppliers: rows,
+        totals,
+      };
+    } catch (error) {
+      logger.error(`[Pharmacy] Error generating purchase register`, error);
+      throw error;
+    }
+  }
+}
+
+export default PharmacyProcurementService;
@@ -0,0 +1,166 @@
+/**
+ * Pharmacy Procurement Service - goods receipts against a purchase order:
+ * partial and final receipts, pending-quantity limits (including the re-check
+ * under the order lock), free goods and restocking an existing batch
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answeringClient, callsTo } from './prismaTestClient.node.mjs';
+import { PharmacyProcurementService } from './pharmacy-procurement.service.js';
+import { PURCHASE_ORDER_STATUS } from './pharmacy-procurement.constants.js';
+
+const supplier = { id: 'sup-1', hospitalId: 'h1', name: 'Medline Distributors', phone: '9800000000', isActive: true };
+
+const drugs = [
+  { id: 'drug-a', hospitalId: 'h1', drugName: 'Paracetamol 500mg', costPrice: 1, gstRate: 12 },
+  { id: 'drug-b', hospitalId: 'h1', drugName: 'Amoxicillin 250mg', costPrice: 4, gstRate: 12 },
+];
+
+// 100 paracetamol at Rs 2 (40 already received), 50 amoxicillin at Rs 5
+const purchaseOrder = (extra = {}) => ({
+  id: 'po-1', hospitalId: 'h1', poNumber: 'PO/26-27/00012', supplierId: 'sup-1', status: PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+  items: [
+    { id: 'poi-a', drugId: 'drug-a', orderedQuantity: 100, receivedQuantity: 40, unitCost: 2, gstRate: 12, drug: drugs[0] },
+    { id: 'poi-b', drugId: 'drug-b', orderedQuantity: 50, receivedQuantity: 0, unitCost: 5, gstRate: 5, drug: drugs[1] },
+  ],
+  ...extra,
+});
+
+const line = (drugId, quantity, extra = {}) => ({
+  drugId, quantity, batchNumber: `B-${drugId}`, manufacturingDate: '2026-06-01', expiryDate: '2028-05-31',
+  ...extra,
+});
+
+function setup({ orders = [purchaseOrder()], batch = null, answers = {} } = {}) {
+  // Each read of the order returns the next snapshot; the last one repeats
+  let orderReads = 0;
+  const { client, calls, trace } = answeringClient({
+    purchaseOrder: {
+      findFirst: () => orders[Math.min(orderReads++, orders.length - 1)],
+      update: ({ where, data }) => ({ id: where.id, ...data }),
+    },
+    purchaseOrderItem: { update: ({ where, data }) => ({ id: where.id, ...data }) },
+    pharmacySupplier: { findFirst: supplier },
+    drug: { findMany: ({ where }) => drugs.filter(d => where.id.in.includes(d.id)) },
+    counter: { findUnique: { id: 'counter', seq: 4 }, update: { id: 'counter', seq: 5 } },
+    inventory: {
+      findUnique: ({ where }) => (where.id || where.hospitalId_batchNumber_drugId?.batchNumber === batch?.batchNumber ? batch : null),
+      create: ({ data }) => ({ id: `inv-${data.drugId}`, ...data }),
+      update: ({ where, data }) => ({ ...batch, id: where.id, ...data }),
+    },
+    inventoryTransaction: { create: ({ data }) => ({ id: 'txn-1', ...data }) },
+    goodsReceipt: {
+      findFirst: null,
+      create: ({ data }) => ({ id: 'grn-1', ...data }),
+    },
+    $queryRaw: [],
+    ...answers,
+  });
+  return { service: new PharmacyProcurementService(client), calls, trace };
+}
+
+const receive = (service, items, extra = {}) =>
+  service.receiveGoods('h1', { purchaseOrderId: 'po-1', supplierInvoiceNumber: 'INV-881', items, ...extra }, 'user-1', 'Store Keeper');
+
+// ==================== PARTIAL RECEIPT ====================
+
+test('a partial receipt adds to each order line and leaves the order partially received', async () => {
+  const { service, calls, trace } = setup();
+
+  const receipt = await receive(service, [line('drug-a', 30, { freeQuantity: 5 })]);
+
+  assert.match(receipt.grnNumber, /^GRN\/.+\/00005$/);
+  assert.deepEqual(
+    [receipt.purchaseOrderId, receipt.supplierId, receipt.subtotal, receipt.taxAmount, receipt.totalAmount],
+    ['po-1', 'sup-1', 60, 7.2, 67.2]
+  );
+
+  // Rate and GST come from the order line; free goods are stocked but not billed
+  const [item] = receipt.items.create;
+  assert.deepEqual([item.quantity, item.freeQuantity, item.unitCost, item.amount, item.inventoryId], [30, 5, 2, 60, 'inv-drug-a']);
+  const [batch] = callsTo(calls, 'inventory.create').map(c => c.args.data);
+  assert.deepEqual([batch.quantity, batch.costPrice, batch.totalCost, batch.purchaseOrderNumber], [35, 1.71, 60, 'PO/26-27/00012']);
+  const [purchase] = callsTo(calls, 'inventoryTransaction.create').map(c => c.args.data);
+  assert.deepEqual([purchase.quantity, purchase.quantityBefore, purchase.quantityAfter, purchase.notes], [35, 0, 35, 'Includes 5 free']);
+
+  // Only the received line moves; amoxicillin is still pending
+  assert.deepEqual(callsTo(calls, 'purchaseOrderItem.update').map(c => [c.args.where.id, c.args.data]), [
+    ['poi-a', { receivedQuantity: { increment: 30 } }],
+  ]);
+  assert.deepEqual(callsTo(calls, 'purchaseOrder.update')[0].args.data, { status: PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED });
+  assert.ok(trace().includes('$queryRaw (tx)'));
+  assert.equal(trace().at(-1), 'goodsReceipt.create (tx)');
+});
+
+test('receiving everything still pending marks the order received', async () => {
+  const { service, calls } = setup();
+
+  await receive(service, [line('drug-a', 60), line('drug-b', 50, { unitCost: 4.5 })]);
+
+  assert.deepEqual(callsTo(calls, 'purchaseOrderItem.update').map(c => c.args.data.receivedQuantity.increment), [60, 50]);
+  const [update] = callsTo(calls, 'purchaseOrder.update');
+  assert.equal(update.args.data.status, PURCHASE_ORDER_STATUS.RECEIVED);
+  assert.ok(update.args.data.closedAt instanceof Date);
+});
+
+// ==================== PENDING LIMITS ====================
+
+test('billed quantity beyond what is pending is refused before anything is written', async () => {
+  const { service, calls } = setup();
+
+  await assert.rejects(receive(service, [line('drug-a', 61)]), (error) => {
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.message, 'Paracetamol 500mg: receiving 61 exceeds pending quantity 60 on PO/26-27/00012');
+    return true;
+  });
+  assert.equal(callsTo(calls, 'counter.update').length, 0);
+  assert.equal(callsTo(calls, 'inventory.create').length, 0);
+
+  // Free goods do not count against the order
+  const { service: withFree, calls: freeCalls } = setup();
+  await receive(withFree, [line('drug-a', 60, { freeQuantity: 10 })]);
+  assert.equal(callsTo(freeCalls, 'inventory.create')[0].args.data.quantity, 70);
+});
+
+test('a receipt is re-checked under the order lock so two receipts cannot over-receive a line', async () => {
+  // Another receipt booked 50 between the first read and the lock
+  const raced = purchaseOrder();
+  raced.items = raced.items.map(item => (item.id === 'poi-a' ? { ...item, receivedQuantity: 90 } : item));
+  const { service, calls } = setup({ orders: [purchaseOrder(), raced] });
+
+  await assert.rejects(receive(service, [line('drug-a', 30)]), { statusCode: 400, message: /pending quantity 10/ });
+  assert.equal(callsTo(calls, 'purchaseOrderItem.update').length, 0);
+  assert.equal(callsTo(calls, 'goodsReceipt.create').length, 0);
+});
+
+test('closed orders, drugs not on the order and repeated supplier invoices are refused', async () => {
+  const { service: closed } = setup({ orders: [purchaseOrder({ status: PURCHASE_ORDER_STATUS.CLOSED })] });
+  await assert.rejects(receive(closed, [line('drug-a', 10)]), { statusCode: 400 });
+
+  const { service: offOrder } = setup();
+  await assert.rejects(receive(offOrder, [line('drug-z', 10)]), { statusCode: 400, message: /not on purchase order/ });
+
+  const { service: repeated } = setup({ answers: { goodsReceipt: { findFirst: { id: 'grn-0', grnNumber: 'GRN/26-27/00004' } } } });
+  await assert.rejects(receive(repeated, [line('drug-a', 10)]), { statusCode: 409 });
+});
+
+// ==================== BATCHES ====================
+
+test('restocking a batch already on the shelf averages its cost and keeps its expiry', async () => {
+  const batch = {
+    id: 'inv-7', hospitalId: 'h1', drugId: 'drug-a', batchNumber: 'B-drug-a', status: 'DEPLETED',
+    quantity: 20, costPrice: 1.5, expiryDate: new Date('2028-05-31'),
+  };
+  const { service, calls } = setup({ batch });
+
+  await receive(service, [line('drug-a', 40)]);
+
+  const [restocked] = callsTo(calls, 'inventory.update').map(c => c.args.data);
+  // (20 x 1.50 + 40 x 2.00) / 60
+  assert.deepEqual([restocked.quantity, restocked.costPrice, restocked.status], [60, 1.83, 'ACTIVE']);
+  const [purchase] = callsTo(calls, 'inventoryTransaction.create').map(c => c.args.data);
+  assert.deepEqual([purchase.quantityBefore, purchase.quantityAfter], [20, 60]);
+
+  const { service: mismatched } = setup({ batch: { ...batch, expiryDate: new Date('2027-12-31') } });
+  await assert.rejects(receive(mismatched, [line('drug-a', 40)]), { statusCode: 400, message: /already in stock with expiry 2027-12-31/ });
+});
@@ -106,6 +106,34 @@ export class PharmacyRepository {
     });
   }
 
+  /**
+   * Usable batches of a drug in FEFO order (earliest expiry first).
+   * Expired, recalled, damaged and depleted batches are excluded.
+   */
+  async getDispensableBatches(drugId, hospitalId) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    return this.prisma.inventory.findMany({
+      where: {
+        drugId,
+        hospitalId,
+        status: 'ACTIVE',
+        quantity: { gt: 0 },
+        expiryDate: { gte: today },
+      },
+      orderBy: [{ expiryDate: 'asc' }, { createdAt: 'asc' }],
+    });
+  }
+
+  async lockDrugBatches(drugId, hospitalId) {
+    await this.prisma.$queryRaw`SELECT id FROM inventory WHERE "drugId" = ${drugId} AND "hospitalId" = ${hospitalId} FOR UPDATE`;
+  }
+
+  async lockInventory(inventoryId) {
+    await this.prisma.$queryRaw`SELECT id FROM inventory WHERE id = ${inventoryId} FOR UPDATE`;
+  }
+
   async updateInventory(inventoryId, inventoryData) {
     return this.prisma.inventory.update({
       where: { id: inventoryId },
@@ -114,12 +142,17 @@ export class PharmacyRepository {
   }
 
   async getLowStockAlerts(hospitalId) {
-    return this.prisma.inventory.findMany({
+    return this.prisma.drug.findMany({
       where: {
         hospitalId,
-        status: 'ACTIVE',
+        isActive: true,
+      },
+      include: {
+        inventory: {
+          where: { status: 'ACTIVE', expiryDate: { gte: new Date() } },
+          select: { quantity: true },
+        },
       },
-      include: { drug: true },
     });
   }
 
@@ -193,6 +226,10 @@ export class PharmacyRepository {
     });
   }
 
+  async lockDispense(dispenseId) {
+    await this.prisma.$queryRaw`SELECT id FROM prescription_dispenses WHERE id = ${dispenseId} FOR UPDATE`;
+  }
+
   async updateDispense(dispenseId, dispenseData) {
     return this.prisma.prescriptionDispense.update({
       where: { id: dispenseId },
@@ -200,6 +237,86 @@ export class PharmacyRepository {
     });
   }
 
+  // ============== OPD PRESCRIPTION OPERATIONS ==============
+  async getPendingPrescriptions(hospitalId, statuses, filters = {}) {
+    const where = {
+      hospitalId,
+      status: { in: statuses },
+      OR: [{ validUntilDate: null }, { validUntilDate: { gte: new Date() } }],
+    };
+    if (filters.patientId) where.patientId = filters.patientId;
+    if (filters.doctorId) where.doctorId = filters.doctorId;
+    if (filters.fromDate || filters.toDate) {
+      where.prescribedAt = {
+        gte: filters.fromDate ? new Date(filters.fromDate) : undefined,
+        lte: filters.toDate ? new Date(filters.toDate) : undefined,
+      };
+    }
+
+    return this.prisma.oPDPrescription.findMany({
+      where,
+      include: { items: { orderBy: { lineNo: 'asc' } } },
+      skip: filters.skip || 0,
+      take: filters.take || 50,
+      orderBy: { prescribedAt: 'asc' },
+    });
+  }
+
+  async getPrescriptionById(prescriptionId, hospitalId) {
+    return this.prisma.oPDPrescription.findFirst({
+      where: { OR: [{ id: prescriptionId }, { prescriptionId }], hospitalId },
+      include: { items: { orderBy: { lineNo: 'asc' } } },
+    });
+  }
+
+  async lockPrescription(prescriptionId) {
+    await this.prisma.$queryRaw`SELECT id FROM opd_prescriptions WHERE id = ${prescriptionId} FOR UPDATE`;
+  }
+
+  async updatePrescription(prescriptionId, prescriptionData) {
+    return this.prisma.oPDPrescription.update({
+      where: { id: prescriptionId },
+      data: prescriptionData,
+      include: { items: { orderBy: { lineNo: 'asc' } } },
+    });
+  }
+
+  async updatePrescriptionItem(itemId, itemData) {
+    return this.prisma.oPDPrescriptionItem.update({
+      where: { id: itemId },
+      data: itemData,
+    });
+  }
+
+  async getPatientsByIds(patientIds) {
+    return this.prisma.patient.findMany({
+      where: { id: { in: patientIds } },
+      select: { id: true, patientId: true, name: true, phone: true, allergies: true },
+    });
+  }
+
+  /**
+   * Dispensable (ACTIVE, unexpired) stock per drug
+   */
+  async getAvailableStock(drugIds, hospitalId) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const rows = await this.prisma.inventory.groupBy({
+      by: ['drugId'],
+      where: {
+        hospitalId,
+        drugId: { in: drugIds },
+        status: 'ACTIVE',
+        quantity: { gt: 0 },
+        expiryDate: { gte: today },
+      },
+      _sum: { quantity: true },
+    });
+
+    return Object.fromEntries(rows.map(row => [row.drugId, row._sum.quantity || 0]));
+  }
+
   // ============== STOCK MOVEMENTS ==============
   async getStockMovement(hospitalId, fromDate, toDate) {
     return this.prisma.inventoryTransaction.groupBy({
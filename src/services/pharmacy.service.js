@@ -4,8 +4,23 @@
  */
 
 import { PharmacyRepository } from './pharmacy.repository.js';
+import { roundCurrency } from '../utils/gst.utils.js';
+import { ValidationError, NotFoundError } from '../shared/AppError.js';
+import { PRESCRIPTION_STATUS, DISPENSABLE_PRESCRIPTION_STATUSES } from './prescription.constants.js';
 import logger from '../utils/logger.js';
 
+export const DISPENSE_STATUS = {
+  DISPENSED: 'DISPENSED',
+  PARTIALLY_RETURNED: 'PARTIALLY_RETURNED',
+  RETURNED: 'RETURNED',
+  VOIDED: 'VOIDED',
+};
+
+const RETURNABLE_DISPENSE_STATUSES = [DISPENSE_STATUS.DISPENSED, DISPENSE_STATUS.PARTIALLY_RETURNED];
+
+const generateDispenseId = () =>
+  `DISP${new Date().toISOString().slice(2, 10).replace(/-/g, '')}${Math.random().toString().slice(2, 6)}`;
+
 export class PharmacyService {
   constructor(prisma) {
     this.repository = new PharmacyRepository(prisma);
@@ -128,17 +143,19 @@ export class PharmacyService {
   // ============== STOCK CHECKS ==============
   async getLowStockAlerts(hospitalId) {
     try {
-      const inventory = await this.repository.getLowStockAlerts(hospitalId);
-      
-      return inventory
-        .filter(inv => inv.quantity <= inv.drug.reorderLevel)
-        .map(inv => ({
-          drugId: inv.drugId,
-          drugName: inv.drug.drugName,
-          drugCode: inv.drug.drugCode,
-          currentStock: inv.quantity,
-          reorderLevel: inv.drug.reorderLevel,
-          reorderQuantity: inv.drug.reorderQuantity,
+      const drugs = await this.repository.getLowStockAlerts(hospitalId);
+
+      // Stock is summed across all usable batches of a drug
+      return drugs
+        .map(drug => ({ drug, currentStock: drug.inventory.reduce((total, inv) => total + inv.quantity, 0) }))
+        .filter(({ drug, currentStock }) => currentStock <= drug.reorderLevel)
+        .map(({ drug, currentStock }) => ({
+          drugId: drug.id,
+          drugName: drug.drugName,
+          drugCode: drug.drugCode,
+          currentStock,
+          reorderLevel: drug.reorderLevel,
+          reorderQuantity: drug.reorderQuantity,
         }));
     } catch (error) {
       logger.error(`[Pharmacy] Error fetching low stock alerts`, error);
@@ -170,84 +187,525 @@ export class PharmacyService {
   }
 
   // ============== PRESCRIPTION DISPENSING ==============
+  /**
+   * Dispense a prescription. Each line is allocated first-expiry-first-out across
+   * usable batches; stock, transactions and the dispense are written atomically.
+   */
   async dispensePrescription(hospitalId, dispenseData, userId, userName) {
     try {
-      // Calculate totals
-      let subtotal = 0;
-      dispenseData.items?.forEach(item => {
-        subtotal += item.quantity * item.sellingPrice;
+      const dispenseId = generateDispenseId();
+
+      const dispense = await this.prisma.$transaction(async (tx) => {
+        const repository = new PharmacyRepository(tx);
+        return this.writeDispense(repository, hospitalId, dispenseId, dispenseData, userId, userName);
+      });
+
+      return dispense;
+    } catch (error) {
+      logger.error(`[Pharmacy] Error dispensing prescription`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Dispense inside the caller's transaction (e.g. a ward dose issued from the eMAR),
+   * so the stock deduction commits or rolls back with the caller's own writes.
+   */
+  async dispenseWithin(tx, hospitalId, dispenseData, userId, userName) {
+    return this.writeDispense(new PharmacyRepository(tx), hospitalId, generateDispenseId(), dispenseData, userId, userName);
+  }
+
+  /**
+   * Allocate, deduct and record every line, then create the dispense. Runs inside the
+   * caller's transaction. Lines priced without a sellingPrice use the drug master price.
+   * When dispensed against an OPD prescription, each line carries its prescriptionItemId.
+   */
+  async writeDispense(repository, hospitalId, dispenseId, dispenseData, userId, userName, prescription = null) {
+    const items = [];
+    let subtotal = 0;
+
+    for (const item of dispenseData.items) {
+      const { drug, allocations } = await this.allocateBatches(repository, hospitalId, item);
+      const sellingPrice = item.sellingPrice ?? drug.sellingPrice;
+      const batches = [];
+
+      for (const { batch, quantity } of allocations) {
+        const quantityAfter = batch.quantity - quantity;
+
+        await repository.updateInventory(batch.id, {
+          quantity: quantityAfter,
+          totalCost: roundCurrency(quantityAfter * batch.costPrice),
+          ...(quantityAfter === 0 ? { status: 'DEPLETED' } : {}),
+        });
+
+        await repository.recordTransaction(hospitalId, {
+          drugId: item.drugId,
+          inventoryId: batch.id,
+          transactionType: 'DISPENSE',
+          quantity,
+          quantityBefore: batch.quantity,
+          quantityAfter,
+          referenceNumber: dispenseId,
+          referenceBatchNumber: batch.batchNumber,
+          prescriptionId: dispenseData.prescriptionId,
+          billId: dispenseData.billId,
+          performedBy: userId,
+          performedByName: userName,
+        });
+
+        batches.push({
+          inventoryId: batch.id,
+          batchNumber: batch.batchNumber,
+          expiryDate: batch.expiryDate,
+          quantity,
+          costPrice: batch.costPrice,
+          returnedQuantity: 0,
+        });
+      }
+
+      const costPrice = roundCurrency(batches.reduce((total, b) => total + b.quantity * b.costPrice, 0) / item.quantity);
+      subtotal += item.quantity * sellingPrice;
+
+      items.push({
+        drugId: item.drugId,
+        drugName: item.drugName || `${drug.drugName} ${drug.strength}`,
+        quantity: item.quantity,
+        unit: item.unit || drug.category,
+        costPrice,
+        sellingPrice,
+        amount: roundCurrency(item.quantity * sellingPrice),
+        batchNumber: batches[0].batchNumber,
+        expiryDate: batches[0].expiryDate,
+        returnedQuantity: 0,
+        ...(prescription ? { prescriptionItemId: item.prescriptionItemId } : {}),
+        batches,
+      });
+
+      logger.info(`[Pharmacy] Drug dispensed: ${item.drugId}, qty: ${item.quantity}, batches: ${batches.length}`, { dispenseId, userId });
+    }
+
+    const taxAmount = subtotal * 0.05; // 5% tax (configurable)
+    const totalAmount = subtotal + taxAmount - (dispenseData.discountAmount || 0);
+
+    return repository.createDispense(hospitalId, {
+      dispenseId,
+      items,
+      patientName: dispenseData.patientName,
+      patientPhone: dispenseData.patientPhone,
+      subtotal,
+      taxAmount,
+      discountAmount: dispenseData.discountAmount || 0,
+      totalAmount,
+      paymentMode: dispenseData.paymentMode,
+      paymentStatus: dispenseData.paymentStatus || 'UNPAID',
+      dispensedBy: userId,
+      dispensedByName: userName,
+      prescribingDoctor: dispenseData.prescribingDoctor,
+      prescriptionId: dispenseData.prescriptionId,
+      opdPrescriptionId: prescription?.id || null,
+      billId: dispenseData.billId,
+      admissionId: dispenseData.admissionId || null, // IPD dispenses go to the running bill
+    });
+  }
+
+  // ============== OPD PRESCRIPTION WORKLIST ==============
+  /**
+   * Prescriptions waiting at the pharmacy (ACTIVE / PARTIALLY_DISPENSED, still valid),
+   * oldest first, with the pending and in-stock quantity of every line.
+   */
+  async getPrescriptionWorklist(hospitalId, filters) {
+    try {
+      const prescriptions = await this.repository.getPendingPrescriptions(hospitalId, DISPENSABLE_PRESCRIPTION_STATUSES, filters);
+
+      const patientIds = [...new Set(prescriptions.map(p => p.patientId))];
+      const drugIds = [...new Set(prescriptions.flatMap(p => p.items.map(line => line.drugId)))];
+      const [patients, stock] = await Promise.all([
+        this.repository.getPatientsByIds(patientIds),
+        this.repository.getAvailableStock(drugIds, hospitalId),
+      ]);
+      const patientById = new Map(patients.map(patient => [patient.id, patient]));
+
+      return prescriptions.map(prescription => {
+        const items = prescription.items.map(line => ({
+          ...line,
+          pendingQuantity: line.quantity - line.dispensedQuantity,
+          availableQuantity: stock[line.drugId] || 0,
+        }));
+
+        return {
+          id: prescription.id,
+          prescriptionId: prescription.prescriptionId,
+          status: prescription.status,
+          visitId: prescription.visitId,
+          patient: patientById.get(prescription.patientId) || { id: prescription.patientId },
+          doctorId: prescription.doctorId,
+          doctorName: prescription.doctorName,
+          prescribedAt: prescription.prescribedAt,
+          validUntilDate: prescription.validUntilDate,
+          instructions: prescription.instructions,
+          warnings: prescription.warnings,
+          items,
+          pendingLines: items.filter(line => line.pendingQuantity > 0).length,
+        };
       });
+    } catch (error) {
+      logger.error(`[Pharmacy] Error fetching prescription worklist`, error);
+      throw error;
+    }
+  }
 
-      const taxAmount = subtotal * 0.05; // 5% tax (configurable)
-      const totalAmount = subtotal + taxAmount - (dispenseData.discountAmount || 0);
-
-      // Generate dispense ID
-      const dispenseId = `DISP${new Date().toISOString().slice(2, 10).replace(/-/g, '')}${Math.random().toString().slice(2, 6)}`;
-
-      const dispense = await this.repository.createDispense(hospitalId, {
-        dispenseId,
-        items: dispenseData.items,
-        patientName: dispenseData.patientName,
-        patientPhone: dispenseData.patientPhone,
-        subtotal,
-        taxAmount,
-        discountAmount: dispenseData.discountAmount || 0,
-        totalAmount,
-        paymentMode: dispenseData.paymentMode,
-        paymentStatus: dispenseData.paymentStatus || 'UNPAID',
-        dispensedBy: userId,
-        dispensedByName: userName,
-        prescribingDoctor: dispenseData.prescribingDoctor,
-        prescriptionId: dispenseData.prescriptionId,
-        billId: dispenseData.billId,
+  /**
+   * Dispense against an OPD prescription. Quantities come from the prescription:
+   * without items every pending line is dispensed in full; with items
+   * ([{ itemId | lineNo, quantity }]) only those quantities are dispensed and the
+   * rest stays pending. The prescription status follows automatically.
+   */
+  async dispenseFromPrescription(hospitalId, prescriptionId, dispenseData, userId, userName) {
+    try {
+      const dispenseId = generateDispenseId();
+
+      const result = await this.prisma.$transaction(async (tx) => {
+        const repository = new PharmacyRepository(tx);
+
+        const found = await repository.getPrescriptionById(prescriptionId, hospitalId);
+        if (!found) throw new NotFoundError('Prescription');
+        await repository.lockPrescription(found.id);
+        const prescription = await repository.getPrescriptionById(found.id, hospitalId);
+
+        if (!DISPENSABLE_PRESCRIPTION_STATUSES.includes(prescription.status)) {
+          throw new ValidationError(`A ${prescription.status} prescription cannot be dispensed`, 'status');
+        }
+        if (prescription.validUntilDate && prescription.validUntilDate < new Date()) {
+          throw new ValidationError(`Prescription ${prescription.prescriptionId} expired on ${prescription.validUntilDate.toISOString().slice(0, 10)}`, 'validUntilDate');
+        }
+
+        const lines = this.selectPrescriptionLines(prescription, dispenseData.items);
+        const [patient] = await repository.getPatientsByIds([prescription.patientId]);
+
+        const dispense = await this.writeDispense(repository, hospitalId, dispenseId, {
+          items: lines.map(({ line, quantity }) => ({
+            drugId: line.drugId,
+            drugName: line.drugName,
+            quantity,
+            prescriptionItemId: line.id,
+          })),
+          patientName: patient?.name || dispenseData.patientName,
+          patientPhone: patient?.phone || dispenseData.patientPhone,
+          prescribingDoctor: prescription.doctorName,
+          prescriptionId: prescription.prescriptionId,
+          discountAmount: dispenseData.discountAmount,
+          paymentMode: dispenseData.paymentMode,
+          paymentStatus: dispenseData.paymentStatus,
+          billId: dispenseData.billId,
+        }, userId, userName, prescription);
+
+        for (const { line, quantity } of lines) {
+          await repository.updatePrescriptionItem(line.id, { dispensedQuantity: line.dispensedQuantity + quantity });
+          line.dispensedQuantity += quantity;
+        }
+
+        const fullyDispensed = prescription.items.every(line => line.dispensedQuantity >= line.quantity);
+        const updated = await repository.updatePrescription(prescription.id, fullyDispensed
+          ? { status: PRESCRIPTION_STATUS.DISPENSED, dispensedAt: new Date(), dispensedBy: userId }
+          : { status: PRESCRIPTION_STATUS.PARTIALLY_DISPENSED });
+
+        return { dispense, prescription: updated };
       });
 
-      // Record inventory transactions for each item
-      for (const item of dispenseData.items) {
-        const inv = await this.repository.getInventoryByDrug(item.drugId, hospitalId);
-        if (inv.length > 0) {
-          const selectedInv = inv[0]; // FIFO - pick oldest batch
-          const newQuantity = selectedInv.quantity - item.quantity;
-
-          // Record transaction
-          await this.repository.recordTransaction(hospitalId, {
-            drugId: item.drugId,
-            inventoryId: selectedInv.id,
-            transactionType: 'DISPENSE',
-            quantity: item.quantity,
-            quantityBefore: selectedInv.quantity,
-            quantityAfter: Math.max(0, newQuantity),
-            referenceNumber: dispenseId,
-            referenceBatchNumber: selectedInv.batchNumber,
-            prescriptionId: dispenseData.prescriptionId,
-            billId: dispenseData.billId,
-            performedBy: userId,
-            performedByName: userName,
-          });
-
-          // Update inventory
-          if (newQuantity <= 0) {
-            await this.repository.updateInventory(selectedInv.id, {
-              quantity: 0,
-              status: 'DEPLETED',
+      logger.info(`[Pharmacy] Prescription dispensed: ${result.prescription.prescriptionId} -> ${result.dispense.dispenseId}, status: ${result.prescription.status}`, { hospitalId, userId });
+      return result;
+    } catch (error) {
+      logger.error(`[Pharmacy] Error dispensing from prescription`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve requested lines against the prescription's pending quantities
+   */
+  selectPrescriptionLines(prescription, requestedItems) {
+    const pending = line => line.quantity - line.dispensedQuantity;
+
+    if (!requestedItems || requestedItems.length === 0) {
+      const lines = prescription.items
+        .filter(line => pending(line) > 0)
+        .map(line => ({ line, quantity: pending(line) }));
+      if (lines.length === 0) {
+        throw new ValidationError(`Nothing is pending on prescription ${prescription.prescriptionId}`, 'items');
+      }
+      return lines;
+    }
+
+    const seen = new Set();
+    return requestedItems.map((requested, idx) => {
+      const label = `Item ${idx + 1}`;
+      const line = prescription.items.find(item =>
+        requested.itemId ? item.id === requested.itemId : item.lineNo === Number(requested.lineNo)
+      );
+      if (!line) throw new ValidationError(`${label}: line not found on prescription ${prescription.prescriptionId}`, 'items');
+      if (seen.has(line.id)) throw new ValidationError(`${label}: line ${line.lineNo} is listed more than once`, 'items');
+      seen.add(line.id);
+
+      const quantity = requested.quantity === undefined ? pending(line) : Number(requested.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new ValidationError(`${label}: quantity must be a positive whole number`, 'items');
+      }
+      if (quantity > pending(line)) {
+        throw new ValidationError(`${label}: only ${pending(line)} of ${line.drugName} is pending`, 'items');
+      }
+
+      return { line, quantity };
+    });
+  }
+
+  /**
+   * Pick batches for one line, earliest expiry first, spilling over to the next batch
+   * when one runs short. Batches of the drug are locked until the transaction ends.
+   */
+  async allocateBatches(repository, hospitalId, item) {
+    const drug = await repository.getDrugById(item.drugId);
+    if (!drug || drug.hospitalId !== hospitalId) throw new NotFoundError('Drug');
+    if (!drug.isActive) throw new ValidationError(`${drug.drugName} is inactive and cannot be dispensed`, 'items');
+
+    await repository.lockDrugBatches(drug.id, hospitalId);
+    const batches = await repository.getDispensableBatches(drug.id, hospitalId);
+
+    let remaining = item.quantity;
+    const allocations = [];
+    for (const batch of batches) {
+      if (remaining === 0) break;
+      const quantity = Math.min(batch.quantity, remaining);
+      allocations.push({ batch, quantity });
+      remaining -= quantity;
+    }
+
+    if (remaining > 0) {
+      throw new ValidationError(
+        `Insufficient stock for ${drug.drugName}: requested ${item.quantity}, available ${item.quantity - remaining}`,
+        'items'
+      );
+    }
+
+    return { drug, allocations };
+  }
+
+  /**
+   * Lock a dispense for update and check it belongs to the hospital
+   */
+  async getLockedDispense(repository, hospitalId, dispenseId) {
+    const dispense = await repository.getDispenseById(dispenseId);
+    if (!dispense || dispense.hospitalId !== hospitalId) throw new NotFoundError('Dispense');
+
+    await repository.lockDispense(dispense.id);
+    return repository.getDispenseById(dispense.id);
+  }
+
+  /**
+   * Put quantity back into a dispensed batch and record the reversing transaction.
+   * Recalled or expired batches take the stock back but stay blocked from dispensing.
+   */
+  async restockBatch(repository, hospitalId, dispense, line, batchLine, quantity, { transactionType, reason, userId, userName }) {
+    await repository.lockInventory(batchLine.inventoryId);
+    const batch = await repository.getInventoryById(batchLine.inventoryId);
+    const quantityAfter = batch.quantity + quantity;
+
+    await repository.updateInventory(batch.id, {
+      quantity: quantityAfter,
+      totalCost: roundCurrency(quantityAfter * batch.costPrice),
+      ...(batch.status === 'DEPLETED' ? { status: 'ACTIVE' } : {}),
+    });
+
+    await repository.recordTransaction(hospitalId, {
+      drugId: line.drugId,
+      inventoryId: batch.id,
+      transactionType,
+      quantity,
+      quantityBefore: batch.quantity,
+      quantityAfter,
+      referenceNumber: dispense.dispenseId,
+      referenceBatchNumber: batch.batchNumber,
+      prescriptionId: dispense.prescriptionId,
+      billId: dispense.billId,
+      reason,
+      performedBy: userId,
+      performedByName: userName,
+    });
+  }
+
+  /**
+   * Patient return against a dispense (full or partial). Stock goes back to the
+   * batches it was dispensed from, latest expiry first.
+   */
+  async returnDispense(hospitalId, dispenseId, returnData, userId, userName) {
+    try {
+      const reason = returnData.reason?.trim();
+      if (!reason) throw new ValidationError('Return reason is required', 'reason');
+      if (!Array.isArray(returnData.items) || returnData.items.length === 0) {
+        throw new ValidationError('At least one item is required', 'items');
+      }
+
+      const result = await this.prisma.$transaction(async (tx) => {
+        const repository = new PharmacyRepository(tx);
+        const dispense = await this.getLockedDispense(repository, hospitalId, dispenseId);
+
+        if (!RETURNABLE_DISPENSE_STATUSES.includes(dispense.status)) {
+          throw new ValidationError(`A ${dispense.status} dispense cannot be returned`, 'status');
+        }
+
+        const items = JSON.parse(JSON.stringify(dispense.items));
+        const returnedLines = [];
+        let returnedSubtotal = 0;
+
+        for (const [idx, returnItem] of returnData.items.entries()) {
+          const label = `Item ${idx + 1}`;
+          const lineIndex = returnItem.lineNo
+            ? returnItem.lineNo - 1
+            : items.findIndex(line => line.drugId === returnItem.drugId && line.quantity > (line.returnedQuantity || 0));
+          const line = items[lineIndex];
+          if (!line) throw new ValidationError(`${label}: line not found on dispense ${dispense.dispenseId}`, 'items');
+          if (!Array.isArray(line.batches) || line.batches.length === 0) {
+            throw new ValidationError(`${label}: ${line.drugName} has no batch allocation to restock`, 'items');
+          }
+
+          const quantity = Number(returnItem.quantity);
+          const returnable = line.quantity - (line.returnedQuantity || 0);
+          if (!Number.isInteger(quantity) || quantity <= 0) {
+            throw new ValidationError(`${label}: quantity must be a positive whole number`, 'items');
+          }
+          if (quantity > returnable) {
+            throw new ValidationError(`${label}: only ${returnable} of ${line.drugName} can be returned`, 'items');
+          }
+
+          let remaining = quantity;
+          for (const batchLine of [...line.batches].reverse()) {
+            const quantityFromBatch = Math.min(batchLine.quantity - (batchLine.returnedQuantity || 0), remaining);
+            if (quantityFromBatch <= 0) continue;
+
+            await this.restockBatch(repository, hospitalId, dispense, line, batchLine, quantityFromBatch, {
+              transactionType: 'RETURN', reason, userId, userName,
             });
-          } else {
-            await this.repository.updateInventory(selectedInv.id, {
-              quantity: newQuantity,
+
+            batchLine.returnedQuantity = (batchLine.returnedQuantity || 0) + quantityFromBatch;
+            remaining -= quantityFromBatch;
+            if (remaining === 0) break;
+          }
+
+          line.returnedQuantity = (line.returnedQuantity || 0) + quantity;
+
+          const amount = roundCurrency(quantity * line.sellingPrice);
+          returnedSubtotal += amount;
+          returnedLines.push({ lineNo: lineIndex + 1, drugId: line.drugId, drugName: line.drugName, quantity, amount });
+        }
+
+        // Refund carries the dispense's tax and discount in proportion
+        const refundAmount = dispense.subtotal > 0
+          ? roundCurrency(returnedSubtotal * dispense.totalAmount / dispense.subtotal)
+          : 0;
+        const fullyReturned = items.every(line => (line.returnedQuantity || 0) >= line.quantity);
+
+        const updated = await repository.updateDispense(dispense.id, {
+          items,
+          status: fullyReturned ? DISPENSE_STATUS.RETURNED : DISPENSE_STATUS.PARTIALLY_RETURNED,
+          returnedAmount: roundCurrency((dispense.returnedAmount || 0) + refundAmount),
+          returns: [
+            ...(Array.isArray(dispense.returns) ? dispense.returns : []),
+            {
+              returnedAt: new Date().toISOString(),
+              returnedBy: userId,
+              returnedByName: userName,
+              reason,
+              items: returnedLines,
+              refundAmount,
+            },
+          ],
+        });
+
+        return { dispense: updated, refundAmount };
+      });
+
+      logger.info(`[Pharmacy] Dispense returned: ${result.dispense.dispenseId}, refund: ${result.refundAmount}`, { hospitalId, userId });
+      return result;
+    } catch (error) {
+      logger.error(`[Pharmacy] Error returning dispense`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Void a dispense entered in error: all stock goes back to its batches.
+   * Dispenses with returns must be settled through returns instead.
+   */
+  async voidDispense(hospitalId, dispenseId, voidData, userId, userName) {
+    try {
+      const reason = voidData?.reason?.trim();
+      if (!reason) throw new ValidationError('Void reason is required', 'reason');
+
+      const voided = await this.prisma.$transaction(async (tx) => {
+        const repository = new PharmacyRepository(tx);
+        const dispense = await this.getLockedDispense(repository, hospitalId, dispenseId);
+
+        if (dispense.status !== DISPENSE_STATUS.DISPENSED) {
+          throw new ValidationError(`A ${dispense.status} dispense cannot be voided`, 'status');
+        }
+
+        for (const line of dispense.items) {
+          if (!Array.isArray(line.batches) || line.batches.length === 0) {
+            throw new ValidationError(`${line.drugName} has no batch allocation to restock`, 'items');
+          }
+
+          for (const batchLine of line.batches) {
+            await this.restockBatch(repository, hospitalId, dispense, line, batchLine, batchLine.quantity, {
+              transactionType: 'DISPENSE_VOID', reason, userId, userName,
             });
           }
         }
 
-        logger.info(`[Pharmacy] Drug dispensed: ${item.drugId}, qty: ${item.quantity}`, { dispenseId, userId });
-      }
+        if (dispense.opdPrescriptionId) {
+          await this.reopenPrescriptionLines(repository, dispense);
+        }
 
-      return dispense;
+        return repository.updateDispense(dispense.id, {
+          status: DISPENSE_STATUS.VOIDED,
+          voidReason: reason,
+          voidedBy: userId,
+          voidedAt: new Date(),
+        });
+      });
+
+      logger.info(`[Pharmacy] Dispense voided: ${voided.dispenseId}`, { hospitalId, userId, userName });
+      return voided;
     } catch (error) {
-      logger.error(`[Pharmacy] Error dispensing prescription`, error);
+      logger.error(`[Pharmacy] Error voiding dispense`, error);
       throw error;
     }
   }
 
+  /**
+   * A voided dispense never reached the patient: put its quantities back on the
+   * prescription so they show as pending again. Cancelled prescriptions stay cancelled.
+   */
+  async reopenPrescriptionLines(repository, dispense) {
+    await repository.lockPrescription(dispense.opdPrescriptionId);
+    const prescription = await repository.getPrescriptionById(dispense.opdPrescriptionId, dispense.hospitalId);
+
+    for (const dispensedLine of dispense.items) {
+      const line = prescription.items.find(item => item.id === dispensedLine.prescriptionItemId);
+      if (!line) continue;
+
+      line.dispensedQuantity = Math.max(line.dispensedQuantity - dispensedLine.quantity, 0);
+      await repository.updatePrescriptionItem(line.id, { dispensedQuantity: line.dispensedQuantity });
+    }
+
+    if (prescription.status === PRESCRIPTION_STATUS.CANCELLED) return;
+
+    const nothingDispensed = prescription.items.every(line => line.dispensedQuantity === 0);
+    await repository.updatePrescription(prescription.id, {
+      status: nothingDispensed ? PRESCRIPTION_STATUS.ACTIVE : PRESCRIPTION_STATUS.PARTIALLY_DISPENSED,
+      dispensedAt: null,
+      dispensedBy: null,
+    });
+  }
+
   async getDispenses(hospitalId, filters) {
     try {
       return await this.repository.getDispenses(hospitalId, filters);
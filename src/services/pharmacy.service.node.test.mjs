@@ -0,0 +1,262 @@
+/**
+ * Pharmacy Service - dispensing first-expiry-first-out across batches, patient
+ * returns back into the batches they came from, voids, and dispensing the
+ * pending quantities of an OPD prescription
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answeringClient, callsTo } from './prismaTestClient.node.mjs';
+import { PharmacyService, DISPENSE_STATUS } from './pharmacy.service.js';
+import { PRESCRIPTION_STATUS } from './prescription.constants.js';
+
+const drug = (extra = {}) => ({
+  id: 'drug-a', hospitalId: 'h1', drugName: 'Paracetamol', strength: '500mg', category: 'TABLET',
+  sellingPrice: 2, isActive: true,
+  ...extra,
+});
+
+// Dispensable batches as the database returns them: earliest expiry first
+const stock = () => [
+  { id: 'inv-1', batchNumber: 'P-101', quantity: 10, costPrice: 1, status: 'ACTIVE', expiryDate: new Date('2026-12-31') },
+  { id: 'inv-2', batchNumber: 'P-102', quantity: 50, costPrice: 1.2, status: 'ACTIVE', expiryDate: new Date('2027-06-30') },
+];
+
+// 25 tablets dispensed from the two batches above
+const dispensed = (extra = {}) => ({
+  id: 'dsp-1', hospitalId: 'h1', dispenseId: 'DISP2610190001', prescriptionId: 'RX-1', billId: null,
+  status: DISPENSE_STATUS.DISPENSED, subtotal: 50, taxAmount: 2.5, discountAmount: 0, totalAmount: 52.5, returnedAmount: 0,
+  items: [{
+    drugId: 'drug-a', drugName: 'Paracetamol 500mg', quantity: 25, sellingPrice: 2, returnedQuantity: 0, prescriptionItemId: 'rxi-1',
+    batches: [
+      { inventoryId: 'inv-1', batchNumber: 'P-101', quantity: 10, costPrice: 1, returnedQuantity: 0 },
+      { inventoryId: 'inv-2', batchNumber: 'P-102', quantity: 15, costPrice: 1.2, returnedQuantity: 0 },
+    ],
+  }],
+  ...extra,
+});
+
+// Batches after the dispense above, for restocking
+const shelf = {
+  'inv-1': { id: 'inv-1', batchNumber: 'P-101', quantity: 0, costPrice: 1, status: 'DEPLETED' },
+  'inv-2': { id: 'inv-2', batchNumber: 'P-102', quantity: 35, costPrice: 1.2, status: 'ACTIVE' },
+};
+
+function setup(answers = {}) {
+  const { client, calls, trace } = answeringClient({
+    drug: { findUnique: drug() },
+    inventory: {
+      findMany: stock(),
+      findUnique: ({ where }) => shelf[where.id],
+      update: ({ where, data }) => ({ id: where.id, ...data }),
+    },
+    inventoryTransaction: { create: ({ data }) => ({ id: 'txn', ...data }) },
+    prescriptionDispense: {
+      findUnique: dispensed(),
+      create: ({ data }) => ({ id: 'dsp-new', ...data }),
+      update: ({ where, data }) => ({ id: where.id, dispenseId: 'DISP2610190001', ...data }),
+    },
+    $queryRaw: [],
+    ...answers,
+  });
+  return { service: new PharmacyService(client), calls, trace };
+}
+
+const movements = (calls) => callsTo(calls, 'inventoryTransaction.create')
+  .map(c => [c.args.data.transactionType, c.args.data.inventoryId, c.args.data.quantity, c.args.data.quantityBefore, c.args.data.quantityAfter]);
+
+// ==================== FEFO ALLOCATION ====================
+
+test('a dispense takes the earliest-expiring batch first and spills over to the next', async () => {
+  const { service, calls, trace } = setup();
+
+  const dispense = await service.dispensePrescription('h1', { patientName: 'Asha', items: [{ drugId: 'drug-a', quantity: 25 }] }, 'user-1', 'Pharmacist');
+
+  assert.deepEqual(callsTo(calls, 'inventory.update').map(c => [c.args.where.id, c.args.data]), [
+    ['inv-1', { quantity: 0, totalCost: 0, status: 'DEPLETED' }],
+    ['inv-2', { quantity: 35, totalCost: 42 }],
+  ]);
+  assert.deepEqual(movements(calls), [['DISPENSE', 'inv-1', 10, 10, 0], ['DISPENSE', 'inv-2', 15, 50, 35]]);
+
+  const [line] = dispense.items;
+  assert.deepEqual(line.batches.map(b => [b.batchNumber, b.quantity]), [['P-101', 10], ['P-102', 15]]);
+  // Cost is the weighted cost of the batches used; the line shows the first batch
+  assert.deepEqual([line.drugName, line.costPrice, line.amount, line.batchNumber], ['Paracetamol 500mg', 1.12, 50, 'P-101']);
+  assert.deepEqual([dispense.subtotal, dispense.taxAmount, dispense.totalAmount], [50, 2.5, 52.5]);
+
+  // Batches are locked before they are read, and only usable stock is offered
+  const [batches] = callsTo(calls, 'inventory.findMany');
+  assert.deepEqual(batches.args.orderBy, [{ expiryDate: 'asc' }, { createdAt: 'asc' }]);
+  assert.deepEqual([batches.args.where.status, batches.args.where.quantity], ['ACTIVE', { gt: 0 }]);
+  assert.ok(batches.args.where.expiryDate.gte instanceof Date);
+  assert.deepEqual(trace().slice(1, 3), ['$queryRaw (tx)', 'inventory.findMany (tx)']);
+});
+
+test('a dispense short of stock, of an inactive drug or of another hospital drug changes nothing', async () => {
+  const { service, calls } = setup();
+  await assert.rejects(
+    service.dispensePrescription('h1', { items: [{ drugId: 'drug-a', quantity: 61 }] }, 'user-1', 'Pharmacist'),
+    { statusCode: 400, message: 'Insufficient stock for Paracetamol: requested 61, available 60' }
+  );
+  assert.equal(callsTo(calls, 'inventory.update').length, 0);
+  assert.equal(callsTo(calls, 'prescriptionDispense.create').length, 0);
+
+  const { service: inactive } = setup({ drug: { findUnique: drug({ isActive: false }) } });
+  await assert.rejects(inactive.dispensePrescription('h1', { items: [{ drugId: 'drug-a', quantity: 1 }] }, 'user-1'), { statusCode: 400 });
+
+  const { service: foreign } = setup({ drug: { findUnique: drug({ hospitalId: 'h2' }) } });
+  await assert.rejects(foreign.dispensePrescription('h1', { items: [{ drugId: 'drug-a', quantity: 1 }] }, 'user-1'), { statusCode: 404 });
+});
+
+// ==================== RETURNS ====================
+
+test('a return restocks the latest-expiring batch first and refunds tax in proportion', async () => {
+  const { service, calls } = setup();
+
+  const { dispense, refundAmount } = await service.returnDispense('h1', 'dsp-1', {
+    reason: 'Course changed', items: [{ lineNo: 1, quantity: 20 }],
+  }, 'user-1', 'Pharmacist');
+
+  assert.deepEqual(movements(calls), [['RETURN', 'inv-2', 15, 35, 50], ['RETURN', 'inv-1', 5, 0, 5]]);
+  // The emptied batch is back on the shelf
+  assert.deepEqual(callsTo(calls, 'inventory.update')[1].args.data, { quantity: 5, totalCost: 5, status: 'ACTIVE' });
+
+  assert.equal(refundAmount, 42);
+  assert.equal(dispense.status, DISPENSE_STATUS.PARTIALLY_RETURNED);
+  assert.equal(dispense.returnedAmount, 42);
+  assert.deepEqual(dispense.items[0].batches.map(b => b.returnedQuantity), [5, 15]);
+  assert.deepEqual(dispense.returns.map(r => [r.reason, r.refundAmount, r.items[0].quantity]), [['Course changed', 42, 20]]);
+});
+
+test('no more can be returned than is still out, and returning the rest closes the dispense', async () => {
+  const partly = dispensed({ status: DISPENSE_STATUS.PARTIALLY_RETURNED, returnedAmount: 42 });
+  partly.items[0].returnedQuantity = 20;
+  partly.items[0].batches[0].returnedQuantity = 5;
+  partly.items[0].batches[1].returnedQuantity = 15;
+
+  const { service: over } = setup({ prescriptionDispense: { findUnique: partly } });
+  await assert.rejects(
+    over.returnDispense('h1', 'dsp-1', { reason: 'Unused', items: [{ drugId: 'drug-a', quantity: 6 }] }, 'user-1'),
+    { statusCode: 400, message: 'Item 1: only 5 of Paracetamol 500mg can be returned' }
+  );
+
+  const { service, calls } = setup({ prescriptionDispense: { findUnique: partly, update: ({ data }) => data } });
+  const { dispense, refundAmount } = await service.returnDispense('h1', 'dsp-1', { reason: 'Unused', items: [{ drugId: 'drug-a', quantity: 5 }] }, 'user-1');
+
+  assert.deepEqual(movements(calls).map(m => m.slice(0, 3)), [['RETURN', 'inv-1', 5]]);
+  assert.deepEqual([dispense.status, refundAmount, dispense.returnedAmount], [DISPENSE_STATUS.RETURNED, 10.5, 52.5]);
+
+  const { service: voided } = setup({ prescriptionDispense: { findUnique: dispensed({ status: DISPENSE_STATUS.VOIDED }) } });
+  await assert.rejects(voided.returnDispense('h1', 'dsp-1', { reason: 'Unused', items: [{ lineNo: 1, quantity: 1 }] }, 'user-1'), { statusCode: 400 });
+  await assert.rejects(voided.returnDispense('h1', 'dsp-1', { reason: ' ', items: [{ lineNo: 1, quantity: 1 }] }, 'user-1'), { statusCode: 400 });
+});
+
+// ==================== VOIDS ====================
+
+test('a void puts every batch back and reopens the prescription lines it dispensed', async () => {
+  const prescription = {
+    id: 'rx-1', prescriptionId: 'RX-1', status: PRESCRIPTION_STATUS.DISPENSED,
+    items: [{ id: 'rxi-1', lineNo: 1, quantity: 25, dispensedQuantity: 25 }, { id: 'rxi-2', lineNo: 2, quantity: 10, dispensedQuantity: 10 }],
+  };
+  const { service, calls } = setup({
+    prescriptionDispense: {
+      findUnique: dispensed({ opdPrescriptionId: 'rx-1' }),
+      update: ({ where, data }) => ({ id: where.id, dispenseId: 'DISP2610190001', ...data }),
+    },
+    oPDPrescription: { findFirst: prescription, update: ({ data }) => data },
+    oPDPrescriptionItem: { update: ({ where, data }) => ({ id: where.id, ...data }) },
+  });
+
+  const voided = await service.voidDispense('h1', 'dsp-1', { reason: 'Wrong patient' }, 'user-1', 'Pharmacist');
+
+  assert.deepEqual(movements(calls), [['DISPENSE_VOID', 'inv-1', 10, 0, 10], ['DISPENSE_VOID', 'inv-2', 15, 35, 50]]);
+  assert.deepEqual([voided.status, voided.voidReason, voided.voidedBy], [DISPENSE_STATUS.VOIDED, 'Wrong patient', 'user-1']);
+
+  assert.deepEqual(callsTo(calls, 'oPDPrescriptionItem.update').map(c => [c.args.where.id, c.args.data]), [
+    ['rxi-1', { dispensedQuantity: 0 }],
+  ]);
+  assert.deepEqual(callsTo(calls, 'oPDPrescription.update')[0].args.data, {
+    status: PRESCRIPTION_STATUS.PARTIALLY_DISPENSED, dispensedAt: null, dispensedBy: null,
+  });
+});
+
+test('a dispense with returns or of another hospital cannot be voided', async () => {
+  const { service: returned, calls } = setup({ prescriptionDispense: { findUnique: dispensed({ status: DISPENSE_STATUS.PARTIALLY_RETURNED }) } });
+  await assert.rejects(returned.voidDispense('h1', 'dsp-1', { reason: 'Entered twice' }, 'user-1'), { statusCode: 400 });
+  assert.equal(callsTo(calls, 'inventory.update').length, 0);
+
+  const { service: foreign } = setup({ prescriptionDispense: { findUnique: dispensed({ hospitalId: 'h2' }) } });
+  await assert.rejects(foreign.voidDispense('h1', 'dsp-1', { reason: 'Entered twice' }, 'user-1'), { statusCode: 404 });
+});
+
+// ==================== OPD PRESCRIPTIONS ====================
+
+// Line 1 has 10 of 15 still pending, line 2 has all 6 pending
+const opdPrescription = (extra = {}) => ({
+  id: 'rx-1', hospitalId: 'h1', prescriptionId: 'RX-1', patientId: 'P1', doctorName: 'Dr. Meera Nair',
+  status: PRESCRIPTION_STATUS.PARTIALLY_DISPENSED, validUntilDate: null,
+  items: [
+    { id: 'rxi-1', lineNo: 1, drugId: 'drug-a', drugName: 'Paracetamol 500mg', quantity: 15, dispensedQuantity: 5 },
+    { id: 'rxi-2', lineNo: 2, drugId: 'drug-b', drugName: 'Cetirizine 10mg', quantity: 6, dispensedQuantity: 0 },
+  ],
+  ...extra,
+});
+
+const prescriptionAnswers = (prescription = opdPrescription()) => ({
+  drug: { findUnique: ({ where }) => drug({ id: where.id }) },
+  oPDPrescription: { findFirst: prescription, update: ({ where, data }) => ({ id: where.id, prescriptionId: 'RX-1', ...data }) },
+  oPDPrescriptionItem: { update: ({ where, data }) => ({ id: where.id, ...data }) },
+  patient: { findMany: [{ id: 'P1', name: 'Asha Rao', phone: '9800000000' }] },
+});
+
+test('dispensing a prescription without quantities dispenses what is pending on every line', async () => {
+  const { service, calls } = setup(prescriptionAnswers());
+
+  const { dispense, prescription } = await service.dispenseFromPrescription('h1', 'RX-1', {}, 'user-1', 'Pharmacist');
+
+  assert.deepEqual(dispense.items.map(line => [line.drugId, line.quantity, line.prescriptionItemId]), [
+    ['drug-a', 10, 'rxi-1'],
+    ['drug-b', 6, 'rxi-2'],
+  ]);
+  assert.deepEqual(
+    [dispense.opdPrescriptionId, dispense.prescriptionId, dispense.patientName, dispense.prescribingDoctor],
+    ['rx-1', 'RX-1', 'Asha Rao', 'Dr. Meera Nair']
+  );
+  assert.deepEqual(callsTo(calls, 'oPDPrescriptionItem.update').map(c => [c.args.where.id, c.args.data.dispensedQuantity]), [
+    ['rxi-1', 15],
+    ['rxi-2', 6],
+  ]);
+  assert.equal(prescription.status, PRESCRIPTION_STATUS.DISPENSED);
+  assert.ok(prescription.dispensedAt instanceof Date);
+});
+
+test('dispensing part of a line leaves the prescription partially dispensed', async () => {
+  const { service, calls } = setup(prescriptionAnswers());
+
+  const { dispense, prescription } = await service.dispenseFromPrescription('h1', 'RX-1', {
+    items: [{ lineNo: 2, quantity: 2 }],
+  }, 'user-1', 'Pharmacist');
+
+  assert.deepEqual(dispense.items.map(line => [line.drugId, line.quantity]), [['drug-b', 2]]);
+  assert.deepEqual(callsTo(calls, 'oPDPrescriptionItem.update').map(c => [c.args.where.id, c.args.data.dispensedQuantity]), [['rxi-2', 2]]);
+  assert.equal(prescription.status, PRESCRIPTION_STATUS.PARTIALLY_DISPENSED);
+});
+
+test('more than is pending, a repeated line or an expired or finished prescription is refused', async () => {
+  const { service, calls } = setup(prescriptionAnswers());
+
+  await assert.rejects(
+    service.dispenseFromPrescription('h1', 'RX-1', { items: [{ itemId: 'rxi-1', quantity: 11 }] }, 'user-1'),
+    { statusCode: 400, message: 'Item 1: only 10 of Paracetamol 500mg is pending' }
+  );
+  await assert.rejects(
+    service.dispenseFromPrescription('h1', 'RX-1', { items: [{ lineNo: 1, quantity: 1 }, { itemId: 'rxi-1', quantity: 1 }] }, 'user-1'),
+    { statusCode: 400, message: /listed more than once/ }
+  );
+  assert.equal(callsTo(calls, 'inventory.update').length, 0);
+
+  const { service: expired } = setup(prescriptionAnswers(opdPrescription({ validUntilDate: new Date('2026-01-31') })));
+  await assert.rejects(expired.dispenseFromPrescription('h1', 'RX-1', {}, 'user-1'), { statusCode: 400, message: /expired on 2026-01-31/ });
+
+  const { service: finished } = setup(prescriptionAnswers(opdPrescription({ status: PRESCRIPTION_STATUS.DISPENSED })));
+  await assert.rejects(finished.dispenseFromPrescription('h1', 'RX-1', {}, 'user-1'), { statusCode: 400 });
+});
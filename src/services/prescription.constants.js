@@ -0,0 +1,61 @@
+/**
+ * Prescription Constants
+ * OPD prescription status and dosing frequencies used to work out dispense quantities
+ */
+
+export const PRESCRIPTION_STATUS = {
+  ACTIVE: 'ACTIVE',                             // Written, nothing dispensed yet
+  PARTIALLY_DISPENSED: 'PARTIALLY_DISPENSED',   // Some quantity still pending at the pharmacy
+  DISPENSED: 'DISPENSED',                       // Every line fully dispensed
+  CANCELLED: 'CANCELLED'                        // Pending quantity will not be dispensed
+};
+
+// Manual status changes. PARTIALLY_DISPENSED / DISPENSED are set by pharmacy dispensing.
+export const PRESCRIPTION_TRANSITIONS = {
+  ACTIVE: ['CANCELLED'],
+  PARTIALLY_DISPENSED: ['CANCELLED'],
+  DISPENSED: [],
+  CANCELLED: []
+};
+
+// Prescriptions that appear on the pharmacy worklist
+export const DISPENSABLE_PRESCRIPTION_STATUSES = [
+  PRESCRIPTION_STATUS.ACTIVE,
+  PRESCRIPTION_STATUS.PARTIALLY_DISPENSED
+];
+
+// Administrations per day for scheduled frequencies
+export const DOSE_FREQUENCY_PER_DAY = {
+  OD: 1,        // Once daily
+  BD: 2,        // Twice daily
+  TDS: 3,       // Thrice daily
+  QID: 4,       // Four times daily
+  HS: 1,        // At bedtime
+  Q4H: 6,
+  Q6H: 4,
+  Q8H: 3,
+  Q12H: 2,
+  WEEKLY: 1 / 7
+};
+
+// Single dose: quantity is one dose, no duration
+export const SINGLE_DOSE_FREQUENCIES = ['STAT'];
+
+// As-needed: the prescriber writes the quantity
+export const AS_NEEDED_FREQUENCIES = ['SOS', 'PRN'];
+
+export const DOSE_FREQUENCIES = [
+  ...Object.keys(DOSE_FREQUENCY_PER_DAY),
+  ...SINGLE_DOSE_FREQUENCIES,
+  ...AS_NEEDED_FREQUENCIES
+];
+
+export default {
+  PRESCRIPTION_STATUS,
+  PRESCRIPTION_TRANSITIONS,
+  DISPENSABLE_PRESCRIPTION_STATUSES,
+  DOSE_FREQUENCY_PER_DAY,
+  SINGLE_DOSE_FREQUENCIES,
+  AS_NEEDED_FREQUENCIES,
+  DOSE_FREQUENCIES
+};
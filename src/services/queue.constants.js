@@ -200,6 +200,51 @@ export const QUEUE_CONFIG = {
   SHOW_POSITION_IN_QUEUE: true
 };
 
+// ==================== QUEUE POLICY ====================
+/**
+ * Hospital-wide QueueSettings defaults (used until an admin saves settings)
+ * priorityRatio / emergencyFirst seed new service queues; each queue can be tuned afterwards
+ */
+export const DEFAULT_QUEUE_SETTINGS = {
+  avgConsultationTime: 15,
+  avgDiagnosticTime: 30,
+  avgBillingTime: 10,
+  priorityRatio: QUEUE_CONFIG.PRIORITY_RATIO,
+  emergencyFirst: QUEUE_CONFIG.EMERGENCY_ALWAYS_FIRST,
+  seniorCitizenPriority: true,
+  pregnantWomenPriority: true,
+  disabledPriority: true,
+  autoSkipAfterMins: 15,
+  maxSkips: QUEUE_CONFIG.MAX_SKIP_COUNT
+};
+
+export const QUEUE_POLICY = {
+  SENIOR_CITIZEN_AGE: 60,
+  INFANT_CHILD_AGE: 5,
+  AUTO_SKIP_INTERVAL_MS: 60 * 1000,  // Auto-skip scheduler tick
+  MAX_PRIORITY_RATIO: 20,
+  MAX_AUTO_SKIP_MINS: 240,
+  MAX_SKIPS: 10
+};
+
+// Wait-time prediction from QueueHistory (see queue.estimator.js)
+export const WAIT_ESTIMATION = {
+  LOOKBACK_DAYS: 90,               // History used to learn service times
+  MAX_SAMPLES: 5000,
+  MIN_BUCKET_SAMPLES: 5,           // Below this a bucket falls back to a broader one
+  MIN_SERVICE_MINUTES: 1,          // Samples outside this range are discarded
+  MAX_SERVICE_MINUTES: 180,
+  MODEL_CACHE_TTL_MS: 10 * 60 * 1000,
+  DEFAULT_PAUSE_MINUTES: 15,       // Expected pause length when there is no pause history
+  MIN_PAUSE_REMAINING_MINUTES: 5   // A pause that overran its usual length still counts this much
+};
+
+// PatientQueue.specialNeeds text that qualifies for disabled priority
+export const DISABILITY_KEYWORDS = [
+  'wheelchair', 'disab', 'handicap', 'divyang', 'stretcher', 'crutch', 'walker',
+  'mobility', 'blind', 'visually impaired', 'deaf', 'hearing impaired', 'amputee'
+];
+
 // ==================== PRIORITY REASONS ====================
 /**
  * Predefined reasons for priority assignment
@@ -268,10 +313,35 @@ export const NOTIFICATION_MODE = {
   WHATSAPP: 'WHATSAPP'               // WhatsApp message
 };
 
+// ==================== QUEUE EVENTS ====================
+/**
+ * Events pushed to display boards and staff consoles
+ */
+export const QUEUE_EVENT = {
+  TOKEN_CALLED: 'TOKEN_CALLED',
+  TOKEN_RECALLED: 'TOKEN_RECALLED',
+  TOKEN_SKIPPED: 'TOKEN_SKIPPED',
+  TOKEN_TRANSFERRED: 'TOKEN_TRANSFERRED',
+  QUEUE_PAUSED: 'QUEUE_PAUSED',
+  QUEUE_RESUMED: 'QUEUE_RESUMED',
+  ROOM_CHANGED: 'ROOM_CHANGED'    // Queue moved to the room allocated for the doctor's session
+};
+
+/**
+ * Token a staff console exchanges its login for to open GET /api/queue/stream.
+ * EventSource cannot send an Authorization header, so this one travels in the URL:
+ * it only opens the stream and expires quickly, since URLs end up in access logs.
+ */
+export const QUEUE_STREAM_TOKEN = {
+  SCOPE: 'queue-stream',
+  EXPIRES_IN_SECONDS: 60
+};
+
 // ==================== HELPER FUNCTIONS ====================
 
 /**
  * Get priority level from various sources
+ * seniorCitizenPriority: false turns off the 60+ rule (QueueSettings)
  */
 export function determinePriority(options = {}) {
   const { 
@@ -281,8 +351,10 @@ export function determinePriority(options = {}) {
     isPregnant, 
     isDisabled,
     isVIP,
-    isStaff
+    isStaff,
+    seniorCitizenPriority = true
   } = options;
+  const hasAge = typeof patientAge === 'number';
   
   // Emergency from billing always takes top priority
   if (isEmergency) {
@@ -308,7 +380,7 @@ export function determinePriority(options = {}) {
   }
   
   // Priority cases
-  if (patientAge >= 60) {
+  if (hasAge && seniorCitizenPriority && patientAge >= QUEUE_POLICY.SENIOR_CITIZEN_AGE) {
     return {
       priority: QUEUE_PRIORITY.PRIORITY,
       reason: PRIORITY_REASONS.SENIOR_CITIZEN
@@ -329,7 +401,7 @@ export function determinePriority(options = {}) {
     };
   }
   
-  if (patientAge <= 5) {
+  if (hasAge && patientAge <= QUEUE_POLICY.INFANT_CHILD_AGE) {
     return {
       priority: QUEUE_PRIORITY.PRIORITY,
       reason: PRIORITY_REASONS.INFANT_CHILD
@@ -412,22 +484,68 @@ export function sortQueueByPriority(queueEntries) {
   });
 }
 
+/**
+ * Announcement text for TV boards / voice announcement
+ * @param {string} eventType - QUEUE_EVENT value
+ * @param {Object} details - { displayToken, counterNumber, queueName, targetQueueName, reason }
+ */
+export function buildAnnouncement(eventType, details = {}) {
+  const { displayToken, counterNumber, queueName, targetQueueName, reason } = details;
+  const destination = counterNumber || queueName;
+
+  switch (eventType) {
+    case QUEUE_EVENT.TOKEN_CALLED:
+      return destination
+        ? `Token ${displayToken}, please proceed to ${destination}`
+        : `Token ${displayToken}, please proceed`;
+    case QUEUE_EVENT.TOKEN_RECALLED:
+      return destination
+        ? `Calling again: token ${displayToken}, please proceed to ${destination}`
+        : `Calling again: token ${displayToken}`;
+    case QUEUE_EVENT.TOKEN_SKIPPED:
+      return `Token ${displayToken} was not present and has been moved back in the queue`;
+    case QUEUE_EVENT.TOKEN_TRANSFERRED:
+      return targetQueueName
+        ? `Token ${displayToken}, please proceed to ${targetQueueName}`
+        : `Token ${displayToken} has been transferred`;
+    case QUEUE_EVENT.QUEUE_PAUSED:
+      return reason
+        ? `${queueName} is temporarily paused: ${reason}`
+        : `${queueName} is temporarily paused`;
+    case QUEUE_EVENT.QUEUE_RESUMED:
+      return `${queueName} has resumed`;
+    case QUEUE_EVENT.ROOM_CHANGED:
+      return counterNumber
+        ? `${queueName} is now in ${counterNumber}`
+        : null;
+    default:
+      return null;
+  }
+}
+
 export default {
   QUEUE_STATUS,
   QUEUE_PRIORITY,
   PRIORITY_ORDER,
   SERVICE_TYPE,
   QUEUE_CONFIG,
+  DEFAULT_QUEUE_SETTINGS,
+  QUEUE_POLICY,
+  WAIT_ESTIMATION,
+  DISABILITY_KEYWORDS,
   PRIORITY_REASONS,
   VISIT_TYPE,
   QUEUE_ACTION,
   NOTIFICATION_MODE,
+  QUEUE_EVENT,
+  QUEUE_STREAM_TOKEN,
   determinePriority,
   calculateEstimatedWaitTime,
   formatTokenNumber,
   generateQueueCode,
   isQueueOpen,
-  sortQueueByPriority
+  sortQueueByPriority,
+  buildAnnouncement
 };
 
 
@@ -0,0 +1,227 @@
+/**
+ * Queue Wait-Time Estimator
+ * Predicts waits from actual service times recorded in QueueHistory
+ *
+ * Service time for a token is the median of past service times for the most
+ * specific bucket with enough samples:
+ *   queue + weekday + hour  ->  queue + hour  ->  queue  ->  doctor (all their queues)
+ *   ->  ServiceQueue.averageServiceTime
+ * Waits are projected through the calling order: the remaining time of the patient
+ * being served, then one service time per token ahead, skipping break windows and
+ * allowing for the usual length of a pause when the queue is paused.
+ */
+
+import { QUEUE_STATUS, QUEUE_CONFIG, WAIT_ESTIMATION } from './queue.constants.js';
+
+export const ESTIMATE_BASIS = {
+  WEEKDAY_HOUR: 'WEEKDAY_HOUR',
+  HOUR: 'HOUR',
+  QUEUE: 'QUEUE',
+  DOCTOR: 'DOCTOR',
+  AVERAGE: 'AVERAGE'  // Static ServiceQueue.averageServiceTime (no usable history)
+};
+
+const MINUTE_MS = 60000;
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function summarise(groups) {
+  const result = new Map();
+  for (const [key, values] of groups) {
+    if (values.length >= WAIT_ESTIMATION.MIN_BUCKET_SAMPLES) {
+      result.set(key, { minutes: median(values), samples: values.length });
+    }
+  }
+  return result;
+}
+
+function push(map, key, value) {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+}
+
+/**
+ * Build a service-time model for one service queue
+ * @param {Object[]} samples - { serviceQueueId, servedAt, serviceTimeMinutes } (queue + same doctor's queues)
+ * @param {string} serviceQueueId
+ * @param {number} fallbackMinutes - ServiceQueue.averageServiceTime
+ */
+export function buildServiceTimeModel(samples, serviceQueueId, fallbackMinutes) {
+  const weekdayHour = new Map();
+  const hour = new Map();
+  const queueValues = [];
+  const doctorValues = [];
+
+  for (const sample of samples) {
+    const minutes = sample.serviceTimeMinutes;
+    if (!sample.servedAt || typeof minutes !== 'number') continue;
+    if (minutes < WAIT_ESTIMATION.MIN_SERVICE_MINUTES || minutes > WAIT_ESTIMATION.MAX_SERVICE_MINUTES) continue;
+
+    doctorValues.push(minutes);
+    if (sample.serviceQueueId !== serviceQueueId) continue;
+
+    const servedAt = new Date(sample.servedAt);
+    queueValues.push(minutes);
+    push(hour, servedAt.getHours(), minutes);
+    push(weekdayHour, `${servedAt.getDay()}-${servedAt.getHours()}`, minutes);
+  }
+
+  const enough = (values) => values.length >= WAIT_ESTIMATION.MIN_BUCKET_SAMPLES;
+
+  return {
+    serviceQueueId,
+    weekdayHour: summarise(weekdayHour),
+    hour: summarise(hour),
+    queue: enough(queueValues) ? { minutes: median(queueValues), samples: queueValues.length } : null,
+    doctor: enough(doctorValues) ? { minutes: median(doctorValues), samples: doctorValues.length } : null,
+    fallbackMinutes: fallbackMinutes || QUEUE_CONFIG.DEFAULT_AVG_SERVICE_TIME,
+    sampleCount: queueValues.length
+  };
+}
+
+/**
+ * Expected service time for a token served at `at`
+ * @returns {{ minutes: number, basis: string }}
+ */
+export function expectedServiceMinutes(model, at) {
+  const slot = model.weekdayHour.get(`${at.getDay()}-${at.getHours()}`);
+  if (slot) return { minutes: slot.minutes, basis: ESTIMATE_BASIS.WEEKDAY_HOUR };
+
+  const hourSlot = model.hour.get(at.getHours());
+  if (hourSlot) return { minutes: hourSlot.minutes, basis: ESTIMATE_BASIS.HOUR };
+
+  if (model.queue) return { minutes: model.queue.minutes, basis: ESTIMATE_BASIS.QUEUE };
+  if (model.doctor) return { minutes: model.doctor.minutes, basis: ESTIMATE_BASIS.DOCTOR };
+
+  return { minutes: model.fallbackMinutes, basis: ESTIMATE_BASIS.AVERAGE };
+}
+
+function atTimeOfDay(day, hhmm) {
+  const [hours, minutes] = String(hhmm).split(':').map(Number);
+  const time = new Date(day);
+  time.setHours(hours || 0, minutes || 0, 0, 0);
+  return time;
+}
+
+/**
+ * Move a time past any break window it falls in
+ * @param {Date} time
+ * @param {Object[]} breakTimes - ServiceQueue.breakTimes: [{ start: "13:00", end: "14:00" }]
+ */
+export function skipBreaks(time, breakTimes) {
+  if (!Array.isArray(breakTimes) || !breakTimes.length) return time;
+
+  let current = new Date(time);
+  let moved = true;
+  while (moved) {
+    moved = false;
+    for (const window of breakTimes) {
+      if (!window?.start || !window?.end) continue;
+      const start = atTimeOfDay(current, window.start);
+      const end = atTimeOfDay(current, window.end);
+      if (current >= start && current < end) {
+        current = end;
+        moved = true;
+      }
+    }
+  }
+  return current;
+}
+
+/**
+ * Typical pause length from paired QUEUE_PAUSED / QUEUE_RESUMED events (minutes)
+ * @param {Object[]} events - Pause/resume events in sequence order
+ */
+export function typicalPauseMinutes(events) {
+  const durations = [];
+  let pausedAt = null;
+
+  for (const event of events) {
+    if (event.eventType === 'QUEUE_PAUSED') {
+      pausedAt = new Date(event.createdAt);
+    } else if (event.eventType === 'QUEUE_RESUMED' && pausedAt) {
+      durations.push((new Date(event.createdAt) - pausedAt) / MINUTE_MS);
+      pausedAt = null;
+    }
+  }
+
+  return median(durations) ?? WAIT_ESTIMATION.DEFAULT_PAUSE_MINUTES;
+}
+
+/**
+ * Project waits for entries in calling order
+ * @param {Object} params
+ * @param {Object[]} params.ordered - Active entries in calling order
+ * @param {Object} params.model - buildServiceTimeModel() result
+ * @param {Object|null} params.serving - Entry currently being served ({ servedAt })
+ * @param {Object[]} [params.breakTimes]
+ * @param {number} [params.pauseMinutes] - Expected remaining pause
+ * @param {Date} [params.now]
+ * @returns {Object[]} per entry (same order): { waitMinutes, expectedCallAt, basis }
+ */
+export function projectWaitTimes({ ordered, model, serving = null, breakTimes = null, pauseMinutes = 0, now = new Date() }) {
+  let clock = new Date(now.getTime() + pauseMinutes * MINUTE_MS);
+
+  if (serving?.servedAt) {
+    const servedAt = new Date(serving.servedAt);
+    const expected = expectedServiceMinutes(model, servedAt).minutes;
+    const elapsed = (now - servedAt) / MINUTE_MS;
+    clock = new Date(clock.getTime() + Math.max(expected - elapsed, 0) * MINUTE_MS);
+  }
+
+  return ordered.map(entry => {
+    clock = skipBreaks(clock, breakTimes);
+    const called = entry.status === QUEUE_STATUS.CALLED || entry.status === QUEUE_STATUS.RECALLED;
+    const expectedCallAt = called ? now : clock;
+    const service = expectedServiceMinutes(model, clock);
+
+    clock = new Date(clock.getTime() + service.minutes * MINUTE_MS);
+
+    return {
+      waitMinutes: Math.max(Math.round((expectedCallAt - now) / MINUTE_MS), 0),
+      expectedCallAt,
+      basis: service.basis
+    };
+  });
+}
+
+/**
+ * Predicted-vs-actual error statistics
+ * @param {Object[]} rows - { predicted, actual, baseline? } in minutes
+ */
+export function summariseAccuracy(rows) {
+  if (!rows.length) {
+    return { count: 0, meanAbsoluteError: null, meanBias: null, within5MinPct: null, within10MinPct: null, baselineMeanAbsoluteError: null };
+  }
+
+  const round1 = (value) => Math.round(value * 10) / 10;
+  const errors = rows.map(r => r.predicted - r.actual);
+  const absolute = errors.map(Math.abs);
+  const baselineRows = rows.filter(r => typeof r.baseline === 'number');
+
+  return {
+    count: rows.length,
+    meanAbsoluteError: round1(absolute.reduce((a, b) => a + b, 0) / rows.length),
+    meanBias: round1(errors.reduce((a, b) => a + b, 0) / rows.length), // > 0: over-estimates
+    within5MinPct: round1((absolute.filter(e => e <= 5).length / rows.length) * 100),
+    within10MinPct: round1((absolute.filter(e => e <= 10).length / rows.length) * 100),
+    baselineMeanAbsoluteError: baselineRows.length
+      ? round1(baselineRows.reduce((sum, r) => sum + Math.abs(r.baseline - r.actual), 0) / baselineRows.length)
+      : null
+  };
+}
+
+export default {
+  ESTIMATE_BASIS,
+  buildServiceTimeModel,
+  expectedServiceMinutes,
+  skipBreaks,
+  typicalPauseMinutes,
+  projectWaitTimes,
+  summariseAccuracy
+};
@@ -0,0 +1,126 @@
+/**
+ * Queue Wait-Time Estimator - service times learned from history (weekday and
+ * hour buckets with fallbacks), waits projected through the calling order
+ * around the patient being served, pauses and breaks, and prediction accuracy
+ * Times are built in local time: buckets use the local weekday and hour.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ESTIMATE_BASIS,
+  buildServiceTimeModel,
+  expectedServiceMinutes,
+  skipBreaks,
+  typicalPauseMinutes,
+  projectWaitTimes,
+  summariseAccuracy
+} from './queue.estimator.js';
+import { QUEUE_CONFIG, QUEUE_STATUS, WAIT_ESTIMATION } from './queue.constants.js';
+
+// 19 October 2026 is a Monday
+const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes);
+
+const served = (serviceQueueId, servedAt, serviceTimeMinutes) => ({ serviceQueueId, servedAt, serviceTimeMinutes });
+
+// Queue q1: five Monday 10:00 services, five Tuesday 10:00 services and two at 15:00
+const history = [
+  ...[10, 12, 14, 16, 40].map((minutes, i) => served('q1', at(12, 10, i * 10), minutes)),
+  ...[6, 6, 8, 8, 8].map((minutes, i) => served('q1', at(13, 10, i * 10), minutes)),
+  served('q1', at(13, 15), 20),
+  served('q1', at(14, 15), 20),
+  // Outside the plausible range or never served: ignored
+  served('q1', at(12, 10, 55), 0.5),
+  served('q1', at(12, 10, 56), 200),
+  served('q1', null, 12),
+];
+
+const waiting = (id, extra = {}) => ({ id, status: QUEUE_STATUS.WAITING, ...extra });
+
+// ==================== SERVICE TIME MODEL ====================
+
+test('service time is the median of the most specific bucket with enough samples', () => {
+  const model = buildServiceTimeModel(history, 'q1', 20);
+  assert.equal(model.sampleCount, 12);
+
+  // Monday 10:00 has its own bucket
+  assert.deepEqual(expectedServiceMinutes(model, at(19, 10, 30)), { minutes: 14, basis: ESTIMATE_BASIS.WEEKDAY_HOUR });
+  // Wednesday 10:00 falls back to every 10:00 service
+  assert.deepEqual(expectedServiceMinutes(model, at(21, 10, 30)), { minutes: 9, basis: ESTIMATE_BASIS.HOUR });
+  // Two samples at 15:00 are not enough for an hour bucket
+  assert.deepEqual(expectedServiceMinutes(model, at(19, 15)), { minutes: 11, basis: ESTIMATE_BASIS.QUEUE });
+});
+
+test('a queue without history uses the doctor across their queues, then its configured average', () => {
+  const sameDoctor = buildServiceTimeModel(history, 'q2', 20);
+  assert.deepEqual(expectedServiceMinutes(sameDoctor, at(19, 10)), { minutes: 11, basis: ESTIMATE_BASIS.DOCTOR });
+
+  const sparse = history.slice(0, WAIT_ESTIMATION.MIN_BUCKET_SAMPLES - 1);
+  assert.deepEqual(expectedServiceMinutes(buildServiceTimeModel(sparse, 'q2', 20), at(19, 10)), { minutes: 20, basis: ESTIMATE_BASIS.AVERAGE });
+  assert.equal(expectedServiceMinutes(buildServiceTimeModel([], 'q2', null), at(19, 10)).minutes, QUEUE_CONFIG.DEFAULT_AVG_SERVICE_TIME);
+});
+
+// ==================== WAIT PROJECTION ====================
+
+test('waits run through the calling order after what is left of the patient being served', () => {
+  const model = buildServiceTimeModel([], 'q1', 10);
+  const ordered = [waiting('C1', { status: QUEUE_STATUS.CALLED }), waiting('W1'), waiting('W2')];
+
+  // Served 4 minutes ago with a 10 minute service: 6 minutes left
+  const waits = projectWaitTimes({ ordered, model, serving: { servedAt: at(19, 9, 56) }, now: at(19, 10) });
+
+  // A called patient is due now but still takes a turn
+  assert.deepEqual(waits.map(w => w.waitMinutes), [0, 16, 26]);
+  assert.deepEqual(waits.map(w => w.expectedCallAt), [at(19, 10), at(19, 10, 16), at(19, 10, 26)]);
+  assert.deepEqual([...new Set(waits.map(w => w.basis))], [ESTIMATE_BASIS.AVERAGE]);
+
+  // A paused queue adds the expected remaining pause; an overrunning service adds nothing
+  const paused = projectWaitTimes({ ordered, model, serving: { servedAt: at(19, 9, 30) }, pauseMinutes: 15, now: at(19, 10) });
+  assert.deepEqual(paused.map(w => w.waitMinutes), [0, 25, 35]);
+});
+
+test('no token is expected to be called inside a break', () => {
+  const model = buildServiceTimeModel([], 'q1', 15);
+  const breakTimes = [{ start: '13:00', end: '14:00' }];
+
+  const waits = projectWaitTimes({ ordered: [waiting('W1'), waiting('W2'), waiting('W3')], model, breakTimes, now: at(19, 12, 40) });
+
+  assert.deepEqual(waits.map(w => w.waitMinutes), [0, 15, 80]);
+  assert.deepEqual(waits[2].expectedCallAt, at(19, 14));
+
+  // Back-to-back breaks are skipped together; incomplete windows are ignored
+  const windows = [{ start: '14:00', end: '14:15' }, { start: '13:00', end: '14:00' }, { start: '16:00' }];
+  assert.deepEqual(skipBreaks(at(19, 13, 30), windows), at(19, 14, 15));
+  assert.deepEqual(skipBreaks(at(19, 16, 5), windows), at(19, 16, 5));
+  assert.deepEqual(skipBreaks(at(19, 12, 59), null), at(19, 12, 59));
+});
+
+test('the usual pause is the median of paired pause and resume events', () => {
+  const event = (eventType, hours, minutes) => ({ eventType, createdAt: at(19, hours, minutes) });
+
+  assert.equal(typicalPauseMinutes([
+    event('QUEUE_PAUSED', 9, 0), event('QUEUE_RESUMED', 9, 10),
+    event('QUEUE_RESUMED', 9, 40),
+    event('QUEUE_PAUSED', 11, 0), event('QUEUE_RESUMED', 11, 30),
+    event('QUEUE_PAUSED', 12, 0), event('QUEUE_RESUMED', 12, 20),
+    event('QUEUE_PAUSED', 16, 0),
+  ]), 20);
+  assert.equal(typicalPauseMinutes([]), WAIT_ESTIMATION.DEFAULT_PAUSE_MINUTES);
+});
+
+// ==================== ACCURACY ====================
+
+test('accuracy reports mean absolute error, bias and hit rates against the static baseline', () => {
+  const rows = [
+    { predicted: 10, actual: 12, baseline: 15 },
+    { predicted: 20, actual: 14, baseline: 15 },
+    { predicted: 5, actual: 5 },
+    { predicted: 30, actual: 18 },
+  ];
+
+  assert.deepEqual(summariseAccuracy(rows), {
+    count: 4, meanAbsoluteError: 5, meanBias: 4, within5MinPct: 50, within10MinPct: 75, baselineMeanAbsoluteError: 2,
+  });
+  assert.deepEqual(summariseAccuracy([]), {
+    count: 0, meanAbsoluteError: null, meanBias: null, within5MinPct: null, within10MinPct: null, baselineMeanAbsoluteError: null,
+  });
+});
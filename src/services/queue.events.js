@@ -0,0 +1,160 @@
+/**
+ * Queue Events
+ * In-process event bus and Server-Sent Events streams for display boards and staff consoles
+ *
+ * QueueService writes each call / recall / skip / transfer / pause event to the
+ * queue event log and then publishes it here; every open stream subscribed to that
+ * service queue receives it. A screen that reconnects sends Last-Event-ID and gets
+ * the events it missed replayed from the log before live events resume.
+ *
+ * The log is the QueueEvent table, not QueueHistory: a QueueHistory row is written
+ * only when a token completes and is counted by analytics as one visit, so it has
+ * no rows for calls, recalls, skips or pauses still to replay (see schema.prisma).
+ */
+
+import { EventEmitter } from 'events';
+import logger from '../utils/logger.js';
+import { QueueRepository } from './queue.repository.js';
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+const RECONNECT_DELAY_MS = 5000;
+const REPLAY_LIMIT = 200;
+
+export const queueEvents = new EventEmitter();
+// One listener per open screen per queue
+queueEvents.setMaxListeners(0);
+
+const openStreams = new Set();
+
+const channel = (serviceQueueId) => `queue:${serviceQueueId}`;
+
+/**
+ * Push a persisted queue event to subscribed streams
+ * @param {Object} event - QueueEvent row
+ */
+export function publishQueueEvent(event) {
+  try {
+    queueEvents.emit(channel(event.serviceQueueId), event);
+  } catch (error) {
+    logger.error(`[Queue] Failed to publish ${event?.eventType}:`, error.message);
+  }
+}
+
+/**
+ * Read the reconnect position from the Last-Event-ID header (or ?lastEventId=)
+ * @returns {number|null} null when the client is connecting for the first time
+ */
+export function parseLastEventId(req) {
+  const raw = req.get('Last-Event-ID') ?? req.query.lastEventId;
+  if (raw === undefined || raw === '') return null;
+
+  const sequence = parseInt(raw, 10);
+  return Number.isInteger(sequence) && sequence >= 0 ? sequence : null;
+}
+
+function formatEvent(event) {
+  return {
+    sequence: event.sequence,
+    eventType: event.eventType,
+    serviceQueueId: event.serviceQueueId,
+    patientQueueId: event.patientQueueId,
+    tokenNumber: event.tokenNumber,
+    displayToken: event.displayToken,
+    counterNumber: event.counterNumber,
+    announcement: event.announcement,
+    payload: event.payload,
+    createdAt: event.createdAt
+  };
+}
+
+function writeEvent(res, name, data, id) {
+  if (res.writableEnded || res.destroyed) return;
+  if (id !== undefined) res.write(`id: ${id}\n`);
+  res.write(`event: ${name}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Open an SSE stream for one or more service queues
+ *
+ * Sends `queue-event` messages (id = event sequence). On a fresh connection, or when
+ * more events were missed than can be replayed, a `snapshot` message carries the
+ * current state so the screen can redraw.
+ *
+ * @param {Object} options
+ * @param {Object} options.prisma - Prisma client for replay
+ * @param {string[]} options.serviceQueueIds - Queues to subscribe to
+ * @param {number|null} options.lastEventId - Last sequence the client received
+ * @param {Function} [options.snapshot] - async () => current state
+ */
+export async function openQueueStream(req, res, { prisma, serviceQueueIds, lastEventId, snapshot }) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  let lastSequence = lastEventId ?? 0;
+  let replaying = true;
+  const pending = [];
+
+  const send = (event) => {
+    if (event.sequence <= lastSequence) return;
+    lastSequence = event.sequence;
+    writeEvent(res, 'queue-event', formatEvent(event), event.sequence);
+  };
+
+  // Live events that arrive while the replay query runs are held back and
+  // flushed afterwards so the client sees them in sequence order
+  const listener = (event) => (replaying ? pending.push(event) : send(event));
+
+  serviceQueueIds.forEach(id => queueEvents.on(channel(id), listener));
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+  openStreams.add(res);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    serviceQueueIds.forEach(id => queueEvents.off(channel(id), listener));
+    openStreams.delete(res);
+  });
+
+  try {
+    let needsSnapshot = lastEventId === null;
+
+    if (lastEventId !== null) {
+      const repository = new QueueRepository(prisma);
+      const missed = await repository.getQueueEventsSince(serviceQueueIds, lastEventId, REPLAY_LIMIT);
+      missed.forEach(send);
+      needsSnapshot = missed.length === REPLAY_LIMIT;
+    }
+
+    if (needsSnapshot && snapshot) {
+      writeEvent(res, 'snapshot', await snapshot());
+    }
+  } catch (error) {
+    logger.error('[Queue] Stream replay failed:', error.message);
+    writeEvent(res, 'stream-error', { message: 'Could not replay missed events, please refresh' });
+  } finally {
+    replaying = false;
+    pending.splice(0).sort((a, b) => a.sequence - b.sequence).forEach(send);
+  }
+}
+
+/**
+ * End every open stream (graceful shutdown - open streams would keep the server alive)
+ */
+export function closeQueueStreams() {
+  openStreams.forEach(res => res.end());
+  openStreams.clear();
+}
+
+export default {
+  queueEvents,
+  publishQueueEvent,
+  parseLastEventId,
+  openQueueStream,
+  closeQueueStreams
+};
@@ -0,0 +1,169 @@
+/**
+ * Queue Policy
+ * Applies QueueSettings to priority assignment and calling order
+ *
+ * Calling order for a service queue:
+ * 1. Tokens already called (CALLED / RECALLED), by call time
+ * 2. Emergency tokens (when the queue has emergencyFirst), then URGENT, by arrival
+ * 3. PRIORITY and NORMAL tokens by arrival, except that once `priorityRatio`
+ *    normal tokens have been called in a row the longest-waiting priority token
+ *    takes the next turn. A ratio of 0 always serves priority tokens first.
+ */
+
+import {
+  QUEUE_STATUS,
+  QUEUE_PRIORITY,
+  DEFAULT_QUEUE_SETTINGS,
+  DISABILITY_KEYWORDS,
+  determinePriority
+} from './queue.constants.js';
+
+const ACTIVE_CALL_STATUSES = [QUEUE_STATUS.CALLED, QUEUE_STATUS.RECALLED];
+
+/**
+ * Merge stored QueueSettings over the defaults
+ */
+export function resolveQueueSettings(settings) {
+  return { ...DEFAULT_QUEUE_SETTINGS, ...(settings || {}) };
+}
+
+/**
+ * Age in whole years from Patient.age, falling back to dateOfBirth
+ */
+export function getPatientAge(patient, asOf = new Date()) {
+  if (typeof patient?.age === 'number') return patient.age;
+  if (!patient?.dateOfBirth) return null;
+
+  const dob = new Date(patient.dateOfBirth);
+  let age = asOf.getFullYear() - dob.getFullYear();
+  const birthdayPassed = asOf.getMonth() > dob.getMonth() ||
+    (asOf.getMonth() === dob.getMonth() && asOf.getDate() >= dob.getDate());
+  if (!birthdayPassed) age--;
+  return age;
+}
+
+/**
+ * Whether the special-needs note describes a disability
+ */
+export function hasDisabilityNeed(specialNeeds) {
+  if (!specialNeeds) return false;
+  const text = String(specialNeeds).toLowerCase();
+  return DISABILITY_KEYWORDS.some(keyword => text.includes(keyword));
+}
+
+/**
+ * Priority for a new queue entry, honouring the special-category switches in QueueSettings
+ * @returns {{ priority: string, reason: string|null }}
+ */
+export function derivePriority({ isEmergency, urgency, patient, specialNeeds }, settings) {
+  const policy = resolveQueueSettings(settings);
+
+  return determinePriority({
+    isEmergency: isEmergency || false,
+    urgency: urgency || 'ROUTINE',
+    patientAge: getPatientAge(patient),
+    seniorCitizenPriority: policy.seniorCitizenPriority,
+    isPregnant: policy.pregnantWomenPriority && Boolean(patient?.isPregnant),
+    isDisabled: policy.disabledPriority && hasDisabilityNeed(specialNeeds)
+  });
+}
+
+const isEmergencyEntry = (entry) => entry.isEmergency || entry.priority === QUEUE_PRIORITY.EMERGENCY;
+
+// Strict lanes are always called ahead of the ratio-interleaved lanes
+function isStrictEntry(entry, emergencyFirst) {
+  if (isEmergencyEntry(entry)) return emergencyFirst;
+  return entry.priority === QUEUE_PRIORITY.URGENT;
+}
+
+const byArrival = (a, b) => new Date(a.joinedAt) - new Date(b.joinedAt);
+
+/**
+ * Number of normal tokens called in a row since the last priority-lane token
+ * @param {Object[]} recentCalls - Entries called today, most recent first
+ */
+export function countNormalStreak(recentCalls, { emergencyFirst = true } = {}) {
+  let streak = 0;
+
+  for (const entry of recentCalls) {
+    if (isStrictEntry(entry, emergencyFirst)) continue;
+    if (entry.priority !== QUEUE_PRIORITY.NORMAL) break;
+    streak++;
+  }
+
+  return streak;
+}
+
+/**
+ * Order entries the way they will be called
+ * @param {Object[]} entries - Active entries ({ id, status, priority, isEmergency, joinedAt, calledAt })
+ * @param {Object} options - { priorityRatio, emergencyFirst, normalStreak }
+ * @returns {Object[]} entries in calling order
+ */
+export function orderQueueEntries(entries, { priorityRatio = DEFAULT_QUEUE_SETTINGS.priorityRatio, emergencyFirst = true, normalStreak = 0 } = {}) {
+  const called = entries
+    .filter(e => ACTIVE_CALL_STATUSES.includes(e.status))
+    .sort((a, b) => new Date(a.calledAt || a.joinedAt) - new Date(b.calledAt || b.joinedAt));
+  const waiting = entries.filter(e => !ACTIVE_CALL_STATUSES.includes(e.status));
+
+  const emergencies = waiting.filter(e => emergencyFirst && isEmergencyEntry(e)).sort(byArrival);
+  const urgent = waiting
+    .filter(e => !isEmergencyEntry(e) && e.priority === QUEUE_PRIORITY.URGENT)
+    .sort(byArrival);
+  // Without emergencyFirst, emergency tokens lead the priority lane
+  const priorityLane = waiting
+    .filter(e => !isStrictEntry(e, emergencyFirst) && e.priority !== QUEUE_PRIORITY.NORMAL)
+    .sort((a, b) => (isEmergencyEntry(b) - isEmergencyEntry(a)) || byArrival(a, b));
+  const normalLane = waiting
+    .filter(e => !isStrictEntry(e, emergencyFirst) && e.priority === QUEUE_PRIORITY.NORMAL)
+    .sort(byArrival);
+
+  const interleaved = [];
+  let streak = normalStreak;
+
+  while (priorityLane.length || normalLane.length) {
+    let takePriority;
+    if (!normalLane.length) takePriority = true;
+    else if (!priorityLane.length) takePriority = false;
+    else if (priorityRatio <= 0 || streak >= priorityRatio) takePriority = true;
+    else takePriority = byArrival(priorityLane[0], normalLane[0]) <= 0;
+
+    if (takePriority) {
+      interleaved.push(priorityLane.shift());
+      streak = 0;
+    } else {
+      interleaved.push(normalLane.shift());
+      streak++;
+    }
+  }
+
+  return [...called, ...emergencies, ...urgent, ...interleaved];
+}
+
+/**
+ * Next WAITING entry to call
+ */
+export function selectNextEntry(waitingEntries, options) {
+  const waiting = waitingEntries.filter(e => e.status === QUEUE_STATUS.WAITING);
+  return orderQueueEntries(waiting, options)[0] || null;
+}
+
+/**
+ * When a called patient becomes overdue for auto-skip
+ */
+export function getAutoSkipDeadline(entry, autoSkipAfterMins) {
+  const calledAt = entry.status === QUEUE_STATUS.RECALLED ? (entry.recalledAt || entry.calledAt) : entry.calledAt;
+  if (!calledAt || !autoSkipAfterMins) return null;
+  return new Date(new Date(calledAt).getTime() + autoSkipAfterMins * 60000);
+}
+
+export default {
+  resolveQueueSettings,
+  getPatientAge,
+  hasDisabilityNeed,
+  derivePriority,
+  countNormalStreak,
+  orderQueueEntries,
+  selectNextEntry,
+  getAutoSkipDeadline
+};
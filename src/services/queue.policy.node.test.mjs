@@ -0,0 +1,116 @@
+/**
+ * Queue Policy - calling order: strict emergency and urgent lanes, priority
+ * tokens interleaved with normal ones by priorityRatio, and special-category
+ * priority from QueueSettings
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  derivePriority,
+  getPatientAge,
+  countNormalStreak,
+  orderQueueEntries,
+  selectNextEntry
+} from './queue.policy.js';
+import { QUEUE_PRIORITY, QUEUE_STATUS, PRIORITY_REASONS } from './queue.constants.js';
+
+const { EMERGENCY, URGENT, PRIORITY, NORMAL } = QUEUE_PRIORITY;
+
+// A waiting token that joined at 09:<minute>
+const token = (id, priority, minute, extra = {}) => ({
+  id, priority, isEmergency: priority === EMERGENCY, status: QUEUE_STATUS.WAITING,
+  joinedAt: new Date(2026, 9, 19, 9, minute),
+  ...extra,
+});
+
+const ids = (entries) => entries.map(e => e.id);
+
+// ==================== INTERLEAVING ====================
+
+test('a priority token takes the turn after every priorityRatio normal tokens', () => {
+  const entries = [
+    token('N1', NORMAL, 0), token('N2', NORMAL, 1), token('N3', NORMAL, 2), token('N4', NORMAL, 3), token('N5', NORMAL, 4),
+    token('P1', PRIORITY, 10), token('P2', PRIORITY, 11),
+  ];
+
+  assert.deepEqual(ids(orderQueueEntries(entries, { priorityRatio: 2 })), ['N1', 'N2', 'P1', 'N3', 'N4', 'P2', 'N5']);
+  assert.deepEqual(ids(orderQueueEntries(entries, { priorityRatio: 3 })), ['N1', 'N2', 'N3', 'P1', 'N4', 'N5', 'P2']);
+});
+
+test('below the ratio the lanes are served by arrival, and a ratio of 0 always serves priority first', () => {
+  const entries = [token('N1', NORMAL, 5), token('P1', PRIORITY, 0), token('N2', NORMAL, 6), token('P2', PRIORITY, 20)];
+
+  assert.deepEqual(ids(orderQueueEntries(entries, { priorityRatio: 3 })), ['P1', 'N1', 'N2', 'P2']);
+  assert.deepEqual(ids(orderQueueEntries(entries, { priorityRatio: 0 })), ['P1', 'P2', 'N1', 'N2']);
+});
+
+test('normal tokens already called today count towards the ratio', () => {
+  // Most recent first: urgent calls neither count nor break the streak
+  const recentCalls = [
+    { priority: NORMAL }, { priority: URGENT }, { priority: NORMAL }, { priority: PRIORITY }, { priority: NORMAL },
+  ];
+  const normalStreak = countNormalStreak(recentCalls);
+  assert.equal(normalStreak, 2);
+
+  const entries = [token('N1', NORMAL, 0), token('P1', PRIORITY, 30)];
+  assert.deepEqual(ids(orderQueueEntries(entries, { priorityRatio: 2, normalStreak })), ['P1', 'N1']);
+  assert.deepEqual(ids(orderQueueEntries(entries, { priorityRatio: 3, normalStreak })), ['N1', 'P1']);
+});
+
+// ==================== STRICT LANES ====================
+
+test('called tokens stay first, then emergencies and urgent tokens by arrival ahead of the interleaved lanes', () => {
+  const entries = [
+    token('N1', NORMAL, 0),
+    token('P1', PRIORITY, 1),
+    token('U1', URGENT, 20),
+    token('E1', EMERGENCY, 30),
+    token('U0', URGENT, 10),
+    token('C2', NORMAL, 2, { status: QUEUE_STATUS.RECALLED, calledAt: new Date(2026, 9, 19, 9, 50) }),
+    token('C1', NORMAL, 3, { status: QUEUE_STATUS.CALLED, calledAt: new Date(2026, 9, 19, 9, 40) }),
+  ];
+
+  assert.deepEqual(ids(orderQueueEntries(entries, { priorityRatio: 3 })), ['C1', 'C2', 'E1', 'U0', 'U1', 'N1', 'P1']);
+  assert.equal(selectNextEntry(entries, { priorityRatio: 3 }).id, 'E1');
+});
+
+test('without emergencyFirst an emergency leads the priority lane and waits its turn', () => {
+  const entries = [token('N1', NORMAL, 0), token('N2', NORMAL, 1), token('P1', PRIORITY, 2), token('E1', EMERGENCY, 30)];
+
+  assert.deepEqual(ids(orderQueueEntries(entries, { priorityRatio: 1, emergencyFirst: false })), ['N1', 'E1', 'N2', 'P1']);
+
+  // ... and an emergency call ends a normal streak instead of being skipped
+  const recentCalls = [{ priority: NORMAL }, { priority: EMERGENCY, isEmergency: true }, { priority: NORMAL }];
+  assert.equal(countNormalStreak(recentCalls, { emergencyFirst: true }), 2);
+  assert.equal(countNormalStreak(recentCalls, { emergencyFirst: false }), 1);
+});
+
+// ==================== SPECIAL CATEGORIES ====================
+
+test('senior, pregnant and disabled patients get priority only while their QueueSettings switch is on', () => {
+  const senior = { patient: { age: 67 } };
+  const pregnant = { patient: { age: 29, isPregnant: true } };
+  const wheelchair = { patient: { age: 40 }, specialNeeds: 'Needs a Wheelchair at the desk' };
+
+  assert.deepEqual(derivePriority(senior, null), { priority: PRIORITY, reason: PRIORITY_REASONS.SENIOR_CITIZEN });
+  assert.deepEqual(derivePriority(pregnant, {}), { priority: PRIORITY, reason: PRIORITY_REASONS.PREGNANT_WOMAN });
+  assert.deepEqual(derivePriority(wheelchair, {}), { priority: PRIORITY, reason: PRIORITY_REASONS.DISABLED_PERSON });
+
+  const off = { seniorCitizenPriority: false, pregnantWomenPriority: false, disabledPriority: false };
+  for (const entry of [senior, pregnant, wheelchair]) {
+    assert.equal(derivePriority(entry, off).priority, NORMAL);
+  }
+
+  // Emergency and urgency do not depend on the switches
+  assert.equal(derivePriority({ ...senior, isEmergency: true }, off).priority, EMERGENCY);
+  assert.equal(derivePriority({ ...senior, urgency: 'STAT' }, off).priority, URGENT);
+});
+
+test('age falls back to date of birth and counts a birthday only once it has passed', () => {
+  const asOf = new Date(2026, 9, 19);
+
+  assert.equal(getPatientAge({ dateOfBirth: new Date(1966, 9, 19) }, asOf), 60);
+  assert.equal(getPatientAge({ dateOfBirth: new Date(1966, 9, 20) }, asOf), 59);
+  assert.equal(getPatientAge({ age: 45, dateOfBirth: new Date(1966, 0, 1) }, asOf), 45);
+  assert.equal(getPatientAge({}, asOf), null);
+});
@@ -43,6 +43,21 @@ export class QueueRepository {
     });
   }
 
+  /**
+   * Bind a service queue to a room unless it is already bound to it
+   * @returns {Promise<boolean>} true when the binding changed
+   */
+  async bindServiceQueueRoom(id, { roomId, counterNumber, location }) {
+    const result = await this.prisma.serviceQueue.updateMany({
+      where: {
+        id,
+        OR: [{ roomId: null }, { roomId: { not: roomId } }]
+      },
+      data: { roomId, counterNumber, location }
+    });
+    return result.count > 0;
+  }
+
   /**
    * Get service queue by code
    */
@@ -227,10 +242,9 @@ export class QueueRepository {
           select: { id: true, billId: true, isEmergency: true }
         }
       },
+      // Positions are kept in calling order by the queue policy (see queue.policy.js)
       orderBy: [
-        // Emergency first, then by priority order, then by join time
-        { isEmergency: 'desc' },
-        { priority: 'asc' }, // EMERGENCY < URGENT < PRIORITY < NORMAL in sort order
+        { position: 'asc' },
         { joinedAt: 'asc' }
       ],
       take: limit,
@@ -302,24 +316,54 @@ export class QueueRepository {
   }
 
   /**
-   * Get next patient to call (respecting priority)
+   * Get active entries with the fields the queue policy orders by
    */
-  async getNextPatientToCall(serviceQueueId) {
-    return this.prisma.patientQueue.findFirst({
+  async getActiveQueueEntries(serviceQueueId) {
+    return this.prisma.patientQueue.findMany({
       where: {
         serviceQueueId,
-        status: 'WAITING'
+        status: { in: ['WAITING', 'CALLED', 'RECALLED'] }
       },
-      include: {
-        patient: true,
-        bill: true,
-        serviceQueue: true
+      select: {
+        id: true,
+        status: true,
+        priority: true,
+        isEmergency: true,
+        joinedAt: true,
+        calledAt: true
+      }
+    });
+  }
+
+  /**
+   * Get entries called since a point in time, most recent first (priority ratio streak)
+   */
+  async getRecentCalls(serviceQueueId, since, limit = 50) {
+    return this.prisma.patientQueue.findMany({
+      where: {
+        serviceQueueId,
+        calledAt: { gte: since }
       },
-      orderBy: [
-        { isEmergency: 'desc' },
-        { priority: 'asc' },
-        { joinedAt: 'asc' }
-      ]
+      select: { id: true, priority: true, isEmergency: true, calledAt: true },
+      orderBy: { calledAt: 'desc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Get called / recalled entries nobody has started serving since before the cutoff
+   */
+  async getOverdueCalls(hospitalId, cutoff) {
+    return this.prisma.patientQueue.findMany({
+      where: {
+        hospitalId,
+        OR: [
+          { status: 'CALLED', calledAt: { lt: cutoff } },
+          { status: 'RECALLED', recalledAt: { lt: cutoff } }
+        ]
+      },
+      select: { id: true, serviceQueueId: true, tokenNumber: true, status: true, calledAt: true, recalledAt: true },
+      orderBy: { calledAt: 'asc' }
     });
   }
 
@@ -400,27 +444,16 @@ export class QueueRepository {
 
   /**
    * Bulk update queue positions
+   * @param {string[]} orderedIds - Entry ids in calling order
+   * @param {number[]} [waitTimes] - Estimated wait (minutes) per entry, same order
    */
-  async recalculatePositions(serviceQueueId) {
-    // Get all waiting patients sorted by priority
-    const waitingPatients = await this.prisma.patientQueue.findMany({
-      where: {
-        serviceQueueId,
-        status: { in: ['WAITING', 'CALLED', 'RECALLED'] }
-      },
-      orderBy: [
-        { isEmergency: 'desc' },
-        { priority: 'asc' },
-        { joinedAt: 'asc' }
-      ],
-      select: { id: true }
-    });
-
-    // Update positions in transaction
-    const updates = waitingPatients.map((patient, index) => 
+  async updatePositions(orderedIds, waitTimes = []) {
+    const updates = orderedIds.map((id, index) => 
       this.prisma.patientQueue.update({
-        where: { id: patient.id },
-        data: { position: index + 1 }
+        where: { id },
+        data: waitTimes[index] !== undefined
+          ? { position: index + 1, estimatedWaitTime: waitTimes[index] }
+          : { position: index + 1 }
       })
     );
 
@@ -465,6 +498,55 @@ export class QueueRepository {
     });
   }
 
+  /**
+   * Get service-time samples for a queue and (optionally) every queue of the same doctor
+   */
+  async getServiceTimeSamples(serviceQueueId, doctorId, since, limit) {
+    return this.prisma.queueHistory.findMany({
+      where: {
+        servedAt: { gte: since },
+        serviceTimeMinutes: { not: null },
+        OR: doctorId
+          ? [{ serviceQueueId }, { serviceQueue: { doctorId } }]
+          : [{ serviceQueueId }]
+      },
+      select: { serviceQueueId: true, servedAt: true, serviceTimeMinutes: true },
+      orderBy: { servedAt: 'desc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Get completed entries that carry a join-time prediction (wait-time accuracy)
+   */
+  async getWaitPredictionHistory(hospitalId, startDate, endDate, serviceQueueId) {
+    const where = {
+      hospitalId,
+      predictedWaitMinutes: { not: null },
+      queueDate: {
+        gte: new Date(startDate),
+        lte: new Date(endDate)
+      }
+    };
+
+    if (serviceQueueId) {
+      where.serviceQueueId = serviceQueueId;
+    }
+
+    return this.prisma.queueHistory.findMany({
+      where,
+      select: {
+        serviceQueueId: true,
+        position: true,
+        joinedAt: true,
+        calledAt: true,
+        waitTimeMinutes: true,
+        predictedWaitMinutes: true,
+        serviceQueue: { select: { queueName: true, averageServiceTime: true } }
+      }
+    });
+  }
+
   /**
    * Get aggregate statistics for a date range
    */
@@ -535,6 +617,76 @@ export class QueueRepository {
     };
   }
 
+  // ==================== QUEUE SETTINGS OPERATIONS ====================
+
+  /**
+   * Get hospital queue settings
+   */
+  async getQueueSettings(hospitalId) {
+    return this.prisma.queueSettings.findUnique({
+      where: { hospitalId }
+    });
+  }
+
+  /**
+   * Create or update hospital queue settings
+   */
+  async upsertQueueSettings(hospitalId, data) {
+    return this.prisma.queueSettings.upsert({
+      where: { hospitalId },
+      create: { hospitalId, ...data },
+      update: data
+    });
+  }
+
+  /**
+   * Update every service queue of a hospital
+   */
+  async updateAllServiceQueues(hospitalId, data) {
+    return this.prisma.serviceQueue.updateMany({
+      where: { hospitalId },
+      data
+    });
+  }
+
+  // ==================== QUEUE EVENT OPERATIONS ====================
+
+  /**
+   * Append an event to the queue event log
+   */
+  async createQueueEvent(data) {
+    return this.prisma.queueEvent.create({ data });
+  }
+
+  /**
+   * Get pause / resume events of a queue since a point in time
+   */
+  async getPauseEvents(serviceQueueId, since) {
+    return this.prisma.queueEvent.findMany({
+      where: {
+        serviceQueueId,
+        eventType: { in: ['QUEUE_PAUSED', 'QUEUE_RESUMED'] },
+        createdAt: { gte: since }
+      },
+      select: { eventType: true, createdAt: true },
+      orderBy: { sequence: 'asc' }
+    });
+  }
+
+  /**
+   * Get events after a sequence number (replay for reconnecting screens)
+   */
+  async getQueueEventsSince(serviceQueueIds, afterSequence, limit = 200) {
+    return this.prisma.queueEvent.findMany({
+      where: {
+        serviceQueueId: { in: serviceQueueIds },
+        sequence: { gt: afterSequence }
+      },
+      orderBy: { sequence: 'asc' },
+      take: limit
+    });
+  }
+
   // ==================== COUNTER OPERATIONS ====================
 
   /**
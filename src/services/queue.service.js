@@ -5,26 +5,49 @@
  * Features:
  * - Auto-queue from billing with emergency prioritization
  * - Multiple service queues (OPD, Diagnostics, Billing counters)
- * - Priority-based calling (Emergency > Urgent > Priority > Normal)
+ * - Priority-based calling (Emergency > Urgent > Priority/Normal interleaved by priority ratio)
+ * - QueueSettings policies: special-category priority, auto-skip of no-shows, max skips
  * - Skip, recall, transfer functionality
  * - Real-time position tracking
- * - Wait time estimation
+ * - Wait time prediction from queue history (per queue, doctor, weekday and hour)
+ * - Push events (call, recall, skip, transfer, pause) to display boards and staff consoles
+ * - Doctor queues follow the consultation room allocated to the doctor's current session
  */
 
 import { QueueRepository } from './queue.repository.js';
+import { publishQueueEvent } from './queue.events.js';
+import { RoomService } from './room.service.js';
+import { formatRoomLabel, formatRoomLocation } from './room.constants.js';
+import {
+  resolveQueueSettings,
+  derivePriority,
+  orderQueueEntries,
+  selectNextEntry,
+  countNormalStreak,
+  getAutoSkipDeadline
+} from './queue.policy.js';
+import {
+  buildServiceTimeModel,
+  projectWaitTimes,
+  typicalPauseMinutes,
+  summariseAccuracy
+} from './queue.estimator.js';
 import { tenantContext } from '../core/context/index.js';
+import logger from '../utils/logger.js';
 import {
   QUEUE_STATUS,
   QUEUE_PRIORITY,
-  PRIORITY_ORDER,
   SERVICE_TYPE,
   QUEUE_CONFIG,
+  QUEUE_POLICY,
+  WAIT_ESTIMATION,
   PRIORITY_REASONS,
-  determinePriority,
+  QUEUE_EVENT,
   calculateEstimatedWaitTime,
   formatTokenNumber,
   generateQueueCode,
-  sortQueueByPriority
+  sortQueueByPriority,
+  buildAnnouncement
 } from './queue.constants.js';
 import { 
   ValidationError, 
@@ -32,6 +55,9 @@ import {
   ConflictError 
 } from '../shared/AppError.js';
 
+// Service-time models per service queue, rebuilt after WAIT_ESTIMATION.MODEL_CACHE_TTL_MS
+const waitModelCache = new Map();
+
 export class QueueService {
   constructor(prisma) {
     this.prisma = prisma;
@@ -57,11 +83,15 @@ export class QueueService {
       throw new ConflictError(`Queue with code ${data.queueCode} already exists`);
     }
 
+    const settings = await this.getQueueSettings();
+
     // Validate service type
     if (!Object.values(SERVICE_TYPE).includes(data.serviceType)) {
       throw new ValidationError(`Invalid service type: ${data.serviceType}`);
     }
 
+    const room = data.roomId ? await this.getRoomForQueue(data.roomId, hospitalId) : null;
+
     const serviceQueue = await this.repository.createServiceQueue({
       hospitalId,
       queueCode: data.queueCode,
@@ -71,14 +101,15 @@ export class QueueService {
       department: data.department || null,
       doctorId: data.doctorId || null,
       employeeId: data.employeeId || null,
-      counterNumber: data.counterNumber || null,
-      location: data.location || null,
+      roomId: room?.id || null,
+      counterNumber: room ? formatRoomLabel(room) : (data.counterNumber || null),
+      location: data.location || (room && formatRoomLocation(room)) || null,
       maxCapacity: data.maxCapacity || QUEUE_CONFIG.MAX_QUEUE_CAPACITY,
       averageServiceTime: data.averageServiceTime || QUEUE_CONFIG.DEFAULT_AVG_SERVICE_TIME,
       workingHours: data.workingHours || null,
       breakTimes: data.breakTimes || null,
-      priorityRatio: data.priorityRatio || QUEUE_CONFIG.PRIORITY_RATIO,
-      emergencyFirst: data.emergencyFirst ?? QUEUE_CONFIG.EMERGENCY_ALWAYS_FIRST,
+      priorityRatio: data.priorityRatio ?? settings.priorityRatio,
+      emergencyFirst: data.emergencyFirst ?? settings.emergencyFirst,
       displayEnabled: data.displayEnabled ?? true,
       announcementEnabled: data.announcementEnabled ?? true,
       createdBy: userId
@@ -129,7 +160,7 @@ export class QueueService {
       waitingList: waitingList.map((entry, index) => ({
         ...entry,
         position: index + 1,
-        estimatedWaitTime: calculateEstimatedWaitTime(index + 1, queue.averageServiceTime)
+        estimatedWaitTime: entry.estimatedWaitTime ?? calculateEstimatedWaitTime(index + 1, queue.averageServiceTime)
       })),
       todayStats: stats
     };
@@ -146,6 +177,16 @@ export class QueueService {
       throw new NotFoundError('Service queue not found');
     }
 
+    // Binding a room sets the label display boards show
+    if (data.roomId) {
+      const room = await this.getRoomForQueue(data.roomId, hospitalId);
+      data = {
+        ...data,
+        counterNumber: formatRoomLabel(room),
+        location: data.location || formatRoomLocation(room) || queue.location
+      };
+    }
+
     const updated = await this.repository.updateServiceQueue(serviceQueueId, data);
     
     return {
@@ -157,7 +198,7 @@ export class QueueService {
   /**
    * Pause/Resume service queue
    */
-  async toggleQueueStatus(serviceQueueId, isPaused, reason) {
+  async toggleQueueStatus(serviceQueueId, isPaused, reason, userId) {
     const hospitalId = tenantContext.getHospitalId();
     const queue = await this.repository.getServiceQueueById(serviceQueueId);
     
@@ -171,6 +212,12 @@ export class QueueService {
       isAcceptingPatients: !isPaused
     });
 
+    await this.broadcastEvent(
+      isPaused ? QUEUE_EVENT.QUEUE_PAUSED : QUEUE_EVENT.QUEUE_RESUMED,
+      updated,
+      { userId, payload: isPaused ? { reason: reason || null } : {} }
+    );
+
     return {
       message: isPaused ? 'Queue paused' : 'Queue resumed',
       serviceQueue: updated
@@ -218,7 +265,7 @@ export class QueueService {
     // Get patient details for priority calculation
     const patient = await this.prisma.patient.findUnique({
       where: { id: patientId },
-      select: { id: true, patientId: true, name: true, age: true, gender: true, isPregnant: true }
+      select: { id: true, patientId: true, name: true, age: true, dateOfBirth: true, gender: true, isPregnant: true }
     });
 
     if (!patient) {
@@ -238,13 +285,12 @@ export class QueueService {
       throw new ConflictError('Patient is already in this queue');
     }
 
-    // Determine priority
-    const { priority, reason: priorityReason } = determinePriority({
-      isEmergency: isEmergency || false,
-      urgency: urgency || 'ROUTINE',
-      patientAge: patient.age,
-      isPregnant: patient.isPregnant
-    });
+    // Determine priority (special categories per QueueSettings)
+    const settings = await this.getQueueSettings();
+    const { priority, reason: priorityReason } = derivePriority(
+      { isEmergency, urgency, patient, specialNeeds },
+      settings
+    );
 
     // Get token number
     const tokenNumber = await this.repository.getNextTokenNumber(serviceQueueId);
@@ -252,11 +298,8 @@ export class QueueService {
     // Generate queue number
     const queueNumber = await this.repository.getNextQueueNumber(hospitalId, 'QUE');
 
-    // Calculate initial position
-    const position = await this.calculatePosition(serviceQueueId, priority, isEmergency);
-
-    // Calculate estimated wait time
-    const estimatedWaitTime = calculateEstimatedWaitTime(position, serviceQueue.averageServiceTime);
+    // Calculate initial position and predicted wait
+    const { position, estimatedWaitTime } = await this.calculatePosition(serviceQueue, priority, isEmergency || false);
 
     // Create queue entry
     const queueEntry = await this.repository.createPatientQueue({
@@ -272,11 +315,13 @@ export class QueueService {
       position,
       originalPosition: position,
       estimatedWaitTime,
+      initialEstimatedWaitTime: estimatedWaitTime,
       status: QUEUE_STATUS.WAITING,
       serviceName: serviceQueue.queueName,
       serviceType: serviceQueue.serviceType,
       diagnosticOrderId: diagnosticOrderId || null,
       specialNeeds: specialNeeds || null,
+      maxSkips: settings.maxSkips,
       notes: notes || null,
       createdBy: userId
     });
@@ -287,7 +332,7 @@ export class QueueService {
     });
 
     // Recalculate positions for all waiting patients
-    await this.repository.recalculatePositions(serviceQueueId);
+    await this.recalculatePositions(serviceQueue);
 
     return {
       message: 'Patient added to queue successfully',
@@ -302,39 +347,178 @@ export class QueueService {
   }
 
   /**
-   * Calculate position for new entry based on priority
+   * Calculate position and predicted wait for a new entry based on priority
+   * @returns {Promise<{ position: number, estimatedWaitTime: number }>}
    */
-  async calculatePosition(serviceQueueId, priority, isEmergency) {
-    const waitingQueue = await this.repository.getWaitingQueue(serviceQueueId);
-    
-    if (waitingQueue.length === 0) return 1;
+  async calculatePosition(serviceQueue, priority, isEmergency) {
+    const newEntry = {
+      id: null,
+      status: QUEUE_STATUS.WAITING,
+      priority,
+      isEmergency,
+      joinedAt: new Date()
+    };
 
-    const priorityNum = PRIORITY_ORDER[priority];
+    const ordered = await this.getCallingOrder(serviceQueue, [newEntry]);
+    const index = ordered.indexOf(newEntry);
+    const projections = await this.estimateWaitTimes(serviceQueue, ordered);
 
-    // Find position based on priority
-    let position = 1;
-    for (const entry of waitingQueue) {
-      const entryPriorityNum = PRIORITY_ORDER[entry.priority];
-      
-      // Emergency always goes first
-      if (isEmergency && !entry.isEmergency) break;
-      if (!isEmergency && entry.isEmergency) {
-        position++;
-        continue;
-      }
-      
-      // Same emergency status, compare priority
-      if (priorityNum < entryPriorityNum) break;
-      if (priorityNum === entryPriorityNum) {
-        position = waitingQueue.filter(e => 
-          e.priority === priority && e.isEmergency === isEmergency
-        ).length + 1;
-        break;
-      }
-      position++;
+    return {
+      position: index + 1,
+      estimatedWaitTime: projections[index].waitMinutes
+    };
+  }
+
+  /**
+   * Active entries of a service queue in the order they will be called
+   * @param {Object} serviceQueue - ServiceQueue (priorityRatio, emergencyFirst)
+   * @param {Object[]} extraEntries - Entries not yet saved, ordered along with the rest
+   */
+  async getCallingOrder(serviceQueue, extraEntries = []) {
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const [entries, recentCalls] = await Promise.all([
+      this.repository.getActiveQueueEntries(serviceQueue.id),
+      this.repository.getRecentCalls(serviceQueue.id, startOfDay)
+    ]);
+
+    const { priorityRatio, emergencyFirst } = serviceQueue;
+    return orderQueueEntries([...entries, ...extraEntries], {
+      priorityRatio,
+      emergencyFirst,
+      normalStreak: countNormalStreak(recentCalls, { emergencyFirst })
+    });
+  }
+
+  /**
+   * Store calling order as queue positions, with re-predicted waits
+   * @param {Object|string} serviceQueue - ServiceQueue or its id
+   */
+  async recalculatePositions(serviceQueue) {
+    const queue = typeof serviceQueue === 'string'
+      ? await this.repository.getServiceQueueById(serviceQueue)
+      : serviceQueue;
+
+    const ordered = await this.getCallingOrder(queue);
+    const projections = await this.estimateWaitTimes(queue, ordered);
+
+    await this.repository.updatePositions(
+      ordered.map(entry => entry.id),
+      projections.map(p => p.waitMinutes)
+    );
+    return ordered;
+  }
+
+  // ==================== WAIT TIME PREDICTION ====================
+
+  /**
+   * Service-time model learned from QueueHistory (cached per queue)
+   */
+  async getWaitTimeModel(serviceQueue) {
+    const cached = waitModelCache.get(serviceQueue.id);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.model;
+    }
+
+    const since = new Date(Date.now() - WAIT_ESTIMATION.LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const samples = await this.repository.getServiceTimeSamples(
+      serviceQueue.id,
+      serviceQueue.doctorId,
+      since,
+      WAIT_ESTIMATION.MAX_SAMPLES
+    );
+
+    const model = buildServiceTimeModel(samples, serviceQueue.id, serviceQueue.averageServiceTime);
+    waitModelCache.set(serviceQueue.id, { model, expiresAt: Date.now() + WAIT_ESTIMATION.MODEL_CACHE_TTL_MS });
+    return model;
+  }
+
+  /**
+   * Expected remaining pause (minutes) for a paused queue, from its past pauses
+   */
+  async getExpectedPauseMinutes(serviceQueue, now = new Date()) {
+    if (!serviceQueue.isPaused) return 0;
+
+    const since = new Date(now.getTime() - WAIT_ESTIMATION.LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const events = await this.repository.getPauseEvents(serviceQueue.id, since);
+    const lastPause = [...events].reverse().find(e => e.eventType === QUEUE_EVENT.QUEUE_PAUSED);
+    const elapsed = lastPause ? (now - new Date(lastPause.createdAt)) / 60000 : 0;
+
+    return Math.max(typicalPauseMinutes(events) - elapsed, WAIT_ESTIMATION.MIN_PAUSE_REMAINING_MINUTES);
+  }
+
+  /**
+   * Predict waits for entries in calling order
+   * @returns {Promise<Object[]>} per entry: { waitMinutes, expectedCallAt, basis }
+   */
+  async estimateWaitTimes(serviceQueue, ordered) {
+    if (!ordered.length) return [];
+
+    const now = new Date();
+    const [model, serving, pauseMinutes] = await Promise.all([
+      this.getWaitTimeModel(serviceQueue),
+      this.repository.getCurrentlyServing(serviceQueue.id),
+      this.getExpectedPauseMinutes(serviceQueue, now)
+    ]);
+
+    return projectWaitTimes({
+      ordered,
+      model,
+      serving,
+      breakTimes: serviceQueue.breakTimes,
+      pauseMinutes,
+      now
+    });
+  }
+
+  /**
+   * Predicted (at join) vs actual (join -> call) waits for completed entries
+   * @param {Object} filters - { startDate, endDate, serviceQueueId? }
+   */
+  async getWaitTimeAccuracy({ startDate, endDate, serviceQueueId } = {}) {
+    const hospitalId = tenantContext.getHospitalId();
+
+    if (!startDate || !endDate) {
+      throw new ValidationError('startDate and endDate are required');
     }
 
-    return position;
+    const history = await this.repository.getWaitPredictionHistory(hospitalId, startDate, endDate, serviceQueueId);
+
+    const rows = history.map(h => ({
+      serviceQueueId: h.serviceQueueId,
+      queueName: h.serviceQueue?.queueName,
+      hour: new Date(h.joinedAt).getHours(),
+      predicted: h.predictedWaitMinutes,
+      actual: h.calledAt
+        ? Math.round((new Date(h.calledAt) - new Date(h.joinedAt)) / 60000)
+        : h.waitTimeMinutes,
+      // What the old static estimate (position x average service time) would have said
+      baseline: calculateEstimatedWaitTime(h.position, h.serviceQueue?.averageServiceTime || QUEUE_CONFIG.DEFAULT_AVG_SERVICE_TIME)
+    })).filter(r => typeof r.actual === 'number');
+
+    const group = (keyFn) => {
+      const groups = new Map();
+      for (const row of rows) {
+        const key = keyFn(row);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      }
+      return groups;
+    };
+
+    return {
+      period: { startDate, endDate },
+      overall: summariseAccuracy(rows),
+      byQueue: [...group(r => r.serviceQueueId)].map(([id, queueRows]) => ({
+        serviceQueueId: id,
+        queueName: queueRows[0].queueName,
+        ...summariseAccuracy(queueRows)
+      })),
+      byHour: [...group(r => r.hour)]
+        .sort(([a], [b]) => a - b)
+        .map(([hour, hourRows]) => ({ hour, ...summariseAccuracy(hourRows) }))
+    };
   }
 
   /**
@@ -475,20 +659,23 @@ export class QueueService {
    */
   async callNextPatient(serviceQueueId, userId) {
     const hospitalId = tenantContext.getHospitalId();
-    const serviceQueue = await this.repository.getServiceQueueById(serviceQueueId);
+    let serviceQueue = await this.repository.getServiceQueueById(serviceQueueId);
     
     if (!serviceQueue || serviceQueue.hospitalId !== hospitalId) {
       throw new NotFoundError('Service queue not found');
     }
 
+    // Announce the room of the session the doctor is in now
+    serviceQueue = await this.bindAssignedRoom(serviceQueue);
+
     // Check if someone is currently being served
     const currentlyServing = await this.repository.getCurrentlyServing(serviceQueueId);
     if (currentlyServing) {
       throw new ValidationError('Complete current patient before calling next');
     }
 
-    // Get next patient (respects priority)
-    const nextPatient = await this.repository.getNextPatientToCall(serviceQueueId);
+    // Get next patient (priority lanes interleaved by the queue's priority ratio)
+    const nextPatient = selectNextEntry(await this.getCallingOrder(serviceQueue));
     
     if (!nextPatient) {
       return {
@@ -508,15 +695,27 @@ export class QueueService {
 
     // Update service queue current token
     await this.repository.updateServiceQueue(serviceQueueId, {
-      currentToken: nextPatient.tokenNumber,
+      currentToken: updated.tokenNumber,
       currentServingId: nextPatient.id
     });
 
+    // Called token moves to the front; the priority streak has changed
+    await this.recalculatePositions(serviceQueue);
+
+    const settings = await this.getQueueSettings();
+
+    await this.broadcastEvent(QUEUE_EVENT.TOKEN_CALLED, serviceQueue, {
+      entry: updated,
+      userId,
+      payload: { priority: updated.priority, isEmergency: updated.isEmergency }
+    });
+
     return {
       message: 'Patient called',
       calledPatient: {
         ...updated,
-        displayToken: formatTokenNumber(nextPatient.tokenNumber, serviceQueue.shortName)
+        displayToken: formatTokenNumber(updated.tokenNumber, serviceQueue.shortName),
+        autoSkipAt: getAutoSkipDeadline(updated, settings.autoSkipAfterMins)
       }
     };
   }
@@ -599,6 +798,7 @@ export class QueueService {
       calledAt: patientQueue.calledAt,
       servedAt: patientQueue.servedAt,
       completedAt: now,
+      predictedWaitMinutes: patientQueue.initialEstimatedWaitTime,
       waitTimeMinutes,
       serviceTimeMinutes,
       totalTimeMinutes: waitTimeMinutes + serviceTimeMinutes,
@@ -608,7 +808,7 @@ export class QueueService {
     });
 
     // Recalculate positions
-    await this.repository.recalculatePositions(patientQueue.serviceQueueId);
+    await this.recalculatePositions(patientQueue.serviceQueue);
 
     return {
       message: 'Service completed',
@@ -623,8 +823,9 @@ export class QueueService {
 
   /**
    * Skip patient (not present when called)
+   * @param {Object} options - { auto: true } when the auto-skip scheduler skips a no-show
    */
-  async skipPatient(patientQueueId, userId) {
+  async skipPatient(patientQueueId, userId, { auto = false } = {}) {
     const hospitalId = tenantContext.getHospitalId();
     const patientQueue = await this.repository.getPatientQueueById(patientQueueId);
     
@@ -632,20 +833,23 @@ export class QueueService {
       throw new NotFoundError('Queue entry not found');
     }
 
-    if (patientQueue.status !== QUEUE_STATUS.CALLED) {
+    if (patientQueue.status !== QUEUE_STATUS.CALLED && patientQueue.status !== QUEUE_STATUS.RECALLED) {
       throw new ValidationError('Can only skip called patients');
     }
 
     const newSkipCount = patientQueue.skipCount + 1;
+    // Limit captured from QueueSettings when the patient joined
+    const maxSkips = patientQueue.maxSkips || QUEUE_CONFIG.MAX_SKIP_COUNT;
+    const skipNote = auto ? 'auto-skipped, not present when called' : null;
 
     // Check if max skips reached
-    if (newSkipCount >= QUEUE_CONFIG.MAX_SKIP_COUNT) {
+    if (newSkipCount >= maxSkips) {
       // Auto-cancel
       const updated = await this.repository.updatePatientQueue(patientQueueId, {
         status: QUEUE_STATUS.CANCELLED,
         skipCount: newSkipCount,
         lastSkippedAt: new Date(),
-        notes: `Auto-cancelled after ${newSkipCount} skips`,
+        notes: `Auto-cancelled after ${newSkipCount} skips${skipNote ? ` (${skipNote})` : ''}`,
         updatedBy: userId
       });
 
@@ -654,6 +858,14 @@ export class QueueService {
         currentServingId: null
       });
 
+      await this.recalculatePositions(patientQueue.serviceQueue);
+
+      await this.broadcastEvent(QUEUE_EVENT.TOKEN_SKIPPED, patientQueue.serviceQueue, {
+        entry: updated,
+        userId,
+        payload: { skipCount: newSkipCount, maxSkipCount: maxSkips, autoCancelled: true, autoSkipped: auto }
+      });
+
       return {
         message: `Patient auto-cancelled after ${newSkipCount} skips`,
         skipped: updated,
@@ -675,10 +887,16 @@ export class QueueService {
     });
 
     // Recalculate positions
-    await this.repository.recalculatePositions(patientQueue.serviceQueueId);
+    await this.recalculatePositions(patientQueue.serviceQueue);
+
+    await this.broadcastEvent(QUEUE_EVENT.TOKEN_SKIPPED, patientQueue.serviceQueue, {
+      entry: updated,
+      userId,
+      payload: { skipCount: newSkipCount, maxSkipCount: maxSkips, autoCancelled: false, autoSkipped: auto }
+    });
 
     return {
-      message: `Patient skipped (${newSkipCount}/${QUEUE_CONFIG.MAX_SKIP_COUNT})`,
+      message: `Patient skipped (${newSkipCount}/${maxSkips})`,
       skipped: updated,
       autoCancelled: false
     };
@@ -705,6 +923,12 @@ export class QueueService {
       updatedBy: userId
     });
 
+    await this.broadcastEvent(QUEUE_EVENT.TOKEN_RECALLED, patientQueue.serviceQueue, {
+      entry: updated,
+      userId,
+      payload: { skipCount: updated.skipCount }
+    });
+
     return {
       message: 'Patient recalled',
       recalled: updated
@@ -758,7 +982,19 @@ export class QueueService {
     });
 
     // Recalculate old queue positions
-    await this.repository.recalculatePositions(patientQueue.serviceQueueId);
+    await this.recalculatePositions(patientQueue.serviceQueue);
+
+    await this.broadcastEvent(QUEUE_EVENT.TOKEN_TRANSFERRED, patientQueue.serviceQueue, {
+      entry: patientQueue,
+      userId,
+      targetQueue: newQueue,
+      payload: {
+        targetServiceQueueId: newQueue.id,
+        targetPatientQueueId: newEntry.queueEntry.id,
+        targetDisplayToken: formatTokenNumber(newEntry.queueEntry.tokenNumber, newQueue.shortName),
+        reason: reason || null
+      }
+    });
 
     return {
       message: 'Patient transferred',
@@ -796,7 +1032,7 @@ export class QueueService {
     });
 
     // Recalculate positions
-    await this.repository.recalculatePositions(patientQueue.serviceQueueId);
+    await this.recalculatePositions(patientQueue.serviceQueue);
 
     return {
       message: 'Patient removed from queue',
@@ -826,7 +1062,7 @@ export class QueueService {
     });
 
     // Recalculate positions
-    await this.repository.recalculatePositions(patientQueue.serviceQueueId);
+    await this.recalculatePositions(patientQueue.serviceQueue);
 
     return {
       message: `Priority changed to ${newPriority}`,
@@ -846,13 +1082,27 @@ export class QueueService {
       throw new NotFoundError('Queue entry not found');
     }
 
-    const position = await this.repository.getPatientPosition(
-      patientQueueId, 
-      patientQueue.serviceQueueId
-    );
-
     const serviceQueue = patientQueue.serviceQueue;
-    const estimatedWaitTime = calculateEstimatedWaitTime(position, serviceQueue.averageServiceTime);
+
+    // Kept in calling order by recalculatePositions
+    let position = patientQueue.position;
+    let estimatedWaitTime = patientQueue.estimatedWaitTime ?? calculateEstimatedWaitTime(position, serviceQueue.averageServiceTime);
+    let expectedCallAt = null;
+    let estimateBasis = null;
+
+    // Re-predict for patients still waiting so the estimate reflects elapsed time, breaks and pauses
+    if ([QUEUE_STATUS.WAITING, QUEUE_STATUS.CALLED, QUEUE_STATUS.RECALLED].includes(patientQueue.status)) {
+      const ordered = await this.getCallingOrder(serviceQueue);
+      const index = ordered.findIndex(entry => entry.id === patientQueueId);
+
+      if (index >= 0) {
+        const projection = (await this.estimateWaitTimes(serviceQueue, ordered))[index];
+        position = index + 1;
+        estimatedWaitTime = projection.waitMinutes;
+        expectedCallAt = projection.expectedCallAt;
+        estimateBasis = projection.basis;
+      }
+    }
 
     return {
       queueEntry: {
@@ -860,7 +1110,10 @@ export class QueueService {
         displayToken: formatTokenNumber(patientQueue.tokenNumber, serviceQueue.shortName),
         position,
         estimatedWaitTime,
-        estimatedWaitTimeFormatted: this.formatWaitTime(estimatedWaitTime)
+        estimatedWaitTimeFormatted: this.formatWaitTime(estimatedWaitTime),
+        expectedCallAt,
+        estimateBasis,
+        queuePaused: serviceQueue.isPaused
       }
     };
   }
@@ -882,14 +1135,14 @@ export class QueueService {
     return {
       patient: { id: patient.id, patientId: patient.patientId, name: patient.name },
       activeQueues: await Promise.all(queues.map(async (q) => {
-        const position = await this.repository.getPatientPosition(q.id, q.serviceQueueId);
+        const position = q.position;
         return {
           ...q,
           displayToken: formatTokenNumber(q.tokenNumber, q.serviceQueue?.shortName),
           position,
-          estimatedWaitTime: calculateEstimatedWaitTime(position, q.serviceQueue?.averageServiceTime || 10),
+          estimatedWaitTime: q.estimatedWaitTime ?? calculateEstimatedWaitTime(position, q.serviceQueue?.averageServiceTime || 10),
           estimatedWaitTimeFormatted: this.formatWaitTime(
-            calculateEstimatedWaitTime(position, q.serviceQueue?.averageServiceTime || 10)
+            q.estimatedWaitTime ?? calculateEstimatedWaitTime(position, q.serviceQueue?.averageServiceTime || 10)
           )
         };
       }))
@@ -900,12 +1153,14 @@ export class QueueService {
    * Get queue display data (for TV/Monitor)
    */
   async getQueueDisplay(serviceQueueId, hospitalId) {
-    const serviceQueue = await this.repository.getServiceQueueById(serviceQueueId);
+    let serviceQueue = await this.repository.getServiceQueueById(serviceQueueId);
     
     if (!serviceQueue || serviceQueue.hospitalId !== hospitalId) {
       throw new NotFoundError('Service queue not found');
     }
 
+    serviceQueue = await this.bindAssignedRoom(serviceQueue);
+
     const waitingList = await this.repository.getWaitingQueue(serviceQueueId, { limit: 10 });
     const currentlyServing = await this.repository.getCurrentlyServing(serviceQueueId);
 
@@ -928,7 +1183,8 @@ export class QueueService {
         displayToken: formatTokenNumber(entry.tokenNumber, serviceQueue.shortName),
         patientName: entry.patient?.name?.split(' ')[0], // First name only for privacy
         priority: entry.priority,
-        isEmergency: entry.isEmergency
+        isEmergency: entry.isEmergency,
+        estimatedWaitTime: entry.estimatedWaitTime
       })),
       stats: {
         totalWaiting: waitingList.length,
@@ -950,6 +1206,231 @@ export class QueueService {
     };
   }
 
+  // ==================== QUEUE SETTINGS & POLICY ====================
+
+  /**
+   * Get hospital queue settings (defaults until an admin saves them)
+   */
+  async getQueueSettings() {
+    const hospitalId = tenantContext.getHospitalId();
+    const stored = hospitalId ? await this.repository.getQueueSettings(hospitalId) : null;
+
+    return { ...resolveQueueSettings(stored), isDefault: !stored };
+  }
+
+  /**
+   * Update hospital queue settings
+   * applyToServiceQueues: also push priorityRatio / emergencyFirst to every existing service queue
+   */
+  async updateQueueSettings(data) {
+    const hospitalId = tenantContext.getHospitalId();
+    const updateData = {};
+
+    const intRules = {
+      avgConsultationTime: [1, 240],
+      avgDiagnosticTime: [1, 240],
+      avgBillingTime: [1, 240],
+      priorityRatio: [0, QUEUE_POLICY.MAX_PRIORITY_RATIO],
+      autoSkipAfterMins: [0, QUEUE_POLICY.MAX_AUTO_SKIP_MINS], // 0 turns auto-skip off
+      maxSkips: [1, QUEUE_POLICY.MAX_SKIPS]
+    };
+    for (const [field, [min, max]] of Object.entries(intRules)) {
+      if (data[field] === undefined) continue;
+      const value = Number(data[field]);
+      if (!Number.isInteger(value) || value < min || value > max) {
+        throw new ValidationError(`${field} must be a whole number between ${min} and ${max}`, field);
+      }
+      updateData[field] = value;
+    }
+
+    for (const field of ['emergencyFirst', 'seniorCitizenPriority', 'pregnantWomenPriority', 'disabledPriority']) {
+      if (data[field] === undefined) continue;
+      if (typeof data[field] !== 'boolean') {
+        throw new ValidationError(`${field} must be true or false`, field);
+      }
+      updateData[field] = data[field];
+    }
+
+    if (Object.keys(updateData).length === 0 && !data.applyToServiceQueues) {
+      throw new ValidationError('No queue settings to update');
+    }
+
+    const saved = await this.repository.upsertQueueSettings(hospitalId, updateData);
+    let serviceQueuesUpdated = 0;
+
+    if (data.applyToServiceQueues) {
+      const result = await this.repository.updateAllServiceQueues(hospitalId, {
+        priorityRatio: saved.priorityRatio,
+        emergencyFirst: saved.emergencyFirst
+      });
+      serviceQueuesUpdated = result.count;
+
+      const queues = await this.repository.getServiceQueues(hospitalId, { isActive: true });
+      for (const queue of queues) {
+        await this.recalculatePositions(queue);
+      }
+    }
+
+    return {
+      message: 'Queue settings updated',
+      settings: { ...resolveQueueSettings(saved), isDefault: false },
+      serviceQueuesUpdated
+    };
+  }
+
+  /**
+   * Skip called patients who have not shown up within autoSkipAfterMins
+   * (auto-cancels once they reach their skip limit). Run by the queue policy worker.
+   */
+  async autoSkipOverdueCalls() {
+    const hospitalId = tenantContext.getHospitalId();
+    const result = { checked: 0, skipped: 0, cancelled: 0, failed: 0 };
+    if (!hospitalId) return result;
+
+    const settings = await this.getQueueSettings();
+    if (!settings.autoSkipAfterMins) return result;
+
+    const cutoff = new Date(Date.now() - settings.autoSkipAfterMins * 60000);
+    const overdue = await this.repository.getOverdueCalls(hospitalId, cutoff);
+    result.checked = overdue.length;
+
+    for (const entry of overdue) {
+      try {
+        const skip = await this.skipPatient(entry.id, null, { auto: true });
+        if (skip.autoCancelled) result.cancelled++;
+        else result.skipped++;
+      } catch (error) {
+        result.failed++;
+        logger.error(`[Queue] Auto-skip failed for entry ${entry.id}:`, error.message);
+      }
+    }
+
+    return result;
+  }
+
+  // ==================== ROOM BINDING ====================
+
+  /**
+   * Move a doctor's queue to the room allocated for their current session.
+   * The last room is kept once the session ends so late patients still find it.
+   * Never throws: a failed lookup must not block calling or the display board.
+   * @returns {Object} the service queue with roomId / counterNumber / location refreshed
+   */
+  async bindAssignedRoom(serviceQueue, at = new Date()) {
+    if (!serviceQueue.doctorId) return serviceQueue;
+
+    try {
+      const assigned = await new RoomService(this.prisma)
+        .resolveRoomForDoctor(serviceQueue.hospitalId, serviceQueue.doctorId, at);
+
+      if (!assigned || assigned.room.id === serviceQueue.roomId) return serviceQueue;
+
+      const { room } = assigned;
+      const binding = {
+        roomId: room.id,
+        counterNumber: formatRoomLabel(room),
+        location: formatRoomLocation(room) || serviceQueue.location
+      };
+
+      // Conditional update: concurrent display refreshes announce the move once
+      const moved = await this.repository.bindServiceQueueRoom(serviceQueue.id, binding);
+      const bound = { ...serviceQueue, ...binding };
+
+      if (moved) {
+        await this.broadcastEvent(QUEUE_EVENT.ROOM_CHANGED, bound, {
+          payload: { roomId: room.id, roomNumber: room.roomNumber, allocationId: assigned.allocation.id }
+        });
+      }
+
+      return bound;
+    } catch (error) {
+      logger.error(`[Queue] Room binding failed for queue ${serviceQueue.id}:`, error.message);
+      return serviceQueue;
+    }
+  }
+
+  /**
+   * Room a service queue can be bound to
+   */
+  async getRoomForQueue(roomId, hospitalId) {
+    const room = await this.prisma.consultationRoom.findFirst({
+      where: { id: roomId, hospitalId }
+    });
+
+    if (!room) {
+      throw new NotFoundError('Consultation room');
+    }
+    if (!room.isAvailable) {
+      throw new ValidationError(`Room ${room.roomNumber} is not available`, 'roomId');
+    }
+
+    return room;
+  }
+
+  // ==================== LIVE EVENTS ====================
+
+  /**
+   * Record a queue event and push it to subscribed display boards / consoles.
+   * Never throws: a failed broadcast must not fail the queue operation itself.
+   */
+  async broadcastEvent(eventType, serviceQueue, { entry = null, userId = null, targetQueue = null, payload = {} } = {}) {
+    try {
+      const displayToken = entry ? formatTokenNumber(entry.tokenNumber, serviceQueue.shortName) : null;
+      const counterNumber = entry?.counterNumber || serviceQueue.counterNumber || null;
+
+      const event = await this.repository.createQueueEvent({
+        hospitalId: serviceQueue.hospitalId,
+        serviceQueueId: serviceQueue.id,
+        patientQueueId: entry?.id || null,
+        eventType,
+        tokenNumber: entry?.tokenNumber ?? null,
+        displayToken,
+        counterNumber,
+        announcement: serviceQueue.announcementEnabled
+          ? buildAnnouncement(eventType, {
+              displayToken,
+              counterNumber,
+              queueName: serviceQueue.shortName || serviceQueue.queueName,
+              targetQueueName: targetQueue ? (targetQueue.counterNumber || targetQueue.queueName) : null,
+              reason: payload.reason
+            })
+          : null,
+        payload,
+        createdBy: userId
+      });
+
+      publishQueueEvent(event);
+      return event;
+    } catch (error) {
+      logger.error(`[Queue] Failed to broadcast ${eventType}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the service queues a staff console subscribes to
+   * @param {Object} params - { serviceQueueIds?: string[], doctorId?: string }
+   * @returns {Promise<string[]>}
+   */
+  async getStreamQueueIds({ serviceQueueIds = [], doctorId } = {}) {
+    const hospitalId = tenantContext.getHospitalId();
+
+    if (!serviceQueueIds.length && !doctorId) {
+      throw new ValidationError('serviceQueueIds or doctorId is required');
+    }
+
+    const queues = await this.repository.getServiceQueues(hospitalId, { doctorId, isActive: true });
+    const ids = queues
+      .map(q => q.id)
+      .filter(id => !serviceQueueIds.length || serviceQueueIds.includes(id));
+
+    if (!ids.length) {
+      throw new NotFoundError('Service queue');
+    }
+
+    return ids;
+  }
+
   // ==================== UTILITY FUNCTIONS ====================
 
   /**
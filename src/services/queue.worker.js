@@ -0,0 +1,60 @@
+/**
+ * Queue Policy Worker
+ * Periodically auto-skips called patients who have not shown up (QueueSettings.autoSkipAfterMins)
+ */
+
+import logger from '../utils/logger.js';
+import { QueueService } from './queue.service.js';
+import { QUEUE_POLICY } from './queue.constants.js';
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one auto-skip pass (skipped if the previous pass is still running)
+ */
+export async function runQueueAutoSkip(prisma) {
+  if (running) return null;
+  running = true;
+
+  try {
+    const queueService = new QueueService(prisma);
+    const result = await queueService.autoSkipOverdueCalls();
+    if (result.skipped > 0 || result.cancelled > 0 || result.failed > 0) {
+      logger.info(`[Queue] Auto-skip pass: ${result.skipped} skipped, ${result.cancelled} cancelled, ${result.failed} failed`);
+    }
+    return result;
+  } catch (error) {
+    logger.error('[Queue] Auto-skip pass failed:', error.message);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the auto-skip worker
+ */
+export function startQueuePolicyWorker(prisma, intervalMs = QUEUE_POLICY.AUTO_SKIP_INTERVAL_MS) {
+  if (timer) return;
+
+  timer = setInterval(() => runQueueAutoSkip(prisma), intervalMs);
+  timer.unref();
+
+  logger.info(`[Queue] Auto-skip worker started (every ${Math.round(intervalMs / 1000)}s)`);
+}
+
+/**
+ * Stop the auto-skip worker
+ */
+export function stopQueuePolicyWorker() {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+}
+
+export default {
+  runQueueAutoSkip,
+  startQueuePolicyWorker,
+  stopQueuePolicyWorker
+};
@@ -0,0 +1,423 @@
+/**
+ * Reflex Testing Service
+ * Declarative reflex/add-on rules: when a saved or approved result meets a
+ * rule's condition (abnormal TSH -> FT4, positive culture -> sensitivity),
+ * the rule's tests are added to the same order on the same specimen and billed
+ *
+ * Rules live on DiagnosticTest.reflexRules and DiagnosticReportTemplate.reflexRules
+ * (template rules override test rules with the same code). Each firing is
+ * recorded once as a ReflexTestRequest; rules with requiresApproval wait there
+ * until approved or declined.
+ */
+
+import { DiagnosticsRepository } from './diagnostics.repository.js';
+import { DiagnosticTemplateService } from './template.service.js';
+import { DiagnosticsBillingService } from './diagnostics.billing.service.js';
+import { ValidationError, NotFoundError, ConflictError } from '../shared/AppError.js';
+import logger from '../utils/logger.js';
+
+const REFLEX_REQUEST_STATUS = {
+  PENDING_APPROVAL: 'PENDING_APPROVAL',
+  ADDED: 'ADDED',
+  DECLINED: 'DECLINED',
+  SKIPPED: 'SKIPPED'
+};
+
+export class ReflexTestingService {
+  constructor(prisma) {
+    this.prisma = prisma;
+    this.repository = new DiagnosticsRepository(prisma);
+    this.templateService = new DiagnosticTemplateService(prisma);
+    this.billingService = new DiagnosticsBillingService(prisma);
+  }
+
+  // ==================== RULES ====================
+
+  /**
+   * Active reflex rules for a test (test rules, overridden by template rules)
+   */
+  async getRulesForTest(test, hospitalId) {
+    const template = await this.templateService.resolveTemplateForResult({
+      testCode: test.testCode,
+      testCategory: test.category
+    }, hospitalId);
+
+    const rules = new Map();
+    for (const rule of asArray(test.reflexRules)) {
+      rules.set(rule.code, { ...rule, source: 'TEST' });
+    }
+    for (const rule of asArray(template?.reflexRules)) {
+      rules.set(rule.code, { ...rule, source: 'TEMPLATE' });
+    }
+
+    return [...rules.values()].filter(rule => rule.enabled !== false);
+  }
+
+  /**
+   * Fire reflex rules for a saved or approved result
+   * Never throws - the result is already stored; failures are logged
+   * @param {Object} result - DiagnosticResult
+   * @param {string} trigger - SAVE or APPROVAL
+   * @returns {Array} ReflexTestRequests created by this call
+   */
+  async processResult(result, trigger, hospitalId, userId) {
+    try {
+      // Workboard results carry orderId/testId rather than a linked item
+      const sourceItem = await this.prisma.diagnosticOrderItem.findFirst({
+        where: {
+          order: { hospitalId },
+          OR: [
+            { resultId: result.id },
+            ...(result.orderId && result.testId ? [{ orderId: result.orderId, testId: result.testId }] : [])
+          ]
+        },
+        include: { test: true, order: { include: { orderItems: true } } }
+      });
+
+      if (!sourceItem || sourceItem.status === 'CANCELLED') {
+        return [];
+      }
+
+      const rules = (await this.getRulesForTest(sourceItem.test, hospitalId))
+        .filter(rule => (rule.trigger || 'APPROVAL') === trigger);
+
+      const requests = [];
+      for (const rule of rules) {
+        const analyteCode = rule.analyte || sourceItem.testCode;
+        const analyte = getAnalyte(result, analyteCode, sourceItem.testCode);
+
+        if (!analyte || !matchesCondition(analyte, rule.condition)) continue;
+
+        for (const testCode of rule.addTests) {
+          const request = await this.createRequest({
+            sourceItem, rule, testCode, analyteCode, analyte, trigger, result, hospitalId, userId
+          });
+          if (request) requests.push(request);
+        }
+      }
+
+      return requests;
+    } catch (error) {
+      logger.error(`Reflex Testing Error: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Record a fired rule and add the test unless it needs approval
+   */
+  async createRequest({ sourceItem, rule, testCode, analyteCode, analyte, trigger, result, hospitalId, userId }) {
+    // A rule fires once per source item (re-saves don't re-add)
+    const existing = await this.prisma.reflexTestRequest.findUnique({
+      where: {
+        sourceItemId_ruleCode_testCode: { sourceItemId: sourceItem.id, ruleCode: rule.code, testCode }
+      }
+    });
+    if (existing) return null;
+
+    const test = await this.repository.getTestByCode(testCode, hospitalId);
+    const skipReason = !test || !test.isActive
+      ? 'TEST_NOT_FOUND'
+      : isAlreadyOrdered(sourceItem.order, testCode) ? 'ALREADY_ORDERED' : null;
+
+    // Recorded and added together: a failed add leaves no request behind, so the
+    // rule fires again on the next save or approval
+    return this.prisma.$transaction(async (tx) => {
+      const request = await tx.reflexTestRequest.create({
+        data: {
+          hospitalId,
+          orderId: sourceItem.orderId,
+          sourceItemId: sourceItem.id,
+          sourceResultId: result.id,
+          ruleCode: rule.code,
+          ruleSource: rule.source,
+          trigger,
+          analyte: analyteCode,
+          triggerValue: analyte.value !== null && analyte.value !== undefined ? String(analyte.value) : null,
+          condition: rule.condition,
+          description: rule.description || null,
+          testId: test?.id || null,
+          testCode,
+          testName: test?.testName || null,
+          status: skipReason ? REFLEX_REQUEST_STATUS.SKIPPED : REFLEX_REQUEST_STATUS.PENDING_APPROVAL,
+          skipReason,
+          requiresApproval: !!rule.requiresApproval,
+          requestedBy: userId
+        }
+      });
+
+      if (skipReason || rule.requiresApproval) {
+        return request;
+      }
+
+      return this.addReflexItem(tx, request, userId);
+    });
+  }
+
+  // ==================== ADDING ITEMS ====================
+
+  /**
+   * Add the reflex test to the source order on the source specimen and bill it
+   * The item, the order totals, the bill and the request are written in the
+   * caller's transaction, so they commit together or not at all.
+   * @param {Object} tx - Transaction client
+   */
+  async addReflexItem(tx, request, userId) {
+    const repository = new DiagnosticsRepository(tx);
+    const complete = (data) => tx.reflexTestRequest.update({ where: { id: request.id }, data });
+
+    const sourceItem = await tx.diagnosticOrderItem.findUnique({
+      where: { id: request.sourceItemId },
+      include: { order: { include: { orderItems: true } } }
+    });
+    const test = request.testId ? await repository.getTestById(request.testId) : null;
+
+    if (!sourceItem || !test) {
+      return complete({ status: REFLEX_REQUEST_STATUS.SKIPPED, skipReason: 'TEST_NOT_FOUND' });
+    }
+
+    const order = sourceItem.order;
+    if (isAlreadyOrdered(order, test.testCode)) {
+      return complete({ status: REFLEX_REQUEST_STATUS.SKIPPED, skipReason: 'ALREADY_ORDERED' });
+    }
+
+    // Pricing (same as order creation)
+    const basePrice = test.discountedPrice || test.basePrice;
+    const itemTax = basePrice * (test.taxRate / 100);
+    const netPrice = basePrice + itemTax;
+
+    const expectedCompletionAt = new Date();
+    expectedCompletionAt.setHours(expectedCompletionAt.getHours() + test.turnaroundTime);
+
+    // Runs on the source specimen, so it starts collected if that one is
+    const status = sourceItem.sampleCollectedAt ? 'SAMPLE_COLLECTED' : 'ORDERED';
+
+    const item = await tx.diagnosticOrderItem.create({
+      data: {
+        orderId: order.id,
+        testId: test.id,
+        testCode: test.testCode,
+        testName: test.testName,
+        testCategory: test.category,
+        basePrice,
+        discountAmount: 0,
+        taxAmount: itemTax,
+        netPrice,
+        sampleCollectedAt: sourceItem.sampleCollectedAt,
+        sampleQuality: sourceItem.sampleQuality,
+        sampleCollectedBy: sourceItem.sampleCollectedBy,
+        barcodeGenerated: sourceItem.barcodeGenerated,
+        barcodeData: sourceItem.barcodeData || sourceItem.sampleId,
+        specimenId: sourceItem.specimenId,
+        // Specimen already in the lab: this test's TAT clock starts when it is added
+        labReceivedAt: sourceItem.labReceivedAt ? new Date() : null,
+        status,
+        statusHistory: [{ status, timestamp: new Date(), by: userId, reason: `Reflex rule ${request.ruleCode}` }],
+        priority: sourceItem.priority,
+        expectedCompletionAt,
+        isReflex: true,
+        reflexSourceItemId: sourceItem.id,
+        reflexRuleCode: request.ruleCode
+      },
+      include: { test: true }
+    });
+
+    // Order totals; a finished order re-opens for the added test
+    const reopen = ['COMPLETED', 'PARTIAL_COMPLETE'].includes(order.status);
+    await repository.updateOrder(order.id, {
+      totalAmount: { increment: basePrice },
+      taxAmount: { increment: itemTax },
+      netAmount: { increment: netPrice },
+      ...(reopen && {
+        status: 'PROCESSING',
+        statusHistory: [
+          ...(order.statusHistory || []),
+          { status: 'PROCESSING', timestamp: new Date(), by: userId, reason: `Reflex test ${test.testCode} added` }
+        ]
+      })
+    });
+
+    const billing = await this.billingService.addItemsToBill(tx, order, [item]);
+
+    logger.info(`Reflex test ${test.testCode} added to order ${order.orderId} (rule ${request.ruleCode})`);
+
+    return complete({
+      status: REFLEX_REQUEST_STATUS.ADDED,
+      orderItemId: item.id,
+      billId: billing.bill?.id || null
+    });
+  }
+
+  // ==================== APPROVAL ====================
+
+  /**
+   * Reflex requests, newest first
+   */
+  async getRequests(hospitalId, filters = {}) {
+    const where = { hospitalId };
+
+    if (filters.status) where.status = filters.status;
+    if (filters.orderId) where.orderId = filters.orderId;
+
+    return this.prisma.reflexTestRequest.findMany({
+      where,
+      include: {
+        order: {
+          select: { id: true, orderId: true, urgency: true, patient: { select: { id: true, patientId: true, name: true } } }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Approve a reflex request and add the test
+   */
+  async approveRequest(requestId, hospitalId, userId) {
+    const request = await this.getPendingRequest(requestId, hospitalId);
+
+    const added = await this.prisma.$transaction(async (tx) => {
+      // Claimed while pending, so a second approval cannot add the test twice
+      const { count } = await tx.reflexTestRequest.updateMany({
+        where: { id: request.id, status: REFLEX_REQUEST_STATUS.PENDING_APPROVAL },
+        data: { approvedBy: userId, approvedAt: new Date() }
+      });
+      if (count === 0) {
+        throw new ConflictError('Reflex request is no longer pending approval');
+      }
+
+      return this.addReflexItem(tx, request, userId);
+    });
+
+    return {
+      request: added,
+      message: 'Reflex test approved'
+    };
+  }
+
+  /**
+   * Decline a reflex request
+   */
+  async declineRequest(requestId, reason, hospitalId, userId) {
+    if (!reason?.trim()) {
+      throw new ValidationError('Reason is required to decline a reflex test');
+    }
+
+    const request = await this.getPendingRequest(requestId, hospitalId);
+
+    const declined = await this.prisma.reflexTestRequest.update({
+      where: { id: request.id },
+      data: {
+        status: REFLEX_REQUEST_STATUS.DECLINED,
+        declinedBy: userId,
+        declinedAt: new Date(),
+        declineReason: reason.trim()
+      }
+    });
+
+    return {
+      request: declined,
+      message: 'Reflex test declined'
+    };
+  }
+
+  async getPendingRequest(requestId, hospitalId) {
+    const request = await this.prisma.reflexTestRequest.findFirst({
+      where: { id: requestId, hospitalId }
+    });
+
+    if (!request) {
+      throw new NotFoundError('Reflex request');
+    }
+
+    if (request.status !== REFLEX_REQUEST_STATUS.PENDING_APPROVAL) {
+      throw new ValidationError(`Reflex request is ${request.status}, not pending approval`);
+    }
+
+    return request;
+  }
+}
+
+// ==================== HELPERS ====================
+
+function asArray(value) {
+  const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+  return Array.isArray(parsed) ? parsed.filter(rule => rule?.code) : [];
+}
+
+function isAlreadyOrdered(order, testCode) {
+  return (order.orderItems || []).some(item => item.testCode === testCode && item.status !== 'CANCELLED');
+}
+
+/**
+ * Value of one analyte on a result: the result itself for the test's own code,
+ * otherwise a component result
+ */
+function getAnalyte(result, code, testCode) {
+  if (code === (result.testCode || testCode)) {
+    const value = result.resultValue ?? result.resultNumeric;
+    if (value === null || value === undefined || value === '') return null;
+    return {
+      value,
+      numeric: result.resultNumeric ?? toNumber(result.resultValue),
+      interpretation: result.interpretation
+    };
+  }
+
+  const components = typeof result.componentResults === 'string'
+    ? JSON.parse(result.componentResults)
+    : result.componentResults;
+  const entry = Array.isArray(components)
+    ? components.find(c => c?.code === code)
+    : components?.[code];
+
+  if (entry === null || entry === undefined) return null;
+  const detail = typeof entry === 'object' ? entry : { value: entry };
+  if (detail.value === null || detail.value === undefined || detail.value === '') return null;
+
+  return {
+    value: detail.value,
+    numeric: toNumber(detail.value),
+    interpretation: detail.interpretation || detail.status || null
+  };
+}
+
+/**
+ * Whether an analyte value meets a rule condition ({ operator, value })
+ */
+export function matchesCondition(analyte, condition = {}) {
+  const { operator, value } = condition;
+  const numeric = analyte.numeric;
+  const hasNumber = numeric !== null;
+
+  switch (operator) {
+    case 'GT': return hasNumber && numeric > Number(value);
+    case 'GTE': return hasNumber && numeric >= Number(value);
+    case 'LT': return hasNumber && numeric < Number(value);
+    case 'LTE': return hasNumber && numeric <= Number(value);
+    case 'EQ': return equalsValue(analyte, value);
+    case 'NEQ': return !equalsValue(analyte, value);
+    case 'BETWEEN': return hasNumber && numeric >= Number(value[0]) && numeric <= Number(value[1]);
+    case 'OUTSIDE': return hasNumber && (numeric < Number(value[0]) || numeric > Number(value[1]));
+    case 'IN': return value.some(v => equalsValue(analyte, v));
+    case 'INTERPRETATION_IN':
+      return !!analyte.interpretation &&
+        value.map(v => String(v).toUpperCase()).includes(String(analyte.interpretation).toUpperCase());
+    default: return false;
+  }
+}
+
+function equalsValue(analyte, expected) {
+  if (analyte.numeric !== null && toNumber(expected) !== null) {
+    return analyte.numeric === toNumber(expected);
+  }
+  return String(analyte.value).trim().toUpperCase() === String(expected).trim().toUpperCase();
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '' || typeof value === 'boolean') return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : null;
+}
+
+export default ReflexTestingService;
@@ -0,0 +1,262 @@
+/**
+ * Reflex Testing Service - rule conditions, test/template rule merging,
+ * duplicate suppression, and adding + billing the reflex test in one transaction
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answeringClient, callsTo } from './prismaTestClient.node.mjs';
+import { ReflexTestingService, matchesCondition } from './reflexTesting.service.js';
+
+// ==================== CONDITIONS ====================
+
+const numeric = (value, interpretation = null) => ({ value, numeric: Number(value), interpretation });
+const text = (value) => ({ value, numeric: null, interpretation: null });
+
+test('numeric comparisons need a numeric value', () => {
+  assert.equal(matchesCondition(numeric(4.6), { operator: 'GT', value: 4.5 }), true);
+  assert.equal(matchesCondition(numeric(4.5), { operator: 'GT', value: '4.5' }), false);
+  assert.equal(matchesCondition(numeric(4.5), { operator: 'GTE', value: 4.5 }), true);
+  assert.equal(matchesCondition(numeric(0.3), { operator: 'LT', value: 0.4 }), true);
+  assert.equal(matchesCondition(numeric(0.4), { operator: 'LTE', value: 0.4 }), true);
+  assert.equal(matchesCondition(text('Positive'), { operator: 'GT', value: 0 }), false);
+});
+
+test('range operators include their bounds', () => {
+  assert.equal(matchesCondition(numeric(0.4), { operator: 'BETWEEN', value: [0.4, 4.5] }), true);
+  assert.equal(matchesCondition(numeric(4.6), { operator: 'BETWEEN', value: [0.4, 4.5] }), false);
+  assert.equal(matchesCondition(numeric(4.5), { operator: 'OUTSIDE', value: [0.4, 4.5] }), false);
+  assert.equal(matchesCondition(numeric(0.39), { operator: 'OUTSIDE', value: [0.4, 4.5] }), true);
+});
+
+test('equality compares numbers numerically and text case-insensitively', () => {
+  assert.equal(matchesCondition(numeric('7.0'), { operator: 'EQ', value: 7 }), true);
+  assert.equal(matchesCondition(text(' positive '), { operator: 'EQ', value: 'POSITIVE' }), true);
+  assert.equal(matchesCondition(text('Negative'), { operator: 'NEQ', value: 'Positive' }), true);
+  assert.equal(matchesCondition(text('Reactive'), { operator: 'IN', value: ['Positive', 'reactive'] }), true);
+});
+
+test('interpretation conditions match the flag, not the value', () => {
+  assert.equal(matchesCondition(numeric(9, 'high'), { operator: 'INTERPRETATION_IN', value: ['HIGH', 'CRITICAL_HIGH'] }), true);
+  assert.equal(matchesCondition(numeric(9, null), { operator: 'INTERPRETATION_IN', value: ['HIGH'] }), false);
+});
+
+test('an unknown or missing operator never fires', () => {
+  assert.equal(matchesCondition(numeric(9), { operator: 'ABOVE', value: 1 }), false);
+  assert.equal(matchesCondition(numeric(9)), false);
+});
+
+// ==================== RULES ====================
+
+const rule = (code, extra = {}) => ({
+  code,
+  condition: { operator: 'GT', value: 4.5 },
+  addTests: ['FT4'],
+  trigger: 'SAVE',
+  ...extra,
+});
+
+const withTemplate = (service, template) => {
+  service.templateService.resolveTemplateForResult = async () => template;
+  return service;
+};
+
+test('template rules override test rules with the same code; disabled and unnamed rules are dropped', async () => {
+  const { client } = answeringClient();
+  const service = withTemplate(new ReflexTestingService(client), {
+    reflexRules: [rule('TSH_HIGH', { addTests: ['FT4', 'FT3'] }), rule('TSH_LOW', { enabled: false })],
+  });
+
+  const rules = await service.getRulesForTest({
+    testCode: 'TSH',
+    category: 'Thyroid',
+    reflexRules: JSON.stringify([rule('TSH_HIGH'), rule('TSH_LOW'), rule('ANTI_TPO'), { addTests: ['X'] }]),
+  }, 'h1');
+
+  assert.deepEqual(rules.map(r => [r.code, r.source, r.addTests]), [
+    ['TSH_HIGH', 'TEMPLATE', ['FT4', 'FT3']],
+    ['ANTI_TPO', 'TEST', ['FT4']],
+  ]);
+});
+
+// ==================== FIRING ====================
+
+const ft4 = {
+  id: 'test-ft4', testCode: 'FT4', testName: 'Free T4', category: 'Thyroid',
+  isActive: true, basePrice: 500, discountedPrice: null, taxRate: 18, turnaroundTime: 4,
+};
+
+const sourceItem = (orderItems = [{ testCode: 'TSH', status: 'COMPLETED' }]) => ({
+  id: 'item-1',
+  orderId: 'order-1',
+  testCode: 'TSH',
+  status: 'COMPLETED',
+  sampleCollectedAt: new Date('2026-10-19T08:00:00Z'),
+  labReceivedAt: new Date('2026-10-19T08:30:00Z'),
+  specimenId: 'specimen-1',
+  priority: 'ROUTINE',
+  test: { testCode: 'TSH', category: 'Thyroid', reflexRules: [rule('TSH_HIGH')] },
+  order: {
+    id: 'order-1', orderId: 'DO-1', hospitalId: 'h1', billId: 'bill-1',
+    status: 'COMPLETED', statusHistory: [], orderItems,
+  },
+});
+
+// Paid bill for the original order: 1000 + 18% GST
+const paidBill = {
+  id: 'bill-1', billId: 'B-1', patientId: 'P1',
+  services: [{ serviceName: 'TSH', amount: 1000, taxRate: 18, lineTotal: 1180 }],
+  subtotal: 1000, cgstAmount: 90, sgstAmount: 90, igstAmount: 0, taxAmount: 180, totalAmount: 1180,
+  isInterState: false, paymentStatus: 'PAID', lockedAt: new Date(), balanceDue: 0,
+};
+
+const firingAnswers = (overrides = {}) => ({
+  diagnosticOrderItem: {
+    findFirst: sourceItem(),
+    findUnique: sourceItem(),
+    create: ({ data }) => ({ id: 'item-2', ...data, test: ft4 }),
+  },
+  reflexTestRequest: {
+    findUnique: null,
+    create: ({ data }) => ({ id: 'request-1', ...data }),
+    update: ({ data }) => ({ id: 'request-1', ...data }),
+  },
+  diagnosticTest: { findFirst: ft4, findUnique: ft4 },
+  diagnosticOrder: { update: ({ data }) => ({ id: 'order-1', ...data }) },
+  $queryRaw: [],
+  bill: { findUnique: paidBill, update: ({ data }) => ({ ...paidBill, ...data }) },
+  billingConfig: { findUnique: null },
+  paymentTransaction: { findMany: [{ type: 'PAYMENT', amount: 1180, status: 'COMPLETED' }] },
+  ...overrides,
+});
+
+const tshResult = { id: 'result-1', testCode: 'TSH', resultValue: '7.2', resultNumeric: 7.2 };
+
+const serviceFor = (answers) => {
+  const recorder = answeringClient(answers);
+  const service = withTemplate(new ReflexTestingService(recorder.client), null);
+  return { service, ...recorder };
+};
+
+test('a fired rule adds the test to the order and its bill, all in one transaction', async () => {
+  const { service, calls } = serviceFor(firingAnswers());
+
+  const requests = await service.processResult(tshResult, 'SAVE', 'h1', 'u1');
+
+  assert.deepEqual(requests.map(r => [r.status, r.orderItemId, r.billId]), [['ADDED', 'item-2', 'bill-1']]);
+
+  const writes = calls.filter(call => /\.(create|update|updateMany)$|^\$queryRaw$/.test(call.name));
+  assert.deepEqual(writes.map(call => call.name), [
+    'reflexTestRequest.create', 'diagnosticOrderItem.create', 'diagnosticOrder.update',
+    '$queryRaw', 'bill.update', 'reflexTestRequest.update',
+  ]);
+  assert.ok(writes.every(call => call.inTransaction), 'every write runs in the transaction');
+
+  const item = callsTo(calls, 'diagnosticOrderItem.create')[0].args.data;
+  assert.equal(item.specimenId, 'specimen-1');
+  assert.equal(item.status, 'SAMPLE_COLLECTED');
+  assert.equal(item.netPrice, 590);
+
+  const order = callsTo(calls, 'diagnosticOrder.update')[0].args.data;
+  assert.deepEqual(order.netAmount, { increment: 590 });
+  assert.equal(order.status, 'PROCESSING');
+});
+
+test('the bill gains a GST line and is re-derived from its ledger', async () => {
+  const { service, calls } = serviceFor(firingAnswers());
+
+  await service.processResult(tshResult, 'SAVE', 'h1', 'u1');
+
+  const bill = callsTo(calls, 'bill.update')[0].args.data;
+  assert.equal(bill.services.length, 2);
+  assert.deepEqual(
+    [bill.services[1].serviceName, bill.services[1].cgstAmount, bill.services[1].sgstAmount, bill.services[1].lineTotal],
+    ['Free T4', 45, 45, 590]
+  );
+  assert.equal(bill.subtotal, 1500);
+  assert.equal(bill.taxAmount, 270);
+  assert.equal(bill.totalAmount, 1770);
+  assert.equal(bill.balanceDue, 590);
+  assert.equal(bill.paymentStatus, 'PARTIAL');
+  assert.equal(bill.amount, undefined);
+});
+
+test('a rule that has fired for the item does not fire again', async () => {
+  const { service, calls } = serviceFor(firingAnswers({
+    reflexTestRequest: { findUnique: { id: 'request-0', status: 'ADDED' } },
+  }));
+
+  const requests = await service.processResult(tshResult, 'SAVE', 'h1', 'u1');
+
+  assert.deepEqual(requests, []);
+  assert.equal(callsTo(calls, 'diagnosticOrderItem.create').length, 0);
+});
+
+test('a test already on the order is recorded as skipped, not added', async () => {
+  const item = sourceItem([{ testCode: 'TSH', status: 'COMPLETED' }, { testCode: 'FT4', status: 'ORDERED' }]);
+  const { service, calls } = serviceFor(firingAnswers({
+    diagnosticOrderItem: { findFirst: item },
+    reflexTestRequest: { findUnique: null, create: ({ data }) => ({ id: 'request-1', ...data }) },
+  }));
+
+  const requests = await service.processResult(tshResult, 'SAVE', 'h1', 'u1');
+
+  assert.deepEqual(requests.map(r => [r.status, r.skipReason]), [['SKIPPED', 'ALREADY_ORDERED']]);
+  assert.equal(callsTo(calls, 'diagnosticOrderItem.create').length, 0);
+});
+
+test('values outside the condition and rules for the other trigger do not fire', async () => {
+  const { service, calls } = serviceFor(firingAnswers());
+
+  assert.deepEqual(await service.processResult({ ...tshResult, resultValue: '2.1', resultNumeric: 2.1 }, 'SAVE', 'h1', 'u1'), []);
+  assert.deepEqual(await service.processResult(tshResult, 'APPROVAL', 'h1', 'u1'), []);
+  assert.equal(callsTo(calls, 'reflexTestRequest.create').length, 0);
+});
+
+test('a billing failure fails the whole transaction', async () => {
+  const { service, calls } = serviceFor(firingAnswers({
+    bill: { findUnique: paidBill, update: () => { throw new Error('bill update failed'); } },
+  }));
+
+  const requests = await service.processResult(tshResult, 'SAVE', 'h1', 'u1');
+
+  assert.deepEqual(requests, []);
+  for (const name of ['reflexTestRequest.create', 'diagnosticOrderItem.create', 'diagnosticOrder.update']) {
+    assert.ok(callsTo(calls, name).every(call => call.inTransaction), `${name} rolls back with the bill`);
+  }
+  assert.equal(callsTo(calls, 'reflexTestRequest.update').length, 0);
+});
+
+// ==================== APPROVAL ====================
+
+const pendingRequest = {
+  id: 'request-1', hospitalId: 'h1', sourceItemId: 'item-1', testId: 'test-ft4',
+  ruleCode: 'TSH_HIGH', status: 'PENDING_APPROVAL', requiresApproval: true,
+};
+
+test('approving claims the pending request and adds the test in the same transaction', async () => {
+  const { service, calls } = serviceFor(firingAnswers({
+    reflexTestRequest: {
+      findFirst: pendingRequest,
+      updateMany: { count: 1 },
+      update: ({ data }) => ({ ...pendingRequest, ...data }),
+    },
+  }));
+
+  const { request } = await service.approveRequest('request-1', 'h1', 'u2');
+
+  assert.equal(request.status, 'ADDED');
+  const claim = callsTo(calls, 'reflexTestRequest.updateMany')[0];
+  assert.equal(claim.inTransaction, true);
+  assert.equal(claim.args.where.status, 'PENDING_APPROVAL');
+  assert.equal(claim.args.data.approvedBy, 'u2');
+  assert.ok(callsTo(calls, 'bill.update')[0].inTransaction);
+});
+
+test('a request approved concurrently is not added twice', async () => {
+  const { service, calls } = serviceFor(firingAnswers({
+    reflexTestRequest: { findFirst: pendingRequest, updateMany: { count: 0 } },
+  }));
+
+  await assert.rejects(service.approveRequest('request-1', 'h1', 'u2'), { statusCode: 409 });
+  assert.equal(callsTo(calls, 'diagnosticOrderItem.create').length, 0);
+});
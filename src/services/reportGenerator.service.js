@@ -294,7 +294,12 @@ class ReportGeneratorService {
     const validation = await templateEngineService.validateReportData(
       report.templateId,
       { results: typeof report.results === 'string' ? JSON.parse(report.results) : report.results },
-      { hospitalId: report.hospitalId }
+      {
+        hospitalId: report.hospitalId,
+        patientId: report.patientId,
+        testCode: report.testCode,
+        excludeReportId: report.id
+      }
     );
     
     if (!validation.valid) {
@@ -305,7 +310,8 @@ class ReportGeneratorService {
       action: 'SUBMITTED_FOR_QC',
       role: 'TECHNICIAN',
       enteredAt: new Date(),
-      enteredById: technicianId
+      enteredById: technicianId,
+      deltaCheckFailures: validation.deltaCheck?.failed || []
     });
   }
   
@@ -343,7 +349,12 @@ class ReportGeneratorService {
     const validation = await templateEngineService.validateReportData(
       report.templateId,
       { results: typeof report.results === 'string' ? JSON.parse(report.results) : report.results },
-      { hospitalId: report.hospitalId }
+      {
+        hospitalId: report.hospitalId,
+        patientId: report.patientId,
+        testCode: report.testCode,
+        excludeReportId: report.id
+      }
     );
     
     if (!validation.valid) {
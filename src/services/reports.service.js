@@ -66,10 +66,16 @@ export class ReportService {
 
       bills.forEach(b => {
         totalBilled += b.totalAmount;
-        if (b.paymentStatus === 'PAID') totalPaid += b.totalAmount;
-        else if (b.paymentStatus === 'UNPAID' || b.paymentStatus === 'PARTIAL') {
-          totalOutstanding += b.totalAmount;
+        // Bills from before the payment ledger have no balanceDue - fall back to the status
+        if (b.balanceDue === null || b.balanceDue === undefined) {
+          if (b.paymentStatus === 'PAID') totalPaid += b.totalAmount;
+          else if (b.paymentStatus === 'UNPAID' || b.paymentStatus === 'PARTIAL') {
+            totalOutstanding += b.totalAmount;
+          }
+          return;
         }
+        totalPaid += (b.paidAmount || 0) - (b.refundedAmount || 0);
+        totalOutstanding += b.balanceDue;
       });
 
       return {
@@ -197,7 +203,7 @@ export class ReportService {
 
       let totalOutstanding = 0;
       bills.forEach(b => {
-        totalOutstanding += b.totalAmount;
+        totalOutstanding += b.balanceDue ?? b.totalAmount;
       });
 
       return {
@@ -207,6 +213,7 @@ export class ReportService {
           billId: b.billId,
           patientId: b.patientId,
           amount: b.totalAmount,
+          balanceDue: b.balanceDue ?? b.totalAmount,
           status: b.paymentStatus,
           billDate: b.billDate,
         })),
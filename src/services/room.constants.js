@@ -0,0 +1,178 @@
+/**
+ * Room Constants
+ * Consultation room types, allocation limits, and session/time helpers
+ *
+ * A doctor session is a DoctorSchedule row (weekday + "HH:mm" window).
+ * Rooms are allocated to sessions; a RoomAllocation may narrow the
+ * schedule's validity window with its own fromDate/toDate.
+ */
+
+import {
+  DAY_NAMES,
+  isValidTime,
+  timeToMinutes,
+  toDateOnly,
+  combineDateAndTime,
+  getScheduleDayOfWeek
+} from './appointment.constants.js';
+
+// ==================== ROOM TYPES ====================
+export const ROOM_TYPE = {
+  GENERAL: 'GENERAL',
+  PREMIUM: 'PREMIUM',
+  ICU: 'ICU',
+  OT: 'OT'
+};
+
+// ==================== CONFIGURATION ====================
+export const ROOM_CONFIG = {
+  BIND_LEAD_MINUTES: 30,             // Queue follows the session's room this long before it starts
+  MAX_MAINTENANCE_SCAN_DAYS: 366     // Longest maintenance window checked day by day
+};
+
+// Department.operatingHours is keyed by lower-case weekday name
+export const OPERATING_HOURS_KEYS = DAY_NAMES.map(day => day.toLowerCase());
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Display label written to ServiceQueue.counterNumber for a bound room
+ */
+export function formatRoomLabel(room) {
+  return room.roomName ? `Room ${room.roomNumber} - ${room.roomName}` : `Room ${room.roomNumber}`;
+}
+
+/**
+ * Location text for a room ("Floor 2, East Wing")
+ */
+export function formatRoomLocation(room) {
+  const parts = [];
+  if (room.floor !== null && room.floor !== undefined) parts.push(`Floor ${room.floor}`);
+  if (room.wing) parts.push(room.wing);
+  return parts.length ? parts.join(', ') : null;
+}
+
+/**
+ * Department opening hours for a schedule weekday
+ * @returns {{ start: string, end: string }|null|undefined}
+ *   undefined when the department has no operatingHours configured (no restriction),
+ *   null when the department is closed that day
+ */
+export function getOperatingWindow(operatingHours, dayOfWeek) {
+  if (!operatingHours || typeof operatingHours !== 'object') return undefined;
+
+  const window = operatingHours[OPERATING_HOURS_KEYS[dayOfWeek]];
+  if (!window || !isValidTime(window.start) || !isValidTime(window.end)) return null;
+  return window;
+}
+
+/**
+ * Whether a session window sits inside the department's opening hours
+ */
+export function isWithinOperatingHours(operatingHours, { dayOfWeek, startTime, endTime }) {
+  const window = getOperatingWindow(operatingHours, dayOfWeek);
+  if (window === undefined) return true;
+  if (window === null) return false;
+
+  return timeToMinutes(startTime) >= timeToMinutes(window.start) &&
+    timeToMinutes(endTime) <= timeToMinutes(window.end);
+}
+
+/**
+ * Intersect the schedule's validity window with the allocation's own window
+ * @returns {{ fromDate: Date|null, toDate: Date|null }|null} null when they do not meet
+ */
+export function getEffectiveWindow(schedule, allocation) {
+  const froms = [schedule.fromDate, allocation.fromDate].filter(Boolean).map(d => toDateOnly(d).getTime());
+  const tos = [schedule.toDate, allocation.toDate].filter(Boolean).map(d => toDateOnly(d).getTime());
+
+  const fromDate = froms.length ? new Date(Math.max(...froms)) : null;
+  const toDate = tos.length ? new Date(Math.min(...tos)) : null;
+
+  if (fromDate && toDate && fromDate > toDate) return null;
+  return { fromDate, toDate };
+}
+
+/**
+ * Whether two date windows (null = open-ended) share at least one day
+ */
+export function windowsOverlap(a, b) {
+  const aFrom = a.fromDate ? a.fromDate.getTime() : -Infinity;
+  const aTo = a.toDate ? a.toDate.getTime() : Infinity;
+  const bFrom = b.fromDate ? b.fromDate.getTime() : -Infinity;
+  const bTo = b.toDate ? b.toDate.getTime() : Infinity;
+  return aFrom <= bTo && aTo >= bFrom;
+}
+
+/**
+ * Length of a date window in ms (open-ended windows are infinitely long)
+ * Narrower allocations override wider ones for the same session
+ */
+export function windowSpan(window) {
+  if (!window.fromDate || !window.toDate) return Infinity;
+  return window.toDate.getTime() - window.fromDate.getTime();
+}
+
+/**
+ * Whether window `inner` lies inside window `outer`
+ */
+export function isWindowWithin(inner, outer) {
+  const innerFrom = inner.fromDate ? inner.fromDate.getTime() : -Infinity;
+  const innerTo = inner.toDate ? inner.toDate.getTime() : Infinity;
+  const outerFrom = outer.fromDate ? outer.fromDate.getTime() : -Infinity;
+  const outerTo = outer.toDate ? outer.toDate.getTime() : Infinity;
+  return innerFrom >= outerFrom && innerTo <= outerTo;
+}
+
+/**
+ * Whether a date falls inside a date window (null = open-ended)
+ */
+export function isDateInWindow(date, window) {
+  const day = toDateOnly(date).getTime();
+  if (window.fromDate && day < window.fromDate.getTime()) return false;
+  if (window.toDate && day > window.toDate.getTime()) return false;
+  return true;
+}
+
+/**
+ * Concrete session occurrences (start/end DateTimes) on the days between two instants
+ * @param {Object} session - { dayOfWeek, startTime, endTime }
+ * @param {Object} window - Effective date window of the allocation
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array<{ startDateTime: Date, endDateTime: Date }>}
+ */
+export function listSessionOccurrences(session, window, from, to) {
+  const occurrences = [];
+  const last = toDateOnly(to);
+  const limit = ROOM_CONFIG.MAX_MAINTENANCE_SCAN_DAYS;
+  let day = toDateOnly(from);
+
+  for (let i = 0; day <= last && i <= limit; i++) {
+    if (getScheduleDayOfWeek(day) === session.dayOfWeek && isDateInWindow(day, window)) {
+      occurrences.push({
+        startDateTime: combineDateAndTime(day, session.startTime),
+        endDateTime: combineDateAndTime(day, session.endTime)
+      });
+    }
+    day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+  }
+
+  return occurrences;
+}
+
+export default {
+  ROOM_TYPE,
+  ROOM_CONFIG,
+  OPERATING_HOURS_KEYS,
+  formatRoomLabel,
+  formatRoomLocation,
+  getOperatingWindow,
+  isWithinOperatingHours,
+  getEffectiveWindow,
+  windowsOverlap,
+  windowSpan,
+  isWindowWithin,
+  isDateInWindow,
+  listSessionOccurrences
+};
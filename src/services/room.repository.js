@@ -0,0 +1,302 @@
+/**
+ * Room Repository
+ * Database operations for consultation rooms, room allocations and maintenance blocks
+ */
+
+const ROOM_DEPARTMENT_SELECT = {
+  id: true,
+  departmentCode: true,
+  departmentName: true,
+  operatingHours: true
+};
+
+const ALLOCATION_INCLUDE = {
+  room: {
+    select: {
+      id: true,
+      roomNumber: true,
+      roomName: true,
+      roomType: true,
+      floor: true,
+      wing: true,
+      departmentId: true,
+      isAvailable: true,
+      isUnderMaintenance: true
+    }
+  },
+  schedule: {
+    include: {
+      doctor: { select: { id: true, name: true, specialization: true } },
+      department: { select: { id: true, departmentCode: true, departmentName: true } }
+    }
+  }
+};
+
+export class RoomRepository {
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  // ==================== ROOM OPERATIONS ====================
+
+  /**
+   * Create consultation room
+   */
+  async createRoom(data) {
+    return this.prisma.consultationRoom.create({
+      data,
+      include: { department: { select: ROOM_DEPARTMENT_SELECT } }
+    });
+  }
+
+  /**
+   * Get room by ID
+   */
+  async getRoomById(id) {
+    return this.prisma.consultationRoom.findUnique({
+      where: { id },
+      include: {
+        department: { select: ROOM_DEPARTMENT_SELECT },
+        serviceQueues: {
+          where: { isActive: true },
+          select: { id: true, queueCode: true, queueName: true, doctorId: true }
+        }
+      }
+    });
+  }
+
+  /**
+   * Get room by number
+   */
+  async getRoomByNumber(hospitalId, roomNumber) {
+    return this.prisma.consultationRoom.findUnique({
+      where: {
+        hospitalId_roomNumber: { hospitalId, roomNumber }
+      }
+    });
+  }
+
+  /**
+   * Get rooms for hospital with filters
+   */
+  async getRooms(hospitalId, filters = {}) {
+    const where = { hospitalId };
+
+    if (filters.departmentId) where.departmentId = filters.departmentId;
+    if (filters.roomType) where.roomType = filters.roomType;
+    if (filters.isAvailable !== undefined) where.isAvailable = filters.isAvailable;
+    if (filters.isUnderMaintenance !== undefined) where.isUnderMaintenance = filters.isUnderMaintenance;
+
+    return this.prisma.consultationRoom.findMany({
+      where,
+      include: {
+        department: { select: ROOM_DEPARTMENT_SELECT },
+        _count: {
+          select: {
+            allocations: { where: { isActive: true } }
+          }
+        }
+      },
+      orderBy: [
+        { floor: 'asc' },
+        { roomNumber: 'asc' }
+      ]
+    });
+  }
+
+  /**
+   * Update room
+   */
+  async updateRoom(id, data) {
+    return this.prisma.consultationRoom.update({
+      where: { id },
+      data,
+      include: { department: { select: ROOM_DEPARTMENT_SELECT } }
+    });
+  }
+
+  /**
+   * Delete room
+   */
+  async deleteRoom(id) {
+    return this.prisma.consultationRoom.delete({
+      where: { id }
+    });
+  }
+
+  /**
+   * Count what still references a room (active allocations, bound queues)
+   */
+  async countRoomUsage(roomId) {
+    const [allocations, serviceQueues] = await Promise.all([
+      this.prisma.roomAllocation.count({ where: { roomId, isActive: true } }),
+      this.prisma.serviceQueue.count({ where: { roomId, isActive: true } })
+    ]);
+
+    return { allocations, serviceQueues };
+  }
+
+  /**
+   * Refresh the room label on service queues bound to a room
+   */
+  async updateBoundQueues(roomId, data) {
+    return this.prisma.serviceQueue.updateMany({
+      where: { roomId },
+      data
+    });
+  }
+
+  // ==================== ALLOCATION OPERATIONS ====================
+
+  /**
+   * Create room allocation
+   */
+  async createAllocation(data) {
+    return this.prisma.roomAllocation.create({
+      data,
+      include: ALLOCATION_INCLUDE
+    });
+  }
+
+  /**
+   * Get allocation by ID
+   */
+  async getAllocationById(id) {
+    return this.prisma.roomAllocation.findUnique({
+      where: { id },
+      include: ALLOCATION_INCLUDE
+    });
+  }
+
+  /**
+   * Get allocations for hospital with filters
+   */
+  async getAllocations(hospitalId, filters = {}) {
+    const where = { hospitalId };
+
+    if (filters.roomId) where.roomId = filters.roomId;
+    if (filters.doctorId) where.doctorId = filters.doctorId;
+    if (filters.scheduleId) where.scheduleId = filters.scheduleId;
+    if (filters.isActive !== undefined) where.isActive = filters.isActive;
+    if (filters.departmentId) where.room = { departmentId: filters.departmentId };
+    if (filters.dayOfWeek !== undefined) where.schedule = { dayOfWeek: filters.dayOfWeek };
+
+    return this.prisma.roomAllocation.findMany({
+      where,
+      include: ALLOCATION_INCLUDE,
+      orderBy: [
+        { roomId: 'asc' },
+        { createdAt: 'asc' }
+      ]
+    });
+  }
+
+  /**
+   * Active allocations of a room on a weekday (clash candidates)
+   */
+  async getRoomAllocationsForDay(roomId, dayOfWeek) {
+    return this.prisma.roomAllocation.findMany({
+      where: {
+        roomId,
+        isActive: true,
+        schedule: { dayOfWeek, isActive: true }
+      },
+      include: ALLOCATION_INCLUDE
+    });
+  }
+
+  /**
+   * Active allocations of a doctor (room lookup for their queues)
+   */
+  async getDoctorAllocations(hospitalId, doctorId) {
+    return this.prisma.roomAllocation.findMany({
+      where: {
+        hospitalId,
+        doctorId,
+        isActive: true,
+        schedule: { isActive: true }
+      },
+      include: ALLOCATION_INCLUDE
+    });
+  }
+
+  /**
+   * Update allocation
+   */
+  async updateAllocation(id, data) {
+    return this.prisma.roomAllocation.update({
+      where: { id },
+      data,
+      include: ALLOCATION_INCLUDE
+    });
+  }
+
+  /**
+   * Delete allocation
+   */
+  async deleteAllocation(id) {
+    return this.prisma.roomAllocation.delete({
+      where: { id }
+    });
+  }
+
+  // ==================== MAINTENANCE OPERATIONS ====================
+
+  /**
+   * Create maintenance block
+   */
+  async createMaintenanceBlock(data) {
+    return this.prisma.roomMaintenanceBlock.create({ data });
+  }
+
+  /**
+   * Get maintenance block by ID
+   */
+  async getMaintenanceBlockById(id) {
+    return this.prisma.roomMaintenanceBlock.findUnique({
+      where: { id }
+    });
+  }
+
+  /**
+   * Maintenance blocks of a room that overlap a time range
+   * @param {string} roomId
+   * @param {Date|null} from - Open-ended when null
+   * @param {Date|null} to - Open-ended when null
+   */
+  async getMaintenanceBlocks(roomId, from = null, to = null) {
+    const where = { roomId };
+    if (from) where.endDateTime = { gt: from };
+    if (to) where.startDateTime = { lt: to };
+
+    return this.prisma.roomMaintenanceBlock.findMany({
+      where,
+      orderBy: { startDateTime: 'asc' }
+    });
+  }
+
+  /**
+   * Maintenance blocks for all of a hospital's rooms overlapping a time range
+   */
+  async getHospitalMaintenanceBlocks(hospitalId, from, to) {
+    return this.prisma.roomMaintenanceBlock.findMany({
+      where: {
+        hospitalId,
+        endDateTime: { gt: from },
+        startDateTime: { lt: to }
+      },
+      orderBy: { startDateTime: 'asc' }
+    });
+  }
+
+  /**
+   * Delete maintenance block
+   */
+  async deleteMaintenanceBlock(id) {
+    return this.prisma.roomMaintenanceBlock.delete({
+      where: { id }
+    });
+  }
+}
+
+export default RoomRepository;
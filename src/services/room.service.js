@@ -0,0 +1,772 @@
+/**
+ * Room Service
+ * Business logic for consultation rooms and their allocation to doctor sessions
+ *
+ * Features:
+ * - Consultation room CRUD (type, equipment, location, availability)
+ * - Dated maintenance blocks on top of the open-ended isUnderMaintenance flag
+ * - Room allocation per doctor session (DoctorSchedule row), checked against the
+ *   department's operatingHours, other sessions in the room and maintenance blocks
+ * - Room lookup for a doctor at a point in time, used to bind ServiceQueues
+ *
+ * A dated allocation that sits inside an open-ended one for the same session is
+ * a temporary override (e.g. while the usual room is under maintenance); the
+ * narrowest allocation that is not blocked wins.
+ */
+
+import { RoomRepository } from './room.repository.js';
+import { tenantContext } from '../core/context/index.js';
+import { hasOverlap, findOverlaps } from '../utils/timeOverlap.js';
+import {
+  DAY_NAMES,
+  toDateOnly,
+  toDbDate,
+  fromDbDate,
+  toDateKey,
+  combineDateAndTime,
+  getScheduleDayOfWeek,
+  isScheduleEffectiveOn
+} from './appointment.constants.js';
+import {
+  ROOM_TYPE,
+  ROOM_CONFIG,
+  formatRoomLabel,
+  formatRoomLocation,
+  getOperatingWindow,
+  isWithinOperatingHours,
+  getEffectiveWindow,
+  windowsOverlap,
+  windowSpan,
+  isWindowWithin,
+  isDateInWindow,
+  listSessionOccurrences
+} from './room.constants.js';
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError
+} from '../shared/AppError.js';
+
+// Fixed reference day for comparing "HH:mm" windows of weekly sessions
+const REFERENCE_DAY = new Date(2000, 0, 3);
+
+const sessionLabel = (schedule) => `${DAY_NAMES[schedule.dayOfWeek]} ${schedule.startTime}-${schedule.endTime}`;
+
+export class RoomService {
+  constructor(prisma) {
+    this.prisma = prisma;
+    this.repository = new RoomRepository(prisma);
+  }
+
+  // ==================== ROOM MANAGEMENT ====================
+
+  /**
+   * Create a consultation room
+   */
+  async createRoom(data) {
+    const hospitalId = tenantContext.getHospitalId();
+    const room = this.normalizeRoomInput(data);
+
+    await this.assertDepartmentInHospital(room.departmentId, hospitalId);
+
+    const existing = await this.repository.getRoomByNumber(hospitalId, room.roomNumber);
+    if (existing) {
+      throw new ConflictError(`Room ${room.roomNumber} already exists`);
+    }
+
+    const created = await this.repository.createRoom({ hospitalId, ...room });
+
+    return {
+      message: 'Consultation room created successfully',
+      room: created
+    };
+  }
+
+  /**
+   * Get rooms (filter by department, type, availability, maintenance)
+   */
+  async getRooms(filters = {}) {
+    const hospitalId = tenantContext.getHospitalId();
+    const rooms = await this.repository.getRooms(hospitalId, filters);
+
+    return {
+      rooms: rooms.map(room => ({
+        ...room,
+        activeAllocations: room._count?.allocations || 0
+      })),
+      totalCount: rooms.length
+    };
+  }
+
+  /**
+   * Get room with its allocations and upcoming maintenance
+   */
+  async getRoomById(roomId) {
+    const room = await this.getRoomOrThrow(roomId);
+    const [allocations, maintenanceBlocks] = await Promise.all([
+      this.repository.getAllocations(room.hospitalId, { roomId, isActive: true }),
+      this.repository.getMaintenanceBlocks(roomId, new Date())
+    ]);
+
+    return {
+      ...room,
+      allocations: allocations.map(a => this.formatAllocation(a)),
+      maintenanceBlocks
+    };
+  }
+
+  /**
+   * Update a room
+   */
+  async updateRoom(roomId, data) {
+    const hospitalId = tenantContext.getHospitalId();
+    const existing = await this.getRoomOrThrow(roomId);
+
+    const room = this.normalizeRoomInput({
+      roomNumber: data.roomNumber ?? existing.roomNumber,
+      roomName: data.roomName !== undefined ? data.roomName : existing.roomName,
+      roomType: data.roomType ?? existing.roomType,
+      floor: data.floor !== undefined ? data.floor : existing.floor,
+      wing: data.wing !== undefined ? data.wing : existing.wing,
+      departmentId: data.departmentId ?? existing.departmentId,
+      capacity: data.capacity !== undefined ? data.capacity : existing.capacity,
+      equipment: data.equipment !== undefined ? data.equipment : existing.equipment,
+      isAvailable: data.isAvailable ?? existing.isAvailable,
+      isUnderMaintenance: data.isUnderMaintenance ?? existing.isUnderMaintenance,
+      maintenanceNotes: data.maintenanceNotes !== undefined ? data.maintenanceNotes : existing.maintenanceNotes
+    });
+
+    if (room.roomNumber !== existing.roomNumber) {
+      const duplicate = await this.repository.getRoomByNumber(hospitalId, room.roomNumber);
+      if (duplicate) {
+        throw new ConflictError(`Room ${room.roomNumber} already exists`);
+      }
+    }
+
+    if (room.departmentId !== existing.departmentId) {
+      await this.assertDepartmentInHospital(room.departmentId, hospitalId);
+
+      const usage = await this.repository.countRoomUsage(roomId);
+      if (usage.allocations > 0) {
+        throw new ConflictError(
+          `Room has ${usage.allocations} active allocation(s) in its current department. Remove them before moving the room.`
+        );
+      }
+    }
+
+    const updated = await this.repository.updateRoom(roomId, room);
+
+    // Display boards show the room label, keep bound queues in step
+    await this.repository.updateBoundQueues(roomId, {
+      counterNumber: formatRoomLabel(updated),
+      location: formatRoomLocation(updated)
+    });
+
+    return {
+      message: 'Consultation room updated successfully',
+      room: updated
+    };
+  }
+
+  /**
+   * Delete a room (only when nothing is allocated to or bound to it)
+   */
+  async deleteRoom(roomId) {
+    await this.getRoomOrThrow(roomId);
+
+    const usage = await this.repository.countRoomUsage(roomId);
+    if (usage.allocations > 0 || usage.serviceQueues > 0) {
+      throw new ConflictError(
+        `Room has ${usage.allocations} active allocation(s) and ${usage.serviceQueues} bound queue(s). Mark it unavailable instead.`
+      );
+    }
+
+    await this.repository.deleteRoom(roomId);
+
+    return { message: 'Consultation room deleted successfully' };
+  }
+
+  // ==================== MAINTENANCE ====================
+
+  /**
+   * Block a room for maintenance over a time range
+   * Sessions already allocated to the room inside the block are returned so they
+   * can be moved with a dated override allocation.
+   */
+  async addMaintenanceBlock(roomId, data, userId) {
+    const room = await this.getRoomOrThrow(roomId);
+    const startDateTime = new Date(data.startDateTime);
+    const endDateTime = new Date(data.endDateTime);
+
+    if (Number.isNaN(startDateTime.getTime()) || Number.isNaN(endDateTime.getTime())) {
+      throw new ValidationError('startDateTime and endDateTime are required');
+    }
+    if (endDateTime <= startDateTime) {
+      throw new ValidationError('endDateTime must be after startDateTime');
+    }
+
+    const block = await this.repository.createMaintenanceBlock({
+      hospitalId: room.hospitalId,
+      roomId,
+      startDateTime,
+      endDateTime,
+      reason: data.reason || null,
+      createdBy: userId
+    });
+
+    const allocations = await this.repository.getAllocations(room.hospitalId, { roomId, isActive: true });
+    const affectedSessions = [];
+
+    for (const allocation of allocations) {
+      if (!allocation.schedule.isActive) continue;
+      const window = getEffectiveWindow(allocation.schedule, this.toWindow(allocation));
+      if (!window) continue;
+
+      for (const occurrence of this.findBlockedOccurrences(allocation.schedule, window, [block])) {
+        affectedSessions.push({
+          allocationId: allocation.id,
+          scheduleId: allocation.scheduleId,
+          doctor: allocation.schedule.doctor,
+          date: toDateKey(occurrence.startDateTime),
+          startTime: allocation.schedule.startTime,
+          endTime: allocation.schedule.endTime
+        });
+      }
+    }
+
+    return {
+      message: 'Maintenance block added',
+      block,
+      affectedSessions
+    };
+  }
+
+  /**
+   * Get maintenance blocks of a room (upcoming by default)
+   */
+  async getMaintenanceBlocks(roomId, { from, to } = {}) {
+    await this.getRoomOrThrow(roomId);
+
+    const blocks = await this.repository.getMaintenanceBlocks(
+      roomId,
+      from ? new Date(from) : new Date(),
+      to ? new Date(to) : null
+    );
+
+    return { blocks };
+  }
+
+  /**
+   * Remove a maintenance block
+   */
+  async deleteMaintenanceBlock(blockId) {
+    const hospitalId = tenantContext.getHospitalId();
+    const block = await this.repository.getMaintenanceBlockById(blockId);
+
+    if (!block || block.hospitalId !== hospitalId) {
+      throw new NotFoundError('Maintenance block');
+    }
+
+    await this.repository.deleteMaintenanceBlock(blockId);
+
+    return { message: 'Maintenance block removed' };
+  }
+
+  // ==================== ROOM ALLOCATION ====================
+
+  /**
+   * Allocate a room to a doctor session
+   */
+  async createAllocation(data, userId) {
+    const hospitalId = tenantContext.getHospitalId();
+    const input = this.normalizeAllocationInput(data);
+
+    const room = await this.getRoomOrThrow(input.roomId);
+    const schedule = await this.getScheduleOrThrow(input.scheduleId, hospitalId);
+
+    await this.assertAllocationFits({ room, schedule, window: input });
+
+    const allocation = await this.repository.createAllocation({
+      hospitalId,
+      roomId: room.id,
+      scheduleId: schedule.id,
+      doctorId: schedule.doctorId,
+      fromDate: input.fromDate ? toDbDate(input.fromDate) : null,
+      toDate: input.toDate ? toDbDate(input.toDate) : null,
+      notes: input.notes,
+      createdBy: userId
+    });
+
+    return {
+      message: 'Room allocated successfully',
+      allocation: this.formatAllocation(allocation)
+    };
+  }
+
+  /**
+   * Get allocations (filter by room, doctor, schedule, department, weekday)
+   */
+  async getAllocations(filters = {}) {
+    const hospitalId = tenantContext.getHospitalId();
+    const allocations = await this.repository.getAllocations(hospitalId, filters);
+
+    return {
+      allocations: allocations.map(a => this.formatAllocation(a)),
+      totalCount: allocations.length
+    };
+  }
+
+  /**
+   * Update an allocation (room, dates, notes, active flag)
+   */
+  async updateAllocation(allocationId, data) {
+    const hospitalId = tenantContext.getHospitalId();
+    const existing = await this.getAllocationOrThrow(allocationId);
+
+    const input = this.normalizeAllocationInput({
+      roomId: data.roomId ?? existing.roomId,
+      scheduleId: existing.scheduleId,
+      fromDate: data.fromDate !== undefined ? data.fromDate : existing.fromDate && fromDbDate(existing.fromDate),
+      toDate: data.toDate !== undefined ? data.toDate : existing.toDate && fromDbDate(existing.toDate),
+      notes: data.notes !== undefined ? data.notes : existing.notes
+    });
+    const isActive = data.isActive ?? existing.isActive;
+
+    if (isActive) {
+      const room = input.roomId === existing.roomId ? existing.room : await this.getRoomOrThrow(input.roomId);
+      const schedule = await this.getScheduleOrThrow(existing.scheduleId, hospitalId);
+      await this.assertAllocationFits({ room, schedule, window: input, excludeAllocationId: allocationId });
+    }
+
+    const updated = await this.repository.updateAllocation(allocationId, {
+      roomId: input.roomId,
+      fromDate: input.fromDate ? toDbDate(input.fromDate) : null,
+      toDate: input.toDate ? toDbDate(input.toDate) : null,
+      notes: input.notes,
+      isActive
+    });
+
+    return {
+      message: 'Room allocation updated successfully',
+      allocation: this.formatAllocation(updated)
+    };
+  }
+
+  /**
+   * Delete an allocation
+   */
+  async deleteAllocation(allocationId) {
+    await this.getAllocationOrThrow(allocationId);
+    await this.repository.deleteAllocation(allocationId);
+
+    return { message: 'Room allocation removed' };
+  }
+
+  /**
+   * Re-check a schedule's active allocations after the schedule itself changes
+   * (called by AppointmentService.updateSchedule before saving)
+   * @param {string} scheduleId
+   * @param {Object} schedule - Merged schedule values (dayOfWeek, times, departmentId, validity)
+   */
+  async assertScheduleAllocationsFit(scheduleId, schedule) {
+    const hospitalId = tenantContext.getHospitalId();
+    const allocations = await this.repository.getAllocations(hospitalId, { scheduleId, isActive: true });
+
+    for (const allocation of allocations) {
+      const room = await this.getRoomOrThrow(allocation.roomId);
+      await this.assertAllocationFits({
+        room,
+        schedule: { ...schedule, id: scheduleId },
+        window: this.toWindow(allocation),
+        excludeAllocationId: allocation.id
+      });
+    }
+  }
+
+  // ==================== ROOM BOARD ====================
+
+  /**
+   * Room occupancy for a date: allocated sessions and maintenance per room
+   * @param {Object} query - { date, departmentId }
+   */
+  async getRoomBoard({ date, departmentId } = {}) {
+    const hospitalId = tenantContext.getHospitalId();
+    const day = date ? toDateOnly(date) : toDateOnly(new Date());
+
+    if (!day) {
+      throw new ValidationError('Invalid date');
+    }
+
+    const dayEnd = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+    const [rooms, allocations, blocks] = await Promise.all([
+      this.repository.getRooms(hospitalId, { departmentId }),
+      this.repository.getAllocations(hospitalId, { isActive: true, departmentId }),
+      this.repository.getHospitalMaintenanceBlocks(hospitalId, day, dayEnd)
+    ]);
+
+    const sessionsToday = allocations
+      .filter(a => isScheduleEffectiveOn(a.schedule, day))
+      .map(a => ({ allocation: a, window: getEffectiveWindow(a.schedule, this.toWindow(a)) }))
+      .filter(({ window }) => window && isDateInWindow(day, window));
+
+    return {
+      date: toDateKey(day),
+      dayName: DAY_NAMES[getScheduleDayOfWeek(day)],
+      rooms: rooms.map(room => {
+        const roomBlocks = blocks.filter(b => b.roomId === room.id);
+
+        const sessions = sessionsToday
+          .filter(({ allocation }) => allocation.roomId === room.id)
+          .map(({ allocation, window }) => {
+            const startDateTime = combineDateAndTime(day, allocation.schedule.startTime);
+            const endDateTime = combineDateAndTime(day, allocation.schedule.endTime);
+            const blocked = hasOverlap(roomBlocks, startDateTime, endDateTime);
+            const overridden = !blocked && sessionsToday.some(other =>
+              other.allocation.scheduleId === allocation.scheduleId &&
+              other.allocation.id !== allocation.id &&
+              windowSpan(other.window) < windowSpan(window)
+            );
+
+            return {
+              allocationId: allocation.id,
+              scheduleId: allocation.scheduleId,
+              doctor: allocation.schedule.doctor,
+              startTime: allocation.schedule.startTime,
+              endTime: allocation.schedule.endTime,
+              status: blocked ? 'BLOCKED' : overridden ? 'OVERRIDDEN' : 'ALLOCATED'
+            };
+          })
+          .sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+        return {
+          id: room.id,
+          roomNumber: room.roomNumber,
+          roomName: room.roomName,
+          roomType: room.roomType,
+          department: room.department,
+          isAvailable: room.isAvailable,
+          isUnderMaintenance: room.isUnderMaintenance,
+          operatingHours: getOperatingWindow(room.department?.operatingHours, getScheduleDayOfWeek(day)) ?? null,
+          sessions,
+          maintenanceBlocks: roomBlocks
+        };
+      })
+    };
+  }
+
+  // ==================== ROOM LOOKUP ====================
+
+  /**
+   * Room a doctor should be in at a point in time
+   * Looks at sessions starting within ROOM_CONFIG.BIND_LEAD_MINUTES as well, so a
+   * queue moves to the next session's room shortly before it starts.
+   * Takes hospitalId explicitly: public display boards have no tenant context.
+   * @returns {Promise<{ room: Object, allocation: Object }|null>}
+   */
+  async resolveRoomForDoctor(hospitalId, doctorId, at = new Date()) {
+    const allocations = await this.repository.getDoctorAllocations(hospitalId, doctorId);
+    const leadMs = ROOM_CONFIG.BIND_LEAD_MINUTES * 60000;
+
+    const candidates = allocations
+      .filter(a => a.room.isAvailable && !a.room.isUnderMaintenance)
+      .filter(a => isScheduleEffectiveOn(a.schedule, at))
+      .map(a => ({ allocation: a, window: getEffectiveWindow(a.schedule, this.toWindow(a)) }))
+      .filter(({ window }) => window && isDateInWindow(at, window))
+      .filter(({ allocation }) => {
+        const start = combineDateAndTime(at, allocation.schedule.startTime).getTime() - leadMs;
+        const end = combineDateAndTime(at, allocation.schedule.endTime).getTime();
+        return at.getTime() >= start && at.getTime() < end;
+      });
+
+    const available = [];
+    for (const candidate of candidates) {
+      const blocks = await this.repository.getMaintenanceBlocks(candidate.allocation.roomId, at, new Date(at.getTime() + 1));
+      if (!blocks.length) available.push(candidate);
+    }
+
+    if (!available.length) return null;
+
+    // Narrowest window first (dated overrides beat open-ended allocations), then the earliest session
+    available.sort((a, b) =>
+      (windowSpan(a.window) - windowSpan(b.window)) ||
+      a.allocation.schedule.startTime.localeCompare(b.allocation.schedule.startTime)
+    );
+
+    const { allocation } = available[0];
+    return { room: allocation.room, allocation };
+  }
+
+  /**
+   * Current (or next within the lead time) room of a doctor
+   */
+  async getDoctorCurrentRoom(doctorId, at) {
+    const hospitalId = tenantContext.getHospitalId();
+    const when = at ? new Date(at) : new Date();
+
+    if (Number.isNaN(when.getTime())) {
+      throw new ValidationError('Invalid time', 'at');
+    }
+
+    const assigned = await this.resolveRoomForDoctor(hospitalId, doctorId, when);
+
+    return {
+      doctorId,
+      at: when,
+      room: assigned ? { ...assigned.room, roomLabel: formatRoomLabel(assigned.room) } : null,
+      allocation: assigned ? this.formatAllocation(assigned.allocation) : null
+    };
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * Validate an allocation of `room` to `schedule` over `window`
+   * - room available and not under maintenance, same department as the session
+   * - session inside the department's operatingHours
+   * - one allocation per session, except dated overrides inside a wider allocation
+   * - no other session in the room at an overlapping time
+   * - no maintenance block over any upcoming occurrence of the session
+   */
+  async assertAllocationFits({ room, schedule, window, excludeAllocationId = null }) {
+    if (!room.isAvailable) {
+      throw new ValidationError(`Room ${room.roomNumber} is not available for allocation`);
+    }
+    if (room.isUnderMaintenance) {
+      throw new ValidationError(`Room ${room.roomNumber} is under maintenance`);
+    }
+    if (!schedule.isActive) {
+      throw new ValidationError('Cannot allocate a room to an inactive schedule');
+    }
+    if (room.departmentId !== schedule.departmentId) {
+      throw new ValidationError(`Room ${room.roomNumber} belongs to a different department than the doctor session`);
+    }
+
+    const department = await this.prisma.department.findUnique({
+      where: { id: schedule.departmentId },
+      select: { departmentName: true, operatingHours: true }
+    });
+
+    if (!isWithinOperatingHours(department?.operatingHours, schedule)) {
+      const hours = getOperatingWindow(department.operatingHours, schedule.dayOfWeek);
+      throw new ValidationError(hours
+        ? `${sessionLabel(schedule)} is outside ${department.departmentName} operating hours (${hours.start}-${hours.end})`
+        : `${department.departmentName} is closed on ${DAY_NAMES[schedule.dayOfWeek]}`);
+    }
+
+    const effective = getEffectiveWindow(schedule, window);
+    if (!effective) {
+      throw new ValidationError('Allocation dates fall outside the schedule validity');
+    }
+
+    const sameDay = (await this.repository.getRoomAllocationsForDay(room.id, schedule.dayOfWeek))
+      .filter(a => a.id !== excludeAllocationId);
+
+    // One room per session at a time; a bounded window inside a wider one overrides it
+    const sameSession = (await this.repository.getAllocations(tenantContext.getHospitalId(), { scheduleId: schedule.id, isActive: true }))
+      .filter(a => a.id !== excludeAllocationId)
+      .map(a => ({ allocation: a, window: getEffectiveWindow(schedule, this.toWindow(a)) }))
+      .filter(({ window: other }) => other && windowsOverlap(other, effective));
+
+    for (const { allocation, window: other } of sameSession) {
+      const isOverride = (effective.toDate && isWindowWithin(effective, other) && windowSpan(effective) < windowSpan(other)) ||
+        (other.toDate && isWindowWithin(other, effective) && windowSpan(other) < windowSpan(effective));
+      if (!isOverride) {
+        throw new ConflictError(
+          `${sessionLabel(schedule)} is already allocated to room ${allocation.room.roomNumber} for these dates`
+        );
+      }
+    }
+
+    // Other sessions in this room on the same weekday with intersecting dates
+    const clashes = findOverlaps(
+      sameDay
+        .filter(a => a.scheduleId !== schedule.id)
+        .filter(a => {
+          const other = getEffectiveWindow(a.schedule, this.toWindow(a));
+          return other && windowsOverlap(other, effective);
+        })
+        .map(a => ({
+          allocation: a,
+          startDateTime: combineDateAndTime(REFERENCE_DAY, a.schedule.startTime),
+          endDateTime: combineDateAndTime(REFERENCE_DAY, a.schedule.endTime)
+        })),
+      combineDateAndTime(REFERENCE_DAY, schedule.startTime),
+      combineDateAndTime(REFERENCE_DAY, schedule.endTime)
+    );
+
+    if (clashes.length) {
+      const { allocation } = clashes[0];
+      throw new ConflictError(
+        `Room ${room.roomNumber} is already allocated to ${allocation.schedule.doctor?.name || 'another doctor'} on ${sessionLabel(allocation.schedule)}`
+      );
+    }
+
+    // Maintenance over upcoming occurrences of the session
+    const now = new Date();
+    const from = effective.fromDate && effective.fromDate > now ? effective.fromDate : now;
+    const to = effective.toDate
+      ? new Date(effective.toDate.getFullYear(), effective.toDate.getMonth(), effective.toDate.getDate() + 1)
+      : null;
+    const blocks = await this.repository.getMaintenanceBlocks(room.id, from, to);
+    const blocked = this.findBlockedOccurrences(schedule, effective, blocks)
+      .filter(occurrence => occurrence.endDateTime > now);
+
+    if (blocked.length) {
+      throw new ConflictError(
+        `Room ${room.roomNumber} is blocked for maintenance on ${toDateKey(blocked[0].startDateTime)} during ${sessionLabel(schedule)}`
+      );
+    }
+  }
+
+  /**
+   * Session occurrences that overlap any of the given maintenance blocks
+   */
+  findBlockedOccurrences(schedule, window, blocks) {
+    const blocked = [];
+
+    for (const block of blocks) {
+      const occurrences = listSessionOccurrences(schedule, window, block.startDateTime, block.endDateTime);
+      blocked.push(...occurrences.filter(o => hasOverlap([block], o.startDateTime, o.endDateTime)));
+    }
+
+    return blocked;
+  }
+
+  /**
+   * Allocation date window as local calendar dates
+   */
+  toWindow(allocation) {
+    return {
+      fromDate: allocation.fromDate ? fromDbDate(allocation.fromDate) : null,
+      toDate: allocation.toDate ? fromDbDate(allocation.toDate) : null
+    };
+  }
+
+  normalizeRoomInput(data) {
+    const roomNumber = typeof data.roomNumber === 'string' ? data.roomNumber.trim() : data.roomNumber;
+
+    if (!roomNumber || !data.departmentId) {
+      throw new ValidationError('roomNumber and departmentId are required');
+    }
+
+    const roomType = data.roomType || ROOM_TYPE.GENERAL;
+    if (!Object.values(ROOM_TYPE).includes(roomType)) {
+      throw new ValidationError(`Invalid room type: ${roomType}`, 'roomType');
+    }
+
+    const floor = data.floor === null || data.floor === undefined || data.floor === '' ? null : Number(data.floor);
+    if (floor !== null && !Number.isInteger(floor)) {
+      throw new ValidationError('floor must be a whole number', 'floor');
+    }
+
+    const capacity = data.capacity === null || data.capacity === undefined || data.capacity === '' ? null : Number(data.capacity);
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity < 1)) {
+      throw new ValidationError('capacity must be a positive whole number', 'capacity');
+    }
+
+    const equipment = data.equipment || null;
+    const isUnderMaintenance = data.isUnderMaintenance ?? false;
+
+    return {
+      roomNumber: String(roomNumber),
+      roomName: data.roomName || null,
+      roomType,
+      floor,
+      wing: data.wing || null,
+      departmentId: data.departmentId,
+      capacity,
+      hasEquipment: Boolean(equipment),
+      equipment,
+      isAvailable: data.isAvailable ?? true,
+      isUnderMaintenance,
+      maintenanceNotes: isUnderMaintenance ? (data.maintenanceNotes || null) : null
+    };
+  }
+
+  normalizeAllocationInput(data) {
+    if (!data.roomId || !data.scheduleId) {
+      throw new ValidationError('roomId and scheduleId are required');
+    }
+
+    const fromDate = data.fromDate ? toDateOnly(data.fromDate) : null;
+    const toDate = data.toDate ? toDateOnly(data.toDate) : null;
+
+    if ((data.fromDate && !fromDate) || (data.toDate && !toDate)) {
+      throw new ValidationError('fromDate and toDate must be valid dates (YYYY-MM-DD)');
+    }
+    if (fromDate && toDate && toDate < fromDate) {
+      throw new ValidationError('toDate must be on or after fromDate');
+    }
+
+    return {
+      roomId: data.roomId,
+      scheduleId: data.scheduleId,
+      fromDate,
+      toDate,
+      notes: data.notes || null
+    };
+  }
+
+  async assertDepartmentInHospital(departmentId, hospitalId) {
+    const department = await this.prisma.department.findFirst({
+      where: { id: departmentId, hospitalId },
+      select: { id: true }
+    });
+
+    if (!department) {
+      throw new NotFoundError('Department');
+    }
+
+    return department;
+  }
+
+  async getRoomOrThrow(roomId) {
+    const hospitalId = tenantContext.getHospitalId();
+    const room = await this.repository.getRoomById(roomId);
+
+    if (!room || room.hospitalId !== hospitalId) {
+      throw new NotFoundError('Consultation room');
+    }
+
+    return room;
+  }
+
+  async getScheduleOrThrow(scheduleId, hospitalId) {
+    const schedule = await this.prisma.doctorSchedule.findFirst({
+      where: { id: scheduleId, hospitalId },
+      include: { doctor: { select: { id: true, name: true } } }
+    });
+
+    if (!schedule) {
+      throw new NotFoundError('Doctor schedule');
+    }
+
+    return schedule;
+  }
+
+  async getAllocationOrThrow(allocationId) {
+    const hospitalId = tenantContext.getHospitalId();
+    const allocation = await this.repository.getAllocationById(allocationId);
+
+    if (!allocation || allocation.hospitalId !== hospitalId) {
+      throw new NotFoundError('Room allocation');
+    }
+
+    return allocation;
+  }
+
+  /**
+   * Add display fields to an allocation row
+   */
+  formatAllocation(allocation) {
+    return {
+      ...allocation,
+      fromDate: allocation.fromDate ? toDateKey(fromDbDate(allocation.fromDate)) : null,
+      toDate: allocation.toDate ? toDateKey(fromDbDate(allocation.toDate)) : null,
+      dayName: DAY_NAMES[allocation.schedule.dayOfWeek],
+      roomLabel: formatRoomLabel(allocation.room)
+    };
+  }
+}
+
+export default RoomService;
@@ -0,0 +1,159 @@
+/**
+ * Room Service - allocating a room to a doctor session: clashes with other
+ * sessions in the room, one room per session with dated overrides, department
+ * operating hours and maintenance blocks
+ */
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { answeringClient, callsTo } from './prismaTestClient.node.mjs';
+import { RoomService } from './room.service.js';
+import { tenantContext } from '../core/context/index.js';
+
+beforeEach(() => {
+  tenantContext.hospitalId = 'h1';
+});
+
+const MONDAY = 0;
+
+const room = (id, roomNumber, extra = {}) => ({
+  id, roomNumber, roomName: null, hospitalId: 'h1', departmentId: 'dep-1', isAvailable: true, isUnderMaintenance: false,
+  ...extra,
+});
+
+const rooms = { r1: room('r1', '101'), r2: room('r2', '102') };
+
+const session = (id, doctor, dayOfWeek, startTime, endTime, extra = {}) => ({
+  id, doctorId: `doc-${doctor}`, doctor: { id: `doc-${doctor}`, name: `Dr ${doctor}` }, departmentId: 'dep-1',
+  dayOfWeek, startTime, endTime, isActive: true, fromDate: null, toDate: null,
+  ...extra,
+});
+
+const allocation = (id, roomId, schedule, extra = {}) => ({
+  id, hospitalId: 'h1', roomId, room: rooms[roomId], scheduleId: schedule.id, schedule, isActive: true, fromDate: null, toDate: null,
+  ...extra,
+});
+
+// Dr Rao's Monday morning clinic is being placed
+const mondayMorning = session('sched-rao', 'Rao', MONDAY, '09:00', '13:00');
+
+// Open 09:00-17:00 on weekdays, closed at the weekend
+const weekdays = Object.fromEntries(['monday', 'tuesday', 'wednesday', 'thursday', 'friday'].map(day => [day, { start: '09:00', end: '17:00' }]));
+
+function setup({ allocations = [], blocks = [], schedule = mondayMorning, operatingHours = weekdays, roomOverrides = {} } = {}) {
+  const { client, calls } = answeringClient({
+    consultationRoom: { findUnique: ({ where }) => ({ ...rooms[where.id], ...roomOverrides }) },
+    doctorSchedule: { findFirst: schedule },
+    department: { findUnique: { departmentName: 'General Medicine', operatingHours } },
+    roomAllocation: {
+      // Allocations as the database would filter them
+      findMany: ({ where }) => allocations.filter(a =>
+        (!where.roomId || a.roomId === where.roomId) &&
+        (!where.scheduleId || a.scheduleId === where.scheduleId) &&
+        (where.schedule?.dayOfWeek === undefined || a.schedule.dayOfWeek === where.schedule.dayOfWeek)),
+      findUnique: ({ where }) => allocations.find(a => a.id === where.id),
+      create: ({ data }) => ({ id: 'alloc-new', ...data, room: rooms[data.roomId], schedule }),
+      update: ({ where, data }) => ({ ...allocations.find(a => a.id === where.id), ...data }),
+    },
+    roomMaintenanceBlock: { findMany: blocks },
+  });
+  return { service: new RoomService(client), calls };
+}
+
+const allocate = (service, extra = {}) => service.createAllocation({ roomId: 'r1', scheduleId: 'sched-rao', ...extra }, 'user-1');
+
+// ==================== SESSION CLASHES ====================
+
+test('a session overlapping another doctor session in the room on the same weekday is refused', async () => {
+  const { service, calls } = setup({
+    allocations: [allocation('alloc-iyer', 'r1', session('sched-iyer', 'Iyer', MONDAY, '12:00', '16:00'))],
+  });
+
+  await assert.rejects(allocate(service), {
+    statusCode: 409, message: 'Room 101 is already allocated to Dr Iyer on Monday 12:00-16:00',
+  });
+  assert.equal(callsTo(calls, 'roomAllocation.create').length, 0);
+});
+
+test('back-to-back sessions, other weekdays and date ranges that never meet do not clash', async () => {
+  const { service, calls } = setup({
+    allocations: [
+      allocation('alloc-iyer', 'r1', session('sched-iyer', 'Iyer', MONDAY, '13:00', '17:00')),
+      allocation('alloc-das', 'r1', session('sched-das', 'Das', 1, '09:00', '13:00')),
+      // Dr Menon used the room on Monday mornings until the end of September
+      allocation('alloc-menon', 'r1', session('sched-menon', 'Menon', MONDAY, '10:00', '12:00'), { toDate: new Date('2026-09-30') }),
+    ],
+  });
+
+  const { allocation: created } = await allocate(service, { fromDate: '2026-10-05' });
+
+  assert.deepEqual([created.roomId, created.doctorId, created.fromDate, created.toDate, created.dayName], ['r1', 'doc-Rao', '2026-10-05', null, 'Monday']);
+  assert.deepEqual(callsTo(calls, 'roomAllocation.create')[0].args.data.fromDate, new Date(Date.UTC(2026, 9, 5)));
+});
+
+// ==================== ONE ROOM PER SESSION ====================
+
+test('a session already in a room cannot take a second room, except as a dated override', async () => {
+  const usual = allocation('alloc-usual', 'r2', mondayMorning);
+
+  const { service } = setup({ allocations: [usual] });
+  await assert.rejects(allocate(service), {
+    statusCode: 409, message: 'Monday 09:00-13:00 is already allocated to room 102 for these dates',
+  });
+
+  // Two weeks in room 101 while room 102 is refitted
+  const { service: override, calls } = setup({ allocations: [usual] });
+  await allocate(override, { fromDate: '2026-11-02', toDate: '2026-11-16', notes: 'Room 102 refit' });
+  assert.equal(callsTo(calls, 'roomAllocation.create').length, 1);
+});
+
+test('moving an allocation does not clash with itself', async () => {
+  const existing = allocation('alloc-rao', 'r1', mondayMorning);
+  const { service, calls } = setup({ allocations: [existing] });
+
+  const { allocation: updated } = await service.updateAllocation('alloc-rao', { fromDate: '2026-11-02' });
+
+  assert.equal(updated.fromDate, '2026-11-02');
+  assert.equal(callsTo(calls, 'roomAllocation.update')[0].args.where.id, 'alloc-rao');
+});
+
+// ==================== ROOM AND DEPARTMENT ====================
+
+test('a session outside department hours, on a closed day or in an unusable room is refused', async () => {
+  const { service: late } = setup({ schedule: session('sched-rao', 'Rao', MONDAY, '16:00', '19:00') });
+  await assert.rejects(allocate(late), {
+    statusCode: 400, message: 'Monday 16:00-19:00 is outside General Medicine operating hours (09:00-17:00)',
+  });
+
+  const { service: sunday } = setup({ schedule: session('sched-rao', 'Rao', 6, '09:00', '13:00') });
+  await assert.rejects(allocate(sunday), { statusCode: 400, message: 'General Medicine is closed on Sunday' });
+
+  for (const roomOverrides of [{ isAvailable: false }, { isUnderMaintenance: true }, { departmentId: 'dep-2' }]) {
+    const { service } = setup({ roomOverrides });
+    await assert.rejects(allocate(service), { statusCode: 400 });
+  }
+
+  // No operating hours configured: no restriction
+  const { service: anyHours } = setup({ schedule: session('sched-rao', 'Rao', 6, '20:00', '22:00'), operatingHours: null });
+  await allocate(anyHours);
+});
+
+// ==================== MAINTENANCE ====================
+
+test('a maintenance block over an upcoming session refuses the allocation; one outside session hours does not', async () => {
+  // A Monday at least a week away, so the block is always in the future
+  const day = new Date();
+  day.setDate(day.getDate() + ((8 - day.getDay()) % 7) + 7);
+  const at = (hours) => new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours);
+  const dateKey = `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+
+  const { service, calls } = setup({ blocks: [{ id: 'block-1', startDateTime: at(11), endDateTime: at(15) }] });
+  await assert.rejects(allocate(service), {
+    statusCode: 409, message: `Room 101 is blocked for maintenance on ${dateKey} during Monday 09:00-13:00`,
+  });
+  const [query] = callsTo(calls, 'roomMaintenanceBlock.findMany');
+  assert.equal(query.args.where.roomId, 'r1');
+  assert.ok(query.args.where.endDateTime.gt instanceof Date);
+
+  const { service: evening } = setup({ blocks: [{ id: 'block-2', startDateTime: at(18), endDateTime: at(21) }] });
+  await allocate(evening);
+});
@@ -0,0 +1,554 @@
+/**
+ * Specimen Service
+ * Accession numbers, tube labels and chain-of-custody scans for lab specimens
+ *
+ * Order items are grouped into tubes by DiagnosticTest tubeType/tubeColor; each
+ * tube is a Specimen with its own accession number (printed as the barcode).
+ * Custody scans move the specimen through SPECIMEN_STATUS and are kept as
+ * SpecimenCustodyEvent rows. The RECEIVED_IN_LAB scan stamps labReceivedAt on
+ * the tube's order items, which is where the TAT clock starts.
+ */
+
+import { DiagnosticsRepository } from './diagnostics.repository.js';
+import {
+  SPECIMEN_STATUS,
+  CUSTODY_EVENT,
+  CUSTODY_EVENT_STATUS,
+  LABEL_FORMATS,
+  BARCODE_SYMBOLOGIES,
+  SPECIMEN_CONFIG,
+  getTubeKey,
+  canRecordCustodyEvent
+} from '../constants/specimenTracking.js';
+import { encodeCode128 } from '../utils/barcode.utils.js';
+import { ValidationError, NotFoundError } from '../shared/AppError.js';
+
+// Specimens still accepting newly collected items of the same tube type
+const OPEN_SPECIMEN_STATUSES = [SPECIMEN_STATUS.ACCESSIONED, SPECIMEN_STATUS.COLLECTED];
+
+// Items that still need a tube (collected items are accessioned at collection)
+const UNCOLLECTED_ITEM_STATUSES = ['ORDERED', 'SAMPLE_PENDING'];
+
+const pad = (n, length = 3) => String(n).padStart(length, '0');
+
+const getShortDateKey = (d = new Date()) => {
+  const y = String(d.getFullYear()).slice(2);
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${y}${mm}${dd}`;
+};
+
+export class SpecimenService {
+  constructor(prisma) {
+    this.prisma = prisma;
+    this.repository = new DiagnosticsRepository(prisma);
+  }
+
+  async generateAccessionNumber() {
+    const shortDate = getShortDateKey();
+    const counterId = `${SPECIMEN_CONFIG.ACCESSION_PREFIX}${shortDate}`;
+    const seq = await this.repository.nextSequence(counterId);
+    return `${SPECIMEN_CONFIG.ACCESSION_PREFIX}${shortDate}${pad(seq, 4)}`;
+  }
+
+  // ==================== ACCESSIONING ====================
+
+  /**
+   * Put uncollected order items into tubes (one per tube type)
+   * @param {Object} order - DiagnosticOrder with orderItems (incl. test)
+   */
+  async accessionOrder(order, userId) {
+    const pending = order.orderItems.filter(item => !item.specimenId && UNCOLLECTED_ITEM_STATUSES.includes(item.status));
+
+    for (const item of pending) {
+      const specimen = await this.findOrCreateOpenSpecimen(order, item.test, userId);
+      await this.repository.updateOrderItem(item.id, {
+        specimenId: specimen.id,
+        barcodeGenerated: true,
+        barcodeData: specimen.accessionNumber
+      });
+      item.specimenId = specimen.id;
+    }
+  }
+
+  /**
+   * Tube for a collected item; marks it collected on the first item drawn
+   * @param {Object} orderItem - DiagnosticOrderItem with test and order
+   */
+  async attachOnCollection(orderItem, userId) {
+    let specimen = orderItem.specimenId
+      ? await this.prisma.specimen.findUnique({ where: { id: orderItem.specimenId } })
+      : null;
+
+    // Labelled tube already sent on (or discarded) - the item needs a fresh tube
+    if (!specimen || !OPEN_SPECIMEN_STATUSES.includes(specimen.status)) {
+      specimen = await this.findOrCreateOpenSpecimen(orderItem.order, orderItem.test, userId);
+    }
+
+    if (specimen.status === SPECIMEN_STATUS.ACCESSIONED) {
+      specimen = await this.recordEvent(specimen, CUSTODY_EVENT.COLLECTED, userId, {
+        scannedCode: specimen.accessionNumber,
+        update: { collectedAt: new Date(), collectedBy: userId }
+      });
+    }
+
+    return specimen;
+  }
+
+  /**
+   * Take a rejected item out of its tube; an emptied tube is discarded
+   */
+  async detachItem(orderItem, reason, userId) {
+    if (!orderItem.specimenId) return;
+
+    await this.repository.updateOrderItem(orderItem.id, { specimenId: null, labReceivedAt: null });
+
+    const specimen = await this.prisma.specimen.findUnique({
+      where: { id: orderItem.specimenId },
+      include: { orderItems: { where: { status: { not: 'CANCELLED' } } } }
+    });
+
+    if (specimen && specimen.orderItems.length === 0 && specimen.status !== SPECIMEN_STATUS.DISCARDED) {
+      await this.recordEvent(specimen, CUSTODY_EVENT.DISCARDED, userId, {
+        notes: `Sample rejected: ${reason}`,
+        details: { reason },
+        update: { discardedAt: new Date(), discardReason: reason }
+      });
+    }
+  }
+
+  async findOrCreateOpenSpecimen(order, test, userId) {
+    const tubeKey = getTubeKey(test);
+    const open = await this.prisma.specimen.findMany({
+      where: { orderId: order.id, parentSpecimenId: null, status: { in: OPEN_SPECIMEN_STATUSES } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const existing = open.find(specimen => getTubeKey(specimen) === tubeKey);
+    if (existing) return existing;
+
+    return this.prisma.specimen.create({
+      data: {
+        hospitalId: order.hospitalId,
+        orderId: order.id,
+        patientId: order.patientId,
+        accessionNumber: await this.generateAccessionNumber(),
+        tubeType: test?.tubeType || null,
+        tubeColor: test?.tubeColor || null,
+        sampleType: test?.sampleType || null,
+        status: SPECIMEN_STATUS.ACCESSIONED,
+        createdBy: userId
+      }
+    });
+  }
+
+  // ==================== LABELS ====================
+
+  /**
+   * One label per tube for an order (accessions any unlabelled items first)
+   * @param {string} orderId - DiagnosticOrder.orderId
+   */
+  async getOrderLabels(orderId, hospitalId, userId) {
+    const order = await this.repository.getOrderByOrderId(orderId);
+
+    if (!order || order.hospitalId !== hospitalId) {
+      throw new NotFoundError('Diagnostic order');
+    }
+
+    await this.accessionOrder(order, userId);
+
+    const specimens = await this.prisma.specimen.findMany({
+      where: { orderId: order.id, status: { not: SPECIMEN_STATUS.DISCARDED } },
+      include: {
+        orderItems: { where: { status: { not: 'CANCELLED' } }, select: { testCode: true } },
+        parentSpecimen: { select: { accessionNumber: true } }
+      },
+      orderBy: { accessionNumber: 'asc' }
+    });
+
+    await this.prisma.specimen.updateMany({
+      where: { id: { in: specimens.map(s => s.id) } },
+      data: { labelPrintCount: { increment: 1 }, lastLabelPrintedAt: new Date() }
+    });
+
+    return specimens.map(specimen => ({
+      accessionNumber: specimen.accessionNumber,
+      aliquotOf: specimen.parentSpecimen?.accessionNumber || null,
+      orderId: order.orderId,
+      patientId: order.patient?.patientId || null,
+      patientName: order.patient?.name || null,
+      tubeType: specimen.tubeType,
+      tubeColor: specimen.tubeColor,
+      sampleType: specimen.sampleType,
+      testCodes: specimen.orderItems.map(item => item.testCode),
+      collectedAt: specimen.collectedAt,
+      priority: order.urgency || null
+    }));
+  }
+
+  /**
+   * Printable labels for an order
+   * @param {Object} options - { format: PDF|ZPL, symbology: CODE128|QR }
+   * @returns {Object} { filename, contentType, body }
+   */
+  async renderOrderLabels(orderId, hospitalId, userId, options = {}) {
+    const format = (options.format || LABEL_FORMATS.PDF).toUpperCase();
+    const symbology = (options.symbology || BARCODE_SYMBOLOGIES.CODE128).toUpperCase();
+
+    if (!Object.values(LABEL_FORMATS).includes(format)) {
+      throw new ValidationError(`Label format must be one of: ${Object.values(LABEL_FORMATS).join(', ')}`);
+    }
+    if (!Object.values(BARCODE_SYMBOLOGIES).includes(symbology)) {
+      throw new ValidationError(`Barcode symbology must be one of: ${Object.values(BARCODE_SYMBOLOGIES).join(', ')}`);
+    }
+
+    const labels = await this.getOrderLabels(orderId, hospitalId, userId);
+    if (labels.length === 0) {
+      throw new ValidationError('Order has no specimens to label');
+    }
+
+    if (format === LABEL_FORMATS.ZPL) {
+      return {
+        filename: `Labels_${orderId}.zpl`,
+        contentType: 'text/plain; charset=utf-8',
+        body: buildZplLabels(labels, symbology)
+      };
+    }
+
+    const { generateSpecimenLabelsPdf } = await import('../utils/pdfGenerator.utils.js');
+    return {
+      filename: `Labels_${orderId}.pdf`,
+      contentType: 'application/pdf',
+      body: await generateSpecimenLabelsPdf(labels, {
+        symbology,
+        widthMm: SPECIMEN_CONFIG.LABEL_WIDTH_MM,
+        heightMm: SPECIMEN_CONFIG.LABEL_HEIGHT_MM
+      })
+    };
+  }
+
+  // ==================== CUSTODY ====================
+
+  /**
+   * Record a custody scan (collection scans go through DiagnosticsService)
+   * @param {Object} data - { code, event, location, notes, storageLocation, reason, aliquots }
+   */
+  async recordScan(data, hospitalId, userId) {
+    const specimen = await this.findByCode(data.code, hospitalId);
+    const event = data.event;
+
+    if (!canRecordCustodyEvent(specimen.status, event)) {
+      throw new ValidationError(`Cannot record ${event} for a specimen that is ${specimen.status}`);
+    }
+
+    const now = new Date();
+    const base = { scannedCode: data.code, location: data.location, notes: data.notes };
+
+    switch (event) {
+      case CUSTODY_EVENT.DISPATCHED:
+        await this.recordEvent(specimen, event, userId, { ...base, update: { dispatchedAt: now } });
+        break;
+
+      case CUSTODY_EVENT.RECEIVED_IN_LAB:
+        await this.recordEvent(specimen, event, userId, {
+          ...base,
+          update: { receivedAt: now, receivedBy: userId }
+        });
+        await this.startTatClock(specimen.id, now, userId);
+        break;
+
+      case CUSTODY_EVENT.STORED:
+        if (!data.storageLocation) {
+          throw new ValidationError('storageLocation is required to store a specimen');
+        }
+        await this.recordEvent(specimen, event, userId, {
+          ...base,
+          details: { storageLocation: data.storageLocation, previousLocation: specimen.storageLocation },
+          update: { storedAt: now, storageLocation: data.storageLocation }
+        });
+        break;
+
+      case CUSTODY_EVENT.DISCARDED:
+        if (!data.reason) {
+          throw new ValidationError('reason is required to discard a specimen');
+        }
+        await this.recordEvent(specimen, event, userId, {
+          ...base,
+          details: { reason: data.reason },
+          update: { discardedAt: now, discardReason: data.reason }
+        });
+        break;
+
+      case CUSTODY_EVENT.ALIQUOTED:
+        await this.createAliquots(specimen, data, userId);
+        break;
+
+      default:
+        throw new ValidationError(`Unsupported custody event: ${event}`);
+    }
+
+    return {
+      specimen: await this.getSpecimen(specimen.accessionNumber, hospitalId),
+      message: `Specimen ${specimen.accessionNumber} ${event.toLowerCase().replace(/_/g, ' ')}`
+    };
+  }
+
+  /**
+   * Split a received specimen into child tubes
+   * @param {Object} data - { aliquots: [{ orderItemIds, tubeType, tubeColor }] } or { aliquotCount }
+   */
+  async createAliquots(specimen, data, userId) {
+    const requested = Array.isArray(data.aliquots) && data.aliquots.length > 0
+      ? data.aliquots
+      : Array.from({ length: Number(data.aliquotCount) || 1 }, () => ({}));
+
+    if (requested.length > SPECIMEN_CONFIG.MAX_ALIQUOTS) {
+      throw new ValidationError(`Cannot create more than ${SPECIMEN_CONFIG.MAX_ALIQUOTS} aliquots at once`);
+    }
+
+    const itemIds = new Set(specimen.orderItems.map(item => item.id));
+    for (const aliquot of requested) {
+      const unknown = (aliquot.orderItemIds || []).filter(id => !itemIds.has(id));
+      if (unknown.length > 0) {
+        throw new ValidationError(`Order items not on specimen ${specimen.accessionNumber}: ${unknown.join(', ')}`);
+      }
+    }
+
+    const existingCount = await this.prisma.specimen.count({ where: { parentSpecimenId: specimen.id } });
+    const now = new Date();
+    const created = [];
+
+    for (const [index, aliquot] of requested.entries()) {
+      const child = await this.prisma.specimen.create({
+        data: {
+          hospitalId: specimen.hospitalId,
+          orderId: specimen.orderId,
+          patientId: specimen.patientId,
+          accessionNumber: `${specimen.accessionNumber}-${pad(existingCount + index + 1, 2)}`,
+          parentSpecimenId: specimen.id,
+          tubeType: aliquot.tubeType || specimen.tubeType,
+          tubeColor: aliquot.tubeColor || specimen.tubeColor,
+          sampleType: specimen.sampleType,
+          status: SPECIMEN_STATUS.RECEIVED,
+          currentLocation: data.location || specimen.currentLocation,
+          collectedAt: specimen.collectedAt,
+          collectedBy: specimen.collectedBy,
+          receivedAt: specimen.receivedAt || now,
+          receivedBy: specimen.receivedBy || userId,
+          createdBy: userId
+        }
+      });
+
+      // Items move with their aliquot; TAT keeps running from the parent's receipt
+      if (aliquot.orderItemIds?.length) {
+        await this.prisma.diagnosticOrderItem.updateMany({
+          where: { id: { in: aliquot.orderItemIds } },
+          data: { specimenId: child.id, barcodeData: child.accessionNumber }
+        });
+      }
+
+      await this.prisma.specimenCustodyEvent.create({
+        data: {
+          hospitalId: specimen.hospitalId,
+          specimenId: child.id,
+          event: CUSTODY_EVENT.ALIQUOTED,
+          fromStatus: null,
+          toStatus: SPECIMEN_STATUS.RECEIVED,
+          location: data.location || null,
+          notes: data.notes || null,
+          details: { parentAccessionNumber: specimen.accessionNumber, orderItemIds: aliquot.orderItemIds || [] },
+          performedBy: userId,
+          performedAt: now
+        }
+      });
+
+      created.push(child);
+    }
+
+    await this.recordEvent(specimen, CUSTODY_EVENT.ALIQUOTED, userId, {
+      scannedCode: data.code,
+      location: data.location,
+      notes: data.notes,
+      details: { aliquots: created.map(child => child.accessionNumber) }
+    });
+
+    return created;
+  }
+
+  /**
+   * Received-in-lab: start the TAT clock of every item in the tube
+   */
+  async startTatClock(specimenId, receivedAt, userId) {
+    const items = await this.prisma.diagnosticOrderItem.findMany({
+      where: { specimenId, labReceivedAt: null, status: { not: 'CANCELLED' } },
+      include: { test: true }
+    });
+
+    for (const item of items) {
+      const expectedCompletionAt = new Date(receivedAt);
+      expectedCompletionAt.setHours(expectedCompletionAt.getHours() + item.test.turnaroundTime);
+
+      await this.repository.updateOrderItem(item.id, {
+        labReceivedAt: receivedAt,
+        expectedCompletionAt,
+        statusHistory: [
+          ...(item.statusHistory || []),
+          { status: item.status, timestamp: receivedAt, by: userId, reason: 'Received in lab' }
+        ]
+      });
+    }
+  }
+
+  /**
+   * Move a specimen to the event's status and log the scan
+   * @param {Object} options - { scannedCode, location, notes, details, update }
+   */
+  async recordEvent(specimen, event, userId, options = {}) {
+    const toStatus = CUSTODY_EVENT_STATUS[event];
+
+    const updated = await this.prisma.specimen.update({
+      where: { id: specimen.id },
+      data: {
+        status: toStatus,
+        ...(options.location && { currentLocation: options.location }),
+        ...options.update
+      }
+    });
+
+    await this.prisma.specimenCustodyEvent.create({
+      data: {
+        hospitalId: specimen.hospitalId,
+        specimenId: specimen.id,
+        event,
+        fromStatus: specimen.status,
+        toStatus,
+        scannedCode: options.scannedCode || null,
+        location: options.location || null,
+        notes: options.notes || null,
+        details: options.details || undefined,
+        performedBy: userId
+      }
+    });
+
+    return updated;
+  }
+
+  // ==================== QUERIES ====================
+
+  /**
+   * Specimen by scanned code: accession number, or a legacy item sample ID
+   */
+  async findByCode(code, hospitalId) {
+    if (!code) {
+      throw new ValidationError('Scanned code is required');
+    }
+
+    const value = String(code).trim();
+    const include = { orderItems: { where: { status: { not: 'CANCELLED' } } } };
+
+    let specimen = await this.prisma.specimen.findFirst({
+      where: { accessionNumber: value, hospitalId },
+      include
+    });
+
+    if (!specimen) {
+      const item = await this.repository.getOrderItemBySampleId(value);
+      if (item?.specimenId) {
+        specimen = await this.prisma.specimen.findFirst({
+          where: { id: item.specimenId, hospitalId },
+          include
+        });
+      }
+    }
+
+    if (!specimen) {
+      throw new NotFoundError('Specimen');
+    }
+
+    return specimen;
+  }
+
+  /**
+   * Specimen with its tests, aliquots and custody chain
+   */
+  async getSpecimen(code, hospitalId) {
+    const specimen = await this.findByCode(code, hospitalId);
+
+    return this.prisma.specimen.findUnique({
+      where: { id: specimen.id },
+      include: {
+        order: { select: { id: true, orderId: true, urgency: true, patient: { select: { id: true, patientId: true, name: true } } } },
+        orderItems: {
+          select: { id: true, testCode: true, testName: true, status: true, sampleId: true, labReceivedAt: true, expectedCompletionAt: true }
+        },
+        parentSpecimen: { select: { id: true, accessionNumber: true } },
+        aliquots: { select: { id: true, accessionNumber: true, status: true, storageLocation: true } },
+        custodyEvents: { orderBy: { performedAt: 'asc' } }
+      }
+    });
+  }
+
+  /**
+   * Specimens by order / status
+   * @param {Object} filters - { orderId (DiagnosticOrder.orderId), status }
+   */
+  async getSpecimens(hospitalId, filters = {}) {
+    const where = { hospitalId };
+
+    if (filters.status) where.status = filters.status;
+    if (filters.orderId) where.order = { orderId: filters.orderId };
+
+    return this.prisma.specimen.findMany({
+      where,
+      include: {
+        order: { select: { id: true, orderId: true, urgency: true } },
+        orderItems: { select: { id: true, testCode: true, testName: true, status: true } }
+      },
+      orderBy: { createdAt: 'desc' },
+      take: 200
+    });
+  }
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * ZPL II for 50 x 25 mm labels; the printer draws the barcode (^BC / ^BQ)
+ */
+function buildZplLabels(labels, symbology) {
+  const dots = (mm) => Math.round(mm * SPECIMEN_CONFIG.ZPL_DOTS_PER_MM);
+  const text = (value) => String(value ?? '').replace(/[\^~\\]/g, ' ').slice(0, 40);
+
+  return labels.map(label => {
+    const lines = [
+      `${label.accessionNumber}${label.aliquotOf ? ` (ALQ ${label.aliquotOf})` : ''}`,
+      [label.patientName, label.patientId].filter(Boolean).join(' | '),
+      [label.tubeColor, label.tubeType, label.sampleType].filter(Boolean).join(' / '),
+      label.testCodes.join(', ')
+    ];
+
+    // Narrow bars when a long (aliquot) accession would not fit at 2 dots per module
+    const modules = encodeCode128(label.accessionNumber).reduce((sum, width) => sum + width, 0);
+    const moduleWidth = modules * 2 <= dots(SPECIMEN_CONFIG.LABEL_WIDTH_MM - 4) ? 2 : 1;
+
+    const barcode = symbology === BARCODE_SYMBOLOGIES.QR
+      ? `^FO${dots(1.5)},${dots(1.5)}^BQN,2,4^FDMA,${text(label.accessionNumber)}^FS`
+      : `^FO${dots(2)},${dots(1.5)}^BY${moduleWidth}^BCN,${dots(9)},N,N,N^FD${text(label.accessionNumber)}^FS`;
+
+    // Text sits right of a QR code, below a Code128 barcode
+    const textX = symbology === BARCODE_SYMBOLOGIES.QR ? dots(20) : dots(3);
+    const textY = symbology === BARCODE_SYMBOLOGIES.QR ? dots(2) : dots(12);
+
+    return [
+      '^XA',
+      '^CI28',
+      `^PW${dots(SPECIMEN_CONFIG.LABEL_WIDTH_MM)}`,
+      `^LL${dots(SPECIMEN_CONFIG.LABEL_HEIGHT_MM)}`,
+      barcode,
+      ...lines.map((line, index) => `^FO${textX},${textY + index * dots(3)}^A0N,${dots(2.5)},${dots(2.5)}^FD${text(line)}^FS`),
+      '^XZ'
+    ].join('\n');
+  }).join('\n');
+}
+
+export default SpecimenService;
@@ -0,0 +1,234 @@
+/**
+ * Specimen Service - accession numbers from the daily counter, order items
+ * grouped into one tube per tube type, aliquot numbering and printable tube
+ * labels (ZPL for thermal printers)
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answeringClient, callsTo } from './prismaTestClient.node.mjs';
+import { SpecimenService } from './specimen.service.js';
+import { SPECIMEN_STATUS } from '../constants/specimenTracking.js';
+
+const edta = { tubeType: 'EDTA', tubeColor: 'Lavender', sampleType: 'Blood' };
+const sst = { tubeType: 'SST', tubeColor: 'Gold', sampleType: 'Serum' };
+
+const item = (id, testCode, tube, extra = {}) => ({
+  id, testCode, status: 'ORDERED', specimenId: null, test: { testCode, ...tube },
+  ...extra,
+});
+
+// CBC and HbA1c share a lavender tube; LFT needs a gold one
+const order = () => ({
+  id: 'ord-1', orderId: 'DO2610190007', hospitalId: 'h1', patientId: 'pat-1', urgency: 'ROUTINE',
+  patient: { patientId: 'P000123', name: 'Meera Nair' },
+  orderItems: [
+    item('oi-cbc', 'CBC', edta),
+    item('oi-hba1c', 'HBA1C', edta, { status: 'SAMPLE_PENDING' }),
+    item('oi-lft', 'LFT', sst),
+    item('oi-tsh', 'TSH', sst, { status: 'CANCELLED' }),
+  ],
+});
+
+const todayKey = () => {
+  const d = new Date();
+  return `${String(d.getFullYear()).slice(2)}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}`;
+};
+
+function setup({ diagnosticOrder = order(), specimens = [], counterSeq = 0, answers = {} } = {}) {
+  const counters = new Map();
+  const items = diagnosticOrder?.orderItems || [];
+
+  const { client, calls } = answeringClient({
+    diagnosticOrder: { findUnique: diagnosticOrder },
+    diagnosticOrderItem: {
+      update: ({ where, data }) => Object.assign(items.find(i => i.id === where.id), data),
+      updateMany: ({ where }) => ({ count: where.id.in.length }),
+    },
+    counter: {
+      upsert: ({ where }) => {
+        const seq = (counters.get(where.id) ?? counterSeq) + 1;
+        counters.set(where.id, seq);
+        return { id: where.id, seq };
+      },
+    },
+    specimen: {
+      findMany: ({ where }) => (where.status.in
+        ? specimens.filter(s => where.status.in.includes(s.status))
+        : specimens.map(s => ({
+          ...s,
+          orderItems: items.filter(i => i.specimenId === s.id && i.status !== 'CANCELLED'),
+          parentSpecimen: specimens.find(p => p.id === s.parentSpecimenId) || null,
+        }))),
+      create: ({ data }) => {
+        const specimen = { id: `spec-${specimens.length + 1}`, parentSpecimenId: null, ...data };
+        specimens.push(specimen);
+        return specimen;
+      },
+      updateMany: ({ where }) => ({ count: where.id.in.length }),
+      update: ({ where, data }) => ({ ...specimens.find(s => s.id === where.id), ...data }),
+      count: ({ where }) => specimens.filter(s => s.parentSpecimenId === where.parentSpecimenId).length,
+    },
+    specimenCustodyEvent: { create: ({ data }) => ({ id: 'evt-1', ...data }) },
+    ...answers,
+  });
+  return { service: new SpecimenService(client), calls, specimens };
+}
+
+// ==================== ACCESSION NUMBERS ====================
+
+test('accession numbers take the next value of the daily counter, padded to four digits', async () => {
+  const { service, calls } = setup({ counterSeq: 41 });
+
+  assert.equal(await service.generateAccessionNumber(), `ACC${todayKey()}0042`);
+  assert.equal(await service.generateAccessionNumber(), `ACC${todayKey()}0043`);
+
+  // The first accession of a day creates its counter
+  const [upsert] = callsTo(calls, 'counter.upsert');
+  assert.deepEqual(upsert.args, {
+    where: { id: `ACC${todayKey()}` },
+    update: { seq: { increment: 1 } },
+    create: { id: `ACC${todayKey()}`, seq: 1 },
+  });
+});
+
+test('uncollected items sharing a tube type share one accession number', async () => {
+  const { service, calls, specimens } = setup();
+  const diagnosticOrder = order();
+
+  await service.accessionOrder(diagnosticOrder, 'user-1');
+
+  assert.deepEqual(
+    specimens.map(s => [s.accessionNumber, s.tubeType, s.status, s.orderId, s.patientId]),
+    [
+      [`ACC${todayKey()}0001`, 'EDTA', SPECIMEN_STATUS.ACCESSIONED, 'ord-1', 'pat-1'],
+      [`ACC${todayKey()}0002`, 'SST', SPECIMEN_STATUS.ACCESSIONED, 'ord-1', 'pat-1'],
+    ]
+  );
+  // The barcode on each item is its tube's accession number; cancelled items get none
+  assert.deepEqual(
+    callsTo(calls, 'diagnosticOrderItem.update').map(c => [c.args.where.id, c.args.data.barcodeData]),
+    [['oi-cbc', `ACC${todayKey()}0001`], ['oi-hba1c', `ACC${todayKey()}0001`], ['oi-lft', `ACC${todayKey()}0002`]]
+  );
+
+  // Accessioning again issues nothing new
+  await service.accessionOrder(diagnosticOrder, 'user-1');
+  assert.equal(callsTo(calls, 'specimen.create').length, 2);
+});
+
+test('an open tube of the same type is reused; a tube already sent on is not', async () => {
+  const open = { id: 'spec-9', accessionNumber: 'ACC2610180031', ...edta, status: SPECIMEN_STATUS.COLLECTED };
+  const { service, calls } = setup({ specimens: [open] });
+
+  const diagnosticOrder = order();
+  diagnosticOrder.orderItems = diagnosticOrder.orderItems.slice(0, 1);
+  await service.accessionOrder(diagnosticOrder, 'user-1');
+  assert.equal(diagnosticOrder.orderItems[0].specimenId, 'spec-9');
+  assert.equal(callsTo(calls, 'specimen.create').length, 0);
+
+  const { service: dispatched, calls: dispatchedCalls } = setup({ specimens: [{ ...open, status: SPECIMEN_STATUS.DISPATCHED }] });
+  await dispatched.accessionOrder(order(), 'user-1');
+  assert.equal(callsTo(dispatchedCalls, 'specimen.create').length, 2);
+});
+
+test('aliquots are numbered after the parent accession, continuing from existing aliquots', async () => {
+  const parent = {
+    id: 'spec-1', hospitalId: 'h1', orderId: 'ord-1', patientId: 'pat-1', accessionNumber: 'ACC2610190001', ...sst,
+    status: SPECIMEN_STATUS.RECEIVED, receivedAt: new Date(2026, 9, 19, 9, 30), receivedBy: 'tech-1',
+    orderItems: [{ id: 'oi-lft' }, { id: 'oi-tsh' }],
+  };
+  const { service, calls } = setup({ specimens: [parent, { id: 'spec-2', parentSpecimenId: 'spec-1' }] });
+
+  const created = await service.createAliquots(parent, { aliquots: [{ orderItemIds: ['oi-tsh'] }, {}] }, 'tech-2');
+
+  assert.deepEqual(created.map(c => c.accessionNumber), ['ACC2610190001-02', 'ACC2610190001-03']);
+  assert.deepEqual(created.map(c => c.receivedAt), [parent.receivedAt, parent.receivedAt]);
+  // Items named for an aliquot move to it
+  assert.deepEqual(callsTo(calls, 'diagnosticOrderItem.updateMany').map(c => [c.args.where.id.in, c.args.data]), [
+    [['oi-tsh'], { specimenId: 'spec-3', barcodeData: 'ACC2610190001-02' }],
+  ]);
+
+  await assert.rejects(service.createAliquots(parent, { aliquotCount: 11 }, 'tech-2'), {
+    statusCode: 400, message: 'Cannot create more than 10 aliquots at once',
+  });
+  await assert.rejects(service.createAliquots(parent, { aliquots: [{ orderItemIds: ['oi-cbc'] }] }, 'tech-2'), {
+    statusCode: 400, message: 'Order items not on specimen ACC2610190001: oi-cbc',
+  });
+});
+
+// ==================== LABELS ====================
+
+test('one label per tube lists its tests and counts the print', async () => {
+  const { service, calls } = setup();
+
+  const labels = await service.getOrderLabels('DO2610190007', 'h1', 'user-1');
+
+  assert.deepEqual(labels.map(l => [l.accessionNumber, l.testCodes, l.tubeColor, l.patientName, l.patientId, l.priority]), [
+    [`ACC${todayKey()}0001`, ['CBC', 'HBA1C'], 'Lavender', 'Meera Nair', 'P000123', 'ROUTINE'],
+    [`ACC${todayKey()}0002`, ['LFT'], 'Gold', 'Meera Nair', 'P000123', 'ROUTINE'],
+  ]);
+  const [printed] = callsTo(calls, 'specimen.updateMany');
+  assert.deepEqual(printed.args.where.id.in, ['spec-1', 'spec-2']);
+  assert.deepEqual(printed.args.data.labelPrintCount, { increment: 1 });
+
+  const { service: other } = setup();
+  await assert.rejects(other.getOrderLabels('DO2610190007', 'h2', 'user-1'), { statusCode: 404, message: 'Diagnostic order not found' });
+  const { service: missing } = setup({ diagnosticOrder: null });
+  await assert.rejects(missing.getOrderLabels('DO0000000000', 'h1', 'user-1'), { statusCode: 404 });
+});
+
+test('ZPL labels let the printer draw a Code128 or QR barcode of the accession number', async () => {
+  const { service } = setup();
+
+  const { filename, contentType, body } = await service.renderOrderLabels('DO2610190007', 'h1', 'user-1', { format: 'zpl' });
+
+  assert.deepEqual([filename, contentType], ['Labels_DO2610190007.zpl', 'text/plain; charset=utf-8']);
+  const labels = body.split('^XZ').filter(Boolean);
+  assert.equal(labels.length, 2);
+  // 50 x 25 mm at 8 dots per mm
+  assert.match(labels[0], /\^PW400\n\^LL200\n/);
+  assert.ok(labels[0].includes(`^BY2^BCN,72,N,N,N^FDACC${todayKey()}0001^FS`));
+  assert.ok(labels[0].includes('^FDMeera Nair | P000123^FS'));
+  assert.ok(labels[0].includes('^FDLavender / EDTA / Blood^FS'));
+  assert.ok(labels[0].includes('^FDCBC, HBA1C^FS'));
+
+  const { service: qr } = setup();
+  const { body: qrBody } = await qr.renderOrderLabels('DO2610190007', 'h1', 'user-1', { format: 'ZPL', symbology: 'qr' });
+  assert.ok(qrBody.includes(`^BQN,2,4^FDMA,ACC${todayKey()}0002^FS`));
+  assert.ok(!qrBody.includes('^BCN'));
+});
+
+test('ZPL label text cannot break out of its field and long aliquot barcodes use narrow bars', async () => {
+  const diagnosticOrder = order();
+  diagnosticOrder.patient.name = 'Meera ^XZ~JA Nair\\';
+  const specimens = [
+    { id: 'spec-1', accessionNumber: 'ACC2610190001', ...sst, status: SPECIMEN_STATUS.RECEIVED },
+    { id: 'spec-2', accessionNumber: 'ACC2610190001-01', parentSpecimenId: 'spec-1', ...sst, status: SPECIMEN_STATUS.RECEIVED },
+  ];
+  diagnosticOrder.orderItems = [item('oi-lft', 'LFT', sst, { status: 'SAMPLE_COLLECTED', specimenId: 'spec-2' })];
+  const { service } = setup({ diagnosticOrder, specimens });
+
+  const { body } = await service.renderOrderLabels('DO2610190007', 'h1', 'user-1', { format: 'ZPL' });
+  const [parent, aliquot] = body.split('^XZ').filter(Boolean);
+
+  assert.ok(parent.includes('^FDMeera  XZ JA Nair  | P000123^FS'));
+  assert.ok(parent.includes('^BY2^BCN'));
+  assert.ok(aliquot.includes('^BY1^BCN,72,N,N,N^FDACC2610190001-01^FS'));
+  assert.ok(aliquot.includes('^FDACC2610190001-01 (ALQ ACC2610190001)^FS'));
+});
+
+test('unknown label formats and symbologies are refused before anything is accessioned', async () => {
+  const { service, calls } = setup();
+
+  await assert.rejects(service.renderOrderLabels('DO2610190007', 'h1', 'user-1', { format: 'PNG' }), {
+    statusCode: 400, message: 'Label format must be one of: PDF, ZPL',
+  });
+  await assert.rejects(service.renderOrderLabels('DO2610190007', 'h1', 'user-1', { symbology: 'EAN13' }), {
+    statusCode: 400, message: 'Barcode symbology must be one of: CODE128, QR',
+  });
+  assert.equal(calls.length, 0);
+
+  const { service: empty } = setup({ diagnosticOrder: { ...order(), orderItems: [] } });
+  await assert.rejects(empty.renderOrderLabels('DO2610190007', 'h1', 'user-1', { format: 'ZPL' }), {
+    statusCode: 400, message: 'Order has no specimens to label',
+  });
+});
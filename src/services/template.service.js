@@ -11,6 +11,7 @@ import {
   getDefaultTemplateForCategory 
 } from './defaultTemplates.js';
 import { ValidationError, NotFoundError, ForbiddenError } from '../shared/AppError.js';
+import { validateReflexRules, getReflexRuleErrors } from '../controllers/diagnostics.validators.js';
 
 export class DiagnosticTemplateService {
   constructor(prisma) {
@@ -189,6 +190,10 @@ export class DiagnosticTemplateService {
       throw new ForbiddenError('Access denied');
     }
 
+    if (data.reflexRules !== undefined) {
+      validateReflexRules(data.reflexRules);
+    }
+
     const updated = await this.repository.updateTemplate(templateId, {
       ...data,
       updatedBy: userId
@@ -457,6 +462,10 @@ export class DiagnosticTemplateService {
       errors.push('Entry fields must be an array');
     }
 
+    if (data.reflexRules !== undefined) {
+      errors.push(...getReflexRuleErrors(data.reflexRules));
+    }
+
     if (errors.length > 0) {
       throw new ValidationError(errors.join('. '));
     }
@@ -23,6 +23,7 @@ import {
   QUALITATIVE_RESULTS,
   CRITICAL_VALUES
 } from '../constants/diagnosticTemplates.js';
+import { DeltaCheckService, extractReportValues } from './deltaCheck.service.js';
 
 
 /**
@@ -940,6 +941,7 @@ class TemplateEngine {
 class TemplateEngineService {
   constructor() {
     this.engine = new TemplateEngine();
+    this.deltaCheckService = new DeltaCheckService(prisma);
   }
   
   /**
@@ -1007,6 +1009,9 @@ class TemplateEngineService {
   
   /**
    * Validate report data against template
+   * Pass options.patientId to add delta check failures (vs. the patient's
+   * previous released result) as warnings; options.excludeReportId skips the
+   * report being validated
    */
   async validateReportData(templateCodeOrId, reportData, options = {}) {
     let template;
@@ -1067,10 +1072,35 @@ class TemplateEngineService {
       }
     }
     
+    // Delta checks flag, they don't block
+    let deltaCheck = null;
+    if (options.patientId) {
+      deltaCheck = await this.deltaCheckService.runChecks({
+        patientId: options.patientId,
+        hospitalId: options.hospitalId,
+        testCode: options.testCode || template.testCode,
+        values: extractReportValues(reportData.results),
+        rules: this.deltaCheckService.resolveRules(template),
+        excludeReportId: options.excludeReportId
+      });
+      
+      for (const check of deltaCheck.failed) {
+        const field = fields.find(f => f.code === check.code);
+        warnings.push({
+          field: check.code,
+          label: field?.label,
+          type: 'DELTA_CHECK',
+          message: check.message,
+          deltaCheck: check
+        });
+      }
+    }
+    
     return {
       valid: errors.length === 0,
       errors,
-      warnings
+      warnings,
+      deltaCheck
     };
   }
   
@@ -205,6 +205,7 @@ export class VisitService {
         isEmergency,
         visitType: VISIT_TYPE_TO_CATEGORY[visitType],
         paymentStatus: 'UNPAID',
+        balanceDue: totalAmount,
         createdBy,
       },
     });
@@ -328,6 +329,34 @@ export class VisitService {
     return queueEntry;
   }
 
+  /**
+   * Create visit record for an existing patient
+   * Used when the patient is already registered (e.g. appointment check-in);
+   * billing and queueing are left to the caller
+   */
+  async createVisit(hospitalId, patientId, visitData, createdBy) {
+    const visitType = visitData.visitType || VISIT_TYPES.CONSULTATION_NEW;
+    const visitId = await this.generateVisitId();
+
+    return await this.visitRepository.createVisit({
+      visitId,
+      hospitalId,
+      patientId,
+      visitType,
+      visitCategory: VISIT_TYPE_TO_CATEGORY[visitType],
+      chiefComplaint: visitData.chiefComplaint,
+      notes: visitData.notes,
+      assignedDoctorId: visitData.assignedDoctorId,
+      assignedDoctorName: visitData.assignedDoctorName,
+      departmentCode: visitData.departmentCode,
+      isEmergency: visitData.isEmergency || false,
+      priority: visitData.priority || PRIORITY_LEVELS.NORMAL,
+      status: VISIT_STATUS.REGISTERED,
+      billId: visitData.billId,
+      createdBy,
+    });
+  }
+
   /**
    * Patient Entry - Main function to register patient with visit type
    */
@@ -4,12 +4,35 @@
  */
 
 import { DiagnosticTemplateService } from './template.service.js';
+import { DeltaCheckService, extractResultValues } from './deltaCheck.service.js';
+import { AutoVerificationService } from './autoVerification.service.js';
+import { ReflexTestingService } from './reflexTesting.service.js';
+import {
+  DELTA_CHECK_STATUS,
+  AUTO_VERIFICATION_STATUS,
+  RELEASE_MODES,
+  QC_STATUS
+} from '../constants/diagnosticTemplates.js';
 import { RESULT_ENTRY_STATUS, getAllowedCategoriesForRole } from '../rbac/rolePermissions.js';
+import { emitNotificationEvent } from './notification.events.js';
+import { NOTIFICATION_EVENTS } from './notification.constants.js';
+
+// QC and reviewer roles that may acknowledge a failed delta check, and the stages where they can
+const DELTA_ACKNOWLEDGE_ROLES = ['LAB_TECHNICIAN', 'PATHOLOGY', 'RADIOLOGIST'];
+const DELTA_ACKNOWLEDGE_STATUSES = [
+  RESULT_ENTRY_STATUS.PENDING_QC,
+  RESULT_ENTRY_STATUS.QC_APPROVED,
+  RESULT_ENTRY_STATUS.PENDING_REVIEW,
+  RESULT_ENTRY_STATUS.APPROVED
+];
 
 export class WorkboardService {
   constructor(prisma) {
     this.prisma = prisma;
     this.templateService = new DiagnosticTemplateService(prisma);
+    this.deltaCheckService = new DeltaCheckService(prisma);
+    this.autoVerificationService = new AutoVerificationService(prisma);
+    this.reflexService = new ReflexTestingService(prisma);
   }
 
   // ==================== WORKLIST & QUEUE ====================
@@ -45,6 +68,7 @@ export class WorkboardService {
         in: [
           RESULT_ENTRY_STATUS.SAMPLE_COLLECTED,
           RESULT_ENTRY_STATUS.IN_PROGRESS,
+          RESULT_ENTRY_STATUS.ENTERED,
           RESULT_ENTRY_STATUS.PENDING_QC
         ]
       };
@@ -178,7 +202,8 @@ export class WorkboardService {
         unit: result.test.unit
       },
       template: templateData,
-      workflow: this.getWorkflowOptions(result.status, role)
+      deltaCheck: this.formatDeltaCheck(result),
+      workflow: this.getWorkflowOptions(result.status, role, result.deltaCheckStatus)
     };
   }
 
@@ -186,8 +211,9 @@ export class WorkboardService {
 
   /**
    * Save result entry (draft or partial)
+   * @param {Object} options - { entryStatus, entrySource, analyzerMessageId } for analyzer imports
    */
-  async saveResultEntry(resultId, data, userId, hospitalId) {
+  async saveResultEntry(resultId, data, userId, hospitalId, options = {}) {
     const result = await this.prisma.diagnosticResult.findFirst({
       where: {
         id: resultId,
@@ -205,7 +231,8 @@ export class WorkboardService {
     // Validate status allows entry
     const entryAllowedStatuses = [
       RESULT_ENTRY_STATUS.SAMPLE_COLLECTED,
-      RESULT_ENTRY_STATUS.IN_PROGRESS
+      RESULT_ENTRY_STATUS.IN_PROGRESS,
+      RESULT_ENTRY_STATUS.ENTERED
     ];
 
     if (!entryAllowedStatuses.includes(result.status)) {
@@ -216,7 +243,9 @@ export class WorkboardService {
 
     // Update result with entered data
     const updateData = {
-      status: RESULT_ENTRY_STATUS.IN_PROGRESS,
+      status: options.entryStatus || RESULT_ENTRY_STATUS.IN_PROGRESS,
+      entrySource: options.entrySource || 'MANUAL',
+      analyzerMessageId: options.analyzerMessageId || null,
       enteredBy: userId,
       enteredAt: new Date(),
       updatedAt: new Date()
@@ -254,6 +283,11 @@ export class WorkboardService {
       updateData.technicianNotes = data.technicianNotes;
     }
 
+    // Analyzer flags (H, L, HEMOLYSED, ...) - any unignored flag holds the result from auto-verification
+    if (data.instrumentFlags !== undefined) {
+      updateData.instrumentFlags = Array.isArray(data.instrumentFlags) ? data.instrumentFlags : [];
+    }
+
     // Calculate interpretation if numeric value provided
     if (data.resultNumeric !== undefined && result.test.referenceRanges) {
       updateData.interpretation = this.calculateInterpretation(
@@ -264,21 +298,36 @@ export class WorkboardService {
       updateData.isCritical = ['CRITICAL_LOW', 'CRITICAL_HIGH'].includes(updateData.interpretation);
     }
 
+    // Delta check against the patient's previous released result (re-entry clears any acknowledgement)
+    const deltaCheck = await this.runDeltaCheck({ ...result, ...updateData }, hospitalId);
+    updateData.deltaCheckStatus = deltaCheck.status;
+    updateData.deltaChecks = deltaCheck.checks;
+    updateData.deltaAcknowledgedBy = null;
+    updateData.deltaAcknowledgedAt = null;
+    updateData.deltaAcknowledgementNotes = null;
+
     const updatedResult = await this.prisma.diagnosticResult.update({
       where: { id: resultId },
       data: updateData,
       include: { test: true, order: true }
     });
 
+    const reflexTests = await this.reflexService.processResult(updatedResult, 'SAVE', hospitalId, userId);
+
     return {
       result: this.formatResultForEntry(updatedResult),
-      message: 'Result saved successfully',
-      status: updatedResult.status
+      message: deltaCheck.failed.length > 0
+        ? `Result saved. Delta check failed: ${deltaCheck.failed.map(c => c.code).join(', ')}`
+        : 'Result saved successfully',
+      status: updatedResult.status,
+      deltaCheck: this.formatDeltaCheck(updatedResult),
+      reflexTests
     };
   }
 
   /**
    * Submit result for QC/Review
+   * Results passing the template's auto-verification rules skip QC and review
    */
   async submitResultForReview(resultId, userId, hospitalId, notes = null) {
     const result = await this.prisma.diagnosticResult.findFirst({
@@ -303,21 +352,112 @@ export class WorkboardService {
       throw error;
     }
 
+    const template = await this.templateService.resolveTemplateForResult({
+      testCode: result.testCode || result.test?.testCode,
+      testCategory: result.test?.category
+    }, hospitalId);
+    const evaluation = this.autoVerificationService.evaluate(result, template);
+
+    const updateData = {
+      status: RESULT_ENTRY_STATUS.PENDING_QC,
+      submittedBy: userId,
+      submittedAt: new Date(),
+      technicianNotes: notes || result.technicianNotes,
+      autoVerificationStatus: evaluation.status,
+      autoVerificationAt: evaluation.evaluatedAt,
+      autoVerification: {
+        templateId: evaluation.templateId,
+        rules: evaluation.rules,
+        reasons: evaluation.reasons
+      }
+    };
+
+    if (evaluation.status === AUTO_VERIFICATION_STATUS.PASSED) {
+      return this.autoVerifyResult(result, updateData, evaluation, userId);
+    }
+
     const updatedResult = await this.prisma.diagnosticResult.update({
       where: { id: resultId },
-      data: {
-        status: RESULT_ENTRY_STATUS.PENDING_QC,
-        submittedBy: userId,
-        submittedAt: new Date(),
-        technicianNotes: notes || result.technicianNotes
-      },
+      data: updateData,
       include: { test: true, order: { include: { patient: true } } }
     });
 
     return {
       result: this.formatWorklistItem(updatedResult),
       message: 'Result submitted for QC review',
-      nextStep: 'Awaiting Quality Control verification'
+      nextStep: 'Awaiting Quality Control verification',
+      autoVerification: evaluation.status === AUTO_VERIFICATION_STATUS.FAILED
+        ? { status: evaluation.status, reasons: evaluation.reasons }
+        : null
+    };
+  }
+
+  /**
+   * Approve (and optionally release) a result that passed auto-verification
+   */
+  async autoVerifyResult(result, updateData, evaluation, userId) {
+    const autoRelease = !!evaluation.rules.autoRelease;
+    const now = new Date();
+
+    Object.assign(updateData, {
+      status: autoRelease ? RESULT_ENTRY_STATUS.RELEASED : RESULT_ENTRY_STATUS.APPROVED,
+      reviewerNotes: 'Auto-verified: all values within range, no critical values, delta failures or instrument flags'
+    });
+
+    if (autoRelease) {
+      Object.assign(updateData, {
+        releaseMode: RELEASE_MODES.AUTO,
+        releasedAt: now,
+        visibleToPatient: true
+      });
+    }
+
+    // Audit entry (against the template whose rules passed it) written with the result
+    const updatedResult = await this.prisma.$transaction(async (tx) => {
+      const updated = await tx.diagnosticResult.update({
+        where: { id: result.id },
+        data: updateData,
+        include: { test: true, order: { include: { patient: true } } }
+      });
+
+      await tx.templateAuditLog.create({
+        data: {
+          templateId: evaluation.templateId,
+          action: autoRelease ? 'RESULT_AUTO_RELEASED' : 'RESULT_AUTO_VERIFIED',
+          performedBy: userId,
+          changes: {
+            resultId: result.id,
+            testCode: result.testCode || result.test?.testCode,
+            status: { oldValue: result.status, newValue: updated.status },
+            releaseMode: updated.releaseMode || null,
+            evaluatedAt: evaluation.evaluatedAt,
+            rules: evaluation.rules,
+            interpretation: result.interpretation,
+            deltaCheckStatus: result.deltaCheckStatus,
+            instrumentFlags: result.instrumentFlags || []
+          }
+        }
+      });
+
+      return updated;
+    });
+
+    if (autoRelease) {
+      this.notifyResultReleased(updatedResult);
+    }
+
+    const reflexTests = await this.reflexService.processResult(
+      updatedResult, 'APPROVAL', updatedResult.order?.hospitalId, userId
+    );
+
+    return {
+      result: this.formatWorklistItem(updatedResult),
+      message: autoRelease
+        ? 'Result auto-verified and released to patient'
+        : 'Result auto-verified. Ready for release.',
+      nextStep: autoRelease ? null : 'Ready to release to patient',
+      autoVerification: { status: evaluation.status, reasons: [] },
+      reflexTests
     };
   }
 
@@ -343,8 +483,9 @@ export class WorkboardService {
       where: { id: resultId },
       data: {
         status: RESULT_ENTRY_STATUS.PENDING_REVIEW,
-        qcApprovedBy: userId,
-        qcApprovedAt: new Date(),
+        qcCheckedBy: userId,
+        qcCheckedAt: new Date(),
+        qcStatus: QC_STATUS.PASSED,
         qcNotes: notes
       },
       include: { test: true, order: { include: { patient: true } } }
@@ -385,9 +526,10 @@ export class WorkboardService {
       where: { id: resultId },
       data: {
         status: RESULT_ENTRY_STATUS.IN_PROGRESS,
-        qcRejectedBy: userId,
-        qcRejectedAt: new Date(),
-        qcRejectionReason: reason
+        qcCheckedBy: userId,
+        qcCheckedAt: new Date(),
+        qcStatus: QC_STATUS.FAILED,
+        qcNotes: reason
       },
       include: { test: true, order: { include: { patient: true } } }
     });
@@ -442,10 +584,67 @@ export class WorkboardService {
       include: { test: true, order: { include: { patient: true } } }
     });
 
+    const reflexTests = await this.reflexService.processResult(updatedResult, 'APPROVAL', hospitalId, userId);
+
     return {
       result: this.formatWorklistItem(updatedResult),
       message: 'Result reviewed and approved. Ready for release.',
-      nextStep: 'Ready to release to patient'
+      nextStep: 'Ready to release to patient',
+      reflexTests
+    };
+  }
+
+  /**
+   * QC/reviewer acknowledgement of failed delta checks (required before release)
+   */
+  async acknowledgeDeltaCheck(resultId, userId, hospitalId, role, notes) {
+    if (!notes) {
+      const error = new Error('Acknowledgement notes are required');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!DELTA_ACKNOWLEDGE_ROLES.includes(role)) {
+      const error = new Error(`Delta check failures can only be acknowledged by: ${DELTA_ACKNOWLEDGE_ROLES.join(', ')}`);
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const result = await this.prisma.diagnosticResult.findFirst({
+      where: {
+        id: resultId,
+        order: { hospitalId },
+        status: { in: DELTA_ACKNOWLEDGE_STATUSES }
+      }
+    });
+
+    if (!result) {
+      const error = new Error('Result not found or not in QC/review');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (result.deltaCheckStatus !== DELTA_CHECK_STATUS.FAILED) {
+      const error = new Error('Result has no unacknowledged delta check failures');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const updatedResult = await this.prisma.diagnosticResult.update({
+      where: { id: resultId },
+      data: {
+        deltaCheckStatus: DELTA_CHECK_STATUS.ACKNOWLEDGED,
+        deltaAcknowledgedBy: userId,
+        deltaAcknowledgedAt: new Date(),
+        deltaAcknowledgementNotes: notes
+      },
+      include: { test: true, order: { include: { patient: true } } }
+    });
+
+    return {
+      result: this.formatWorklistItem(updatedResult),
+      deltaCheck: this.formatDeltaCheck(updatedResult),
+      message: 'Delta check failures acknowledged'
     };
   }
 
@@ -467,49 +666,25 @@ export class WorkboardService {
       throw error;
     }
 
+    if (result.deltaCheckStatus === DELTA_CHECK_STATUS.FAILED) {
+      const error = new Error('Delta check failures must be acknowledged by QC or the reviewer before release');
+      error.statusCode = 400;
+      throw error;
+    }
+
     const updatedResult = await this.prisma.diagnosticResult.update({
       where: { id: resultId },
       data: {
         status: RESULT_ENTRY_STATUS.RELEASED,
         releasedBy: userId,
         releasedAt: new Date(),
+        releaseMode: RELEASE_MODES.MANUAL,
         visibleToPatient: true
       },
       include: { test: true, order: { include: { patient: true } } }
     });
 
-    // Send notification to patient
-    try {
-      const { sendResultReleasedNotification } = await import('./email.service.js');
-      
-      if (updatedResult.order && updatedResult.order.patient) {
-        const patient = updatedResult.order.patient;
-        const testName = updatedResult.test ? updatedResult.test.testName : 'Test';
-        const resultNumber = updatedResult.resultId || updatedResult.id;
-        const viewUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/results/${updatedResult.id}`;
-
-        if (patient.email) {
-          await sendResultReleasedNotification(
-            patient.email,
-            `${patient.firstName} ${patient.lastName}`,
-            testName,
-            resultNumber,
-            viewUrl,
-            'Hospital' // Replace with actual hospital name
-          );
-          console.log(`📧 Result release notification sent to ${patient.email}`);
-        }
-
-        // TODO: Send SMS notification if phone available
-        if (patient.phone) {
-          console.log(`📱 SMS notification to be sent to ${patient.phone}`);
-          // Implement SMS integration here
-        }
-      }
-    } catch (error) {
-      console.error('Failed to send result release notification:', error);
-      // Don't fail the operation if notification fails
-    }
+    this.notifyResultReleased(updatedResult);
 
     return {
       result: this.formatWorklistItem(updatedResult),
@@ -594,8 +769,37 @@ export class WorkboardService {
     };
   }
 
+  // ==================== AUTO-VERIFICATION ====================
+
+  /**
+   * Auto-verification rate dashboard
+   */
+  async getAutoVerificationDashboard(hospitalId, filters = {}) {
+    return this.autoVerificationService.getDashboard(hospitalId, filters);
+  }
+
   // ==================== HELPER METHODS ====================
 
+  /**
+   * Notify patient (rendered from the hospital's RESULT_RELEASED templates)
+   */
+  notifyResultReleased(updatedResult) {
+    const patient = updatedResult.order?.patient;
+    if (!patient) return;
+
+    emitNotificationEvent(NOTIFICATION_EVENTS.RESULT_RELEASED, {
+      recipient: { id: patient.id, name: patient.name, phone: patient.phone },
+      data: {
+        patient: { name: patient.name, patientId: patient.patientId },
+        result: {
+          testName: updatedResult.test ? updatedResult.test.testName : 'Test',
+          resultNumber: updatedResult.resultId || updatedResult.id,
+          viewUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/results/${updatedResult.id}`
+        }
+      }
+    });
+  }
+
   formatWorklistItem(item) {
     return {
       id: item.id,
@@ -622,6 +826,10 @@ export class WorkboardService {
       urgency: item.order?.urgency,
       interpretation: item.interpretation,
       isCritical: item.isCritical,
+      deltaCheckStatus: item.deltaCheckStatus,
+      autoVerificationStatus: item.autoVerificationStatus,
+      releaseMode: item.releaseMode,
+      entrySource: item.entrySource,
       sampleCollectedAt: item.sampleCollectedAt,
       enteredAt: item.enteredAt,
       submittedAt: item.submittedAt,
@@ -643,6 +851,13 @@ export class WorkboardService {
       referenceText: result.referenceText,
       interpretation: result.interpretation,
       isCritical: result.isCritical,
+      deltaCheckStatus: result.deltaCheckStatus,
+      deltaChecks: result.deltaChecks,
+      instrumentFlags: result.instrumentFlags,
+      entrySource: result.entrySource,
+      analyzerMessageId: result.analyzerMessageId,
+      autoVerificationStatus: result.autoVerificationStatus,
+      autoVerification: result.autoVerification,
       reportText: result.reportText,
       impressions: result.impressions,
       recommendations: result.recommendations,
@@ -660,6 +875,40 @@ export class WorkboardService {
     };
   }
 
+  formatDeltaCheck(result) {
+    const checks = result.deltaChecks || [];
+    return {
+      status: result.deltaCheckStatus || null,
+      checks,
+      failedCodes: checks.filter(c => c.failed).map(c => c.code),
+      requiresAcknowledgement: result.deltaCheckStatus === DELTA_CHECK_STATUS.FAILED,
+      acknowledgedBy: result.deltaAcknowledgedBy,
+      acknowledgedAt: result.deltaAcknowledgedAt,
+      acknowledgementNotes: result.deltaAcknowledgementNotes
+    };
+  }
+
+  /**
+   * Delta check the result's analytes (main value + components) against the
+   * patient's previous released result for the same test code
+   */
+  async runDeltaCheck(result, hospitalId) {
+    const testCode = result.testCode || result.test?.testCode;
+    const template = await this.templateService.resolveTemplateForResult({
+      testCode,
+      testCategory: result.test?.category
+    }, hospitalId);
+
+    return this.deltaCheckService.runChecks({
+      patientId: result.patientId || result.order?.patientId,
+      hospitalId,
+      testCode,
+      values: extractResultValues({ ...result, testCode }),
+      rules: this.deltaCheckService.resolveRules(template),
+      excludeResultId: result.id
+    });
+  }
+
   formatPatientInfo(patient) {
     if (!patient) return null;
     return {
@@ -718,7 +967,8 @@ export class WorkboardService {
     return errors;
   }
 
-  getWorkflowOptions(status, role) {
+  getWorkflowOptions(status, role, deltaCheckStatus = null) {
+    const deltaPending = deltaCheckStatus === DELTA_CHECK_STATUS.FAILED;
     const options = {
       canEdit: false,
       canSubmit: false,
@@ -727,12 +977,15 @@ export class WorkboardService {
       canReview: false,
       canRelease: false,
       canAmend: false,
+      canAcknowledgeDelta: false,
+      deltaAcknowledgementRequired: deltaPending,
       nextActions: []
     };
 
     switch (status) {
       case RESULT_ENTRY_STATUS.SAMPLE_COLLECTED:
       case RESULT_ENTRY_STATUS.IN_PROGRESS:
+      case RESULT_ENTRY_STATUS.ENTERED:
         options.canEdit = true;
         options.canSubmit = true;
         options.nextActions = ['Save Draft', 'Submit for QC'];
@@ -751,8 +1004,8 @@ export class WorkboardService {
         break;
 
       case RESULT_ENTRY_STATUS.APPROVED:
-        options.canRelease = true;
-        options.nextActions = ['Release to Patient'];
+        options.canRelease = !deltaPending;
+        options.nextActions = deltaPending ? [] : ['Release to Patient'];
         break;
 
       case RESULT_ENTRY_STATUS.RELEASED:
@@ -761,6 +1014,11 @@ export class WorkboardService {
         break;
     }
 
+    if (deltaPending && DELTA_ACKNOWLEDGE_STATUSES.includes(status)) {
+      options.canAcknowledgeDelta = DELTA_ACKNOWLEDGE_ROLES.includes(role);
+      options.nextActions = ['Acknowledge Delta Check', ...options.nextActions];
+    }
+
     return options;
   }
 }
@@ -0,0 +1,256 @@
+/**
+ * Workboard Service - submission with auto-verification (approve, release or
+ * hold for QC), the audit trail of auto-verified results, and the delta check
+ * acknowledgement gate before release
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answeringClient, callsTo } from './prismaTestClient.node.mjs';
+import { WorkboardService } from './workboard.service.js';
+import { RESULT_ENTRY_STATUS } from '../rbac/rolePermissions.js';
+import { AUTO_VERIFICATION_STATUS, DELTA_CHECK_STATUS, QC_STATUS } from '../constants/diagnosticTemplates.js';
+
+const tsh = { id: 'test-tsh', testCode: 'TSH', testName: 'TSH', category: 'HORMONES', referenceRanges: [{ gender: 'all', min: 0.4, max: 4.5 }] };
+const order = { id: 'order-1', hospitalId: 'h1', patientId: 'P1', patient: { id: 'P1', patientId: 'PT-1', name: 'Asha', phone: '9000000000' } };
+
+const enteredResult = (extra = {}) => ({
+  id: 'result-1',
+  orderId: 'order-1',
+  patientId: 'P1',
+  hospitalId: 'h1',
+  testId: 'test-tsh',
+  testCode: 'TSH',
+  status: RESULT_ENTRY_STATUS.ENTERED,
+  resultValue: '2.1',
+  resultNumeric: 2.1,
+  interpretation: 'NORMAL',
+  isCritical: false,
+  deltaCheckStatus: null,
+  deltaChecks: [],
+  instrumentFlags: [],
+  componentResults: null,
+  technicianNotes: null,
+  qcStatus: null,
+  ...extra,
+});
+
+const statusMatches = (status, filter) =>
+  filter === undefined || (typeof filter === 'string' ? status === filter : filter.in.includes(status));
+
+/**
+ * Workboard over one stored DiagnosticResult row
+ * @param {Object} template - resolved template (null: none stored)
+ * @param {Array} history - the patient's released results
+ */
+function setup(stored, template = null, history = []) {
+  let row = stored;
+  const withRelations = () => row && { ...row, test: tsh, order };
+  const reflexRuns = [];
+
+  const { client, calls, trace } = answeringClient({
+    diagnosticResult: {
+      findFirst: ({ where }) => (statusMatches(row.status, where.status) ? withRelations() : null),
+      findMany: history,
+      update: ({ data }) => {
+        row = { ...row, ...data };
+        return withRelations();
+      },
+    },
+    diagnosticReport: { findMany: [] },
+    templateAuditLog: { create: ({ data }) => ({ id: 'audit-1', ...data }) },
+  });
+
+  const service = new WorkboardService(client);
+  service.templateService.resolveTemplateForResult = async () => template;
+  service.reflexService.processResult = async (result, trigger) => {
+    reflexRuns.push([result.id, trigger]);
+    return [];
+  };
+
+  return { service, calls, trace, reflexRuns, current: () => row };
+}
+
+const autoVerifying = (rules = {}) => ({ id: 'template-1', autoVerificationRules: { enabled: true, ...rules } });
+
+// ==================== SUBMISSION ====================
+
+test('without auto-verification a submitted result waits for QC', async () => {
+  const { service, calls, current } = setup(enteredResult());
+
+  const response = await service.submitResultForReview('result-1', 'tech-1', 'h1', 'Rerun on fresh sample');
+
+  const saved = current();
+  assert.equal(saved.status, RESULT_ENTRY_STATUS.PENDING_QC);
+  assert.equal(saved.submittedBy, 'tech-1');
+  assert.ok(saved.submittedAt instanceof Date);
+  assert.equal(saved.technicianNotes, 'Rerun on fresh sample');
+  assert.equal(saved.autoVerificationStatus, AUTO_VERIFICATION_STATUS.SKIPPED);
+  assert.equal(response.autoVerification, null);
+  assert.equal(callsTo(calls, 'templateAuditLog.create').length, 0);
+});
+
+test('a clean result is auto-verified to APPROVED with an audit entry written alongside', async () => {
+  const { service, calls, trace, reflexRuns, current } = setup(enteredResult({ technicianNotes: 'Checked' }), autoVerifying());
+
+  const response = await service.submitResultForReview('result-1', 'tech-1', 'h1');
+
+  const saved = current();
+  assert.equal(saved.status, RESULT_ENTRY_STATUS.APPROVED);
+  assert.equal(saved.autoVerificationStatus, AUTO_VERIFICATION_STATUS.PASSED);
+  assert.equal(saved.autoVerification.templateId, 'template-1');
+  assert.equal(saved.technicianNotes, 'Checked');
+  assert.equal(saved.releaseMode, undefined);
+  assert.equal(saved.visibleToPatient, undefined);
+  assert.equal(response.nextStep, 'Ready to release to patient');
+
+  assert.deepEqual(trace().slice(-2), ['diagnosticResult.update (tx)', 'templateAuditLog.create (tx)']);
+  const [audit] = callsTo(calls, 'templateAuditLog.create');
+  assert.equal(audit.args.data.templateId, 'template-1');
+  assert.equal(audit.args.data.action, 'RESULT_AUTO_VERIFIED');
+  assert.equal(audit.args.data.performedBy, 'tech-1');
+  assert.deepEqual(audit.args.data.changes.status, { oldValue: RESULT_ENTRY_STATUS.ENTERED, newValue: RESULT_ENTRY_STATUS.APPROVED });
+
+  // Approval-triggered reflex rules run on the auto-approved result
+  assert.deepEqual(reflexRuns, [['result-1', 'APPROVAL']]);
+});
+
+test('templates with auto-release send a clean result straight to the patient', async () => {
+  const { service, calls, current } = setup(enteredResult(), autoVerifying({ autoRelease: true }));
+
+  const response = await service.submitResultForReview('result-1', 'tech-1', 'h1');
+
+  const saved = current();
+  assert.equal(saved.status, RESULT_ENTRY_STATUS.RELEASED);
+  assert.equal(saved.releaseMode, 'AUTO');
+  assert.equal(saved.visibleToPatient, true);
+  assert.ok(saved.releasedAt instanceof Date);
+  assert.equal(response.nextStep, null);
+  assert.equal(callsTo(calls, 'templateAuditLog.create')[0].args.data.action, 'RESULT_AUTO_RELEASED');
+});
+
+test('a result failing the rules is held for QC with the reasons', async () => {
+  const { service, calls, reflexRuns, current } = setup(
+    enteredResult({ interpretation: 'HIGH', instrumentFlags: ['HEMOLYSED'] }),
+    autoVerifying({ autoRelease: true })
+  );
+
+  const response = await service.submitResultForReview('result-1', 'tech-1', 'h1');
+
+  assert.equal(current().status, RESULT_ENTRY_STATUS.PENDING_QC);
+  assert.equal(current().autoVerificationStatus, AUTO_VERIFICATION_STATUS.FAILED);
+  assert.deepEqual(response.autoVerification.reasons.map(r => r.code), ['OUT_OF_RANGE', 'INSTRUMENT_FLAGS']);
+  assert.equal(callsTo(calls, 'templateAuditLog.create').length, 0);
+  assert.deepEqual(reflexRuns, []);
+});
+
+test('a result QC sent back is held on resubmission even once clean', async () => {
+  const { service, current } = setup(enteredResult({ status: RESULT_ENTRY_STATUS.PENDING_QC }), autoVerifying());
+
+  await service.rejectQC('result-1', 'qc-1', 'h1', 'Sample haemolysed, rerun');
+  assert.equal(current().status, RESULT_ENTRY_STATUS.IN_PROGRESS);
+  assert.equal(current().qcStatus, QC_STATUS.FAILED);
+  assert.equal(current().qcNotes, 'Sample haemolysed, rerun');
+
+  await service.saveResultEntry('result-1', { resultNumeric: '2.0' }, 'tech-1', 'h1');
+  const response = await service.submitResultForReview('result-1', 'tech-1', 'h1');
+
+  assert.equal(current().status, RESULT_ENTRY_STATUS.PENDING_QC);
+  assert.deepEqual(response.autoVerification.reasons.map(r => r.code), ['PREVIOUSLY_REJECTED']);
+});
+
+test('a result without a value cannot be submitted', async () => {
+  const { service } = setup(enteredResult({ resultValue: null, resultNumeric: null }));
+
+  await assert.rejects(service.submitResultForReview('result-1', 'tech-1', 'h1'), { statusCode: 400 });
+});
+
+test('QC approval records the check and moves the result to review', async () => {
+  const { service, current } = setup(enteredResult({ status: RESULT_ENTRY_STATUS.PENDING_QC, deltaCheckStatus: DELTA_CHECK_STATUS.PASSED }));
+
+  await service.approveQC('result-1', 'qc-1', 'h1', 'Looks fine');
+
+  assert.equal(current().status, RESULT_ENTRY_STATUS.PENDING_REVIEW);
+  assert.equal(current().qcCheckedBy, 'qc-1');
+  assert.equal(current().qcStatus, QC_STATUS.PASSED);
+});
+
+// ==================== DELTA CHECKS ====================
+
+// TSH has no default limit: the template sets 1.5 within 72h
+const deltaTemplate = { id: 'template-1', deltaCheckRules: { TSH: { type: 'ABSOLUTE', limit: 1.5, windowHours: 72 } } };
+const previousTsh = { id: 'result-0', testCode: 'TSH', resultNumeric: 2.0, releasedAt: new Date(Date.now() - 24 * 60 * 60 * 1000) };
+
+const failedDelta = (status) => enteredResult({
+  status,
+  deltaCheckStatus: DELTA_CHECK_STATUS.FAILED,
+  deltaChecks: [{ code: 'TSH', current: 4.1, previous: 2.0, change: 2.1, failed: true }],
+});
+
+test('saving a value beyond the delta limit fails the check and clears an earlier acknowledgement', async () => {
+  const { service, calls, current } = setup(
+    enteredResult({ deltaCheckStatus: DELTA_CHECK_STATUS.ACKNOWLEDGED, deltaAcknowledgedBy: 'qc-1' }),
+    deltaTemplate,
+    [previousTsh]
+  );
+
+  const response = await service.saveResultEntry('result-1', { resultNumeric: '4.1' }, 'tech-1', 'h1');
+
+  assert.equal(response.message, 'Result saved. Delta check failed: TSH');
+  assert.equal(current().deltaCheckStatus, DELTA_CHECK_STATUS.FAILED);
+  assert.equal(current().deltaAcknowledgedBy, null);
+  assert.deepEqual(response.deltaCheck.failedCodes, ['TSH']);
+  assert.equal(response.deltaCheck.requiresAcknowledgement, true);
+
+  const [history] = callsTo(calls, 'diagnosticResult.findMany');
+  assert.equal(history.args.where.patientId, 'P1');
+  assert.deepEqual(history.args.where.id, { not: 'result-1' });
+
+  await service.saveResultEntry('result-1', { resultNumeric: '3.4' }, 'tech-1', 'h1');
+  assert.equal(current().deltaCheckStatus, DELTA_CHECK_STATUS.PASSED);
+});
+
+test('a failed delta check blocks release until QC or the reviewer acknowledges it', async () => {
+  const { service, current } = setup(failedDelta(RESULT_ENTRY_STATUS.APPROVED));
+
+  assert.equal(service.getWorkflowOptions(RESULT_ENTRY_STATUS.APPROVED, 'PATHOLOGY', DELTA_CHECK_STATUS.FAILED).canRelease, false);
+  await assert.rejects(service.releaseResult('result-1', 'path-1', 'h1'), { statusCode: 400 });
+  assert.equal(current().status, RESULT_ENTRY_STATUS.APPROVED);
+
+  const acknowledged = await service.acknowledgeDeltaCheck('result-1', 'path-1', 'h1', 'PATHOLOGY', 'Post-transfusion, expected');
+  assert.equal(acknowledged.deltaCheck.status, DELTA_CHECK_STATUS.ACKNOWLEDGED);
+  assert.equal(acknowledged.deltaCheck.acknowledgedBy, 'path-1');
+  assert.equal(acknowledged.deltaCheck.acknowledgementNotes, 'Post-transfusion, expected');
+  assert.equal(acknowledged.deltaCheck.requiresAcknowledgement, false);
+
+  await service.releaseResult('result-1', 'path-1', 'h1');
+  assert.equal(current().status, RESULT_ENTRY_STATUS.RELEASED);
+  assert.equal(current().releaseMode, 'MANUAL');
+});
+
+test('acknowledgement needs notes, a QC or reviewer role and a result in QC or review', async () => {
+  const { service } = setup(failedDelta(RESULT_ENTRY_STATUS.PENDING_QC));
+
+  await assert.rejects(service.acknowledgeDeltaCheck('result-1', 'qc-1', 'h1', 'LAB_TECHNICIAN', ''), { statusCode: 400 });
+  await assert.rejects(service.acknowledgeDeltaCheck('result-1', 'rec-1', 'h1', 'RECEPTIONIST', 'ok'), { statusCode: 403 });
+  assert.equal(service.getWorkflowOptions(RESULT_ENTRY_STATUS.PENDING_QC, 'RECEPTIONIST', DELTA_CHECK_STATUS.FAILED).canAcknowledgeDelta, false);
+  assert.equal(service.getWorkflowOptions(RESULT_ENTRY_STATUS.PENDING_QC, 'LAB_TECHNICIAN', DELTA_CHECK_STATUS.FAILED).canAcknowledgeDelta, true);
+
+  const { service: entering } = setup(failedDelta(RESULT_ENTRY_STATUS.ENTERED));
+  await assert.rejects(entering.acknowledgeDeltaCheck('result-1', 'qc-1', 'h1', 'LAB_TECHNICIAN', 'ok'), { statusCode: 404 });
+});
+
+test('only an unacknowledged failure can be acknowledged', async () => {
+  const { service } = setup(enteredResult({ status: RESULT_ENTRY_STATUS.PENDING_QC, deltaCheckStatus: DELTA_CHECK_STATUS.ACKNOWLEDGED }));
+
+  await assert.rejects(service.acknowledgeDeltaCheck('result-1', 'qc-1', 'h1', 'LAB_TECHNICIAN', 'again'), { statusCode: 400 });
+});
+
+test('a failed delta check holds an otherwise clean result from auto-verification', async () => {
+  const { service, current } = setup(enteredResult(), { ...autoVerifying(), ...deltaTemplate }, [previousTsh]);
+
+  await service.saveResultEntry('result-1', { resultNumeric: '4.1' }, 'tech-1', 'h1');
+  const response = await service.submitResultForReview('result-1', 'tech-1', 'h1');
+
+  assert.equal(current().status, RESULT_ENTRY_STATUS.PENDING_QC);
+  assert.deepEqual(response.autoVerification.reasons.map(r => [r.code, r.detail]), [['DELTA_CHECK_FAILED', 'TSH']]);
+});
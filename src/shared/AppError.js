@@ -116,6 +116,24 @@ export class TooManyRequestsError extends AppError {
   }
 }
 
+/**
+ * Medication Safety Error - 409 Conflict
+ * Interaction / allergy warnings that need a prescriber override with a reason
+ */
+export class MedicationSafetyError extends AppError {
+  constructor(message, warnings = []) {
+    super(message, 409, 'MEDICATION_SAFETY_OVERRIDE_REQUIRED');
+    this.warnings = warnings;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      warnings: this.warnings,
+    };
+  }
+}
+
 
 
 
@@ -0,0 +1,384 @@
+/**
+ * Barcode Utility
+ * Code128 (subset B) and QR Code symbols rendered as SVG for printable labels
+ *
+ * Thermal printers draw barcodes themselves from ZPL (^BC / ^BQ); these encoders
+ * are only needed where the symbol has to be drawn, e.g. PDF labels.
+ */
+
+// ==================== CODE128 ====================
+
+// Bar/space module widths for symbol values 0-105; 106 is the stop pattern
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+const CODE128_QUIET_ZONE = 10;
+
+/**
+ * Code128-B module widths (alternating bar/space, starting with a bar)
+ * @param {string} text - printable ASCII
+ */
+export function encodeCode128(text) {
+  const value = String(text);
+  if (!value || !/^[\x20-\x7E]+$/.test(value)) {
+    throw new Error('Code128 labels support printable ASCII only');
+  }
+
+  const symbols = [CODE128_START_B, ...[...value].map(ch => ch.charCodeAt(0) - 32)];
+  const checksum = symbols.reduce((sum, symbol, index) => sum + symbol * Math.max(index, 1), 0) % 103;
+  symbols.push(checksum, CODE128_STOP);
+
+  return symbols.flatMap(symbol => [...CODE128_PATTERNS[symbol]].map(Number));
+}
+
+/**
+ * Code128 symbol as SVG
+ * @param {Object} options - { height, moduleWidth } in user units
+ */
+export function code128Svg(text, options = {}) {
+  const moduleWidth = options.moduleWidth || 1;
+  const height = options.height || 40;
+  const widths = encodeCode128(text);
+
+  let x = CODE128_QUIET_ZONE;
+  const bars = [];
+  widths.forEach((width, index) => {
+    if (index % 2 === 0) bars.push(`M${x},0h${width}v${height}h-${width}z`);
+    x += width;
+  });
+  const totalWidth = x + CODE128_QUIET_ZONE;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${totalWidth} ${height}" ` +
+    `width="${totalWidth * moduleWidth}" height="${height}" preserveAspectRatio="none">` +
+    `<path d="${bars.join('')}" fill="#000"/></svg>`;
+}
+
+// ==================== QR CODE ====================
+
+// Error correction level M, versions 1-6 (byte mode, equal-sized blocks)
+const QR_VERSIONS = [
+  null,
+  { dataCodewords: 16, ecPerBlock: 10, blocks: 1, alignment: null },
+  { dataCodewords: 28, ecPerBlock: 16, blocks: 1, alignment: 18 },
+  { dataCodewords: 44, ecPerBlock: 26, blocks: 1, alignment: 22 },
+  { dataCodewords: 64, ecPerBlock: 18, blocks: 2, alignment: 26 },
+  { dataCodewords: 86, ecPerBlock: 24, blocks: 2, alignment: 30 },
+  { dataCodewords: 108, ecPerBlock: 16, blocks: 4, alignment: 34 }
+];
+
+const QR_EC_LEVEL_M_BITS = 0;
+const QR_QUIET_ZONE = 4;
+
+/**
+ * QR Code module matrix (true = dark), smallest version that fits
+ * @param {string} text - encoded as UTF-8 bytes
+ * @returns {Array<Array<boolean>>}
+ */
+export function encodeQr(text) {
+  const bytes = [...Buffer.from(String(text), 'utf8')];
+  const version = QR_VERSIONS.findIndex(v => v && bytes.length <= Math.floor((v.dataCodewords * 8 - 12) / 8));
+  if (version === -1) {
+    throw new Error('Text too long for a QR label');
+  }
+
+  const spec = QR_VERSIONS[version];
+  const codewords = addErrorCorrection(buildDataCodewords(bytes, spec.dataCodewords), spec);
+  const qr = new QrMatrix(version, spec);
+
+  qr.drawFunctionPatterns();
+  qr.drawCodewords(codewords);
+
+  // Lowest-penalty mask
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    qr.applyMask(mask);
+    qr.drawFormatBits(mask);
+    const penalty = qr.getPenalty();
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    qr.applyMask(mask); // XOR again to undo
+  }
+
+  qr.applyMask(bestMask);
+  qr.drawFormatBits(bestMask);
+  return qr.modules;
+}
+
+/**
+ * QR Code symbol as SVG
+ * @param {Object} options - { size } in user units
+ */
+export function qrSvg(text, options = {}) {
+  const modules = encodeQr(text);
+  const count = modules.length + QR_QUIET_ZONE * 2;
+  const size = options.size || count * 2;
+
+  const cells = [];
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) cells.push(`M${x + QR_QUIET_ZONE},${y + QR_QUIET_ZONE}h1v1h-1z`);
+  }));
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${count} ${count}" ` +
+    `width="${size}" height="${size}" shape-rendering="crispEdges">` +
+    `<path d="${cells.join('')}" fill="#000"/></svg>`;
+}
+
+// ==================== QR HELPERS ====================
+
+/**
+ * Byte-mode segment, terminator and pad codewords
+ */
+function buildDataCodewords(bytes, capacity) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(0b0100, 4);
+  append(bytes.length, 8);
+  bytes.forEach(byte => append(byte, 8));
+  append(0, Math.min(4, capacity * 8 - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xEC; codewords.length < capacity; pad ^= 0xEC ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+}
+
+/**
+ * Split into blocks, append Reed-Solomon codewords and interleave
+ */
+function addErrorCorrection(data, spec) {
+  const blockLength = data.length / spec.blocks;
+  const divisor = reedSolomonDivisor(spec.ecPerBlock);
+  const blocks = [];
+  for (let i = 0; i < spec.blocks; i++) {
+    const blockData = data.slice(i * blockLength, (i + 1) * blockLength);
+    blocks.push({ data: blockData, ec: reedSolomonRemainder(blockData, divisor) });
+  }
+
+  const result = [];
+  for (let i = 0; i < blockLength; i++) blocks.forEach(block => result.push(block.data[i]));
+  for (let i = 0; i < spec.ecPerBlock; i++) blocks.forEach(block => result.push(block.ec[i]));
+  return result;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+// GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+class QrMatrix {
+  constructor(version, spec) {
+    this.size = version * 4 + 17;
+    this.spec = spec;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const size = this.size;
+
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with separators
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) {
+            this.setFunction(x, y, distance !== 2 && distance !== 4);
+          }
+        }
+      }
+    }
+
+    if (this.spec.alignment) {
+      const center = this.spec.alignment;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          this.setFunction(center + dx, center + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    }
+
+    // Reserve the format areas before placing data
+    this.drawFormatBits(0);
+  }
+
+  drawFormatBits(mask) {
+    const size = this.size;
+    const data = (QR_EC_LEVEL_M_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+    this.setFunction(8, 7, bit(6));
+    this.setFunction(8, 8, bit(7));
+    this.setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i));
+    this.setFunction(8, size - 8, true);
+  }
+
+  drawCodewords(codewords) {
+    const size = this.size;
+    let index = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vertical : vertical;
+          if (!this.isFunction[y][x] && index < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+            index++;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && maskBit(mask, x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  /**
+   * Mask penalty score (ISO/IEC 18004 rules N1-N4)
+   */
+  getPenalty() {
+    const size = this.size;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(this.modules[i]);
+      lines.push(this.modules.map(row => row[i]));
+    }
+
+    let penalty = 0;
+    let dark = 0;
+
+    for (const line of lines) {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) penalty += run - 2;
+          run = 1;
+        }
+      }
+
+      const text = line.map(module => (module ? '1' : '0')).join('');
+      penalty += 40 * ((text.match(/(?=10111010000)/g) || []).length + (text.match(/(?=00001011101)/g) || []).length);
+    }
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (this.modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const color = this.modules[y][x];
+          if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+            penalty += 3;
+          }
+        }
+      }
+    }
+
+    penalty += 10 * Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5);
+    return penalty;
+  }
+}
+
+function maskBit(mask, x, y) {
+  switch (mask) {
+    case 0: return (x + y) % 2 === 0;
+    case 1: return y % 2 === 0;
+    case 2: return x % 3 === 0;
+    case 3: return (x + y) % 3 === 0;
+    case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5: return ((x * y) % 2) + ((x * y) % 3) === 0;
+    case 6: return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0;
+    default: return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0;
+  }
+}
+
+export default {
+  encodeCode128,
+  code128Svg,
+  encodeQr,
+  qrSvg
+};
@@ -0,0 +1,155 @@
+/**
+ * Barcode encoders for PDF tube labels - Code128-B module widths and
+ * checksum, QR version choice, format information and the data read back out
+ * of the symbol
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCode128, code128Svg, encodeQr, qrSvg } from './barcode.utils.js';
+
+const START_B = [2, 1, 1, 2, 1, 4];
+const STOP = [2, 3, 3, 1, 1, 1, 2];
+
+// Module widths of one Code128-B character (its start code stripped)
+const symbolOf = (ch) => encodeCode128(ch).slice(6, 12);
+
+// ==================== CODE128 ====================
+
+test('Code128 is start B, one 11-module symbol per character, the checksum and stop', () => {
+  const widths = encodeCode128('ACC2610190001');
+  const symbols = Array.from({ length: 15 }, (_, i) => widths.slice(i * 6, i * 6 + 6));
+
+  assert.deepEqual(symbols[0], START_B);
+  assert.deepEqual(widths.slice(-7), STOP);
+  assert.equal(widths.length, 15 * 6 + 7);
+  for (const symbol of symbols) {
+    assert.equal(symbol.reduce((sum, w) => sum + w, 0), 11);
+  }
+  assert.deepEqual(symbols.slice(1, 14), [...'ACC2610190001'].map(symbolOf));
+
+  // 104 + weighted character values, mod 103: 'PJJ123C' checks to 55 ('W')
+  assert.deepEqual(encodeCode128('PJJ123C').slice(48, 54), symbolOf('W'));
+});
+
+test('Code128 refuses empty and non-ASCII text, and the SVG draws one bar per odd module run', () => {
+  assert.throws(() => encodeCode128(''), /printable ASCII only/);
+  assert.throws(() => encodeCode128('ACC-é'), /printable ASCII only/);
+
+  const svg = code128Svg('ACC2610190001', { height: 30, moduleWidth: 2 });
+  // 15 symbols of three bars (start, 13 characters, checksum), a stop with four, and a 10-module quiet zone each side
+  assert.equal((svg.match(/M\d+,0h/g) || []).length, 15 * 3 + 4);
+  assert.match(svg, /viewBox="0 0 198 30" width="396" height="30"/);
+  assert.match(svg, /d="M10,0h2v30h-2z/);
+});
+
+// ==================== QR CODE ====================
+
+const FORMAT_MASK = 0x5412;
+
+// Format information, first copy (around the top-left finder)
+function readFormat(modules) {
+  const positions = [
+    ...[0, 1, 2, 3, 4, 5, 7, 8].map(y => [8, y]),
+    [7, 8], ...[5, 4, 3, 2, 1, 0].map(x => [x, 8]),
+  ];
+  return positions.reduce((bits, [x, y], i) => bits | (modules[y][x] ? 1 << i : 0), 0);
+}
+
+function readFormatCopy(modules) {
+  const size = modules.length;
+  const positions = [
+    ...Array.from({ length: 8 }, (_, i) => [size - 1 - i, 8]),
+    ...Array.from({ length: 7 }, (_, i) => [8, size - 7 + i]),
+  ];
+  return positions.reduce((bits, [x, y], i) => bits | (modules[y][x] ? 1 << i : 0), 0);
+}
+
+// Finder, separator, format, timing and (version 2) alignment modules
+function isFunctionModule(x, y, size) {
+  if (x === 6 || y === 6) return true;
+  if ((x < 9 && y < 9) || (x >= size - 8 && y < 9) || (x < 9 && y >= size - 8)) return true;
+  const center = size === 25 ? 18 : null;
+  return center !== null && Math.abs(x - center) <= 2 && Math.abs(y - center) <= 2;
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+// Unmasked data bits in placement order (upward/downward column pairs from the right)
+function readDataBits(modules, mask) {
+  const size = modules.length;
+  const bits = [];
+  let upward = true;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let i = 0; i < size; i++) {
+      const y = upward ? size - 1 - i : i;
+      for (const x of [right, right - 1]) {
+        if (!isFunctionModule(x, y, size)) bits.push(modules[y][x] !== MASKS[mask](x, y));
+      }
+    }
+    upward = !upward;
+  }
+  return bits;
+}
+
+// Byte-mode segment at the start of the data codewords
+function decodeByteSegment(bits) {
+  const read = (from, count) => bits.slice(from, from + count).reduce((n, bit) => n * 2 + (bit ? 1 : 0), 0);
+  assert.equal(read(0, 4), 0b0100, 'byte mode indicator');
+  const length = read(4, 8);
+  return Buffer.from(Array.from({ length }, (_, i) => read(12 + i * 8, 8))).toString('utf8');
+}
+
+function decodeQr(modules) {
+  const format = readFormat(modules);
+  assert.equal(readFormatCopy(modules), format, 'both format copies agree');
+
+  const data = (format ^ FORMAT_MASK) >>> 10;
+  assert.equal(data >>> 3, 0b00, 'error correction level M');
+  return decodeByteSegment(readDataBits(modules, data & 0b111));
+}
+
+test('QR uses the smallest version that fits and reads back the accession number', () => {
+  const accession = encodeQr('ACC2610190001');
+  assert.equal(accession.length, 21);
+  assert.equal(decodeQr(accession), 'ACC2610190001');
+
+  // 16 bytes no longer fit version 1 at level M
+  const aliquot = encodeQr('ACC2610190001-01');
+  assert.equal(aliquot.length, 25);
+  assert.equal(decodeQr(aliquot), 'ACC2610190001-01');
+  assert.equal(aliquot[18][18], true);
+  assert.equal(aliquot[17][18], false);
+
+  assert.equal(decodeQr(encodeQr('Nair, Meera — Lavender')), 'Nair, Meera — Lavender');
+  assert.throws(() => encodeQr('x'.repeat(200)), /too long/);
+});
+
+test('QR finder patterns, timing lines and dark module sit where scanners look for them', () => {
+  const modules = encodeQr('ACC2610190001');
+  const size = modules.length;
+  const ring = (cx, cy, distance) => modules
+    .flatMap((row, y) => row.map((dark, x) => ({ x, y, dark })))
+    .filter(({ x, y }) => Math.max(Math.abs(x - cx), Math.abs(y - cy)) === distance)
+    .map(({ dark }) => dark);
+
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    assert.deepEqual([0, 1, 2, 3].map(d => new Set(ring(cx, cy, d))), [true, true, false, true].map(dark => new Set([dark])));
+  }
+  assert.deepEqual(modules[6].slice(8, size - 8), Array.from({ length: size - 16 }, (_, i) => i % 2 === 0));
+  assert.equal(modules[size - 8][8], true);
+
+  const svg = qrSvg('ACC2610190001', { size: 60 });
+  // 21 modules plus a 4-module quiet zone each side
+  assert.match(svg, /viewBox="0 0 29 29" width="60" height="60"/);
+  assert.equal((svg.match(/h1v1h-1z/g) || []).length, modules.flat().filter(Boolean).length);
+});
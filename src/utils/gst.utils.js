@@ -0,0 +1,288 @@
+/**
+ * GST Utilities
+ * Tax computation, state codes, and invoice numbering for GST tax invoices
+ *
+ * - Intra-state supply (hospital and recipient in the same state): CGST + SGST
+ * - Inter-state supply: IGST
+ * - Tax is computed per line item and rounded to 2 decimals per component
+ */
+
+// Defaults mirror the BillingConfig model, used until an admin saves a config
+export const DEFAULT_BILLING_CONFIG = {
+  gstRate: 18,
+  cgstRate: 9,
+  sgstRate: 9,
+  igstRate: 18,
+  hsnSacCode: null,
+  invoicePrefix: 'INV',
+  taxExemption: false,
+  panNumber: null,
+  gstNumber: null
+};
+
+// GST state codes (first two digits of a GSTIN)
+export const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const PAN_PATTERN = /^[A-Z]{5}\d{4}[A-Z]$/;
+
+/**
+ * Round to 2 decimals (paise)
+ */
+export const roundCurrency = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Validate GSTIN format (15 characters)
+ */
+export const isValidGstin = (gstin) =>
+  typeof gstin === 'string' && GSTIN_PATTERN.test(gstin) && Boolean(GST_STATE_CODES[gstin.slice(0, 2)]);
+
+/**
+ * Validate PAN format (10 characters)
+ */
+export const isValidPan = (pan) => typeof pan === 'string' && PAN_PATTERN.test(pan);
+
+/**
+ * State code from a GSTIN ("29ABCDE1234F1Z5" -> "29")
+ */
+export const getStateCodeFromGstin = (gstin) => (isValidGstin(gstin) ? gstin.slice(0, 2) : null);
+
+/**
+ * Resolve a state code from a code ("29", "7") or a state name ("Karnataka")
+ * @returns {string|null} two-digit state code
+ */
+export const resolveStateCode = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  const text = String(value).trim();
+  if (/^\d{1,2}$/.test(text)) {
+    const code = text.padStart(2, '0');
+    return GST_STATE_CODES[code] ? code : null;
+  }
+
+  const name = text.toLowerCase();
+  const match = Object.entries(GST_STATE_CODES).find(([, stateName]) => stateName.toLowerCase() === name);
+  return match ? match[0] : null;
+};
+
+/**
+ * Financial year label for a date (April-March)
+ * @returns {{ label: string, short: string }} e.g. { label: '2026-27', short: '2627' }
+ */
+export const getFinancialYear = (date = new Date()) => {
+  const year = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  const next = String((year + 1) % 100).padStart(2, '0');
+  return {
+    label: `${year}-${next}`,
+    short: `${String(year % 100).padStart(2, '0')}${next}`
+  };
+};
+
+/**
+ * Format invoice number: PREFIX/FYFY/00001 (max 16 characters, as GST requires)
+ */
+export const formatInvoiceNumber = (prefix, date, seq) =>
+  `${prefix}/${getFinancialYear(date).short}/${String(seq).padStart(5, '0')}`;
+
+/**
+ * Component rates for a line
+ * Lines without their own rate use the configured CGST/SGST/IGST rates;
+ * a line-specific rate is split evenly for intra-state supply.
+ */
+export const getLineRates = (lineRate, config) => {
+  if (config.taxExemption) {
+    return { taxRate: 0, cgstRate: 0, sgstRate: 0, igstRate: 0 };
+  }
+
+  if (lineRate === null || lineRate === undefined) {
+    return {
+      taxRate: config.gstRate,
+      cgstRate: config.cgstRate,
+      sgstRate: config.sgstRate,
+      igstRate: config.igstRate
+    };
+  }
+
+  return {
+    taxRate: lineRate,
+    cgstRate: lineRate / 2,
+    sgstRate: lineRate / 2,
+    igstRate: lineRate
+  };
+};
+
+/**
+ * Compute GST for one line item
+ * @param {Object} line - { amount, taxRate?, hsnSacCode? }
+ * @param {Object} config - BillingConfig (or DEFAULT_BILLING_CONFIG)
+ * @param {boolean} isInterState
+ */
+export const computeLineTax = (line, config, isInterState) => {
+  const taxableValue = roundCurrency(line.amount);
+  const rates = getLineRates(line.taxRate, config);
+
+  const cgstAmount = isInterState ? 0 : roundCurrency(taxableValue * rates.cgstRate / 100);
+  const sgstAmount = isInterState ? 0 : roundCurrency(taxableValue * rates.sgstRate / 100);
+  const igstAmount = isInterState ? roundCurrency(taxableValue * rates.igstRate / 100) : 0;
+  const taxAmount = roundCurrency(cgstAmount + sgstAmount + igstAmount);
+
+  return {
+    ...line,
+    hsnSacCode: line.hsnSacCode || config.hsnSacCode || null,
+    amount: taxableValue,
+    taxRate: rates.taxRate,
+    cgstRate: isInterState ? 0 : rates.cgstRate,
+    sgstRate: isInterState ? 0 : rates.sgstRate,
+    igstRate: isInterState ? rates.igstRate : 0,
+    cgstAmount,
+    sgstAmount,
+    igstAmount,
+    taxAmount,
+    lineTotal: roundCurrency(taxableValue + taxAmount)
+  };
+};
+
+/**
+ * Compute GST for all lines and invoice totals
+ * @returns {{ lines, subtotal, cgstAmount, sgstAmount, igstAmount, taxAmount, totalAmount }}
+ */
+export const computeInvoiceTax = (lines, config, isInterState) => {
+  const taxedLines = lines.map(line => computeLineTax(line, config, isInterState));
+
+  const sum = (key) => roundCurrency(taxedLines.reduce((total, line) => total + line[key], 0));
+  const subtotal = sum('amount');
+  const taxAmount = sum('taxAmount');
+
+  return {
+    lines: taxedLines,
+    subtotal,
+    cgstAmount: sum('cgstAmount'),
+    sgstAmount: sum('sgstAmount'),
+    igstAmount: sum('igstAmount'),
+    taxAmount,
+    totalAmount: roundCurrency(subtotal + taxAmount)
+  };
+};
+
+/**
+ * Summarise taxable value and tax per HSN/SAC code and rate (invoice HSN summary)
+ */
+export const summarizeByHsn = (lines) => {
+  const groups = new Map();
+
+  for (const line of lines) {
+    const key = `${line.hsnSacCode || '-'}::${line.taxRate}`;
+    const group = groups.get(key) || {
+      hsnSacCode: line.hsnSacCode || null,
+      taxRate: line.taxRate,
+      taxableValue: 0,
+      cgstAmount: 0,
+      sgstAmount: 0,
+      igstAmount: 0,
+      taxAmount: 0
+    };
+
+    group.taxableValue = roundCurrency(group.taxableValue + line.amount);
+    group.cgstAmount = roundCurrency(group.cgstAmount + line.cgstAmount);
+    group.sgstAmount = roundCurrency(group.sgstAmount + line.sgstAmount);
+    group.igstAmount = roundCurrency(group.igstAmount + line.igstAmount);
+    group.taxAmount = roundCurrency(group.taxAmount + line.taxAmount);
+    groups.set(key, group);
+  }
+
+  return [...groups.values()];
+};
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const twoDigitsInWords = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]} ${ONES[n % 10]}`.trim());
+
+const threeDigitsInWords = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? twoDigitsInWords(rest) : ''].filter(Boolean).join(' ');
+};
+
+/**
+ * Amount in words using the Indian numbering system
+ * e.g. 125050.5 -> "Rupees One Lakh Twenty Five Thousand Fifty and Fifty Paise Only"
+ */
+export const amountInWords = (amount) => {
+  const rounded = roundCurrency(amount);
+  let rupees = Math.floor(rounded);
+  const paise = Math.round((rounded - rupees) * 100);
+
+  if (rupees === 0 && paise === 0) return 'Rupees Zero Only';
+
+  const parts = [];
+  const crore = Math.floor(rupees / 10000000);
+  rupees %= 10000000;
+  const lakh = Math.floor(rupees / 100000);
+  rupees %= 100000;
+  const thousand = Math.floor(rupees / 1000);
+  rupees %= 1000;
+
+  if (crore) parts.push(`${threeDigitsInWords(crore)} Crore`);
+  if (lakh) parts.push(`${twoDigitsInWords(lakh)} Lakh`);
+  if (thousand) parts.push(`${twoDigitsInWords(thousand)} Thousand`);
+  if (rupees) parts.push(threeDigitsInWords(rupees));
+
+  const rupeeWords = parts.length ? `Rupees ${parts.join(' ')}` : 'Rupees Zero';
+  return paise ? `${rupeeWords} and ${twoDigitsInWords(paise)} Paise Only` : `${rupeeWords} Only`;
+};
+
+export default {
+  DEFAULT_BILLING_CONFIG,
+  GST_STATE_CODES,
+  roundCurrency,
+  isValidGstin,
+  isValidPan,
+  getStateCodeFromGstin,
+  resolveStateCode,
+  getFinancialYear,
+  formatInvoiceNumber,
+  getLineRates,
+  computeLineTax,
+  computeInvoiceTax,
+  summarizeByHsn,
+  amountInWords
+};
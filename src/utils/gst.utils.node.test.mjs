@@ -0,0 +1,96 @@
+/**
+ * GST split (CGST/SGST vs IGST), per-component rounding and amount in words
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_BILLING_CONFIG,
+  roundCurrency,
+  getLineRates,
+  computeLineTax,
+  computeInvoiceTax,
+  formatInvoiceNumber,
+  amountInWords
+} from './gst.utils.js';
+
+const config = DEFAULT_BILLING_CONFIG;
+const lines = [{ amount: 333.33 }, { amount: 10.05, taxRate: 5 }, { amount: 1.005, taxRate: 12 }];
+
+test('intra-state supply splits tax into CGST and SGST', () => {
+  const invoice = computeInvoiceTax(lines, config, false);
+
+  assert.deepEqual(
+    invoice.lines.map(l => [l.cgstRate, l.sgstRate, l.igstRate, l.cgstAmount, l.sgstAmount, l.igstAmount]),
+    [[9, 9, 0, 30, 30, 0], [2.5, 2.5, 0, 0.25, 0.25, 0], [6, 6, 0, 0.06, 0.06, 0]]
+  );
+  assert.equal(invoice.subtotal, 344.39);
+  assert.equal(invoice.cgstAmount, 30.31);
+  assert.equal(invoice.sgstAmount, 30.31);
+  assert.equal(invoice.igstAmount, 0);
+  assert.equal(invoice.taxAmount, 60.62);
+  assert.equal(invoice.totalAmount, 405.01);
+});
+
+test('inter-state supply charges the whole rate as IGST', () => {
+  const invoice = computeInvoiceTax(lines, config, true);
+
+  assert.deepEqual(
+    invoice.lines.map(l => [l.cgstRate, l.sgstRate, l.igstRate, l.igstAmount]),
+    [[0, 0, 18, 60], [0, 0, 5, 0.5], [0, 0, 12, 0.12]]
+  );
+  assert.equal(invoice.cgstAmount, 0);
+  assert.equal(invoice.sgstAmount, 0);
+  assert.equal(invoice.igstAmount, 60.62);
+  assert.equal(invoice.totalAmount, 405.01);
+});
+
+test('each tax component is rounded to paise on its own', () => {
+  // 9% of 0.50 is 0.045: rounded per component CGST + SGST come to 0.10, IGST at 18% to 0.09
+  const intra = computeLineTax({ amount: 0.5 }, config, false);
+  assert.equal(intra.cgstAmount, 0.05);
+  assert.equal(intra.sgstAmount, 0.05);
+  assert.equal(intra.taxAmount, 0.1);
+  assert.equal(intra.lineTotal, 0.6);
+
+  const inter = computeLineTax({ amount: 0.5 }, config, true);
+  assert.equal(inter.igstAmount, 0.09);
+  assert.equal(inter.lineTotal, 0.59);
+});
+
+test('roundCurrency rounds half up despite binary floating point', () => {
+  assert.equal(roundCurrency(1.005), 1.01);
+  assert.equal(roundCurrency(2.675), 2.68);
+  assert.equal(roundCurrency('10.499'), 10.5);
+});
+
+test('line rates fall back to the config, split a line rate evenly, and are zero when exempt', () => {
+  assert.deepEqual(getLineRates(null, config), { taxRate: 18, cgstRate: 9, sgstRate: 9, igstRate: 18 });
+  assert.deepEqual(getLineRates(12, config), { taxRate: 12, cgstRate: 6, sgstRate: 6, igstRate: 12 });
+  assert.deepEqual(getLineRates(12, { ...config, taxExemption: true }), { taxRate: 0, cgstRate: 0, sgstRate: 0, igstRate: 0 });
+
+  const exempt = computeInvoiceTax([{ amount: 500, taxRate: 18 }], { ...config, taxExemption: true }, false);
+  assert.equal(exempt.taxAmount, 0);
+  assert.equal(exempt.totalAmount, 500);
+});
+
+test('invoice numbers carry the April-March financial year', () => {
+  assert.equal(formatInvoiceNumber('INV', new Date(2027, 2, 31), 12), 'INV/2627/00012');
+  assert.equal(formatInvoiceNumber('INV', new Date(2027, 3, 1), 12), 'INV/2728/00012');
+});
+
+test('amount in words uses the Indian numbering system', () => {
+  assert.equal(amountInWords(0), 'Rupees Zero Only');
+  assert.equal(amountInWords(0.5), 'Rupees Zero and Fifty Paise Only');
+  assert.equal(amountInWords(15), 'Rupees Fifteen Only');
+  assert.equal(amountInWords(100000), 'Rupees One Lakh Only');
+  assert.equal(amountInWords(125050.5), 'Rupees One Lakh Twenty Five Thousand Fifty and Fifty Paise Only');
+  assert.equal(amountInWords(10000000), 'Rupees One Crore Only');
+  assert.equal(
+    amountInWords(123456789.99),
+    'Rupees Twelve Crore Thirty Four Lakh Fifty Six Thousand Seven Hundred Eighty Nine and Ninety Nine Paise Only'
+  );
+});
+
+test('amount in words rounds to paise first', () => {
+  assert.equal(amountInWords(20.005), 'Rupees Twenty and One Paise Only');
+});
@@ -13,6 +13,7 @@ export * from './validation.utils.js';
 export * from './passwordGenerator.js';
 export * from './verificationToken.js';
 export * from './paymentStatus.utils.js';
+export * from './gst.utils.js';
 export * from './timeOverlap.js';
 export { timeOverlap } from './timeOverlap.js';
 
@@ -1,6 +1,7 @@
 /**
  * Payment Status Utilities
- * Handles automatic monthly reset and payment state management
+ * Handles automatic monthly reset and payment state management (payroll),
+ * and bill payment status derived from the payment ledger
  */
 
 /**
@@ -52,10 +53,146 @@ export const getPaymentConfirmationPayload = (currentMonth, currentYear) => {
   };
 };
 
+// ==================== BILL PAYMENT LEDGER ====================
+
+// Ledger entry types (PaymentTransaction.type)
+export const LEDGER_ENTRY_TYPES = {
+  PAYMENT: 'PAYMENT',                       // Money received against a bill
+  ADVANCE: 'ADVANCE',                       // Deposit into the patient's advance account
+  ADVANCE_ADJUSTMENT: 'ADVANCE_ADJUSTMENT', // Advance applied to a bill
+  REFUND: 'REFUND',                         // Money returned (against a bill or unused advance)
+  CREDIT_NOTE: 'CREDIT_NOTE'                // Reduces the amount payable on a bill
+};
+
+// Ledger entry status (PaymentTransaction.status) - only COMPLETED entries count
+export const LEDGER_ENTRY_STATUS = {
+  COMPLETED: 'COMPLETED',
+  PENDING_APPROVAL: 'PENDING_APPROVAL',
+  REJECTED: 'REJECTED'
+};
+
+// Derived bill payment status (Bill.paymentStatus)
+export const BILL_PAYMENT_STATUS = {
+  UNPAID: 'UNPAID',
+  PARTIAL: 'PARTIAL',
+  PAID: 'PAID',
+  REFUNDED: 'REFUNDED', // Everything received was refunded
+  CREDITED: 'CREDITED'  // Credit notes cover the whole bill and nothing is held
+};
+
+// Differences below half a paisa are rounding noise
+const EPSILON = 0.005;
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Sum completed ledger entries for a bill
+ * Bills paid before the ledger existed (PAID with no entries) count as fully paid.
+ * balanceDue is net charges (netPayable) minus net receipts (netPaid); excessAmount
+ * is what is held beyond the charges and is the most that can be refunded.
+ * @param {Object} bill - { totalAmount, paymentStatus }
+ * @param {Array} transactions - PaymentTransaction rows for the bill
+ * @returns {Object} { totalAmount, paidAmount, refundedAmount, creditedAmount, netPaid, netPayable, balanceDue, excessAmount }
+ */
+export const summarizeBillLedger = (bill, transactions = []) => {
+  const completed = transactions.filter(t => t.status === LEDGER_ENTRY_STATUS.COMPLETED);
+  const sumOf = (...types) => round2(
+    completed.filter(t => types.includes(t.type)).reduce((total, t) => total + t.amount, 0)
+  );
+
+  const totalAmount = round2(bill.totalAmount || 0);
+  const isLegacyPaid = transactions.length === 0 && bill.paymentStatus === BILL_PAYMENT_STATUS.PAID;
+
+  const paidAmount = isLegacyPaid
+    ? totalAmount
+    : sumOf(LEDGER_ENTRY_TYPES.PAYMENT, LEDGER_ENTRY_TYPES.ADVANCE_ADJUSTMENT);
+  const refundedAmount = sumOf(LEDGER_ENTRY_TYPES.REFUND);
+  const creditedAmount = sumOf(LEDGER_ENTRY_TYPES.CREDIT_NOTE);
+
+  const netPaid = round2(paidAmount - refundedAmount);
+  const netPayable = round2(Math.max(0, totalAmount - creditedAmount));
+
+  return {
+    totalAmount,
+    paidAmount,
+    refundedAmount,
+    creditedAmount,
+    netPaid,
+    netPayable,
+    balanceDue: round2(Math.max(0, netPayable - netPaid)),
+    excessAmount: round2(Math.max(0, netPaid - netPayable))
+  };
+};
+
+/**
+ * Derive bill payment status from a ledger summary
+ * @param {Object} summary - Result of summarizeBillLedger
+ * @returns {String} BILL_PAYMENT_STATUS value
+ */
+export const deriveBillPaymentStatus = (summary) => {
+  if (summary.netPayable <= EPSILON && summary.netPaid <= EPSILON) {
+    if (summary.refundedAmount > EPSILON) return BILL_PAYMENT_STATUS.REFUNDED;
+    return summary.creditedAmount > EPSILON
+      ? BILL_PAYMENT_STATUS.CREDITED
+      : BILL_PAYMENT_STATUS.PAID; // Zero-value bill
+  }
+
+  if (summary.balanceDue <= EPSILON) {
+    return BILL_PAYMENT_STATUS.PAID;
+  }
+
+  if (summary.netPaid > EPSILON) {
+    return BILL_PAYMENT_STATUS.PARTIAL;
+  }
+
+  return summary.refundedAmount > EPSILON
+    ? BILL_PAYMENT_STATUS.REFUNDED
+    : BILL_PAYMENT_STATUS.UNPAID;
+};
+
+/**
+ * Bill update payload (cached totals + status) for a ledger
+ * @returns {Object} { paymentStatus, paidAmount, refundedAmount, creditedAmount, balanceDue }
+ */
+export const getBillLedgerPayload = (bill, transactions = []) => {
+  const summary = summarizeBillLedger(bill, transactions);
+  return {
+    paymentStatus: deriveBillPaymentStatus(summary),
+    paidAmount: summary.paidAmount,
+    refundedAmount: summary.refundedAmount,
+    creditedAmount: summary.creditedAmount,
+    balanceDue: summary.balanceDue
+  };
+};
+
+/**
+ * Patient advance balance from their ledger entries
+ * Deposits minus amounts applied to bills minus advance refunds (refunds without a bill).
+ */
+export const calculateAdvanceBalance = (transactions = []) => {
+  const balance = transactions
+    .filter(t => t.status === LEDGER_ENTRY_STATUS.COMPLETED)
+    .reduce((total, t) => {
+      if (t.type === LEDGER_ENTRY_TYPES.ADVANCE) return total + t.amount;
+      if (t.type === LEDGER_ENTRY_TYPES.ADVANCE_ADJUSTMENT) return total - t.amount;
+      if (t.type === LEDGER_ENTRY_TYPES.REFUND && !t.billId) return total - t.amount;
+      return total;
+    }, 0);
+
+  return round2(balance);
+};
+
 export default {
   shouldResetPaymentStatus,
   getResetPaymentPayload,
-  getPaymentConfirmationPayload
+  getPaymentConfirmationPayload,
+  LEDGER_ENTRY_TYPES,
+  LEDGER_ENTRY_STATUS,
+  BILL_PAYMENT_STATUS,
+  summarizeBillLedger,
+  deriveBillPaymentStatus,
+  getBillLedgerPayload,
+  calculateAdvanceBalance
 };
 
 
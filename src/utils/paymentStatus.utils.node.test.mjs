@@ -0,0 +1,45 @@
+/**
+ * Bill payment status derived from the payment ledger
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeBillLedger, deriveBillPaymentStatus } from './paymentStatus.utils.js';
+
+const bill = { totalAmount: 1000, paymentStatus: 'UNPAID' };
+const entry = (type, amount, status = 'COMPLETED') => ({ type, amount, status });
+const statusOf = (transactions) => deriveBillPaymentStatus(summarizeBillLedger(bill, transactions));
+
+test('payments move a bill from unpaid to partial to paid', () => {
+  assert.equal(statusOf([]), 'UNPAID');
+  assert.equal(statusOf([entry('PAYMENT', 400)]), 'PARTIAL');
+  assert.equal(statusOf([entry('PAYMENT', 400), entry('ADVANCE_ADJUSTMENT', 600)]), 'PAID');
+});
+
+test('a credit note on a paid bill leaves the excess refundable', () => {
+  const summary = summarizeBillLedger(bill, [entry('PAYMENT', 1000), entry('CREDIT_NOTE', 200)]);
+
+  assert.equal(summary.netPayable, 800);
+  assert.equal(summary.balanceDue, 0);
+  assert.equal(summary.excessAmount, 200);
+  assert.equal(deriveBillPaymentStatus(summary), 'PAID');
+});
+
+test('refunding the credited excess keeps the bill paid', () => {
+  const summary = summarizeBillLedger(bill, [entry('PAYMENT', 1000), entry('CREDIT_NOTE', 200), entry('REFUND', 200)]);
+
+  assert.equal(summary.netPaid, 800);
+  assert.equal(summary.balanceDue, 0);
+  assert.equal(summary.excessAmount, 0);
+  assert.equal(deriveBillPaymentStatus(summary), 'PAID');
+});
+
+test('a fully credited bill is credited, or refunded once the money went back', () => {
+  assert.equal(statusOf([entry('CREDIT_NOTE', 1000)]), 'CREDITED');
+  assert.equal(statusOf([entry('PAYMENT', 1000), entry('CREDIT_NOTE', 1000)]), 'PAID');
+  assert.equal(statusOf([entry('PAYMENT', 1000), entry('CREDIT_NOTE', 1000), entry('REFUND', 1000)]), 'REFUNDED');
+});
+
+test('pending and rejected entries do not count', () => {
+  assert.equal(statusOf([entry('PAYMENT', 1000), entry('REFUND', 300, 'PENDING_APPROVAL')]), 'PAID');
+  assert.equal(statusOf([entry('PAYMENT', 1000), entry('CREDIT_NOTE', 300, 'REJECTED')]), 'PAID');
+});
@@ -76,7 +76,10 @@ export const generatePdfFromHtml = async (htmlContent, options = {}) => {
 
     // Generate PDF
     const pdfBuffer = await page.pdf({
-      format: options.format || 'A4',
+      // Explicit page size (e.g. label stock) overrides the paper format
+      ...(options.width
+        ? { width: options.width, height: options.height }
+        : { format: options.format || 'A4' }),
       printBackground: true,
       margin: {
         top: options.marginTop || '20mm',
@@ -186,6 +189,176 @@ export const generateDiagnosticReportPdf = async (reportData) => {
   });
 };
 
+/**
+ * Generate GST tax invoice PDF
+ * @param {object} invoice - Invoice data from BillingService.getTaxInvoice
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+export const generateTaxInvoicePdf = async (invoice) => {
+  const money = (value) => Number(value || 0).toFixed(2);
+  const supplier = invoice.supplier || {};
+  const recipient = invoice.recipient || {};
+  const lines = invoice.lines || [];
+
+  const htmlContent = `
+    <div class="header">
+      <h1>${supplier.name || 'Hospital Name'}</h1>
+      <p>${supplier.address || ''}</p>
+      <p>Phone: ${supplier.phone || ''} | Email: ${supplier.email || ''}</p>
+      <p><strong>GSTIN:</strong> ${supplier.gstin || 'N/A'} | <strong>PAN:</strong> ${supplier.pan || 'N/A'}</p>
+    </div>
+
+    <h2 style="text-align: center; margin: 20px 0;">${invoice.title || 'TAX INVOICE'}</h2>
+
+    <table style="border: none; margin-bottom: 20px;">
+      <tr>
+        <td style="border: none;"><strong>Invoice No:</strong> ${invoice.invoiceNumber}</td>
+        <td style="border: none;"><strong>Invoice Date:</strong> ${new Date(invoice.invoiceDate).toLocaleDateString('en-IN')}</td>
+      </tr>
+      <tr>
+        <td style="border: none;"><strong>Bill ID:</strong> ${invoice.billId}</td>
+        <td style="border: none;"><strong>Place of Supply:</strong> ${invoice.placeOfSupplyName || ''} (${invoice.placeOfSupply || 'N/A'})</td>
+      </tr>
+      <tr>
+        <td style="border: none;"><strong>Patient:</strong> ${recipient.name || 'N/A'} (${recipient.patientId || ''})</td>
+        <td style="border: none;"><strong>Recipient GSTIN:</strong> ${recipient.gstin || 'Unregistered'}</td>
+      </tr>
+    </table>
+
+    <table>
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Description</th>
+          <th>HSN/SAC</th>
+          <th>Qty</th>
+          <th>Rate</th>
+          <th>Taxable Value</th>
+          ${invoice.isInterState ? '<th>IGST</th>' : '<th>CGST</th><th>SGST</th>'}
+          <th>Total</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${lines.map((line, index) => `
+          <tr>
+            <td>${index + 1}</td>
+            <td>${line.serviceName || ''}</td>
+            <td>${line.hsnSacCode || ''}</td>
+            <td>${line.quantity || 1}</td>
+            <td>${money(line.unitPrice)}</td>
+            <td>${money(line.amount)}</td>
+            ${invoice.isInterState
+              ? `<td>${money(line.igstAmount)} (${line.igstRate || 0}%)</td>`
+              : `<td>${money(line.cgstAmount)} (${line.cgstRate || 0}%)</td><td>${money(line.sgstAmount)} (${line.sgstRate || 0}%)</td>`}
+            <td>${money(line.lineTotal ?? line.amount)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+
+    <h3>Tax Summary</h3>
+    <table>
+      <thead>
+        <tr>
+          <th>HSN/SAC</th>
+          <th>Rate</th>
+          <th>Taxable Value</th>
+          ${invoice.isInterState ? '<th>IGST</th>' : '<th>CGST</th><th>SGST</th>'}
+          <th>Total Tax</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${(invoice.hsnSummary || []).map(row => `
+          <tr>
+            <td>${row.hsnSacCode || ''}</td>
+            <td>${row.taxRate || 0}%</td>
+            <td>${money(row.taxableValue)}</td>
+            ${invoice.isInterState
+              ? `<td>${money(row.igstAmount)}</td>`
+              : `<td>${money(row.cgstAmount)}</td><td>${money(row.sgstAmount)}</td>`}
+            <td>${money(row.taxAmount)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+
+    <table style="width: 50%; margin-left: auto;">
+      <tr><td><strong>Taxable Value</strong></td><td style="text-align: right;">${money(invoice.subtotal)}</td></tr>
+      ${invoice.isInterState
+        ? `<tr><td>IGST</td><td style="text-align: right;">${money(invoice.igstAmount)}</td></tr>`
+        : `<tr><td>CGST</td><td style="text-align: right;">${money(invoice.cgstAmount)}</td></tr>
+           <tr><td>SGST</td><td style="text-align: right;">${money(invoice.sgstAmount)}</td></tr>`}
+      <tr><td><strong>Invoice Total</strong></td><td style="text-align: right;"><strong>${money(invoice.totalAmount)}</strong></td></tr>
+    </table>
+    <p><strong>Amount in words:</strong> ${invoice.amountInWords || ''}</p>
+    <p><strong>Payment:</strong> ${invoice.paymentStatus || ''}${invoice.paymentMode ? ` (${invoice.paymentMode})` : ''}</p>
+
+    <div style="margin-top: 40px; text-align: right;">
+      <p>For ${supplier.name || 'Hospital'}</p>
+      <p style="margin-top: 40px;">Authorised Signatory</p>
+    </div>
+
+    <div class="footer">
+      <p style="text-align: center; font-size: 9pt;">
+        This is a computer-generated invoice.
+        <br>Generated on: ${new Date().toLocaleString('en-IN')}
+      </p>
+    </div>
+  `;
+
+  return generatePdfFromHtml(htmlContent, {
+    displayHeaderFooter: false
+  });
+};
+
+/**
+ * Generate specimen tube labels PDF, one label per page
+ * @param {Array} labels - from SpecimenService.getOrderLabels
+ * @param {object} options - { symbology, widthMm, heightMm }
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+export const generateSpecimenLabelsPdf = async (labels, options = {}) => {
+  const { code128Svg, qrSvg } = await import('./barcode.utils.js');
+  const isQr = options.symbology === 'QR';
+
+  const htmlContent = `
+    <style>
+      body { padding: 0; font-size: 7pt; line-height: 1.2; }
+      .label { width: ${options.widthMm}mm; height: ${options.heightMm}mm; padding: 1.5mm; box-sizing: border-box; overflow: hidden; display: flex; gap: 1.5mm; }
+      .label + .label { page-break-before: always; }
+      .label .details { flex: 1; min-width: 0; }
+      .label .code svg { display: block; }
+      .label .code.linear svg { width: 100%; }
+      .label p { margin: 0; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    </style>
+    ${labels.map(label => `
+      <div class="label" style="${isQr ? '' : 'flex-direction: column;'}">
+        <div class="code ${isQr ? '' : 'linear'}">
+          ${isQr
+            ? qrSvg(label.accessionNumber, { size: Math.round((options.heightMm - 3) * 3.78) })
+            : code128Svg(label.accessionNumber, { height: Math.round((options.heightMm - 13) * 3.78), moduleWidth: 1 })}
+        </div>
+        <div class="details">
+          <p><strong>${label.accessionNumber}</strong>${label.aliquotOf ? ` (aliquot of ${label.aliquotOf})` : ''}</p>
+          <p>${label.patientName || ''} ${label.patientId ? `| ${label.patientId}` : ''}</p>
+          <p>${[label.tubeColor, label.tubeType, label.sampleType].filter(Boolean).join(' / ')}</p>
+          <p>${label.testCodes.join(', ')}</p>
+          ${label.collectedAt ? `<p>${new Date(label.collectedAt).toLocaleString('en-IN')}</p>` : ''}
+        </div>
+      </div>
+    `).join('')}
+  `;
+
+  return generatePdfFromHtml(htmlContent, {
+    width: `${options.widthMm}mm`,
+    height: `${options.heightMm}mm`,
+    marginTop: '0',
+    marginRight: '0',
+    marginBottom: '0',
+    marginLeft: '0'
+  });
+};
+
 /**
  * Save PDF to file system
  * @param {Buffer} pdfBuffer - PDF buffer